@@ -0,0 +1,4 @@
+-- Add LP/GP waterfall settings to projects
+ALTER TABLE "projects"
+ADD COLUMN "preferred_return_pct" DECIMAL,
+ADD COLUMN "noi_distribution_mode" TEXT NOT NULL DEFAULT 'distribution';
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "project_metric_assumptions" (
+    "id" UUID NOT NULL DEFAULT uuid_generate_v4(),
+    "project_id" UUID NOT NULL,
+    "construction_period_months" INTEGER,
+    "interest_rate_pct" DECIMAL,
+    "stabilized_interest_rate_pct" DECIMAL,
+    "stabilized_term_years" INTEGER,
+    "refinance_amount_usd" DECIMAL,
+    "sales_cost_pct" DECIMAL,
+    "preferred_return_pct" DECIMAL,
+    "stabilization_period_months" INTEGER,
+    "selling_cap_rate_pct" DECIMAL,
+    "overrides" JSONB NOT NULL DEFAULT '{}',
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT NOW(),
+    "updated_at" TIMESTAMPTZ(6) NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT "project_metric_assumptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "project_metric_assumptions_project_id_key" ON "project_metric_assumptions"("project_id");
+
+-- AddForeignKey
+ALTER TABLE "project_metric_assumptions" ADD CONSTRAINT "project_metric_assumptions_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
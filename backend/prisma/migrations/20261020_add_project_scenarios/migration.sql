@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "project_scenarios" (
+    "id" UUID NOT NULL DEFAULT uuid_generate_v4(),
+    "project_id" UUID NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "adjustments" JSONB NOT NULL DEFAULT '{}',
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT NOW(),
+    "updated_at" TIMESTAMPTZ(6) NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT "project_scenarios_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "project_scenarios_project_id_idx" ON "project_scenarios"("project_id");
+
+-- AddForeignKey
+ALTER TABLE "project_scenarios" ADD CONSTRAINT "project_scenarios_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
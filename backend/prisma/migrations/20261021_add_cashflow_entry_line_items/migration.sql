@@ -0,0 +1,46 @@
+-- Track budget vs. actual per month and cashflow line item
+ALTER TABLE "cashflow_entries"
+ADD COLUMN "line_item" TEXT,
+ADD COLUMN "updated_at" TIMESTAMPTZ(6) NOT NULL DEFAULT NOW();
+
+-- Earlier rows are whole-month totals and a month may have several. Fold them
+-- into one row per month and side: inflows onto revenues, outflows onto hard
+-- costs. Notes stay on the revenues row unless the month only had outflows.
+INSERT INTO "cashflow_entries" ("project_id", "month_index", "line_item", "budget_inflows", "actual_inflows", "notes", "created_at")
+SELECT
+    "project_id",
+    "month_index",
+    'revenues',
+    SUM("budget_inflows"),
+    SUM("actual_inflows"),
+    STRING_AGG("notes", E'\n' ORDER BY "created_at"),
+    MIN("created_at")
+FROM "cashflow_entries"
+WHERE "line_item" IS NULL
+GROUP BY "project_id", "month_index"
+HAVING BOOL_OR(COALESCE("budget_inflows", 0) <> 0 OR COALESCE("actual_inflows", 0) <> 0)
+    OR NOT BOOL_OR(COALESCE("budget_outflows", 0) <> 0 OR COALESCE("actual_outflows", 0) <> 0);
+
+INSERT INTO "cashflow_entries" ("project_id", "month_index", "line_item", "budget_outflows", "actual_outflows", "notes", "created_at")
+SELECT
+    "project_id",
+    "month_index",
+    'hard',
+    SUM("budget_outflows"),
+    SUM("actual_outflows"),
+    CASE
+        WHEN BOOL_OR(COALESCE("budget_inflows", 0) <> 0 OR COALESCE("actual_inflows", 0) <> 0) THEN NULL
+        ELSE STRING_AGG("notes", E'\n' ORDER BY "created_at")
+    END,
+    MIN("created_at")
+FROM "cashflow_entries"
+WHERE "line_item" IS NULL
+GROUP BY "project_id", "month_index"
+HAVING BOOL_OR(COALESCE("budget_outflows", 0) <> 0 OR COALESCE("actual_outflows", 0) <> 0);
+
+DELETE FROM "cashflow_entries" WHERE "line_item" IS NULL;
+
+ALTER TABLE "cashflow_entries" ALTER COLUMN "line_item" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cashflow_entries_project_id_month_index_line_item_key" ON "cashflow_entries"("project_id", "month_index", "line_item");
@@ -0,0 +1,3 @@
+-- Per-entity branding for generated investor / lender PDF packages
+ALTER TABLE "admin_entities"
+ADD COLUMN "pdf_branding" JSONB;
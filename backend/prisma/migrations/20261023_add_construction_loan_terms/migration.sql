@@ -0,0 +1,3 @@
+-- Construction-loan draw terms (LTC cap, interest reserve, equity-first, capitalized interest)
+ALTER TABLE "cost_items"
+ADD COLUMN "construction_terms" JSONB;
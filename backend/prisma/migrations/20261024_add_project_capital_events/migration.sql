@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "project_capital_events" (
+    "id" UUID NOT NULL DEFAULT uuid_generate_v4(),
+    "project_id" UUID NOT NULL,
+    "event_type" TEXT NOT NULL,
+    "event_month" INTEGER NOT NULL,
+    "terms" JSONB NOT NULL DEFAULT '{}',
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT NOW(),
+    "updated_at" TIMESTAMPTZ(6) NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT "project_capital_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "project_capital_events_project_id_event_type_key" ON "project_capital_events"("project_id", "event_type");
+
+-- AddForeignKey
+ALTER TABLE "project_capital_events" ADD CONSTRAINT "project_capital_events_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
@@ -0,0 +1,22 @@
+-- Rent growth and lease-up curves per revenue row
+ALTER TABLE "apartment_types"
+ADD COLUMN "rent_growth_pct" DECIMAL,
+ADD COLUMN "lease_up_curve" TEXT NOT NULL DEFAULT 'linear',
+ADD COLUMN "lease_up_units_per_month" DECIMAL,
+ADD COLUMN "lease_up_absorption_pct" JSONB;
+
+ALTER TABLE "retail_spaces"
+ADD COLUMN "rent_growth_pct" DECIMAL,
+ADD COLUMN "lease_up_curve" TEXT NOT NULL DEFAULT 'linear',
+ADD COLUMN "lease_up_units_per_month" DECIMAL,
+ADD COLUMN "lease_up_absorption_pct" JSONB;
+
+ALTER TABLE "parking_types"
+ADD COLUMN "rent_growth_pct" DECIMAL,
+ADD COLUMN "lease_up_curve" TEXT NOT NULL DEFAULT 'linear',
+ADD COLUMN "lease_up_units_per_month" DECIMAL,
+ADD COLUMN "lease_up_absorption_pct" JSONB;
+
+-- Annual carrying-cost inflation by category, e.g. {"property_tax": 3}
+ALTER TABLE "projects"
+ADD COLUMN "expense_inflation" JSONB;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "rent_roll_units" (
+    "id" UUID NOT NULL DEFAULT uuid_generate_v4(),
+    "project_id" UUID NOT NULL,
+    "apartment_type_id" UUID,
+    "unit_number" TEXT NOT NULL,
+    "unit_sqft" INTEGER,
+    "tenant_name" TEXT,
+    "lease_start" DATE,
+    "lease_end" DATE,
+    "contract_rent" DECIMAL,
+    "market_rent" DECIMAL,
+    "status" TEXT NOT NULL DEFAULT 'vacant',
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT NOW(),
+    "updated_at" TIMESTAMPTZ(6) NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT "rent_roll_units_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "rent_roll_units_project_id_unit_number_key" ON "rent_roll_units"("project_id", "unit_number");
+
+-- AddForeignKey
+ALTER TABLE "rent_roll_units" ADD CONSTRAINT "rent_roll_units_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "rent_roll_units" ADD CONSTRAINT "rent_roll_units_apartment_type_id_fkey" FOREIGN KEY ("apartment_type_id") REFERENCES "apartment_types"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
@@ -0,0 +1,12 @@
+-- Commercial lease terms on retail spaces
+ALTER TABLE "retail_spaces"
+ADD COLUMN "lease_type" TEXT NOT NULL DEFAULT 'gross',
+ADD COLUMN "tenant_name" TEXT,
+ADD COLUMN "lease_term_months" INTEGER,
+ADD COLUMN "free_rent_months" INTEGER,
+ADD COLUMN "rent_steps" JSONB,
+ADD COLUMN "cam_recovery_usd" DECIMAL,
+ADD COLUMN "tax_recovery_usd" DECIMAL,
+ADD COLUMN "insurance_recovery_usd" DECIMAL,
+ADD COLUMN "ti_allowance_psf" DECIMAL,
+ADD COLUMN "leasing_commission_pct" DECIMAL;
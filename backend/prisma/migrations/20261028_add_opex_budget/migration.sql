@@ -0,0 +1,4 @@
+-- Operating expense budget lines (carrying_type = 'opex')
+ALTER TABLE "cost_items"
+ADD COLUMN "opex_basis" TEXT,
+ADD COLUMN "opex_rate" DECIMAL;
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "other_income_items" (
+    "id" UUID NOT NULL DEFAULT uuid_generate_v4(),
+    "project_id" UUID NOT NULL,
+    "type_label" TEXT NOT NULL,
+    "income_type" TEXT NOT NULL DEFAULT 'other',
+    "amount_basis" TEXT NOT NULL DEFAULT 'flat',
+    "monthly_amount_usd" DECIMAL NOT NULL DEFAULT 0,
+    "vacancy_pct" DECIMAL NOT NULL DEFAULT 5,
+    "start_month" INTEGER,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT "other_income_items_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "other_income_items" ADD CONSTRAINT "other_income_items_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
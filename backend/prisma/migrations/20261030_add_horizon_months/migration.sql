@@ -0,0 +1,3 @@
+-- Per-project cashflow analysis horizon (months)
+ALTER TABLE "projects"
+ADD COLUMN "horizon_months" INTEGER NOT NULL DEFAULT 60;
@@ -0,0 +1,3 @@
+-- Calendar month the fiscal year starts in, for the Cashflow roll-up views
+ALTER TABLE "projects"
+ADD COLUMN "fiscal_year_start" INTEGER NOT NULL DEFAULT 1;
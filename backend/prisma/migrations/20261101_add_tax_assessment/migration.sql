@@ -0,0 +1,4 @@
+-- Property tax assessment (assessed values, millage, abatement schedule), e.g.
+-- {"landValueUsd": 400000, "improvementValueUsd": 1200000, "millageRate": 22, ...}
+ALTER TABLE "projects"
+ADD COLUMN "tax_assessment" JSONB;
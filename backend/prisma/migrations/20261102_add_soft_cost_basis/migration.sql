@@ -0,0 +1,4 @@
+-- Percentage soft costs: % of hard costs or of total cost (category = 'soft')
+ALTER TABLE "cost_items"
+ADD COLUMN "cost_basis" TEXT,
+ADD COLUMN "cost_pct" DECIMAL;
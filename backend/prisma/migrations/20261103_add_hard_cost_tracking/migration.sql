@@ -0,0 +1,28 @@
+-- Construction tracking on hard-cost lines (category = 'hard')
+ALTER TABLE "cost_items"
+ADD COLUMN "committed_usd" DECIMAL,
+ADD COLUMN "invoiced_usd" DECIMAL,
+ADD COLUMN "paid_usd" DECIMAL,
+ADD COLUMN "retainage_usd" DECIMAL;
+
+-- CreateTable
+CREATE TABLE "cost_change_orders" (
+    "id" UUID NOT NULL DEFAULT uuid_generate_v4(),
+    "project_id" UUID NOT NULL,
+    "cost_item_id" UUID NOT NULL,
+    "amount_usd" DECIMAL NOT NULL,
+    "reason" TEXT NOT NULL,
+    "approved_date" DATE NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT "cost_change_orders_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "cost_change_orders_project_id_idx" ON "cost_change_orders"("project_id");
+
+-- AddForeignKey
+ALTER TABLE "cost_change_orders" ADD CONSTRAINT "cost_change_orders_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "cost_change_orders" ADD CONSTRAINT "cost_change_orders_cost_item_id_fkey" FOREIGN KEY ("cost_item_id") REFERENCES "cost_items"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
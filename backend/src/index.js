@@ -44,6 +44,8 @@ app.use(cors({
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  // The frontend is on another origin and reads download filenames from this header.
+  exposedHeaders: ['Content-Disposition'],
 }))
 
 // Handle preflight for loan-application explicitly
@@ -3,6 +3,7 @@ import fetch from 'node-fetch'
 import bcrypt from 'bcryptjs'
 import multer from 'multer'
 import { Resend } from 'resend'
+import { Prisma } from '@prisma/client'
 import prisma from './prisma.js'
 
 console.log('ROUTES FILE LOADED - multer and nodemailer imported successfully')
@@ -15,8 +16,23 @@ import {
   retailRevenueUpdateSchema,
   parkingRevenueInputSchema,
   parkingRevenueUpdateSchema,
+  otherIncomeInputSchema,
+  otherIncomeUpdateSchema,
   gpContributionInputSchema,
   gpContributionUpdateSchema,
+  metricAssumptionsUpdateSchema,
+  scenarioInputSchema,
+  scenarioUpdateSchema,
+  refinanceEventInputSchema,
+  saleEventInputSchema,
+  rentRollUnitInputSchema,
+  rentRollUnitUpdateSchema,
+  hardCostTrackingSchema,
+  hardCostChangeOrderInputSchema,
+  hardCostChangeOrderUpdateSchema,
+  cashflowEntryInputSchema,
+  cashflowEntryUpdateSchema,
+  pdfBrandingSchema,
   documentInputSchema,
   documentUpdateSchema,
   formatZodErrors,
@@ -33,10 +49,51 @@ import {
   CARRYING_TYPES,
   INTERVAL_UNITS,
   LOAN_MODES,
-  encodePropertyTaxGroup,
+  decodeOpexCategory,
   decodePropertyTaxPhase,
   normalizeCarryingPayload,
+  resolveCarryingGroup,
 } from './utils/carrying.js'
+import {
+  buildMetricAssumptionsData,
+  mapMetricAssumptionsRow,
+  mergeMetricOverrides,
+} from './utils/metricAssumptions.js'
+import { XLSX_CONTENT_TYPE, buildExportFilename, buildProformaWorkbook } from './utils/proformaWorkbook.js'
+import {
+  PDF_CONTENT_TYPE,
+  buildInvestorPackageData,
+  buildPackageFilename,
+  renderInvestorPackage,
+} from './utils/investorPackage.js'
+import { resolvePackageBranding } from './utils/investorPackageTemplates.js'
+import {
+  BID_IMPORT_MAX_ROWS,
+  HARD_COST_IMPORT_FIELDS,
+  mapBidRow,
+  readBidSpreadsheet,
+  readImportSpreadsheet,
+  suggestBidMapping,
+} from './utils/hardCostImport.js'
+import {
+  RENT_ROLL_IMPORT_FIELDS,
+  RENT_ROLL_IMPORT_MAX_ROWS,
+  buildRentRollImportPlan,
+  buildRentRollImportWrites,
+  mapRentRollRow,
+  suggestRentRollMapping,
+} from './utils/rentRollImport.js'
+import {
+  buildProjectCashflow,
+  buildProjectReturnMetrics,
+  buildProjectWaterfall,
+  compareScenarios,
+  buildCashflowActuals,
+  buildSourcesAndUses,
+  applyRentRollToRevenue,
+  buildRetailLeaseCostRows,
+  resolvePercentageSoftCosts,
+} from '@ds-proforma/cashflow'
 
 const router = Router()
 const SKIP_DB = process.env.SKIP_DB === 'true'
@@ -70,7 +127,17 @@ const STAGE_FIELD_LABELS = {
 }
 const MAPBOX_TOKEN = process.env.MAPBOX_TOKEN
 const GOOGLE_STREET_VIEW_KEY = process.env.GOOGLE_STREET_VIEW_API_KEY
-const SOFT_COST_CATEGORIES = ['architect', 'legal', 'permits', 'consulting', 'marketing', 'other']
+const SOFT_COST_CATEGORIES = [
+  'architect',
+  'legal',
+  'permits',
+  'consulting',
+  'marketing',
+  'contingency',
+  'developer_fee',
+  'other',
+]
+const SOFT_COST_BASES = ['fixed', 'pct_hard', 'pct_total']
 const LEASEUP_COST_CATEGORIES = ['marketing', 'staging', 'leasing_agent', 'tenant_improvements', 'legal', 'other']
 const HARD_COST_CATEGORIES = [
   'structure',
@@ -128,6 +195,8 @@ const stubProject = {
     description: 'Initial stub record',
     startLeasingDate: null,
     stabilizedDate: null,
+    horizonMonths: 60,
+    fiscalYearStartMonth: 1,
   },
   apartmentTurnover: {
     turnoverPct: 15,
@@ -137,6 +206,12 @@ const stubProject = {
     turnoverPct: 10,
     turnoverCostUsd: 1500,
   },
+  returns: {
+    preferredReturnPct: 8,
+    noiDistributionMode: 'distribution',
+  },
+  expenseInflation: {},
+  propertyTaxAssessment: null,
   revenue: [
     {
       id: 'rev-1',
@@ -171,6 +246,7 @@ const stubProject = {
       startMonth: 3,
     },
   ],
+  otherIncome: [],
   gpContributions: [
     { id: 'gp-1', partner: 'darmon', amountUsd: 250000, contributionMonth: 2 },
   ],
@@ -181,6 +257,9 @@ const stubProject = {
   cashflow: [],
   collaborators: [],
   documents: [],
+  scenarios: [],
+  capitalEvents: [],
+  rentRoll: [],
 }
 
 const userSelectFields = {
@@ -222,7 +301,13 @@ const projectFieldMap = {
   retailTurnoverCostUsd: 'retail_turnover_cost',
   startLeasingDate: 'start_leasing_date',
   stabilizedDate: 'stabilized_date',
+  horizonMonths: 'horizon_months',
+  fiscalYearStartMonth: 'fiscal_year_start',
   buildingImageUrl: 'building_image_url',
+  preferredReturnPct: 'preferred_return_pct',
+  noiDistributionMode: 'noi_distribution_mode',
+  expenseInflation: 'expense_inflation',
+  propertyTaxAssessment: 'tax_assessment',
 }
 
 const projectFieldTransforms = {
@@ -244,6 +329,8 @@ const projectFieldTransforms = {
     const date = new Date(value)
     return Number.isNaN(date.getTime()) ? null : date
   },
+  expenseInflation: (value) => value ?? Prisma.DbNull,
+  propertyTaxAssessment: (value) => value ?? Prisma.DbNull,
 }
 
 const buildProjectUpdateData = (payload) => {
@@ -329,6 +416,33 @@ function normalizeScheduledCostPayload(body, { categoryField, allowedCategories
   }
 }
 
+// Percentage soft costs keep no amount or schedule of their own; both come
+// from their base when the project is loaded (resolvePercentageSoftCosts).
+function normalizeSoftCostPayload(body) {
+  const costBasis = (body.costBasis || 'fixed').toLowerCase()
+  if (!SOFT_COST_BASES.includes(costBasis)) {
+    return { error: 'costBasis is invalid' }
+  }
+  if (costBasis === 'fixed') {
+    const base = normalizeScheduledCostPayload(body, {
+      categoryField: 'softCategory',
+      allowedCategories: SOFT_COST_CATEGORIES,
+    })
+    return base.error ? base : { ...base, costBasis, costPct: null }
+  }
+
+  const costPct = coerceNumberStrict(body.costPct)
+  if (costPct === null) return { error: 'costPct is required for percentage soft costs' }
+  if (costPct < 0 || costPct > 100) return { error: 'costPct must be between 0 and 100' }
+
+  const base = normalizeScheduledCostPayload(
+    { ...body, amountUsd: 0, paymentMode: 'single', paymentMonth: 0 },
+    { categoryField: 'softCategory', allowedCategories: SOFT_COST_CATEGORIES },
+  )
+  if (base.error) return base
+  return { ...base, costBasis, costPct }
+}
+
 function normalizeHardCostPayload(body) {
   const measurementUnit = (body.measurementUnit || 'none').toLowerCase()
   if (!MEASUREMENT_UNITS.includes(measurementUnit)) {
@@ -417,6 +531,8 @@ const mapProjectDetail = (row) => ({
     description: row.description,
     startLeasingDate: row.startLeasingDate,
     stabilizedDate: row.stabilizedDate,
+    horizonMonths: toInt(row.horizonMonths) ?? 60,
+    fiscalYearStartMonth: toInt(row.fiscalYearStartMonth) ?? 1,
     buildingImageUrl: row.buildingImageUrl || row.building_image_url || null,
   },
   apartmentTurnover: {
@@ -427,6 +543,12 @@ const mapProjectDetail = (row) => ({
     turnoverPct: toNumber(row.retailTurnoverPct),
     turnoverCostUsd: toNumber(row.retailTurnoverCostUsd),
   },
+  returns: {
+    preferredReturnPct: toNumber(row.preferredReturnPct),
+    noiDistributionMode: row.noiDistributionMode || 'distribution',
+  },
+  expenseInflation: parseJsonField(row.expenseInflation) || {},
+  propertyTaxAssessment: parseJsonField(row.propertyTaxAssessment) || null,
   collaborators: Array.isArray(row.project_collaborators)
     ? row.project_collaborators.map(mapCollaboratorRow)
     : Array.isArray(row.collaborators)
@@ -434,6 +556,54 @@ const mapProjectDetail = (row) => ({
     : [],
 })
 
+const mapLeaseUpFields = (row) => ({
+  rentGrowthPct: toNumber(row.rent_growth_pct),
+  leaseUpCurve: row.lease_up_curve || 'linear',
+  leaseUpUnitsPerMonth: toNumber(row.lease_up_units_per_month),
+  leaseUpAbsorptionPct: parseJsonField(row.lease_up_absorption_pct),
+})
+
+const buildLeaseUpData = (payload) => {
+  const data = {}
+  if (payload.rentGrowthPct !== undefined) data.rent_growth_pct = payload.rentGrowthPct
+  if (payload.leaseUpCurve !== undefined) data.lease_up_curve = payload.leaseUpCurve
+  if (payload.leaseUpUnitsPerMonth !== undefined) data.lease_up_units_per_month = payload.leaseUpUnitsPerMonth
+  if (payload.leaseUpAbsorptionPct !== undefined) {
+    data.lease_up_absorption_pct = payload.leaseUpAbsorptionPct ?? Prisma.DbNull
+  }
+  return data
+}
+
+const mapRetailLeaseFields = (row) => ({
+  leaseType: row.lease_type || 'gross',
+  tenantName: row.tenant_name ?? null,
+  leaseTermMonths: toInt(row.lease_term_months),
+  freeRentMonths: toInt(row.free_rent_months),
+  rentSteps: parseJsonField(row.rent_steps) || [],
+  camRecoveryUsd: toNumber(row.cam_recovery_usd),
+  taxRecoveryUsd: toNumber(row.tax_recovery_usd),
+  insuranceRecoveryUsd: toNumber(row.insurance_recovery_usd),
+  tiAllowancePsf: toNumber(row.ti_allowance_psf),
+  leasingCommissionPct: toNumber(row.leasing_commission_pct),
+})
+
+const buildRetailLeaseData = (payload) => {
+  const data = {}
+  if (payload.leaseType !== undefined) data.lease_type = payload.leaseType
+  if (payload.tenantName !== undefined) data.tenant_name = payload.tenantName
+  if (payload.leaseTermMonths !== undefined) data.lease_term_months = payload.leaseTermMonths
+  if (payload.freeRentMonths !== undefined) data.free_rent_months = payload.freeRentMonths
+  if (payload.rentSteps !== undefined) {
+    data.rent_steps = payload.rentSteps?.length ? payload.rentSteps : Prisma.DbNull
+  }
+  if (payload.camRecoveryUsd !== undefined) data.cam_recovery_usd = payload.camRecoveryUsd
+  if (payload.taxRecoveryUsd !== undefined) data.tax_recovery_usd = payload.taxRecoveryUsd
+  if (payload.insuranceRecoveryUsd !== undefined) data.insurance_recovery_usd = payload.insuranceRecoveryUsd
+  if (payload.tiAllowancePsf !== undefined) data.ti_allowance_psf = payload.tiAllowancePsf
+  if (payload.leasingCommissionPct !== undefined) data.leasing_commission_pct = payload.leasingCommissionPct
+  return data
+}
+
 const mapRevenueRow = (row) => ({
   id: row.id,
   typeLabel: row.type_label,
@@ -443,6 +613,7 @@ const mapRevenueRow = (row) => ({
   vacancyPct: toNumber(row.vacancy_pct),
   startMonth: toInt(row.start_month),
   rentActual: toNumber(row.rent_actual),
+  ...mapLeaseUpFields(row),
 })
 
 const mapRetailRow = (row) => ({
@@ -454,6 +625,8 @@ const mapRetailRow = (row) => ({
   vacancyPct: toNumber(row.vacancy_pct),
   startMonth: toInt(row.start_month),
   rentActual: toNumber(row.rent_actual),
+  ...mapLeaseUpFields(row),
+  ...mapRetailLeaseFields(row),
 })
 
 const mapParkingRow = (row) => ({
@@ -463,6 +636,17 @@ const mapParkingRow = (row) => ({
   monthlyRentUsd: toNumber(row.monthly_rent_usd),
   vacancyPct: toNumber(row.vacancy_pct),
   startMonth: toInt(row.start_month),
+  ...mapLeaseUpFields(row),
+})
+
+const mapOtherIncomeRow = (row) => ({
+  id: row.id,
+  typeLabel: row.type_label,
+  incomeType: row.income_type,
+  amountBasis: row.amount_basis,
+  monthlyAmountUsd: toNumber(row.monthly_amount_usd),
+  vacancyPct: toNumber(row.vacancy_pct),
+  startMonth: toInt(row.start_month),
 })
 
 const mapGpContributionRow = (row) => ({
@@ -500,19 +684,39 @@ const mapCostRow = (row) => ({
       : null,
   fundingMonth: toInt(row.funding_month),
   repaymentStartMonth: toInt(row.repayment_start_month),
+  constructionTerms: row.loan_mode === 'construction' ? parseJsonField(row.construction_terms) || null : null,
   intervalUnit: row.interval_unit || row.interval || null,
   propertyTaxPhase:
     row.carrying_type === 'property_tax' ? decodePropertyTaxPhase(row.cost_group) : null,
+  opexCategory: row.carrying_type === 'opex' ? decodeOpexCategory(row.cost_group) : null,
+  opexBasis: row.carrying_type === 'opex' ? row.opex_basis || 'fixed' : null,
+  opexRate: toNumber(row.opex_rate),
+  costBasis: row.category === 'soft' ? row.cost_basis || 'fixed' : null,
+  costPct: toNumber(row.cost_pct),
+  committedUsd: toNumber(row.committed_usd),
+  invoicedUsd: toNumber(row.invoiced_usd),
+  paidUsd: toNumber(row.paid_usd),
+  retainageUsd: toNumber(row.retainage_usd),
+})
+
+const mapChangeOrderRow = (row) => ({
+  id: row.id,
+  costItemId: row.cost_item_id,
+  amountUsd: toNumber(row.amount_usd),
+  reason: row.reason,
+  approvedDate: formatDateOnly(row.approved_date),
 })
 
 const mapCashflowRow = (row) => ({
   id: row.id,
   monthIndex: row.month_index,
+  lineItem: row.line_item,
   budgetInflows: toNumber(row.budget_inflows),
   budgetOutflows: toNumber(row.budget_outflows),
   actualInflows: toNumber(row.actual_inflows),
   actualOutflows: toNumber(row.actual_outflows),
   notes: row.notes,
+  updatedAt: row.updated_at ?? null,
 })
 
 const getContextValue = (feature, prefix) =>
@@ -939,128 +1143,321 @@ router.get('/projects', async (req, res) => {
   }
 })
 
-router.get('/projects/:id', async (req, res) => {
-  if (SKIP_DB) {
-    return res.json(stubProject)
-  }
-  try {
-    const projectRow = await prisma.projects.findFirst({
-      where: { id: req.params.id, deleted_at: null, ...projectAccessWhere(req.user) },
-      select: {
-        id: true,
-        name: true,
-        stage: true,
-        owner_id: true,
-        owner: {
-          select: {
-            id: true,
-            email: true,
-            display_name: true,
-            is_super_admin: true,
-            created_at: true,
-          },
+const loadProjectDetail = async (projectId, user) => {
+  const projectRow = await prisma.projects.findFirst({
+    where: { id: projectId, deleted_at: null, ...projectAccessWhere(user) },
+    select: {
+      id: true,
+      name: true,
+      stage: true,
+      owner_id: true,
+      owner: {
+        select: {
+          id: true,
+          email: true,
+          display_name: true,
+          is_super_admin: true,
+          created_at: true,
         },
-        address_line1: true,
-        address_line2: true,
-        city: true,
-        state: true,
-        zip: true,
-        property_type: true,
-        purchase_price_usd: true,
-        closing_date: true,
-        latitude: true,
-        longitude: true,
-        target_units: true,
-        target_sqft: true,
-        description: true,
-        turnover_pct: true,
-        turnover_cost_usd: true,
-        retail_turnover_pct: true,
-        retail_turnover_cost: true,
-        start_leasing_date: true,
-        stabilized_date: true,
-        building_image_url: true,
-        project_collaborators: {
-          include: {
-            user: {
-              select: userSelectFields,
-            },
+      },
+      address_line1: true,
+      address_line2: true,
+      city: true,
+      state: true,
+      zip: true,
+      property_type: true,
+      purchase_price_usd: true,
+      closing_date: true,
+      latitude: true,
+      longitude: true,
+      target_units: true,
+      target_sqft: true,
+      description: true,
+      turnover_pct: true,
+      turnover_cost_usd: true,
+      retail_turnover_pct: true,
+      retail_turnover_cost: true,
+      start_leasing_date: true,
+      stabilized_date: true,
+      horizon_months: true,
+      fiscal_year_start: true,
+      building_image_url: true,
+      preferred_return_pct: true,
+      noi_distribution_mode: true,
+      expense_inflation: true,
+      tax_assessment: true,
+      project_collaborators: {
+        include: {
+          user: {
+            select: userSelectFields,
           },
         },
       },
-    })
-    if (!projectRow) return res.status(404).json({ error: 'Project not found' })
-
-    const project = mapProjectDetail({
-      ...projectRow,
-      addressLine1: projectRow.address_line1,
-      addressLine2: projectRow.address_line2,
-      propertyType: projectRow.property_type,
-      purchasePriceUsd: projectRow.purchase_price_usd,
-      closingDate: projectRow.closing_date,
-      targetUnits: projectRow.target_units,
-      targetSqft: projectRow.target_sqft,
-      turnoverPct: projectRow.turnover_pct,
-      turnoverCostUsd: projectRow.turnover_cost_usd,
-      retailTurnoverPct: projectRow.retail_turnover_pct,
-      retailTurnoverCostUsd: projectRow.retail_turnover_cost,
-      startLeasingDate: projectRow.start_leasing_date,
-      stabilizedDate: projectRow.stabilized_date,
-      buildingImageUrl: projectRow.building_image_url,
-      owner: projectRow.owner,
-      ownerId: projectRow.owner_id,
-      collaborators: projectRow.project_collaborators,
-    })
-
-    const [revenue, retail, parking, contributions, costs, cashflow, documents] = await Promise.all([
-      prisma.apartment_types.findMany({
-        where: { project_id: req.params.id },
-        orderBy: { created_at: 'asc' },
-      }),
-      prisma.retail_spaces.findMany({
-        where: { project_id: req.params.id },
-        orderBy: { created_at: 'asc' },
-      }),
-      prisma.parking_types.findMany({
-        where: { project_id: req.params.id },
-        orderBy: { created_at: 'asc' },
-      }),
-      prisma.gp_contributions.findMany({
-        where: { project_id: req.params.id },
-        orderBy: { created_at: 'asc' },
-      }),
-      prisma.cost_items.findMany({
-        where: { project_id: req.params.id },
-        orderBy: { created_at: 'asc' },
-      }),
-      prisma.cashflow_entries.findMany({
-        where: { project_id: req.params.id },
-        orderBy: { month_index: 'asc' },
-      }),
-      prisma.project_documents.findMany({
-        where: { project_id: req.params.id },
-        orderBy: { created_at: 'desc' },
-      }),
-    ])
+    },
+  })
+  if (!projectRow) return null
+
+  const project = mapProjectDetail({
+    ...projectRow,
+    addressLine1: projectRow.address_line1,
+    addressLine2: projectRow.address_line2,
+    propertyType: projectRow.property_type,
+    purchasePriceUsd: projectRow.purchase_price_usd,
+    closingDate: projectRow.closing_date,
+    targetUnits: projectRow.target_units,
+    targetSqft: projectRow.target_sqft,
+    turnoverPct: projectRow.turnover_pct,
+    turnoverCostUsd: projectRow.turnover_cost_usd,
+    retailTurnoverPct: projectRow.retail_turnover_pct,
+    retailTurnoverCostUsd: projectRow.retail_turnover_cost,
+    startLeasingDate: projectRow.start_leasing_date,
+    stabilizedDate: projectRow.stabilized_date,
+    horizonMonths: projectRow.horizon_months,
+    fiscalYearStartMonth: projectRow.fiscal_year_start,
+    buildingImageUrl: projectRow.building_image_url,
+    preferredReturnPct: projectRow.preferred_return_pct,
+    noiDistributionMode: projectRow.noi_distribution_mode,
+    expenseInflation: projectRow.expense_inflation,
+    propertyTaxAssessment: projectRow.tax_assessment,
+    owner: projectRow.owner,
+    ownerId: projectRow.owner_id,
+    collaborators: projectRow.project_collaborators,
+  })
 
-    project.revenue = revenue.map(mapRevenueRow)
-    project.retailRevenue = retail.map(mapRetailRow)
-    project.parkingRevenue = parking.map(mapParkingRow)
-    project.gpContributions = contributions.map(mapGpContributionRow)
-    const costRows = costs.map(mapCostRow)
-    project.hardCosts = costRows.filter((row) => row.category === 'hard')
-    project.softCosts = costRows.filter((row) => row.category === 'soft')
-    project.leaseupCosts = costRows.filter((row) => row.category === 'leaseup')
-    project.carryingCosts = costRows.filter((row) => row.category === 'carrying')
-    project.cashflow = cashflow.map(mapCashflowRow)
-    project.documents = documents.map(mapDocumentRow)
+  const [
+    revenue,
+    retail,
+    parking,
+    otherIncome,
+    contributions,
+    costs,
+    changeOrders,
+    cashflow,
+    documents,
+    scenarios,
+    capitalEvents,
+    rentRoll,
+  ] = await Promise.all([
+    prisma.apartment_types.findMany({
+      where: { project_id: projectId },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.retail_spaces.findMany({
+      where: { project_id: projectId },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.parking_types.findMany({
+      where: { project_id: projectId },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.other_income_items.findMany({
+      where: { project_id: projectId },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.gp_contributions.findMany({
+      where: { project_id: projectId },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.cost_items.findMany({
+      where: { project_id: projectId },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.cost_change_orders.findMany({
+      where: { project_id: projectId },
+      orderBy: [{ approved_date: 'asc' }, { created_at: 'asc' }],
+    }),
+    prisma.cashflow_entries.findMany({
+      where: { project_id: projectId },
+      orderBy: { month_index: 'asc' },
+    }),
+    prisma.project_documents.findMany({
+      where: { project_id: projectId },
+      orderBy: { created_at: 'desc' },
+    }),
+    prisma.project_scenarios.findMany({
+      where: { project_id: projectId },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.project_capital_events.findMany({
+      where: { project_id: projectId },
+      orderBy: { event_month: 'asc' },
+    }),
+    prisma.rent_roll_units.findMany({
+      where: { project_id: projectId },
+      orderBy: { unit_number: 'asc' },
+    }),
+  ])
+
+  project.rentRoll = rentRoll.map(mapRentRollUnitRow)
+  project.revenue = applyRentRollToRevenue(revenue.map(mapRevenueRow), project.rentRoll)
+  project.retailRevenue = retail.map(mapRetailRow)
+  project.parkingRevenue = parking.map(mapParkingRow)
+  project.otherIncome = otherIncome.map(mapOtherIncomeRow)
+  project.gpContributions = contributions.map(mapGpContributionRow)
+  const costRows = costs.map(mapCostRow)
+  const changeOrderRows = changeOrders.map(mapChangeOrderRow)
+  project.hardCosts = costRows
+    .filter((row) => row.category === 'hard')
+    .map((row) => ({ ...row, changeOrders: changeOrderRows.filter((order) => order.costItemId === row.id) }))
+  project.softCosts = resolvePercentageSoftCosts({
+    ...project,
+    softCosts: costRows.filter((row) => row.category === 'soft'),
+  })
+  project.leaseupCosts = [
+    ...costRows.filter((row) => row.category === 'leaseup'),
+    ...buildRetailLeaseCostRows(project.retailRevenue),
+  ]
+  project.carryingCosts = costRows.filter((row) => row.category === 'carrying')
+  project.cashflow = cashflow.map(mapCashflowRow)
+  project.documents = documents.map(mapDocumentRow)
+  project.scenarios = scenarios.map(mapScenarioRow)
+  project.capitalEvents = capitalEvents.map(mapCapitalEventRow)
+
+  return project
+}
 
+router.get('/projects/:id', async (req, res) => {
+  if (SKIP_DB) {
+    return res.json(stubProject)
+  }
+  try {
+    const project = await loadProjectDetail(req.params.id, req.user)
+    if (!project) return res.status(404).json({ error: 'Project not found' })
     res.json(project)
   } catch (err) {
     res.status(500).json({ error: 'Failed to load project detail', details: err.message })
   }
 })
 
+router.get('/projects/:id/export.xlsx', async (req, res) => {
+  try {
+    const project = SKIP_DB ? stubProject : await loadProjectDetail(req.params.id, req.user)
+    if (!project) return res.status(404).json({ error: 'Project not found' })
+    const workbook = buildProformaWorkbook(project)
+    res.setHeader('Content-Type', XLSX_CONTENT_TYPE)
+    res.setHeader('Content-Disposition', `attachment; filename="${buildExportFilename(project)}"`)
+    await workbook.xlsx.write(res)
+    res.end()
+  } catch (err) {
+    if (res.headersSent) return res.end()
+    res.status(500).json({ error: 'Failed to export project workbook', details: err.message })
+  }
+})
+
+router.get('/projects/:id/investor-package.pdf', async (req, res) => {
+  try {
+    const project = SKIP_DB ? stubProject : await loadProjectDetail(req.params.id, req.user)
+    if (!project) return res.status(404).json({ error: 'Project not found' })
+    const entity = SKIP_DB
+      ? null
+      : await prisma.admin_entities.findFirst({
+          where: { linked_project_id: req.params.id, deleted_at: null },
+          select: { name: true, pdf_branding: true },
+        })
+    const { branding, template } = resolvePackageBranding(entity?.pdf_branding, req.query.template, {
+      companyName: entity?.name,
+    })
+    const doc = renderInvestorPackage(buildInvestorPackageData(project), { branding, template })
+    res.setHeader('Content-Type', PDF_CONTENT_TYPE)
+    res.setHeader('Content-Disposition', `attachment; filename="${buildPackageFilename(project, template)}"`)
+    doc.pipe(res)
+  } catch (err) {
+    if (res.headersSent) return res.end()
+    res.status(500).json({ error: 'Failed to generate investor package', details: err.message })
+  }
+})
+
+router.get('/projects/:id/cashflow', async (req, res) => {
+  const respond = (project) => {
+    const { months, rows, totals, balance, warnings } = buildProjectCashflow(project)
+    return res.json({ projectId: project.id, months, rows, totals, balance, warnings })
+  }
+  if (SKIP_DB) {
+    return respond(stubProject)
+  }
+  try {
+    const project = await loadProjectDetail(req.params.id, req.user)
+    if (!project) return res.status(404).json({ error: 'Project not found' })
+    respond(project)
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to build project cashflow', details: err.message })
+  }
+})
+
+router.get('/projects/:id/returns', async (req, res) => {
+  const respond = (project) => {
+    const cashflow = buildProjectCashflow(project)
+    const waterfall = buildProjectWaterfall(project, { cashflow })
+    return res.json({ ...waterfall, metrics: buildProjectReturnMetrics(project, { cashflow, waterfall }) })
+  }
+  if (SKIP_DB) {
+    return respond(stubProject)
+  }
+  try {
+    const project = await loadProjectDetail(req.params.id, req.user)
+    if (!project) return res.status(404).json({ error: 'Project not found' })
+    respond(project)
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to build investor returns', details: err.message })
+  }
+})
+
+router.get('/projects/:id/sources-uses', async (req, res) => {
+  if (SKIP_DB) {
+    return res.json(buildSourcesAndUses(stubProject))
+  }
+  try {
+    const project = await loadProjectDetail(req.params.id, req.user)
+    if (!project) return res.status(404).json({ error: 'Project not found' })
+    res.json(buildSourcesAndUses(project))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to build sources and uses', details: err.message })
+  }
+})
+
+router.get('/projects/:id/metrics-assumptions', async (req, res) => {
+  if (SKIP_DB) {
+    return res.json(mapMetricAssumptionsRow(null))
+  }
+  try {
+    const row = await prisma.project_metric_assumptions.findUnique({ where: { project_id: req.params.id } })
+    res.json(mapMetricAssumptionsRow(row))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load metrics assumptions', details: err.message })
+  }
+})
+
+router.put('/projects/:id/metrics-assumptions', async (req, res) => {
+  const payload = parseBody(metricAssumptionsUpdateSchema, req.body, res)
+  if (!payload) return
+  const now = new Date().toISOString()
+  if (SKIP_DB) {
+    return res.json({
+      ...mapMetricAssumptionsRow(null),
+      ...payload,
+      overrides: mergeMetricOverrides(null, payload.overrides, now),
+      updatedAt: now,
+    })
+  }
+  try {
+    const row = await prisma.$transaction(async (tx) => {
+      const existing = await tx.project_metric_assumptions.findUnique({ where: { project_id: req.params.id } })
+      const data = {
+        ...buildMetricAssumptionsData(payload),
+        overrides: mergeMetricOverrides(existing?.overrides, payload.overrides, now),
+      }
+      return tx.project_metric_assumptions.upsert({
+        where: { project_id: req.params.id },
+        create: { project_id: req.params.id, ...data },
+        update: data,
+      })
+    })
+    res.json(mapMetricAssumptionsRow(row))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save metrics assumptions', details: err.message })
+  }
+})
+
 router.get('/projects/:id/collaborators', async (req, res) => {
   if (SKIP_DB) {
     return res.json(stubProject.collaborators)
@@ -1201,7 +1598,18 @@ router.delete('/projects/:id/collaborators/:collaboratorId', async (req, res) =>
 
 router.patch('/projects/:id', async (req, res) => {
   if (SKIP_DB) {
-    const { turnoverPct, turnoverCostUsd, retailTurnoverPct, retailTurnoverCostUsd, name, ...generalFields } = req.body
+    const {
+      turnoverPct,
+      turnoverCostUsd,
+      retailTurnoverPct,
+      retailTurnoverCostUsd,
+      preferredReturnPct,
+      noiDistributionMode,
+      expenseInflation,
+      propertyTaxAssessment,
+      name,
+      ...generalFields
+    } = req.body
     return res.json({
       ...stubProject,
       name: name ?? stubProject.name,
@@ -1220,6 +1628,14 @@ router.patch('/projects/:id', async (req, res) => {
             ? retailTurnoverCostUsd
             : stubProject.retailTurnover.turnoverCostUsd,
       },
+      returns: {
+        preferredReturnPct:
+          preferredReturnPct !== undefined ? preferredReturnPct : stubProject.returns.preferredReturnPct,
+        noiDistributionMode: noiDistributionMode ?? stubProject.returns.noiDistributionMode,
+      },
+      expenseInflation: expenseInflation !== undefined ? expenseInflation || {} : stubProject.expenseInflation,
+      propertyTaxAssessment:
+        propertyTaxAssessment !== undefined ? propertyTaxAssessment : stubProject.propertyTaxAssessment,
     })
   }
 
@@ -1266,9 +1682,15 @@ router.patch('/projects/:id', async (req, res) => {
         turnover_cost_usd: true,
         start_leasing_date: true,
         stabilized_date: true,
+        horizon_months: true,
+        fiscal_year_start: true,
         building_image_url: true,
         retail_turnover_pct: true,
         retail_turnover_cost: true,
+        preferred_return_pct: true,
+        noi_distribution_mode: true,
+        expense_inflation: true,
+        tax_assessment: true,
         project_collaborators: {
           include: {
             user: {
@@ -1294,7 +1716,13 @@ router.patch('/projects/:id', async (req, res) => {
         retailTurnoverCostUsd: updated.retail_turnover_cost,
         startLeasingDate: updated.start_leasing_date,
         stabilizedDate: updated.stabilized_date,
+        horizonMonths: updated.horizon_months,
+        fiscalYearStartMonth: updated.fiscal_year_start,
         buildingImageUrl: updated.building_image_url,
+        preferredReturnPct: updated.preferred_return_pct,
+        noiDistributionMode: updated.noi_distribution_mode,
+        expenseInflation: updated.expense_inflation,
+        propertyTaxAssessment: updated.tax_assessment,
         owner: updated.owner,
         ownerId: updated.owner_id,
         collaborators: updated.project_collaborators,
@@ -1420,6 +1848,7 @@ router.post('/projects/:id/revenue', async (req, res) => {
         rent_budget: rentBudget || null,
         vacancy_pct: vacancy,
         start_month: start,
+        ...buildLeaseUpData(payload),
       },
     })
     res.status(201).json(mapRevenueRow(row))
@@ -1455,6 +1884,8 @@ router.post('/projects/:id/retail', async (req, res) => {
         rent_budget: rentBudget || null,
         vacancy_pct: vacancy,
         start_month: start,
+        ...buildLeaseUpData(payload),
+        ...buildRetailLeaseData(payload),
       },
     })
     res.status(201).json(mapRetailRow(row))
@@ -1485,6 +1916,7 @@ router.patch('/projects/:id/retail/:retailId', async (req, res) => {
   if (payload.rentBudget !== undefined) data.rent_budget = payload.rentBudget
   if (payload.vacancyPct !== undefined) data.vacancy_pct = payload.vacancyPct
   if (payload.startMonth !== undefined) data.start_month = payload.startMonth
+  Object.assign(data, buildLeaseUpData(payload), buildRetailLeaseData(payload))
 
   if (Object.keys(data).length === 0) return res.status(400).json({ error: 'No valid fields to update' })
 
@@ -1527,6 +1959,7 @@ router.patch('/projects/:id/revenue/:revenueId', async (req, res) => {
   if (payload.rentBudget !== undefined) data.rent_budget = payload.rentBudget
   if (payload.vacancyPct !== undefined) data.vacancy_pct = payload.vacancyPct
   if (payload.startMonth !== undefined) data.start_month = payload.startMonth
+  Object.assign(data, buildLeaseUpData(payload))
 
   if (Object.keys(data).length === 0) return res.status(400).json({ error: 'No valid fields to update' })
 
@@ -1548,10 +1981,7 @@ router.patch('/projects/:id/revenue/:revenueId', async (req, res) => {
 })
 
 router.post('/projects/:id/soft-costs', async (req, res) => {
-  const normalized = normalizeScheduledCostPayload(req.body, {
-    categoryField: 'softCategory',
-    allowedCategories: SOFT_COST_CATEGORIES,
-  })
+  const normalized = normalizeSoftCostPayload(req.body)
   if (normalized.error) return res.status(400).json({ error: normalized.error })
 
   if (SKIP_DB) {
@@ -1567,6 +1997,8 @@ router.post('/projects/:id/soft-costs', async (req, res) => {
       paymentMode: normalized.paymentMode,
       monthList: normalized.monthList || [],
       monthPercentages: normalized.monthPercentages || [],
+      costBasis: normalized.costBasis,
+      costPct: normalized.costPct,
     })
   }
 
@@ -1584,6 +2016,8 @@ router.post('/projects/:id/soft-costs', async (req, res) => {
         payment_mode: normalized.paymentMode,
         month_list: normalized.monthList ?? null,
         month_percentages: normalized.monthPercentages ?? null,
+        cost_basis: normalized.costBasis,
+        cost_pct: normalized.costPct,
       },
     })
     res.status(201).json(mapCostRow(row))
@@ -1593,10 +2027,7 @@ router.post('/projects/:id/soft-costs', async (req, res) => {
 })
 
 router.patch('/projects/:id/soft-costs/:costId', async (req, res) => {
-  const normalized = normalizeScheduledCostPayload(req.body, {
-    categoryField: 'softCategory',
-    allowedCategories: SOFT_COST_CATEGORIES,
-  })
+  const normalized = normalizeSoftCostPayload(req.body)
   if (normalized.error) return res.status(400).json({ error: normalized.error })
 
   if (SKIP_DB) {
@@ -1612,6 +2043,8 @@ router.patch('/projects/:id/soft-costs/:costId', async (req, res) => {
       paymentMode: normalized.paymentMode,
       monthList: normalized.monthList || [],
       monthPercentages: normalized.monthPercentages || [],
+      costBasis: normalized.costBasis,
+      costPct: normalized.costPct,
     })
   }
 
@@ -1628,6 +2061,8 @@ router.patch('/projects/:id/soft-costs/:costId', async (req, res) => {
         payment_mode: normalized.paymentMode,
         month_list: normalized.monthList ?? null,
         month_percentages: normalized.monthPercentages ?? null,
+        cost_basis: normalized.costBasis,
+        cost_pct: normalized.costPct,
       },
     })
     if (row.project_id !== req.params.id || row.category !== 'soft') {
@@ -1786,6 +2221,23 @@ router.delete('/projects/:id/leaseup-costs/:costId', async (req, res) => {
   }
 })
 
+const buildHardCostCreateData = (projectId, normalized) => ({
+  project_id: projectId,
+  category: 'hard',
+  cost_name: normalized.costName,
+  cost_group: normalized.categoryValue,
+  amount_usd: normalized.amountUsd,
+  payment_month: normalized.paymentMonth,
+  start_month: normalized.rangeStartMonth,
+  end_month: normalized.rangeEndMonth,
+  payment_mode: normalized.paymentMode,
+  month_list: normalized.monthList ?? null,
+  month_percentages: normalized.monthPercentages ?? null,
+  measurement_unit: normalized.measurementUnit,
+  price_per_unit: normalized.pricePerUnit,
+  units_count: normalized.unitsCount,
+})
+
 router.post('/projects/:id/hard-costs', async (req, res) => {
   const normalized = normalizeHardCostPayload(req.body)
   if (normalized.error) return res.status(400).json({ error: normalized.error })
@@ -1810,24 +2262,7 @@ router.post('/projects/:id/hard-costs', async (req, res) => {
   }
 
   try {
-    const row = await prisma.cost_items.create({
-      data: {
-        project_id: req.params.id,
-        category: 'hard',
-        cost_name: normalized.costName,
-        cost_group: normalized.categoryValue,
-        amount_usd: normalized.amountUsd,
-        payment_month: normalized.paymentMonth,
-        start_month: normalized.rangeStartMonth,
-        end_month: normalized.rangeEndMonth,
-        payment_mode: normalized.paymentMode,
-        month_list: normalized.monthList ?? null,
-        month_percentages: normalized.monthPercentages ?? null,
-        measurement_unit: normalized.measurementUnit,
-        price_per_unit: normalized.pricePerUnit,
-        units_count: normalized.unitsCount,
-      },
-    })
+    const row = await prisma.cost_items.create({ data: buildHardCostCreateData(req.params.id, normalized) })
     res.status(201).json(mapCostRow(row))
   } catch (err) {
     res.status(500).json({ error: 'Failed to add hard cost', details: err.message })
@@ -1914,42 +2349,260 @@ router.delete('/projects/:id/hard-costs/:costId', async (req, res) => {
   }
 })
 
-router.post('/projects/:id/carrying-costs', async (req, res) => {
-  const normalized = normalizeCarryingPayload(req.body)
-  if (normalized.error) return res.status(400).json({ error: normalized.error })
-  const costGroup =
-    normalized.carryingType === 'property_tax'
-      ? encodePropertyTaxGroup(normalized.propertyTaxPhase || 'construction')
-      : normalized.carryingType
+// ============================================
+// Hard Cost Construction Tracking
+// ============================================
+
+const hardCostNotFound = (req, res) =>
+  res.status(404).json({
+    error: 'Hard cost not found',
+    details: `Hard cost ${req.params.costId} does not exist for project ${req.params.id}`,
+  })
+
+const buildHardCostTrackingData = (payload) => {
+  const data = {}
+  if (payload.committedUsd !== undefined) data.committed_usd = payload.committedUsd
+  if (payload.invoicedUsd !== undefined) data.invoiced_usd = payload.invoicedUsd
+  if (payload.paidUsd !== undefined) data.paid_usd = payload.paidUsd
+  if (payload.retainageUsd !== undefined) data.retainage_usd = payload.retainageUsd
+  return data
+}
 
+const buildChangeOrderData = (payload) => {
+  const data = {}
+  if (payload.amountUsd !== undefined) data.amount_usd = payload.amountUsd
+  if (payload.reason !== undefined) data.reason = payload.reason
+  if (payload.approvedDate !== undefined) data.approved_date = toDateOnly(payload.approvedDate)
+  return data
+}
+
+router.patch('/projects/:id/hard-costs/:costId/tracking', async (req, res) => {
+  const payload = parseBody(hardCostTrackingSchema, req.body, res)
+  if (!payload) return
+  const data = buildHardCostTrackingData(payload)
+  if (Object.keys(data).length === 0) {
+    return res.status(400).json({ error: 'No valid fields to update' })
+  }
   if (SKIP_DB) {
-    return res.status(201).json({
-      id: `carry-${Date.now()}`,
-      category: 'carrying',
-      costName: normalized.costName,
-      costGroup,
-      carryingType: normalized.carryingType,
-      amountUsd: normalized.amountUsd,
-      startMonth: normalized.startMonth,
-      endMonth: normalized.endMonth,
-      intervalUnit: normalized.intervalUnit,
-      loanMode: normalized.loanMode,
-      loanAmountUsd: normalized.loanAmountUsd,
-      interestRatePct: normalized.interestRatePct,
-      loanTermMonths: normalized.loanTermMonths,
-      fundingMonth: normalized.fundingMonth,
-      repaymentStartMonth: normalized.repaymentStartMonth,
-      propertyTaxPhase: normalized.propertyTaxPhase || null,
+    return res.json({ id: req.params.costId, category: 'hard', ...payload })
+  }
+  try {
+    const result = await prisma.cost_items.updateMany({
+      where: { id: req.params.costId, project_id: req.params.id, category: 'hard' },
+      data,
     })
+    if (result.count === 0) return hardCostNotFound(req, res)
+    const row = await prisma.cost_items.findUnique({ where: { id: req.params.costId } })
+    res.json(mapCostRow(row))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update hard cost tracking', details: err.message })
   }
+})
 
+router.post('/projects/:id/hard-costs/:costId/change-orders', async (req, res) => {
+  const payload = parseBody(hardCostChangeOrderInputSchema, req.body, res)
+  if (!payload) return
+  if (SKIP_DB) {
+    return res.status(201).json({ id: `change-order-${Date.now()}`, costItemId: req.params.costId, ...payload })
+  }
   try {
-    const row = await prisma.cost_items.create({
-      data: {
-        project_id: req.params.id,
-        category: 'carrying',
-        cost_name: normalized.costName,
-        cost_group: costGroup,
+    const costItem = await prisma.cost_items.findFirst({
+      where: { id: req.params.costId, project_id: req.params.id, category: 'hard' },
+      select: { id: true },
+    })
+    if (!costItem) return hardCostNotFound(req, res)
+    const row = await prisma.cost_change_orders.create({
+      data: { project_id: req.params.id, cost_item_id: costItem.id, ...buildChangeOrderData(payload) },
+    })
+    res.status(201).json(mapChangeOrderRow(row))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to add change order', details: err.message })
+  }
+})
+
+router.patch('/projects/:id/hard-costs/:costId/change-orders/:changeOrderId', async (req, res) => {
+  const payload = parseBody(hardCostChangeOrderUpdateSchema, req.body, res)
+  if (!payload) return
+  const data = buildChangeOrderData(payload)
+  if (Object.keys(data).length === 0) {
+    return res.status(400).json({ error: 'No valid fields to update' })
+  }
+  if (SKIP_DB) {
+    return res.json({ id: req.params.changeOrderId, costItemId: req.params.costId, ...payload })
+  }
+  try {
+    const result = await prisma.cost_change_orders.updateMany({
+      where: { id: req.params.changeOrderId, cost_item_id: req.params.costId, project_id: req.params.id },
+      data,
+    })
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Change order not found' })
+    }
+    const row = await prisma.cost_change_orders.findUnique({ where: { id: req.params.changeOrderId } })
+    res.json(mapChangeOrderRow(row))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update change order', details: err.message })
+  }
+})
+
+router.delete('/projects/:id/hard-costs/:costId/change-orders/:changeOrderId', async (req, res) => {
+  if (SKIP_DB) return res.json({ id: req.params.changeOrderId, deleted: true })
+  try {
+    const result = await prisma.cost_change_orders.deleteMany({
+      where: { id: req.params.changeOrderId, cost_item_id: req.params.costId, project_id: req.params.id },
+    })
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Change order not found' })
+    }
+    res.json({ id: req.params.changeOrderId, deleted: true })
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete change order', details: err.message })
+  }
+})
+
+// ============================================
+// Hard Cost Bid Import (CSV / XLSX)
+// ============================================
+
+const createSpreadsheetUpload = (noun) =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+      if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+        cb(null, true)
+      } else {
+        cb(new Error(`Invalid file type. Only CSV and XLSX ${noun} are supported.`))
+      }
+    },
+  })
+
+const bidUpload = createSpreadsheetUpload('bids')
+
+const parseBidMapping = (raw) => {
+  if (!raw) return null
+  try {
+    const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null
+  } catch {
+    return null
+  }
+}
+
+// Preview never writes: every row is mapped and run through normalizeHardCostPayload
+// so the client can show the same errors the create endpoint would return.
+router.post('/projects/:id/hard-costs/import/preview', (req, res, next) => {
+  bidUpload.single('file')(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message })
+    next()
+  })
+}, async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'file is required' })
+
+  try {
+    const { headers, rows } = await readBidSpreadsheet(req.file.buffer, {
+      filename: req.file.originalname,
+      mimetype: req.file.mimetype,
+    })
+    if (!headers.length) return res.status(400).json({ error: 'The spreadsheet is empty' })
+
+    const mapping = parseBidMapping(req.body.mapping) || suggestBidMapping(headers)
+    const previewRows = rows.map(({ rowNumber, cells }) => {
+      const payload = mapBidRow(cells, mapping)
+      const normalized = normalizeHardCostPayload(payload)
+      return { rowNumber, cells, payload, error: normalized.error || null }
+    })
+    const errorCount = previewRows.filter((row) => row.error).length
+
+    res.json({
+      fields: HARD_COST_IMPORT_FIELDS.map(({ id, label }) => ({ id, label })),
+      headers,
+      mapping,
+      rows: previewRows,
+      validCount: previewRows.length - errorCount,
+      errorCount,
+    })
+  } catch (err) {
+    res.status(400).json({ error: 'Failed to read bid spreadsheet', details: err.message })
+  }
+})
+
+// All rows are created in one transaction; a single invalid row rejects the batch.
+router.post('/projects/:id/hard-costs/import', async (req, res) => {
+  const payloads = Array.isArray(req.body?.rows) ? req.body.rows : []
+  if (!payloads.length) return res.status(400).json({ error: 'rows must include at least one hard cost' })
+  if (payloads.length > BID_IMPORT_MAX_ROWS) {
+    return res.status(400).json({ error: `A bid import is limited to ${BID_IMPORT_MAX_ROWS} rows` })
+  }
+
+  const normalizedRows = payloads.map((payload) => normalizeHardCostPayload(payload || {}))
+  const rowErrors = normalizedRows
+    .map((normalized, index) => (normalized.error ? { index, error: normalized.error } : null))
+    .filter(Boolean)
+  if (rowErrors.length) {
+    return res.status(400).json({
+      error: `${rowErrors.length} row${rowErrors.length === 1 ? '' : 's'} failed validation`,
+      rows: rowErrors,
+    })
+  }
+
+  if (SKIP_DB) {
+    return res.status(201).json({
+      created: normalizedRows.map((normalized, index) =>
+        mapCostRow({ id: `hard-${Date.now()}-${index}`, ...buildHardCostCreateData(req.params.id, normalized) }),
+      ),
+    })
+  }
+
+  try {
+    const rows = await prisma.$transaction(
+      normalizedRows.map((normalized) =>
+        prisma.cost_items.create({ data: buildHardCostCreateData(req.params.id, normalized) }),
+      ),
+    )
+    res.status(201).json({ created: rows.map(mapCostRow) })
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to import hard costs', details: err.message })
+  }
+})
+
+router.post('/projects/:id/carrying-costs', async (req, res) => {
+  const normalized = normalizeCarryingPayload(req.body)
+  if (normalized.error) return res.status(400).json({ error: normalized.error })
+  const costGroup = resolveCarryingGroup(normalized)
+
+  if (SKIP_DB) {
+    return res.status(201).json({
+      id: `carry-${Date.now()}`,
+      category: 'carrying',
+      costName: normalized.costName,
+      costGroup,
+      carryingType: normalized.carryingType,
+      amountUsd: normalized.amountUsd,
+      startMonth: normalized.startMonth,
+      endMonth: normalized.endMonth,
+      intervalUnit: normalized.intervalUnit,
+      loanMode: normalized.loanMode,
+      loanAmountUsd: normalized.loanAmountUsd,
+      interestRatePct: normalized.interestRatePct,
+      loanTermMonths: normalized.loanTermMonths,
+      fundingMonth: normalized.fundingMonth,
+      repaymentStartMonth: normalized.repaymentStartMonth,
+      constructionTerms: normalized.constructionTerms,
+      propertyTaxPhase: normalized.propertyTaxPhase || null,
+      opexCategory: normalized.opexCategory ?? null,
+      opexBasis: normalized.opexBasis ?? null,
+      opexRate: normalized.opexRate ?? null,
+    })
+  }
+
+  try {
+    const row = await prisma.cost_items.create({
+      data: {
+        project_id: req.params.id,
+        category: 'carrying',
+        cost_name: normalized.costName,
+        cost_group: costGroup,
         amount_usd: normalized.amountUsd,
         start_month: normalized.startMonth,
         end_month: normalized.endMonth,
@@ -1960,7 +2613,10 @@ router.post('/projects/:id/carrying-costs', async (req, res) => {
         interest_rate_pct: normalized.interestRatePct,
         funding_month: normalized.fundingMonth,
         repayment_start_month: normalized.repaymentStartMonth,
+        construction_terms: normalized.constructionTerms ?? Prisma.DbNull,
         interval_unit: normalized.intervalUnit,
+        opex_basis: normalized.opexBasis ?? null,
+        opex_rate: normalized.opexRate ?? null,
       },
     })
     res.status(201).json(mapCostRow(row))
@@ -1972,10 +2628,7 @@ router.post('/projects/:id/carrying-costs', async (req, res) => {
 router.patch('/projects/:id/carrying-costs/:costId', async (req, res) => {
   const normalized = normalizeCarryingPayload(req.body)
   if (normalized.error) return res.status(400).json({ error: normalized.error })
-  const costGroup =
-    normalized.carryingType === 'property_tax'
-      ? encodePropertyTaxGroup(normalized.propertyTaxPhase || 'construction')
-      : normalized.carryingType
+  const costGroup = resolveCarryingGroup(normalized)
 
   if (SKIP_DB) {
     return res.json({
@@ -1994,7 +2647,11 @@ router.patch('/projects/:id/carrying-costs/:costId', async (req, res) => {
       loanTermMonths: normalized.loanTermMonths,
       fundingMonth: normalized.fundingMonth,
       repaymentStartMonth: normalized.repaymentStartMonth,
+      constructionTerms: normalized.constructionTerms,
       propertyTaxPhase: normalized.propertyTaxPhase || null,
+      opexCategory: normalized.opexCategory ?? null,
+      opexBasis: normalized.opexBasis ?? null,
+      opexRate: normalized.opexRate ?? null,
     })
   }
 
@@ -2014,7 +2671,10 @@ router.patch('/projects/:id/carrying-costs/:costId', async (req, res) => {
         interest_rate_pct: normalized.interestRatePct,
         funding_month: normalized.fundingMonth,
         repayment_start_month: normalized.repaymentStartMonth,
+        construction_terms: normalized.constructionTerms ?? Prisma.DbNull,
         interval_unit: normalized.intervalUnit,
+        opex_basis: normalized.opexBasis ?? null,
+        opex_rate: normalized.opexRate ?? null,
       },
     })
     if (row.project_id !== req.params.id || row.category !== 'carrying') {
@@ -2107,6 +2767,7 @@ router.post('/projects/:id/parking', async (req, res) => {
         monthly_rent_usd: payload.monthlyRentUsd,
         vacancy_pct: payload.vacancyPct ?? 5,
         start_month: payload.startMonth ?? 0,
+        ...buildLeaseUpData(payload),
       },
     })
     res.status(201).json(mapParkingRow(row))
@@ -2130,6 +2791,7 @@ router.patch('/projects/:id/parking/:parkingId', async (req, res) => {
         ...(payload.monthlyRentUsd !== undefined && { monthly_rent_usd: payload.monthlyRentUsd }),
         ...(payload.vacancyPct !== undefined && { vacancy_pct: payload.vacancyPct }),
         ...(payload.startMonth !== undefined && { start_month: payload.startMonth }),
+        ...buildLeaseUpData(payload),
       },
     })
     if (row.project_id !== req.params.id) {
@@ -2168,6 +2830,82 @@ router.delete('/projects/:id/parking/:parkingId', async (req, res) => {
   }
 })
 
+router.post('/projects/:id/other-income', async (req, res) => {
+  const payload = parseBody(otherIncomeInputSchema, req.body, res)
+  if (!payload) return
+  if (SKIP_DB) {
+    return res.status(201).json({
+      id: `other-${Date.now()}`,
+      ...payload,
+    })
+  }
+  try {
+    const row = await prisma.other_income_items.create({
+      data: {
+        project_id: req.params.id,
+        type_label: payload.typeLabel,
+        income_type: payload.incomeType,
+        amount_basis: payload.amountBasis,
+        monthly_amount_usd: payload.monthlyAmountUsd,
+        vacancy_pct: payload.vacancyPct ?? 5,
+        start_month: payload.startMonth ?? 0,
+      },
+    })
+    res.status(201).json(mapOtherIncomeRow(row))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to add other income', details: err.message })
+  }
+})
+
+router.patch('/projects/:id/other-income/:incomeId', async (req, res) => {
+  const payload = parseBody(otherIncomeUpdateSchema, req.body, res)
+  if (!payload) return
+  if (SKIP_DB) {
+    return res.json({ id: req.params.incomeId, ...payload })
+  }
+  try {
+    const result = await prisma.other_income_items.updateMany({
+      where: { id: req.params.incomeId, project_id: req.params.id },
+      data: {
+        ...(payload.typeLabel !== undefined && { type_label: payload.typeLabel }),
+        ...(payload.incomeType !== undefined && { income_type: payload.incomeType }),
+        ...(payload.amountBasis !== undefined && { amount_basis: payload.amountBasis }),
+        ...(payload.monthlyAmountUsd !== undefined && { monthly_amount_usd: payload.monthlyAmountUsd }),
+        ...(payload.vacancyPct !== undefined && { vacancy_pct: payload.vacancyPct }),
+        ...(payload.startMonth !== undefined && { start_month: payload.startMonth }),
+      },
+    })
+    if (result.count === 0) {
+      return res.status(404).json({
+        error: 'Other income not found',
+        details: `Other income item ${req.params.incomeId} does not exist for project ${req.params.id}`,
+      })
+    }
+    const row = await prisma.other_income_items.findUnique({ where: { id: req.params.incomeId } })
+    res.json(mapOtherIncomeRow(row))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update other income', details: err.message })
+  }
+})
+
+router.delete('/projects/:id/other-income/:incomeId', async (req, res) => {
+  if (SKIP_DB) return res.json({ id: req.params.incomeId, deleted: true })
+  try {
+    const result = await prisma.other_income_items.deleteMany({
+      where: { id: req.params.incomeId, project_id: req.params.id },
+    })
+    if (result.count === 0) {
+      return res.status(404).json({
+        error: 'Other income not found',
+        details: `Other income item ${req.params.incomeId} does not exist for project ${req.params.id}`,
+      })
+    }
+    res.json({ id: req.params.incomeId, deleted: true })
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete other income', details: err.message })
+  }
+})
+
 router.post('/projects/:id/gp-contributions', async (req, res) => {
   const payload = parseBody(gpContributionInputSchema, req.body, res)
   if (!payload) return
@@ -2242,6 +2980,559 @@ router.delete('/projects/:id/gp-contributions/:contributionId', async (req, res)
   }
 })
 
+// ============================================================================
+// Cashflow Entries (budget vs. actual)
+// ============================================================================
+
+const CASHFLOW_ENTRY_COLUMNS = {
+  budgetInflows: 'budget_inflows',
+  budgetOutflows: 'budget_outflows',
+  actualInflows: 'actual_inflows',
+  actualOutflows: 'actual_outflows',
+  notes: 'notes',
+}
+
+const buildCashflowEntryData = (payload) => {
+  const data = {}
+  Object.entries(CASHFLOW_ENTRY_COLUMNS).forEach(([field, column]) => {
+    if (payload[field] !== undefined) data[column] = payload[field]
+  })
+  return data
+}
+
+router.get('/projects/:id/cashflow-entries', async (req, res) => {
+  if (SKIP_DB) {
+    return res.json(stubProject.cashflow)
+  }
+  try {
+    const entries = await prisma.cashflow_entries.findMany({
+      where: { project_id: req.params.id },
+      orderBy: [{ month_index: 'asc' }, { line_item: 'asc' }],
+    })
+    res.json(entries.map(mapCashflowRow))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load cashflow entries', details: err.message })
+  }
+})
+
+router.get('/projects/:id/cashflow/actuals', async (req, res) => {
+  if (SKIP_DB) {
+    const cashflow = buildProjectCashflow(stubProject)
+    return res.json(buildCashflowActuals(cashflow.rows, stubProject.cashflow, cashflow.months.length))
+  }
+  try {
+    const project = await loadProjectDetail(req.params.id, req.user)
+    if (!project) return res.status(404).json({ error: 'Project not found' })
+    const cashflow = buildProjectCashflow(project)
+    res.json(buildCashflowActuals(cashflow.rows, project.cashflow, cashflow.months.length))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to build budget vs. actual', details: err.message })
+  }
+})
+
+router.post('/projects/:id/cashflow-entries', async (req, res) => {
+  const payload = parseBody(cashflowEntryInputSchema, req.body, res)
+  if (!payload) return
+  if (SKIP_DB) {
+    return res.status(201).json({
+      id: `cashflow-entry-${Date.now()}`,
+      budgetInflows: null,
+      budgetOutflows: null,
+      actualInflows: null,
+      actualOutflows: null,
+      notes: null,
+      ...payload,
+      updatedAt: new Date().toISOString(),
+    })
+  }
+  try {
+    const row = await prisma.cashflow_entries.create({
+      data: {
+        project_id: req.params.id,
+        month_index: payload.monthIndex,
+        line_item: payload.lineItem,
+        ...buildCashflowEntryData(payload),
+      },
+    })
+    res.status(201).json(mapCashflowRow(row))
+  } catch (err) {
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'An entry already exists for this month and line item' })
+    }
+    res.status(500).json({ error: 'Failed to add cashflow entry', details: err.message })
+  }
+})
+
+router.patch('/projects/:id/cashflow-entries/:entryId', async (req, res) => {
+  const payload = parseBody(cashflowEntryUpdateSchema, req.body, res)
+  if (!payload) return
+  if (Object.keys(payload).length === 0) {
+    return res.status(400).json({ error: 'No valid fields to update' })
+  }
+  if (SKIP_DB) {
+    return res.json({ id: req.params.entryId, ...payload })
+  }
+  try {
+    const result = await prisma.cashflow_entries.updateMany({
+      where: { id: req.params.entryId, project_id: req.params.id },
+      data: buildCashflowEntryData(payload),
+    })
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Cashflow entry not found' })
+    }
+    const row = await prisma.cashflow_entries.findUnique({ where: { id: req.params.entryId } })
+    res.json(mapCashflowRow(row))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update cashflow entry', details: err.message })
+  }
+})
+
+router.delete('/projects/:id/cashflow-entries/:entryId', async (req, res) => {
+  if (SKIP_DB) return res.json({ id: req.params.entryId, deleted: true })
+  try {
+    const result = await prisma.cashflow_entries.deleteMany({
+      where: { id: req.params.entryId, project_id: req.params.id },
+    })
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Cashflow entry not found' })
+    }
+    res.json({ id: req.params.entryId, deleted: true })
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete cashflow entry', details: err.message })
+  }
+})
+
+// ============================================================================
+// Project Scenarios
+// ============================================================================
+
+const mapScenarioRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  adjustments: parseJsonField(row.adjustments) || {},
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+})
+
+router.get('/projects/:id/scenarios', async (req, res) => {
+  if (SKIP_DB) {
+    return res.json(stubProject.scenarios)
+  }
+  try {
+    const scenarios = await prisma.project_scenarios.findMany({
+      where: { project_id: req.params.id },
+      orderBy: { created_at: 'asc' },
+    })
+    res.json(scenarios.map(mapScenarioRow))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load scenarios', details: err.message })
+  }
+})
+
+router.get('/projects/:id/scenarios/compare', async (req, res) => {
+  if (SKIP_DB) {
+    return res.json(compareScenarios(stubProject, stubProject.scenarios))
+  }
+  try {
+    const project = await loadProjectDetail(req.params.id, req.user)
+    if (!project) return res.status(404).json({ error: 'Project not found' })
+    res.json(compareScenarios(project, project.scenarios))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to compare scenarios', details: err.message })
+  }
+})
+
+router.post('/projects/:id/scenarios', async (req, res) => {
+  const payload = parseBody(scenarioInputSchema, req.body, res)
+  if (!payload) return
+  if (SKIP_DB) {
+    return res.status(201).json({
+      id: `scenario-${Date.now()}`,
+      description: null,
+      ...payload,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    })
+  }
+  try {
+    const row = await prisma.project_scenarios.create({
+      data: {
+        project_id: req.params.id,
+        name: payload.name,
+        description: payload.description ?? null,
+        adjustments: payload.adjustments,
+      },
+    })
+    res.status(201).json(mapScenarioRow(row))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to add scenario', details: err.message })
+  }
+})
+
+router.patch('/projects/:id/scenarios/:scenarioId', async (req, res) => {
+  const payload = parseBody(scenarioUpdateSchema, req.body, res)
+  if (!payload) return
+  if (Object.keys(payload).length === 0) {
+    return res.status(400).json({ error: 'No valid fields to update' })
+  }
+  if (SKIP_DB) {
+    return res.json({ id: req.params.scenarioId, ...payload })
+  }
+  try {
+    const result = await prisma.project_scenarios.updateMany({
+      where: { id: req.params.scenarioId, project_id: req.params.id },
+      data: {
+        ...(payload.name !== undefined && { name: payload.name }),
+        ...(payload.description !== undefined && { description: payload.description }),
+        ...(payload.adjustments !== undefined && { adjustments: payload.adjustments }),
+      },
+    })
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Scenario not found' })
+    }
+    const row = await prisma.project_scenarios.findUnique({ where: { id: req.params.scenarioId } })
+    res.json(mapScenarioRow(row))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to update scenario', details: err.message })
+  }
+})
+
+router.delete('/projects/:id/scenarios/:scenarioId', async (req, res) => {
+  if (SKIP_DB) return res.json({ id: req.params.scenarioId, deleted: true })
+  try {
+    const result = await prisma.project_scenarios.deleteMany({
+      where: { id: req.params.scenarioId, project_id: req.params.id },
+    })
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Scenario not found' })
+    }
+    res.json({ id: req.params.scenarioId, deleted: true })
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete scenario', details: err.message })
+  }
+})
+
+// ============================================================================
+// Project Capital Events (refinance, sale)
+// ============================================================================
+
+const capitalEventSchemas = {
+  refinance: refinanceEventInputSchema,
+  sale: saleEventInputSchema,
+}
+
+const mapCapitalEventRow = (row) => ({
+  id: row.id,
+  eventType: row.event_type,
+  eventMonth: toInt(row.event_month),
+  terms: parseJsonField(row.terms) || {},
+  updatedAt: row.updated_at,
+})
+
+router.put('/projects/:id/capital-events/:eventType', async (req, res) => {
+  const schema = capitalEventSchemas[req.params.eventType]
+  if (!schema) return res.status(400).json({ error: `Unknown capital event type: ${req.params.eventType}` })
+  const payload = parseBody(schema, req.body, res)
+  if (!payload) return
+  if (SKIP_DB) {
+    return res.json({
+      id: `capital-event-${req.params.eventType}`,
+      eventType: req.params.eventType,
+      ...payload,
+      updatedAt: new Date().toISOString(),
+    })
+  }
+  try {
+    const data = { event_month: payload.eventMonth, terms: payload.terms }
+    const row = await prisma.project_capital_events.upsert({
+      where: { project_id_event_type: { project_id: req.params.id, event_type: req.params.eventType } },
+      create: { project_id: req.params.id, event_type: req.params.eventType, ...data },
+      update: data,
+    })
+    res.json(mapCapitalEventRow(row))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save capital event', details: err.message })
+  }
+})
+
+router.delete('/projects/:id/capital-events/:eventType', async (req, res) => {
+  if (SKIP_DB) return res.json({ eventType: req.params.eventType, deleted: true })
+  try {
+    const result = await prisma.project_capital_events.deleteMany({
+      where: { project_id: req.params.id, event_type: req.params.eventType },
+    })
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Capital event not found' })
+    }
+    res.json({ eventType: req.params.eventType, deleted: true })
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete capital event', details: err.message })
+  }
+})
+
+// ============================================================================
+// Project Rent Roll
+// ============================================================================
+
+const toDateOnly = (value) => (value ? new Date(value) : null)
+const formatDateOnly = (value) => (value ? value.toISOString().split('T')[0] : null)
+
+const mapRentRollUnitRow = (row) => ({
+  id: row.id,
+  apartmentTypeId: row.apartment_type_id,
+  unitNumber: row.unit_number,
+  unitSqft: row.unit_sqft,
+  tenantName: row.tenant_name,
+  leaseStart: formatDateOnly(row.lease_start),
+  leaseEnd: formatDateOnly(row.lease_end),
+  contractRent: toNumber(row.contract_rent),
+  marketRent: toNumber(row.market_rent),
+  status: row.status,
+  updatedAt: row.updated_at ?? null,
+})
+
+const buildRentRollUnitData = (payload) => {
+  const data = {}
+  if (payload.unitNumber !== undefined) data.unit_number = payload.unitNumber
+  if (payload.apartmentTypeId !== undefined) data.apartment_type_id = payload.apartmentTypeId
+  if (payload.unitSqft !== undefined) data.unit_sqft = payload.unitSqft
+  if (payload.tenantName !== undefined) data.tenant_name = payload.tenantName
+  if (payload.leaseStart !== undefined) data.lease_start = toDateOnly(payload.leaseStart)
+  if (payload.leaseEnd !== undefined) data.lease_end = toDateOnly(payload.leaseEnd)
+  if (payload.contractRent !== undefined) data.contract_rent = payload.contractRent
+  if (payload.marketRent !== undefined) data.market_rent = payload.marketRent
+  if (payload.status !== undefined) data.status = payload.status
+  return data
+}
+
+const DUPLICATE_UNIT_ERROR = 'A unit with this number is already on the rent roll'
+
+const isProjectApartmentType = async (projectId, apartmentTypeId) => {
+  if (!apartmentTypeId) return true
+  const type = await prisma.apartment_types.findFirst({
+    where: { id: apartmentTypeId, project_id: projectId },
+    select: { id: true },
+  })
+  return Boolean(type)
+}
+
+router.get('/projects/:id/rent-roll', async (req, res) => {
+  if (SKIP_DB) {
+    return res.json(stubProject.rentRoll)
+  }
+  try {
+    const rows = await prisma.rent_roll_units.findMany({
+      where: { project_id: req.params.id },
+      orderBy: { unit_number: 'asc' },
+    })
+    res.json(rows.map(mapRentRollUnitRow))
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load rent roll', details: err.message })
+  }
+})
+
+router.post('/projects/:id/rent-roll', async (req, res) => {
+  const payload = parseBody(rentRollUnitInputSchema, req.body, res)
+  if (!payload) return
+  if (SKIP_DB) {
+    return res.status(201).json({ id: `unit-${Date.now()}`, ...payload, updatedAt: new Date().toISOString() })
+  }
+  try {
+    if (!(await isProjectApartmentType(req.params.id, payload.apartmentTypeId))) {
+      return res.status(400).json({ error: 'Apartment type not found on this project' })
+    }
+    const row = await prisma.rent_roll_units.create({
+      data: { project_id: req.params.id, ...buildRentRollUnitData(payload) },
+    })
+    res.status(201).json(mapRentRollUnitRow(row))
+  } catch (err) {
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: DUPLICATE_UNIT_ERROR })
+    }
+    res.status(500).json({ error: 'Failed to add rent roll unit', details: err.message })
+  }
+})
+
+router.patch('/projects/:id/rent-roll/:unitId', async (req, res) => {
+  const payload = parseBody(rentRollUnitUpdateSchema, req.body, res)
+  if (!payload) return
+  const data = buildRentRollUnitData(payload)
+  if (Object.keys(data).length === 0) {
+    return res.status(400).json({ error: 'No valid fields to update' })
+  }
+  if (SKIP_DB) {
+    return res.json({ id: req.params.unitId, ...payload })
+  }
+  try {
+    if (!(await isProjectApartmentType(req.params.id, payload.apartmentTypeId))) {
+      return res.status(400).json({ error: 'Apartment type not found on this project' })
+    }
+    const result = await prisma.rent_roll_units.updateMany({
+      where: { id: req.params.unitId, project_id: req.params.id },
+      data,
+    })
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Rent roll unit not found' })
+    }
+    const row = await prisma.rent_roll_units.findUnique({ where: { id: req.params.unitId } })
+    res.json(mapRentRollUnitRow(row))
+  } catch (err) {
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: DUPLICATE_UNIT_ERROR })
+    }
+    res.status(500).json({ error: 'Failed to update rent roll unit', details: err.message })
+  }
+})
+
+router.delete('/projects/:id/rent-roll/:unitId', async (req, res) => {
+  if (SKIP_DB) return res.json({ id: req.params.unitId, deleted: true })
+  try {
+    const result = await prisma.rent_roll_units.deleteMany({
+      where: { id: req.params.unitId, project_id: req.params.id },
+    })
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Rent roll unit not found' })
+    }
+    res.json({ id: req.params.unitId, deleted: true })
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete rent roll unit', details: err.message })
+  }
+})
+
+// Rent roll import (CSV / XLSX exports from property-management systems)
+
+const rentRollUpload = createSpreadsheetUpload('rent rolls')
+
+const loadRentRollImportContext = async (projectId) => {
+  if (SKIP_DB) {
+    return {
+      units: stubProject.rentRoll,
+      apartmentTypes: stubProject.revenue,
+      retailSpaces: stubProject.retailRevenue,
+    }
+  }
+  const [units, apartmentTypes, retailSpaces] = await Promise.all([
+    prisma.rent_roll_units.findMany({ where: { project_id: projectId } }),
+    prisma.apartment_types.findMany({ where: { project_id: projectId }, orderBy: { created_at: 'asc' } }),
+    prisma.retail_spaces.findMany({ where: { project_id: projectId }, orderBy: { created_at: 'asc' } }),
+  ])
+  return {
+    units: units.map(mapRentRollUnitRow),
+    apartmentTypes: apartmentTypes.map(mapRevenueRow),
+    retailSpaces: retailSpaces.map(mapRetailRow),
+  }
+}
+
+// Preview never writes: it returns the mapped rows and the plan the import
+// endpoint would apply, including which unit types would be created.
+router.post('/projects/:id/rent-roll/import/preview', (req, res, next) => {
+  rentRollUpload.single('file')(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message })
+    next()
+  })
+}, async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'file is required' })
+
+  let spreadsheet
+  try {
+    spreadsheet = await readImportSpreadsheet(req.file.buffer, {
+      filename: req.file.originalname,
+      mimetype: req.file.mimetype,
+      maxRows: RENT_ROLL_IMPORT_MAX_ROWS,
+    })
+  } catch (err) {
+    return res.status(400).json({ error: 'Failed to read rent roll spreadsheet', details: err.message })
+  }
+  const { headers, rows } = spreadsheet
+  if (!headers.length) return res.status(400).json({ error: 'The spreadsheet is empty' })
+
+  try {
+    const mapping = parseBidMapping(req.body.mapping) || suggestRentRollMapping(headers)
+    const mappedRows = rows.map(({ rowNumber, cells }) => ({ rowNumber, cells, payload: mapRentRollRow(cells, mapping) }))
+    const plan = buildRentRollImportPlan(mappedRows, await loadRentRollImportContext(req.params.id))
+
+    res.json({
+      fields: RENT_ROLL_IMPORT_FIELDS.map(({ id, label }) => ({ id, label })),
+      headers,
+      mapping,
+      rows: plan.rows.map((row, index) => ({ ...row, cells: mappedRows[index].cells })),
+      types: plan.types,
+      missingUnits: plan.missingUnits,
+      counts: plan.counts,
+    })
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to preview rent roll import', details: err.message })
+  }
+})
+
+// The plan is rebuilt from the posted rows so the apply matches the current
+// roll; any invalid or duplicate row rejects the batch. Types, retail unit
+// counts and units are written in one transaction.
+router.post('/projects/:id/rent-roll/import', async (req, res) => {
+  const payloads = Array.isArray(req.body?.rows) ? req.body.rows : []
+  if (!payloads.length) return res.status(400).json({ error: 'rows must include at least one unit' })
+  if (payloads.length > RENT_ROLL_IMPORT_MAX_ROWS) {
+    return res.status(400).json({ error: `A rent roll import is limited to ${RENT_ROLL_IMPORT_MAX_ROWS} rows` })
+  }
+
+  try {
+    const plan = buildRentRollImportPlan(
+      payloads.map((payload) => ({ payload: payload || {} })),
+      await loadRentRollImportContext(req.params.id),
+    )
+    const rowErrors = plan.rows
+      .map((row, index) => (row.error ? { index, error: row.error } : null))
+      .filter(Boolean)
+    if (rowErrors.length) {
+      return res.status(400).json({
+        error: `${rowErrors.length} row${rowErrors.length === 1 ? '' : 's'} failed validation`,
+        rows: rowErrors,
+      })
+    }
+
+    const writes = buildRentRollImportWrites(plan)
+    const summary = {
+      created: plan.counts.create,
+      updated: plan.counts.update,
+      unchanged: plan.counts.unchanged,
+      typesCreated: writes.newTypes.length,
+      retailSpacesUpdated: writes.retailUpdates.length,
+    }
+    if (SKIP_DB) return res.json(summary)
+
+    // A batched (not interactive) transaction, so a full-size roll is not cut off by the interactive timeout.
+    await prisma.$transaction([
+      prisma.apartment_types.createMany({
+        data: writes.newTypes.map((type) => ({
+          id: type.id,
+          project_id: req.params.id,
+          type_label: type.typeLabel,
+          unit_count: type.unitCount,
+          rent_budget: type.rentBudget,
+          vacancy_pct: 5,
+          start_month: 0,
+        })),
+      }),
+      ...writes.retailUpdates.map((type) =>
+        prisma.retail_spaces.update({ where: { id: type.id }, data: { unit_count: type.unitCount } }),
+      ),
+      prisma.rent_roll_units.createMany({
+        data: writes.unitCreates.map((unit) => ({ project_id: req.params.id, ...buildRentRollUnitData(unit) })),
+      }),
+      ...writes.unitUpdates.map(({ id, unit }) =>
+        prisma.rent_roll_units.update({ where: { id }, data: buildRentRollUnitData(unit) }),
+      ),
+    ])
+    res.json(summary)
+  } catch (err) {
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: DUPLICATE_UNIT_ERROR })
+    }
+    res.status(500).json({ error: 'Failed to import rent roll', details: err.message })
+  }
+})
+
 // ============================================================================
 // Project Documents
 // ============================================================================
@@ -3595,6 +4886,7 @@ const mapAdminEntity = (row) => ({
   legalStructure: row.legal_structure,
   taxStatus: row.tax_status,
   linkedProjectId: row.linked_project_id,
+  pdfBranding: row.pdf_branding ?? null,
   createdAt: row.created_at.toISOString(),
   updatedAt: row.updated_at.toISOString(),
 })
@@ -3724,11 +5016,13 @@ router.post('/admin/entities', requireSuperAdmin, async (req, res) => {
   if (!name || !entityType) {
     return res.status(400).json({ error: 'name and entityType are required' })
   }
+  const pdfBranding = req.body.pdfBranding ? parseBody(pdfBrandingSchema, req.body.pdfBranding, res) : null
+  if (req.body.pdfBranding && !pdfBranding) return
   if (SKIP_DB) {
     return res.status(201).json({
       id: `entity-${Date.now()}`,
       name, entityType, ein, stateOfFormation, formationDate, registeredAgent, address, status: status || 'active', notes,
-      companyType, legalStructure, taxStatus, linkedProjectId,
+      companyType, legalStructure, taxStatus, linkedProjectId, pdfBranding,
       ownerId: 'stub-user',
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
@@ -3752,6 +5046,7 @@ router.post('/admin/entities', requireSuperAdmin, async (req, res) => {
         legal_structure: legalStructure || null,
         tax_status: taxStatus || null,
         linked_project_id: linkedProjectId || null,
+        pdf_branding: pdfBranding ?? undefined,
       },
     })
     res.status(201).json(mapAdminEntity(row))
@@ -3778,6 +5073,15 @@ router.patch('/admin/entities/:id', requireSuperAdmin, async (req, res) => {
   if (legalStructure !== undefined) data.legal_structure = legalStructure
   if (taxStatus !== undefined) data.tax_status = taxStatus
   if (linkedProjectId !== undefined) data.linked_project_id = linkedProjectId
+  if (req.body.pdfBranding !== undefined) {
+    if (req.body.pdfBranding === null) {
+      data.pdf_branding = Prisma.DbNull
+    } else {
+      const pdfBranding = parseBody(pdfBrandingSchema, req.body.pdfBranding, res)
+      if (!pdfBranding) return
+      data.pdf_branding = pdfBranding
+    }
+  }
 
   if (Object.keys(data).length === 0) {
     return res.status(400).json({ error: 'No fields to update' })
@@ -1,16 +1,31 @@
 import { coerceInt, coerceNumberStrict } from './dataTransforms.js'
 
-export const CARRYING_TYPES = ['loan', 'property_tax', 'management']
-export const LOAN_MODES = ['interest_only', 'amortizing']
+export const CARRYING_TYPES = ['loan', 'property_tax', 'management', 'opex']
+export const LOAN_MODES = ['interest_only', 'amortizing', 'construction']
+export const CONSTRUCTION_DRAW_CATEGORIES = ['purchase', 'hard', 'soft']
 export const INTERVAL_UNITS = ['monthly', 'quarterly', 'yearly']
 export const PROPERTY_TAX_PHASES = ['construction', 'stabilized']
+export const OPEX_CATEGORIES = ['insurance', 'utilities', 'repairs_maintenance', 'payroll', 'reserves', 'hoa', 'other']
+export const OPEX_BASES = ['fixed', 'per_unit', 'per_sqft', 'pct_egi']
 
 const PROPERTY_TAX_PREFIX = 'property_tax_'
+const OPEX_PREFIX = 'opex_'
 
 const defaultCarryingTitles = {
   loan: 'Loan',
   property_tax: 'Property Tax',
   management: 'Management Fee',
+  opex: 'Operating Expense',
+}
+
+const opexTitles = {
+  insurance: 'Insurance',
+  utilities: 'Utilities',
+  repairs_maintenance: 'Repairs & Maintenance',
+  payroll: 'Payroll',
+  reserves: 'Replacement Reserves',
+  hoa: 'HOA Dues',
+  other: 'Other Operating Expense',
 }
 
 const propertyTaxTitles = {
@@ -28,13 +43,66 @@ export const decodePropertyTaxPhase = (costGroup) => {
   return PROPERTY_TAX_PHASES.includes(phase) ? phase : null
 }
 
-const resolveDefaultTitle = (carryingType, propertyTaxPhase) => {
+export const encodeOpexGroup = (category) => `${OPEX_PREFIX}${OPEX_CATEGORIES.includes(category) ? category : 'other'}`
+
+export const decodeOpexCategory = (costGroup) => {
+  if (!costGroup || typeof costGroup !== 'string') return null
+  if (!costGroup.startsWith(OPEX_PREFIX)) return null
+  const category = costGroup.slice(OPEX_PREFIX.length)
+  return OPEX_CATEGORIES.includes(category) ? category : null
+}
+
+/**
+ * `cost_group` for a normalized carrying payload: property tax rows store their
+ * phase and opex rows their category; other rows use the carrying type.
+ */
+export const resolveCarryingGroup = (normalized) => {
+  if (normalized.carryingType === 'property_tax') {
+    return encodePropertyTaxGroup(normalized.propertyTaxPhase || 'construction')
+  }
+  if (normalized.carryingType === 'opex') return encodeOpexGroup(normalized.opexCategory)
+  return normalized.carryingType
+}
+
+const resolveDefaultTitle = (carryingType, propertyTaxPhase, opexCategory) => {
   if (carryingType === 'property_tax' && propertyTaxPhase && propertyTaxTitles[propertyTaxPhase]) {
     return propertyTaxTitles[propertyTaxPhase]
   }
+  if (carryingType === 'opex' && opexTitles[opexCategory]) return opexTitles[opexCategory]
   return defaultCarryingTitles[carryingType] || 'Carrying Cost'
 }
 
+const normalizeConstructionTerms = (terms) => {
+  const source = terms && typeof terms === 'object' ? terms : {}
+  const hasValue = (value) => value !== undefined && value !== null && value !== ''
+
+  const ltcPct = hasValue(source.ltcPct) ? coerceNumberStrict(source.ltcPct) : null
+  if (hasValue(source.ltcPct) && (ltcPct === null || ltcPct < 0 || ltcPct > 100)) {
+    return { error: 'constructionTerms.ltcPct must be between 0 and 100' }
+  }
+
+  const interestReserveUsd = hasValue(source.interestReserveUsd) ? coerceNumberStrict(source.interestReserveUsd) : null
+  if (hasValue(source.interestReserveUsd) && (interestReserveUsd === null || interestReserveUsd < 0)) {
+    return { error: 'constructionTerms.interestReserveUsd must be zero or more' }
+  }
+
+  const requestedCategories = Array.isArray(source.drawCategories) ? source.drawCategories : ['hard', 'soft']
+  const drawCategories = requestedCategories.filter((category) => CONSTRUCTION_DRAW_CATEGORIES.includes(category))
+  if (!drawCategories.length || drawCategories.length !== requestedCategories.length) {
+    return { error: 'constructionTerms.drawCategories is invalid' }
+  }
+
+  return {
+    terms: {
+      ltcPct,
+      interestReserveUsd,
+      equityFirst: Boolean(source.equityFirst),
+      capitalizeInterest: Boolean(source.capitalizeInterest),
+      drawCategories,
+    },
+  }
+}
+
 export function normalizeCarryingPayload(body) {
   const carryingType = (body.carryingType || body.type || '').toLowerCase()
   if (!CARRYING_TYPES.includes(carryingType)) {
@@ -48,8 +116,13 @@ export function normalizeCarryingPayload(body) {
     }
     propertyTaxPhase = rawPhase
   }
+  let opexCategory = null
+  if (carryingType === 'opex') {
+    opexCategory = (body.opexCategory || '').toLowerCase()
+    if (!OPEX_CATEGORIES.includes(opexCategory)) return { error: 'opexCategory is invalid' }
+  }
 
-  const defaultTitle = resolveDefaultTitle(carryingType, propertyTaxPhase)
+  const defaultTitle = resolveDefaultTitle(carryingType, propertyTaxPhase, opexCategory)
   const costName = (body.costName || body.title || '').trim() || defaultTitle
 
   if (carryingType === 'loan') {
@@ -76,6 +149,13 @@ export function normalizeCarryingPayload(body) {
       return { error: 'repaymentStartMonth cannot be before fundingMonth' }
     }
 
+    let constructionTerms = null
+    if (loanMode === 'construction') {
+      const normalizedTerms = normalizeConstructionTerms(body.constructionTerms)
+      if (normalizedTerms.error) return { error: normalizedTerms.error }
+      constructionTerms = normalizedTerms.terms
+    }
+
     return {
       costName,
       carryingType,
@@ -85,6 +165,7 @@ export function normalizeCarryingPayload(body) {
       loanTermMonths,
       fundingMonth,
       repaymentStartMonth,
+      constructionTerms,
       amountUsd: loanAmountUsd,
       intervalUnit: null,
       startMonth: null,
@@ -93,8 +174,16 @@ export function normalizeCarryingPayload(body) {
     }
   }
 
-  const amountUsd = coerceNumberStrict(body.amountUsd)
-  if (amountUsd === null) return { error: 'amountUsd is required' }
+  const opexBasis = carryingType === 'opex' ? (body.opexBasis || 'fixed').toLowerCase() : null
+  if (opexBasis !== null && !OPEX_BASES.includes(opexBasis)) return { error: 'opexBasis is invalid' }
+  // Fixed rows budget `amountUsd`; the other opex bases budget a rate instead.
+  const usesRate = opexBasis !== null && opexBasis !== 'fixed'
+  const opexRate = usesRate ? coerceNumberStrict(body.opexRate) : null
+  if (usesRate && (opexRate === null || opexRate < 0)) return { error: 'opexRate must be zero or more' }
+  if (opexBasis === 'pct_egi' && opexRate > 100) return { error: 'opexRate cannot exceed 100% of EGI' }
+
+  const amountUsd = usesRate ? null : coerceNumberStrict(body.amountUsd)
+  if (!usesRate && amountUsd === null) return { error: 'amountUsd is required' }
 
   const startMonth = coerceInt(body.startMonth)
   if (startMonth === null) return { error: 'startMonth is required' }
@@ -104,10 +193,12 @@ export function normalizeCarryingPayload(body) {
   if (hasEndMonth && endMonth === null) return { error: 'endMonth is invalid' }
   if (endMonth !== null && endMonth < startMonth) return { error: 'endMonth cannot be before startMonth' }
 
-  const intervalUnit = (body.intervalUnit || body.interval || 'monthly').toLowerCase()
+  // A share of EGI follows the monthly revenue, so it has no interval of its own.
+  const intervalUnit =
+    opexBasis === 'pct_egi' ? 'monthly' : (body.intervalUnit || body.interval || 'monthly').toLowerCase()
   if (!INTERVAL_UNITS.includes(intervalUnit)) return { error: 'intervalUnit is invalid' }
 
-  return {
+  const normalized = {
     costName,
     carryingType,
     amountUsd,
@@ -120,7 +211,9 @@ export function normalizeCarryingPayload(body) {
     loanTermMonths: null,
     fundingMonth: null,
     repaymentStartMonth: null,
+    constructionTerms: null,
     propertyTaxPhase,
   }
+  return opexBasis === null ? normalized : { ...normalized, opexCategory, opexBasis, opexRate }
 }
 
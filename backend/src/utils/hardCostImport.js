@@ -0,0 +1,241 @@
+import ExcelJS from 'exceljs'
+
+export const BID_IMPORT_MAX_ROWS = 500
+
+/**
+ * Columns a bid spreadsheet can map onto a hard-cost payload. `aliases` drive
+ * the suggested mapping; every field is optional except the cost name.
+ */
+export const HARD_COST_IMPORT_FIELDS = [
+  { id: 'costName', label: 'Cost name', aliases: ['cost name', 'name', 'description', 'item', 'scope', 'line item'] },
+  { id: 'hardCategory', label: 'Category', aliases: ['category', 'trade', 'division', 'cost group'] },
+  { id: 'measurementUnit', label: 'Measurement unit', aliases: ['measurement unit', 'unit', 'uom', 'unit of measure'] },
+  { id: 'pricePerUnit', label: 'Price per unit', aliases: ['price per unit', 'unit price', 'rate', 'unit cost'] },
+  { id: 'unitsCount', label: 'Units', aliases: ['units', 'quantity', 'qty', 'units count', 'count'] },
+  { id: 'amountUsd', label: 'Amount (USD)', aliases: ['amount', 'amount usd', 'total', 'bid', 'price', 'cost'] },
+  { id: 'startMonth', label: 'Start month', aliases: ['start month', 'month', 'payment month', 'start'] },
+  { id: 'endMonth', label: 'End month', aliases: ['end month', 'end', 'finish month'] },
+  { id: 'months', label: 'Months (list)', aliases: ['months', 'month list', 'schedule'] },
+]
+
+const MEASUREMENT_UNIT_ALIASES = {
+  none: 'none',
+  ls: 'none',
+  'lump sum': 'none',
+  sqft: 'sqft',
+  sf: 'sqft',
+  'sq ft': 'sqft',
+  'square feet': 'sqft',
+  linear_feet: 'linear_feet',
+  lf: 'linear_feet',
+  'linear feet': 'linear_feet',
+  apartment: 'apartment',
+  apartments: 'apartment',
+  apt: 'apartment',
+  unit: 'apartment',
+  building: 'building',
+  bldg: 'building',
+}
+
+export const normalizeHeader = (value) =>
+  String(value ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+
+const cellText = (value) => {
+  if (value === null || value === undefined) return ''
+  if (value instanceof Date) return value.toISOString().slice(0, 10)
+  if (typeof value === 'object') {
+    if ('result' in value) return cellText(value.result)
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('')
+    if ('text' in value) return cellText(value.text)
+    return ''
+  }
+  return String(value).trim()
+}
+
+/**
+ * Minimal RFC 4180 reader: quoted fields, escaped quotes and CRLF/LF endings.
+ */
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  const source = String(text ?? '').replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i]
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"'
+        i += 1
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows.map((cells) => cells.map((cell) => cell.trim()))
+}
+
+const readXlsxRows = async (buffer) => {
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.load(buffer)
+  const sheet = workbook.worksheets[0]
+  if (!sheet) return []
+  const rows = []
+  sheet.eachRow({ includeEmpty: true }, (row) => {
+    const cells = []
+    for (let col = 1; col <= sheet.columnCount; col += 1) {
+      cells.push(cellText(row.getCell(col).value))
+    }
+    rows.push(cells)
+  })
+  return rows
+}
+
+const isXlsxFile = (filename = '', mimetype = '') =>
+  /\.xlsx$/i.test(filename) || mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+
+/**
+ * Reads the first sheet of an uploaded spreadsheet (CSV or XLSX). The first
+ * non-empty row is the header; blank rows are dropped and `rowNumber` keeps the
+ * spreadsheet's own numbering so preview errors point at the right line.
+ */
+export async function readImportSpreadsheet(buffer, { filename, mimetype, maxRows = BID_IMPORT_MAX_ROWS } = {}) {
+  const rawRows = isXlsxFile(filename, mimetype) ? await readXlsxRows(buffer) : parseCsv(buffer.toString('utf8'))
+  const numbered = rawRows
+    .map((cells, idx) => ({ rowNumber: idx + 1, cells }))
+    .filter(({ cells }) => cells.some((cell) => cell !== ''))
+  if (!numbered.length) return { headers: [], rows: [] }
+
+  const [headerRow, ...dataRows] = numbered
+  if (dataRows.length > maxRows) {
+    throw new Error(`Spreadsheets are limited to ${maxRows} rows`)
+  }
+  return { headers: headerRow.cells, rows: dataRows }
+}
+
+export const readBidSpreadsheet = readImportSpreadsheet
+
+/**
+ * Guesses a `{ fieldId: columnIndex }` mapping from the header names. Each
+ * column is used at most once, exact alias matches winning over partial ones.
+ */
+export function suggestImportMapping(headers = [], fields = HARD_COST_IMPORT_FIELDS) {
+  const normalized = headers.map(normalizeHeader)
+  const taken = new Set()
+  const mapping = {}
+  const claim = (field, predicate) => {
+    if (mapping[field.id] !== undefined) return
+    const index = normalized.findIndex((header, idx) => !taken.has(idx) && header && predicate(header))
+    if (index === -1) return
+    mapping[field.id] = index
+    taken.add(index)
+  }
+  fields.forEach((field) => claim(field, (header) => field.aliases.includes(header)))
+  fields.forEach((field) => claim(field, (header) => field.aliases.some((alias) => header.includes(alias))))
+  return mapping
+}
+
+export const suggestBidMapping = (headers = []) => suggestImportMapping(headers, HARD_COST_IMPORT_FIELDS)
+
+// Reads `$1,200`, `1200` or accounting `(1,200)`; anything else is returned as
+// text so validation can report it.
+export const parseAmount = (value) => {
+  if (value === '' || value === null || value === undefined) return null
+  const cleaned = String(value).replace(/[$,\s]/g, '')
+  const negative = /^\(.*\)$/.test(cleaned)
+  const number = Number(cleaned.replace(/[()]/g, ''))
+  if (!Number.isFinite(number)) return String(value)
+  return negative ? -number : number
+}
+
+// Spreadsheet months are 1-based like the UI; payloads carry 0-based offsets.
+const parseMonth = (value) => {
+  if (value === '' || value === null || value === undefined) return null
+  const match = String(value).match(/-?\d+/)
+  return match ? Math.max(0, Number(match[0]) - 1) : String(value)
+}
+
+const normalizeCategory = (value) =>
+  String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '')
+
+const normalizeMeasurementUnit = (value) => {
+  const key = String(value ?? '').trim().toLowerCase()
+  if (!key) return 'none'
+  return MEASUREMENT_UNIT_ALIASES[key] || MEASUREMENT_UNIT_ALIASES[normalizeHeader(key)] || key
+}
+
+export const readMappedCell = (cells, mapping, field) => {
+  const index = mapping[field]
+  if (index === undefined || index === null || index === '') return ''
+  return cells[Number(index)] ?? ''
+}
+
+/**
+ * Turns one spreadsheet row into the body `POST /projects/:id/hard-costs`
+ * accepts, so it can be validated by `normalizeHardCostPayload`.
+ *
+ * - A months list switches to multi mode; a start and later end month to range
+ *   mode; otherwise the cost is a single payment in the start month (month 1
+ *   when the column is not mapped).
+ * - A measured unit without an amount column is priced as units × price.
+ */
+export function mapBidRow(cells = [], mapping = {}) {
+  const read = (field) => readMappedCell(cells, mapping, field)
+
+  const measurementUnit = normalizeMeasurementUnit(read('measurementUnit'))
+  const pricePerUnit = parseAmount(read('pricePerUnit'))
+  const unitsCount = parseAmount(read('unitsCount'))
+  const amountUsd = parseAmount(read('amountUsd'))
+
+  const payload = {
+    costName: read('costName'),
+    hardCategory: normalizeCategory(read('hardCategory')),
+    measurementUnit,
+    pricePerUnit: measurementUnit === 'none' ? null : pricePerUnit,
+    unitsCount: measurementUnit === 'none' ? null : unitsCount,
+    amountUsd:
+      amountUsd ?? (typeof pricePerUnit === 'number' && typeof unitsCount === 'number' ? pricePerUnit * unitsCount : null),
+  }
+
+  const monthList = read('months')
+    .split(/[;,\s]+/)
+    .filter(Boolean)
+    .map(parseMonth)
+  const startMonth = parseMonth(read('startMonth'))
+  const endMonth = parseMonth(read('endMonth'))
+
+  if (monthList.length > 1) {
+    return { ...payload, paymentMode: 'multi', monthList }
+  }
+  if (startMonth !== null && endMonth !== null && endMonth !== startMonth) {
+    return { ...payload, paymentMode: 'range', rangeStartMonth: startMonth, rangeEndMonth: endMonth }
+  }
+  return { ...payload, paymentMode: 'single', paymentMonth: monthList[0] ?? startMonth ?? 0 }
+}
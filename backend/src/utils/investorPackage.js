@@ -0,0 +1,503 @@
+import PDFDocument from 'pdfkit'
+import {
+  buildProjectCashflow,
+  buildProjectReturnMetrics,
+  buildSourcesAndUses,
+  calculateNetOtherIncome,
+  countApartmentUnits,
+  summarizeScenario,
+} from '@ds-proforma/cashflow'
+import { INVESTOR_PACKAGE_TEMPLATES, DEFAULT_PACKAGE_BRANDING } from './investorPackageTemplates.js'
+
+export const PDF_CONTENT_TYPE = 'application/pdf'
+
+const DEFAULT_VACANCY_PCT = 5
+const PAGE_MARGIN = 50
+const FOOTER_HEIGHT = 30
+const MUTED_COLOR = '#64748b'
+const RULE_COLOR = '#e2e8f0'
+
+const sum = (values) => values.reduce((total, value) => total + (Number(value) || 0), 0)
+
+const vacancyOf = (row) => (row.vacancyPct === null || row.vacancyPct === undefined ? DEFAULT_VACANCY_PCT : row.vacancyPct)
+
+const formatCurrency = (value) => {
+  if (value === null || value === undefined || !Number.isFinite(Number(value))) return '—'
+  const rounded = Math.round(Number(value))
+  const formatted = `$${Math.abs(rounded).toLocaleString('en-US')}`
+  return rounded < 0 ? `(${formatted})` : formatted
+}
+
+const formatPercent = (value) =>
+  value === null || value === undefined || !Number.isFinite(Number(value)) ? '—' : `${Number(value).toFixed(2)}%`
+
+const formatMultiple = (value) =>
+  value === null || value === undefined || !Number.isFinite(Number(value)) ? '—' : `${Number(value).toFixed(2)}x`
+
+const formatDate = (value) => {
+  if (!value) return '—'
+  const date = new Date(value)
+  return Number.isNaN(date.getTime())
+    ? String(value)
+    : date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' })
+}
+
+// Only inline images are embedded: the package is rendered without network access.
+const decodeImageDataUrl = (value) => {
+  const match = typeof value === 'string' ? value.match(/^data:image\/(png|jpe?g);base64,(.+)$/) : null
+  return match ? Buffer.from(match[2], 'base64') : null
+}
+
+const METRIC_DEFINITIONS = {
+  leveredIrrPct: { label: 'Levered IRR', format: formatPercent },
+  unleveredIrrPct: { label: 'Unlevered IRR', format: formatPercent },
+  equityMultiple: { label: 'Equity multiple', format: formatMultiple },
+  annualNoi: { label: 'Stabilized NOI (annual)', format: formatCurrency },
+  yieldOnCostPct: { label: 'Yield on cost', format: formatPercent },
+  peakEquity: { label: 'Peak equity', format: formatCurrency },
+  totalCost: { label: 'Total cost', format: formatCurrency },
+  dscr: { label: 'DSCR', format: formatMultiple },
+  loanToCostPct: { label: 'Loan to cost', format: formatPercent },
+}
+
+const buildUnitMix = (project) => {
+  const apartmentUnits = countApartmentUnits(project.revenue || [], project.general?.targetUnits)
+  const unitRows = (group, rows) =>
+    rows.map((row) => ({
+      group,
+      label: row.typeLabel || group,
+      count: Number(row.unitCount) || 0,
+      sqft: row.unitSqft ?? null,
+      rent: Number(row.rentBudget) || 0,
+      vacancyPct: vacancyOf(row),
+      monthlyNet: (Number(row.unitCount) || 0) * (Number(row.rentBudget) || 0) * (1 - vacancyOf(row) / 100),
+    }))
+  const rows = [
+    ...unitRows('Apartments', project.revenue || []),
+    ...unitRows('Retail', project.retailRevenue || []),
+    ...(project.parkingRevenue || []).map((row) => ({
+      group: 'Parking',
+      label: row.typeLabel || 'Parking',
+      count: Number(row.spaceCount) || 0,
+      sqft: null,
+      rent: Number(row.monthlyRentUsd) || 0,
+      vacancyPct: vacancyOf(row),
+      monthlyNet: (Number(row.spaceCount) || 0) * (Number(row.monthlyRentUsd) || 0) * (1 - vacancyOf(row) / 100),
+    })),
+    ...(project.otherIncome || []).map((row) => ({
+      group: 'Other income',
+      label: row.typeLabel || 'Other income',
+      count: row.amountBasis === 'per_unit' ? apartmentUnits : 1,
+      sqft: null,
+      rent: Number(row.monthlyAmountUsd) || 0,
+      vacancyPct: vacancyOf(row),
+      monthlyNet: calculateNetOtherIncome(row, apartmentUnits),
+    })),
+  ]
+  return { rows, totalMonthlyNet: sum(rows.map((row) => row.monthlyNet)) }
+}
+
+/**
+ * Collects everything the package prints from a project detail payload (the
+ * shape `loadProjectDetail` returns). Pure data, so templates and tests can
+ * use it without rendering a PDF.
+ */
+export const buildInvestorPackageData = (project, { months } = {}) => {
+  const cashflow = buildProjectCashflow(project, months ? { months } : {})
+  const summary = summarizeScenario(project, { months: cashflow.months.length })
+  const returns = buildProjectReturnMetrics(project, { cashflow })
+  const sourcesAndUses = buildSourcesAndUses(project, { cashflow })
+  const loanTotal = sum(sourcesAndUses.sources.filter((row) => row.kind === 'loan').map((row) => row.amount))
+
+  return {
+    name: project.name || 'Untitled project',
+    stage: project.stage || null,
+    general: project.general || {},
+    unitMix: buildUnitMix(project),
+    sourcesAndUses,
+    cashflow: {
+      labels: cashflow.months.map((month) => month.calendarLabel),
+      net: cashflow.totals,
+      balance: cashflow.balance,
+    },
+    metrics: {
+      leveredIrrPct: returns.project.levered.irrPct,
+      unleveredIrrPct: returns.project.unlevered.irrPct,
+      equityMultiple: returns.project.equityMultiple,
+      annualNoi: summary.annualNoi,
+      totalCost: summary.totalCost,
+      yieldOnCostPct: summary.totalCost ? (summary.annualNoi / summary.totalCost) * 100 : null,
+      peakEquity: summary.peakEquity,
+      dscr: summary.dscr,
+      loanToCostPct: sourcesAndUses.totalUses ? (loanTotal / sourcesAndUses.totalUses) * 100 : null,
+    },
+    documents: project.documents || [],
+  }
+}
+
+const contentBottom = (doc) => doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT
+
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > contentBottom(doc)) doc.addPage()
+}
+
+const drawHeading = (doc, text, branding) => {
+  ensureSpace(doc, 60)
+  doc.moveDown(0.5)
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(branding.primaryColor).text(text, PAGE_MARGIN)
+  const y = doc.y + 4
+  doc
+    .moveTo(PAGE_MARGIN, y)
+    .lineTo(doc.page.width - PAGE_MARGIN, y)
+    .lineWidth(1.5)
+    .strokeColor(branding.accentColor)
+    .stroke()
+  doc.y = y + 10
+  doc.font('Helvetica').fontSize(10).fillColor('black')
+}
+
+/**
+ * Draws a simple ruled table. `columns` widths are fractions of the content
+ * width; the header repeats after a page break.
+ */
+const drawTable = (doc, { columns, rows, totalRow }, branding) => {
+  const width = doc.page.width - PAGE_MARGIN * 2
+  const rowHeight = 18
+  const drawRow = (cells, { bold = false, header = false } = {}) => {
+    ensureSpace(doc, rowHeight)
+    const y = doc.y
+    if (header) {
+      doc.rect(PAGE_MARGIN, y, width, rowHeight).fill(branding.primaryColor)
+    }
+    let x = PAGE_MARGIN
+    doc.font(bold || header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(header ? 'white' : 'black')
+    columns.forEach((column, idx) => {
+      const cellWidth = column.width * width
+      doc.text(String(cells[idx] ?? ''), x + 4, y + 5, {
+        width: cellWidth - 8,
+        align: column.align || 'left',
+        lineBreak: false,
+        ellipsis: true,
+      })
+      x += cellWidth
+    })
+    doc
+      .moveTo(PAGE_MARGIN, y + rowHeight)
+      .lineTo(PAGE_MARGIN + width, y + rowHeight)
+      .lineWidth(0.5)
+      .strokeColor(RULE_COLOR)
+      .stroke()
+    doc.y = y + rowHeight
+  }
+
+  drawRow(columns.map((column) => column.header), { header: true })
+  rows.forEach((cells) => {
+    if (doc.y + rowHeight > contentBottom(doc)) {
+      doc.addPage()
+      drawRow(columns.map((column) => column.header), { header: true })
+    }
+    drawRow(cells)
+  })
+  if (totalRow) drawRow(totalRow, { bold: true })
+  doc.x = PAGE_MARGIN
+  doc.moveDown(0.5)
+}
+
+const drawCover = (doc, data, branding, template) => {
+  const width = doc.page.width
+  doc.rect(0, 0, width, 150).fill(branding.primaryColor)
+  const logo = decodeImageDataUrl(branding.logoDataUrl)
+  if (logo) {
+    try {
+      doc.image(logo, PAGE_MARGIN, 40, { fit: [140, 70] })
+    } catch {
+      // Unreadable logo data: keep the cover without it.
+    }
+  }
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(12)
+    .fillColor('white')
+    .text(branding.companyName || '', PAGE_MARGIN, 60, { width: width - PAGE_MARGIN * 2, align: 'right' })
+  doc.fontSize(10).text(template.label, PAGE_MARGIN, 80, { width: width - PAGE_MARGIN * 2, align: 'right' })
+
+  doc.font('Helvetica-Bold').fontSize(28).fillColor(branding.primaryColor).text(template.coverTitle, PAGE_MARGIN, 190)
+  doc.font('Helvetica').fontSize(20).fillColor('black').text(data.name)
+  const address = [data.general.addressLine1, data.general.city, data.general.state, data.general.zip]
+    .filter(Boolean)
+    .join(', ')
+  if (address) doc.fontSize(12).fillColor(MUTED_COLOR).text(address)
+  doc.fontSize(10).fillColor(MUTED_COLOR).text(`Prepared ${formatDate(new Date())}`)
+
+  const image = decodeImageDataUrl(data.general.buildingImageUrl)
+  if (image) {
+    try {
+      doc.image(image, PAGE_MARGIN, doc.y + 20, { fit: [width - PAGE_MARGIN * 2, 360], align: 'center' })
+    } catch {
+      // Unreadable image data: the cover still renders.
+    }
+  }
+}
+
+const SECTION_RENDERERS = {
+  overview: (doc, data, branding) => {
+    drawHeading(doc, 'Property Overview', branding)
+    const general = data.general
+    const rows = [
+      ['Property type', general.propertyType || '—'],
+      ['Address', [general.addressLine1, general.addressLine2].filter(Boolean).join(', ') || '—'],
+      ['City / State', [general.city, general.state, general.zip].filter(Boolean).join(', ') || '—'],
+      ['Purchase price', formatCurrency(general.purchasePriceUsd)],
+      ['Closing date', formatDate(general.closingDate)],
+      ['Target units', general.targetUnits ?? '—'],
+      ['Target sq ft', general.targetSqft ? Number(general.targetSqft).toLocaleString('en-US') : '—'],
+      ['Leasing starts', formatDate(general.startLeasingDate)],
+      ['Stabilization', formatDate(general.stabilizedDate)],
+    ]
+    drawTable(doc, { columns: [{ header: 'Field', width: 0.35 }, { header: 'Value', width: 0.65 }], rows }, branding)
+    if (general.description) {
+      ensureSpace(doc, 40)
+      doc.font('Helvetica').fontSize(10).fillColor('black').text(general.description, PAGE_MARGIN)
+    }
+  },
+
+  unitMix: (doc, data, branding) => {
+    drawHeading(doc, 'Unit Mix', branding)
+    const { rows, totalMonthlyNet } = data.unitMix
+    if (!rows.length) {
+      doc.fontSize(10).fillColor(MUTED_COLOR).text('No apartments, retail or parking entered yet.')
+      return
+    }
+    drawTable(
+      doc,
+      {
+        columns: [
+          { header: 'Group', width: 0.14 },
+          { header: 'Type', width: 0.22 },
+          { header: 'Count', width: 0.1, align: 'right' },
+          { header: 'Sq ft', width: 0.1, align: 'right' },
+          { header: 'Rent', width: 0.14, align: 'right' },
+          { header: 'Vacancy', width: 0.12, align: 'right' },
+          { header: 'Monthly net', width: 0.18, align: 'right' },
+        ],
+        rows: rows.map((row) => [
+          row.group,
+          row.label,
+          row.count,
+          row.sqft ?? '—',
+          formatCurrency(row.rent),
+          formatPercent(row.vacancyPct),
+          formatCurrency(row.monthlyNet),
+        ]),
+        totalRow: ['Total', '', sum(rows.map((row) => row.count)), '', '', '', formatCurrency(totalMonthlyNet)],
+      },
+      branding,
+    )
+  },
+
+  sourcesUses: (doc, data, branding) => {
+    drawHeading(doc, 'Sources & Uses', branding)
+    const { uses, sources, totalUses, totalSources, difference, status } = data.sourcesAndUses
+    const columns = [
+      { header: '', width: 0.6 },
+      { header: 'Amount', width: 0.25, align: 'right' },
+      { header: '%', width: 0.15, align: 'right' },
+    ]
+    const share = (amount, total) => (total ? formatPercent((amount / total) * 100) : '—')
+    drawTable(
+      doc,
+      {
+        columns: [{ ...columns[0], header: 'Uses' }, columns[1], columns[2]],
+        rows: uses.filter((row) => row.amount).map((row) => [row.label, formatCurrency(row.amount), share(row.amount, totalUses)]),
+        totalRow: ['Total uses', formatCurrency(totalUses), totalUses ? '100.00%' : '—'],
+      },
+      branding,
+    )
+    drawTable(
+      doc,
+      {
+        columns: [{ ...columns[0], header: 'Sources' }, columns[1], columns[2]],
+        rows: sources.filter((row) => row.amount).map((row) => [row.label, formatCurrency(row.amount), share(row.amount, totalSources)]),
+        totalRow: ['Total sources', formatCurrency(totalSources), totalSources ? '100.00%' : '—'],
+      },
+      branding,
+    )
+    if (status !== 'balanced') {
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(10)
+        .fillColor(status === 'gap' ? '#b91c1c' : '#15803d')
+        .text(status === 'gap' ? `Funding gap: ${formatCurrency(-difference)}` : `Surplus: ${formatCurrency(difference)}`, PAGE_MARGIN)
+    }
+  },
+
+  cashflow: (doc, data, branding) => {
+    drawHeading(doc, 'Cashflow', branding)
+    const { labels, net, balance } = data.cashflow
+    const chartHeight = 200
+    ensureSpace(doc, chartHeight + 50)
+    const left = PAGE_MARGIN + 50
+    const width = doc.page.width - PAGE_MARGIN - left
+    const top = doc.y + 10
+    const values = [...net, ...balance, 0]
+    const max = Math.max(...values)
+    const min = Math.min(...values)
+    const range = max - min || 1
+    const yFor = (value) => top + ((max - value) / range) * chartHeight
+    const step = width / Math.max(labels.length, 1)
+
+    doc.font('Helvetica').fontSize(7).fillColor(MUTED_COLOR)
+    ;[max, (max + min) / 2, min].forEach((tick) => {
+      doc.text(formatCurrency(tick), PAGE_MARGIN - 5, yFor(tick) - 3, { width: 50, align: 'right', lineBreak: false })
+    })
+    doc.moveTo(left, yFor(0)).lineTo(left + width, yFor(0)).lineWidth(0.5).strokeColor(MUTED_COLOR).stroke()
+
+    net.forEach((value, idx) => {
+      const y = yFor(Math.max(value, 0))
+      const height = Math.abs(yFor(value) - yFor(0))
+      if (height > 0) {
+        doc.rect(left + idx * step + step * 0.15, y, step * 0.7, height).fill(value >= 0 ? '#16a34a' : '#dc2626')
+      }
+    })
+    balance.forEach((value, idx) => {
+      const x = left + idx * step + step / 2
+      if (idx === 0) doc.moveTo(x, yFor(value))
+      else doc.lineTo(x, yFor(value))
+    })
+    doc.lineWidth(1.5).strokeColor(branding.accentColor).stroke()
+
+    doc.fontSize(7).fillColor(MUTED_COLOR)
+    labels.forEach((label, idx) => {
+      if (idx % 12 === 0) doc.text(label, left + idx * step, top + chartHeight + 6, { lineBreak: false })
+    })
+    doc.y = top + chartHeight + 24
+    doc
+      .fontSize(8)
+      .text('Bars: monthly net cashflow (green inflow, red outflow). Line: cumulative balance.', PAGE_MARGIN)
+    doc.moveDown(0.5)
+
+    const yearRows = []
+    for (let start = 0; start < net.length; start += 12) {
+      const slice = net.slice(start, start + 12)
+      yearRows.push([
+        `Year ${start / 12 + 1} (${labels[start]} – ${labels[Math.min(start + 11, labels.length - 1)]})`,
+        formatCurrency(sum(slice)),
+        formatCurrency(balance[Math.min(start + 11, balance.length - 1)]),
+      ])
+    }
+    drawTable(
+      doc,
+      {
+        columns: [
+          { header: 'Period', width: 0.5 },
+          { header: 'Net cashflow', width: 0.25, align: 'right' },
+          { header: 'Ending balance', width: 0.25, align: 'right' },
+        ],
+        rows: yearRows,
+      },
+      branding,
+    )
+  },
+
+  metrics: (doc, data, branding, template) => {
+    drawHeading(doc, 'Metrics Summary', branding)
+    drawTable(
+      doc,
+      {
+        columns: [
+          { header: 'Metric', width: 0.6 },
+          { header: 'Value', width: 0.4, align: 'right' },
+        ],
+        rows: template.metrics.map((id) => [METRIC_DEFINITIONS[id].label, METRIC_DEFINITIONS[id].format(data.metrics[id])]),
+      },
+      branding,
+    )
+  },
+
+  documents: (doc, data, branding) => {
+    drawHeading(doc, 'Appendix: Documents', branding)
+    if (!data.documents.length) {
+      doc.fontSize(10).fillColor(MUTED_COLOR).text('No documents attached to this project.', PAGE_MARGIN)
+    } else {
+      data.documents.forEach((document) => {
+        ensureSpace(doc, 40)
+        doc.font('Helvetica-Bold').fontSize(10).fillColor('black').text(document.title || document.url, PAGE_MARGIN)
+        doc
+          .font('Helvetica')
+          .fontSize(8)
+          .fillColor(MUTED_COLOR)
+          .text(`${document.category || 'other'} • ${document.url}`, { link: document.url })
+        if (document.description) doc.fillColor('black').text(document.description)
+        doc.moveDown(0.4)
+      })
+    }
+  },
+}
+
+const drawFooters = (doc, data, branding) => {
+  const range = doc.bufferedPageRange()
+  for (let idx = range.start; idx < range.start + range.count; idx += 1) {
+    doc.switchToPage(idx)
+    const y = doc.page.height - PAGE_MARGIN - 10
+    const width = doc.page.width - PAGE_MARGIN * 2
+    // Writing inside the bottom margin must not trigger an automatic page break.
+    const { bottom } = doc.page.margins
+    doc.page.margins.bottom = 0
+    doc
+      .font('Helvetica')
+      .fontSize(8)
+      .fillColor(MUTED_COLOR)
+      .text(branding.footerText || branding.companyName || data.name, PAGE_MARGIN, y, {
+        width: width / 2,
+        lineBreak: false,
+      })
+      .text(`Page ${idx + 1} of ${range.count}`, PAGE_MARGIN + width / 2, y, {
+        width: width / 2,
+        align: 'right',
+        lineBreak: false,
+      })
+    doc.page.margins.bottom = bottom
+  }
+}
+
+/**
+ * Renders the package as a PDFKit document. The caller pipes it (to the
+ * response or a buffer) and it ends itself once every section is written.
+ */
+export const renderInvestorPackage = (
+  data,
+  { branding = DEFAULT_PACKAGE_BRANDING, template = INVESTOR_PACKAGE_TEMPLATES.investor, compress = true } = {},
+) => {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    compress,
+    info: {
+      Title: `${data.name} – ${template.coverTitle}`,
+      Author: branding.companyName || 'DS Proforma',
+    },
+  })
+
+  drawCover(doc, data, branding, template)
+  doc.addPage()
+  template.sections.forEach((sectionId) => {
+    SECTION_RENDERERS[sectionId](doc, data, branding, template)
+  })
+  if (branding.disclaimer) {
+    ensureSpace(doc, 60)
+    doc.moveDown()
+    doc.font('Helvetica-Oblique').fontSize(8).fillColor(MUTED_COLOR).text(branding.disclaimer, PAGE_MARGIN)
+  }
+  drawFooters(doc, data, branding)
+  doc.end()
+  return doc
+}
+
+export const buildPackageFilename = (project, template) => {
+  const slug = String(project?.name || 'project')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+  return `${slug || 'project'}-${template?.id || 'investor'}-package.pdf`
+}
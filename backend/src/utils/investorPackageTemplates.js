@@ -0,0 +1,52 @@
+import { PACKAGE_TEMPLATE_IDS, pdfBrandingSchema } from '@ds-proforma/types'
+
+/**
+ * Package templates decide what a reader sees first: investors lead with
+ * returns, lenders with sources & uses and coverage. Section ids map to the
+ * renderers in `investorPackage.js`; metric ids to `buildInvestorPackageData`.
+ */
+export const INVESTOR_PACKAGE_TEMPLATES = {
+  investor: {
+    id: 'investor',
+    label: 'Investor offering memorandum',
+    coverTitle: 'Investment Summary',
+    sections: ['overview', 'unitMix', 'sourcesUses', 'cashflow', 'metrics', 'documents'],
+    metrics: ['leveredIrrPct', 'unleveredIrrPct', 'equityMultiple', 'annualNoi', 'yieldOnCostPct', 'peakEquity'],
+  },
+  lender: {
+    id: 'lender',
+    label: 'Lender package',
+    coverTitle: 'Financing Request',
+    sections: ['overview', 'sourcesUses', 'metrics', 'unitMix', 'cashflow', 'documents'],
+    metrics: ['annualNoi', 'dscr', 'loanToCostPct', 'yieldOnCostPct', 'totalCost', 'peakEquity'],
+  },
+}
+
+export const DEFAULT_PACKAGE_BRANDING = {
+  template: 'investor',
+  companyName: null,
+  primaryColor: '#1e3a8a',
+  accentColor: '#0ea5e9',
+  logoDataUrl: null,
+  footerText: null,
+  disclaimer:
+    'This package is provided for discussion purposes only and does not constitute an offer to sell or a solicitation of an offer to buy any security. Projections are estimates and actual results may differ.',
+}
+
+/**
+ * Merges an entity's stored branding over the defaults. Invalid stored values
+ * are dropped rather than failing the export; `templateId` (from the request)
+ * wins over the entity's default template and the entity name stands in for a
+ * missing company name.
+ */
+export const resolvePackageBranding = (storedBranding, templateId, { companyName } = {}) => {
+  const parsed = pdfBrandingSchema.safeParse(storedBranding ?? {})
+  const stored = parsed.success ? parsed.data : {}
+  const branding = { ...DEFAULT_PACKAGE_BRANDING }
+  Object.entries(stored).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) branding[key] = value
+  })
+  if (!branding.companyName && companyName) branding.companyName = companyName
+  if (PACKAGE_TEMPLATE_IDS.includes(templateId)) branding.template = templateId
+  return { branding, template: INVESTOR_PACKAGE_TEMPLATES[branding.template] }
+}
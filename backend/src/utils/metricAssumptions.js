@@ -0,0 +1,75 @@
+import { parseJsonField, toInt, toNumber } from './dataTransforms.js'
+
+export const METRIC_ASSUMPTION_FIELDS = {
+  constructionPeriodMonths: 'construction_period_months',
+  interestRatePct: 'interest_rate_pct',
+  stabilizedInterestRatePct: 'stabilized_interest_rate_pct',
+  stabilizedTermYears: 'stabilized_term_years',
+  refinanceAmountUsd: 'refinance_amount_usd',
+  salesCostPct: 'sales_cost_pct',
+  preferredReturnPct: 'preferred_return_pct',
+  stabilizationPeriodMonths: 'stabilization_period_months',
+  sellingCapRatePct: 'selling_cap_rate_pct',
+}
+
+const INT_FIELDS = new Set(['constructionPeriodMonths', 'stabilizedTermYears', 'stabilizationPeriodMonths'])
+const ROW_GROUPS = ['apartments', 'retail', 'parking']
+const CARRYING_KEYS = ['buildCost', 'management', 'stabilizedTax', 'operatingExpenses']
+
+const emptyOverrides = () => ({ apartments: {}, retail: {}, parking: {} })
+
+const sameValues = (previous, next) => {
+  if (!previous) return false
+  return Object.keys(next).every((key) => (previous[key] ?? null) === (next[key] ?? null))
+}
+
+const stampEntry = (previous, next, now) => ({
+  ...next,
+  updatedAt: sameValues(previous, next) ? previous.updatedAt ?? now : now,
+})
+
+/**
+ * Applies incoming overrides on top of the stored ones. Each row keeps its
+ * previous `updatedAt` unless one of its values changed. Row groups sent in the
+ * payload replace the stored group, so rows left out are dropped.
+ */
+export const mergeMetricOverrides = (stored, incoming, now = new Date().toISOString()) => {
+  const current = { ...emptyOverrides(), ...(stored || {}) }
+  if (!incoming) return current
+  const merged = { ...current }
+
+  ROW_GROUPS.forEach((group) => {
+    if (incoming[group] === undefined) return
+    merged[group] = Object.fromEntries(
+      Object.entries(incoming[group]).map(([rowId, entry]) => [rowId, stampEntry(current[group]?.[rowId], entry, now)]),
+    )
+  })
+
+  CARRYING_KEYS.forEach((key) => {
+    if (incoming[key] === undefined) return
+    merged[key] = stampEntry(current[key], incoming[key], now)
+  })
+
+  return merged
+}
+
+export const buildMetricAssumptionsData = (payload) => {
+  const data = {}
+  Object.entries(METRIC_ASSUMPTION_FIELDS).forEach(([field, column]) => {
+    if (payload[field] !== undefined) data[column] = payload[field]
+  })
+  return data
+}
+
+export const mapMetricAssumptionsRow = (row) => {
+  const result = {}
+  Object.entries(METRIC_ASSUMPTION_FIELDS).forEach(([field, column]) => {
+    const value = row?.[column]
+    result[field] = INT_FIELDS.has(field) ? toInt(value ?? null) : toNumber(value ?? null)
+  })
+  return {
+    ...result,
+    overrides: { ...emptyOverrides(), ...(parseJsonField(row?.overrides) || {}) },
+    updatedAt: row?.updated_at ?? null,
+  }
+}
@@ -0,0 +1,428 @@
+import ExcelJS from 'exceljs'
+import {
+  buildProjectCashflow,
+  buildProjectFlows,
+  buildProjectReturnMetrics,
+  countApartmentUnits,
+  summarizeScenario,
+} from '@ds-proforma/cashflow'
+
+export const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+
+const CURRENCY_FORMAT = '"$"#,##0;[Red]-"$"#,##0'
+const PERCENT_FORMAT = '0.00%'
+const DEFAULT_VACANCY_PCT = 5
+const INTERVAL_PERIODS_PER_YEAR = { monthly: 12, quarterly: 4, yearly: 1 }
+
+const columnLetter = (index) => {
+  let letter = ''
+  let remaining = index
+  while (remaining > 0) {
+    const mod = (remaining - 1) % 26
+    letter = String.fromCharCode(65 + mod) + letter
+    remaining = Math.floor((remaining - mod) / 26)
+  }
+  return letter
+}
+
+const formula = (expression, result) => ({ formula: expression, result })
+
+const vacancyOf = (row) => (row.vacancyPct === null || row.vacancyPct === undefined ? DEFAULT_VACANCY_PCT : row.vacancyPct)
+
+const createMonthLabeler = (months) => (offset) => {
+  if (offset === null || offset === undefined || offset === '') return ''
+  const index = Number(offset)
+  if (!Number.isFinite(index)) return ''
+  const calendar = months[index]?.calendarLabel
+  return calendar ? `Month ${index + 1} • ${calendar}` : `Month ${index + 1}`
+}
+
+const describeCostSchedule = (row, monthLabel) => {
+  if (row.paymentMode === 'range') {
+    return `${monthLabel(row.startMonth ?? row.paymentMonth ?? 0)} – ${monthLabel(row.endMonth ?? row.startMonth ?? 0)}`
+  }
+  if (row.paymentMode === 'multi') {
+    const list = row.monthList?.length ? row.monthList : [row.paymentMonth ?? 0]
+    return list
+      .map((month, idx) => {
+        const pct = row.monthPercentages?.[idx]
+        return pct === undefined || pct === null ? monthLabel(month) : `${monthLabel(month)} (${pct}%)`
+      })
+      .join(', ')
+  }
+  return monthLabel(row.paymentMonth ?? 0)
+}
+
+const styleHeaderRow = (row) => {
+  row.font = { bold: true }
+  row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF1F5F9' } }
+}
+
+/**
+ * Writes a titled table and returns the first/last data row numbers so callers
+ * can reference the block in formulas. `columns` entries are
+ * `{ header, width?, format?, value(row, rowNumber) }`; a value may be a formula
+ * object. A totals row with SUM formulas is added for `sumColumns`.
+ */
+const addTable = (sheet, { title, columns, rows, sumColumns = [] }) => {
+  const titleRow = sheet.addRow([title])
+  titleRow.font = { bold: true, size: 13 }
+  styleHeaderRow(sheet.addRow(columns.map((column) => column.header)))
+
+  const firstRow = sheet.rowCount + 1
+  rows.forEach((row) => {
+    const rowNumber = sheet.rowCount + 1
+    const excelRow = sheet.addRow(columns.map((column) => column.value(row, rowNumber)))
+    columns.forEach((column, idx) => {
+      if (column.format) excelRow.getCell(idx + 1).numFmt = column.format
+    })
+  })
+  const lastRow = sheet.rowCount
+
+  let totalRow = null
+  if (sumColumns.length) {
+    const values = columns.map((column, idx) => {
+      if (idx === 0) return 'Total'
+      if (!sumColumns.includes(idx + 1)) return null
+      const letter = columnLetter(idx + 1)
+      return rows.length ? formula(`SUM(${letter}${firstRow}:${letter}${lastRow})`) : 0
+    })
+    const excelRow = sheet.addRow(values)
+    excelRow.font = { bold: true }
+    sumColumns.forEach((col) => {
+      excelRow.getCell(col).numFmt = columns[col - 1].format ?? CURRENCY_FORMAT
+    })
+    totalRow = excelRow.number
+  }
+  sheet.addRow([])
+
+  columns.forEach((column, idx) => {
+    const current = sheet.getColumn(idx + 1)
+    current.width = Math.max(current.width ?? 0, column.width ?? 16)
+  })
+  return { firstRow, lastRow, totalRow }
+}
+
+const addGeneralSheet = (workbook, project, cashflow) => {
+  const sheet = workbook.addWorksheet('General')
+  const general = project.general || {}
+  const address = [general.addressLine1, general.addressLine2].filter(Boolean).join(', ')
+  const rows = [
+    ['Project', project.name ?? ''],
+    ['Stage', project.stage ?? ''],
+    ['Address', address],
+    ['City', general.city ?? ''],
+    ['State', general.state ?? ''],
+    ['Zip', general.zip ?? ''],
+    ['Property type', general.propertyType ?? ''],
+    ['Purchase price', general.purchasePriceUsd ?? null],
+    ['Closing date', general.closingDate ?? ''],
+    ['Start leasing date', general.startLeasingDate ?? ''],
+    ['Stabilized date', general.stabilizedDate ?? ''],
+    ['Target units', general.targetUnits ?? null],
+    ['Target sqft', general.targetSqft ?? null],
+    ['Cashflow starts', cashflow.months[0]?.calendarLabel ?? ''],
+    ['Exported', new Date().toISOString()],
+  ]
+  styleHeaderRow(sheet.addRow(['Field', 'Value']))
+  rows.forEach((row) => sheet.addRow(row))
+  sheet.getCell('B9').numFmt = CURRENCY_FORMAT
+  sheet.getColumn(1).width = 22
+  sheet.getColumn(2).width = 40
+  return sheet
+}
+
+const unitRevenueColumns = (monthLabel) => [
+  { header: 'Type', width: 22, value: (row) => row.typeLabel },
+  { header: 'Units', value: (row) => row.unitCount ?? 0 },
+  { header: 'Unit sqft', value: (row) => row.unitSqft ?? null },
+  { header: 'Rent / unit', format: CURRENCY_FORMAT, value: (row) => row.rentBudget ?? 0 },
+  { header: 'Vacancy %', value: (row) => vacancyOf(row) },
+  { header: 'Start month', width: 22, value: (row) => monthLabel(row.startMonth ?? 0) },
+  { header: 'Monthly net', format: CURRENCY_FORMAT, value: (_, r) => formula(`B${r}*D${r}*(1-E${r}/100)`) },
+  { header: 'Annual net', format: CURRENCY_FORMAT, value: (_, r) => formula(`G${r}*12`) },
+]
+
+const addRevenueSheet = (workbook, project, monthLabel) => {
+  const sheet = workbook.addWorksheet('Revenue')
+  const apartments = addTable(sheet, {
+    title: 'Apartments',
+    columns: unitRevenueColumns(monthLabel),
+    rows: project.revenue || [],
+    sumColumns: [2, 7, 8],
+  })
+  const retail = addTable(sheet, {
+    title: 'Retail',
+    columns: unitRevenueColumns(monthLabel),
+    rows: project.retailRevenue || [],
+    sumColumns: [2, 7, 8],
+  })
+  const parking = addTable(sheet, {
+    title: 'Parking',
+    columns: [
+      { header: 'Type', width: 22, value: (row) => row.typeLabel },
+      { header: 'Spaces', value: (row) => row.spaceCount ?? 0 },
+      { header: 'Unit sqft', value: () => null },
+      { header: 'Rent / space', format: CURRENCY_FORMAT, value: (row) => row.monthlyRentUsd ?? 0 },
+      { header: 'Vacancy %', value: (row) => vacancyOf(row) },
+      { header: 'Start month', width: 22, value: (row) => monthLabel(row.startMonth ?? 0) },
+      { header: 'Monthly net', format: CURRENCY_FORMAT, value: (_, r) => formula(`B${r}*D${r}*(1-E${r}/100)`) },
+      { header: 'Annual net', format: CURRENCY_FORMAT, value: (_, r) => formula(`G${r}*12`) },
+    ],
+    rows: project.parkingRevenue || [],
+    sumColumns: [2, 7, 8],
+  })
+  // Per-unit income is charged on every apartment unit; flat income counts once.
+  const apartmentUnits = countApartmentUnits(project.revenue || [], project.general?.targetUnits)
+  const otherIncome = addTable(sheet, {
+    title: 'Other Income',
+    columns: [
+      { header: 'Type', width: 22, value: (row) => row.typeLabel },
+      { header: 'Units', value: (row) => (row.amountBasis === 'per_unit' ? apartmentUnits : 1) },
+      { header: 'Unit sqft', value: () => null },
+      { header: 'Amount / unit', format: CURRENCY_FORMAT, value: (row) => row.monthlyAmountUsd ?? 0 },
+      { header: 'Vacancy %', value: (row) => vacancyOf(row) },
+      { header: 'Start month', width: 22, value: (row) => monthLabel(row.startMonth ?? 0) },
+      { header: 'Monthly net', format: CURRENCY_FORMAT, value: (_, r) => formula(`B${r}*D${r}*(1-E${r}/100)`) },
+      { header: 'Annual net', format: CURRENCY_FORMAT, value: (_, r) => formula(`G${r}*12`) },
+    ],
+    rows: project.otherIncome || [],
+    sumColumns: [7, 8],
+  })
+  const totals = [apartments, retail, parking, otherIncome].map((table) => table.totalRow)
+  const grand = sheet.addRow([
+    'Total revenue',
+    null,
+    null,
+    null,
+    null,
+    null,
+    formula(totals.map((row) => `G${row}`).join('+')),
+    formula(totals.map((row) => `H${row}`).join('+')),
+  ])
+  grand.font = { bold: true }
+  grand.getCell(7).numFmt = CURRENCY_FORMAT
+  grand.getCell(8).numFmt = CURRENCY_FORMAT
+  return sheet
+}
+
+const costColumns = (monthLabel) => [
+  { header: 'Category', width: 20, value: (row) => row.costGroup ?? '' },
+  { header: 'Name', width: 28, value: (row) => row.costName ?? '' },
+  { header: 'Amount', format: CURRENCY_FORMAT, value: (row) => row.amountUsd ?? 0 },
+  { header: 'Payment mode', value: (row) => row.paymentMode ?? 'single' },
+  { header: 'Schedule', width: 48, value: (row) => describeCostSchedule(row, monthLabel) },
+]
+
+const addCostsSheet = (workbook, project, monthLabel) => {
+  const sheet = workbook.addWorksheet('Costs')
+  const tables = [
+    ['Hard costs', project.hardCosts],
+    ['Soft costs', project.softCosts],
+    ['Lease-up costs', project.leaseupCosts],
+  ].map(([title, rows]) => addTable(sheet, { title, columns: costColumns(monthLabel), rows: rows || [], sumColumns: [3] }))
+  const grand = sheet.addRow(['Total costs', null, formula(tables.map((table) => `C${table.totalRow}`).join('+'))])
+  grand.font = { bold: true }
+  grand.getCell(3).numFmt = CURRENCY_FORMAT
+  return sheet
+}
+
+const addCarryingSheet = (workbook, project, monthLabel) => {
+  const sheet = workbook.addWorksheet('Carrying & Loans')
+  const carrying = project.carryingCosts || []
+  addTable(sheet, {
+    title: 'Property tax & management',
+    columns: [
+      { header: 'Type', width: 16, value: (row) => row.carryingType },
+      { header: 'Name', width: 28, value: (row) => row.costName ?? '' },
+      { header: 'Amount', format: CURRENCY_FORMAT, value: (row) => row.amountUsd ?? 0 },
+      { header: 'Interval', value: (row) => row.intervalUnit ?? 'monthly' },
+      { header: 'Start', width: 22, value: (row) => monthLabel(row.startMonth ?? 0) },
+      { header: 'End', width: 22, value: (row) => (row.endMonth === null || row.endMonth === undefined ? 'Horizon end' : monthLabel(row.endMonth)) },
+      {
+        header: 'Annualized',
+        format: CURRENCY_FORMAT,
+        value: (row, r) => formula(`C${r}*${INTERVAL_PERIODS_PER_YEAR[row.intervalUnit] ?? 12}`),
+      },
+    ],
+    rows: carrying.filter((row) => row.carryingType !== 'loan'),
+    sumColumns: [7],
+  })
+  addTable(sheet, {
+    title: 'Loans',
+    columns: [
+      { header: 'Name', width: 28, value: (row) => row.costName ?? 'Loan' },
+      { header: 'Mode', width: 16, value: (row) => row.loanMode ?? 'interest_only' },
+      { header: 'Amount', format: CURRENCY_FORMAT, value: (row) => row.loanAmountUsd ?? row.amountUsd ?? 0 },
+      { header: 'Rate %', value: (row) => row.interestRatePct ?? 0 },
+      { header: 'Term (months)', value: (row) => row.loanTermMonths ?? 0 },
+      { header: 'Funding', width: 22, value: (row) => monthLabel(row.fundingMonth ?? 0) },
+      { header: 'Repayment starts', width: 22, value: (row) => monthLabel(row.repaymentStartMonth ?? row.fundingMonth ?? 0) },
+      {
+        header: 'Monthly payment',
+        format: CURRENCY_FORMAT,
+        // Construction loans draw and accrue monthly; their payments are on the Cashflow sheet.
+        value: (row, r) => {
+          if (row.loanMode === 'construction') return null
+          return row.loanMode === 'amortizing'
+            ? formula(`IF(E${r}=0,0,IF(D${r}=0,C${r}/E${r},PMT(D${r}/100/12,E${r},-C${r})))`)
+            : formula(`C${r}*D${r}/100/12`)
+        },
+      },
+    ],
+    rows: carrying.filter((row) => row.carryingType === 'loan'),
+    sumColumns: [3, 8],
+  })
+  return sheet
+}
+
+const sumMatches = (subRows, values) =>
+  subRows.length > 0 &&
+  values.every((value, idx) => Math.abs(subRows.reduce((total, sub) => total + (sub.values[idx] || 0), 0) - value) < 0.01)
+
+/**
+ * Month columns start at B. Category rows are SUM formulas over their line
+ * items (when the line items add up to the category), Total adds the
+ * categories and Balance runs the total forward.
+ */
+const addCashflowSheet = (workbook, cashflow) => {
+  const sheet = workbook.addWorksheet('Cashflow')
+  const monthCount = cashflow.months.length
+  const lastLetter = columnLetter(monthCount + 1)
+  const monthColumns = cashflow.months.map((_, idx) => columnLetter(idx + 2))
+
+  styleHeaderRow(sheet.addRow(['Category', ...cashflow.months.map((month) => month.label)]))
+  styleHeaderRow(sheet.addRow(['', ...cashflow.months.map((month) => month.calendarLabel)]))
+  sheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 2 }]
+
+  const addValuesRow = (label, values, options = {}) => {
+    const row = sheet.addRow([label, ...values.map((value) => value || 0)])
+    if (options.bold) row.font = { bold: true }
+    if (options.indent) row.getCell(1).alignment = { indent: 1 }
+    return row
+  }
+
+  const categoryRows = []
+  cashflow.rows
+    .filter((row) => row.type !== 'total')
+    .forEach((row) => {
+      const subRows = row.subRows || []
+      const header = addValuesRow(row.label, row.values, { bold: true })
+      categoryRows.push(header.number)
+      if (!subRows.length) return
+      const first = sheet.rowCount + 1
+      subRows.forEach((sub) => addValuesRow(sub.label, sub.values, { indent: true }))
+      const last = sheet.rowCount
+      if (sumMatches(subRows, row.values)) {
+        monthColumns.forEach((letter, idx) => {
+          header.getCell(idx + 2).value = formula(`SUM(${letter}${first}:${letter}${last})`, row.values[idx])
+        })
+      }
+    })
+
+  const totalRow = sheet.addRow(['Total'])
+  totalRow.font = { bold: true }
+  const balanceRow = sheet.addRow(['Balance'])
+  balanceRow.font = { bold: true }
+  monthColumns.forEach((letter, idx) => {
+    totalRow.getCell(idx + 2).value = formula(
+      categoryRows.map((rowNumber) => `${letter}${rowNumber}`).join('+') || '0',
+      cashflow.totals[idx],
+    )
+    const previous = idx === 0 ? '' : `${monthColumns[idx - 1]}${balanceRow.number}+`
+    balanceRow.getCell(idx + 2).value = formula(`${previous}${letter}${totalRow.number}`, cashflow.balance[idx])
+  })
+
+  sheet.addRow([])
+  const { unleveredFlows, leveredFlows } = buildProjectFlows(cashflow)
+  const noiRow = addValuesRow('NOI', cashflow.operating.noi)
+  const unleveredRow = addValuesRow('Unlevered flow', unleveredFlows)
+  const leveredRow = addValuesRow('Levered flow', leveredFlows)
+
+  for (let rowNumber = 3; rowNumber <= sheet.rowCount; rowNumber += 1) {
+    const row = sheet.getRow(rowNumber)
+    for (let col = 2; col <= monthCount + 1; col += 1) row.getCell(col).numFmt = CURRENCY_FORMAT
+  }
+  sheet.getColumn(1).width = 32
+  for (let col = 2; col <= monthCount + 1; col += 1) sheet.getColumn(col).width = 13
+
+  return {
+    sheet,
+    noiRow: noiRow.number,
+    ranges: {
+      unlevered: `Cashflow!B${unleveredRow.number}:${lastLetter}${unleveredRow.number}`,
+      levered: `Cashflow!B${leveredRow.number}:${lastLetter}${leveredRow.number}`,
+    },
+  }
+}
+
+const addMetricsSheet = (workbook, project, cashflow, { noiRow: cashflowNoiRow, ranges }) => {
+  const sheet = workbook.addWorksheet('Metrics')
+  const metrics = buildProjectReturnMetrics(project, { cashflow })
+  const summary = summarizeScenario(project, { months: cashflow.months.length })
+  const { startMonth, endMonth } = summary.stabilizedWindow
+  const noiWindow = `Cashflow!${columnLetter(startMonth + 2)}${cashflowNoiRow}:${columnLetter(endMonth + 2)}${cashflowNoiRow}`
+
+  styleHeaderRow(sheet.addRow(['Metric', 'Value', 'Notes']))
+  const add = (label, value, format, note = '') => {
+    const row = sheet.addRow([label, value, note])
+    if (format) row.getCell(2).numFmt = format
+    return row.number
+  }
+
+  const unleveredMonthly = add('Unlevered IRR (monthly)', formula(`IFERROR(IRR(${ranges.unlevered}),"")`), PERCENT_FORMAT)
+  add('Unlevered IRR (annualized)', formula(`IFERROR((1+B${unleveredMonthly})^12-1,"")`), PERCENT_FORMAT)
+  const leveredMonthly = add('Levered IRR (monthly)', formula(`IFERROR(IRR(${ranges.levered}),"")`), PERCENT_FORMAT)
+  add('Levered IRR (annualized)', formula(`IFERROR((1+B${leveredMonthly})^12-1,"")`), PERCENT_FORMAT)
+  add(
+    'Equity multiple',
+    metrics.project.equityMultiple,
+    '0.00"x"',
+    'Distributions ÷ contributions from the distribution waterfall',
+  )
+  const noiRow = add(
+    'Stabilized NOI (annual)',
+    formula(`SUM(${noiWindow})`, summary.annualNoi),
+    CURRENCY_FORMAT,
+    `${cashflow.months[startMonth]?.calendarLabel ?? ''} – ${cashflow.months[endMonth]?.calendarLabel ?? ''}`,
+  )
+  const costRow = add('Total cost', summary.totalCost, CURRENCY_FORMAT, 'Purchase price + soft + hard costs')
+  add('Yield on cost', formula(`IF(B${costRow}=0,"",B${noiRow}/B${costRow})`), PERCENT_FORMAT)
+  add('Peak equity', summary.peakEquity, CURRENCY_FORMAT, 'Deepest cumulative levered shortfall')
+  add('DSCR', summary.dscr, '0.00"x"', 'Stabilized NOI ÷ debt service in the same window')
+
+  sheet.getColumn(1).width = 28
+  sheet.getColumn(2).width = 18
+  sheet.getColumn(3).width = 52
+  return sheet
+}
+
+/**
+ * Builds the proforma workbook for a project detail payload (the shape
+ * `loadProjectDetail` returns): General, Revenue, Costs, Carrying & Loans,
+ * Cashflow and Metrics sheets.
+ */
+export const buildProformaWorkbook = (project, { months } = {}) => {
+  const cashflow = buildProjectCashflow(project, months ? { months } : {})
+  const monthLabel = createMonthLabeler(cashflow.months)
+  const workbook = new ExcelJS.Workbook()
+  workbook.creator = 'DS Proforma'
+  workbook.created = new Date()
+  workbook.calcProperties.fullCalcOnLoad = true
+
+  addGeneralSheet(workbook, project, cashflow)
+  addRevenueSheet(workbook, project, monthLabel)
+  addCostsSheet(workbook, project, monthLabel)
+  addCarryingSheet(workbook, project, monthLabel)
+  const { noiRow, ranges } = addCashflowSheet(workbook, cashflow)
+  addMetricsSheet(workbook, project, cashflow, { noiRow, ranges })
+  return workbook
+}
+
+export const buildExportFilename = (project) => {
+  const slug = String(project?.name || 'project')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+  return `${slug || 'project'}-proforma.xlsx`
+}
@@ -0,0 +1,247 @@
+import { randomUUID } from 'node:crypto'
+import { RENT_ROLL_STATUSES, formatZodErrors, rentRollUnitInputSchema } from '@ds-proforma/types'
+import { normalizeHeader, parseAmount, readMappedCell, suggestImportMapping } from './hardCostImport.js'
+
+export const RENT_ROLL_IMPORT_MAX_ROWS = 2000
+
+/**
+ * Columns a property-management rent roll export can map onto a unit. Only
+ * the unit number is required; unmapped columns leave existing values alone.
+ */
+export const RENT_ROLL_IMPORT_FIELDS = [
+  { id: 'unitNumber', label: 'Unit', aliases: ['unit', 'unit number', 'unit no', 'unit id', 'apt', 'apartment', 'suite'] },
+  { id: 'typeLabel', label: 'Unit type', aliases: ['unit type', 'type', 'floor plan', 'floorplan', 'plan', 'bd ba'] },
+  { id: 'unitSqft', label: 'SqFt', aliases: ['sqft', 'sq ft', 'square feet', 'sf', 'size', 'area'] },
+  { id: 'tenantName', label: 'Tenant', aliases: ['tenant', 'tenant name', 'resident', 'resident name', 'lessee', 'name'] },
+  { id: 'leaseStart', label: 'Lease start', aliases: ['lease start', 'lease from', 'move in', 'move in date', 'start date'] },
+  { id: 'leaseEnd', label: 'Lease end', aliases: ['lease end', 'lease to', 'lease expiration', 'expiration', 'end date'] },
+  { id: 'contractRent', label: 'Contract rent', aliases: ['contract rent', 'rent', 'current rent', 'lease rent', 'actual rent'] },
+  { id: 'marketRent', label: 'Market rent', aliases: ['market rent', 'market', 'asking rent'] },
+  { id: 'status', label: 'Status', aliases: ['status', 'unit status', 'occupancy', 'occupancy status'] },
+]
+
+const STATUS_ALIASES = {
+  occupied: 'occupied',
+  occ: 'occupied',
+  current: 'occupied',
+  leased: 'occupied',
+  'occupied no notice': 'occupied',
+  notice: 'notice',
+  'on notice': 'notice',
+  ntv: 'notice',
+  'notice to vacate': 'notice',
+  'occupied ntv': 'notice',
+  'occupied notice': 'notice',
+  vacant: 'vacant',
+  vac: 'vacant',
+  'vacant unrented': 'vacant',
+  'vacant rented': 'vacant',
+  down: 'down',
+  model: 'down',
+  admin: 'down',
+  offline: 'down',
+}
+
+const normalizeStatus = (value, tenantName) => {
+  const key = normalizeHeader(value)
+  if (!key) return tenantName ? 'occupied' : 'vacant'
+  return STATUS_ALIASES[key] || (RENT_ROLL_STATUSES.includes(key) ? key : String(value))
+}
+
+const pad = (value) => String(value).padStart(2, '0')
+
+// Accepts ISO dates and US `M/D/YYYY` (or `M/D/YY`); anything else is kept so
+// validation can flag it.
+const parseDate = (value) => {
+  const text = String(value ?? '').trim()
+  if (!text) return null
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/)
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/)
+  if (us) {
+    const year = us[3].length === 2 ? `20${us[3]}` : us[3]
+    return `${year}-${pad(us[1])}-${pad(us[2])}`
+  }
+  return text
+}
+
+const isValidDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false
+  const date = new Date(`${value}T00:00:00Z`)
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value)
+}
+
+export const suggestRentRollMapping = (headers = []) => suggestImportMapping(headers, RENT_ROLL_IMPORT_FIELDS)
+
+/**
+ * Turns one export row into a rent roll unit payload plus its `typeLabel`.
+ * Fields whose column is not mapped are left out so an update keeps the saved
+ * value. A blank status means occupied when a tenant is named, vacant otherwise.
+ */
+export function mapRentRollRow(cells = [], mapping = {}) {
+  const isMapped = (field) => mapping[field] !== undefined && mapping[field] !== null && mapping[field] !== ''
+  const read = (field) => readMappedCell(cells, mapping, field)
+  const text = (field) => read(field).trim() || null
+
+  const payload = { unitNumber: read('unitNumber').trim() }
+  if (isMapped('typeLabel')) payload.typeLabel = text('typeLabel')
+  if (isMapped('unitSqft')) payload.unitSqft = parseAmount(read('unitSqft'))
+  if (isMapped('tenantName')) payload.tenantName = text('tenantName')
+  if (isMapped('leaseStart')) payload.leaseStart = parseDate(read('leaseStart'))
+  if (isMapped('leaseEnd')) payload.leaseEnd = parseDate(read('leaseEnd'))
+  if (isMapped('contractRent')) payload.contractRent = parseAmount(read('contractRent'))
+  if (isMapped('marketRent')) payload.marketRent = parseAmount(read('marketRent'))
+  payload.status = normalizeStatus(read('status'), payload.tenantName)
+  return payload
+}
+
+const validateUnitPayload = (payload) => {
+  const unit = { ...payload }
+  delete unit.typeLabel
+  const result = rentRollUnitInputSchema.safeParse(unit)
+  if (!result.success) return formatZodErrors(result.error)
+  for (const field of ['leaseStart', 'leaseEnd']) {
+    if (unit[field] && !isValidDate(unit[field])) return `${field}: Use YYYY-MM-DD or MM/DD/YYYY`
+  }
+  if (unit.leaseStart && unit.leaseEnd && unit.leaseEnd < unit.leaseStart) {
+    return 'leaseEnd: Lease end must be on or after lease start'
+  }
+  return null
+}
+
+const labelKey = (label) => normalizeHeader(label)
+
+const COMPARED_FIELDS = ['unitSqft', 'tenantName', 'leaseStart', 'leaseEnd', 'contractRent', 'marketRent', 'status']
+
+const average = (values) => (values.length ? values.reduce((total, value) => total + value, 0) / values.length : null)
+
+/**
+ * Dry-run diff of mapped rows against the project's rent roll and revenue rows.
+ *
+ * - Rows are matched to saved units by unit number (`create`, `update` or
+ *   `unchanged`); a unit number repeated in the file is an error on every
+ *   later occurrence. Saved units missing from the file are listed, never
+ *   deleted.
+ * - Type labels resolve against `apartment_types` first, then `retail_spaces`.
+ *   Apartment matches link the units; retail matches update the space's unit
+ *   count and leave the units untyped; unknown labels become new apartment
+ *   types priced at the average imported market rent.
+ */
+export function buildRentRollImportPlan(rows = [], { units = [], apartmentTypes = [], retailSpaces = [] } = {}) {
+  const unitsByNumber = new Map(units.map((unit) => [String(unit.unitNumber).toLowerCase(), unit]))
+  const apartmentsByLabel = new Map(apartmentTypes.map((row) => [labelKey(row.typeLabel), row]))
+  const retailByLabel = new Map(retailSpaces.map((row) => [labelKey(row.typeLabel), row]))
+  const firstRowByUnit = new Map()
+  const types = new Map()
+
+  const resolveType = (label) => {
+    const key = labelKey(label)
+    if (!key) return null
+    if (!types.has(key)) {
+      const apartment = apartmentsByLabel.get(key)
+      const retail = apartment ? null : retailByLabel.get(key)
+      const match = apartment || retail
+      types.set(key, {
+        key,
+        typeLabel: match?.typeLabel ?? label,
+        target: apartment ? 'apartment' : retail ? 'retail' : 'new',
+        id: match?.id ?? null,
+        currentUnitCount: match?.unitCount ?? null,
+        currentRentBudget: match?.rentBudget ?? null,
+        importedUnitCount: 0,
+        marketRents: [],
+      })
+    }
+    return types.get(key)
+  }
+
+  const planned = rows.map(({ rowNumber, payload }, index) => {
+    const row = { rowNumber: rowNumber ?? index + 1, payload, action: null, unitId: null, changes: [], error: null }
+    row.error = validateUnitPayload(payload)
+    if (row.error) return row
+
+    const unitKey = payload.unitNumber.toLowerCase()
+    if (firstRowByUnit.has(unitKey)) {
+      row.error = `Duplicate unit ${payload.unitNumber} (first seen on row ${firstRowByUnit.get(unitKey)})`
+      return row
+    }
+    firstRowByUnit.set(unitKey, row.rowNumber)
+
+    const type = payload.typeLabel !== undefined ? resolveType(payload.typeLabel) : undefined
+    if (type) {
+      type.importedUnitCount += 1
+      if (typeof payload.marketRent === 'number') type.marketRents.push(payload.marketRent)
+    }
+    row.typeKey = type?.key ?? null
+    // Untyped and retail units carry no apartment type; unmapped keeps the saved link.
+    const apartmentTypeId = type === undefined ? undefined : type?.target === 'apartment' ? type.id : null
+
+    const existing = unitsByNumber.get(unitKey)
+    if (!existing) {
+      row.action = 'create'
+      return row
+    }
+    row.unitId = existing.id
+    row.changes = COMPARED_FIELDS.filter(
+      (field) => payload[field] !== undefined && (payload[field] ?? null) !== (existing[field] ?? null),
+    )
+    const typeChanged =
+      type?.target === 'new' || (apartmentTypeId !== undefined && apartmentTypeId !== (existing.apartmentTypeId ?? null))
+    if (typeChanged) row.changes.push('apartmentTypeId')
+    row.action = row.changes.length ? 'update' : 'unchanged'
+    return row
+  })
+
+  const countAction = (action) => planned.filter((row) => row.action === action).length
+  return {
+    rows: planned,
+    types: [...types.values()].map(({ marketRents, ...type }) => ({
+      ...type,
+      importedMarketRent: average(marketRents),
+    })),
+    missingUnits: units
+      .filter((unit) => !firstRowByUnit.has(String(unit.unitNumber).toLowerCase()))
+      .map((unit) => ({ id: unit.id, unitNumber: unit.unitNumber })),
+    counts: {
+      create: countAction('create'),
+      update: countAction('update'),
+      unchanged: countAction('unchanged'),
+      error: planned.filter((row) => row.error).length,
+    },
+  }
+}
+
+/**
+ * Groups a validated plan into the writes the import applies in one batched
+ * transaction. New apartment types get their ids here (`newId`) so the units
+ * can link to them without waiting for the inserts; unit payloads drop
+ * `typeLabel` in favour of the resolved `apartmentTypeId`.
+ */
+export function buildRentRollImportWrites(plan, newId = randomUUID) {
+  const typeIds = new Map(plan.types.filter((type) => type.target === 'apartment').map((type) => [type.key, type.id]))
+  const newTypes = plan.types
+    .filter((type) => type.target === 'new')
+    .map((type) => {
+      const id = newId()
+      typeIds.set(type.key, id)
+      return { id, typeLabel: type.typeLabel, unitCount: type.importedUnitCount, rentBudget: type.importedMarketRent ?? 0 }
+    })
+  const retailUpdates = plan.types
+    .filter((type) => type.target === 'retail')
+    .map((type) => ({ id: type.id, unitCount: type.importedUnitCount }))
+
+  const unitCreates = []
+  const unitUpdates = []
+  plan.rows.forEach((row) => {
+    if (row.action !== 'create' && row.action !== 'update') return
+    const unit = { ...row.payload }
+    delete unit.typeLabel
+    if (row.payload.typeLabel !== undefined) {
+      unit.apartmentTypeId = row.typeKey ? typeIds.get(row.typeKey) ?? null : null
+    }
+    if (row.action === 'create') unitCreates.push(unit)
+    else unitUpdates.push({ id: row.unitId, unit })
+  })
+
+  return { newTypes, retailUpdates, unitCreates, unitUpdates }
+}
@@ -23,6 +23,7 @@ describe('normalizeCarryingPayload', () => {
       loanTermMonths: 24,
       fundingMonth: 1,
       repaymentStartMonth: 2,
+      constructionTerms: null,
       amountUsd: 5000000,
       intervalUnit: null,
       startMonth: null,
@@ -31,6 +32,35 @@ describe('normalizeCarryingPayload', () => {
     })
   })
 
+  it('normalizes construction loan terms', () => {
+    const base = {
+      carryingType: 'loan',
+      loanMode: 'construction',
+      loanAmountUsd: '800000',
+      interestRatePct: '8',
+      loanTermMonths: '24',
+      fundingMonth: '0',
+      repaymentStartMonth: '12',
+    }
+
+    expect(
+      normalizeCarryingPayload({ ...base, constructionTerms: { ltcPct: '65', interestReserveUsd: '40000', equityFirst: true } })
+        .constructionTerms,
+    ).toEqual({
+      ltcPct: 65,
+      interestReserveUsd: 40000,
+      equityFirst: true,
+      capitalizeInterest: false,
+      drawCategories: ['hard', 'soft'],
+    })
+    expect(normalizeCarryingPayload({ ...base, constructionTerms: { ltcPct: 120 } })).toEqual({
+      error: 'constructionTerms.ltcPct must be between 0 and 100',
+    })
+    expect(normalizeCarryingPayload({ ...base, constructionTerms: { drawCategories: ['land'] } })).toEqual({
+      error: 'constructionTerms.drawCategories is invalid',
+    })
+  })
+
   it('returns error when repayment precedes funding', () => {
     const result = normalizeCarryingPayload({
       carryingType: 'loan',
@@ -69,6 +99,7 @@ describe('normalizeCarryingPayload', () => {
       loanTermMonths: null,
       fundingMonth: null,
       repaymentStartMonth: null,
+      constructionTerms: null,
       propertyTaxPhase: 'construction',
     })
   })
@@ -95,5 +126,30 @@ describe('normalizeCarryingPayload', () => {
 
     expect(result).toEqual({ error: 'intervalUnit is invalid' })
   })
+
+  it('normalizes opex rows by basis', () => {
+    const base = { carryingType: 'opex', opexCategory: 'insurance', startMonth: '12' }
+
+    expect(normalizeCarryingPayload({ ...base, amountUsd: '2400', intervalUnit: 'yearly' })).toMatchObject({
+      costName: 'Insurance',
+      amountUsd: 2400,
+      intervalUnit: 'yearly',
+      opexCategory: 'insurance',
+      opexBasis: 'fixed',
+      opexRate: null,
+    })
+    expect(
+      normalizeCarryingPayload({ ...base, opexBasis: 'pct_egi', opexRate: '4', amountUsd: '99', intervalUnit: 'yearly' }),
+    ).toMatchObject({ amountUsd: null, intervalUnit: 'monthly', opexBasis: 'pct_egi', opexRate: 4 })
+    expect(normalizeCarryingPayload({ ...base, opexBasis: 'per_unit', intervalUnit: 'monthly' })).toEqual({
+      error: 'opexRate must be zero or more',
+    })
+    expect(normalizeCarryingPayload({ ...base, opexBasis: 'pct_egi', opexRate: '120' })).toEqual({
+      error: 'opexRate cannot exceed 100% of EGI',
+    })
+    expect(normalizeCarryingPayload({ ...base, opexCategory: 'marketing', amountUsd: '10' })).toEqual({
+      error: 'opexCategory is invalid',
+    })
+  })
 })
 
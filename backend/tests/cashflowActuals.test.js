@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest'
+import { buildCashflowActuals, splitNetAmount } from '@ds-proforma/cashflow'
+import { cashflowEntryInputSchema } from '@ds-proforma/types'
+
+const rows = [
+  { id: 'revenues', label: 'Revenues', values: [0, 0, 1000, 1000] },
+  { id: 'soft', label: 'Soft Costs', values: [0, 0, 0, 0] },
+  { id: 'hard', label: 'Hard Costs', values: [-100, -100, -100, -100] },
+  { id: 'carrying', label: 'Carrying Costs', values: [0, 0, 0, 0] },
+]
+
+describe('cashflow actuals', () => {
+  it('reports variance in board signs and defers unspent hard costs', () => {
+    const actuals = buildCashflowActuals(
+      rows,
+      [
+        { monthIndex: 0, lineItem: 'hard', actualInflows: 0, actualOutflows: 60 },
+        { monthIndex: 1, lineItem: 'hard', actualInflows: 0, actualOutflows: 100 },
+      ],
+      4,
+    )
+    const hard = actuals.lines.find((line) => line.id === 'hard')
+
+    expect(actuals.throughMonth).toBe(1)
+    expect(hard.actual).toEqual([-60, -100, null, null])
+    expect(hard.variance).toEqual([40, 0, null, null])
+    // The 40 not yet spent moves into the remaining months, split by budget.
+    expect(hard.forecast).toEqual([-60, -100, -120, -120])
+    expect(actuals.total.forecast).toEqual([-60, -100, 880, 880])
+  })
+
+  it('keeps overruns and prefers a stored budget over the model', () => {
+    const actuals = buildCashflowActuals(
+      rows,
+      [
+        { monthIndex: 2, lineItem: 'revenues', budgetInflows: 900, actualInflows: 950 },
+        { monthIndex: 0, lineItem: 'hard', actualOutflows: 150 },
+        { monthIndex: 9, lineItem: 'hard', actualOutflows: 10 },
+        { monthIndex: 3, lineItem: 'total', actualOutflows: 5 },
+      ],
+      4,
+    )
+    const revenue = actuals.lines.find((line) => line.id === 'revenues')
+    const hard = actuals.lines.find((line) => line.id === 'hard')
+
+    // Outside the horizon or on no board line: neither counts toward the re-forecast cutoff.
+    expect(actuals.throughMonth).toBe(2)
+    expect(revenue.budget[2]).toBe(900)
+    expect(revenue.variance[2]).toBe(50)
+    expect(revenue.forecast).toEqual([0, 0, 950, 1000])
+    expect(hard.forecast).toEqual([-150, -100, -100, -100])
+    expect(actuals.total.actual[1]).toBeNull()
+  })
+
+  it('splits signed board amounts and validates entry payloads', () => {
+    expect(splitNetAmount(-250)).toEqual({ inflows: 0, outflows: 250 })
+    expect(splitNetAmount('300')).toEqual({ inflows: 300, outflows: 0 })
+    expect(splitNetAmount('')).toEqual({ inflows: null, outflows: null })
+
+    expect(cashflowEntryInputSchema.safeParse({ monthIndex: 3 }).success).toBe(false)
+    expect(cashflowEntryInputSchema.safeParse({ monthIndex: 3, lineItem: 'total' }).success).toBe(false)
+    expect(cashflowEntryInputSchema.safeParse({ monthIndex: 3, lineItem: 'other' }).success).toBe(false)
+  })
+})
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildCarryingSeries,
+  buildCostAllocations,
+  buildProjectCashflow,
+  buildRampedRevenueValues,
+} from '@ds-proforma/cashflow'
+
+describe('cashflow engine', () => {
+  it('spreads range payments evenly across the window', () => {
+    const allocations = buildCostAllocations(
+      { amountUsd: 1200, paymentMode: 'range', startMonth: 2, endMonth: 4 },
+      6,
+    )
+    expect(allocations).toEqual([0, 0, 400, 400, 400, 0])
+  })
+
+  it('ramps revenue linearly from leasing start to stabilization', () => {
+    expect(buildRampedRevenueValues(1000, 0, 1, 3, 5)).toEqual([0, 0, 500, 1000, 1000])
+  })
+
+  it('splits interest-only loans into funding, interest and payoff lines', () => {
+    const series = buildCarryingSeries(
+      [
+        {
+          id: 'loan-1',
+          carryingType: 'loan',
+          costName: 'Bridge',
+          loanMode: 'interest_only',
+          loanAmountUsd: 120000,
+          interestRatePct: 12,
+          loanTermMonths: 3,
+          fundingMonth: 0,
+          repaymentStartMonth: 1,
+        },
+      ],
+      6,
+    )
+    expect(series.lineItems.map((item) => item.id)).toEqual(['loan-1-funding', 'loan-1-interest', 'loan-1-principal'])
+    expect(series.baseValues).toEqual([120000, -1200, -1200, -121200, 0, 0])
+  })
+
+  it('builds project rows with totals and running balance', () => {
+    const result = buildProjectCashflow(
+      {
+        general: { closingDate: '2025-01-15', startLeasingDate: null, stabilizedDate: null, targetUnits: 10 },
+        revenue: [{ id: 'apt', typeLabel: '1bd', unitCount: 10, rentBudget: 100, vacancyPct: 0, startMonth: 2 }],
+        softCosts: [{ id: 'soft', costName: 'Design', amountUsd: 500, paymentMode: 'single', paymentMonth: 0 }],
+        hardCosts: [{ id: 'hard', costName: 'GC', amountUsd: 300, paymentMode: 'single', paymentMonth: 1 }],
+        apartmentTurnover: { turnoverPct: 12, turnoverCostUsd: 100 },
+      },
+      { months: 4 },
+    )
+
+    expect(result.months.map((month) => month.label)).toEqual(['M1', 'M2', 'M3', 'M4'])
+    expect(result.months[0].year).toBe(2025)
+    expect(result.rows.map((row) => row.id)).toEqual(['revenues', 'soft', 'hard', 'carrying', 'total', 'balance'])
+    expect(result.rows[0].subRows[0].label).toBe('Apartment • 1bd')
+    expect(result.rows[3].subRows[0].id).toBe('turnover-apartments')
+    expect(result.totals).toEqual([-510, -310, 990, 990])
+    expect(result.balance).toEqual([-510, -820, 170, 1160])
+  })
+})
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest'
+import { projectUpdateSchema } from '@ds-proforma/types'
+import {
+  DEFAULT_CASHFLOW_MONTHS,
+  MAX_CASHFLOW_MONTHS,
+  buildCostAllocations,
+  buildProjectCashflow,
+  resolveCashflowHorizon,
+} from '@ds-proforma/cashflow'
+
+describe('cashflow horizon', () => {
+  it('resolves the project horizon within 12–360 months', () => {
+    expect(resolveCashflowHorizon(null)).toBe(DEFAULT_CASHFLOW_MONTHS)
+    expect(resolveCashflowHorizon({ horizonMonths: 120 })).toBe(120)
+    expect(resolveCashflowHorizon({ horizonMonths: '84' })).toBe(84)
+    expect(resolveCashflowHorizon({ horizonMonths: 6 })).toBe(12)
+    expect(resolveCashflowHorizon({ horizonMonths: 600 })).toBe(MAX_CASHFLOW_MONTHS)
+
+    expect(projectUpdateSchema.safeParse({ horizonMonths: 360 }).success).toBe(true)
+    expect(projectUpdateSchema.safeParse({ horizonMonths: 361 }).success).toBe(false)
+  })
+
+  it('builds the cashflow over the project horizon by default', () => {
+    const cashflow = buildProjectCashflow({ general: { horizonMonths: 360 } })
+
+    expect(cashflow.months).toHaveLength(360)
+    expect(cashflow.warnings).toEqual([])
+  })
+
+  it('drops payments after the horizon instead of moving them into the last month', () => {
+    expect(buildCostAllocations({ amountUsd: 100, paymentMonth: 8 }, 6)).toEqual([0, 0, 0, 0, 0, 0])
+    // A range that runs past the horizon keeps its monthly share.
+    expect(buildCostAllocations({ amountUsd: 400, paymentMode: 'range', startMonth: 4, endMonth: 7 }, 6)).toEqual([
+      0, 0, 0, 0, 100, 100,
+    ])
+  })
+
+  it('warns about schedules that fall after the horizon', () => {
+    const project = {
+      hardCosts: [{ id: 'gc', costName: 'GC', amountUsd: 400, paymentMode: 'range', startMonth: 4, endMonth: 7 }],
+      revenue: [{ id: 'apt', typeLabel: '1bd', unitCount: 2, rentBudget: 1000, startMonth: 10 }],
+      carryingCosts: [
+        { id: 'loan', carryingType: 'loan', costName: 'Bridge', loanAmountUsd: 1000, loanTermMonths: 12, fundingMonth: 9 },
+        { id: 'tax', carryingType: 'property_tax', costName: 'RE Tax', amountUsd: 100, startMonth: 0 },
+      ],
+      gpContributions: [{ id: 'gp', partner: 'darmon', amountUsd: 500, contributionMonth: 6 }],
+      capitalEvents: [{ id: 'sale', eventType: 'sale', eventMonth: 20 }],
+    }
+    const cashflow = buildProjectCashflow(project, { months: 6 })
+
+    expect(cashflow.warnings.map(({ section, label, month }) => ({ section, label, month }))).toEqual([
+      { section: 'hard', label: 'GC', month: 7 },
+      { section: 'revenue', label: '1bd', month: 10 },
+      { section: 'carrying', label: 'Bridge', month: 9 },
+      { section: 'contribution', label: 'darmon contribution', month: 6 },
+      { section: 'capital', label: 'Sale', month: 20 },
+    ])
+    expect(cashflow.warnings[0].message).toBe('GC is paid in month 8, after the 6-month horizon.')
+    expect(cashflow.rows.find((row) => row.id === 'revenues').values).toEqual([0, 0, 0, 0, 0, 0])
+    expect(cashflow.loans[0].values.funding).toEqual([0, 0, 0, 0, 0, 0])
+  })
+})
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildCashflowMonths,
+  buildCashflowPeriods,
+  buildProjectCashflow,
+  resolveCashflowBaseDate,
+} from '@ds-proforma/cashflow'
+
+// Closing in November 2025: months 1–2 are Nov–Dec 2025.
+const months = buildCashflowMonths(resolveCashflowBaseDate('2025-11-15T12:00:00'), 24)
+
+const summarize = (columns) => columns.map(({ label, indices }) => `${label}:${indices[0]}-${indices[indices.length - 1]}`)
+
+describe('cashflow periods', () => {
+  it('counts quarters and years from the closing month', () => {
+    expect(summarize(buildCashflowPeriods(months, { period: 'year' }))).toEqual(['Year 1:0-11', 'Year 2:12-23'])
+    expect(summarize(buildCashflowPeriods(months, { period: 'quarter' })).slice(0, 5)).toEqual([
+      'Y1 Q1:0-2',
+      'Y1 Q2:3-5',
+      'Y1 Q3:6-8',
+      'Y1 Q4:9-11',
+      'Y2 Q1:12-14',
+    ])
+  })
+
+  it('aligns years and quarters to the fiscal year', () => {
+    expect(summarize(buildCashflowPeriods(months, { period: 'year', fiscalYearStartMonth: 1 }))).toEqual([
+      '2025:0-1',
+      '2026:2-13',
+      '2027:14-23',
+    ])
+    // A July fiscal year is named after the year it ends in.
+    expect(summarize(buildCashflowPeriods(months, { period: 'year', fiscalYearStartMonth: 7 }))).toEqual([
+      'FY2026:0-7',
+      'FY2027:8-19',
+      'FY2028:20-23',
+    ])
+    const quarters = buildCashflowPeriods(months, { period: 'quarter', fiscalYearStartMonth: 7 })
+    expect(summarize(quarters).slice(0, 3)).toEqual(['FY2026 Q2:0-1', 'FY2026 Q3:2-4', 'FY2026 Q4:5-7'])
+    expect(quarters[0].calendarLabel).toBe(`${months[0].calendarLabel} – ${months[1].calendarLabel}`)
+  })
+
+  it('adds NOI, debt service and cash after debt service subtotals', () => {
+    const project = {
+      otherIncome: [{ id: 'laundry', typeLabel: 'Laundry', monthlyAmountUsd: 1000, vacancyPct: 0, startMonth: 0 }],
+      carryingCosts: [
+        { id: 'ins', carryingType: 'opex', costName: 'Insurance', amountUsd: 200, intervalUnit: 'monthly', startMonth: 0 },
+        {
+          id: 'loan',
+          carryingType: 'loan',
+          loanMode: 'interest_only',
+          loanAmountUsd: 120000,
+          interestRatePct: 5,
+          loanTermMonths: 24,
+          fundingMonth: 0,
+        },
+      ],
+    }
+    const cashflow = buildProjectCashflow(project, { months: 12 })
+    const subtotal = (id) => cashflow.subtotals.find((row) => row.id === id).values[1]
+
+    expect(cashflow.subtotals.map((row) => row.id)).toEqual([
+      'rental_revenue',
+      'operating_expenses',
+      'noi',
+      'debt_service',
+      'cash_after_debt_service',
+    ])
+    expect(subtotal('rental_revenue')).toBe(1000)
+    expect(subtotal('noi')).toBe(800)
+    expect(subtotal('debt_service')).toBeCloseTo(-500)
+    expect(subtotal('cash_after_debt_service')).toBeCloseTo(300)
+  })
+})
@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest'
+import { buildConstructionCostSchedule, buildLoanValues, buildProjectCashflow } from '@ds-proforma/cashflow'
+
+const project = {
+  general: { closingDate: '2025-01-01', purchasePriceUsd: 50000 },
+  hardCosts: [{ id: 'gc', costName: 'GC', amountUsd: 100000, paymentMode: 'range', startMonth: 0, endMonth: 9 }],
+  softCosts: [],
+}
+
+const loan = (constructionTerms) => ({
+  id: 'cl',
+  carryingType: 'loan',
+  costName: 'Construction loan',
+  loanMode: 'construction',
+  loanAmountUsd: 100000,
+  interestRatePct: 12,
+  loanTermMonths: 24,
+  fundingMonth: 0,
+  repaymentStartMonth: 12,
+  constructionTerms,
+})
+
+const total = (values) => values.reduce((sum, value) => sum + value, 0)
+
+describe('construction loans', () => {
+  const costSchedule = buildConstructionCostSchedule(project, 36)
+
+  it('draws pro-rata against costs up to the LTC-capped commitment', () => {
+    const values = buildLoanValues(loan({ ltcPct: 60, interestReserveUsd: 6000 }), 36, { costSchedule })
+
+    expect(values.commitment).toBe(60000)
+    // 54,000 cost facility over 100,000 of hard costs.
+    expect(values.funding.slice(0, 10)).toEqual(Array(10).fill(5400))
+    expect(total(values.funding)).toBeCloseTo(54000)
+    expect(values.interest[0]).toBe(0)
+    expect(values.capitalizedInterest[1]).toBeCloseTo(54)
+    expect(total(values.capitalizedInterest)).toBeCloseTo(6000)
+    // Once the reserve runs out the interest is paid in cash.
+    expect(values.interest.some((value) => value < 0)).toBe(true)
+    expect(values.principal[23]).toBeCloseTo(-(54000 + 6000))
+    expect(values.balance[24]).toBe(0)
+  })
+
+  it('funds equity first and capitalizes interest until the first payment month', () => {
+    const values = buildLoanValues(loan({ ltcPct: 60, equityFirst: true, capitalizeInterest: true }), 36, { costSchedule })
+
+    // 40,000 of equity is spent before the first draw.
+    expect(values.funding.slice(0, 4)).toEqual([0, 0, 0, 0])
+    expect(values.funding[4]).toBeCloseTo(10000)
+    expect(total(values.funding)).toBeCloseTo(60000)
+    expect(values.interest.slice(0, 12).every((value) => value === 0)).toBe(true)
+    expect(values.interest[12]).toBeLessThan(0)
+    expect(values.capitalizedInterest[12]).toBe(0)
+  })
+
+  it('can draw against the purchase price and feeds the project cashflow', () => {
+    const values = buildLoanValues(loan({ drawCategories: ['purchase', 'hard'] }), 36, { costSchedule })
+    expect(values.funding[0]).toBeCloseTo((100000 / 150000) * 60000)
+
+    const cashflow = buildProjectCashflow(
+      { ...project, carryingCosts: [loan({ ltcPct: 60 })] },
+      { months: 36 },
+    )
+    expect(cashflow.loans.map((entry) => entry.id)).toEqual(['cl'])
+    expect(cashflow.operating.loanFunding.slice(0, 10)).toEqual(Array(10).fill(6000))
+  })
+})
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest'
+import ExcelJS from 'exceljs'
+import { mapBidRow, parseCsv, readBidSpreadsheet, suggestBidMapping } from '../src/utils/hardCostImport.js'
+
+const csv = [
+  'Trade,Description,UOM,Unit Price,Qty,Total,Start Month,End Month',
+  'Drywall,"Level 4 finish, units 1-12",SF,"$3.50","1,200",,3,5',
+  '',
+  'Paint,Interior paint,LS,,,"$18,000",6,',
+  'Roofing,Membrane,LS,,,9000,4,',
+].join('\r\n')
+
+describe('hard cost bid import', () => {
+  it('parses quoted CSV fields and keeps spreadsheet row numbers', async () => {
+    expect(parseCsv('a,"b ""c"""\n1,2')).toEqual([
+      ['a', 'b "c"'],
+      ['1', '2'],
+    ])
+
+    const { headers, rows } = await readBidSpreadsheet(Buffer.from(csv), { filename: 'bid.csv' })
+    expect(headers[1]).toBe('Description')
+    expect(rows.map((row) => row.rowNumber)).toEqual([2, 4, 5])
+    expect(rows[0].cells[1]).toBe('Level 4 finish, units 1-12')
+  })
+
+  it('suggests a mapping and builds create payloads with 0-based months', async () => {
+    const { headers, rows } = await readBidSpreadsheet(Buffer.from(csv), { filename: 'bid.csv' })
+    const mapping = suggestBidMapping(headers)
+    expect(mapping).toMatchObject({
+      hardCategory: 0,
+      costName: 1,
+      measurementUnit: 2,
+      pricePerUnit: 3,
+      unitsCount: 4,
+      amountUsd: 5,
+      startMonth: 6,
+      endMonth: 7,
+    })
+
+    expect(mapBidRow(rows[0].cells, mapping)).toEqual({
+      costName: 'Level 4 finish, units 1-12',
+      hardCategory: 'drywall',
+      measurementUnit: 'sqft',
+      pricePerUnit: 3.5,
+      unitsCount: 1200,
+      amountUsd: 4200,
+      paymentMode: 'range',
+      rangeStartMonth: 2,
+      rangeEndMonth: 4,
+    })
+    expect(mapBidRow(rows[1].cells, mapping)).toMatchObject({
+      hardCategory: 'paint',
+      measurementUnit: 'none',
+      amountUsd: 18000,
+      paymentMode: 'single',
+      paymentMonth: 5,
+    })
+    // Unknown trades pass through so normalizeHardCostPayload can reject them.
+    expect(mapBidRow(rows[2].cells, mapping).hardCategory).toBe('roofing')
+    expect(mapBidRow(['Kitchen', 'Cabinets', '', '', '', '40000', '', '', '2; 4; 6'], { ...mapping, months: 8 })).toMatchObject({
+      paymentMode: 'multi',
+      monthList: [1, 3, 5],
+    })
+  })
+
+  it('reads the first sheet of an XLSX bid', async () => {
+    const workbook = new ExcelJS.Workbook()
+    const sheet = workbook.addWorksheet('Bid')
+    sheet.addRow(['Category', 'Name', 'Amount'])
+    sheet.addRow(['Tiles', 'Bathroom tile', { formula: '2*5000', result: 10000 }])
+    const buffer = await workbook.xlsx.writeBuffer()
+
+    const { headers, rows } = await readBidSpreadsheet(Buffer.from(buffer), { filename: 'bid.xlsx' })
+    expect(headers).toEqual(['Category', 'Name', 'Amount'])
+    expect(mapBidRow(rows[0].cells, suggestBidMapping(headers))).toMatchObject({
+      costName: 'Bathroom tile',
+      hardCategory: 'tiles',
+      amountUsd: 10000,
+      paymentMonth: 0,
+    })
+  })
+})
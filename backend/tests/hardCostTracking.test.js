@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest'
+import { hardCostChangeOrderInputSchema, hardCostTrackingSchema } from '@ds-proforma/types'
+import { summarizeHardCostTracking } from '@ds-proforma/cashflow'
+
+const hardCosts = [
+  {
+    id: 'frame',
+    costName: 'Framing sub',
+    costGroup: 'framing',
+    amountUsd: 400000,
+    committedUsd: 380000,
+    invoicedUsd: 195000,
+    paidUsd: 175500,
+    retainageUsd: 19500,
+    changeOrders: [
+      { amountUsd: 25000, reason: 'Added shear walls', approvedDate: '2026-03-02' },
+      { amountUsd: -5000, reason: 'Value engineering', approvedDate: '2026-04-15' },
+    ],
+  },
+  {
+    id: 'roof',
+    costName: 'Roofing',
+    costGroup: 'roof',
+    amountUsd: 100000,
+    committedUsd: 110000,
+    invoicedUsd: 110000,
+    paidUsd: 99000,
+    retainageUsd: 11000,
+  },
+  { id: 'paint', costName: 'Paint', costGroup: 'paint', amountUsd: 50000 },
+]
+
+describe('hard cost tracking', () => {
+  it('rolls commitments, change orders and progress up by category', () => {
+    const { categories } = summarizeHardCostTracking(hardCosts)
+    const framing = categories.find((bucket) => bucket.category === 'framing')
+
+    expect(categories.map((bucket) => bucket.category)).toEqual(['framing', 'roof', 'paint'])
+    expect(framing).toMatchObject({
+      budget: 400000,
+      committed: 380000,
+      changeOrders: 20000,
+      revisedCommitment: 400000,
+      balanceToFinish: 205000,
+      variance: 0,
+    })
+    expect(framing.percentComplete).toBeCloseTo(48.75)
+    expect(categories[1]).toMatchObject({ variance: 10000, percentComplete: 100 })
+    // Nothing under contract yet: progress is measured against the budget.
+    expect(categories[2]).toMatchObject({ committed: 0, invoiced: 0, percentComplete: 0 })
+  })
+
+  it('totals the project', () => {
+    const { total } = summarizeHardCostTracking(hardCosts)
+
+    expect(total).toMatchObject({
+      budget: 550000,
+      revisedCommitment: 510000,
+      invoiced: 305000,
+      paid: 274500,
+      retainage: 30500,
+    })
+    expect(summarizeHardCostTracking([]).total.percentComplete).toBeNull()
+  })
+
+  it('validates tracking amounts and change orders', () => {
+    expect(hardCostTrackingSchema.safeParse({ committedUsd: 380000, paidUsd: null }).success).toBe(true)
+    expect(hardCostTrackingSchema.safeParse({ paidUsd: -1 }).success).toBe(false)
+    expect(hardCostTrackingSchema.safeParse({ amountUsd: 1 }).success).toBe(false)
+
+    const changeOrder = { amountUsd: -5000, reason: 'Value engineering', approvedDate: '2026-04-15' }
+    expect(hardCostChangeOrderInputSchema.safeParse(changeOrder).success).toBe(true)
+    expect(hardCostChangeOrderInputSchema.safeParse({ ...changeOrder, approvedDate: 'April 15' }).success).toBe(false)
+    expect(hardCostChangeOrderInputSchema.safeParse({ ...changeOrder, reason: '' }).success).toBe(false)
+  })
+})
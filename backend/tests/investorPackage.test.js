@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildInvestorPackageData,
+  buildPackageFilename,
+  renderInvestorPackage,
+} from '../src/utils/investorPackage.js'
+import { INVESTOR_PACKAGE_TEMPLATES, resolvePackageBranding } from '../src/utils/investorPackageTemplates.js'
+
+const project = {
+  name: 'Main St Lofts',
+  stage: 'new',
+  general: { closingDate: '2025-01-15', purchasePriceUsd: 100000, addressLine1: '1 Main St' },
+  revenue: [{ id: 'apt', typeLabel: '1bd', unitCount: 10, rentBudget: 1000, vacancyPct: 5, startMonth: 2 }],
+  retailRevenue: [],
+  parkingRevenue: [{ id: 'p1', typeLabel: 'Garage', spaceCount: 4, monthlyRentUsd: 100, vacancyPct: null, startMonth: 0 }],
+  hardCosts: [
+    { id: 'gc', costGroup: 'structure', costName: 'GC', amountUsd: 60000, paymentMode: 'range', startMonth: 0, endMonth: 2 },
+  ],
+  softCosts: [{ id: 'arch', costGroup: 'architect', costName: 'Design', amountUsd: 5000, paymentMode: 'single', paymentMonth: 1 }],
+  leaseupCosts: [],
+  carryingCosts: [
+    {
+      id: 'loan-1',
+      carryingType: 'loan',
+      costName: 'Construction loan',
+      loanMode: 'amortizing',
+      loanAmountUsd: 66000,
+      interestRatePct: 6,
+      loanTermMonths: 24,
+      fundingMonth: 0,
+      repaymentStartMonth: 1,
+    },
+  ],
+  gpContributions: [{ id: 'gp-1', partner: 'LP', amountUsd: 70000, contributionMonth: 0, holdingPct: 100 }],
+  documents: [{ id: 'doc-1', title: 'Appraisal', url: 'https://example.com/appraisal.pdf' }],
+}
+
+const renderToBuffer = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = []
+    doc.on('data', (chunk) => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+  })
+
+describe('investor package', () => {
+  it('collects unit mix, sources & uses and loan-to-cost from the project', () => {
+    const data = buildInvestorPackageData(project, { months: 24 })
+
+    expect(data.unitMix.rows.map((row) => row.group)).toEqual(['Apartments', 'Parking'])
+    // Parking without a vacancy uses the engine's 5% default.
+    expect(data.unitMix.totalMonthlyNet).toBeCloseTo(10 * 1000 * 0.95 + 4 * 100 * 0.95)
+
+    const { uses, totalUses, totalSources, status } = data.sourcesAndUses
+    expect(uses.slice(0, 3).map((row) => row.amount)).toEqual([100000, 60000, 5000])
+    // Without a stabilized date the statement runs the whole horizon, interest included.
+    expect(uses.find((row) => row.id === 'financing').amount).toBeGreaterThan(0)
+    expect(totalSources).toBe(136000)
+    expect(status).toBe('gap')
+    expect(data.metrics.loanToCostPct).toBeCloseTo((66000 / totalUses) * 100)
+    expect(data.cashflow.labels).toHaveLength(24)
+  })
+
+  it('merges stored branding over the defaults', () => {
+    const { branding, template } = resolvePackageBranding(
+      { template: 'lender', primaryColor: 'navy', accentColor: '#112233' },
+      undefined,
+      { companyName: 'Main St Holdings LLC' },
+    )
+    // An invalid color invalidates the stored object, so only defaults apply.
+    expect(branding.primaryColor).toBe('#1e3a8a')
+    expect(template.id).toBe('investor')
+    expect(branding.companyName).toBe('Main St Holdings LLC')
+
+    const lender = resolvePackageBranding({ accentColor: '#112233', companyName: 'DS Capital' }, 'lender')
+    expect(lender.branding.accentColor).toBe('#112233')
+    expect(lender.branding.companyName).toBe('DS Capital')
+    expect(lender.template).toBe(INVESTOR_PACKAGE_TEMPLATES.lender)
+  })
+
+  it('renders a PDF for each template', async () => {
+    const data = buildInvestorPackageData(project, { months: 24 })
+    for (const templateId of Object.keys(INVESTOR_PACKAGE_TEMPLATES)) {
+      const { branding, template } = resolvePackageBranding(null, templateId)
+      const buffer = await renderToBuffer(renderInvestorPackage(data, { branding, template, compress: false }))
+      expect(buffer.subarray(0, 4).toString()).toBe('%PDF')
+      // Cover page plus at least one page of sections.
+      expect(buffer.toString('latin1').match(/\/Type \/Page\b/g).length).toBeGreaterThanOrEqual(2)
+    }
+    expect(buildPackageFilename(project, INVESTOR_PACKAGE_TEMPLATES.lender)).toBe('main-st-lofts-lender-package.pdf')
+  })
+})
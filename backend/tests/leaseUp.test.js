@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest'
+import {
+  applyAnnualGrowth,
+  buildLeaseUpValues,
+  buildProjectCashflow,
+  buildRampedRevenueValues,
+} from '@ds-proforma/cashflow'
+
+describe('lease-up curves', () => {
+  it('eases an S-curve in and out over the leasing window', () => {
+    const values = buildLeaseUpValues({ curve: 's_curve' }, 0, 0, 4, 6)
+
+    expect(values[0]).toBe(0)
+    expect(values[1]).toBeCloseTo(0.15625)
+    expect(values[2]).toBeCloseTo(0.5)
+    expect(values[3]).toBeCloseTo(0.84375)
+    expect(values.slice(4)).toEqual([1, 1])
+  })
+
+  it('leases a fixed number of units per month from the later of the row start and leasing start', () => {
+    const values = buildLeaseUpValues({ curve: 'units_per_month', unitsPerMonth: 4, unitCount: 10 }, 2, 1, null, 7)
+
+    expect(values).toEqual([0, 0, 0.4, 0.8, 1, 1, 1])
+  })
+
+  it('follows a custom absorption schedule and holds once it runs out', () => {
+    const values = buildLeaseUpValues({ curve: 'custom', absorptionPct: [25, 25, 20] }, 0, null, null, 5)
+
+    expect(values).toEqual([0.25, 0.5, 0.7, 0.7, 0.7])
+  })
+
+  it('compounds rent growth once a year', () => {
+    const values = buildRampedRevenueValues(1000, 0, null, null, 25, { rentGrowthPct: 3 })
+
+    expect(values[11]).toBe(1000)
+    expect(values[12]).toBeCloseTo(1030)
+    expect(values[24]).toBeCloseTo(1060.9)
+    expect(applyAnnualGrowth([5, 5], 0)).toEqual([5, 5])
+  })
+})
+
+describe('lease-up and inflation in the project cashflow', () => {
+  const project = {
+    general: { closingDate: '2025-01-01', startLeasingDate: '2025-01-01', stabilizedDate: '2025-07-01' },
+    revenue: [
+      {
+        id: 'apt',
+        unitCount: 10,
+        rentBudget: 1000,
+        vacancyPct: 0,
+        startMonth: 0,
+        rentGrowthPct: 5,
+        leaseUpCurve: 'units_per_month',
+        leaseUpUnitsPerMonth: 2,
+      },
+    ],
+    carryingCosts: [
+      { id: 'tax', carryingType: 'property_tax', amountUsd: 1200, intervalUnit: 'monthly', startMonth: 0 },
+      { id: 'mgmt', carryingType: 'management', amountUsd: 500, intervalUnit: 'monthly', startMonth: 0 },
+    ],
+    expenseInflation: { property_tax: 2, management: 10 },
+  }
+
+  it('applies the row lease-up and rent growth to revenue', () => {
+    const cashflow = buildProjectCashflow(project, { months: 14 })
+    const revenues = cashflow.rows.find((row) => row.id === 'revenues')
+
+    expect(revenues.values.slice(0, 6).map(Math.round)).toEqual([2000, 4000, 6000, 8000, 10000, 10000])
+    expect(revenues.values[12]).toBeCloseTo(10500)
+  })
+
+  it('inflates carrying costs by category', () => {
+    const cashflow = buildProjectCashflow(project, { months: 14 })
+    const carrying = cashflow.rows.find((row) => row.id === 'carrying')
+
+    expect(carrying.values[0]).toBeCloseTo(-1700)
+    expect(carrying.values[12]).toBeCloseTo(-(1200 * 1.02 + 500 * 1.1))
+  })
+})
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildMetricAssumptionsData,
+  mapMetricAssumptionsRow,
+  mergeMetricOverrides,
+} from '../src/utils/metricAssumptions.js'
+
+describe('metric assumptions', () => {
+  it('stamps only the override rows whose values changed', () => {
+    const stored = {
+      apartments: {
+        a1: { monthlyRentWC: 1800, monthlyRentBC: 2200, occupancy: 95, scenario: 'default', updatedAt: '2026-01-01T00:00:00.000Z' },
+        a2: { monthlyRentWC: null, monthlyRentBC: null, occupancy: 95, scenario: 'default', updatedAt: '2026-01-01T00:00:00.000Z' },
+      },
+      retail: {},
+      parking: {},
+      buildCost: { wc: 100, bc: 80, scenario: 'wc', updatedAt: '2026-01-01T00:00:00.000Z' },
+    }
+    const now = '2026-10-19T00:00:00.000Z'
+
+    const merged = mergeMetricOverrides(
+      stored,
+      {
+        apartments: {
+          a1: { monthlyRentWC: 1800, monthlyRentBC: 2200, occupancy: 95, scenario: 'default' },
+          a3: { monthlyRentWC: 1500, monthlyRentBC: null, occupancy: 90, scenario: 'wc' },
+        },
+        buildCost: { wc: 100, bc: 80, scenario: 'bc' },
+      },
+      now,
+    )
+
+    expect(merged.apartments.a1.updatedAt).toBe('2026-01-01T00:00:00.000Z')
+    expect(merged.apartments.a3.updatedAt).toBe(now)
+    expect(merged.apartments.a2).toBeUndefined()
+    expect(merged.buildCost).toEqual({ wc: 100, bc: 80, scenario: 'bc', updatedAt: now })
+  })
+
+  it('keeps stored overrides when the payload omits them', () => {
+    const stored = { apartments: {}, retail: {}, parking: {}, management: { wc: 5, bc: 3, scenario: 'default', updatedAt: 'x' } }
+    expect(mergeMetricOverrides(stored, undefined)).toEqual(stored)
+  })
+
+  it('maps rows and payloads between camelCase and columns', () => {
+    expect(buildMetricAssumptionsData({ interestRatePct: 6.5, refinanceAmountUsd: null })).toEqual({
+      interest_rate_pct: 6.5,
+      refinance_amount_usd: null,
+    })
+    const mapped = mapMetricAssumptionsRow({ construction_period_months: 18, sales_cost_pct: '2.5', overrides: {} })
+    expect(mapped.constructionPeriodMonths).toBe(18)
+    expect(mapped.salesCostPct).toBe(2.5)
+    expect(mapped.interestRatePct).toBeNull()
+    expect(mapped.overrides).toEqual({ apartments: {}, retail: {}, parking: {} })
+  })
+})
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest'
+import { buildProjectCashflow, calculateAnnualOpex, resolveOpexAmount } from '@ds-proforma/cashflow'
+
+const context = { units: 20, sqft: 15000, annualEgi: 480000 }
+
+describe('operating expense budget', () => {
+  it('prices each basis per interval and per year', () => {
+    const fixed = { opexBasis: 'fixed', amountUsd: 9000, intervalUnit: 'quarterly' }
+    const perUnit = { opexBasis: 'per_unit', opexRate: 25, intervalUnit: 'monthly' }
+    const perSqft = { opexBasis: 'per_sqft', opexRate: 0.5, intervalUnit: 'yearly' }
+    const egiShare = { opexBasis: 'pct_egi', opexRate: 3 }
+
+    expect(resolveOpexAmount(perUnit, context)).toBe(500)
+    expect(resolveOpexAmount(egiShare, context)).toBeNull()
+    expect(calculateAnnualOpex(fixed, context)).toBe(36000)
+    expect(calculateAnnualOpex(perUnit, context)).toBe(6000)
+    expect(calculateAnnualOpex(perSqft, context)).toBe(7500)
+    expect(calculateAnnualOpex(egiShare, context)).toBeCloseTo(14400)
+  })
+
+  it('flows into carrying costs and NOI', () => {
+    const project = {
+      general: { closingDate: '2025-01-01', targetUnits: 10, targetSqft: 8000 },
+      revenue: [{ id: 'apt', unitCount: 10, rentBudget: 1000, vacancyPct: 0, startMonth: 2 }],
+      carryingCosts: [
+        { id: 'ins', carryingType: 'opex', opexBasis: 'per_unit', opexRate: 20, intervalUnit: 'monthly', startMonth: 0 },
+        { id: 'util', carryingType: 'opex', opexBasis: 'per_sqft', opexRate: 0.05, intervalUnit: 'monthly', startMonth: 0 },
+        { id: 'rm', carryingType: 'opex', opexBasis: 'pct_egi', opexRate: 5, startMonth: 0 },
+      ],
+      expenseInflation: { opex: 10 },
+    }
+    const cashflow = buildProjectCashflow(project, { months: 14 })
+    const carrying = cashflow.rows.find((row) => row.id === 'carrying')
+
+    expect(carrying.subRows.map((row) => row.id)).toEqual(['ins', 'util', 'rm'])
+    expect(carrying.values[0]).toBeCloseTo(-600)
+    // Rent starts in month 3; the EGI share follows it and isn't inflated.
+    expect(carrying.values[2]).toBeCloseTo(-1100)
+    expect(carrying.values[12]).toBeCloseTo(-(600 * 1.1 + 500))
+    expect(cashflow.operating.noi[2]).toBeCloseTo(10000 - 1100)
+  })
+})
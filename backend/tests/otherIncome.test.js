@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest'
+import { otherIncomeInputSchema } from '@ds-proforma/types'
+import { applyScenario, buildProjectCashflow, calculateNetOtherIncome } from '@ds-proforma/cashflow'
+
+const laundry = { id: 'laundry', typeLabel: 'Laundry', amountBasis: 'flat', monthlyAmountUsd: 500, vacancyPct: 0, startMonth: 0 }
+const pets = { id: 'pets', typeLabel: 'Pet rent', amountBasis: 'per_unit', monthlyAmountUsd: 10, vacancyPct: 50, startMonth: 2 }
+
+describe('other income', () => {
+  it('defaults to a flat amount with 5% vacancy', () => {
+    const parsed = otherIncomeInputSchema.parse({ typeLabel: 'Storage', monthlyAmountUsd: 300 })
+
+    expect(parsed).toEqual({
+      typeLabel: 'Storage',
+      incomeType: 'other',
+      amountBasis: 'flat',
+      monthlyAmountUsd: 300,
+      vacancyPct: 5,
+      startMonth: 0,
+    })
+    expect(otherIncomeInputSchema.safeParse({ typeLabel: 'RUBS', monthlyAmountUsd: 50, amountBasis: 'per_sqft' }).success).toBe(false)
+  })
+
+  it('charges per-unit amounts on every apartment unit', () => {
+    expect(calculateNetOtherIncome(laundry, 20)).toBe(500)
+    expect(calculateNetOtherIncome(pets, 20)).toBe(100)
+    expect(calculateNetOtherIncome({ ...pets, vacancyPct: null }, 20)).toBeCloseTo(190)
+  })
+
+  it('adds other income lines to revenue and NOI', () => {
+    const project = {
+      general: { targetUnits: 20 },
+      otherIncome: [laundry, pets],
+    }
+    const cashflow = buildProjectCashflow(project, { months: 4 })
+    const revenues = cashflow.rows.find((row) => row.id === 'revenues')
+
+    expect(revenues.subRows.map((row) => row.label)).toEqual(['Other Income • Laundry', 'Other Income • Pet rent'])
+    expect(revenues.values).toEqual([500, 500, 600, 600])
+    expect(cashflow.operating.noi).toEqual([500, 500, 600, 600])
+
+    const delayed = buildProjectCashflow(applyScenario(project, { delayMonths: 1 }), { months: 4 })
+    expect(delayed.operating.noi).toEqual([0, 500, 500, 600])
+  })
+})
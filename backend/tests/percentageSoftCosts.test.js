@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest'
+import { buildCostAllocations, buildProjectCashflow, resolvePercentageSoftCosts } from '@ds-proforma/cashflow'
+
+const project = {
+  general: { purchasePriceUsd: 1000000 },
+  hardCosts: [{ id: 'gc', costName: 'GC', amountUsd: 1000000, paymentMode: 'range', startMonth: 2, endMonth: 5 }],
+  softCosts: [
+    { id: 'arch', costName: 'Architect', amountUsd: 100000, paymentMode: 'single', paymentMonth: 1 },
+    { id: 'cont', costName: 'Contingency', costBasis: 'pct_hard', costPct: 5, amountUsd: 0, paymentMonth: 0 },
+    { id: 'fee', costName: 'Developer fee', costBasis: 'pct_total', costPct: 4, amountUsd: 0, paymentMonth: 0 },
+  ],
+}
+
+const byId = (rows) => Object.fromEntries(rows.map((row) => [row.id, row]))
+
+describe('percentage soft costs', () => {
+  it('prices contingency off hard costs and the developer fee off total cost', () => {
+    const rows = byId(resolvePercentageSoftCosts(project))
+
+    expect(rows.arch).toBe(project.softCosts[0])
+    expect(rows.cont.amountUsd).toBeCloseTo(50000)
+    // Purchase + hard + architect + contingency = $2.15M.
+    expect(rows.fee.amountUsd).toBeCloseTo(86000)
+  })
+
+  it('allocates each line over the schedule of its base', () => {
+    const rows = byId(resolvePercentageSoftCosts(project))
+    const allocations = (row) => buildCostAllocations(row, 7).map((value) => Math.round(value))
+
+    expect(allocations(rows.cont)).toEqual([0, 0, 12500, 12500, 12500, 12500, 0])
+    expect(allocations(rows.fee)).toEqual([40000, 4000, 10500, 10500, 10500, 10500, 0])
+  })
+
+  it('recalculates in the cashflow when the base costs change', () => {
+    const cashflow = buildProjectCashflow(
+      { ...project, hardCosts: [{ ...project.hardCosts[0], amountUsd: 2000000 }] },
+      { months: 12 },
+    )
+    const soft = cashflow.rows.find((row) => row.id === 'soft')
+    const contingency = soft.subRows.find((row) => row.id === 'cont')
+
+    expect(contingency.values.slice(2, 6).map((value) => Math.abs(Math.round(value)))).toEqual([
+      25000, 25000, 25000, 25000,
+    ])
+  })
+})
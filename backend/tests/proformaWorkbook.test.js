@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest'
+import ExcelJS from 'exceljs'
+import { buildExportFilename, buildProformaWorkbook } from '../src/utils/proformaWorkbook.js'
+
+const project = {
+  name: 'Main St Lofts',
+  stage: 'new',
+  general: { closingDate: '2025-01-15', purchasePriceUsd: 100000 },
+  revenue: [{ id: 'apt', typeLabel: '1bd', unitCount: 10, rentBudget: 1000, vacancyPct: 5, startMonth: 2 }],
+  retailRevenue: [],
+  parkingRevenue: [{ id: 'p1', typeLabel: 'Garage', spaceCount: 4, monthlyRentUsd: 100, vacancyPct: null, startMonth: 0 }],
+  hardCosts: [
+    { id: 'gc', costGroup: 'structure', costName: 'GC', amountUsd: 60000, paymentMode: 'range', startMonth: 0, endMonth: 2 },
+  ],
+  softCosts: [{ id: 'arch', costGroup: 'architect', costName: 'Design', amountUsd: 5000, paymentMode: 'single', paymentMonth: 1 }],
+  leaseupCosts: [],
+  carryingCosts: [
+    {
+      id: 'loan-1',
+      carryingType: 'loan',
+      costName: 'Construction loan',
+      loanMode: 'amortizing',
+      loanAmountUsd: 50000,
+      interestRatePct: 6,
+      loanTermMonths: 24,
+      fundingMonth: 0,
+      repaymentStartMonth: 1,
+    },
+    { id: 'tax', carryingType: 'property_tax', costName: 'RE tax', amountUsd: 300, intervalUnit: 'quarterly', startMonth: 0 },
+  ],
+  gpContributions: [{ id: 'gp-1', partner: 'LP', amountUsd: 70000, contributionMonth: 0, holdingPct: 100 }],
+}
+
+describe('proforma workbook', () => {
+  it('writes the six sheets with formulas and calendar month labels', async () => {
+    const workbook = buildProformaWorkbook(project, { months: 24 })
+    expect(workbook.worksheets.map((sheet) => sheet.name)).toEqual([
+      'General',
+      'Revenue',
+      'Costs',
+      'Carrying & Loans',
+      'Cashflow',
+      'Metrics',
+    ])
+
+    const revenue = workbook.getWorksheet('Revenue')
+    expect(revenue.getCell('F3').value).toBe('Month 3 • Mar 2025')
+    expect(revenue.getCell('G3').value).toEqual({ formula: 'B3*D3*(1-E3/100)', result: undefined })
+    // Parking without a vacancy uses the engine's 5% default.
+    expect(revenue.getCell('E12').value).toBe(5)
+
+    const costs = workbook.getWorksheet('Costs')
+    expect(costs.getCell('E3').value).toBe('Month 1 • Jan 2025 – Month 3 • Mar 2025')
+    expect(costs.getCell('C4').value).toEqual({ formula: 'SUM(C3:C3)', result: undefined })
+
+    const carrying = workbook.getWorksheet('Carrying & Loans')
+    expect(carrying.getCell('G3').value.formula).toBe('C3*4')
+    expect(carrying.getCell('H8').value.formula).toContain('PMT(D8/100/12,E8,-C8)')
+
+    const cashflow = workbook.getWorksheet('Cashflow')
+    expect(cashflow.getCell('B1').value).toBe('M1')
+    expect(cashflow.getCell('B2').value).toBe('Jan 2025')
+    const labels = cashflow.getColumn(1).values
+    const totalRow = labels.indexOf('Total')
+    const balanceRow = labels.indexOf('Balance')
+    expect(cashflow.getCell(`C${balanceRow}`).value.formula).toBe(`B${balanceRow}+C${totalRow}`)
+    const hardRow = labels.indexOf('Hard Costs')
+    expect(cashflow.getCell(`B${hardRow}`).value).toMatchObject({ formula: `SUM(B${hardRow + 1}:B${hardRow + 1})`, result: -20000 })
+
+    const metrics = workbook.getWorksheet('Metrics')
+    expect(metrics.getCell('B2').value.formula).toMatch(/^IFERROR\(IRR\(Cashflow!B\d+:Y\d+\),""\)$/)
+
+    const buffer = await workbook.xlsx.writeBuffer()
+    const reloaded = new ExcelJS.Workbook()
+    await reloaded.xlsx.load(buffer)
+    expect(reloaded.getWorksheet('Metrics').getCell('A1').value).toBe('Metric')
+  })
+
+  it('builds a safe download filename', () => {
+    expect(buildExportFilename({ name: 'Main St. Lofts #2' })).toBe('main-st-lofts-2-proforma.xlsx')
+    expect(buildExportFilename({})).toBe('project-proforma.xlsx')
+  })
+})
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest'
+import { projectUpdateSchema } from '@ds-proforma/types'
+import {
+  buildProjectCashflow,
+  calculateAssessedAnnualTax,
+  resolvePropertyTaxAssessment,
+  summarizePropertyTaxAssessment,
+} from '@ds-proforma/cashflow'
+
+// $1M market value at a 50% ratio and 20 mills: $10,000 a year.
+const assessment = {
+  landValueUsd: 200000,
+  improvementValueUsd: 800000,
+  assessmentRatioPct: 50,
+  millageRate: 20,
+  reassessOnPurchase: false,
+  completionMonth: 6,
+}
+
+const project = {
+  general: { purchasePriceUsd: 1500000 },
+  hardCosts: [{ id: 'gc', costName: 'GC', amountUsd: 1200000, paymentMonth: 1 }],
+  propertyTaxAssessment: assessment,
+}
+
+describe('property tax assessment', () => {
+  it('reassesses the improvements on purchase and on completion', () => {
+    const resolved = resolvePropertyTaxAssessment(project)
+
+    expect(calculateAssessedAnnualTax(resolved, 0)).toBeCloseTo(10000)
+    // Completed improvements default to the earlier value plus the hard costs.
+    expect(calculateAssessedAnnualTax(resolved, 6)).toBeCloseTo(22000)
+
+    const purchased = resolvePropertyTaxAssessment({
+      ...project,
+      propertyTaxAssessment: { ...assessment, reassessOnPurchase: true, completedImprovementValueUsd: 1800000 },
+    })
+    expect(purchased.improvements).toEqual({ preCompletion: 1300000, postCompletion: 1800000 })
+  })
+
+  it('phases in the abatement schedule from completion', () => {
+    const resolved = resolvePropertyTaxAssessment({
+      ...project,
+      propertyTaxAssessment: { ...assessment, abatement: { schedulePct: [100, 50], appliesTo: 'improvements' } },
+    })
+
+    expect(summarizePropertyTaxAssessment(resolved).abatementYears).toEqual([
+      { year: 1, abatementPct: 100, annualTax: 2000 },
+      { year: 2, abatementPct: 50, annualTax: 12000 },
+    ])
+    expect(calculateAssessedAnnualTax(resolved, 30)).toBeCloseTo(22000)
+  })
+
+  it('generates the property tax lines in place of the manual rows', () => {
+    const cashflow = buildProjectCashflow(
+      {
+        ...project,
+        carryingCosts: [
+          { id: 'tax', carryingType: 'property_tax', costName: 'RE Tax', amountUsd: 999, intervalUnit: 'monthly' },
+        ],
+      },
+      { months: 12 },
+    )
+    const lines = cashflow.rows.find((row) => row.id === 'carrying').subRows
+
+    expect(lines.map((line) => line.label)).toEqual(['Construction RE Tax (assessed)', 'Stabilized RE Tax (assessed)'])
+    expect(lines[0].values[5]).toBeCloseTo(-10000 / 12)
+    expect(lines[0].values[6]).toBe(0)
+    expect(lines[1].values[6]).toBeCloseTo(-22000 / 12)
+  })
+
+  it('validates the assessment on project updates', () => {
+    expect(projectUpdateSchema.safeParse({ propertyTaxAssessment: assessment }).success).toBe(true)
+    expect(projectUpdateSchema.safeParse({ propertyTaxAssessment: null }).success).toBe(true)
+    expect(
+      projectUpdateSchema.safeParse({
+        propertyTaxAssessment: { ...assessment, abatement: { schedulePct: [120] } },
+      }).success,
+    ).toBe(false)
+  })
+})
@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest'
+import { buildProjectCashflow, buildProjectWaterfall, sizeRefinanceLoan } from '@ds-proforma/cashflow'
+
+const terms = {
+  capRatePct: 6,
+  maxLtvPct: 65,
+  minDscr: 1.25,
+  minDebtYieldPct: 10,
+  interestRatePct: 6,
+  amortizationYears: 30,
+  closingCostPct: 1,
+}
+
+const project = {
+  general: { closingDate: '2025-01-01' },
+  // 10,000 of NOI a month.
+  revenue: [{ id: 'apt', typeLabel: '1bd', unitCount: 10, rentBudget: 1000, vacancyPct: 0, startMonth: 0 }],
+  carryingCosts: [
+    {
+      id: 'bridge',
+      carryingType: 'loan',
+      costName: 'Bridge loan',
+      loanMode: 'interest_only',
+      loanAmountUsd: 500000,
+      interestRatePct: 6,
+      loanTermMonths: 60,
+      fundingMonth: 0,
+      repaymentStartMonth: 0,
+    },
+  ],
+  gpContributions: [{ id: 'gp-1', partner: 'LP', amountUsd: 400000, contributionMonth: 0, holdingPct: 100 }],
+  capitalEvents: [{ id: 'refi', eventType: 'refinance', eventMonth: 12, terms }],
+}
+
+describe('refinance events', () => {
+  it('sizes the loan at the lowest of LTV, DSCR and debt yield', () => {
+    const sizing = sizeRefinanceLoan({ ...terms, annualNoi: 120000 })
+
+    expect(sizing.value).toBe(2000000)
+    expect(sizing.constraints.ltv).toBeCloseTo(1300000)
+    expect(sizing.constraints.dscr).toBeCloseTo(1334332.92, 1)
+    expect(sizing.constraints.debtYield).toBeCloseTo(1200000)
+    expect(sizing.bindingConstraint).toBe('debtYield')
+    expect(sizing.loanAmount).toBeCloseTo(1200000)
+
+    const unconstrained = sizeRefinanceLoan({ capRatePct: 6, interestRatePct: 6, amortizationYears: 30, annualNoi: 120000 })
+    expect(unconstrained).toMatchObject({ loanAmount: 0, bindingConstraint: null })
+  })
+
+  it('pays off the existing loans and books the net cash-out as a capital event', () => {
+    const cashflow = buildProjectCashflow(project, { months: 36 })
+    const { refinance } = cashflow.capitalEvents
+
+    expect(refinance).toMatchObject({ month: 12, annualNoi: 120000, payoff: 500000 })
+    expect(refinance.closingCosts).toBeCloseTo(12000)
+    expect(refinance.netCashOut).toBeCloseTo(688000)
+
+    const bridge = cashflow.loans.find((loan) => loan.id === 'bridge')
+    expect(bridge.values.payoff[12]).toBe(-500000)
+    expect(bridge.values.interest[13]).toBe(0)
+    expect(bridge.values.principal.every((value) => value === 0)).toBe(true)
+
+    const permanent = cashflow.loans.find((loan) => loan.id === 'refinance')
+    expect(permanent.values.interest[12]).toBe(0)
+    expect(permanent.values.interest[13]).toBeCloseTo(-6000)
+
+    const capitalRow = cashflow.rows.find((row) => row.id === 'capital')
+    expect(capitalRow.subRows.map((line) => line.label)).toEqual([
+      'Refinance • Loan Proceeds',
+      'Refinance • Loan Payoff',
+      'Refinance • Closing Costs',
+    ])
+    expect(capitalRow.values[12]).toBeCloseTo(688000)
+    expect(cashflow.operating.capitalEvents[12]).toBeCloseTo(688000)
+    // Refinance proceeds stay out of loan funding and debt service.
+    expect(cashflow.operating.loanFunding[12]).toBe(0)
+    expect(cashflow.operating.debtService[12]).toBeCloseTo(-2500)
+  })
+
+  it('runs the cash-out through the capital-return waterfall', () => {
+    const cashflow = buildProjectCashflow(project, { months: 36 })
+    const waterfall = buildProjectWaterfall(project, { cashflow })
+    const [lp] = waterfall.investors
+
+    expect(lp.monthly.capitalReturned[12]).toBeCloseTo(400000)
+    // 288,000 over capital plus that month's 7,500 of cash after debt service.
+    expect(lp.monthly.profit[12]).toBeCloseTo(295500)
+
+    const outOfHorizon = buildProjectCashflow(
+      { ...project, capitalEvents: [{ ...project.capitalEvents[0], eventMonth: 48 }] },
+      { months: 36 },
+    )
+    expect(outOfHorizon.capitalEvents.refinance).toBeNull()
+    expect(outOfHorizon.rows.some((row) => row.id === 'capital')).toBe(false)
+  })
+})
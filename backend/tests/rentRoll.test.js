@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest'
+import { applyRentRollToRevenue, buildProjectCashflow, summarizeRentRoll } from '@ds-proforma/cashflow'
+
+const revenue = [
+  { id: 'one-bed', typeLabel: '1bd', unitCount: 10, rentBudget: 1500, vacancyPct: 0, startMonth: 0, rentActual: null },
+  { id: 'two-bed', typeLabel: '2bd', unitCount: 4, rentBudget: 2000, vacancyPct: 0, startMonth: 0, rentActual: null },
+]
+
+const units = [
+  { id: 'u1', apartmentTypeId: 'one-bed', unitNumber: '101', status: 'occupied', contractRent: 1400, marketRent: 1550 },
+  { id: 'u2', apartmentTypeId: 'one-bed', unitNumber: '102', status: 'notice', contractRent: 1500, marketRent: 1550 },
+  { id: 'u3', apartmentTypeId: 'one-bed', unitNumber: '103', status: 'vacant', contractRent: null, marketRent: 1550 },
+  { id: 'u4', apartmentTypeId: null, unitNumber: 'Office', status: 'down', contractRent: null, marketRent: null },
+]
+
+describe('rent roll', () => {
+  it('rolls units up to their apartment type with loss-to-lease and budget variance', () => {
+    const { types, unassigned, totals } = summarizeRentRoll(units, revenue)
+
+    expect(types).toHaveLength(1)
+    expect(types[0]).toMatchObject({
+      apartmentTypeId: 'one-bed',
+      unitCount: 3,
+      occupiedUnits: 2,
+      contractRent: 2900,
+      marketRent: 4650,
+      lossToLease: 200,
+      budgetRent: 4500,
+      varianceToBudget: -1600,
+      averageContractRent: 1450,
+    })
+    expect(types[0].occupancyPct).toBeCloseTo(66.67, 1)
+    expect(types[0].lossToLeasePct).toBeCloseTo((200 / 3100) * 100)
+
+    expect(unassigned).toMatchObject({ unitCount: 1, occupiedUnits: 0, contractRent: 0 })
+    expect(totals).toMatchObject({ unitCount: 4, occupiedUnits: 2, budgetRent: 4500, varianceToBudget: -1600 })
+  })
+
+  it('takes unit count and actual rent from the roll only for types with units', () => {
+    const [oneBed, twoBed] = applyRentRollToRevenue(revenue, units)
+
+    expect(oneBed).toMatchObject({ unitCount: 3, rentActual: 1450, rentBudget: 1500 })
+    expect(twoBed).toBe(revenue[1])
+
+    const cashflow = buildProjectCashflow({ revenue: [oneBed, twoBed] }, { months: 2 })
+    const revenues = cashflow.rows.find((row) => row.id === 'revenues')
+    expect(revenues.values[0]).toBe(3 * 1500 + 4 * 2000)
+  })
+})
@@ -0,0 +1,130 @@
+import { describe, expect, it } from 'vitest'
+import { readImportSpreadsheet } from '../src/utils/hardCostImport.js'
+import {
+  RENT_ROLL_IMPORT_MAX_ROWS,
+  buildRentRollImportPlan,
+  buildRentRollImportWrites,
+  mapRentRollRow,
+  suggestRentRollMapping,
+} from '../src/utils/rentRollImport.js'
+
+const csv = [
+  'Unit,Unit Type,SqFt,Resident,Market Rent,Rent,Lease From,Lease To,Status',
+  '101,1BD,650,J. Rivera,"$1,550.00","$1,400.00",01/01/2026,12/31/2026,Occupied',
+  '102,1bd,650,,"1,550",,,,Vacant-Unrented',
+  '103,2BD,900,M. Chen,2100,2000,2026-03-01,2027-02-28,NTV',
+  'R1,Retail Suite A,1200,Corner Cafe,4000,3800,2025-06-01,2030-05-31,',
+  '101,1BD,650,Duplicate,1550,1400,,,Occupied',
+].join('\n')
+
+const context = {
+  units: [
+    { id: 'u101', apartmentTypeId: 'one-bed', unitNumber: '101', unitSqft: 650, tenantName: 'J. Rivera', leaseStart: '2026-01-01', leaseEnd: '2026-12-31', contractRent: 1350, marketRent: 1550, status: 'occupied' },
+    { id: 'u999', apartmentTypeId: 'one-bed', unitNumber: '999', status: 'vacant' },
+  ],
+  apartmentTypes: [{ id: 'one-bed', typeLabel: '1bd', unitCount: 10, rentBudget: 1500 }],
+  retailSpaces: [{ id: 'retail-1', typeLabel: 'Retail Suite A', unitCount: 1, rentBudget: 3500 }],
+}
+
+const readRows = async () => {
+  const { headers, rows } = await readImportSpreadsheet(Buffer.from(csv), { filename: 'roll.csv' })
+  const mapping = suggestRentRollMapping(headers)
+  return { mapping, rows: rows.map(({ rowNumber, cells }) => ({ rowNumber, payload: mapRentRollRow(cells, mapping) })) }
+}
+
+describe('rent roll import', () => {
+  it('maps export columns, dates, amounts and status aliases', async () => {
+    const { mapping, rows } = await readRows()
+    expect(mapping).toMatchObject({
+      unitNumber: 0,
+      typeLabel: 1,
+      unitSqft: 2,
+      tenantName: 3,
+      marketRent: 4,
+      contractRent: 5,
+      leaseStart: 6,
+      leaseEnd: 7,
+      status: 8,
+    })
+    expect(rows[0].payload).toEqual({
+      unitNumber: '101',
+      typeLabel: '1BD',
+      unitSqft: 650,
+      tenantName: 'J. Rivera',
+      leaseStart: '2026-01-01',
+      leaseEnd: '2026-12-31',
+      contractRent: 1400,
+      marketRent: 1550,
+      status: 'occupied',
+    })
+    expect(rows[1].payload).toMatchObject({ tenantName: null, contractRent: null, status: 'vacant' })
+    expect(rows[2].payload.status).toBe('notice')
+    // A blank status falls back to occupied when a tenant is named.
+    expect(rows[3].payload.status).toBe('occupied')
+    // Unmapped columns are left out so updates keep the saved value.
+    expect(mapRentRollRow(['104'], { unitNumber: 0 })).toEqual({ unitNumber: '104', status: 'vacant' })
+  })
+
+  it('diffs units and types against the project and flags duplicate units', async () => {
+    const { rows } = await readRows()
+    const plan = buildRentRollImportPlan(rows, context)
+
+    expect(plan.rows.map((row) => row.action)).toEqual(['update', 'create', 'create', 'create', null])
+    expect(plan.rows[0]).toMatchObject({ unitId: 'u101', changes: ['contractRent'] })
+    expect(plan.rows[4].error).toBe('Duplicate unit 101 (first seen on row 2)')
+    expect(plan.counts).toEqual({ create: 3, update: 1, unchanged: 0, error: 1 })
+    expect(plan.missingUnits).toEqual([{ id: 'u999', unitNumber: '999' }])
+
+    expect(plan.types).toEqual([
+      expect.objectContaining({ typeLabel: '1bd', target: 'apartment', id: 'one-bed', currentUnitCount: 10, importedUnitCount: 2, importedMarketRent: 1550 }),
+      expect.objectContaining({ typeLabel: '2BD', target: 'new', id: null, importedUnitCount: 1, importedMarketRent: 2100 }),
+      expect.objectContaining({ typeLabel: 'Retail Suite A', target: 'retail', id: 'retail-1', currentUnitCount: 1, importedUnitCount: 1 }),
+    ])
+  })
+
+  it('rejects rows that fail unit validation', () => {
+    const plan = buildRentRollImportPlan(
+      [
+        { payload: { unitNumber: '', status: 'vacant' } },
+        { payload: { unitNumber: '201', leaseStart: '13/45/2026', status: 'occupied' } },
+        { payload: { unitNumber: '202', contractRent: 'call', status: 'occupied' } },
+        { payload: { unitNumber: '203', status: 'model unit' } },
+      ],
+      context,
+    )
+    expect(plan.rows.every((row) => row.error && row.action === null)).toBe(true)
+    expect(plan.rows[1].error).toMatch(/^leaseStart/)
+  })
+  it('groups a full-size import into batched writes linked to the new types', () => {
+    const units = Array.from({ length: 500 }, (_, idx) => ({ id: `u${idx}`, unitNumber: String(idx), status: 'down' }))
+    const rows = Array.from({ length: RENT_ROLL_IMPORT_MAX_ROWS }, (_, idx) => ({
+      payload: {
+        unitNumber: String(idx),
+        typeLabel: ['1bd', 'Studio', 'Retail Suite A'][idx % 3],
+        tenantName: idx % 2 ? 'Tenant' : null,
+        status: idx % 2 ? 'occupied' : 'vacant',
+      },
+    }))
+    const plan = buildRentRollImportPlan(rows, { ...context, units })
+    let nextId = 0
+    const writes = buildRentRollImportWrites(plan, () => `new-${++nextId}`)
+
+    expect(plan.counts.error).toBe(0)
+    expect(writes.newTypes).toEqual([{ id: 'new-1', typeLabel: 'Studio', unitCount: 667, rentBudget: 0 }])
+    expect(writes.retailUpdates).toEqual([{ id: 'retail-1', unitCount: 666 }])
+    expect(writes.unitCreates).toHaveLength(1500)
+    expect(writes.unitUpdates).toHaveLength(500)
+    expect(writes.unitUpdates[0]).toEqual({
+      id: 'u0',
+      unit: { unitNumber: '0', apartmentTypeId: 'one-bed', tenantName: null, status: 'vacant' },
+    })
+    expect(writes.unitCreates.find((unit) => unit.unitNumber === '502')).toEqual({
+      unitNumber: '502',
+      apartmentTypeId: 'new-1',
+      tenantName: null,
+      status: 'vacant',
+    })
+    // Retail units are stored untyped.
+    expect(writes.unitCreates.find((unit) => unit.unitNumber === '503').apartmentTypeId).toBeNull()
+  })
+})
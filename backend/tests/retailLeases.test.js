@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildProjectCashflow,
+  buildRetailLeaseCostRows,
+  buildRetailLeaseValues,
+  calculateMonthlyRecoveries,
+  calculateNetRetailRevenue,
+  summarizeRetailLease,
+} from '@ds-proforma/cashflow'
+
+const cafe = {
+  id: 'cafe',
+  typeLabel: 'Suite A',
+  tenantName: 'Corner Cafe',
+  unitCount: 1,
+  unitSqft: 1200,
+  rentBudget: 4000,
+  vacancyPct: 0,
+  startMonth: 2,
+  leaseType: 'nnn',
+  leaseTermMonths: 6,
+  freeRentMonths: 2,
+  rentSteps: [{ afterMonths: 4, monthlyRentUsd: 4400 }],
+  camRecoveryUsd: 300,
+  taxRecoveryUsd: 200,
+  insuranceRecoveryUsd: 100,
+  tiAllowancePsf: 25,
+  leasingCommissionPct: 5,
+}
+
+describe('retail leases', () => {
+  it('recovers expenses by lease type', () => {
+    expect(calculateMonthlyRecoveries(cafe)).toBe(600)
+    expect(calculateMonthlyRecoveries({ ...cafe, leaseType: 'modified_gross' })).toBe(300)
+    expect(calculateMonthlyRecoveries({ ...cafe, leaseType: 'gross' })).toBe(0)
+    expect(calculateNetRetailRevenue({ ...cafe, vacancyPct: 10 })).toBeCloseTo(4600 * 0.9)
+  })
+
+  it('applies free rent, rent steps and expiration', () => {
+    const { rent, recoveries } = buildRetailLeaseValues(cafe, 10)
+
+    expect(rent).toEqual([0, 0, 0, 0, 4000, 4000, 4400, 4400, 0, 0])
+    expect(recoveries).toEqual([0, 0, 600, 600, 600, 600, 600, 600, 0, 0])
+  })
+
+  it('prices TI and leasing commissions as lease-up costs at commencement', () => {
+    expect(summarizeRetailLease(cafe)).toEqual({
+      leaseType: 'nnn',
+      commencementMonth: 2,
+      expirationMonth: 7,
+      monthlyRecoveriesUsd: 600,
+      leaseRentUsd: 16800,
+      tiUsd: 30000,
+      leasingCommissionUsd: 840,
+    })
+    expect(buildRetailLeaseCostRows([cafe])).toEqual([
+      expect.objectContaining({ id: 'cafe-ti', costGroup: 'tenant_improvements', amountUsd: 30000, paymentMonth: 2, derived: true }),
+      expect.objectContaining({ id: 'cafe-lc', costGroup: 'leasing_agent', costName: 'Leasing commission • Corner Cafe', amountUsd: 840 }),
+    ])
+    // Without a term there is no lease rent to pay a commission on.
+    expect(buildRetailLeaseCostRows([{ ...cafe, leaseTermMonths: null, tiAllowancePsf: null }])).toEqual([])
+  })
+
+  it('adds a recoveries line to the project cashflow', () => {
+    const cashflow = buildProjectCashflow({ retailRevenue: [cafe] }, { months: 10 })
+    const revenues = cashflow.rows.find((row) => row.id === 'revenues')
+
+    expect(revenues.subRows.map((row) => row.id)).toEqual(['cafe', 'cafe-recoveries'])
+    expect(revenues.values).toEqual([0, 0, 600, 600, 4600, 4600, 5000, 5000, 0, 0])
+  })
+})
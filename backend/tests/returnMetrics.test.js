@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest'
+import {
+  annualizeMonthlyRate,
+  buildProjectCashflow,
+  buildProjectFlows,
+  buildProjectReturnMetrics,
+  calculateAnnualCashOnCash,
+  calculateIrr,
+  calculateXirr,
+} from '@ds-proforma/cashflow'
+
+describe('return metrics', () => {
+  it('solves periodic IRR and returns null without a sign change', () => {
+    expect(calculateIrr([-100, 110])).toBeCloseTo(0.1, 6)
+    expect(calculateIrr([-1000, 300, 400, 500])).toBeCloseTo(0.0889633947, 6)
+    expect(calculateIrr([-100, -50])).toBeNull()
+    expect(annualizeMonthlyRate(0.01)).toBeCloseTo(0.126825, 6)
+  })
+
+  it('solves XIRR on dated flows with an actual/365 day count', () => {
+    const rate = calculateXirr([
+      { date: '2025-01-01', amount: -1000 },
+      { date: '2026-01-01', amount: 1100 },
+    ])
+    expect(rate).toBeCloseTo(0.1, 6)
+  })
+
+  it('divides each year of cash by equity contributed to date', () => {
+    const cash = [0, 10, 10, 10]
+    const contributions = [100, 0, 100, 0]
+    const years = calculateAnnualCashOnCash([...cash, ...Array(8).fill(0), 20], [...contributions, ...Array(9).fill(0)])
+    expect(years.map((entry) => entry.cashOnCashPct)).toEqual([15, 10])
+  })
+
+  it('derives project and investor metrics from the cashflow and waterfall', () => {
+    const metrics = buildProjectReturnMetrics(
+      {
+        general: { closingDate: '2025-01-01' },
+        revenue: [{ id: 'apt', typeLabel: '1bd', unitCount: 1, rentBudget: 1000, vacancyPct: 0, startMonth: 1 }],
+        hardCosts: [{ id: 'gc', costName: 'GC', amountUsd: 12000, paymentMode: 'single', paymentMonth: 0 }],
+        gpContributions: [{ id: 'gp-1', partner: 'user-1', amountUsd: 12000, contributionMonth: 0, holdingPct: 100 }],
+        returns: { preferredReturnPct: 0, noiDistributionMode: 'distribution' },
+      },
+      { months: 24 },
+    )
+
+    expect(metrics.project.unlevered.irrPct).toBeCloseTo(metrics.project.levered.irrPct, 6)
+    expect(metrics.project.equityMultiple).toBeCloseTo(23000 / 12000, 6)
+    expect(metrics.project.cashOnCash.map((entry) => entry.cashFlow)).toEqual([11000, 12000])
+    expect(metrics.investors).toHaveLength(1)
+    expect(metrics.investors[0].irrPct).toBeCloseTo(metrics.project.levered.irrPct, 6)
+    expect(metrics.investors[0].xirrPct).toBeGreaterThan(0)
+  })
+  it('charges the purchase price at closing in the project flows', () => {
+    const project = {
+      general: { closingDate: '2025-01-01', purchasePriceUsd: 100000 },
+      revenue: [{ id: 'apt', typeLabel: '1bd', unitCount: 1, rentBudget: 10000, vacancyPct: 0, startMonth: 1 }],
+    }
+    const metrics = buildProjectReturnMetrics(project, { months: 24 })
+
+    // -100,000 at closing, then 23 months of 10,000.
+    expect(metrics.project.unlevered.irrPct).toBeCloseTo(164.7955, 3)
+    expect(metrics.project.levered.irrPct).toBeCloseTo(164.7955, 3)
+
+    const cashflow = buildProjectCashflow(
+      {
+        ...project,
+        carryingCosts: [
+          {
+            id: 'cl',
+            carryingType: 'loan',
+            costName: 'Construction loan',
+            loanMode: 'construction',
+            loanAmountUsd: 60000,
+            interestRatePct: 0,
+            loanTermMonths: 24,
+            fundingMonth: 0,
+            repaymentStartMonth: 12,
+            constructionTerms: { drawCategories: ['purchase'] },
+          },
+        ],
+      },
+      { months: 24 },
+    )
+    const { leveredFlows } = buildProjectFlows(cashflow)
+    // The loan draw against the purchase nets against the acquisition outflow.
+    expect(cashflow.operating.loanFunding[0]).toBe(60000)
+    expect(leveredFlows[0]).toBeCloseTo(-40000)
+  })
+})
@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest'
+import { buildProjectCashflow, buildProjectFlows, buildProjectWaterfall } from '@ds-proforma/cashflow'
+
+const sale = { id: 'sale', eventType: 'sale', eventMonth: 24, terms: { exitCapRatePct: 6, sellingCostPct: 2, transferTaxPct: 1 } }
+
+const project = {
+  general: { closingDate: '2025-01-01' },
+  // 10,000 of NOI a month.
+  revenue: [{ id: 'apt', typeLabel: '1bd', unitCount: 10, rentBudget: 1000, vacancyPct: 0, startMonth: 0 }],
+  carryingCosts: [
+    {
+      id: 'bridge',
+      carryingType: 'loan',
+      costName: 'Bridge loan',
+      loanMode: 'interest_only',
+      loanAmountUsd: 500000,
+      interestRatePct: 6,
+      loanTermMonths: 60,
+      fundingMonth: 0,
+      repaymentStartMonth: 0,
+    },
+  ],
+  gpContributions: [{ id: 'gp-1', partner: 'LP', amountUsd: 400000, contributionMonth: 0, holdingPct: 100 }],
+  capitalEvents: [sale],
+}
+
+describe('sale events', () => {
+  it('prices the sale off forward NOI and pays the loans, costs and taxes', () => {
+    const cashflow = buildProjectCashflow(project, { months: 36 })
+    const { sale: result } = cashflow.capitalEvents
+
+    expect(result).toMatchObject({ month: 24, annualNoi: 120000, exitCapRatePct: 6, payoff: 500000 })
+    expect(result.salePrice).toBeCloseTo(2000000)
+    expect(result.sellingCosts).toBeCloseTo(40000)
+    expect(result.transferTaxes).toBeCloseTo(20000)
+    expect(result.netProceeds).toBeCloseTo(1440000)
+
+    const capitalRow = cashflow.rows.find((row) => row.id === 'capital')
+    expect(capitalRow.subRows.map((line) => line.label)).toEqual([
+      'Sale • Gross Sale Price',
+      'Sale • Selling Costs',
+      'Sale • Transfer Taxes',
+      'Sale • Loan Payoff',
+    ])
+    expect(capitalRow.values[24]).toBeCloseTo(1440000)
+    expect(cashflow.operating.capitalEvents[24]).toBeCloseTo(1440000)
+    expect(cashflow.operating.reversion[24]).toBeCloseTo(1940000)
+  })
+
+  it('ends the cashflow at the sale month', () => {
+    const cashflow = buildProjectCashflow(project, { months: 36 })
+    const revenues = cashflow.rows.find((row) => row.id === 'revenues')
+
+    expect(revenues.values[24]).toBe(10000)
+    expect(revenues.values.slice(25).every((value) => value === 0)).toBe(true)
+    expect(cashflow.totals.slice(25).every((value) => value === 0)).toBe(true)
+    expect(cashflow.operating.noi[25]).toBe(0)
+
+    const bridge = cashflow.loans.find((loan) => loan.id === 'bridge')
+    expect(bridge.values.payoff[24]).toBe(-500000)
+    expect(bridge.values.interest[25]).toBe(0)
+
+    const { unleveredFlows, leveredFlows } = buildProjectFlows(cashflow)
+    expect(unleveredFlows[24]).toBeCloseTo(1950000)
+    // NOI − interest + net proceeds.
+    expect(leveredFlows[24]).toBeCloseTo(10000 - 2500 + 1440000)
+  })
+
+  it('pays off a refinance loan and drops a refinance at or after the sale', () => {
+    const refinance = {
+      id: 'refi',
+      eventType: 'refinance',
+      eventMonth: 12,
+      terms: { capRatePct: 6, minDebtYieldPct: 10, interestRatePct: 6, amortizationYears: 30 },
+    }
+    const cashflow = buildProjectCashflow(
+      { ...project, capitalEvents: [refinance, sale] },
+      { months: 36 },
+    )
+    const permanent = cashflow.loans.find((loan) => loan.id === 'refinance')
+    const balanceRepaid = -permanent.values.payoff[24]
+
+    expect(balanceRepaid).toBeGreaterThan(1150000)
+    expect(balanceRepaid).toBeLessThan(1200000)
+    expect(cashflow.capitalEvents.sale.payoff).toBeCloseTo(balanceRepaid)
+    expect(permanent.values.interest[25]).toBe(0)
+
+    const late = buildProjectCashflow(
+      { ...project, capitalEvents: [{ ...refinance, eventMonth: 24 }, sale] },
+      { months: 36 },
+    )
+    expect(late.capitalEvents.refinance).toBeNull()
+    expect(late.capitalEvents.sale.payoff).toBe(500000)
+  })
+
+  it('returns the net proceeds to investors through the waterfall', () => {
+    const cashflow = buildProjectCashflow(project, { months: 36 })
+    const waterfall = buildProjectWaterfall(project, { cashflow })
+    const [lp] = waterfall.investors
+
+    expect(lp.monthly.capitalReturned[24]).toBeGreaterThan(0)
+    expect(lp.totals.distributed).toBeGreaterThan(1440000)
+  })
+})
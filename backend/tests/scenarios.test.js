@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest'
+import { applyScenario, buildProjectCashflow, compareScenarios, summarizeScenario } from '@ds-proforma/cashflow'
+
+const project = {
+  general: { closingDate: '2025-01-01', startLeasingDate: '2025-04-01', stabilizedDate: '2025-07-01', purchasePriceUsd: 50000 },
+  revenue: [{ id: 'apt', typeLabel: '1bd', unitCount: 10, rentBudget: 1000, vacancyPct: 0, startMonth: 0 }],
+  hardCosts: [{ id: 'gc', costName: 'GC', amountUsd: 120000, paymentMode: 'range', startMonth: 0, endMonth: 5 }],
+  softCosts: [{ id: 'arch', costName: 'Design', amountUsd: 10000, paymentMode: 'single', paymentMonth: 0 }],
+  carryingCosts: [
+    {
+      id: 'loan-1',
+      carryingType: 'loan',
+      loanMode: 'interest_only',
+      loanAmountUsd: 100000,
+      amountUsd: 100000,
+      interestRatePct: 6,
+      loanTermMonths: 36,
+      fundingMonth: 3,
+      repaymentStartMonth: 3,
+    },
+  ],
+}
+
+describe('scenarios', () => {
+  it('applies cost, rent, vacancy, loan and delay adjustments without touching the source', () => {
+    const adjusted = applyScenario(project, {
+      hardCostPct: 10,
+      rentPct: -5,
+      vacancyPct: 8,
+      interestRateDeltaPct: 1.5,
+      loanTermMonths: 24,
+      delayMonths: 6,
+    })
+
+    expect(adjusted.hardCosts[0]).toMatchObject({ amountUsd: 132000, startMonth: 6, endMonth: 11 })
+    expect(adjusted.softCosts[0]).toMatchObject({ amountUsd: 10000, paymentMonth: 0 })
+    expect(adjusted.revenue[0]).toMatchObject({ rentBudget: 950, vacancyPct: 8, startMonth: 6 })
+    expect(adjusted.carryingCosts[0]).toMatchObject({
+      interestRatePct: 7.5,
+      loanTermMonths: 24,
+      fundingMonth: 3,
+      repaymentStartMonth: 9,
+    })
+    expect(adjusted.general.stabilizedDate).toBe('2026-01-01')
+    expect(project.hardCosts[0].amountUsd).toBe(120000)
+  })
+
+  it('moves the refinance and sale events with the delay', () => {
+    const withSale = {
+      ...project,
+      capitalEvents: [
+        { id: 'sale', eventType: 'sale', eventMonth: 24, terms: { exitCapRatePct: 6, sellingCostPct: 2, transferTaxPct: 1 } },
+      ],
+    }
+    const delayed = applyScenario(withSale, { delayMonths: 6 })
+
+    expect(delayed.capitalEvents[0].eventMonth).toBe(30)
+    expect(withSale.capitalEvents[0].eventMonth).toBe(24)
+    expect(buildProjectCashflow(delayed, { months: 36 }).capitalEvents.sale.month).toBe(30)
+    // Selling on the original month would cut six months of the delayed NOI.
+    const unmoved = { ...delayed, capitalEvents: withSale.capitalEvents }
+    const delayedIrr = summarizeScenario(delayed, { months: 36 }).leveredIrrPct
+    expect(delayedIrr).not.toBeCloseTo(summarizeScenario(unmoved, { months: 36 }).leveredIrrPct, 1)
+  })
+
+  it('summarizes NOI, cost, peak equity and DSCR for the stabilized year', () => {
+    const summary = summarizeScenario(project, { months: 36 })
+    expect(summary.stabilizedWindow).toEqual({ startMonth: 6, endMonth: 17 })
+    expect(summary.annualNoi).toBe(120000)
+    expect(summary.totalCost).toBe(180000)
+    expect(summary.dscr).toBeCloseTo(120000 / 6000, 6)
+    // Purchase, design and three months of GC before the loan funds.
+    expect(summary.peakEquity).toBeCloseTo(120000, 6)
+  })
+
+  it('counts the purchase price in peak equity and levered IRR', () => {
+    const summary = summarizeScenario(
+      {
+        general: { closingDate: '2025-01-01', purchasePriceUsd: 200000 },
+        revenue: [{ id: 'apt', typeLabel: '1bd', unitCount: 10, rentBudget: 1000, vacancyPct: 0, startMonth: 3 }],
+        hardCosts: [{ id: 'gc', costName: 'GC', amountUsd: 50000, paymentMode: 'single', paymentMonth: 2 }],
+      },
+      { months: 36 },
+    )
+    // All-equity: the whole acquisition and build is funded before rent starts.
+    expect(summary.totalCost).toBe(250000)
+    expect(summary.peakEquity).toBeCloseTo(250000, 6)
+    // 33 months of 10,000 against 250,000 of cost.
+    expect(summary.leveredIrrPct).toBeCloseTo(20.4526, 3)
+  })
+
+  it('lists the base case first followed by each scenario', () => {
+    const rows = compareScenarios(project, [{ id: 's-1', name: 'Lender case', adjustments: { rentPct: -10 } }], {
+      months: 36,
+    })
+    expect(rows.map((row) => row.name)).toEqual(['Base', 'Lender case'])
+    expect(rows[1].summary.annualNoi).toBeCloseTo(108000, 6)
+    expect(rows[1].summary.leveredIrrPct).toBeLessThan(rows[0].summary.leveredIrrPct)
+  })
+})
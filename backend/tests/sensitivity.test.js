@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest'
+import { buildSensitivityAxisValues, buildSensitivityGrid, evaluateSensitivityCase } from '@ds-proforma/cashflow'
+
+const base = {
+  purchasePriceUsd: 1_000_000,
+  hardCostUsd: 3_000_000,
+  equityUsd: 1_000_000,
+  constructionTaxMonthlyUsd: 0,
+  annualRevenueUsd: 500_000,
+  annualExpensesUsd: 100_000,
+  constructionMonths: 12,
+  stabilizationMonths: 12,
+  interestRatePct: 0,
+  exitCapRatePct: 5,
+  salesCostPct: 0,
+}
+
+describe('sensitivity grid', () => {
+  it('matches the exit table money in hand for the base case', () => {
+    const result = evaluateSensitivityCase(base)
+    expect(result.totalProjectCost).toBe(4_000_000)
+    expect(result.salePrice).toBe(8_000_000)
+    expect(result.profit).toBe(4_000_000)
+    expect(result.irrPct).toBeGreaterThan(0)
+  })
+
+  it('applies rent growth, overruns and construction interest', () => {
+    const grown = evaluateSensitivityCase(base, { rentGrowthPct: 10 })
+    expect(grown.exitNoi).toBeCloseTo(500_000 * 1.21 - 100_000, 6)
+
+    const overrun = evaluateSensitivityCase(base, { hardCostOverrunPct: 10, interestRatePct: 12 })
+    // Loan base 3.3M, plus 12% simple interest for a year.
+    expect(overrun.totalProjectCost).toBeCloseTo(3_300_000 * 1.12 + 1_000_000, 6)
+  })
+
+  it('builds axis values and one cell per pair', () => {
+    expect(buildSensitivityAxisValues({ variable: 'exitCapRatePct', start: -0.5, step: 0.25, count: 4 })).toEqual([
+      0, 0.25,
+    ])
+    expect(buildSensitivityAxisValues({ variable: 'constructionMonths', start: 12, step: 3, count: 3 })).toEqual([
+      12, 15, 18,
+    ])
+
+    const grid = buildSensitivityGrid(base, {
+      rowAxis: { variable: 'exitCapRatePct', start: 4.5, step: 0.5, count: 3 },
+      columnAxis: { variable: 'hardCostOverrunPct', start: 0, step: 10, count: 2 },
+      metric: 'profit',
+    })
+    expect(grid.rowValues).toEqual([4.5, 5, 5.5])
+    expect(grid.cells).toHaveLength(3)
+    expect(grid.cells[1][0]).toBe(4_000_000)
+    expect(grid.cells[1][1]).toBe(3_700_000)
+    expect(grid.max).toBe(grid.cells[0][0])
+    expect(grid.min).toBe(grid.cells[2][1])
+  })
+})
@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest'
+import { buildSourcesAndUses } from '@ds-proforma/cashflow'
+
+const project = {
+  general: { closingDate: '2025-01-01', startLeasingDate: '2025-04-01', stabilizedDate: '2025-07-01', purchasePriceUsd: 50000 },
+  hardCosts: [{ id: 'gc', costName: 'GC', amountUsd: 120000, paymentMode: 'range', startMonth: 0, endMonth: 5 }],
+  softCosts: [{ id: 'arch', costName: 'Design', amountUsd: 10000, paymentMode: 'single', paymentMonth: 0 }],
+  leaseupCosts: [{ id: 'mkt', costName: 'Marketing', amountUsd: 6000, paymentMode: 'single', paymentMonth: 4 }],
+  carryingCosts: [
+    {
+      id: 'loan-1',
+      carryingType: 'loan',
+      costName: 'Construction loan',
+      loanMode: 'interest_only',
+      loanAmountUsd: 100000,
+      interestRatePct: 6,
+      loanTermMonths: 36,
+      fundingMonth: 3,
+      repaymentStartMonth: 3,
+    },
+    { id: 'tax', carryingType: 'property_tax', costName: 'RE tax', amountUsd: 300, intervalUnit: 'monthly', startMonth: 0 },
+  ],
+  gpContributions: [
+    { id: 'gp-1', partner: 'user-1', amountUsd: 60000, contributionMonth: 0, holdingPct: 75 },
+    { id: 'lp-1', partner: 'LP', amountUsd: 20000, contributionMonth: 2, holdingPct: 25 },
+  ],
+}
+
+describe('buildSourcesAndUses', () => {
+  it('totals uses and sources through the stabilized month and flags the gap', () => {
+    const result = buildSourcesAndUses(project, { months: 24 })
+
+    expect(result.window).toEqual({ startMonth: 0, endMonth: 6 })
+    expect(Object.fromEntries(result.uses.map((line) => [line.id, line.amount]))).toEqual({
+      purchase: 50000,
+      hard: 120000,
+      soft: 10000,
+      leaseup: 6000,
+      carrying: 2100,
+      financing: 2000,
+    })
+    expect(result.sources.map((line) => [line.label, line.amount])).toEqual([
+      ['Construction loan', 100000],
+      ['GP equity', 60000],
+      ['LP equity', 20000],
+    ])
+    expect(result.totalUses).toBe(190100)
+    expect(result.totalSources).toBe(180000)
+    expect(result.difference).toBe(-10100)
+    expect(result.status).toBe('gap')
+  })
+
+  it('tracks the monthly equity requirement against contributions', () => {
+    const { monthly } = buildSourcesAndUses(project, { months: 24 })
+
+    expect(monthly).toHaveLength(7)
+    expect(monthly[0]).toMatchObject({ uses: 80300, equityRequired: 80300, equityContributed: 60000, equityShortfall: 20300 })
+    expect(monthly[2]).toMatchObject({ cumulativeEquityRequired: 120900, cumulativeEquityContributed: 80000 })
+    // The loan funds month 3 onward, so no new equity is needed after it draws.
+    expect(monthly[3]).toMatchObject({ loanDraws: 100000, equityRequired: 0 })
+    expect(monthly[6].cumulativeEquityRequired).toBe(120900)
+    expect(monthly[6].equityShortfall).toBe(40900)
+  })
+
+  it('reports a balanced statement within a dollar', () => {
+    const balanced = {
+      general: { closingDate: '2025-01-01', purchasePriceUsd: 100000 },
+      gpContributions: [{ id: 'gp-1', partner: 'user-1', amountUsd: 100000.5, contributionMonth: 0 }],
+    }
+    const result = buildSourcesAndUses(balanced, { months: 12 })
+    expect(result.window.endMonth).toBe(11)
+    expect(result.status).toBe('balanced')
+    expect(result.monthly[0].equityShortfall).toBe(0)
+  })
+})
@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest'
+import { buildDistributionWaterfall } from '@ds-proforma/cashflow'
+
+const contributions = [
+  { partner: 'gp', amountUsd: 1000000, contributionMonth: 0, holdingPct: 50 },
+  { partner: 'lp1', amountUsd: 1000000, contributionMonth: 0, holdingPct: 25 },
+  { partner: 'lp2', amountUsd: 1000000, contributionMonth: 0, holdingPct: 25 },
+]
+
+const monthsOf = (length, entries) => {
+  const values = Array(length).fill(0)
+  Object.entries(entries).forEach(([month, value]) => {
+    values[Number(month)] = value
+  })
+  return values
+}
+
+describe('buildDistributionWaterfall', () => {
+  it('pays accrued pref before returning capital pro-rata', () => {
+    const result = buildDistributionWaterfall({
+      contributions,
+      months: 24,
+      preferredReturnPct: 8,
+      capitalEvents: monthsOf(24, { 23: 1500000 }),
+    })
+
+    result.investors.forEach((investor) => {
+      expect(investor.totals.prefPaid).toBeCloseTo(160000, 2)
+      expect(investor.totals.capitalReturned).toBeCloseTo(340000, 2)
+      expect(investor.monthly.capitalBalance[23]).toBeCloseTo(660000, 2)
+      expect(investor.totals.profitDistributed).toBe(0)
+    })
+  })
+
+  it('splits excess over capital by holding %', () => {
+    const result = buildDistributionWaterfall({
+      contributions,
+      months: 12,
+      capitalEvents: monthsOf(12, { 6: 3400000 }),
+    })
+
+    const [gp, lp1] = result.investors
+    expect(gp.totals.capitalReturned).toBeCloseTo(1000000, 2)
+    expect(gp.totals.profitDistributed).toBeCloseTo(200000, 2)
+    expect(lp1.totals.profitDistributed).toBeCloseTo(100000, 2)
+    expect(gp.totals.totalProfit).toBeCloseTo(200000, 2)
+  })
+
+  it('keeps pref accruing while NOI is distributed by holding %', () => {
+    const result = buildDistributionWaterfall({
+      contributions,
+      months: 12,
+      preferredReturnPct: 12,
+      noiMode: 'distribution',
+      operatingCash: monthsOf(12, { 11: 10000 }),
+    })
+
+    const [gp, lp1] = result.investors
+    expect(gp.monthly.profit[11]).toBeCloseTo(5000, 2)
+    expect(lp1.monthly.profit[11]).toBeCloseTo(2500, 2)
+    expect(gp.monthly.prefBalance[11]).toBeCloseTo(120000, 2)
+    expect(gp.monthly.capitalBalance[11]).toBe(1000000)
+  })
+
+  it('applies NOI to pref and principal in capital return mode', () => {
+    const result = buildDistributionWaterfall({
+      contributions,
+      months: 12,
+      preferredReturnPct: 12,
+      noiMode: 'capital_return',
+      operatingCash: monthsOf(12, { 0: 60000 }),
+    })
+
+    const [gp] = result.investors
+    expect(gp.monthly.prefPaid[0]).toBeCloseTo(10000, 2)
+    expect(gp.monthly.capitalReturned[0]).toBeCloseTo(10000, 2)
+    expect(gp.monthly.capitalBalance[0]).toBeCloseTo(990000, 2)
+    expect(gp.monthly.prefAccrued[1]).toBeCloseTo(9900, 2)
+  })
+})
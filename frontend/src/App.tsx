@@ -11,6 +11,8 @@ import {
   deleteUser,
   fetchCurrentUser,
   fetchProjectDetail,
+  exportProjectWorkbook,
+  exportInvestorPackage,
   fetchProjectCollaborators,
   fetchProjects,
   fetchUsers,
@@ -50,26 +52,28 @@ import {
   reorderTripItems,
 } from './api.js'
 import { RevenueSection } from './features/revenue/RevenueSection'
+import { RentRollSection } from './features/revenue/RentRollSection'
 import { HardCostsSection } from './features/costs/HardCostsSection'
+import { HardCostTrackingSection } from './features/costs/HardCostTrackingSection'
 import { SoftCostsSection } from './features/costs/SoftCostsSection'
 import { LeaseUpCostsSection } from './features/costs/LeaseUpCostsSection'
 import { GeneralTab } from './features/general/GeneralTab'
 import { KanbanBoard } from './features/kanban/KanbanBoard'
 import { CashflowBoard } from './features/cashflow/CashflowBoard'
-import { calculateNetParking, calculateNetRevenue, gpPartners } from './features/revenue/revenueHelpers.js'
 import {
-  buildContributionValues,
-  buildRampedRevenueValues,
-  buildCashflowRows,
-  buildExpenseSeries,
-  buildCarryingSeries,
-} from './features/cashflow/cashflowHelpers.js'
+  MAX_CASHFLOW_MONTHS,
+  buildProjectCashflow,
+  resolveCashflowBaseDate,
+  resolveCashflowHorizon,
+} from '@ds-proforma/cashflow'
 import { CarryingCostsSection } from './features/carrying/CarryingCostsSection'
 import { ConstructionCarryingCostsSection } from './features/carrying/ConstructionCarryingCostsSection'
 import { ConstructionDebtServiceSection } from './features/carrying/ConstructionDebtServiceSection'
-import { calculateLoanPreview } from './features/carrying/carryingHelpers.js'
+import { calculateLoanPaymentsThrough, findLoanSchedule } from './features/carrying/carryingHelpers.js'
 import { FundingTab } from './features/funding/FundingTab'
 import { MetricsTab } from './features/metrics/MetricsTab'
+import { ReturnsTab } from './features/returns/ReturnsTab'
+import { ScenariosTab } from './features/scenarios/ScenariosTab'
 import { DocsTab } from './features/docs/DocsTab'
 import { UnitEconomyTab } from './features/unit-economy/UnitEconomyTab'
 import { EntitiesTab } from './features/admin/EntitiesTab'
@@ -81,15 +85,9 @@ import { TripsBoard } from './features/trips/TripsBoard'
 import { LifeInsuranceBoard } from './features/life-insurance/LifeInsuranceBoard'
 import type {
   AddressSuggestion,
-  ApartmentRevenueRow,
-  RetailRevenueRow,
-  CarryingCostRow,
-  CarryingType,
   EntityId,
   GeneralFormState,
-  GpContributionRow,
-  IntervalUnit,
-  ParkingRevenueRow,
+  PackageTemplateId,
   ProjectCollaborator,
   ProjectDetail,
   ProjectStage,
@@ -116,6 +114,8 @@ const TABS = [
   { id: 'revenue', label: 'Stabilized Revenues' },
   { id: 'carrying', label: 'Stabilized Phase Costs' },
   { id: 'cashflow', label: 'Cashflow' },
+  { id: 'returns', label: 'Returns' },
+  { id: 'scenarios', label: 'Scenarios' },
   { id: 'metrics', label: 'Metrics & Sensitivities' },
   { id: 'docs', label: 'Docs' },
 ] as const
@@ -127,13 +127,10 @@ const APP_VERSION = '1.0.83'
 type RequestStatus = 'idle' | 'saving' | 'error'
 type AddressSearchStatus = 'idle' | 'loading' | 'loaded' | 'error'
 type SelectedCoords = { lat: number; lon: number } | null
-type CashflowMonthMeta = { index: number; label: string; calendarLabel: string; year: number }
 type AuthFormState = { username: string; password: string }
 type BoardType = 'realEstate' | 'business' | 'admin' | 'trips' | 'lifeInsurance'
 type AdminHubTab = 'entities' | 'tax' | 'team' | 'documents' | 'ownership'
-type AutoManagementRow = { id: string; label: string; monthlyAmount: number; startMonth: number | null }
 
-const CASHFLOW_MONTHS = 60
 const defaultGeneralForm: GeneralFormState = {
   name: '',
   addressLine1: '',
@@ -146,6 +143,8 @@ const defaultGeneralForm: GeneralFormState = {
   closingDate: '',
   startLeasingDate: '',
   stabilizedDate: '',
+  horizonMonths: '',
+  fiscalYearStartMonth: '1',
   latitude: '',
   longitude: '',
   targetUnits: '',
@@ -571,6 +570,8 @@ function App() {
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false)
   const [pendingDeleteProjectId, setPendingDeleteProjectId] = useState<EntityId | null>(null)
   const [deleteStatus, setDeleteStatus] = useState<RequestStatus>('idle')
+  const [exportStatus, setExportStatus] = useState<RequestStatus>('idle')
+  const [exportError, setExportError] = useState('')
   const [expandedCashflowRows, setExpandedCashflowRows] = useState<Set<string>>(() => new Set<string>())
   const [authForm, setAuthForm] = useState<AuthFormState>({
     username: initialAuth?.username ?? '',
@@ -678,29 +679,27 @@ function App() {
   const stageOptionsForDisplay = allStageOptions.filter((s) => !hiddenStages.has(s.id))
   const stageOptionsForDropdown = allStageOptions
   const apiOrigin = (API_BASE || '').replace(/\/$/, '')
-  const baseDate = useMemo(() => {
-    const closingDate = selectedProject?.general?.closingDate
-    const parsed = closingDate ? new Date(closingDate) : new Date()
-    if (Number.isNaN(parsed.getTime())) return new Date()
-    return new Date(parsed.getFullYear(), parsed.getMonth(), 1)
-  }, [selectedProject?.general?.closingDate])
+  const baseDate = useMemo(
+    () => resolveCashflowBaseDate(selectedProject?.general?.closingDate),
+    [selectedProject?.general?.closingDate],
+  )
 
   const normalizeMonthInputValue = (value: string | number, fallback = 1) => {
     const num = Number(value)
     if (Number.isNaN(num)) return fallback
-    return Math.max(1, Math.min(CASHFLOW_MONTHS, Math.trunc(num)))
+    return Math.max(1, Math.min(MAX_CASHFLOW_MONTHS, Math.trunc(num)))
   }
 
   const clampInputToCashflowMonth = (value: string | number | null | undefined) => {
     if (value === null || value === undefined || value === '') return null
     const parsed = Number(value)
     if (Number.isNaN(parsed)) return null
-    return Math.min(CASHFLOW_MONTHS - 1, Math.max(0, Math.trunc(parsed)))
+    return Math.min(MAX_CASHFLOW_MONTHS - 1, Math.max(0, Math.trunc(parsed)))
   }
 
   const convertMonthInputToOffset = (value: string | number | null | undefined) => {
     const normalized = normalizeMonthInputValue(value ?? 1) - 1
-    return Math.max(0, Math.min(CASHFLOW_MONTHS - 1, normalized))
+    return Math.max(0, Math.min(MAX_CASHFLOW_MONTHS - 1, normalized))
   }
 
   const formatOffsetForInput = (offset?: number | null) => String((offset ?? 0) + 1)
@@ -762,40 +761,31 @@ function App() {
   )
   const hasWeatherCoords = latForWeather !== null && lonForWeather !== null
 
-  const getOffsetFromDate = useCallback(
-    (value: string | null | undefined) => {
-      if (!value) return null
-      const target = new Date(value)
-      if (Number.isNaN(target.getTime())) return null
-      return (target.getFullYear() - baseDate.getFullYear()) * 12 + (target.getMonth() - baseDate.getMonth())
-    },
-    [baseDate],
+  const cashflowHorizon = resolveCashflowHorizon({
+    horizonMonths: generalForm.horizonMonths || selectedProject?.general?.horizonMonths,
+  })
+  const projectCashflow = useMemo(
+    () =>
+      buildProjectCashflow(selectedProject, {
+        months: cashflowHorizon,
+        overrides: {
+          startLeasingDate: generalForm.startLeasingDate || null,
+          stabilizedDate: generalForm.stabilizedDate || null,
+        },
+      }),
+    [selectedProject, cashflowHorizon, generalForm.startLeasingDate, generalForm.stabilizedDate],
   )
-
-  const leasingStartDateValue = generalForm.startLeasingDate || selectedProject?.general?.startLeasingDate || null
-  const stabilizedDateValue = generalForm.stabilizedDate || selectedProject?.general?.stabilizedDate || null
-
-  const leasingStartOffset = useMemo(() => {
-    const diff = getOffsetFromDate(leasingStartDateValue)
-    if (diff === null) return null
-    return Math.max(0, diff)
-  }, [getOffsetFromDate, leasingStartDateValue])
-
-  const stabilizedOffsetRaw = useMemo(() => {
-    const diff = getOffsetFromDate(stabilizedDateValue)
-    if (diff === null) return null
-    return Math.max(0, diff)
-  }, [getOffsetFromDate, stabilizedDateValue])
-
-  const stabilizedOffset = useMemo(() => {
-    if (stabilizedOffsetRaw === null) {
-      return leasingStartOffset !== null ? leasingStartOffset + 12 : null
-    }
-    if (leasingStartOffset !== null && stabilizedOffsetRaw < leasingStartOffset) {
-      return leasingStartOffset
-    }
-    return stabilizedOffsetRaw
-  }, [leasingStartOffset, stabilizedOffsetRaw])
+  const { leasingStartOffset, stabilizedOffset } = projectCashflow
+  const autoManagementRows = projectCashflow.turnoverRows
+  const cashflowMonths = projectCashflow.months
+  const cashflowRows = projectCashflow.rows
+  // The rent roll is for buildings with tenants in place; development projects see it once they add units.
+  const showRentRoll =
+    selectedProject?.general?.propertyType === 'existing_building' ||
+    selectedProject?.stage === 'stabilized' ||
+    Boolean(selectedProject?.rentRoll?.length)
+  // Commitments and change orders are tracked once construction starts.
+  const showHardCostTracking = selectedProject?.stage === 'in_development' || selectedProject?.stage === 'stabilized'
 
   const toggleCashflowRow = (rowId: string) => {
     setExpandedCashflowRows((prev) => {
@@ -828,171 +818,6 @@ function App() {
     setAddressInputTouched(true)
   }
 
-  const apartmentRevenueRows: ApartmentRevenueRow[] = selectedProject?.revenue ?? []
-  const retailRevenueRows: RetailRevenueRow[] = selectedProject?.retailRevenue ?? []
-  const parkingRevenueRows: ParkingRevenueRow[] = selectedProject?.parkingRevenue ?? []
-  const gpContributionRows: GpContributionRow[] = selectedProject?.gpContributions ?? []
-  const carryingCostRows: CarryingCostRow[] = selectedProject?.carryingCosts ?? []
-
-  const totalApartmentUnits = useMemo(() => {
-    const explicitUnits = apartmentRevenueRows.reduce((sum, row) => sum + (row.unitCount || 0), 0)
-    if (explicitUnits > 0) return explicitUnits
-    return selectedProject?.general?.targetUnits ?? 0
-  }, [apartmentRevenueRows, selectedProject?.general?.targetUnits])
-
-  const totalRetailUnits = useMemo(() => {
-    if (!retailRevenueRows.length) return 0
-    return retailRevenueRows.reduce((sum, row) => {
-      const units = row.unitCount
-      if (units && units > 0) return sum + units
-      return sum + 1
-    }, 0)
-  }, [retailRevenueRows])
-
-  const apartmentTurnoverAnnualCost = useMemo(() => {
-    const turnoverPct = selectedProject?.apartmentTurnover?.turnoverPct ?? 0
-    const turnoverCost = selectedProject?.apartmentTurnover?.turnoverCostUsd ?? 0
-    if (!turnoverPct || !turnoverCost || !totalApartmentUnits) return 0
-    return (turnoverPct / 100) * totalApartmentUnits * turnoverCost
-  }, [selectedProject?.apartmentTurnover?.turnoverCostUsd, selectedProject?.apartmentTurnover?.turnoverPct, totalApartmentUnits])
-
-  const retailTurnoverAnnualCost = useMemo(() => {
-    const turnoverPct = selectedProject?.retailTurnover?.turnoverPct ?? 0
-    const turnoverCost = selectedProject?.retailTurnover?.turnoverCostUsd ?? 0
-    if (!turnoverPct || !turnoverCost || !totalRetailUnits) return 0
-    return (turnoverPct / 100) * totalRetailUnits * turnoverCost
-  }, [selectedProject?.retailTurnover?.turnoverCostUsd, selectedProject?.retailTurnover?.turnoverPct, totalRetailUnits])
-
-  const apartmentTurnoverMonthlyCost = apartmentTurnoverAnnualCost / 12
-  const retailTurnoverMonthlyCost = retailTurnoverAnnualCost / 12
-  const turnoverStartMonth = leasingStartOffset ?? null
-
-  const autoManagementRows = useMemo<AutoManagementRow[]>(() => {
-    const rows: AutoManagementRow[] = []
-    if (apartmentTurnoverMonthlyCost) {
-      rows.push({
-        id: 'turnover-apartments',
-        label: 'Apartment Turnover (auto)',
-        monthlyAmount: apartmentTurnoverMonthlyCost,
-        startMonth: turnoverStartMonth,
-      })
-    }
-    if (retailTurnoverMonthlyCost) {
-      rows.push({
-        id: 'turnover-retail',
-        label: 'Retail Turnover (auto)',
-        monthlyAmount: retailTurnoverMonthlyCost,
-        startMonth: turnoverStartMonth,
-      })
-    }
-    return rows
-  }, [apartmentTurnoverMonthlyCost, retailTurnoverMonthlyCost, turnoverStartMonth])
-
-  const carryingCostRowsWithTurnover = useMemo(() => {
-    if (!autoManagementRows.length) return carryingCostRows
-    const autoRows: CarryingCostRow[] = autoManagementRows.map((row) => ({
-      id: row.id,
-      carryingType: 'management' as CarryingType,
-      costName: row.label,
-      amountUsd: row.monthlyAmount,
-      intervalUnit: 'monthly' as IntervalUnit,
-      startMonth: (row.startMonth ?? 0) as number,
-      endMonth: null,
-    }))
-    return [...carryingCostRows, ...autoRows]
-  }, [autoManagementRows, carryingCostRows])
-
-  const cashflowMonths = useMemo<CashflowMonthMeta[]>(() => {
-    return Array.from({ length: CASHFLOW_MONTHS }, (_, index) => {
-      const date = new Date(baseDate.getFullYear(), baseDate.getMonth() + index, 1)
-      return {
-        index,
-        label: `M${index + 1}`,
-        calendarLabel: date.toLocaleString('default', { month: 'short', year: 'numeric' }),
-        year: date.getFullYear(),
-      }
-    })
-  }, [baseDate])
-
-  const revenueSeries = useMemo(() => {
-    const apartmentLineItems = apartmentRevenueRows.map((row, index) => {
-      const net = calculateNetRevenue(row)
-      return {
-        id: row.id || `apt-${index}`,
-        label: `Apartment • ${row.typeLabel || 'Unit type'}`,
-        values: buildRampedRevenueValues(net, row.startMonth ?? 0, leasingStartOffset, stabilizedOffset, CASHFLOW_MONTHS),
-      }
-    })
-
-    const retailLineItems = retailRevenueRows.map((row, index) => {
-      const net = calculateNetRevenue(row)
-      return {
-        id: row.id || `retail-${index}`,
-        label: `Retail • ${row.typeLabel || 'Retail'}`,
-        values: buildRampedRevenueValues(net, row.startMonth ?? 0, leasingStartOffset, stabilizedOffset, CASHFLOW_MONTHS),
-      }
-    })
-
-    const parkingLineItems = parkingRevenueRows.map((row, index) => {
-      const net = calculateNetParking(row)
-      return {
-        id: row.id || `park-${index}`,
-        label: `Parking • ${row.typeLabel || 'Parking'}`,
-        values: buildRampedRevenueValues(net, row.startMonth ?? 0, leasingStartOffset, stabilizedOffset, CASHFLOW_MONTHS),
-      }
-    })
-
-    const gpLineItems = gpContributionRows.map((row, index) => {
-      const partnerLabel = gpPartners.find((p) => p.id === row.partner)?.label || row.partner || 'GP'
-      return {
-        id: row.id || `gp-${index}`,
-        label: `GP • ${partnerLabel}`,
-        values: buildContributionValues(row.amountUsd || 0, row.contributionMonth ?? 0),
-      }
-    })
-
-    const lineItems = [...apartmentLineItems, ...retailLineItems, ...parkingLineItems, ...gpLineItems]
-    const baseValues = Array(CASHFLOW_MONTHS).fill(0)
-    lineItems.forEach((item) => {
-      item.values.forEach((value, idx) => {
-        baseValues[idx] += value
-      })
-    })
-
-    return { label: 'Revenues', type: 'revenue', baseValues, lineItems }
-  }, [
-    apartmentRevenueRows,
-    retailRevenueRows,
-    parkingRevenueRows,
-    gpContributionRows,
-    leasingStartOffset,
-    stabilizedOffset,
-  ])
-
-  const softCostSeries = useMemo(
-    () => buildExpenseSeries(selectedProject?.softCosts || [], 'Soft Costs', CASHFLOW_MONTHS),
-    [selectedProject],
-  )
-
-  const hardCostSeries = useMemo(
-    () => buildExpenseSeries(selectedProject?.hardCosts || [], 'Hard Costs', CASHFLOW_MONTHS),
-    [selectedProject],
-  )
-
-  const carryingCostSeries = useMemo(
-    () => buildCarryingSeries(carryingCostRowsWithTurnover, CASHFLOW_MONTHS),
-    [carryingCostRowsWithTurnover],
-  )
-
-  const cashflowRows = useMemo(() => {
-    return buildCashflowRows({
-      months: cashflowMonths,
-      revenueSeries,
-      softCostSeries,
-      hardCostSeries,
-      carryingCostSeries,
-    })
-  }, [cashflowMonths, revenueSeries, softCostSeries, hardCostSeries, carryingCostSeries])
 
   const closingMonthLabel = useMemo(() => {
     if (!selectedProject?.general?.closingDate) return null
@@ -1425,9 +1250,13 @@ function App() {
       const detail = (await fetchProjectDetail(projectId)) as ProjectDetail
       detail.retailRevenue = detail.retailRevenue || []
       detail.parkingRevenue = detail.parkingRevenue || []
+      detail.otherIncome = detail.otherIncome || []
       detail.gpContributions = detail.gpContributions || []
       detail.apartmentTurnover = detail.apartmentTurnover || { turnoverPct: null, turnoverCostUsd: null }
       detail.retailTurnover = detail.retailTurnover || { turnoverPct: null, turnoverCostUsd: null }
+      detail.returns = detail.returns || { preferredReturnPct: null, noiDistributionMode: 'distribution' }
+      detail.scenarios = detail.scenarios || []
+      detail.cashflow = detail.cashflow || []
       detail.collaborators = detail.collaborators || []
       setSelectedProject(detail)
       setGeneralForm({
@@ -1442,6 +1271,8 @@ function App() {
         closingDate: formatDateForInput(detail.general.closingDate),
         startLeasingDate: formatDateForInput(detail.general.startLeasingDate),
         stabilizedDate: formatDateForInput(detail.general.stabilizedDate),
+        horizonMonths: formatNumberForInput(detail.general.horizonMonths),
+        fiscalYearStartMonth: formatNumberForInput(detail.general.fiscalYearStartMonth ?? 1),
         latitude: formatNumberForInput(detail.general.latitude),
         longitude: formatNumberForInput(detail.general.longitude),
         targetUnits: formatNumberForInput(detail.general.targetUnits),
@@ -1832,6 +1663,27 @@ useEffect(() => {
     setSelectedProject(null)
   }
 
+  async function handleProjectExport(kind: 'xlsx' | PackageTemplateId) {
+    if (!selectedProjectId) return
+    setExportStatus('saving')
+    setExportError('')
+    try {
+      const { blob, filename } =
+        kind === 'xlsx'
+          ? await exportProjectWorkbook(selectedProjectId)
+          : await exportInvestorPackage(selectedProjectId, kind)
+      const link = document.createElement('a')
+      link.href = URL.createObjectURL(blob)
+      link.download = filename
+      link.click()
+      URL.revokeObjectURL(link.href)
+      setExportStatus('idle')
+    } catch (err) {
+      setExportStatus('error')
+      setExportError(getErrorMessage(err))
+    }
+  }
+
   function cancelDeleteProject() {
     if (deleteStatus === 'saving') return
     setPendingDeleteProjectId(null)
@@ -1871,6 +1723,8 @@ useEffect(() => {
         closingDate: generalForm.closingDate || null,
         startLeasingDate: generalForm.startLeasingDate || null,
         stabilizedDate: generalForm.stabilizedDate || null,
+        horizonMonths: resolveCashflowHorizon({ horizonMonths: generalForm.horizonMonths }),
+        fiscalYearStartMonth: Number(generalForm.fiscalYearStartMonth) || 1,
         latitude: parseFloatOrNull(generalForm.latitude),
         longitude: parseFloatOrNull(generalForm.longitude),
         targetUnits: generalForm.targetUnits ? Number(generalForm.targetUnits) : null,
@@ -1934,6 +1788,8 @@ useEffect(() => {
         closingDate: generalForm.closingDate || null,
         startLeasingDate: generalForm.startLeasingDate || null,
         stabilizedDate: generalForm.stabilizedDate || null,
+        horizonMonths: resolveCashflowHorizon({ horizonMonths: generalForm.horizonMonths }),
+        fiscalYearStartMonth: Number(generalForm.fiscalYearStartMonth) || 1,
         latitude: parseFloatOrNull(generalForm.latitude),
         longitude: parseFloatOrNull(generalForm.longitude),
         targetUnits: generalForm.targetUnits ? Number(generalForm.targetUnits) : null,
@@ -2308,6 +2164,36 @@ useEffect(() => {
             <button type="button" className="ghost" onClick={handleBackToKanban}>
               ← Back to pipeline
             </button>
+            {selectedProject && detailStatus === 'loaded' && (
+              <>
+                <button
+                  type="button"
+                  className="ghost"
+                  onClick={() => handleProjectExport('xlsx')}
+                  disabled={exportStatus === 'saving'}
+                >
+                  Export to Excel
+                </button>
+                <button
+                  type="button"
+                  className="ghost"
+                  onClick={() => handleProjectExport('investor')}
+                  disabled={exportStatus === 'saving'}
+                >
+                  Investor PDF
+                </button>
+                <button
+                  type="button"
+                  className="ghost"
+                  onClick={() => handleProjectExport('lender')}
+                  disabled={exportStatus === 'saving'}
+                >
+                  Lender PDF
+                </button>
+                {exportStatus === 'saving' && <span className="muted tiny">Exporting…</span>}
+              </>
+            )}
+            {exportError && <span className="error">{exportError}</span>}
           </div>
           {detailStatus === 'loading' && <p>Loading project…</p>}
           {detailStatus === 'error' && <p className="error">{detailError}</p>}
@@ -2386,16 +2272,25 @@ useEffect(() => {
               )}
 
               {activeTab === 'revenue' && (
-                <RevenueSection
-                  project={selectedProject}
-                  projectId={selectedProjectId}
-                  onProjectRefresh={loadProjectDetail}
-                  formatOffsetForInput={formatOffsetForInput}
-                  getCalendarLabelForOffset={getCalendarLabelForOffset}
-                  getCalendarLabelForInput={getCalendarLabelForInput}
-                  convertMonthInputToOffset={convertMonthInputToOffset}
-            defaultStartMonth={leasingStartOffset}
-                />
+                <>
+                  <RevenueSection
+                    project={selectedProject}
+                    projectId={selectedProjectId}
+                    onProjectRefresh={loadProjectDetail}
+                    formatOffsetForInput={formatOffsetForInput}
+                    getCalendarLabelForOffset={getCalendarLabelForOffset}
+                    getCalendarLabelForInput={getCalendarLabelForInput}
+                    convertMonthInputToOffset={convertMonthInputToOffset}
+                    defaultStartMonth={leasingStartOffset}
+                  />
+                  {showRentRoll && (
+                    <RentRollSection
+                      project={selectedProject}
+                      projectId={selectedProjectId}
+                      onProjectRefresh={loadProjectDetail}
+                    />
+                  )}
+                </>
               )}
 
               {activeTab === 'dev-costs' && (() => {
@@ -2403,11 +2298,18 @@ useEffect(() => {
                 const softCostsTotal = selectedProject?.softCosts?.reduce((sum, row) => sum + (row.amountUsd || 0), 0) || 0
                 const leaseupCostsTotal = selectedProject?.leaseupCosts?.reduce((sum, row) => sum + (row.amountUsd || 0), 0) || 0
                 
-                // Calculate development carrying costs total (from closing to stabilized)
-                const carryingRows = selectedProject?.carryingCosts?.filter(
+                // Calculate development carrying costs total (from closing to stabilized).
+                // An RE tax assessment replaces the manual rows with its generated construction line.
+                const carryingRows = selectedProject?.propertyTaxAssessment ? [] : selectedProject?.carryingCosts?.filter(
                   row => row.carryingType === 'property_tax' && ((row.propertyTaxPhase as string) || 'construction') === 'construction'
                 ) || []
-                const carryingCostsTotal = stabilizedOffset ? carryingRows.reduce((sum, row) => {
+                const assessedConstructionTax = projectCashflow.rows
+                  .find(row => row.id === 'carrying')
+                  ?.subRows.find(row => row.id === 'property-tax-construction')
+                const assessedConstructionTaxTotal = stabilizedOffset && assessedConstructionTax
+                  ? -assessedConstructionTax.values.slice(0, stabilizedOffset + 1).reduce((sum, value) => sum + value, 0)
+                  : 0
+                const carryingCostsTotal = assessedConstructionTaxTotal + (stabilizedOffset ? carryingRows.reduce((sum, row) => {
                   if (!row.amountUsd) return sum
                   const startMonth = row.startMonth ?? 1
                   const endMonth = row.endMonth ?? stabilizedOffset
@@ -2420,17 +2322,13 @@ useEffect(() => {
                     case 'yearly': return sum + (row.amountUsd * Math.ceil(months / 12))
                     default: return sum + (row.amountUsd * months)
                   }
-                }, 0) : 0
+                }, 0) : 0)
                 
                 // Calculate debt service (loan payments from repayment start to stabilized)
                 const loanRows = selectedProject?.carryingCosts?.filter(row => row.carryingType === 'loan') || []
                 const debtServiceTotal = stabilizedOffset ? loanRows.reduce((sum, row) => {
-                  const preview = calculateLoanPreview(row)
-                  if (!preview.monthlyPayment) return sum
-                  const repaymentStart = row.repaymentStartMonth ?? 0
-                  if (repaymentStart > stabilizedOffset) return sum
-                  const monthsOfPayments = stabilizedOffset - repaymentStart + 1
-                  return sum + (preview.monthlyPayment * monthsOfPayments)
+                  const payments = calculateLoanPaymentsThrough(row, stabilizedOffset, findLoanSchedule(projectCashflow, row))
+                  return sum + (payments || 0)
                 }, 0) : 0
                 
                 const totalDevCosts = hardCostsTotal + softCostsTotal + leaseupCostsTotal + carryingCostsTotal + debtServiceTotal
@@ -2488,6 +2386,13 @@ useEffect(() => {
                   getCalendarLabelForInput={getCalendarLabelForInput}
                   getCalendarLabelsForListInput={getCalendarLabelsForListInput}
                 />
+                {showHardCostTracking && (
+                  <HardCostTrackingSection
+                    project={selectedProject}
+                    projectId={selectedProjectId}
+                    onProjectRefresh={loadProjectDetail}
+                  />
+                )}
                 <SoftCostsSection
                   project={selectedProject}
                   projectId={selectedProjectId}
@@ -2518,6 +2423,7 @@ useEffect(() => {
                   <ConstructionDebtServiceSection
                     project={selectedProject}
                     projectId={selectedProjectId}
+                    cashflow={projectCashflow}
                     formatOffsetForInput={formatOffsetForInput}
                     getCalendarLabelForInput={getCalendarLabelForInput}
                   />
@@ -2534,6 +2440,7 @@ useEffect(() => {
                   getCalendarLabelForInput={getCalendarLabelForInput}
                   convertMonthInputToOffset={convertMonthInputToOffset}
                   stabilizedOffset={stabilizedOffset}
+                  cashflow={projectCashflow}
                 />
               )}
 
@@ -2554,14 +2461,40 @@ useEffect(() => {
                 <CashflowBoard
                   months={cashflowMonths}
                   rows={cashflowRows}
+                  warnings={projectCashflow.warnings}
+                  subtotals={projectCashflow.subtotals}
+                  fiscalYearStartMonth={Number(generalForm.fiscalYearStartMonth) || 1}
                   closingMonthLabel={closingMonthLabel}
                   expandedRows={expandedCashflowRows}
                   onToggleRow={toggleCashflowRow}
+                  projectId={selectedProjectId}
+                  entries={selectedProject?.cashflow}
+                  onEntriesChange={(cashflow) =>
+                    setSelectedProject((prev) => (prev ? { ...prev, cashflow } : prev))
+                  }
+                />
+              )}
+
+              {activeTab === 'returns' && (
+                <ReturnsTab
+                  project={selectedProject}
+                  projectId={selectedProjectId}
+                  cashflow={projectCashflow}
+                  onProjectRefresh={loadProjectDetail}
+                />
+              )}
+
+              {activeTab === 'scenarios' && (
+                <ScenariosTab
+                  project={selectedProject}
+                  projectId={selectedProjectId}
+                  months={cashflowHorizon}
+                  onProjectRefresh={loadProjectDetail}
                 />
               )}
 
               {activeTab === 'metrics' && (
-                <MetricsTab project={selectedProject} projectId={selectedProjectId} />
+                <MetricsTab project={selectedProject} projectId={selectedProjectId} cashflow={projectCashflow} />
               )}
 
               {activeTab === 'docs' && (
@@ -2,7 +2,19 @@ import {
   apartmentRevenueInputSchema,
   retailRevenueInputSchema,
   parkingRevenueInputSchema,
+  otherIncomeInputSchema,
   gpContributionInputSchema,
+  scenarioInputSchema,
+  scenarioUpdateSchema,
+  refinanceEventInputSchema,
+  saleEventInputSchema,
+  rentRollUnitInputSchema,
+  rentRollUnitUpdateSchema,
+  hardCostTrackingSchema,
+  hardCostChangeOrderInputSchema,
+  hardCostChangeOrderUpdateSchema,
+  cashflowEntryInputSchema,
+  cashflowEntryUpdateSchema,
 } from '@ds-proforma/types'
 
 export const API_BASE = import.meta.env.VITE_API_BASE_URL || ''
@@ -128,6 +140,42 @@ export async function fetchProjectDetail(id) {
   return handleJsonResponse(res, 'Failed to load project detail')
 }
 
+async function fetchDownload(path, errorMessage, fallbackFilename) {
+  const res = await request(path)
+  if (!res.ok) {
+    await handleJsonResponse(res, errorMessage)
+  }
+  const disposition = res.headers.get('Content-Disposition') || ''
+  const match = disposition.match(/filename="?([^";]+)"?/)
+  return { blob: await res.blob(), filename: match?.[1] || fallbackFilename }
+}
+
+export async function exportProjectWorkbook(id) {
+  return fetchDownload(`/api/projects/${id}/export.xlsx`, 'Failed to export project workbook', 'proforma.xlsx')
+}
+
+export async function exportInvestorPackage(id, template = 'investor') {
+  return fetchDownload(
+    `/api/projects/${id}/investor-package.pdf?template=${encodeURIComponent(template)}`,
+    'Failed to generate investor package',
+    `${template}-package.pdf`,
+  )
+}
+
+export async function fetchMetricAssumptions(id) {
+  const res = await request(`/api/projects/${id}/metrics-assumptions`)
+  return handleJsonResponse(res, 'Failed to load metrics assumptions')
+}
+
+export async function saveMetricAssumptions(id, payload) {
+  const res = await request(`/api/projects/${id}/metrics-assumptions`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  })
+  return handleJsonResponse(res, 'Failed to save metrics assumptions')
+}
+
 export async function fetchCurrentUser() {
   const res = await request('/api/me')
   return handleJsonResponse(res, 'Failed to load current user')
@@ -362,6 +410,64 @@ export async function deleteHardCost(projectId, costId) {
   return handleJsonResponse(res, 'Failed to delete hard cost')
 }
 
+export async function previewHardCostImport(projectId, file, mapping) {
+  const body = new FormData()
+  body.append('file', file)
+  if (mapping) body.append('mapping', JSON.stringify(mapping))
+  const res = await request(`/api/projects/${projectId}/hard-costs/import/preview`, {
+    method: 'POST',
+    body,
+  })
+  return handleJsonResponse(res, 'Failed to preview bid import')
+}
+
+export async function importHardCosts(projectId, rows) {
+  const res = await request(`/api/projects/${projectId}/hard-costs/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ rows }),
+  })
+  return handleJsonResponse(res, 'Failed to import hard costs')
+}
+
+// Hard cost construction tracking
+export async function updateHardCostTracking(projectId, costId, payload) {
+  const parsed = hardCostTrackingSchema.parse(payload)
+  const res = await request(`/api/projects/${projectId}/hard-costs/${costId}/tracking`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(parsed),
+  })
+  return handleJsonResponse(res, 'Failed to update hard cost tracking')
+}
+
+export async function createHardCostChangeOrder(projectId, costId, payload) {
+  const parsed = hardCostChangeOrderInputSchema.parse(payload)
+  const res = await request(`/api/projects/${projectId}/hard-costs/${costId}/change-orders`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(parsed),
+  })
+  return handleJsonResponse(res, 'Failed to add change order')
+}
+
+export async function updateHardCostChangeOrder(projectId, costId, changeOrderId, payload) {
+  const parsed = hardCostChangeOrderUpdateSchema.parse(payload)
+  const res = await request(`/api/projects/${projectId}/hard-costs/${costId}/change-orders/${changeOrderId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(parsed),
+  })
+  return handleJsonResponse(res, 'Failed to update change order')
+}
+
+export async function deleteHardCostChangeOrder(projectId, costId, changeOrderId) {
+  const res = await request(`/api/projects/${projectId}/hard-costs/${costId}/change-orders/${changeOrderId}`, {
+    method: 'DELETE',
+  })
+  return handleJsonResponse(res, 'Failed to delete change order')
+}
+
 export async function createCarryingCost(projectId, payload) {
   const res = await request(`/api/projects/${projectId}/carrying-costs`, {
     method: 'POST',
@@ -413,6 +519,32 @@ export async function deleteParkingRevenue(projectId, parkingId) {
   return handleJsonResponse(res, 'Failed to delete parking revenue')
 }
 
+export async function createOtherIncome(projectId, payload) {
+  const parsed = otherIncomeInputSchema.parse(payload)
+  const res = await request(`/api/projects/${projectId}/other-income`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(parsed),
+  })
+  return handleJsonResponse(res, 'Failed to add other income')
+}
+
+export async function updateOtherIncome(projectId, incomeId, payload) {
+  const res = await request(`/api/projects/${projectId}/other-income/${incomeId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  })
+  return handleJsonResponse(res, 'Failed to update other income')
+}
+
+export async function deleteOtherIncome(projectId, incomeId) {
+  const res = await request(`/api/projects/${projectId}/other-income/${incomeId}`, {
+    method: 'DELETE',
+  })
+  return handleJsonResponse(res, 'Failed to delete other income')
+}
+
 export async function createGpContribution(projectId, payload) {
   const parsed = gpContributionInputSchema.parse(payload)
   const res = await request(`/api/projects/${projectId}/gp-contributions`, {
@@ -440,6 +572,131 @@ export async function deleteGpContribution(projectId, contributionId) {
   return handleJsonResponse(res, 'Failed to delete GP contribution')
 }
 
+export async function createCashflowEntry(projectId, payload) {
+  const parsed = cashflowEntryInputSchema.parse(payload)
+  const res = await request(`/api/projects/${projectId}/cashflow-entries`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(parsed),
+  })
+  return handleJsonResponse(res, 'Failed to add cashflow entry')
+}
+
+export async function updateCashflowEntry(projectId, entryId, payload) {
+  const parsed = cashflowEntryUpdateSchema.parse(payload)
+  const res = await request(`/api/projects/${projectId}/cashflow-entries/${entryId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(parsed),
+  })
+  return handleJsonResponse(res, 'Failed to update cashflow entry')
+}
+
+export async function deleteCashflowEntry(projectId, entryId) {
+  const res = await request(`/api/projects/${projectId}/cashflow-entries/${entryId}`, {
+    method: 'DELETE',
+  })
+  return handleJsonResponse(res, 'Failed to delete cashflow entry')
+}
+
+export async function createProjectScenario(projectId, payload) {
+  const parsed = scenarioInputSchema.parse(payload)
+  const res = await request(`/api/projects/${projectId}/scenarios`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(parsed),
+  })
+  return handleJsonResponse(res, 'Failed to add scenario')
+}
+
+export async function updateProjectScenario(projectId, scenarioId, payload) {
+  const parsed = scenarioUpdateSchema.parse(payload)
+  const res = await request(`/api/projects/${projectId}/scenarios/${scenarioId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(parsed),
+  })
+  return handleJsonResponse(res, 'Failed to update scenario')
+}
+
+export async function deleteProjectScenario(projectId, scenarioId) {
+  const res = await request(`/api/projects/${projectId}/scenarios/${scenarioId}`, {
+    method: 'DELETE',
+  })
+  return handleJsonResponse(res, 'Failed to delete scenario')
+}
+
+// Capital events
+const capitalEventSchemas = {
+  refinance: refinanceEventInputSchema,
+  sale: saleEventInputSchema,
+}
+
+export async function saveCapitalEvent(projectId, eventType, payload) {
+  const parsed = capitalEventSchemas[eventType].parse(payload)
+  const res = await request(`/api/projects/${projectId}/capital-events/${eventType}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(parsed),
+  })
+  return handleJsonResponse(res, 'Failed to save capital event')
+}
+
+export async function deleteCapitalEvent(projectId, eventType) {
+  const res = await request(`/api/projects/${projectId}/capital-events/${eventType}`, {
+    method: 'DELETE',
+  })
+  return handleJsonResponse(res, 'Failed to delete capital event')
+}
+
+// Rent roll
+export async function createRentRollUnit(projectId, payload) {
+  const parsed = rentRollUnitInputSchema.parse(payload)
+  const res = await request(`/api/projects/${projectId}/rent-roll`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(parsed),
+  })
+  return handleJsonResponse(res, 'Failed to add rent roll unit')
+}
+
+export async function updateRentRollUnit(projectId, unitId, payload) {
+  const parsed = rentRollUnitUpdateSchema.parse(payload)
+  const res = await request(`/api/projects/${projectId}/rent-roll/${unitId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(parsed),
+  })
+  return handleJsonResponse(res, 'Failed to update rent roll unit')
+}
+
+export async function deleteRentRollUnit(projectId, unitId) {
+  const res = await request(`/api/projects/${projectId}/rent-roll/${unitId}`, {
+    method: 'DELETE',
+  })
+  return handleJsonResponse(res, 'Failed to delete rent roll unit')
+}
+
+export async function previewRentRollImport(projectId, file, mapping) {
+  const body = new FormData()
+  body.append('file', file)
+  if (mapping) body.append('mapping', JSON.stringify(mapping))
+  const res = await request(`/api/projects/${projectId}/rent-roll/import/preview`, {
+    method: 'POST',
+    body,
+  })
+  return handleJsonResponse(res, 'Failed to preview rent roll import')
+}
+
+export async function importRentRoll(projectId, rows) {
+  const res = await request(`/api/projects/${projectId}/rent-roll/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ rows }),
+  })
+  return handleJsonResponse(res, 'Failed to import rent roll')
+}
+
 // Documents
 export async function fetchDocuments(projectId) {
   const res = await request(`/api/projects/${projectId}/documents`)
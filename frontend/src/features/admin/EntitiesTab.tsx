@@ -1,6 +1,6 @@
 import { useState, useEffect, useCallback } from 'react'
-import type { AdminEntity, AdminEntityWithOwnership, AdminEntityType, AdminEntityStatus, CompanyType, LegalStructure, TaxStatus, EntityId } from '../../types'
-import { ADMIN_ENTITY_TYPES, ADMIN_ENTITY_STATUS, COMPANY_TYPES, LEGAL_STRUCTURES, TAX_STATUSES } from '../../types'
+import type { AdminEntity, AdminEntityWithOwnership, AdminEntityType, AdminEntityStatus, CompanyType, LegalStructure, TaxStatus, EntityId, PackageTemplateId, PdfBranding } from '../../types'
+import { ADMIN_ENTITY_TYPES, ADMIN_ENTITY_STATUS, COMPANY_TYPES, LEGAL_STRUCTURES, TAX_STATUSES, PACKAGE_TEMPLATE_IDS } from '../../types'
 import {
   fetchAdminEntities,
   fetchAdminEntity,
@@ -44,6 +44,46 @@ const TAX_STATUS_LABELS: Record<TaxStatus, string> = {
   blocked: 'Blocked',
 }
 
+const PACKAGE_TEMPLATE_LABELS: Record<PackageTemplateId, string> = {
+  investor: 'Investor offering memorandum',
+  lender: 'Lender package',
+}
+
+// Matches the PDF renderer's defaults so an untouched form stores nothing.
+const DEFAULT_BRAND_COLORS = { primaryColor: '#1e3a8a', accentColor: '#0ea5e9' }
+
+const emptyBrandingForm = () => ({
+  template: 'investor' as PackageTemplateId,
+  companyName: '',
+  primaryColor: DEFAULT_BRAND_COLORS.primaryColor,
+  accentColor: DEFAULT_BRAND_COLORS.accentColor,
+  logoDataUrl: '',
+  footerText: '',
+  disclaimer: '',
+})
+
+type BrandingFormState = ReturnType<typeof emptyBrandingForm>
+
+const brandingFormFromEntity = (branding?: PdfBranding | null): BrandingFormState => ({
+  template: branding?.template || 'investor',
+  companyName: branding?.companyName || '',
+  primaryColor: branding?.primaryColor || DEFAULT_BRAND_COLORS.primaryColor,
+  accentColor: branding?.accentColor || DEFAULT_BRAND_COLORS.accentColor,
+  logoDataUrl: branding?.logoDataUrl || '',
+  footerText: branding?.footerText || '',
+  disclaimer: branding?.disclaimer || '',
+})
+
+const brandingPayload = (form: BrandingFormState): PdfBranding => ({
+  template: form.template,
+  companyName: form.companyName.trim() || null,
+  primaryColor: form.primaryColor,
+  accentColor: form.accentColor,
+  logoDataUrl: form.logoDataUrl || null,
+  footerText: form.footerText.trim() || null,
+  disclaimer: form.disclaimer.trim() || null,
+})
+
 type EntitiesTabProps = {
   onError: (msg: string) => void
 }
@@ -71,6 +111,7 @@ export function EntitiesTab({ onError }: EntitiesTabProps) {
     legalStructure: 'llc' as LegalStructure,
     taxStatus: 'passthrough' as TaxStatus,
   })
+  const [brandingForm, setBrandingForm] = useState<BrandingFormState>(emptyBrandingForm)
 
   
   // Holdings modal state (for holding companies)
@@ -121,6 +162,7 @@ export function EntitiesTab({ onError }: EntitiesTabProps) {
         companyType: formState.companyType,
         legalStructure: formState.legalStructure,
         taxStatus: formState.legalStructure === 'llc' ? formState.taxStatus : null,
+        pdfBranding: brandingPayload(brandingForm),
       }
 
       if (editingEntity) {
@@ -265,6 +307,23 @@ export function EntitiesTab({ onError }: EntitiesTabProps) {
       legalStructure: 'llc',
       taxStatus: 'passthrough',
     })
+    setBrandingForm(emptyBrandingForm())
+  }
+
+  const handleLogoUpload = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0]
+    if (!file) return
+    if (!['image/png', 'image/jpeg'].includes(file.type)) {
+      onError('Logo must be a PNG or JPEG image')
+      return
+    }
+    if (file.size > 1024 * 1024) {
+      onError('Logo must be under 1 MB')
+      return
+    }
+    const reader = new FileReader()
+    reader.onload = () => setBrandingForm((prev) => ({ ...prev, logoDataUrl: String(reader.result || '') }))
+    reader.readAsDataURL(file)
   }
 
   const openAddModal = () => {
@@ -289,6 +348,7 @@ export function EntitiesTab({ onError }: EntitiesTabProps) {
       legalStructure: entity.legalStructure || 'llc',
       taxStatus: entity.taxStatus || 'passthrough',
     })
+    setBrandingForm(brandingFormFromEntity(entity.pdfBranding))
     setShowModal(true)
   }
 
@@ -653,6 +713,87 @@ export function EntitiesTab({ onError }: EntitiesTabProps) {
                     rows={3}
                   />
                 </div>
+
+                {/* PDF Package Branding Section */}
+                <div className="form-section">
+                  <h4 className="form-section-title">PDF Package Branding</h4>
+                  <p className="muted">Used for the investor and lender PDFs of the linked real estate project.</p>
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Default Template</label>
+                      <select
+                        value={brandingForm.template}
+                        onChange={(e) => setBrandingForm({ ...brandingForm, template: e.target.value as PackageTemplateId })}
+                      >
+                        {(PACKAGE_TEMPLATE_IDS as readonly PackageTemplateId[]).map((template) => (
+                          <option key={template} value={template}>{PACKAGE_TEMPLATE_LABELS[template]}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Company Name on Cover</label>
+                      <input
+                        type="text"
+                        value={brandingForm.companyName}
+                        onChange={(e) => setBrandingForm({ ...brandingForm, companyName: e.target.value })}
+                        placeholder={formState.name || 'Defaults to the entity name'}
+                      />
+                    </div>
+                  </div>
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Primary Color</label>
+                      <input
+                        type="color"
+                        value={brandingForm.primaryColor}
+                        onChange={(e) => setBrandingForm({ ...brandingForm, primaryColor: e.target.value })}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Accent Color</label>
+                      <input
+                        type="color"
+                        value={brandingForm.accentColor}
+                        onChange={(e) => setBrandingForm({ ...brandingForm, accentColor: e.target.value })}
+                      />
+                    </div>
+                  </div>
+                  <div className="form-group">
+                    <label>Logo (PNG or JPEG)</label>
+                    {brandingForm.logoDataUrl ? (
+                      <div className="branding-logo-preview">
+                        <img src={brandingForm.logoDataUrl} alt="Entity logo" />
+                        <button
+                          type="button"
+                          className="btn btn-secondary btn-sm"
+                          onClick={() => setBrandingForm({ ...brandingForm, logoDataUrl: '' })}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ) : (
+                      <input type="file" accept="image/png,image/jpeg" onChange={handleLogoUpload} />
+                    )}
+                  </div>
+                  <div className="form-group">
+                    <label>Footer Text</label>
+                    <input
+                      type="text"
+                      value={brandingForm.footerText}
+                      onChange={(e) => setBrandingForm({ ...brandingForm, footerText: e.target.value })}
+                      placeholder="e.g., Confidential – prepared for qualified investors"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Disclaimer</label>
+                    <textarea
+                      value={brandingForm.disclaimer}
+                      onChange={(e) => setBrandingForm({ ...brandingForm, disclaimer: e.target.value })}
+                      rows={3}
+                      placeholder="Leave blank for the standard disclaimer"
+                    />
+                  </div>
+                </div>
               </div>
               <div className="modal-footer">
                 <button type="button" className="btn btn-secondary" onClick={() => setShowModal(false)}>
@@ -1,16 +1,32 @@
 import { FormEvent, ReactNode, useCallback, useEffect, useMemo, useRef, useState } from 'react'
-import { createCarryingCost, deleteCarryingCost, updateCarryingCost } from '../../api.js'
+import { createCarryingCost, deleteCarryingCost, updateCarryingCost, updateProjectGeneral } from '../../api.js'
 import {
+  buildOpexContext,
   buildRecurringFormFromRow,
+  calculateOpexMonthly,
   calculateRecurringAverage,
   carryingMenuOptions,
   createDefaultRecurringForm,
   formatCurrency,
   intervalLabels,
   intervalUnitOptions,
+  opexBasisLabels,
+  opexBasisOptions,
+  opexCategoryLabels,
+  opexCategoryOptions,
   propertyTaxPhaseLabels,
 } from './carryingHelpers.js'
-import type { CarryingCostRow, CarryingType, EntityId, IntervalUnit, ProjectDetail, PropertyTaxPhase } from '../../types'
+import { PropertyTaxAssessmentSection } from './PropertyTaxAssessmentSection'
+import type {
+  CarryingCostRow,
+  CarryingType,
+  EntityId,
+  IntervalUnit,
+  OpexBasis,
+  OpexCategory,
+  ProjectDetail,
+  PropertyTaxPhase,
+} from '../../types'
 
 type RequestStatus = 'idle' | 'saving' | 'error'
 
@@ -25,19 +41,25 @@ type RecurringFormState = {
   startMonth: string
   endMonth: string
   propertyTaxPhase?: PropertyTaxPhase
+  opexCategory?: OpexCategory
+  opexBasis?: OpexBasis
+  opexRate?: string
 }
 
 type RecurringPayload = {
   carryingType: CarryingType
   costName: string
-  amountUsd: number
+  amountUsd: number | null
   intervalUnit: IntervalUnit
   startMonth: number
   endMonth: number | null
   propertyTaxPhase?: PropertyTaxPhase
+  opexCategory?: OpexCategory
+  opexBasis?: OpexBasis
+  opexRate?: number | null
 }
 
-type RecurringCarryingType = Extract<CarryingType, 'property_tax' | 'management'>
+type RecurringCarryingType = Extract<CarryingType, 'property_tax' | 'management' | 'opex'>
 type AutoRow = { id: string; label: string; monthlyAmount: number; startMonth: number | null }
 
 type CarryingCostsSectionProps = {
@@ -63,6 +85,13 @@ const toNumberOrNull = (value: string | number | null | undefined) => {
 const getErrorMessage = (error: unknown) => (error instanceof Error ? error.message : String(error))
 const intervalLabelMap = intervalLabels as Record<IntervalUnit, string>
 const propertyPhaseLabelMap = propertyTaxPhaseLabels as Record<PropertyTaxPhase, string>
+const opexCategoryLabelMap = opexCategoryLabels as Record<OpexCategory, string>
+const opexBasisLabelMap = opexBasisLabels as Record<OpexBasis, string>
+const recurringTitles: Record<RecurringCarryingType, string> = {
+  property_tax: 'Property Tax',
+  management: 'Management Fee',
+  opex: 'Operating Expense',
+}
 const DEFAULT_PROPERTY_TAX_PHASE: PropertyTaxPhase = 'stabilized'
 
 export function CarryingCostsSection({
@@ -86,12 +115,20 @@ export function CarryingCostsSection({
   const [managementForm, setManagementForm] = useState<RecurringFormState>(
     () => createDefaultRecurringForm('management') as RecurringFormState,
   )
+  const [opexForm, setOpexForm] = useState<RecurringFormState>(
+    () => createDefaultRecurringForm('opex') as RecurringFormState,
+  )
   const [editingId, setEditingId] = useState<EntityId | null>(null)
   const [status, setStatus] = useState<RequestStatus>('idle')
   const [modalError, setModalError] = useState('')
   const [pendingDelete, setPendingDelete] = useState<CarryingCostRow | null>(null)
   const [deleteStatus, setDeleteStatus] = useState<RequestStatus>('idle')
   const [deleteError, setDeleteError] = useState('')
+  const [propertyTaxInflationInput, setPropertyTaxInflationInput] = useState('')
+  const [managementInflationInput, setManagementInflationInput] = useState('')
+  const [opexInflationInput, setOpexInflationInput] = useState('')
+  const [inflationStatus, setInflationStatus] = useState<RequestStatus>('idle')
+  const [inflationError, setInflationError] = useState('')
   const addMenuRef = useRef<HTMLDivElement | null>(null)
 
   const carryingRows: CarryingCostRow[] = project?.carryingCosts ?? []
@@ -99,7 +136,7 @@ export function CarryingCostsSection({
     () =>
       carryingMenuOptions.filter(
         (option): option is { id: RecurringCarryingType; label: string } =>
-          option.id === 'property_tax' || option.id === 'management',
+          option.id === 'property_tax' || option.id === 'management' || option.id === 'opex',
       ),
     [],
   )
@@ -118,6 +155,12 @@ export function CarryingCostsSection({
     [carryingRows],
   )
   const managementRows = useMemo(() => carryingRows.filter(isManagementRow), [carryingRows])
+  const opexRows = useMemo(() => carryingRows.filter((row) => row.carryingType === 'opex'), [carryingRows])
+  const opexContext = useMemo(() => buildOpexContext(project), [project])
+  const opexMonthlyTotal = useMemo(
+    () => opexRows.reduce((sum, row) => sum + calculateOpexMonthly(row, opexContext), 0),
+    [opexRows, opexContext],
+  )
 
   const autoManagementMonthlyTotal = useMemo(() => {
     return autoManagementRows.reduce((sum, row) => sum + (row.monthlyAmount || 0), 0)
@@ -136,15 +179,20 @@ export function CarryingCostsSection({
     return createDefaultRecurringForm('management', { defaultStartMonth: defaultManagementStartInput }) as RecurringFormState
   }, [defaultManagementStartInput])
 
+  const buildDefaultOpexForm = useCallback(() => {
+    return createDefaultRecurringForm('opex', { defaultStartMonth: defaultManagementStartInput }) as RecurringFormState
+  }, [defaultManagementStartInput])
+
   const resetForms = useCallback(() => {
     setPropertyForm(
       createDefaultRecurringForm('property_tax', { propertyTaxPhase: DEFAULT_PROPERTY_TAX_PHASE }) as RecurringFormState,
     )
     setManagementForm(buildDefaultManagementForm())
+    setOpexForm(buildDefaultOpexForm())
     setEditingId(null)
     setModalError('')
     setStatus('idle')
-  }, [buildDefaultManagementForm])
+  }, [buildDefaultManagementForm, buildDefaultOpexForm])
 
   useEffect(() => {
     if (!menuOpen) return
@@ -167,6 +215,40 @@ export function CarryingCostsSection({
     setActiveModal(null)
   }, [projectId, resetForms])
 
+  useEffect(() => {
+    const inflation = project?.expenseInflation ?? {}
+    setPropertyTaxInflationInput(
+      inflation.property_tax !== null && inflation.property_tax !== undefined ? String(inflation.property_tax) : '',
+    )
+    setManagementInflationInput(
+      inflation.management !== null && inflation.management !== undefined ? String(inflation.management) : '',
+    )
+    setOpexInflationInput(inflation.opex !== null && inflation.opex !== undefined ? String(inflation.opex) : '')
+    setInflationStatus('idle')
+    setInflationError('')
+  }, [project?.expenseInflation])
+
+  const handleInflationSave = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault()
+    if (!projectId) return
+    setInflationStatus('saving')
+    setInflationError('')
+    try {
+      await updateProjectGeneral(projectId, {
+        expenseInflation: {
+          property_tax: toNumberOrNull(propertyTaxInflationInput),
+          management: toNumberOrNull(managementInflationInput),
+          opex: toNumberOrNull(opexInflationInput),
+        },
+      })
+      if (onProjectRefresh) await onProjectRefresh(projectId)
+      setInflationStatus('idle')
+    } catch (err) {
+      setInflationStatus('error')
+      setInflationError(getErrorMessage(err))
+    }
+  }
+
   if (!project || !projectId) {
     return (
       <div className="carrying-tab">
@@ -191,6 +273,10 @@ export function CarryingCostsSection({
           ? (buildRecurringFormFromRow(row, formatOffsetForInput) as RecurringFormState)
           : (createDefaultRecurringForm('property_tax', { propertyTaxPhase: DEFAULT_PROPERTY_TAX_PHASE }) as RecurringFormState),
       )
+    } else if (type === 'opex') {
+      setOpexForm(
+        row ? (buildRecurringFormFromRow(row, formatOffsetForInput) as RecurringFormState) : buildDefaultOpexForm(),
+      )
     } else {
       setManagementForm(
         row
@@ -213,16 +299,31 @@ export function CarryingCostsSection({
     return convertMonthInputToOffset(value)
   }
 
+  const getRecurringForm = (type: RecurringCarryingType) => {
+    if (type === 'property_tax') return propertyForm
+    return type === 'opex' ? opexForm : managementForm
+  }
+
   const buildRecurringPayload = (type: RecurringCarryingType) => {
-    const form = type === 'property_tax' ? propertyForm : managementForm
-    const amount = toNumberOrNull(form.amountUsd)
-    if (amount === null) throw new Error('Amount is required.')
+    const form = getRecurringForm(type)
+    const opexBasis = type === 'opex' ? form.opexBasis ?? 'fixed' : null
+    const usesRate = opexBasis !== null && opexBasis !== 'fixed'
+    const amount = usesRate ? null : toNumberOrNull(form.amountUsd)
+    if (!usesRate && amount === null) throw new Error('Amount is required.')
+    const opexRate = usesRate ? toNumberOrNull(form.opexRate) : null
+    if (usesRate && opexRate === null) throw new Error('Rate is required.')
     const startMonth = requireMonth(form.startMonth, 'Start month is required.')
+    const defaultTitle =
+      type === 'property_tax'
+        ? 'Stabilized RE Tax'
+        : type === 'opex'
+          ? opexCategoryLabelMap[form.opexCategory ?? 'other']
+          : 'Management Fee'
     const payload: RecurringPayload = {
       carryingType: type,
-      costName: form.costName.trim() || (type === 'property_tax' ? 'Stabilized RE Tax' : 'Management Fee'),
+      costName: form.costName.trim() || defaultTitle,
       amountUsd: amount,
-      intervalUnit: form.intervalUnit,
+      intervalUnit: opexBasis === 'pct_egi' ? 'monthly' : form.intervalUnit,
       startMonth,
       endMonth: form.endMonth ? convertMonthInputToOffset(form.endMonth) : null,
     }
@@ -232,6 +333,11 @@ export function CarryingCostsSection({
     if (type === 'property_tax') {
       payload.propertyTaxPhase = DEFAULT_PROPERTY_TAX_PHASE
     }
+    if (opexBasis !== null) {
+      payload.opexCategory = form.opexCategory ?? 'other'
+      payload.opexBasis = opexBasis
+      payload.opexRate = opexRate
+    }
     return payload
   }
 
@@ -287,7 +393,7 @@ export function CarryingCostsSection({
   }
 
   const startEdit = (row: CarryingCostRow) => {
-    if (row.carryingType !== 'property_tax' && row.carryingType !== 'management') return
+    if (row.carryingType === 'loan') return
     openModal(row.carryingType, row)
   }
 
@@ -415,38 +521,163 @@ export function CarryingCostsSection({
     </section>
   )
 
+  const formatOpexRate = (row: CarryingCostRow) => {
+    const rate = row.opexRate ?? 0
+    if (row.opexBasis === 'per_unit') return `${formatCurrency(rate)} / unit`
+    if (row.opexBasis === 'per_sqft') return `$${rate.toLocaleString()} / sqft`
+    if (row.opexBasis === 'pct_egi') return `${rate}% of EGI`
+    return formatCurrency(row.amountUsd ?? 0)
+  }
+
+  const renderOpexTable = () => (
+    <section className="carrying-section">
+      <div className="section-header">
+        <h4>Operating Budget</h4>
+        <p className="muted tiny">
+          Fixed, per unit ({opexContext.units} units), per sqft ({opexContext.sqft.toLocaleString()} sqft) or % of
+          EGI. Every line reduces NOI.
+        </p>
+      </div>
+      <div className="table-scroll">
+        <table>
+          <thead>
+            <tr>
+              <th>Category</th>
+              <th>Title</th>
+              <th>Basis</th>
+              <th>Rate</th>
+              <th>Interval</th>
+              <th>Start Month</th>
+              <th>End Month</th>
+              <th>Monthly (est.)</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {opexRows.length === 0 && (
+              <tr>
+                <td colSpan={9}>No operating expenses yet.</td>
+              </tr>
+            )}
+            {opexRows.map((row) => {
+              const category = row.opexCategory ?? 'other'
+              const basis = row.opexBasis ?? 'fixed'
+              const intervalLabel = row.intervalUnit ? intervalLabelMap[row.intervalUnit] : null
+              return (
+                <tr key={row.id}>
+                  <td>{opexCategoryLabelMap[category]}</td>
+                  <td>{row.costName || opexCategoryLabelMap[category]}</td>
+                  <td>{opexBasisLabelMap[basis]}</td>
+                  <td>{formatOpexRate(row)}</td>
+                  <td>{basis === 'pct_egi' ? 'Monthly' : intervalLabel || row.intervalUnit || '—'}</td>
+                  <td>{formatMonthDisplay(row.startMonth)}</td>
+                  <td>{row.endMonth !== null && row.endMonth !== undefined ? formatMonthDisplay(row.endMonth) : 'Ongoing'}</td>
+                  <td>{formatCurrency(calculateOpexMonthly(row, opexContext))}</td>
+                  <td>
+                    <div className="row-actions">
+                      <button type="button" className="icon-button" onClick={() => startEdit(row)}>
+                        ✏️
+                      </button>
+                      <button type="button" className="icon-delete" onClick={() => handleDelete(row)}>
+                        🗑
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  )
+
+  const renderOpexFields = () => (
+    <>
+      <label>
+        Category
+        <select
+          value={opexForm.opexCategory ?? 'other'}
+          onChange={(e) => setOpexForm((prev) => ({ ...prev, opexCategory: e.target.value as OpexCategory }))}
+        >
+          {opexCategoryOptions.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Basis
+        <select
+          value={opexForm.opexBasis ?? 'fixed'}
+          onChange={(e) => setOpexForm((prev) => ({ ...prev, opexBasis: e.target.value as OpexBasis }))}
+        >
+          {opexBasisOptions.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+    </>
+  )
+
+  const rateLabels: Record<Exclude<OpexBasis, 'fixed'>, string> = {
+    per_unit: 'Rate ($ per unit, per interval)',
+    per_sqft: 'Rate ($ per sqft, per interval)',
+    pct_egi: 'Rate (% of EGI)',
+  }
+
   const renderModalBody = () => {
     if (!activeModal) return null
-    const form = activeModal === 'property_tax' ? propertyForm : managementForm
-    const setter = activeModal === 'property_tax' ? setPropertyForm : setManagementForm
+    const form = getRecurringForm(activeModal)
+    const setter =
+      activeModal === 'property_tax' ? setPropertyForm : activeModal === 'opex' ? setOpexForm : setManagementForm
+    const opexBasis = activeModal === 'opex' ? form.opexBasis ?? 'fixed' : 'fixed'
 
     return (
       <>
+        {activeModal === 'opex' && renderOpexFields()}
         <label>
           Title
           <input type="text" value={form.costName} onChange={(e) => setter((prev) => ({ ...prev, costName: e.target.value }))} />
         </label>
-        <label>
-          Amount (per interval)
-          <input
-            type="number"
-            value={form.amountUsd}
-            onChange={(e) => setter((prev) => ({ ...prev, amountUsd: e.target.value }))}
-          />
-        </label>
-        <label>
-          Interval
-          <select
-            value={form.intervalUnit}
-            onChange={(e) => setter((prev) => ({ ...prev, intervalUnit: e.target.value as IntervalUnit }))}
-          >
-            {intervalUnitOptions.map((option) => (
-              <option key={option.id} value={option.id}>
-                {option.label}
-              </option>
-            ))}
-          </select>
-        </label>
+        {opexBasis === 'fixed' ? (
+          <label>
+            Amount (per interval)
+            <input
+              type="number"
+              value={form.amountUsd}
+              onChange={(e) => setter((prev) => ({ ...prev, amountUsd: e.target.value }))}
+            />
+          </label>
+        ) : (
+          <label>
+            {rateLabels[opexBasis]}
+            <input
+              type="number"
+              step="0.01"
+              value={form.opexRate ?? ''}
+              onChange={(e) => setter((prev) => ({ ...prev, opexRate: e.target.value }))}
+            />
+          </label>
+        )}
+        {opexBasis !== 'pct_egi' && (
+          <label>
+            Interval
+            <select
+              value={form.intervalUnit}
+              onChange={(e) => setter((prev) => ({ ...prev, intervalUnit: e.target.value as IntervalUnit }))}
+            >
+              {intervalUnitOptions.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
         <label>
           Start Month
           <input
@@ -499,6 +730,54 @@ export function CarryingCostsSection({
           </div>
         </div>
 
+        <form className="turnover-inline-form" onSubmit={handleInflationSave}>
+          <div>
+            <label>
+              RE tax inflation % / yr
+              <input
+                type="number"
+                step="0.1"
+                value={propertyTaxInflationInput}
+                onChange={(e) => setPropertyTaxInflationInput(e.target.value)}
+                disabled={inflationStatus === 'saving'}
+                aria-label="Property tax inflation percent"
+              />
+            </label>
+            <label>
+              Expense inflation % / yr
+              <input
+                type="number"
+                step="0.1"
+                value={managementInflationInput}
+                onChange={(e) => setManagementInflationInput(e.target.value)}
+                disabled={inflationStatus === 'saving'}
+                aria-label="Expense inflation percent"
+              />
+            </label>
+            <label>
+              Opex inflation % / yr
+              <input
+                type="number"
+                step="0.1"
+                value={opexInflationInput}
+                onChange={(e) => setOpexInflationInput(e.target.value)}
+                disabled={inflationStatus === 'saving'}
+                aria-label="Operating expense inflation percent"
+              />
+            </label>
+          </div>
+          <button type="submit" className="tiny secondary" disabled={inflationStatus === 'saving'}>
+            {inflationStatus === 'saving' ? 'Saving…' : 'Save Inflation'}
+          </button>
+        </form>
+        {inflationError && <p className="error">{inflationError}</p>}
+
+        <PropertyTaxAssessmentSection
+          project={project}
+          projectId={projectId}
+          onProjectRefresh={onProjectRefresh}
+          getCalendarLabelForInput={getCalendarLabelForInput}
+        />
         {renderPropertyTaxTable()}
         {renderRecurringTable(
           managementRows,
@@ -525,13 +804,26 @@ export function CarryingCostsSection({
             <strong>{formatCurrency(managementMonthlyTotal * 12)}</strong>
           </div>
         </div>
+
+        {renderOpexTable()}
+
+        <div className="management-summary">
+          <div>
+            <span>Opex Monthly (est.)</span>
+            <strong>{formatCurrency(opexMonthlyTotal)}</strong>
+          </div>
+          <div>
+            <span>Opex Annualized (est.)</span>
+            <strong>{formatCurrency(opexMonthlyTotal * 12)}</strong>
+          </div>
+        </div>
       </div>
 
       {isModalOpen && activeModal && (
         <div className="modal-backdrop">
           <div className="modal-panel">
             <h3>
-              {editingId ? 'Edit' : 'Add'} {activeModal === 'property_tax' ? 'Property Tax' : 'Management Fee'}
+              {editingId ? 'Edit' : 'Add'} {recurringTitles[activeModal]}
             </h3>
             <form className="modal-form" onSubmit={handleSubmit}>
               {renderModalBody()}
@@ -1,5 +1,6 @@
 import { useMemo } from 'react'
-import { calculateLoanPreview, formatCurrency } from './carryingHelpers.js'
+import type { LoanValues, ProjectCashflow } from '@ds-proforma/cashflow'
+import { calculateLoanPreview, findLoanSchedule, formatCurrency } from './carryingHelpers.js'
 import type { CarryingCostRow, EntityId, ProjectDetail } from '../../types'
 
 type OffsetFormatter = (offset?: number | null) => string
@@ -10,6 +11,17 @@ type Props = {
   projectId: EntityId | null
   formatOffsetForInput: OffsetFormatter
   getCalendarLabelForInput: IntervalLabelFormatter
+  cashflow?: ProjectCashflow
+}
+
+const sumRange = (values: number[] = [], start: number, length: number) =>
+  values.slice(start, start + length).reduce((total, value) => total + value, 0)
+
+// Construction loans: cash interest and principal over the first twelve payment months.
+const constructionAnnualPayment = (row: CarryingCostRow, schedule: LoanValues | null) => {
+  if (!schedule) return null
+  const start = row.repaymentStartMonth ?? 0
+  return -(sumRange(schedule.interest, start, 12) + sumRange(schedule.principal, start, 12))
 }
 
 export function ConstructionDebtServiceSection({
@@ -17,6 +29,7 @@ export function ConstructionDebtServiceSection({
   projectId,
   formatOffsetForInput,
   getCalendarLabelForInput,
+  cashflow,
 }: Props) {
   const loanRows = useMemo(
     () => project?.carryingCosts?.filter((row) => row.carryingType === 'loan') ?? [],
@@ -36,7 +49,10 @@ export function ConstructionDebtServiceSection({
       <div className="soft-header">
         <div>
           <h3>Debt Service</h3>
-          <p className="muted tiny">Annualized payments derived from the construction loans entered under funding.</p>
+          <p className="muted tiny">
+            Annualized payments derived from the construction loans entered under funding. Construction-mode loans use
+            their draw schedule; interest paid from the reserve or capitalized is not a cash payment.
+          </p>
         </div>
       </div>
       <div className="table-scroll">
@@ -46,6 +62,7 @@ export function ConstructionDebtServiceSection({
               <th>Title</th>
               <th>Amount</th>
               <th>Annual Payment</th>
+              <th>Capitalized Interest</th>
               <th>Funding Month</th>
               <th>First Payment</th>
             </tr>
@@ -53,17 +70,30 @@ export function ConstructionDebtServiceSection({
           <tbody>
             {loanRows.length === 0 && (
               <tr>
-                <td colSpan={5}>No debt service loaded yet.</td>
+                <td colSpan={6}>No debt service loaded yet.</td>
               </tr>
             )}
             {loanRows.map((row) => {
+              const isConstruction = row.loanMode === 'construction'
+              const schedule: LoanValues | null = isConstruction ? findLoanSchedule(cashflow, row) : null
               const preview = calculateLoanPreview(row)
-              const annualPayment = preview.monthlyPayment ? preview.monthlyPayment * 12 : null
+              const annualPayment = isConstruction
+                ? constructionAnnualPayment(row, schedule)
+                : preview.monthlyPayment
+                  ? preview.monthlyPayment * 12
+                  : null
+              const capitalizedInterest = schedule?.capitalizedInterest?.reduce((total, value) => total + value, 0) ?? 0
               return (
                 <tr key={row.id}>
                   <td>{row.costName || 'Loan'}</td>
-                  <td>{row.loanAmountUsd ? `$${row.loanAmountUsd.toLocaleString()}` : '—'}</td>
+                  <td>
+                    {row.loanAmountUsd ? `$${row.loanAmountUsd.toLocaleString()}` : '—'}
+                    {schedule?.commitment !== undefined && schedule.commitment < (row.loanAmountUsd || 0) && (
+                      <span className="muted tiny">{` (LTC cap ${formatCurrency(schedule.commitment)})`}</span>
+                    )}
+                  </td>
                   <td>{annualPayment ? formatCurrency(annualPayment) : '—'}</td>
+                  <td>{capitalizedInterest ? formatCurrency(capitalizedInterest) : '—'}</td>
                   <td>
                     <div className="month-label">
                       <span>{`Month ${formatOffsetForInput(row.fundingMonth ?? 0)}`}</span>
@@ -0,0 +1,329 @@
+import { FormEvent, useEffect, useMemo, useState } from 'react'
+import { resolvePropertyTaxAssessment, summarizePropertyTaxAssessment } from '@ds-proforma/cashflow'
+import { updateProjectGeneral } from '../../api.js'
+import { formatCurrency } from './carryingHelpers.js'
+import type { AbatementBase, EntityId, ProjectDetail, PropertyTaxAssessment } from '../../types'
+
+type RequestStatus = 'idle' | 'saving' | 'error'
+
+type CalendarLabelFormatter = (value: string | number | null | undefined) => string
+
+type AssessmentFormState = {
+  landValueUsd: string
+  improvementValueUsd: string
+  assessmentRatioPct: string
+  millageRate: string
+  reassessOnPurchase: boolean
+  completionMonth: string
+  completedImprovementValueUsd: string
+  abatementSchedule: string
+  abatementStartMonth: string
+  abatementAppliesTo: AbatementBase
+}
+
+type Props = {
+  project: ProjectDetail
+  projectId: EntityId
+  onProjectRefresh?: (projectId: EntityId) => Promise<void>
+  getCalendarLabelForInput: CalendarLabelFormatter
+}
+
+const abatementBaseLabels: Record<AbatementBase, string> = {
+  improvements: 'Improvements only',
+  total: 'Land + improvements',
+}
+
+const toNumber = (value: string) => {
+  const parsed = Number(value.trim())
+  return value.trim() && Number.isFinite(parsed) ? parsed : 0
+}
+
+const toOptionalNumber = (value: string) => (value.trim() ? toNumber(value) : null)
+
+const toInputValue = (value: number | null | undefined) => (value === null || value === undefined ? '' : String(value))
+
+// Month inputs are 1-based like the rest of the Carrying tab; blank means not set.
+const toMonthInput = (offset: number | null | undefined) => (offset === null || offset === undefined ? '' : String(offset + 1))
+const toMonthOffset = (value: string) => (value.trim() ? Math.max(0, Math.trunc(toNumber(value)) - 1) : null)
+
+// "100, 90, 80" → [100, 90, 80]; null when any step is not a 0–100 percentage.
+const parseAbatementSchedule = (value: string) => {
+  const steps = value
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number)
+  return steps.every((step) => Number.isFinite(step) && step >= 0 && step <= 100) ? steps : null
+}
+
+const buildForm = (source: PropertyTaxAssessment | null): AssessmentFormState => ({
+  landValueUsd: toInputValue(source?.landValueUsd),
+  improvementValueUsd: toInputValue(source?.improvementValueUsd),
+  assessmentRatioPct: toInputValue(source?.assessmentRatioPct ?? 100),
+  millageRate: toInputValue(source?.millageRate),
+  reassessOnPurchase: source?.reassessOnPurchase ?? false,
+  completionMonth: toMonthInput(source?.completionMonth),
+  completedImprovementValueUsd: toInputValue(source?.completedImprovementValueUsd),
+  abatementSchedule: source?.abatement?.schedulePct.join(', ') ?? '',
+  abatementStartMonth: toMonthInput(source?.abatement?.startMonth),
+  abatementAppliesTo: source?.abatement?.appliesTo ?? 'improvements',
+})
+
+export function PropertyTaxAssessmentSection({
+  project,
+  projectId,
+  onProjectRefresh,
+  getCalendarLabelForInput,
+}: Props) {
+  const assessment = project.propertyTaxAssessment
+  const [form, setForm] = useState<AssessmentFormState>(() => buildForm(assessment))
+  const [status, setStatus] = useState<RequestStatus>('idle')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    setForm(buildForm(assessment))
+    setStatus('idle')
+    setError('')
+  }, [assessment])
+
+  const abatementSchedule = useMemo(() => parseAbatementSchedule(form.abatementSchedule), [form.abatementSchedule])
+
+  const draft = useMemo<PropertyTaxAssessment>(
+    () => ({
+      landValueUsd: toNumber(form.landValueUsd),
+      improvementValueUsd: toNumber(form.improvementValueUsd),
+      assessmentRatioPct: form.assessmentRatioPct.trim() ? toNumber(form.assessmentRatioPct) : 100,
+      millageRate: toNumber(form.millageRate),
+      reassessOnPurchase: form.reassessOnPurchase,
+      completionMonth: toMonthOffset(form.completionMonth),
+      completedImprovementValueUsd: toOptionalNumber(form.completedImprovementValueUsd),
+      abatement:
+        abatementSchedule && abatementSchedule.length
+          ? {
+              startMonth: toMonthOffset(form.abatementStartMonth),
+              schedulePct: abatementSchedule,
+              appliesTo: form.abatementAppliesTo,
+            }
+          : null,
+    }),
+    [form, abatementSchedule],
+  )
+
+  const summary = useMemo(
+    () =>
+      summarizePropertyTaxAssessment(
+        resolvePropertyTaxAssessment({
+          general: project.general,
+          hardCosts: project.hardCosts,
+          propertyTaxAssessment: draft,
+        }),
+      ),
+    [project.general, project.hardCosts, draft],
+  )
+
+  const saveAssessment = async (value: PropertyTaxAssessment | null) => {
+    setStatus('saving')
+    setError('')
+    try {
+      await updateProjectGeneral(projectId, { propertyTaxAssessment: value })
+      if (onProjectRefresh) await onProjectRefresh(projectId)
+      setStatus('idle')
+    } catch (err) {
+      setStatus('error')
+      setError(err instanceof Error ? err.message : String(err))
+    }
+  }
+
+  const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault()
+    if (!abatementSchedule) {
+      setError('Abatement schedule must be percentages between 0 and 100, one per year.')
+      return
+    }
+    await saveAssessment(draft)
+  }
+
+  const updateField = <K extends keyof AssessmentFormState>(key: K, value: AssessmentFormState[K]) =>
+    setForm((prev) => ({ ...prev, [key]: value }))
+
+  const saving = status === 'saving'
+
+  return (
+    <section className="carrying-section">
+      <div className="section-header">
+        <h4>RE Tax Assessment</h4>
+        <p className="muted tiny">
+          {assessment
+            ? 'Property tax is generated from the assessment below; the manual RE tax rows are not used.'
+            : 'Enter the assessed values and millage to generate the property tax lines instead of entering them by hand.'}
+        </p>
+      </div>
+      <form className="turnover-inline-form" onSubmit={handleSubmit}>
+        <div>
+          <label>
+            Land value
+            <input
+              type="number"
+              min="0"
+              value={form.landValueUsd}
+              onChange={(e) => updateField('landValueUsd', e.target.value)}
+              disabled={saving}
+            />
+          </label>
+          <label>
+            Improvements value
+            <input
+              type="number"
+              min="0"
+              value={form.improvementValueUsd}
+              onChange={(e) => updateField('improvementValueUsd', e.target.value)}
+              disabled={saving || form.reassessOnPurchase}
+            />
+          </label>
+          <label>
+            Assessment ratio %
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.1"
+              value={form.assessmentRatioPct}
+              onChange={(e) => updateField('assessmentRatioPct', e.target.value)}
+              disabled={saving}
+            />
+          </label>
+          <label>
+            Millage (per $1,000)
+            <input
+              type="number"
+              min="0"
+              step="0.001"
+              value={form.millageRate}
+              onChange={(e) => updateField('millageRate', e.target.value)}
+              disabled={saving}
+            />
+          </label>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={form.reassessOnPurchase}
+              onChange={(e) => updateField('reassessOnPurchase', e.target.checked)}
+              disabled={saving}
+            />
+            Reassess at purchase price
+          </label>
+        </div>
+        <div>
+          <label>
+            Completion month (reassess)
+            <input
+              type="number"
+              min="1"
+              value={form.completionMonth}
+              onChange={(e) => updateField('completionMonth', e.target.value)}
+              disabled={saving}
+            />
+            {form.completionMonth && <span className="muted tiny">{getCalendarLabelForInput(form.completionMonth)}</span>}
+          </label>
+          <label>
+            Improvements after completion
+            <input
+              type="number"
+              min="0"
+              placeholder="+ hard costs"
+              value={form.completedImprovementValueUsd}
+              onChange={(e) => updateField('completedImprovementValueUsd', e.target.value)}
+              disabled={saving || !form.completionMonth}
+            />
+          </label>
+        </div>
+        <div>
+          <label>
+            Abatement % by year
+            <input
+              type="text"
+              placeholder="100, 90, 80, …"
+              value={form.abatementSchedule}
+              onChange={(e) => updateField('abatementSchedule', e.target.value)}
+              disabled={saving}
+              aria-label="Abatement percent by year"
+            />
+          </label>
+          <label>
+            Abatement start month
+            <input
+              type="number"
+              min="1"
+              placeholder="Completion"
+              value={form.abatementStartMonth}
+              onChange={(e) => updateField('abatementStartMonth', e.target.value)}
+              disabled={saving}
+            />
+          </label>
+          <label>
+            Abatement applies to
+            <select
+              value={form.abatementAppliesTo}
+              onChange={(e) => updateField('abatementAppliesTo', e.target.value as AbatementBase)}
+              disabled={saving}
+            >
+              {(Object.keys(abatementBaseLabels) as AbatementBase[]).map((base) => (
+                <option key={base} value={base}>
+                  {abatementBaseLabels[base]}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <button type="submit" className="tiny secondary" disabled={saving}>
+          {saving ? 'Saving…' : 'Save Assessment'}
+        </button>
+        {assessment && (
+          <button type="button" className="tiny ghost" onClick={() => saveAssessment(null)} disabled={saving}>
+            Remove Assessment
+          </button>
+        )}
+      </form>
+      {error && <p className="error">{error}</p>}
+
+      {summary && (
+        <div className="management-summary">
+          {summary.preCompletion && (
+            <div>
+              <span>Assessed Value (construction)</span>
+              <strong>{formatCurrency(summary.preCompletion.assessedValue)}</strong>
+              <span>{formatCurrency(summary.preCompletion.annualTax)} / yr</span>
+            </div>
+          )}
+          <div>
+            <span>Assessed Value{summary.preCompletion ? ' (completed)' : ''}</span>
+            <strong>{formatCurrency(summary.postCompletion.assessedValue)}</strong>
+            <span>{formatCurrency(summary.postCompletion.annualTax)} / yr before abatement</span>
+          </div>
+        </div>
+      )}
+
+      {summary && summary.abatementYears.length > 0 && (
+        <div className="table-scroll">
+          <table>
+            <thead>
+              <tr>
+                <th>Abatement Year</th>
+                <th>Abatement %</th>
+                <th>Annual Tax</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.abatementYears.map((row) => (
+                <tr key={row.year}>
+                  <td>Year {row.year}</td>
+                  <td>{row.abatementPct}%</td>
+                  <td>{formatCurrency(row.annualTax)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
@@ -1,11 +1,27 @@
+import {
+  calculateAnnualOpex,
+  calculateNetParking,
+  calculateNetRetailRevenue,
+  calculateNetRevenue,
+  countApartmentUnits,
+} from '@ds-proforma/cashflow'
+
 export const carryingMenuOptions = [
   { id: 'property_tax', label: 'Property Tax' },
   { id: 'management', label: 'Management Fee' },
+  { id: 'opex', label: 'Operating Expense' },
 ]
 
 export const loanModeOptions = [
   { id: 'interest_only', label: 'Interest-Only' },
   { id: 'amortizing', label: 'Amortizing' },
+  { id: 'construction', label: 'Construction (draws)' },
+]
+
+export const constructionDrawCategoryOptions = [
+  { id: 'purchase', label: 'Purchase price' },
+  { id: 'hard', label: 'Hard costs' },
+  { id: 'soft', label: 'Soft costs' },
 ]
 
 export const intervalUnitOptions = [
@@ -34,6 +50,33 @@ export const propertyTaxPhaseLabels = propertyTaxPhaseOptions.reduce((acc, optio
   return acc
 }, {})
 
+export const opexCategoryOptions = [
+  { id: 'insurance', label: 'Insurance' },
+  { id: 'utilities', label: 'Utilities' },
+  { id: 'repairs_maintenance', label: 'Repairs & Maintenance' },
+  { id: 'payroll', label: 'Payroll' },
+  { id: 'reserves', label: 'Replacement Reserves' },
+  { id: 'hoa', label: 'HOA Dues' },
+  { id: 'other', label: 'Other' },
+]
+
+export const opexCategoryLabels = opexCategoryOptions.reduce((acc, option) => {
+  acc[option.id] = option.label
+  return acc
+}, {})
+
+export const opexBasisOptions = [
+  { id: 'fixed', label: 'Fixed amount' },
+  { id: 'per_unit', label: 'Per unit' },
+  { id: 'per_sqft', label: 'Per sqft' },
+  { id: 'pct_egi', label: '% of EGI' },
+]
+
+export const opexBasisLabels = opexBasisOptions.reduce((acc, option) => {
+  acc[option.id] = option.label
+  return acc
+}, {})
+
 export const createDefaultLoanForm = () => ({
   costName: '',
   loanMode: 'interest_only',
@@ -42,6 +85,11 @@ export const createDefaultLoanForm = () => ({
   loanTermMonths: '',
   fundingMonth: '1',
   repaymentStartMonth: '1',
+  ltcPct: '',
+  interestReserveUsd: '',
+  equityFirst: true,
+  capitalizeInterest: false,
+  drawCategories: ['hard', 'soft'],
 })
 
 export const createDefaultRecurringForm = (type, options = {}) => {
@@ -60,6 +108,9 @@ export const createDefaultRecurringForm = (type, options = {}) => {
       propertyTaxPhase: phase,
     }
   }
+  if (type === 'opex') {
+    return { ...base, costName: '', opexCategory: 'insurance', opexBasis: 'fixed', opexRate: '' }
+  }
   return base
 }
 
@@ -71,6 +122,12 @@ export const buildLoanFormFromRow = (row, formatOffsetForInput) => ({
   loanTermMonths: row.loanTermMonths ? String(row.loanTermMonths) : '',
   fundingMonth: formatOffsetForInput(row.fundingMonth ?? 0),
   repaymentStartMonth: formatOffsetForInput(row.repaymentStartMonth ?? row.fundingMonth ?? 0),
+  ltcPct: row.constructionTerms?.ltcPct != null ? String(row.constructionTerms.ltcPct) : '',
+  interestReserveUsd:
+    row.constructionTerms?.interestReserveUsd != null ? String(row.constructionTerms.interestReserveUsd) : '',
+  equityFirst: row.constructionTerms ? Boolean(row.constructionTerms.equityFirst) : true,
+  capitalizeInterest: Boolean(row.constructionTerms?.capitalizeInterest),
+  drawCategories: row.constructionTerms?.drawCategories?.length ? row.constructionTerms.drawCategories : ['hard', 'soft'],
 })
 
 export const buildRecurringFormFromRow = (row, formatOffsetForInput) => ({
@@ -80,6 +137,13 @@ export const buildRecurringFormFromRow = (row, formatOffsetForInput) => ({
   startMonth: formatOffsetForInput(row.startMonth ?? 0),
   endMonth: row.endMonth !== null && row.endMonth !== undefined ? formatOffsetForInput(row.endMonth) : '',
   propertyTaxPhase: row.carryingType === 'property_tax' ? row.propertyTaxPhase || 'construction' : undefined,
+  ...(row.carryingType === 'opex'
+    ? {
+        opexCategory: row.opexCategory || 'other',
+        opexBasis: row.opexBasis || 'fixed',
+        opexRate: row.opexRate !== null && row.opexRate !== undefined ? String(row.opexRate) : '',
+      }
+    : {}),
 })
 
 const toNumber = (value) => {
@@ -91,7 +155,7 @@ export const calculateLoanPreview = (row) => {
   const amount = Number(row.loanAmountUsd || row.amountUsd) || 0
   const term = Number(row.loanTermMonths) || 0
   const monthlyRate = (Number(row.interestRatePct) || 0) / 100 / 12
-  if (!amount || !term) {
+  if (!amount || !term || row.loanMode === 'construction') {
     return { monthlyPayment: 0, monthlyInterest: 0 }
   }
 
@@ -116,7 +180,31 @@ export const calculateLoanPreview = (row) => {
   }
 }
 
-export const calculateRecurringAverage = (row, months = 60) => {
+export const findLoanSchedule = (cashflow, row) => cashflow?.loans?.find((loan) => loan.id === row.id)?.values ?? null
+
+/**
+ * Debt service paid from the first payment month through `endMonth`.
+ * Construction loans vary month to month, so they read their draw schedule;
+ * other loans multiply the level payment.
+ */
+export const calculateLoanPaymentsThrough = (row, endMonth, schedule) => {
+  if (endMonth === null || endMonth === undefined) return null
+  const repaymentStart = row.repaymentStartMonth ?? 0
+  if (row.loanMode === 'construction') {
+    if (!schedule) return null
+    let total = 0
+    for (let month = repaymentStart; month <= endMonth && month < schedule.interest.length; month += 1) {
+      total -= schedule.interest[month] + schedule.principal[month]
+    }
+    return total
+  }
+  const preview = calculateLoanPreview(row)
+  if (!preview.monthlyPayment) return null
+  if (repaymentStart > endMonth) return 0
+  return preview.monthlyPayment * (endMonth - repaymentStart + 1)
+}
+
+export const calculateRecurringAverage = (row) => {
   const amount = Number(row.amountUsd) || 0
   if (!amount) return 0
   const interval = row.intervalUnit || 'monthly'
@@ -126,6 +214,25 @@ export const calculateRecurringAverage = (row, months = 60) => {
   return amount
 }
 
+/**
+ * Drivers for opex rows outside the cashflow: apartment units, buildable sqft
+ * and the stabilized EGI of the revenue rows.
+ */
+export const buildOpexContext = (project) => {
+  const sumNet = (rows, calculate) => (rows || []).reduce((sum, row) => sum + calculate(row), 0)
+  const monthlyEgi =
+    sumNet(project?.revenue, calculateNetRevenue) +
+    sumNet(project?.retailRevenue, calculateNetRetailRevenue) +
+    sumNet(project?.parkingRevenue, calculateNetParking)
+  return {
+    units: countApartmentUnits(project?.revenue || [], project?.general?.targetUnits),
+    sqft: toNumber(project?.general?.targetSqft),
+    annualEgi: monthlyEgi * 12,
+  }
+}
+
+export const calculateOpexMonthly = (row, context) => calculateAnnualOpex(row, context) / 12
+
 export const formatCurrency = (value) => {
   if (value === null || value === undefined) return '—'
   const amount = Number(value)
@@ -0,0 +1,201 @@
+import { Fragment, useEffect, useMemo, useState } from 'react'
+import { buildCashflowActuals, splitNetAmount } from '@ds-proforma/cashflow'
+import type { CashflowActualsLine } from '@ds-proforma/cashflow'
+import { createCashflowEntry, deleteCashflowEntry, updateCashflowEntry } from '../../api.js'
+import {
+  actualsRowKinds,
+  findCashflowEntry,
+  formatActualInput,
+  formatCurrencyCell,
+  sumNullableForIndices,
+} from './cashflowHelpers.js'
+import type { CashflowRow as CashflowEntry, EntityId } from '../../types'
+
+type ActualsColumn = {
+  id: string
+  label: string
+  calendarLabel: string
+  indices: number[]
+}
+
+type CashflowActualsGridProps = {
+  projectId: EntityId | null
+  columns: ActualsColumn[]
+  editable: boolean
+  months: number
+  rows: Array<{ id: string; label: string; values: number[] }>
+  entries: CashflowEntry[]
+  onEntriesChange?: (entries: CashflowEntry[]) => void
+}
+
+type RowKind = 'budget' | 'actual' | 'variance' | 'forecast'
+
+const getErrorMessage = (error: unknown) => (error instanceof Error ? error.message : String(error))
+
+const varianceClass = (value: number | null) => {
+  if (value === null || Math.abs(value) < 0.005) return ''
+  return value > 0 ? 'variance-positive' : 'variance-negative'
+}
+
+export function CashflowActualsGrid({
+  projectId,
+  columns,
+  editable,
+  months,
+  rows,
+  entries,
+  onEntriesChange,
+}: CashflowActualsGridProps) {
+  const [localEntries, setLocalEntries] = useState<CashflowEntry[]>(entries)
+  const [savingKey, setSavingKey] = useState<string | null>(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    setLocalEntries(entries)
+    setError('')
+  }, [entries, projectId])
+
+  const actuals = useMemo(() => buildCashflowActuals(rows, localEntries, months), [rows, localEntries, months])
+
+  const forecastBalance = useMemo(() => {
+    let running = 0
+    return actuals.total.forecast.map((value) => {
+      running += value
+      return running
+    })
+  }, [actuals])
+
+  // Saved entries go back to the project so they survive a remount of the grid.
+  const commitEntries = (next: CashflowEntry[]) => {
+    setLocalEntries(next)
+    onEntriesChange?.(next)
+  }
+
+  const saveActual = async (line: CashflowActualsLine, monthIndex: number, rawValue: string) => {
+    if (!projectId) return
+    const current = formatActualInput(line.actual[monthIndex])
+    if (rawValue.trim() === current) return
+
+    const existing = findCashflowEntry(localEntries, monthIndex, line.id)
+    const { inflows, outflows } = splitNetAmount(rawValue.trim())
+    const key = `${line.id}-${monthIndex}`
+    setSavingKey(key)
+    setError('')
+    try {
+      if (!existing) {
+        if (inflows === null) return
+        const created: CashflowEntry = await createCashflowEntry(projectId, {
+          monthIndex,
+          lineItem: line.id,
+          actualInflows: inflows,
+          actualOutflows: outflows,
+        })
+        commitEntries([...localEntries, created])
+      } else if (
+        inflows === null &&
+        existing.budgetInflows === null &&
+        existing.budgetOutflows === null &&
+        !existing.notes
+      ) {
+        await deleteCashflowEntry(projectId, existing.id)
+        commitEntries(localEntries.filter((entry) => entry.id !== existing.id))
+      } else {
+        const updated: CashflowEntry = await updateCashflowEntry(projectId, existing.id, {
+          actualInflows: inflows,
+          actualOutflows: outflows,
+        })
+        commitEntries(localEntries.map((entry) => (entry.id === existing.id ? { ...entry, ...updated } : entry)))
+      }
+    } catch (err) {
+      setError(getErrorMessage(err))
+    } finally {
+      setSavingKey(null)
+    }
+  }
+
+  const renderCell = (values: Array<number | null>, kind: RowKind, column: ActualsColumn) => {
+    const value =
+      kind === 'actual' || kind === 'variance'
+        ? sumNullableForIndices(values, column.indices)
+        : column.indices.reduce((sum, idx) => sum + ((values[idx] as number) ?? 0), 0)
+    return (
+      <td key={column.id} className={kind === 'variance' ? varianceClass(value) : undefined}>
+        {value === null ? '—' : formatCurrencyCell(value)}
+      </td>
+    )
+  }
+
+  return (
+    <>
+      <p className="muted tiny">
+        Actuals are tracked per category (Revenues, Soft Costs, Hard Costs, Carrying Costs), not per line item.{' '}
+        {actuals.throughMonth === null
+          ? 'No actuals entered yet. Type an amount in an Actual row (costs as negative numbers) to start tracking.'
+          : `Actuals through ${columns.find((column) => column.indices.includes(actuals.throughMonth as number))?.calendarLabel ?? `month ${actuals.throughMonth}`}. Re-forecast = actuals to date, budget afterwards; unspent soft and hard costs move into the remaining months.`}
+      </p>
+      {error && <p className="error">{error}</p>}
+      <div className="table-scroll">
+        <table className="cashflow-grid cashflow-actuals-grid">
+          <thead>
+            <tr>
+              <th>Category</th>
+              {columns.map((column) => (
+                <th key={column.id}>
+                  <div className="month-label">
+                    <span>{column.label}</span>
+                    <span className="month-calendar">{column.calendarLabel}</span>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {actuals.lines.map((line) => (
+              <Fragment key={line.id}>
+                <tr className="cashflow-row actuals-line">
+                  <td colSpan={columns.length + 1}>{line.label}</td>
+                </tr>
+                {actualsRowKinds.map((kind) => (
+                  <tr key={`${line.id}-${kind.id}`} className={`cashflow-row sub actuals-${kind.id}`}>
+                    <td>{kind.label}</td>
+                    {kind.id === 'actual' && editable
+                      ? columns.map((column) => {
+                          const monthIndex = column.indices[0]
+                          return (
+                            <td key={column.id}>
+                              <input
+                                key={`${line.id}-${monthIndex}-${formatActualInput(line.actual[monthIndex])}`}
+                                type="number"
+                                step="any"
+                                className="actuals-input"
+                                aria-label={`${line.label} actual ${column.calendarLabel}`}
+                                defaultValue={formatActualInput(line.actual[monthIndex])}
+                                disabled={!projectId || savingKey === `${line.id}-${monthIndex}`}
+                                onBlur={(e) => saveActual(line, monthIndex, e.target.value)}
+                              />
+                            </td>
+                          )
+                        })
+                      : columns.map((column) => renderCell(line[kind.id as RowKind], kind.id as RowKind, column))}
+                  </tr>
+                ))}
+              </Fragment>
+            ))}
+            {actualsRowKinds.map((kind) => (
+              <tr key={`total-${kind.id}`} className="cashflow-row total">
+                <td>Total {kind.label.toLowerCase()}</td>
+                {columns.map((column) => renderCell(actuals.total[kind.id as RowKind], kind.id as RowKind, column))}
+              </tr>
+            ))}
+            <tr className="cashflow-row total">
+              <td>Re-forecast balance</td>
+              {columns.map((column) => (
+                <td key={column.id}>{formatCurrencyCell(forecastBalance[column.indices[column.indices.length - 1]])}</td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </>
+  )
+}
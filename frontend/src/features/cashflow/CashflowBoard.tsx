@@ -1,11 +1,16 @@
 import { Fragment, useMemo, useState } from 'react'
+import { buildCashflowPeriods } from '@ds-proforma/cashflow'
+import type { CashflowPeriod } from '@ds-proforma/cashflow'
 import { formatCurrencyCell } from './cashflowHelpers.js'
+import { CashflowActualsGrid } from './CashflowActualsGrid'
+import type { CashflowRow as CashflowEntry, EntityId } from '../../types'
 
 type CashflowMonth = {
   index: number
   label: string
   calendarLabel: string
   year: number
+  month: number
 }
 
 type CashflowSubRow = {
@@ -17,12 +22,40 @@ type CashflowSubRow = {
 type CashflowRow = {
   id: string
   label: string
-  type: 'revenue' | 'expense' | 'total'
+  type: 'revenue' | 'expense' | 'capital' | 'total'
   values: number[]
   subRows: CashflowSubRow[]
 }
 
-type CashflowView = 'monthly' | 'annual' | 'tax'
+type HorizonWarning = {
+  section: string
+  id: string | number | null
+  label: string
+  month: number
+  message: string
+}
+
+type CashflowSubtotalRow = {
+  id: string
+  label: string
+  values: number[]
+}
+
+type CashflowView = 'monthly' | 'quarterly' | 'annual'
+type CashflowYearBasis = 'closing' | 'fiscal'
+type CashflowMode = 'model' | 'actuals'
+
+const VIEW_PERIODS: Record<CashflowView, CashflowPeriod> = {
+  monthly: 'month',
+  quarterly: 'quarter',
+  annual: 'year',
+}
+
+const VIEW_LABELS: Record<CashflowView, string> = {
+  monthly: 'Monthly',
+  quarterly: 'Quarterly',
+  annual: 'Annual',
+}
 
 type CashflowBoardProps = {
   months: CashflowMonth[]
@@ -30,185 +63,207 @@ type CashflowBoardProps = {
   closingMonthLabel: string | null
   expandedRows: Set<string>
   onToggleRow?: (rowId: string) => void
+  projectId?: EntityId | null
+  entries?: CashflowEntry[]
+  onEntriesChange?: (entries: CashflowEntry[]) => void
+  warnings?: HorizonWarning[]
+  subtotals?: CashflowSubtotalRow[]
+  fiscalYearStartMonth?: number
 }
 
+const EMPTY_ENTRIES: CashflowEntry[] = []
+const EMPTY_WARNINGS: HorizonWarning[] = []
+const EMPTY_SUBTOTALS: CashflowSubtotalRow[] = []
+
 export function CashflowBoard({
   months,
   rows,
   closingMonthLabel,
   expandedRows,
   onToggleRow,
+  projectId = null,
+  entries = EMPTY_ENTRIES,
+  onEntriesChange,
+  warnings = EMPTY_WARNINGS,
+  subtotals = EMPTY_SUBTOTALS,
+  fiscalYearStartMonth = 1,
 }: CashflowBoardProps) {
   const [viewMode, setViewMode] = useState<CashflowView>('monthly')
+  const [yearBasis, setYearBasis] = useState<CashflowYearBasis>('closing')
+  const [mode, setMode] = useState<CashflowMode>('model')
 
-  const columns = useMemo(() => {
-    if (viewMode === 'monthly') {
-      return months.map((month) => ({
-        id: `m-${month.index}`,
-        label: month.label,
-        calendarLabel: month.calendarLabel,
-        indices: [month.index],
-      }))
-    }
-
-    const extractYear = (value: string) => {
-      const match = value.match(/\b\d{4}\b/)
-      return match ? match[0] : null
-    }
-
-    const annualColumns: Array<{ id: string; label: string; calendarLabel: string; indices: number[] }> = []
-    for (let i = 0; i < months.length; i += 12) {
-      const slice = months.slice(i, i + 12)
-      if (!slice.length) continue
-      const year = Math.floor(i / 12) + 1
-      const firstLabel = slice[0].calendarLabel
-      const lastLabel = slice[slice.length - 1].calendarLabel
-      const firstYear = extractYear(firstLabel)
-      const lastYear = extractYear(lastLabel)
-      const label =
-        firstYear && lastYear
-          ? firstYear === lastYear
-            ? firstYear
-            : `${firstYear}–${lastYear}`
-          : `Year ${year}`
-      annualColumns.push({
-        id: `y-${year}`,
-        label,
-        calendarLabel: `${firstLabel} – ${lastLabel}`,
-        indices: slice.map((m) => m.index),
-      })
-    }
-    if (viewMode === 'annual') {
-      return annualColumns
-    }
-
-    // Tax year view groups by calendar year boundaries
-    const taxColumns: Array<{ id: string; label: string; calendarLabel: string; indices: number[] }> = []
-    const byYear = new Map<number, CashflowMonth[]>()
-    months.forEach((month) => {
-      if (!byYear.has(month.year)) {
-        byYear.set(month.year, [])
-      }
-      byYear.get(month.year)!.push(month)
-    })
-    Array.from(byYear.entries())
-      .sort(([a], [b]) => a - b)
-      .forEach(([year, slice]) => {
-        const firstLabel = slice[0].calendarLabel
-        const lastLabel = slice[slice.length - 1].calendarLabel
-        taxColumns.push({
-          id: `tax-${year}`,
-          label: String(year),
-          calendarLabel: `${firstLabel} – ${lastLabel}`,
-          indices: slice.map((m) => m.index),
-        })
-      })
-    return taxColumns
-  }, [months, viewMode])
+  const columns = useMemo(
+    () =>
+      buildCashflowPeriods(months, {
+        period: VIEW_PERIODS[viewMode],
+        fiscalYearStartMonth: yearBasis === 'fiscal' ? fiscalYearStartMonth : null,
+      }),
+    [months, viewMode, yearBasis, fiscalYearStartMonth],
+  )
 
   const sumValuesForIndices = (values: number[], indices: number[]) =>
     indices.reduce((sum, idx) => sum + (values[idx] ?? 0), 0)
 
+  // The running balance is cumulative, so a roll-up column shows its period-end value.
+  const rowValueForColumn = (row: { id: string; values: number[] }, indices: number[]) =>
+    row.id === 'balance' ? (row.values[indices[indices.length - 1]] ?? 0) : sumValuesForIndices(row.values, indices)
+
   return (
     <div className="cashflow-tab">
       <div className="cashflow-header">
         <div>
           <h3>
-            Cashflow (
-            {viewMode === 'monthly' ? 'Monthly' : viewMode === 'annual' ? 'Annual' : 'Tax Year'} view)
+            {mode === 'actuals' ? 'Budget vs. Actual' : 'Cashflow'} ({VIEW_LABELS[viewMode]} view)
           </h3>
           <p className="muted tiny">
-            Starting {closingMonthLabel || 'from the current month'} · toggle to switch between monthly and yearly totals.
+            Starting {closingMonthLabel || 'from the current month'} · quarters and years run from the closing month or
+            follow the fiscal year set on the General tab.
+            {mode === 'actuals' && viewMode !== 'monthly' && ' Switch to Monthly to enter actuals.'}
           </p>
         </div>
         <div className="view-toggle">
           <label>
             <input
               type="radio"
-              name="cashflow-view"
-              value="monthly"
-              checked={viewMode === 'monthly'}
-              onChange={() => setViewMode('monthly')}
+              name="cashflow-mode"
+              value="model"
+              checked={mode === 'model'}
+              onChange={() => setMode('model')}
             />
-            Monthly
+            Model
           </label>
           <label>
             <input
               type="radio"
-              name="cashflow-view"
-              value="annual"
-              checked={viewMode === 'annual'}
-              onChange={() => setViewMode('annual')}
+              name="cashflow-mode"
+              value="actuals"
+              checked={mode === 'actuals'}
+              onChange={() => setMode('actuals')}
             />
-            Annual
-          </label>
-          <label>
-            <input
-              type="radio"
-              name="cashflow-view"
-              value="tax"
-              checked={viewMode === 'tax'}
-              onChange={() => setViewMode('tax')}
-            />
-            Tax Years
+            Actuals
           </label>
         </div>
+        <div className="view-toggle">
+          {(Object.keys(VIEW_LABELS) as CashflowView[]).map((view) => (
+            <label key={view}>
+              <input
+                type="radio"
+                name="cashflow-view"
+                value={view}
+                checked={viewMode === view}
+                onChange={() => setViewMode(view)}
+              />
+              {VIEW_LABELS[view]}
+            </label>
+          ))}
+        </div>
+        <label className="view-toggle">
+          Years
+          <select
+            value={yearBasis}
+            disabled={viewMode === 'monthly'}
+            onChange={(event) => setYearBasis(event.target.value as CashflowYearBasis)}
+          >
+            <option value="closing">From closing</option>
+            <option value="fiscal">Fiscal year</option>
+          </select>
+        </label>
       </div>
-      <div className="table-scroll">
-        <table className="cashflow-grid">
-          <thead>
-            <tr>
-              <th>Category</th>
-              {columns.map((column) => (
-                <th key={column.id}>
-                  <div className="month-label">
-                    <span>{column.label}</span>
-                    <span className="month-calendar">{column.calendarLabel}</span>
-                  </div>
-                </th>
-              ))}
-            </tr>
-          </thead>
-          <tbody>
-            {rows.map((row) => {
-              const isExpandable = row.subRows && row.subRows.length > 0
-              const expanded = isExpandable && expandedRows?.has(row.id)
-              return (
-                <Fragment key={row.id}>
-                  <tr className={`cashflow-row ${row.type}`}>
-                    <td>
-                      {isExpandable ? (
-                        <button type="button" className="cashflow-toggle" onClick={() => onToggleRow?.(row.id)}>
-                          <span>{expanded ? '▾' : '▸'}</span>
-                          {row.label}
-                        </button>
-                      ) : (
-                        row.label
-                      )}
-                    </td>
-                    {columns.map((column) => (
-                      <td key={`${row.id}-${column.id}`}>
-                        {formatCurrencyCell(sumValuesForIndices(row.values, column.indices))}
+      {warnings.length > 0 && (
+        <div className="horizon-warning" role="alert">
+          <p>
+            ⚠️ Some schedules fall after the {months.length}-month horizon and are left out of the cashflow. Extend
+            the analysis horizon on the General tab to include them.
+          </p>
+          <ul>
+            {warnings.map((warning) => (
+              <li key={`${warning.section}-${warning.id ?? warning.label}`}>{warning.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {mode === 'actuals' ? (
+        <CashflowActualsGrid
+          projectId={projectId}
+          columns={columns}
+          editable={viewMode === 'monthly'}
+          months={months.length}
+          rows={rows}
+          entries={entries}
+          onEntriesChange={onEntriesChange}
+        />
+      ) : (
+        <div className="table-scroll">
+          <table className="cashflow-grid">
+            <thead>
+              <tr>
+                <th>Category</th>
+                {columns.map((column) => (
+                  <th key={column.id}>
+                    <div className="month-label">
+                      <span>{column.label}</span>
+                      <span className="month-calendar">{column.calendarLabel}</span>
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => {
+                const isExpandable = row.subRows && row.subRows.length > 0
+                const expanded = isExpandable && expandedRows?.has(row.id)
+                return (
+                  <Fragment key={row.id}>
+                    <tr className={`cashflow-row ${row.type}`}>
+                      <td>
+                        {isExpandable ? (
+                          <button type="button" className="cashflow-toggle" onClick={() => onToggleRow?.(row.id)}>
+                            <span>{expanded ? '▾' : '▸'}</span>
+                            {row.label}
+                          </button>
+                        ) : (
+                          row.label
+                        )}
                       </td>
-                    ))}
-                  </tr>
-                  {expanded &&
-                    row.subRows.map((subRow) => (
-                      <tr key={`${row.id}-${subRow.id}`} className="cashflow-row sub cashflow-sub-row">
-                        <td>{subRow.label}</td>
-                        {columns.map((column) => (
-                          <td key={`${row.id}-${subRow.id}-${column.id}`}>
-                            {formatCurrencyCell(sumValuesForIndices(subRow.values, column.indices))}
-                          </td>
-                        ))}
-                      </tr>
-                    ))}
-                </Fragment>
-              )
-            })}
-          </tbody>
-        </table>
-      </div>
+                      {columns.map((column) => (
+                        <td key={`${row.id}-${column.id}`}>
+                          {formatCurrencyCell(rowValueForColumn(row, column.indices))}
+                        </td>
+                      ))}
+                    </tr>
+                    {expanded &&
+                      row.subRows.map((subRow) => (
+                        <tr key={`${row.id}-${subRow.id}`} className="cashflow-row sub cashflow-sub-row">
+                          <td>{subRow.label}</td>
+                          {columns.map((column) => (
+                            <td key={`${row.id}-${subRow.id}-${column.id}`}>
+                              {formatCurrencyCell(sumValuesForIndices(subRow.values, column.indices))}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                  </Fragment>
+                )
+              })}
+              {subtotals.length > 0 && (
+                <tr className="cashflow-row subtotal-header">
+                  <td colSpan={columns.length + 1}>Subtotals</td>
+                </tr>
+              )}
+              {subtotals.map((row) => (
+                <tr key={row.id} className="cashflow-row subtotal">
+                  <td>{row.label}</td>
+                  {columns.map((column) => (
+                    <td key={`${row.id}-${column.id}`}>
+                      {formatCurrencyCell(sumValuesForIndices(row.values, column.indices))}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
     </div>
   )
 }
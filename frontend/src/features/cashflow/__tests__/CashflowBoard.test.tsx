@@ -0,0 +1,211 @@
+import { useState } from 'react'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import userEvent from '@testing-library/user-event'
+import { screen, waitFor, within } from '@testing-library/react'
+import { buildProjectCashflow } from '@ds-proforma/cashflow'
+import { renderWithProviders } from '../../../../test/setup/renderWithProviders'
+import { CashflowBoard } from '../CashflowBoard'
+import type { CashflowRow as CashflowEntry, ProjectDetail } from '../../../types'
+
+type ApiModule = typeof import('../../../api.js')
+
+const mockApi = vi.hoisted(() => ({
+  createCashflowEntry: vi.fn(),
+  updateCashflowEntry: vi.fn(),
+  deleteCashflowEntry: vi.fn(),
+}))
+
+vi.mock('../../../api.js', async (importOriginal) => {
+  const actual = (await importOriginal()) as ApiModule
+  return {
+    ...actual,
+    createCashflowEntry: mockApi.createCashflowEntry,
+    updateCashflowEntry: mockApi.updateCashflowEntry,
+    deleteCashflowEntry: mockApi.deleteCashflowEntry,
+  }
+})
+
+const project = {
+  general: { closingDate: '2025-01-01' },
+  hardCosts: [{ id: 'gc', costName: 'GC', amountUsd: 400, paymentMode: 'range', startMonth: 0, endMonth: 3 }],
+} as unknown as ProjectDetail
+
+const renderBoard = () => {
+  const cashflow = buildProjectCashflow(project, { months: 4 })
+  return renderWithProviders(
+    <CashflowBoard
+      months={cashflow.months}
+      rows={cashflow.rows}
+      closingMonthLabel="Jan 2025"
+      expandedRows={new Set()}
+      projectId="proj-1"
+      entries={[]}
+    />,
+  )
+}
+
+describe('CashflowBoard actuals mode', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('saves an actual and re-forecasts the unspent budget', async () => {
+    mockApi.createCashflowEntry.mockResolvedValue({
+      id: 'entry-1',
+      monthIndex: 0,
+      lineItem: 'hard',
+      budgetInflows: null,
+      budgetOutflows: null,
+      actualInflows: 0,
+      actualOutflows: 60,
+      notes: null,
+      updatedAt: '2026-10-18T00:00:00.000Z',
+    })
+    const user = userEvent.setup()
+    renderBoard()
+
+    await user.click(screen.getByLabelText('Actuals'))
+    expect(screen.getByRole('heading', { name: /Budget vs. Actual/ })).toBeInTheDocument()
+    expect(screen.getByText(/Actuals are tracked per category/)).toBeInTheDocument()
+
+    const input = screen.getAllByLabelText(/^Hard Costs actual/)[0]
+    await user.type(input, '-60')
+    await user.tab()
+
+    await waitFor(() =>
+      expect(mockApi.createCashflowEntry).toHaveBeenCalledWith('proj-1', {
+        monthIndex: 0,
+        lineItem: 'hard',
+        actualInflows: 0,
+        actualOutflows: 60,
+      }),
+    )
+    // Spending $60 against a $100 budget is a favourable $40 variance.
+    await waitFor(() => expect(screen.getAllByText('$40')[0]).toHaveClass('variance-positive'))
+    // The $40 not spent in month 0 is spread over months 1–3.
+    expect(screen.getAllByText('-$113').length).toBeGreaterThan(0)
+  })
+
+  it('keeps saved actuals when the grid remounts and updates them on the next edit', async () => {
+    const saved = {
+      id: 'entry-1',
+      monthIndex: 0,
+      lineItem: 'hard',
+      budgetInflows: null,
+      budgetOutflows: null,
+      actualInflows: 0,
+      actualOutflows: 60,
+      notes: null,
+      updatedAt: '2026-10-18T00:00:00.000Z',
+    }
+    mockApi.createCashflowEntry.mockResolvedValue(saved)
+    mockApi.updateCashflowEntry.mockResolvedValue({ ...saved, actualOutflows: 80 })
+    const cashflow = buildProjectCashflow(project, { months: 4 })
+    // Stands in for App, which keeps the entries on the selected project.
+    const Harness = () => {
+      const [entries, setEntries] = useState<CashflowEntry[]>([])
+      return (
+        <CashflowBoard
+          months={cashflow.months}
+          rows={cashflow.rows}
+          closingMonthLabel="Jan 2025"
+          expandedRows={new Set()}
+          projectId="proj-1"
+          entries={entries}
+          onEntriesChange={setEntries}
+        />
+      )
+    }
+    const user = userEvent.setup()
+    renderWithProviders(<Harness />)
+
+    await user.click(screen.getByLabelText('Actuals'))
+    await user.type(screen.getAllByLabelText(/^Hard Costs actual/)[0], '-60')
+    await user.tab()
+    await waitFor(() => expect(mockApi.createCashflowEntry).toHaveBeenCalledTimes(1))
+
+    await user.click(screen.getByLabelText('Model'))
+    await user.click(screen.getByLabelText('Actuals'))
+    const input = screen.getAllByLabelText(/^Hard Costs actual/)[0]
+    expect(input).toHaveValue(-60)
+
+    await user.clear(input)
+    await user.type(input, '-80')
+    await user.tab()
+
+    await waitFor(() =>
+      expect(mockApi.updateCashflowEntry).toHaveBeenCalledWith('proj-1', 'entry-1', {
+        actualInflows: 0,
+        actualOutflows: 80,
+      }),
+    )
+    expect(mockApi.createCashflowEntry).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('CashflowBoard horizon warnings', () => {
+  it('lists schedules that fall after the horizon', () => {
+    const cashflow = buildProjectCashflow(
+      {
+        ...project,
+        softCosts: [{ id: 'fee', costName: 'Permit fee', amountUsd: 50, paymentMode: 'single', paymentMonth: 6 }],
+      } as unknown as ProjectDetail,
+      { months: 4 },
+    )
+    renderWithProviders(
+      <CashflowBoard
+        months={cashflow.months}
+        rows={cashflow.rows}
+        closingMonthLabel="Jan 2025"
+        expandedRows={new Set()}
+        warnings={cashflow.warnings}
+      />,
+    )
+
+    expect(screen.getByRole('alert')).toHaveTextContent('after the 4-month horizon')
+    expect(screen.getByText('Permit fee is paid in month 7, after the 4-month horizon.')).toBeInTheDocument()
+  })
+})
+
+describe('CashflowBoard roll-ups', () => {
+  it('switches to quarterly columns from the closing month', async () => {
+    const user = userEvent.setup()
+    const cashflow = buildProjectCashflow(project, { months: 12 })
+    renderWithProviders(
+      <CashflowBoard
+        months={cashflow.months}
+        rows={cashflow.rows}
+        closingMonthLabel="Jan 2025"
+        expandedRows={new Set()}
+      />,
+    )
+
+    await user.click(screen.getByLabelText('Quarterly'))
+    expect(screen.getByText('Y1 Q4')).toBeInTheDocument()
+    // Balance shows the quarter-end value, not the sum of its month-end balances.
+    const balanceCells = within(screen.getByText('Balance').closest('tr') as HTMLElement).getAllByRole('cell')
+    expect(balanceCells.slice(1).map((cell) => cell.textContent)).toEqual(['-$300', '-$400', '-$400', '-$400'])
+  })
+
+  it('aligns the roll-ups to the fiscal year and shows subtotals', async () => {
+    const user = userEvent.setup()
+    const cashflow = buildProjectCashflow(project, { months: 12 })
+    renderWithProviders(
+      <CashflowBoard
+        months={cashflow.months}
+        rows={cashflow.rows}
+        closingMonthLabel="Jan 2025"
+        expandedRows={new Set()}
+        subtotals={cashflow.subtotals}
+        fiscalYearStartMonth={7}
+      />,
+    )
+
+    expect(screen.getByText('Cash After Debt Service')).toBeInTheDocument()
+
+    await user.click(screen.getByLabelText('Quarterly'))
+    await user.selectOptions(screen.getByLabelText('Years'), 'fiscal')
+    expect(screen.getByText('FY2025 Q3')).toBeInTheDocument()
+    expect(screen.getByText('FY2026 Q2')).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,223 @@
+import { ChangeEvent, useState } from 'react'
+import { importHardCosts, previewHardCostImport } from '../../api.js'
+import { hardCostCategories, measurementUnitOptions } from './costHelpers.js'
+import type { EntityId } from '../../types'
+
+type ImportStatus = 'idle' | 'loading' | 'saving'
+
+type BidMapping = Record<string, number>
+
+type BidPayload = {
+  costName: string
+  hardCategory: string
+  measurementUnit: string
+  pricePerUnit: number | string | null
+  unitsCount: number | string | null
+  amountUsd: number | string | null
+  paymentMode: 'single' | 'range' | 'multi'
+  paymentMonth?: number | string | null
+  rangeStartMonth?: number | string | null
+  rangeEndMonth?: number | string | null
+  monthList?: Array<number | string>
+}
+
+type BidPreviewRow = {
+  rowNumber: number
+  cells: string[]
+  payload: BidPayload
+  error: string | null
+}
+
+type BidPreview = {
+  fields: Array<{ id: string; label: string }>
+  headers: string[]
+  mapping: BidMapping
+  rows: BidPreviewRow[]
+  validCount: number
+  errorCount: number
+}
+
+type HardCostImportModalProps = {
+  projectId: EntityId
+  onClose: () => void
+  onImported: () => Promise<void>
+  formatOffsetForInput: (offset?: number | null) => string
+}
+
+const getErrorMessage = (error: unknown) => (error instanceof Error ? error.message : String(error))
+
+const categoryLabel = (category: string) =>
+  hardCostCategories.find((option) => option.id === category)?.label ?? (category || '—')
+
+const measurementLabel = (unit: string) =>
+  measurementUnitOptions.find((option) => option.id === unit)?.label ?? unit
+
+export function HardCostImportModal({ projectId, onClose, onImported, formatOffsetForInput }: HardCostImportModalProps) {
+  const [file, setFile] = useState<File | null>(null)
+  const [preview, setPreview] = useState<BidPreview | null>(null)
+  const [status, setStatus] = useState<ImportStatus>('idle')
+  const [error, setError] = useState('')
+
+  const monthLabel = (value: number | string | null | undefined) =>
+    typeof value === 'number' ? formatOffsetForInput(value) : String(value ?? '—')
+
+  const describeSchedule = (payload: BidPayload) => {
+    if (payload.paymentMode === 'range') {
+      return `Months ${monthLabel(payload.rangeStartMonth)}–${monthLabel(payload.rangeEndMonth)}`
+    }
+    if (payload.paymentMode === 'multi') {
+      return `Months ${(payload.monthList ?? []).map(monthLabel).join(', ')}`
+    }
+    return `Month ${monthLabel(payload.paymentMonth)}`
+  }
+
+  const loadPreview = async (nextFile: File, mapping?: BidMapping) => {
+    setStatus('loading')
+    setError('')
+    try {
+      const result: BidPreview = await previewHardCostImport(projectId, nextFile, mapping)
+      setPreview(result)
+    } catch (err) {
+      setError(getErrorMessage(err))
+    } finally {
+      setStatus('idle')
+    }
+  }
+
+  const handleFileChange = (event: ChangeEvent<HTMLInputElement>) => {
+    const nextFile = event.target.files?.[0] ?? null
+    setFile(nextFile)
+    setPreview(null)
+    if (nextFile) loadPreview(nextFile)
+  }
+
+  const handleMappingChange = (fieldId: string, value: string) => {
+    if (!file || !preview) return
+    const mapping = { ...preview.mapping }
+    if (value === '') {
+      delete mapping[fieldId]
+    } else {
+      mapping[fieldId] = Number(value)
+    }
+    loadPreview(file, mapping)
+  }
+
+  const handleImport = async () => {
+    if (!preview) return
+    const validRows = preview.rows.filter((row) => !row.error).map((row) => row.payload)
+    if (!validRows.length) return
+    setStatus('saving')
+    setError('')
+    try {
+      await importHardCosts(projectId, validRows)
+      setStatus('idle')
+      onClose()
+      await onImported()
+    } catch (err) {
+      setStatus('idle')
+      setError(getErrorMessage(err))
+    }
+  }
+
+  const busy = status !== 'idle'
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-panel import-modal">
+        <h3>Import Contractor Bid</h3>
+        <p className="muted tiny">
+          Upload a CSV or XLSX bid. The first row should hold column headers; months use the same numbering as the
+          schedule fields (Month 1 = closing month).
+        </p>
+        <label>
+          Bid file
+          <input type="file" accept=".csv,.xlsx" onChange={handleFileChange} disabled={busy} />
+        </label>
+
+        {preview && (
+          <>
+            <div className="import-mapping">
+              {preview.fields.map((field) => (
+                <label key={field.id}>
+                  {field.label}
+                  <select
+                    value={preview.mapping[field.id] ?? ''}
+                    onChange={(e) => handleMappingChange(field.id, e.target.value)}
+                    disabled={busy}
+                  >
+                    <option value="">— Not mapped —</option>
+                    {preview.headers.map((header, index) => (
+                      <option key={`${header}-${index}`} value={index}>
+                        {header || `Column ${index + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            <p className="muted tiny">
+              {preview.validCount} row{preview.validCount === 1 ? '' : 's'} ready
+              {preview.errorCount ? `, ${preview.errorCount} with errors will be skipped` : ''}.
+            </p>
+            <div className="table-scroll import-preview">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Category</th>
+                    <th>Cost Name</th>
+                    <th>Unit</th>
+                    <th>Amount (USD)</th>
+                    <th>Schedule</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map((row) => (
+                    <tr key={row.rowNumber} className={row.error ? 'import-row-error' : undefined}>
+                      <td>{row.rowNumber}</td>
+                      <td>{categoryLabel(row.payload.hardCategory)}</td>
+                      <td>{row.payload.costName || '—'}</td>
+                      <td>{measurementLabel(row.payload.measurementUnit)}</td>
+                      <td>
+                        {typeof row.payload.amountUsd === 'number'
+                          ? `$${row.payload.amountUsd.toLocaleString()}`
+                          : row.payload.amountUsd ?? '—'}
+                      </td>
+                      <td>{describeSchedule(row.payload)}</td>
+                      <td>{row.error ? <span className="error">{row.error}</span> : 'OK'}</td>
+                    </tr>
+                  ))}
+                  {preview.rows.length === 0 && (
+                    <tr>
+                      <td colSpan={7}>No data rows found.</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        {status === 'loading' && <p className="muted tiny">Reading bid…</p>}
+        {error && <p className="error">{error}</p>}
+        <div className="modal-actions">
+          <button type="button" className="ghost" onClick={onClose} disabled={status === 'saving'}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="primary"
+            onClick={handleImport}
+            disabled={busy || !preview || preview.validCount === 0}
+          >
+            {status === 'saving'
+              ? 'Importing…'
+              : `Import ${preview?.validCount ?? 0} hard cost${preview?.validCount === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,399 @@
+import { FormEvent, useMemo, useState } from 'react'
+import { summarizeHardCostTracking } from '@ds-proforma/cashflow'
+import {
+  createHardCostChangeOrder,
+  deleteHardCostChangeOrder,
+  updateHardCostChangeOrder,
+  updateHardCostTracking,
+} from '../../api.js'
+import { hardCategoryLabel } from './costHelpers.js'
+import type { EntityId, HardCostChangeOrder, HardCostRow, HardCostTracking, ProjectDetail } from '../../types'
+
+type RequestStatus = 'idle' | 'saving' | 'error'
+
+type TrackingFormState = Record<keyof HardCostTracking, string>
+
+type ChangeOrderFormState = {
+  amountUsd: string
+  reason: string
+  approvedDate: string
+}
+
+type HardCostTrackingSectionProps = {
+  project: ProjectDetail | null
+  projectId: EntityId | null
+  onProjectRefresh?: (projectId: EntityId) => Promise<void>
+}
+
+const trackingFields: Array<{ key: keyof HardCostTracking; label: string }> = [
+  { key: 'committedUsd', label: 'Committed (contract)' },
+  { key: 'invoicedUsd', label: 'Invoiced to date' },
+  { key: 'paidUsd', label: 'Paid to date' },
+  { key: 'retainageUsd', label: 'Retainage held' },
+]
+
+const emptyChangeOrderForm: ChangeOrderFormState = { amountUsd: '', reason: '', approvedDate: '' }
+
+const getErrorMessage = (error: unknown) => (error instanceof Error ? error.message : String(error))
+
+const formatUsd = (value: number | null | undefined) => {
+  if (value === null || value === undefined) return '—'
+  const prefix = value < 0 ? '-' : ''
+  return `${prefix}$${Math.abs(value).toLocaleString(undefined, { maximumFractionDigits: 0 })}`
+}
+
+const formatPercent = (value: number | null) => (value === null ? '—' : `${value.toFixed(1)}%`)
+
+const toInputValue = (value: number | null | undefined) => (value === null || value === undefined ? '' : String(value))
+
+const buildTrackingForm = (row: HardCostRow): TrackingFormState => ({
+  committedUsd: toInputValue(row.committedUsd),
+  invoicedUsd: toInputValue(row.invoicedUsd),
+  paidUsd: toInputValue(row.paidUsd),
+  retainageUsd: toInputValue(row.retainageUsd),
+})
+
+const changeOrderTotal = (row: HardCostRow) =>
+  (row.changeOrders ?? []).reduce((sum, order) => sum + (order.amountUsd || 0), 0)
+
+export function HardCostTrackingSection({ project, projectId, onProjectRefresh }: HardCostTrackingSectionProps) {
+  const [editingCostId, setEditingCostId] = useState<EntityId | null>(null)
+  const [trackingForm, setTrackingForm] = useState<TrackingFormState | null>(null)
+  const [changeOrderForm, setChangeOrderForm] = useState<ChangeOrderFormState>(emptyChangeOrderForm)
+  const [editingChangeOrderId, setEditingChangeOrderId] = useState<EntityId | null>(null)
+  const [status, setStatus] = useState<RequestStatus>('idle')
+  const [error, setError] = useState('')
+
+  const hardRows: HardCostRow[] = useMemo(() => project?.hardCosts ?? [], [project?.hardCosts])
+  const summary = useMemo(() => summarizeHardCostTracking(hardRows), [hardRows])
+  // Looked up on every render so the modal shows change orders added since it opened.
+  const editingRow = hardRows.find((row) => row.id === editingCostId) ?? null
+  const saving = status === 'saving'
+
+  const runRequest = async (action: () => Promise<unknown>) => {
+    if (!projectId) return false
+    setStatus('saving')
+    setError('')
+    try {
+      await action()
+      if (onProjectRefresh) await onProjectRefresh(projectId)
+      setStatus('idle')
+      return true
+    } catch (err) {
+      setStatus('error')
+      setError(getErrorMessage(err))
+      return false
+    }
+  }
+
+  const openTracking = (row: HardCostRow) => {
+    setEditingCostId(row.id)
+    setTrackingForm(buildTrackingForm(row))
+    setChangeOrderForm(emptyChangeOrderForm)
+    setEditingChangeOrderId(null)
+    setStatus('idle')
+    setError('')
+  }
+
+  const closeTracking = () => {
+    if (saving) return
+    setEditingCostId(null)
+    setTrackingForm(null)
+  }
+
+  const handleTrackingSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault()
+    if (!projectId || !editingRow || !trackingForm) return
+    const payload = Object.fromEntries(
+      trackingFields.map(({ key }) => [key, trackingForm[key].trim() ? Number(trackingForm[key]) : null]),
+    ) as HardCostTracking
+    if (Object.values(payload).some((value) => value !== null && (!Number.isFinite(value) || value < 0))) {
+      setError('Amounts must be zero or more.')
+      return
+    }
+    if (await runRequest(() => updateHardCostTracking(projectId, editingRow.id, payload))) closeTracking()
+  }
+
+  const startEditChangeOrder = (order: HardCostChangeOrder) => {
+    setEditingChangeOrderId(order.id)
+    setChangeOrderForm({ amountUsd: String(order.amountUsd), reason: order.reason, approvedDate: order.approvedDate })
+    setError('')
+  }
+
+  const cancelEditChangeOrder = () => {
+    setEditingChangeOrderId(null)
+    setChangeOrderForm(emptyChangeOrderForm)
+  }
+
+  const handleChangeOrderSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault()
+    if (!projectId || !editingRow) return
+    const amountUsd = Number(changeOrderForm.amountUsd)
+    if (!changeOrderForm.amountUsd.trim() || !Number.isFinite(amountUsd)) {
+      setError('Enter the change order amount (negative for a deduct).')
+      return
+    }
+    if (!changeOrderForm.reason.trim() || !changeOrderForm.approvedDate) {
+      setError('A change order needs a reason and an approval date.')
+      return
+    }
+    const payload = { amountUsd, reason: changeOrderForm.reason.trim(), approvedDate: changeOrderForm.approvedDate }
+    const saved = await runRequest(() =>
+      editingChangeOrderId
+        ? updateHardCostChangeOrder(projectId, editingRow.id, editingChangeOrderId, payload)
+        : createHardCostChangeOrder(projectId, editingRow.id, payload),
+    )
+    if (saved) cancelEditChangeOrder()
+  }
+
+  const handleDeleteChangeOrder = (changeOrderId: EntityId) => {
+    if (!projectId || !editingRow) return
+    if (changeOrderId === editingChangeOrderId) cancelEditChangeOrder()
+    void runRequest(() => deleteHardCostChangeOrder(projectId, editingRow.id, changeOrderId))
+  }
+
+  if (!project || !projectId) return null
+
+  return (
+    <>
+      <div className="soft-tab">
+        <div className="soft-header">
+          <div>
+            <h3>Construction Tracking</h3>
+            <p className="muted tiny">
+              Contract commitments, approved change orders, and invoiced, paid and retained amounts per hard-cost line.
+            </p>
+          </div>
+        </div>
+
+        <div className="management-summary">
+          <div>
+            <span>Revised Commitment</span>
+            <strong>{formatUsd(summary.total.revisedCommitment)}</strong>
+            <span>{formatUsd(summary.total.changeOrders)} in change orders</span>
+          </div>
+          <div>
+            <span>Invoiced to Date</span>
+            <strong>{formatUsd(summary.total.invoiced)}</strong>
+            <span>{formatPercent(summary.total.percentComplete)} complete</span>
+          </div>
+          <div>
+            <span>Paid to Date</span>
+            <strong>{formatUsd(summary.total.paid)}</strong>
+            <span>{formatUsd(summary.total.retainage)} retainage held</span>
+          </div>
+        </div>
+
+        <div className="table-scroll">
+          <table>
+            <thead>
+              <tr>
+                <th>Category</th>
+                <th>Budget</th>
+                <th>Committed</th>
+                <th>Change Orders</th>
+                <th>Revised</th>
+                <th>Invoiced</th>
+                <th>Paid</th>
+                <th>Retainage</th>
+                <th>% Complete</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.categories.map((bucket) => (
+                <tr key={bucket.category}>
+                  <td>{hardCategoryLabel(bucket.category)}</td>
+                  <td>{formatUsd(bucket.budget)}</td>
+                  <td>{formatUsd(bucket.committed)}</td>
+                  <td>{formatUsd(bucket.changeOrders)}</td>
+                  <td>{formatUsd(bucket.revisedCommitment)}</td>
+                  <td>{formatUsd(bucket.invoiced)}</td>
+                  <td>{formatUsd(bucket.paid)}</td>
+                  <td>{formatUsd(bucket.retainage)}</td>
+                  <td>{formatPercent(bucket.percentComplete)}</td>
+                </tr>
+              ))}
+              {summary.categories.length === 0 && (
+                <tr>
+                  <td colSpan={9}>Add hard costs to track construction progress.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {hardRows.length > 0 && (
+          <div className="table-scroll">
+            <table>
+              <thead>
+                <tr>
+                  <th>Cost Name</th>
+                  <th>Budget</th>
+                  <th>Committed</th>
+                  <th>Change Orders</th>
+                  <th>Invoiced</th>
+                  <th>Paid</th>
+                  <th>Retainage</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {hardRows.map((row) => (
+                  <tr key={row.id}>
+                    <td>{row.costName}</td>
+                    <td>{formatUsd(row.amountUsd)}</td>
+                    <td>{formatUsd(row.committedUsd)}</td>
+                    <td>
+                      {row.changeOrders?.length
+                        ? `${formatUsd(changeOrderTotal(row))} (${row.changeOrders.length})`
+                        : '—'}
+                    </td>
+                    <td>{formatUsd(row.invoicedUsd)}</td>
+                    <td>{formatUsd(row.paidUsd)}</td>
+                    <td>{formatUsd(row.retainageUsd)}</td>
+                    <td>
+                      <div className="row-actions">
+                        <button
+                          type="button"
+                          className="icon-button"
+                          onClick={() => openTracking(row)}
+                          aria-label={`Track ${row.costName}`}
+                        >
+                          ✏️
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {editingRow && trackingForm && (
+        <div className="modal-backdrop">
+          <div className="modal-panel">
+            <h3>Track {editingRow.costName}</h3>
+            <p className="muted tiny">Budget {formatUsd(editingRow.amountUsd)}</p>
+            <form className="modal-form" onSubmit={handleTrackingSubmit}>
+              {trackingFields.map(({ key, label }) => (
+                <label key={key}>
+                  {label}
+                  <input
+                    type="number"
+                    min="0"
+                    value={trackingForm[key]}
+                    onChange={(e) => setTrackingForm((prev) => prev && { ...prev, [key]: e.target.value })}
+                    disabled={saving}
+                  />
+                </label>
+              ))}
+
+              <h4>Change Orders</h4>
+              <div className="table-scroll">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Approved</th>
+                      <th>Reason</th>
+                      <th>Amount</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {(editingRow.changeOrders ?? []).map((order) => (
+                      <tr key={order.id}>
+                        <td>{order.approvedDate}</td>
+                        <td>{order.reason}</td>
+                        <td>{formatUsd(order.amountUsd)}</td>
+                        <td>
+                          <div className="row-actions">
+                            <button
+                              type="button"
+                              className="icon-button"
+                              onClick={() => startEditChangeOrder(order)}
+                              disabled={saving}
+                              aria-label={`Edit change order ${order.reason}`}
+                            >
+                              ✏️
+                            </button>
+                            <button
+                              type="button"
+                              className="icon-delete"
+                              onClick={() => handleDeleteChangeOrder(order.id)}
+                              disabled={saving}
+                              aria-label={`Delete change order ${order.reason}`}
+                            >
+                              🗑
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                    {!editingRow.changeOrders?.length && (
+                      <tr>
+                        <td colSpan={4}>No change orders yet.</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+
+              {error && <p className="error">{error}</p>}
+              <div className="modal-actions">
+                <button type="button" className="ghost" onClick={closeTracking} disabled={saving}>
+                  Cancel
+                </button>
+                <button type="submit" className="primary" disabled={saving}>
+                  {saving ? 'Saving…' : 'Save Tracking'}
+                </button>
+              </div>
+            </form>
+
+            <form className="turnover-inline-form" onSubmit={handleChangeOrderSubmit}>
+              <div>
+                <label>
+                  Amount
+                  <input
+                    type="number"
+                    placeholder="-5000 for a deduct"
+                    value={changeOrderForm.amountUsd}
+                    onChange={(e) => setChangeOrderForm((prev) => ({ ...prev, amountUsd: e.target.value }))}
+                    disabled={saving}
+                  />
+                </label>
+                <label>
+                  Reason
+                  <input
+                    type="text"
+                    value={changeOrderForm.reason}
+                    onChange={(e) => setChangeOrderForm((prev) => ({ ...prev, reason: e.target.value }))}
+                    disabled={saving}
+                  />
+                </label>
+                <label>
+                  Approved
+                  <input
+                    type="date"
+                    value={changeOrderForm.approvedDate}
+                    onChange={(e) => setChangeOrderForm((prev) => ({ ...prev, approvedDate: e.target.value }))}
+                    disabled={saving}
+                  />
+                </label>
+              </div>
+              <button type="submit" className="tiny secondary" disabled={saving}>
+                {editingChangeOrderId ? 'Save Change Order' : '+ Add Change Order'}
+              </button>
+              {editingChangeOrderId && (
+                <button type="button" className="tiny ghost" onClick={cancelEditChangeOrder} disabled={saving}>
+                  Cancel
+                </button>
+              )}
+            </form>
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
@@ -13,6 +13,7 @@ import {
   recomputeHardCostAmount,
   requiresMeasurementDetails,
 } from './costHelpers.js'
+import { HardCostImportModal } from './HardCostImportModal'
 import type { EntityId, HardCostRow, ProjectDetail } from '../../types'
 
 type RequestStatus = 'idle' | 'saving' | 'error'
@@ -62,6 +63,7 @@ export function HardCostsSection({
   const [hardCostStatus, setHardCostStatus] = useState<RequestStatus>('idle')
   const [hardCostModalError, setHardCostModalError] = useState('')
   const [isHardCostModalOpen, setIsHardCostModalOpen] = useState(false)
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false)
   const [editingHardCostId, setEditingHardCostId] = useState<EntityId | null>(null)
   const [pendingHardCostDeleteId, setPendingHardCostDeleteId] = useState<EntityId | null>(null)
   const [hardCostDeleteStatus, setHardCostDeleteStatus] = useState<RequestStatus>('idle')
@@ -240,9 +242,14 @@ export function HardCostsSection({
             <h3>Hard Costs</h3>
             <p className="muted tiny">Construction scope: site work, structure, envelope, interiors.</p>
           </div>
-          <button type="button" className="primary" onClick={openHardCostModal}>
-            + Add Hard Cost
-          </button>
+          <div className="row-actions">
+            <button type="button" className="ghost" onClick={() => setIsImportModalOpen(true)}>
+              Import Bid
+            </button>
+            <button type="button" className="primary" onClick={openHardCostModal}>
+              + Add Hard Cost
+            </button>
+          </div>
         </div>
         <div className="table-scroll">
           <table>
@@ -510,6 +517,15 @@ export function HardCostsSection({
         </div>
       )}
 
+      {isImportModalOpen && (
+        <HardCostImportModal
+          projectId={projectId}
+          onClose={() => setIsImportModalOpen(false)}
+          onImported={refreshProject}
+          formatOffsetForInput={formatOffsetForInput}
+        />
+      )}
+
       {pendingHardCostDeleteId && (
         <div className="modal-backdrop">
           <div className="modal-panel">
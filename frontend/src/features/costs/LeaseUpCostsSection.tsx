@@ -185,28 +185,33 @@ export function LeaseUpCostsSection({
               {rows.map((row) => (
                 <tr key={row.id}>
                   <td>{leaseupCategoryLabel(row.costGroup)}</td>
-                  <td>{row.costName}</td>
+                  <td>
+                    {row.costName}
+                    {row.derived && <div className="muted tiny">From retail lease (edit in Revenue)</div>}
+                  </td>
                   <td>{row.amountUsd ? `$${row.amountUsd.toLocaleString()}` : '—'}</td>
                   <td>{formatCostSchedule(row)}</td>
                   <td>
-                    <div className="row-actions">
-                      <button
-                        type="button"
-                        className="icon-button"
-                        onClick={() => startEditCost(row)}
-                        disabled={costStatus === 'saving' || deleteStatus === 'saving'}
-                      >
-                        ✏️
-                      </button>
-                      <button
-                        type="button"
-                        className="icon-delete"
-                        onClick={() => handleDelete(row.id)}
-                        disabled={costStatus === 'saving' || deleteStatus === 'saving'}
-                      >
-                        🗑
-                      </button>
-                    </div>
+                    {!row.derived && (
+                      <div className="row-actions">
+                        <button
+                          type="button"
+                          className="icon-button"
+                          onClick={() => startEditCost(row)}
+                          disabled={costStatus === 'saving' || deleteStatus === 'saving'}
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          type="button"
+                          className="icon-delete"
+                          onClick={() => handleDelete(row.id)}
+                          disabled={costStatus === 'saving' || deleteStatus === 'saving'}
+                        >
+                          🗑
+                        </button>
+                      </div>
+                    )}
                   </td>
                 </tr>
               ))}
@@ -4,11 +4,13 @@ import {
   buildCostFormFromRow,
   buildScheduledCostPayload,
   createDefaultSoftCostForm,
+  formatCostBasis,
   formatCostSchedule,
   softCategoryLabel,
+  softCostBasisOptions,
   softCostCategories,
 } from './costHelpers.js'
-import type { EntityId, ProjectDetail, SoftCostRow } from '../../types'
+import type { EntityId, ProjectDetail, SoftCostBasis, SoftCostRow } from '../../types'
 
 type RequestStatus = 'idle' | 'saving' | 'error'
 
@@ -20,6 +22,8 @@ type MonthOffsetConverter = (value: string | number | null | undefined) => numbe
 type SoftCostFormState = {
   softCategory: string
   costName: string
+  costBasis: SoftCostBasis
+  costPct: string
   amountUsd: string
   paymentMode: 'single' | 'range' | 'multi'
   paymentMonth: string
@@ -94,6 +98,7 @@ export function SoftCostsSection({
         'softCategory',
         softCostCategories[0]?.id || 'other',
         formatOffsetForInput,
+        { includeCostBasis: true },
       ) as SoftCostFormState,
     )
     setEditingSoftCostId(row.id)
@@ -103,9 +108,17 @@ export function SoftCostsSection({
   const handleSoftCostSubmit = async (event: FormEvent<HTMLFormElement>) => {
     event.preventDefault()
     if (!projectId) return
+    const isPercentage = softCostForm.costBasis !== 'fixed'
+    if (isPercentage && !softCostForm.costPct) {
+      setSoftCostModalError('Percent is required.')
+      return
+    }
     setSoftCostStatus('saving')
     setSoftCostModalError('')
     const payload = buildScheduledCostPayload(softCostForm, 'softCategory', convertMonthInputToOffset) as any
+    payload.costBasis = softCostForm.costBasis
+    // Percentage rows are priced and scheduled off their base by the server.
+    payload.costPct = isPercentage ? Number(softCostForm.costPct) : null
 
     try {
       if (editingSoftCostId) {
@@ -164,7 +177,10 @@ export function SoftCostsSection({
         <div className="soft-header">
           <div>
             <h3>Soft Costs</h3>
-            <p className="muted tiny">Architects, legal, permits, consultants, marketing.</p>
+            <p className="muted tiny">
+              Architects, legal, permits, consultants, marketing. Contingency and developer fee can be a % of hard or
+              total cost.
+            </p>
           </div>
           <button type="button" className="primary" onClick={openSoftCostModal}>
             + Add Soft Cost
@@ -182,34 +198,46 @@ export function SoftCostsSection({
               </tr>
             </thead>
             <tbody>
-              {softRows.map((row) => (
-                <tr key={row.id}>
-                  <td>{softCategoryLabel(row.costGroup)}</td>
-                  <td>{row.costName}</td>
-                  <td>{row.amountUsd ? `$${row.amountUsd.toLocaleString()}` : '—'}</td>
-                  <td>{formatCostSchedule(row)}</td>
-                  <td>
-                    <div className="row-actions">
-                      <button
-                        type="button"
-                        className="icon-button"
-                        onClick={() => startEditSoftCost(row)}
-                        disabled={softCostStatus === 'saving' || softCostDeleteStatus === 'saving'}
-                      >
-                        ✏️
-                      </button>
-                      <button
-                        type="button"
-                        className="icon-delete"
-                        onClick={() => handleDeleteSoftCost(row.id)}
-                        disabled={softCostStatus === 'saving' || softCostDeleteStatus === 'saving'}
-                      >
-                        🗑
-                      </button>
-                    </div>
-                  </td>
-                </tr>
-              ))}
+              {softRows.map((row) => {
+                const basisLabel = formatCostBasis(row)
+                return (
+                  <tr key={row.id}>
+                    <td>{softCategoryLabel(row.costGroup)}</td>
+                    <td>
+                      {row.costName}
+                      {basisLabel && <div className="muted tiny">Derived: {basisLabel}</div>}
+                    </td>
+                    <td>
+                      {row.amountUsd ? `$${row.amountUsd.toLocaleString(undefined, { maximumFractionDigits: 0 })}` : '—'}
+                    </td>
+                    <td>
+                      {basisLabel
+                        ? `Follows ${row.costBasis === 'pct_hard' ? 'hard costs' : 'total cost'}`
+                        : formatCostSchedule(row)}
+                    </td>
+                    <td>
+                      <div className="row-actions">
+                        <button
+                          type="button"
+                          className="icon-button"
+                          onClick={() => startEditSoftCost(row)}
+                          disabled={softCostStatus === 'saving' || softCostDeleteStatus === 'saving'}
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          type="button"
+                          className="icon-delete"
+                          onClick={() => handleDeleteSoftCost(row.id)}
+                          disabled={softCostStatus === 'saving' || softCostDeleteStatus === 'saving'}
+                        >
+                          🗑
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                )
+              })}
               {softRows.length === 0 && (
                 <tr>
                   <td colSpan={5}>No soft costs yet.</td>
@@ -266,107 +294,145 @@ export function SoftCostsSection({
                 />
               </label>
               <label>
-                Amount (USD)
-                <input
-                  type="number"
-                  value={softCostForm.amountUsd}
-                  onChange={(e) => setSoftCostForm((prev) => ({ ...prev, amountUsd: e.target.value }))}
-                  required
-                  disabled={softCostStatus === 'saving'}
-                />
-              </label>
-              <label>
-                Payment mode
+                Basis
                 <select
-                  value={softCostForm.paymentMode}
-                  onChange={(e) =>
-                    setSoftCostForm((prev) => ({
-                      ...prev,
-                      paymentMode: e.target.value as SoftCostFormState['paymentMode'],
-                    }))
-                  }
+                  value={softCostForm.costBasis}
+                  onChange={(e) => setSoftCostForm((prev) => ({ ...prev, costBasis: e.target.value as SoftCostBasis }))}
                   disabled={softCostStatus === 'saving'}
                 >
-                  <option value="single">Single month</option>
-                  <option value="range">Range</option>
-                  <option value="multi">Multiple months</option>
+                  {softCostBasisOptions.map((option) => (
+                    <option key={option.id} value={option.id}>
+                      {option.label}
+                    </option>
+                  ))}
                 </select>
               </label>
-
-              {softCostForm.paymentMode === 'single' && (
+              {softCostForm.costBasis !== 'fixed' ? (
+                <Fragment>
+                  <label>
+                    Percent
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      value={softCostForm.costPct}
+                      onChange={(e) => setSoftCostForm((prev) => ({ ...prev, costPct: e.target.value }))}
+                      placeholder="e.g., 5"
+                      disabled={softCostStatus === 'saving'}
+                    />
+                  </label>
+                  <p className="helper-text">
+                    Derived line: recalculated from the {softCostForm.costBasis === 'pct_hard' ? 'hard costs' : 'total cost'}{' '}
+                    whenever they change and paid on the same schedule.
+                  </p>
+                </Fragment>
+              ) : (
+                <Fragment>
                 <label>
-                  Payment month
+                  Amount (USD)
                   <input
                     type="number"
-                    value={softCostForm.paymentMonth}
-                    onChange={(e) => setSoftCostForm((prev) => ({ ...prev, paymentMonth: e.target.value }))}
-                    placeholder="e.g., 1"
+                    value={softCostForm.amountUsd}
+                    onChange={(e) => setSoftCostForm((prev) => ({ ...prev, amountUsd: e.target.value }))}
+                    required
                     disabled={softCostStatus === 'saving'}
                   />
-                  <span className="month-hint">{getCalendarLabelForInput(softCostForm.paymentMonth)}</span>
                 </label>
-              )}
+                <label>
+                  Payment mode
+                  <select
+                    value={softCostForm.paymentMode}
+                    onChange={(e) =>
+                      setSoftCostForm((prev) => ({
+                        ...prev,
+                        paymentMode: e.target.value as SoftCostFormState['paymentMode'],
+                      }))
+                    }
+                    disabled={softCostStatus === 'saving'}
+                  >
+                    <option value="single">Single month</option>
+                    <option value="range">Range</option>
+                    <option value="multi">Multiple months</option>
+                  </select>
+                </label>
 
-              {softCostForm.paymentMode === 'range' && (
-                <div className="dual-fields">
+                {softCostForm.paymentMode === 'single' && (
                   <label>
-                    Start month
+                    Payment month
                     <input
                       type="number"
-                      value={softCostForm.rangeStartMonth}
-                      onChange={(e) => setSoftCostForm((prev) => ({ ...prev, rangeStartMonth: e.target.value }))}
+                      value={softCostForm.paymentMonth}
+                      onChange={(e) => setSoftCostForm((prev) => ({ ...prev, paymentMonth: e.target.value }))}
                       placeholder="e.g., 1"
                       disabled={softCostStatus === 'saving'}
                     />
-                    <span className="month-hint">
-                      {getCalendarLabelForInput(softCostForm.rangeStartMonth)}
-                    </span>
+                    <span className="month-hint">{getCalendarLabelForInput(softCostForm.paymentMonth)}</span>
                   </label>
-                  <label>
-                    End month
-                    <input
-                      type="number"
-                      value={softCostForm.rangeEndMonth}
-                      onChange={(e) => setSoftCostForm((prev) => ({ ...prev, rangeEndMonth: e.target.value }))}
-                      placeholder="e.g., 5"
-                      disabled={softCostStatus === 'saving'}
-                    />
-                    <span className="month-hint">{getCalendarLabelForInput(softCostForm.rangeEndMonth)}</span>
-                  </label>
-                  <p className="helper-text">Amount will be spread evenly across the range.</p>
-                </div>
-              )}
+                )}
 
-              {softCostForm.paymentMode === 'multi' && (
-                <Fragment>
-                  <label>
-                    Months (comma separated)
-                    <input
-                      type="text"
-                      value={softCostForm.monthsInput}
-                      onChange={(e) => setSoftCostForm((prev) => ({ ...prev, monthsInput: e.target.value }))}
-                      placeholder="e.g., 1,2,3"
-                      disabled={softCostStatus === 'saving'}
-                    />
-                    <span className="month-hint">
-                      {getCalendarLabelsForListInput(softCostForm.monthsInput)}
-                    </span>
-                  </label>
-                  <label>
-                    Percent per month (comma separated, optional)
-                    <input
-                      type="text"
-                      value={softCostForm.monthPercentagesInput}
-                      onChange={(e) =>
-                        setSoftCostForm((prev) => ({ ...prev, monthPercentagesInput: e.target.value }))
-                      }
-                      placeholder="e.g., 40,30,30"
-                      disabled={softCostStatus === 'saving'}
-                    />
-                  </label>
-                  <p className="helper-text">
-                    If omitted, the amount will be split evenly. Percentages must total 100%.
-                  </p>
+                {softCostForm.paymentMode === 'range' && (
+                  <div className="dual-fields">
+                    <label>
+                      Start month
+                      <input
+                        type="number"
+                        value={softCostForm.rangeStartMonth}
+                        onChange={(e) => setSoftCostForm((prev) => ({ ...prev, rangeStartMonth: e.target.value }))}
+                        placeholder="e.g., 1"
+                        disabled={softCostStatus === 'saving'}
+                      />
+                      <span className="month-hint">
+                        {getCalendarLabelForInput(softCostForm.rangeStartMonth)}
+                      </span>
+                    </label>
+                    <label>
+                      End month
+                      <input
+                        type="number"
+                        value={softCostForm.rangeEndMonth}
+                        onChange={(e) => setSoftCostForm((prev) => ({ ...prev, rangeEndMonth: e.target.value }))}
+                        placeholder="e.g., 5"
+                        disabled={softCostStatus === 'saving'}
+                      />
+                      <span className="month-hint">{getCalendarLabelForInput(softCostForm.rangeEndMonth)}</span>
+                    </label>
+                    <p className="helper-text">Amount will be spread evenly across the range.</p>
+                  </div>
+                )}
+
+                {softCostForm.paymentMode === 'multi' && (
+                  <Fragment>
+                    <label>
+                      Months (comma separated)
+                      <input
+                        type="text"
+                        value={softCostForm.monthsInput}
+                        onChange={(e) => setSoftCostForm((prev) => ({ ...prev, monthsInput: e.target.value }))}
+                        placeholder="e.g., 1,2,3"
+                        disabled={softCostStatus === 'saving'}
+                      />
+                      <span className="month-hint">
+                        {getCalendarLabelsForListInput(softCostForm.monthsInput)}
+                      </span>
+                    </label>
+                    <label>
+                      Percent per month (comma separated, optional)
+                      <input
+                        type="text"
+                        value={softCostForm.monthPercentagesInput}
+                        onChange={(e) =>
+                          setSoftCostForm((prev) => ({ ...prev, monthPercentagesInput: e.target.value }))
+                        }
+                        placeholder="e.g., 40,30,30"
+                        disabled={softCostStatus === 'saving'}
+                      />
+                    </label>
+                    <p className="helper-text">
+                      If omitted, the amount will be split evenly. Percentages must total 100%.
+                    </p>
+                  </Fragment>
+                )}
                 </Fragment>
               )}
 
@@ -0,0 +1,93 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import userEvent from '@testing-library/user-event'
+import { screen, waitFor } from '@testing-library/react'
+import { renderWithProviders } from '../../../../test/setup/renderWithProviders'
+import { HardCostImportModal } from '../HardCostImportModal'
+
+type ApiModule = typeof import('../../../api.js')
+
+const mockApi = vi.hoisted(() => ({
+  previewHardCostImport: vi.fn(),
+  importHardCosts: vi.fn(),
+}))
+
+vi.mock('../../../api.js', async (importOriginal) => {
+  const actual = (await importOriginal()) as ApiModule
+  return {
+    ...actual,
+    previewHardCostImport: mockApi.previewHardCostImport,
+    importHardCosts: mockApi.importHardCosts,
+  }
+})
+
+const validPayload = {
+  costName: 'Interior paint',
+  hardCategory: 'paint',
+  measurementUnit: 'none',
+  pricePerUnit: null,
+  unitsCount: null,
+  amountUsd: 18000,
+  paymentMode: 'range',
+  rangeStartMonth: 2,
+  rangeEndMonth: 4,
+}
+
+const preview = {
+  fields: [
+    { id: 'costName', label: 'Cost name' },
+    { id: 'hardCategory', label: 'Category' },
+  ],
+  headers: ['Trade', 'Description', 'Total'],
+  mapping: { hardCategory: 0, costName: 1 },
+  rows: [
+    { rowNumber: 2, cells: ['Paint', 'Interior paint', '18000'], payload: validPayload, error: null },
+    {
+      rowNumber: 3,
+      cells: ['Roofing', 'Membrane', '9000'],
+      payload: { ...validPayload, costName: 'Membrane', hardCategory: 'roofing' },
+      error: 'hardCategory is invalid',
+    },
+  ],
+  validCount: 1,
+  errorCount: 1,
+}
+
+describe('HardCostImportModal', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('previews a bid with validation errors and imports only the valid rows', async () => {
+    mockApi.previewHardCostImport.mockResolvedValue(preview)
+    mockApi.importHardCosts.mockResolvedValue({ created: [{ id: 'hard-1' }] })
+    const onClose = vi.fn()
+    const onImported = vi.fn().mockResolvedValue(undefined)
+    const user = userEvent.setup()
+
+    renderWithProviders(
+      <HardCostImportModal
+        projectId="proj-1"
+        onClose={onClose}
+        onImported={onImported}
+        formatOffsetForInput={(offset) => String((offset ?? 0) + 1)}
+      />,
+    )
+
+    const file = new File(['Trade,Description,Total\n'], 'bid.csv', { type: 'text/csv' })
+    await user.upload(screen.getByLabelText('Bid file'), file)
+
+    expect(await screen.findByText('hardCategory is invalid')).toBeInTheDocument()
+    expect(screen.getAllByText('Months 3–5')).toHaveLength(2)
+    expect(mockApi.previewHardCostImport).toHaveBeenCalledWith('proj-1', file, undefined)
+
+    await user.selectOptions(screen.getByLabelText('Cost name'), '2')
+    await waitFor(() =>
+      expect(mockApi.previewHardCostImport).toHaveBeenLastCalledWith('proj-1', file, { hardCategory: 0, costName: 2 }),
+    )
+
+    await user.click(screen.getByRole('button', { name: 'Import 1 hard cost' }))
+    await waitFor(() => expect(mockApi.importHardCosts).toHaveBeenCalledWith('proj-1', [validPayload]))
+    expect(onClose).toHaveBeenCalled()
+    expect(onImported).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,160 @@
+import { useState } from 'react'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import userEvent from '@testing-library/user-event'
+import { screen, waitFor, within } from '@testing-library/react'
+import { renderWithProviders } from '../../../../test/setup/renderWithProviders'
+import { HardCostTrackingSection } from '../HardCostTrackingSection'
+import type { HardCostChangeOrder, HardCostRow, ProjectDetail } from '../../../types'
+
+type ApiModule = typeof import('../../../api.js')
+
+const mockApi = vi.hoisted(() => ({
+  updateHardCostTracking: vi.fn(),
+  createHardCostChangeOrder: vi.fn(),
+  updateHardCostChangeOrder: vi.fn(),
+  deleteHardCostChangeOrder: vi.fn(),
+}))
+
+vi.mock('../../../api.js', async (importOriginal) => {
+  const actual = (await importOriginal()) as ApiModule
+  return {
+    ...actual,
+    updateHardCostTracking: mockApi.updateHardCostTracking,
+    createHardCostChangeOrder: mockApi.createHardCostChangeOrder,
+    updateHardCostChangeOrder: mockApi.updateHardCostChangeOrder,
+    deleteHardCostChangeOrder: mockApi.deleteHardCostChangeOrder,
+  }
+})
+
+const framing: HardCostRow = {
+  id: 'frame',
+  softCategory: 'other',
+  hardCategory: 'framing',
+  costGroup: 'framing',
+  costName: 'Framing sub',
+  amountUsd: 400000,
+  paymentMode: 'single',
+  paymentMonth: 1,
+  measurementUnit: 'none',
+  committedUsd: 380000,
+  invoicedUsd: 190000,
+  paidUsd: 171000,
+  retainageUsd: 19000,
+  changeOrders: [],
+}
+
+const roof: HardCostRow = {
+  ...framing,
+  id: 'roof',
+  hardCategory: 'roof',
+  costGroup: 'roof',
+  costName: 'Roofing',
+  amountUsd: 100000,
+  committedUsd: 100000,
+  invoicedUsd: 50000,
+  paidUsd: 45000,
+  retainageUsd: 5000,
+}
+
+const changeOrder: HardCostChangeOrder = {
+  id: 'co-1',
+  costItemId: 'frame',
+  amountUsd: 20000,
+  reason: 'Added shear walls',
+  approvedDate: '2026-03-02',
+}
+
+const buildProject = (changeOrders: HardCostChangeOrder[]) =>
+  ({ id: 'proj-1', stage: 'in_development', hardCosts: [{ ...framing, changeOrders }, roof] }) as unknown as ProjectDetail
+
+// Stands in for App: each refresh loads the next saved state of the project.
+const renderSection = (states: ProjectDetail[]) => {
+  const Harness = () => {
+    const [project, setProject] = useState(states[0])
+    const refresh = async () => {
+      states.shift()
+      setProject(states[0])
+    }
+    return <HardCostTrackingSection project={project} projectId="proj-1" onProjectRefresh={refresh} />
+  }
+  return renderWithProviders(<Harness />)
+}
+
+describe('HardCostTrackingSection', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('shows the invoiced, paid and retainage totals', () => {
+    renderSection([buildProject([changeOrder])])
+
+    expect(screen.getByText('Invoiced to Date').parentElement).toHaveTextContent('$240,000')
+    // $240,000 invoiced against the $500,000 revised commitment.
+    expect(screen.getByText('48.0% complete')).toBeInTheDocument()
+    expect(screen.getByText('Paid to Date').parentElement).toHaveTextContent('$216,000')
+    expect(screen.getByText('$24,000 retainage held')).toBeInTheDocument()
+
+    const framingRow = screen.getByRole('row', { name: /^Framing \$/ })
+    expect(within(framingRow).getAllByRole('cell').map((cell) => cell.textContent)).toEqual([
+      'Framing',
+      '$400,000',
+      '$380,000',
+      '$20,000',
+      '$400,000',
+      '$190,000',
+      '$171,000',
+      '$19,000',
+      '47.5%',
+    ])
+  })
+
+  it('creates, edits and deletes a change order', async () => {
+    const edited = { ...changeOrder, amountUsd: 15000 }
+    mockApi.createHardCostChangeOrder.mockResolvedValue(changeOrder)
+    mockApi.updateHardCostChangeOrder.mockResolvedValue(edited)
+    mockApi.deleteHardCostChangeOrder.mockResolvedValue({ id: 'co-1', deleted: true })
+    const user = userEvent.setup()
+    renderSection([buildProject([]), buildProject([changeOrder]), buildProject([edited]), buildProject([])])
+
+    await user.click(screen.getByLabelText('Track Framing sub'))
+    expect(screen.getByText('No change orders yet.')).toBeInTheDocument()
+
+    await user.type(screen.getByLabelText('Amount'), '20000')
+    await user.type(screen.getByLabelText('Reason'), 'Added shear walls')
+    await user.type(screen.getByLabelText('Approved'), '2026-03-02')
+    await user.click(screen.getByRole('button', { name: '+ Add Change Order' }))
+
+    await waitFor(() =>
+      expect(mockApi.createHardCostChangeOrder).toHaveBeenCalledWith('proj-1', 'frame', {
+        amountUsd: 20000,
+        reason: 'Added shear walls',
+        approvedDate: '2026-03-02',
+      }),
+    )
+    const dialogRow = await screen.findByRole('row', { name: /2026-03-02 Added shear walls/ })
+    expect(dialogRow).toHaveTextContent('$20,000')
+
+    await user.click(screen.getByLabelText('Edit change order Added shear walls'))
+    expect(screen.getByLabelText('Amount')).toHaveValue(20000)
+    await user.clear(screen.getByLabelText('Amount'))
+    await user.type(screen.getByLabelText('Amount'), '15000')
+    await user.click(screen.getByRole('button', { name: 'Save Change Order' }))
+
+    await waitFor(() =>
+      expect(mockApi.updateHardCostChangeOrder).toHaveBeenCalledWith('proj-1', 'frame', 'co-1', {
+        amountUsd: 15000,
+        reason: 'Added shear walls',
+        approvedDate: '2026-03-02',
+      }),
+    )
+    await waitFor(() =>
+      expect(screen.getByRole('row', { name: /2026-03-02 Added shear walls/ })).toHaveTextContent('$15,000'),
+    )
+    expect(screen.getByRole('button', { name: '+ Add Change Order' })).toBeInTheDocument()
+
+    await user.click(screen.getByLabelText('Delete change order Added shear walls'))
+
+    await waitFor(() => expect(mockApi.deleteHardCostChangeOrder).toHaveBeenCalledWith('proj-1', 'frame', 'co-1'))
+    expect(await screen.findByText('No change orders yet.')).toBeInTheDocument()
+  })
+})
@@ -4,9 +4,17 @@ export const softCostCategories = [
   { id: 'permits', label: 'Permits' },
   { id: 'consulting', label: 'Consulting' },
   { id: 'marketing', label: 'Marketing' },
+  { id: 'contingency', label: 'Contingency' },
+  { id: 'developer_fee', label: 'Developer Fee' },
   { id: 'other', label: 'Other' },
 ]
 
+export const softCostBasisOptions = [
+  { id: 'fixed', label: 'Fixed amount' },
+  { id: 'pct_hard', label: '% of hard costs' },
+  { id: 'pct_total', label: '% of total cost' },
+]
+
 export const leaseupCostCategories = [
   { id: 'marketing', label: 'Marketing' },
   { id: 'staging', label: 'Staging' },
@@ -91,6 +99,8 @@ export const getDefaultMeasurementForCategory = (categoryId) =>
 export const createDefaultSoftCostForm = () => ({
   softCategory: softCostCategories[0]?.id || 'other',
   costName: '',
+  costBasis: 'fixed',
+  costPct: '',
   amountUsd: '',
   paymentMode: 'single',
   paymentMonth: '1',
@@ -225,6 +235,11 @@ export const buildCostFormFromRow = (
       row.unitsCount !== null && row.unitsCount !== undefined ? String(row.unitsCount) : ''
   }
 
+  if (options.includeCostBasis) {
+    form.costBasis = row.costBasis || 'fixed'
+    form.costPct = row.costPct !== null && row.costPct !== undefined ? String(row.costPct) : ''
+  }
+
   return form
 }
 
@@ -260,6 +275,13 @@ export const formatCostSchedule = (row) => {
   return '—'
 }
 
+// "5% of hard costs" for percentage soft costs; null for fixed rows.
+export const formatCostBasis = (row) => {
+  if (!row?.costBasis || row.costBasis === 'fixed') return null
+  const base = row.costBasis === 'pct_hard' ? 'hard costs' : 'total cost'
+  return `${row.costPct ?? 0}% of ${base}`
+}
+
 const measurementUnitLabel = (value) =>
   measurementUnitOptions.find((option) => option.id === value)?.label || value
 
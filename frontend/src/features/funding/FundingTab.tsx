@@ -1,5 +1,6 @@
 import { FormEvent, useCallback, useEffect, useMemo, useState } from 'react'
 import { formatZodErrors, gpContributionInputSchema } from '@ds-proforma/types'
+import type { LoanValues, ProjectCashflow } from '@ds-proforma/cashflow'
 import {
   createCarryingCost,
   createGpContribution,
@@ -10,19 +11,28 @@ import {
 } from '../../api.js'
 import {
   buildLoanFormFromRow,
+  calculateLoanPaymentsThrough,
   calculateLoanPreview,
+  constructionDrawCategoryOptions,
   createDefaultLoanForm,
+  findLoanSchedule,
   formatCurrency,
   loanModeLabels,
   loanModeOptions,
 } from '../carrying/carryingHelpers.js'
+import { RefinanceEventSection } from './RefinanceEventSection'
+import { SaleEventSection } from './SaleEventSection'
+import { SourcesUsesPanel } from './SourcesUsesPanel'
 import type {
   CarryingCostRow,
   CarryingType,
+  ConstructionDrawCategory,
   EntityId,
   GpContributionRow,
   LoanMode,
   ProjectDetail,
+  ProjectRefinanceEvent,
+  ProjectSaleEvent,
 } from '../../types'
 
 type RequestStatus = 'idle' | 'saving' | 'error'
@@ -33,7 +43,8 @@ type CalendarLabelFormatter = (offset: number | null) => string
 type CalendarInputFormatter = (value: string | number | null | undefined) => string
 type MonthInputConverter = (value: string | number | null | undefined) => number
 
-type FundingProjectSlice = Pick<ProjectDetail, 'gpContributions' | 'carryingCosts' | 'collaborators' | 'owner' | 'ownerId'>
+type FundingProjectSlice = Pick<ProjectDetail, 'gpContributions' | 'carryingCosts' | 'collaborators' | 'owner' | 'ownerId'> &
+  Partial<Pick<ProjectDetail, 'general' | 'hardCosts' | 'softCosts' | 'leaseupCosts' | 'capitalEvents'>>
 
 type FundingTabProps = {
   project: FundingProjectSlice | null
@@ -44,6 +55,7 @@ type FundingTabProps = {
   getCalendarLabelForInput: CalendarInputFormatter
   convertMonthInputToOffset: MonthInputConverter
   stabilizedOffset?: number | null
+  cashflow?: ProjectCashflow
 }
 
 type GpContributionFormState = {
@@ -61,6 +73,11 @@ type LoanFormState = {
   loanTermMonths: string
   fundingMonth: string
   repaymentStartMonth: string
+  ltcPct: string
+  interestReserveUsd: string
+  equityFirst: boolean
+  capitalizeInterest: boolean
+  drawCategories: ConstructionDrawCategory[]
 }
 
 const parseOptionalNumber = (value: string) => {
@@ -94,6 +111,7 @@ export function FundingTab({
   getCalendarLabelForInput,
   convertMonthInputToOffset,
   stabilizedOffset,
+  cashflow,
 }: FundingTabProps) {
   const [activeModal, setActiveModal] = useState<FundingModalType | null>(null)
   const [isModalOpen, setIsModalOpen] = useState(false)
@@ -148,16 +166,20 @@ export function FundingTab({
     [loanRows],
   )
 
+  const constructionLoans = useMemo(
+    () =>
+      loanRows
+        .filter((row) => row.loanMode === 'construction')
+        .map((row) => ({ row, schedule: findLoanSchedule(cashflow, row) as LoanValues | null })),
+    [loanRows, cashflow],
+  )
+
   // Calculate total cost per loan (payments from repayment start to stabilized)
-  const calculateLoanTotalCost = useCallback((row: CarryingCostRow) => {
-    if (stabilizedOffset === null || stabilizedOffset === undefined) return null
-    const preview = calculateLoanPreview(row)
-    if (!preview.monthlyPayment) return null
-    const repaymentStart = row.repaymentStartMonth ?? 0
-    if (repaymentStart > stabilizedOffset) return 0 // No payments before stabilized
-    const monthsOfPayments = stabilizedOffset - repaymentStart + 1
-    return preview.monthlyPayment * monthsOfPayments
-  }, [stabilizedOffset])
+  const calculateLoanTotalCost = useCallback(
+    (row: CarryingCostRow): number | null =>
+      calculateLoanPaymentsThrough(row, stabilizedOffset, findLoanSchedule(cashflow, row)),
+    [stabilizedOffset, cashflow],
+  )
 
   const totalLoanCosts = useMemo(() => {
     if (stabilizedOffset === null || stabilizedOffset === undefined) return null
@@ -262,6 +284,12 @@ export function FundingTab({
       throw new Error('Funding month cannot be after the first payment month.')
     }
 
+    const ltcPct = toNumberOrNull(loanForm.ltcPct)
+    if (ltcPct !== null && (ltcPct < 0 || ltcPct > 100)) throw new Error('Loan to cost must be between 0 and 100%.')
+    if (loanForm.loanMode === 'construction' && !loanForm.drawCategories.length) {
+      throw new Error('Select at least one cost category to draw against.')
+    }
+
     return {
       carryingType: 'loan' as CarryingType,
       costName: loanForm.costName.trim() || 'Loan',
@@ -271,9 +299,28 @@ export function FundingTab({
       loanTermMonths: term,
       fundingMonth,
       repaymentStartMonth,
+      constructionTerms:
+        loanForm.loanMode === 'construction'
+          ? {
+              ltcPct,
+              interestReserveUsd: toNumberOrNull(loanForm.interestReserveUsd),
+              equityFirst: loanForm.equityFirst,
+              capitalizeInterest: loanForm.capitalizeInterest,
+              drawCategories: loanForm.drawCategories,
+            }
+          : null,
     }
   }
 
+  const toggleDrawCategory = (category: ConstructionDrawCategory) => {
+    setLoanForm((prev) => ({
+      ...prev,
+      drawCategories: prev.drawCategories.includes(category)
+        ? prev.drawCategories.filter((entry) => entry !== category)
+        : [...prev.drawCategories, category],
+    }))
+  }
+
   const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
     event.preventDefault()
     if (!projectId || !activeModal) return
@@ -426,6 +473,13 @@ export function FundingTab({
         </section>
 
         <div className="funding-sections">
+          <SourcesUsesPanel
+            project={project}
+            cashflow={cashflow}
+            formatOffsetForInput={formatOffsetForInput}
+            getCalendarLabelForOffset={getCalendarLabelForOffset}
+          />
+
           <section className="funding-section">
             <div className="section-header">
               <div>
@@ -549,7 +603,13 @@ export function FundingTab({
                         <td>{row.loanTermMonths || '—'}</td>
                         <td>{formatMonthDisplay(row.fundingMonth)}</td>
                         <td>{formatMonthDisplay(row.repaymentStartMonth)}</td>
-                        <td>{preview.monthlyPayment ? formatCurrency(preview.monthlyPayment) : '—'}</td>
+                        <td>
+                          {row.loanMode === 'construction'
+                            ? 'Per draw schedule'
+                            : preview.monthlyPayment
+                              ? formatCurrency(preview.monthlyPayment)
+                              : '—'}
+                        </td>
                         <td><strong>{preview.monthlyPayment ? formatCurrency(preview.monthlyPayment * 12) : '—'}</strong></td>
                         <td><strong>{calculateLoanTotalCost(row) !== null ? formatCurrency(calculateLoanTotalCost(row)!) : '—'}</strong></td>
                         <td>
@@ -569,6 +629,82 @@ export function FundingTab({
               </table>
             </div>
           </section>
+
+          {constructionLoans.map(({ row, schedule }) => (
+            <section key={row.id} className="funding-section">
+              <div className="section-header">
+                <div>
+                  <h4>{`${row.costName || 'Loan'} • Draw Schedule`}</h4>
+                  <p className="muted tiny">
+                    {`Commitment ${formatCurrency(schedule?.commitment ?? row.loanAmountUsd ?? 0)}`}
+                    {row.constructionTerms?.ltcPct != null ? ` (${row.constructionTerms.ltcPct}% LTC cap)` : ''}
+                    {row.constructionTerms?.interestReserveUsd
+                      ? `, including a ${formatCurrency(row.constructionTerms.interestReserveUsd)} interest reserve`
+                      : ''}
+                    {row.constructionTerms?.equityFirst ? '. Equity funds costs before the first draw.' : '. Costs are funded pro-rata.'}
+                  </p>
+                </div>
+              </div>
+              <div className="table-scroll">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Month</th>
+                      <th>Draw</th>
+                      <th>Capitalized Interest</th>
+                      <th>Cash Interest</th>
+                      <th>Repayment</th>
+                      <th>Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {(schedule?.balance ?? []).map((balance, month) => {
+                      const draw = schedule?.funding[month] ?? 0
+                      const capitalized = schedule?.capitalizedInterest?.[month] ?? 0
+                      const cashInterest = -(schedule?.interest[month] ?? 0)
+                      const repayment = -(schedule?.principal[month] ?? 0)
+                      if (!draw && !capitalized && !cashInterest && !repayment) return null
+                      return (
+                        <tr key={month}>
+                          <td>{formatMonthDisplay(month)}</td>
+                          <td>{draw ? formatCurrency(draw) : '—'}</td>
+                          <td>{capitalized ? formatCurrency(capitalized) : '—'}</td>
+                          <td>{cashInterest ? formatCurrency(cashInterest) : '—'}</td>
+                          <td>{repayment ? formatCurrency(repayment) : '—'}</td>
+                          <td>{formatCurrency(balance)}</td>
+                        </tr>
+                      )
+                    })}
+                    {!schedule?.funding.some((value) => value) && (
+                      <tr>
+                        <td colSpan={6}>No draws yet: add hard or soft costs to draw against.</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </section>
+          ))}
+
+          <RefinanceEventSection
+            projectId={projectId}
+            event={project?.capitalEvents?.find((entry): entry is ProjectRefinanceEvent => entry.eventType === 'refinance') ?? null}
+            refinance={cashflow?.capitalEvents.refinance ?? null}
+            onProjectRefresh={onProjectRefresh}
+            formatOffsetForInput={formatOffsetForInput}
+            getCalendarLabelForInput={getCalendarLabelForInput}
+            convertMonthInputToOffset={convertMonthInputToOffset}
+          />
+
+          <SaleEventSection
+            projectId={projectId}
+            event={project?.capitalEvents?.find((entry): entry is ProjectSaleEvent => entry.eventType === 'sale') ?? null}
+            sale={cashflow?.capitalEvents.sale ?? null}
+            onProjectRefresh={onProjectRefresh}
+            formatOffsetForInput={formatOffsetForInput}
+            getCalendarLabelForInput={getCalendarLabelForInput}
+            convertMonthInputToOffset={convertMonthInputToOffset}
+          />
         </div>
       </div>
 
@@ -687,6 +823,62 @@ export function FundingTab({
                     />
                     <span className="muted tiny">{getCalendarLabelForInput(loanForm.repaymentStartMonth)}</span>
                   </label>
+                  {loanForm.loanMode === 'construction' && (
+                    <>
+                      <label>
+                        Max Loan to Cost (%)
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          step="0.1"
+                          value={loanForm.ltcPct}
+                          onChange={(e) => setLoanForm((prev) => ({ ...prev, ltcPct: e.target.value }))}
+                          placeholder="e.g., 65"
+                        />
+                        <span className="muted tiny">Caps the commitment at this share of the drawable costs.</span>
+                      </label>
+                      <label>
+                        Interest Reserve (USD)
+                        <input
+                          type="number"
+                          min="0"
+                          value={loanForm.interestReserveUsd}
+                          onChange={(e) => setLoanForm((prev) => ({ ...prev, interestReserveUsd: e.target.value }))}
+                        />
+                        <span className="muted tiny">Set aside from the commitment to pay interest until it runs out.</span>
+                      </label>
+                      <fieldset className="checkbox-group">
+                        <legend>Draw Against</legend>
+                        {constructionDrawCategoryOptions.map((option) => (
+                          <label key={option.id} className="checkbox-field">
+                            <input
+                              type="checkbox"
+                              checked={loanForm.drawCategories.includes(option.id as ConstructionDrawCategory)}
+                              onChange={() => toggleDrawCategory(option.id as ConstructionDrawCategory)}
+                            />
+                            {option.label}
+                          </label>
+                        ))}
+                      </fieldset>
+                      <label className="checkbox-field">
+                        <input
+                          type="checkbox"
+                          checked={loanForm.equityFirst}
+                          onChange={(e) => setLoanForm((prev) => ({ ...prev, equityFirst: e.target.checked }))}
+                        />
+                        Equity first (draw only after the equity requirement is spent)
+                      </label>
+                      <label className="checkbox-field">
+                        <input
+                          type="checkbox"
+                          checked={loanForm.capitalizeInterest}
+                          onChange={(e) => setLoanForm((prev) => ({ ...prev, capitalizeInterest: e.target.checked }))}
+                        />
+                        Capitalize interest until the first payment month
+                      </label>
+                    </>
+                  )}
                 </>
               )}
               {modalError && <p className="error">{modalError}</p>}
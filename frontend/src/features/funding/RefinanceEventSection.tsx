@@ -0,0 +1,271 @@
+import { FormEvent, useEffect, useState } from 'react'
+import type { RefinanceConstraint, RefinanceEvent } from '@ds-proforma/cashflow'
+import { deleteCapitalEvent, saveCapitalEvent } from '../../api.js'
+import { formatCurrency } from '../carrying/carryingHelpers.js'
+import type { EntityId, ProjectRefinanceEvent } from '../../types'
+
+type RequestStatus = 'idle' | 'saving' | 'error'
+
+type RefinanceFormState = {
+  eventMonth: string
+  capRatePct: string
+  maxLtvPct: string
+  minDscr: string
+  minDebtYieldPct: string
+  interestRatePct: string
+  amortizationYears: string
+  closingCostPct: string
+}
+
+type RefinanceEventSectionProps = {
+  projectId: EntityId | null
+  event: ProjectRefinanceEvent | null
+  refinance: RefinanceEvent | null
+  onProjectRefresh?: (projectId: EntityId) => Promise<void>
+  formatOffsetForInput: (offset?: number | null) => string
+  getCalendarLabelForInput: (value: string | number | null | undefined) => string
+  convertMonthInputToOffset: (value: string | number | null | undefined) => number
+}
+
+const CONSTRAINT_LABELS: Record<RefinanceConstraint, string> = {
+  ltv: 'Max LTV',
+  dscr: 'Min DSCR',
+  debtYield: 'Min debt yield',
+}
+
+const toInput = (value: number | null | undefined, fallback = '') =>
+  value === null || value === undefined ? fallback : String(value)
+
+const toNumberOrNull = (value: string) => (value.trim() === '' ? null : Number(value))
+
+const buildForm = (event: ProjectRefinanceEvent | null, formatOffsetForInput: (offset?: number | null) => string): RefinanceFormState => ({
+  eventMonth: event ? formatOffsetForInput(event.eventMonth) : '',
+  capRatePct: toInput(event?.terms.capRatePct),
+  maxLtvPct: toInput(event?.terms.maxLtvPct, event ? '' : '65'),
+  minDscr: toInput(event?.terms.minDscr, event ? '' : '1.25'),
+  minDebtYieldPct: toInput(event?.terms.minDebtYieldPct),
+  interestRatePct: toInput(event?.terms.interestRatePct),
+  amortizationYears: toInput(event?.terms.amortizationYears, '30'),
+  closingCostPct: toInput(event?.terms.closingCostPct, event ? '' : '1'),
+})
+
+const getErrorMessage = (error: unknown) => (error instanceof Error ? error.message : String(error))
+
+export function RefinanceEventSection({
+  projectId,
+  event,
+  refinance,
+  onProjectRefresh,
+  formatOffsetForInput,
+  getCalendarLabelForInput,
+  convertMonthInputToOffset,
+}: RefinanceEventSectionProps) {
+  const [form, setForm] = useState<RefinanceFormState>(() => buildForm(event, formatOffsetForInput))
+  const [status, setStatus] = useState<RequestStatus>('idle')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    setForm(buildForm(event, formatOffsetForInput))
+    setStatus('idle')
+    setError('')
+  }, [event, formatOffsetForInput])
+
+  const updateField = (field: keyof RefinanceFormState) => (e: { target: { value: string } }) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }))
+
+  const runRequest = async (request: () => Promise<unknown>) => {
+    if (!projectId) return
+    setStatus('saving')
+    setError('')
+    try {
+      await request()
+      if (onProjectRefresh) await onProjectRefresh(projectId)
+      setStatus('idle')
+    } catch (err) {
+      setStatus('error')
+      setError(getErrorMessage(err))
+    }
+  }
+
+  const handleSave = (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault()
+    if (!form.eventMonth.trim()) {
+      setStatus('error')
+      setError('Refinance month is required.')
+      return
+    }
+    void runRequest(() =>
+      saveCapitalEvent(projectId, 'refinance', {
+        eventMonth: convertMonthInputToOffset(form.eventMonth),
+        terms: {
+          capRatePct: Number(form.capRatePct),
+          maxLtvPct: toNumberOrNull(form.maxLtvPct),
+          minDscr: toNumberOrNull(form.minDscr),
+          minDebtYieldPct: toNumberOrNull(form.minDebtYieldPct),
+          interestRatePct: Number(form.interestRatePct),
+          amortizationYears: Number(form.amortizationYears),
+          closingCostPct: toNumberOrNull(form.closingCostPct),
+        },
+      }),
+    )
+  }
+
+  const handleRemove = () => {
+    void runRequest(() => deleteCapitalEvent(projectId, 'refinance'))
+  }
+
+  const isSaving = status === 'saving'
+
+  return (
+    <section className="funding-section">
+      <div className="section-header">
+        <div>
+          <h4>Refinance</h4>
+          <p className="muted tiny">
+            Sizes a permanent loan from forward 12-month NOI at the lowest of the constraints you set, pays off the
+            existing loans and closing costs, and sends the net cash-out to the Cashflow and Returns tabs.
+          </p>
+        </div>
+      </div>
+
+      <form onSubmit={handleSave}>
+        <div className="form-grid">
+          <label>
+            Refinance Month
+            <input type="number" min="1" value={form.eventMonth} onChange={updateField('eventMonth')} required />
+            <span className="muted tiny">{getCalendarLabelForInput(form.eventMonth)}</span>
+          </label>
+          <label>
+            Valuation Cap Rate (%)
+            <input type="number" min="0" step="0.01" value={form.capRatePct} onChange={updateField('capRatePct')} required />
+          </label>
+          <label>
+            Max LTV (%)
+            <input type="number" min="0" max="100" step="0.1" value={form.maxLtvPct} onChange={updateField('maxLtvPct')} />
+          </label>
+          <label>
+            Min DSCR (x)
+            <input type="number" min="0" step="0.01" value={form.minDscr} onChange={updateField('minDscr')} />
+          </label>
+          <label>
+            Min Debt Yield (%)
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.1"
+              value={form.minDebtYieldPct}
+              onChange={updateField('minDebtYieldPct')}
+            />
+          </label>
+          <label>
+            Interest Rate (%)
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.interestRatePct}
+              onChange={updateField('interestRatePct')}
+              required
+            />
+          </label>
+          <label>
+            Amortization (years)
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={form.amortizationYears}
+              onChange={updateField('amortizationYears')}
+              required
+            />
+          </label>
+          <label>
+            Closing Costs (% of loan)
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.1"
+              value={form.closingCostPct}
+              onChange={updateField('closingCostPct')}
+            />
+          </label>
+        </div>
+        {error && <p className="error">{error}</p>}
+        <div className="modal-actions">
+          {event && (
+            <button type="button" className="ghost" onClick={handleRemove} disabled={isSaving || !projectId}>
+              Remove Refinance
+            </button>
+          )}
+          <button type="submit" className="primary" disabled={isSaving || !projectId}>
+            {isSaving ? 'Saving…' : 'Save Refinance'}
+          </button>
+        </div>
+      </form>
+
+      {event && !refinance && (
+        <p className="muted tiny">The refinance month is outside the cashflow horizon, so it has no effect.</p>
+      )}
+
+      {refinance && (
+        <div className="table-scroll">
+          <table>
+            <tbody>
+              <tr>
+                <td>Forward NOI (annual)</td>
+                <td>{formatCurrency(refinance.annualNoi)}</td>
+              </tr>
+              <tr>
+                <td>Value at cap rate</td>
+                <td>{formatCurrency(refinance.value)}</td>
+              </tr>
+              {(Object.keys(CONSTRAINT_LABELS) as RefinanceConstraint[]).map((key) => {
+                const amount = refinance.constraints[key]
+                if (amount === null) return null
+                return (
+                  <tr key={key}>
+                    <td>
+                      {`${CONSTRAINT_LABELS[key]} loan`}
+                      {refinance.bindingConstraint === key && <span className="muted tiny"> (binding)</span>}
+                    </td>
+                    <td>{formatCurrency(amount)}</td>
+                  </tr>
+                )
+              })}
+              <tr className="totals-row">
+                <td>
+                  <strong>New loan</strong>
+                </td>
+                <td>
+                  <strong>{formatCurrency(refinance.loanAmount)}</strong>
+                </td>
+              </tr>
+              <tr>
+                <td>Payoff of existing loans</td>
+                <td>{formatCurrency(-refinance.payoff)}</td>
+              </tr>
+              <tr>
+                <td>Closing costs</td>
+                <td>{formatCurrency(-refinance.closingCosts)}</td>
+              </tr>
+              <tr className="totals-row">
+                <td>
+                  <strong>{`Net cash-out (Month ${formatOffsetForInput(refinance.month)})`}</strong>
+                </td>
+                <td>
+                  <strong>{formatCurrency(refinance.netCashOut)}</strong>
+                </td>
+              </tr>
+              <tr>
+                <td>Monthly debt service</td>
+                <td>{formatCurrency(refinance.monthlyPayment)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
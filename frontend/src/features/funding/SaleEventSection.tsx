@@ -0,0 +1,212 @@
+import { FormEvent, useEffect, useState } from 'react'
+import type { SaleEvent } from '@ds-proforma/cashflow'
+import { deleteCapitalEvent, saveCapitalEvent } from '../../api.js'
+import { formatCurrency } from '../carrying/carryingHelpers.js'
+import type { EntityId, ProjectSaleEvent } from '../../types'
+
+type RequestStatus = 'idle' | 'saving' | 'error'
+
+type SaleFormState = {
+  eventMonth: string
+  exitCapRatePct: string
+  sellingCostPct: string
+  transferTaxPct: string
+}
+
+type SaleEventSectionProps = {
+  projectId: EntityId | null
+  event: ProjectSaleEvent | null
+  sale: SaleEvent | null
+  onProjectRefresh?: (projectId: EntityId) => Promise<void>
+  formatOffsetForInput: (offset?: number | null) => string
+  getCalendarLabelForInput: (value: string | number | null | undefined) => string
+  convertMonthInputToOffset: (value: string | number | null | undefined) => number
+}
+
+const toInput = (value: number | null | undefined, fallback = '') =>
+  value === null || value === undefined ? fallback : String(value)
+
+const toNumberOrNull = (value: string) => (value.trim() === '' ? null : Number(value))
+
+const buildForm = (event: ProjectSaleEvent | null, formatOffsetForInput: (offset?: number | null) => string): SaleFormState => ({
+  eventMonth: event ? formatOffsetForInput(event.eventMonth) : '',
+  exitCapRatePct: toInput(event?.terms.exitCapRatePct),
+  sellingCostPct: toInput(event?.terms.sellingCostPct, event ? '' : '2'),
+  transferTaxPct: toInput(event?.terms.transferTaxPct),
+})
+
+const getErrorMessage = (error: unknown) => (error instanceof Error ? error.message : String(error))
+
+export function SaleEventSection({
+  projectId,
+  event,
+  sale,
+  onProjectRefresh,
+  formatOffsetForInput,
+  getCalendarLabelForInput,
+  convertMonthInputToOffset,
+}: SaleEventSectionProps) {
+  const [form, setForm] = useState<SaleFormState>(() => buildForm(event, formatOffsetForInput))
+  const [status, setStatus] = useState<RequestStatus>('idle')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    setForm(buildForm(event, formatOffsetForInput))
+    setStatus('idle')
+    setError('')
+  }, [event, formatOffsetForInput])
+
+  const updateField = (field: keyof SaleFormState) => (e: { target: { value: string } }) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }))
+
+  const runRequest = async (request: () => Promise<unknown>) => {
+    if (!projectId) return
+    setStatus('saving')
+    setError('')
+    try {
+      await request()
+      if (onProjectRefresh) await onProjectRefresh(projectId)
+      setStatus('idle')
+    } catch (err) {
+      setStatus('error')
+      setError(getErrorMessage(err))
+    }
+  }
+
+  const handleSave = (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault()
+    if (!form.eventMonth.trim()) {
+      setStatus('error')
+      setError('Sale month is required.')
+      return
+    }
+    void runRequest(() =>
+      saveCapitalEvent(projectId, 'sale', {
+        eventMonth: convertMonthInputToOffset(form.eventMonth),
+        terms: {
+          exitCapRatePct: Number(form.exitCapRatePct),
+          sellingCostPct: toNumberOrNull(form.sellingCostPct),
+          transferTaxPct: toNumberOrNull(form.transferTaxPct),
+        },
+      }),
+    )
+  }
+
+  const handleRemove = () => {
+    void runRequest(() => deleteCapitalEvent(projectId, 'sale'))
+  }
+
+  const isSaving = status === 'saving'
+
+  return (
+    <section className="funding-section">
+      <div className="section-header">
+        <div>
+          <h4>Sale</h4>
+          <p className="muted tiny">
+            Prices the project from forward 12-month NOI at the exit cap rate, pays selling costs, transfer taxes and
+            the loans still outstanding, and ends the cashflow at the sale month. Net proceeds go to the Cashflow and
+            Returns tabs.
+          </p>
+        </div>
+      </div>
+
+      <form onSubmit={handleSave}>
+        <div className="form-grid">
+          <label>
+            Sale Month
+            <input type="number" min="1" value={form.eventMonth} onChange={updateField('eventMonth')} required />
+            <span className="muted tiny">{getCalendarLabelForInput(form.eventMonth)}</span>
+          </label>
+          <label>
+            Exit Cap Rate (%)
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.exitCapRatePct}
+              onChange={updateField('exitCapRatePct')}
+              required
+            />
+          </label>
+          <label>
+            Selling Costs (% of price)
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.1"
+              value={form.sellingCostPct}
+              onChange={updateField('sellingCostPct')}
+            />
+          </label>
+          <label>
+            Transfer Taxes (% of price)
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.01"
+              value={form.transferTaxPct}
+              onChange={updateField('transferTaxPct')}
+            />
+          </label>
+        </div>
+        {error && <p className="error">{error}</p>}
+        <div className="modal-actions">
+          {event && (
+            <button type="button" className="ghost" onClick={handleRemove} disabled={isSaving || !projectId}>
+              Remove Sale
+            </button>
+          )}
+          <button type="submit" className="primary" disabled={isSaving || !projectId}>
+            {isSaving ? 'Saving…' : 'Save Sale'}
+          </button>
+        </div>
+      </form>
+
+      {event && !sale && <p className="muted tiny">The sale month is outside the cashflow horizon, so it has no effect.</p>}
+
+      {sale && (
+        <div className="table-scroll">
+          <table>
+            <tbody>
+              <tr>
+                <td>Forward NOI (annual)</td>
+                <td>{formatCurrency(sale.annualNoi)}</td>
+              </tr>
+              <tr className="totals-row">
+                <td>
+                  <strong>{`Sale price @ ${sale.exitCapRatePct}% cap`}</strong>
+                </td>
+                <td>
+                  <strong>{formatCurrency(sale.salePrice)}</strong>
+                </td>
+              </tr>
+              <tr>
+                <td>Selling costs</td>
+                <td>{formatCurrency(-sale.sellingCosts)}</td>
+              </tr>
+              <tr>
+                <td>Transfer taxes</td>
+                <td>{formatCurrency(-sale.transferTaxes)}</td>
+              </tr>
+              <tr>
+                <td>Payoff of outstanding loans</td>
+                <td>{formatCurrency(-sale.payoff)}</td>
+              </tr>
+              <tr className="totals-row">
+                <td>
+                  <strong>{`Net proceeds (Month ${formatOffsetForInput(sale.month)})`}</strong>
+                </td>
+                <td>
+                  <strong>{formatCurrency(sale.netProceeds)}</strong>
+                </td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,127 @@
+import { useMemo } from 'react'
+import { buildSourcesAndUses } from '@ds-proforma/cashflow'
+import type { ProjectCashflow, ProjectCashflowInput, SourcesUsesLine } from '@ds-proforma/cashflow'
+import { formatCurrency } from '../carrying/carryingHelpers.js'
+
+type SourcesUsesPanelProps = {
+  project: ProjectCashflowInput
+  cashflow?: ProjectCashflow
+  formatOffsetForInput: (offset?: number | null) => string
+  getCalendarLabelForOffset: (offset: number | null) => string
+}
+
+const formatShare = (amount: number, total: number) => (total ? `${((amount / total) * 100).toFixed(1)}%` : '—')
+
+function SourcesUsesTable({ title, lines, total }: { title: string; lines: SourcesUsesLine[]; total: number }) {
+  return (
+    <div className="table-scroll">
+      <table>
+        <thead>
+          <tr>
+            <th>{title}</th>
+            <th>Amount</th>
+            <th>%</th>
+          </tr>
+        </thead>
+        <tbody>
+          {lines.map((line) => (
+            <tr key={line.id}>
+              <td>{line.label}</td>
+              <td>{formatCurrency(line.amount)}</td>
+              <td>{formatShare(line.amount, total)}</td>
+            </tr>
+          ))}
+          <tr className="totals-row">
+            <td>
+              <strong>Total {title.toLowerCase()}</strong>
+            </td>
+            <td>
+              <strong>{formatCurrency(total)}</strong>
+            </td>
+            <td>{total ? '100%' : '—'}</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export function SourcesUsesPanel({ project, cashflow, formatOffsetForInput, getCalendarLabelForOffset }: SourcesUsesPanelProps) {
+  const statement = useMemo(() => buildSourcesAndUses(project, { cashflow }), [project, cashflow])
+  const { uses, sources, totalUses, totalSources, difference, status, window, monthly } = statement
+
+  const activeMonths = monthly.filter(
+    (month) => month.uses || month.loanDraws || month.equityContributed || month.equityRequired,
+  )
+
+  return (
+    <section className="funding-section sources-uses-section">
+      <div className="section-header">
+        <div>
+          <h4>Sources &amp; Uses</h4>
+          <p className="muted tiny">
+            {`Closing through Month ${formatOffsetForInput(window.endMonth)} (${getCalendarLabelForOffset(window.endMonth)}).`}{' '}
+            Uses after stabilization are paid from operations.
+          </p>
+        </div>
+      </div>
+
+      <div className="sources-uses-grid">
+        <SourcesUsesTable title="Uses" lines={uses} total={totalUses} />
+        <SourcesUsesTable title="Sources" lines={sources} total={totalSources} />
+      </div>
+
+      <p className={`sources-uses-status ${status}`}>
+        {status === 'balanced' && '✓ Sources and uses balance.'}
+        {status === 'gap' && `⚠️ Funding gap of ${formatCurrency(-difference)}: add equity or debt to cover total uses.`}
+        {status === 'surplus' && `Surplus of ${formatCurrency(difference)}: sources exceed total uses.`}
+      </p>
+
+      <h5>Monthly Equity Requirement</h5>
+      <p className="muted tiny">
+        Equity needed each month for uses not covered by loan draws so far. The shortfall is cumulative equity
+        required minus equity contributed.
+      </p>
+      <div className="table-scroll">
+        <table>
+          <thead>
+            <tr>
+              <th>Month</th>
+              <th>Uses</th>
+              <th>Loan Draws</th>
+              <th>Equity Required</th>
+              <th>Equity Contributed</th>
+              <th>Cumulative Required</th>
+              <th>Shortfall</th>
+            </tr>
+          </thead>
+          <tbody>
+            {activeMonths.map((month) => (
+              <tr key={month.index}>
+                <td>
+                  <div className="month-label">
+                    <span>{`Month ${formatOffsetForInput(month.index)}`}</span>
+                    <span className="month-calendar">{getCalendarLabelForOffset(month.index)}</span>
+                  </div>
+                </td>
+                <td>{formatCurrency(month.uses)}</td>
+                <td>{month.loanDraws ? formatCurrency(month.loanDraws) : '—'}</td>
+                <td>{month.equityRequired ? formatCurrency(month.equityRequired) : '—'}</td>
+                <td>{month.equityContributed ? formatCurrency(month.equityContributed) : '—'}</td>
+                <td>{formatCurrency(month.cumulativeEquityRequired)}</td>
+                <td className={month.equityShortfall > 0 ? 'holding-invalid' : undefined}>
+                  {month.equityShortfall > 0 ? formatCurrency(month.equityShortfall) : '—'}
+                </td>
+              </tr>
+            ))}
+            {activeMonths.length === 0 && (
+              <tr>
+                <td colSpan={7}>No uses or sources scheduled yet.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest'
+import { screen } from '@testing-library/react'
+import { buildProjectCashflow } from '@ds-proforma/cashflow'
+import { renderWithProviders } from '../../../../test/setup/renderWithProviders'
+import { RefinanceEventSection } from '../RefinanceEventSection'
+import type { ProjectRefinanceEvent } from '../../../types'
+
+const event: ProjectRefinanceEvent = {
+  id: 'refi',
+  eventType: 'refinance',
+  eventMonth: 12,
+  terms: { capRatePct: 6, maxLtvPct: 65, minDebtYieldPct: 10, interestRatePct: 6, amortizationYears: 30, closingCostPct: 1 },
+  updatedAt: null,
+}
+
+const project = {
+  general: { closingDate: '2025-01-01' },
+  revenue: [{ id: 'apt', unitCount: 10, rentBudget: 1000, vacancyPct: 0, startMonth: 0 }],
+  carryingCosts: [
+    {
+      id: 'bridge',
+      carryingType: 'loan',
+      loanMode: 'interest_only',
+      loanAmountUsd: 500000,
+      interestRatePct: 6,
+      loanTermMonths: 60,
+      fundingMonth: 0,
+      repaymentStartMonth: 0,
+    },
+  ],
+  capitalEvents: [event],
+}
+
+const formatOffsetForInput = (offset?: number | null) => String((offset ?? 0) + 1)
+const convertMonthInputToOffset = (value: string | number | null | undefined) => Number(value) - 1
+
+describe('RefinanceEventSection', () => {
+  it('shows the saved terms and the sizing from the cashflow', () => {
+    const cashflow = buildProjectCashflow(project, { months: 36 })
+
+    renderWithProviders(
+      <RefinanceEventSection
+        projectId="project-1"
+        event={event}
+        refinance={cashflow.capitalEvents.refinance}
+        formatOffsetForInput={formatOffsetForInput}
+        getCalendarLabelForInput={() => ''}
+        convertMonthInputToOffset={convertMonthInputToOffset}
+      />,
+    )
+
+    expect(screen.getByLabelText(/Refinance Month/)).toHaveValue(13)
+    expect(screen.getByText('Max LTV loan').closest('tr')).toHaveTextContent('$1,300,000')
+    expect(screen.getByText('Min debt yield loan').closest('tr')).toHaveTextContent('(binding)')
+    expect(screen.getByText('New loan').closest('tr')).toHaveTextContent('$1,200,000')
+    expect(screen.getByText('Net cash-out (Month 13)').closest('tr')).toHaveTextContent('$688,000')
+    expect(screen.getByRole('button', { name: 'Remove Refinance' })).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest'
+import { screen } from '@testing-library/react'
+import { buildProjectCashflow } from '@ds-proforma/cashflow'
+import { renderWithProviders } from '../../../../test/setup/renderWithProviders'
+import { SaleEventSection } from '../SaleEventSection'
+import type { ProjectSaleEvent } from '../../../types'
+
+const event: ProjectSaleEvent = {
+  id: 'sale',
+  eventType: 'sale',
+  eventMonth: 24,
+  terms: { exitCapRatePct: 6, sellingCostPct: 2, transferTaxPct: 1 },
+  updatedAt: null,
+}
+
+const project = {
+  general: { closingDate: '2025-01-01' },
+  revenue: [{ id: 'apt', unitCount: 10, rentBudget: 1000, vacancyPct: 0, startMonth: 0 }],
+  carryingCosts: [
+    {
+      id: 'bridge',
+      carryingType: 'loan',
+      loanMode: 'interest_only',
+      loanAmountUsd: 500000,
+      interestRatePct: 6,
+      loanTermMonths: 60,
+      fundingMonth: 0,
+      repaymentStartMonth: 0,
+    },
+  ],
+  capitalEvents: [event],
+}
+
+const formatOffsetForInput = (offset?: number | null) => String((offset ?? 0) + 1)
+const convertMonthInputToOffset = (value: string | number | null | undefined) => Number(value) - 1
+
+describe('SaleEventSection', () => {
+  it('shows the saved terms and the disposition from the cashflow', () => {
+    const cashflow = buildProjectCashflow(project, { months: 36 })
+
+    renderWithProviders(
+      <SaleEventSection
+        projectId="project-1"
+        event={event}
+        sale={cashflow.capitalEvents.sale}
+        formatOffsetForInput={formatOffsetForInput}
+        getCalendarLabelForInput={() => ''}
+        convertMonthInputToOffset={convertMonthInputToOffset}
+      />,
+    )
+
+    expect(screen.getByLabelText(/Sale Month/)).toHaveValue(25)
+    expect(screen.getByText('Sale price @ 6% cap').closest('tr')).toHaveTextContent('$2,000,000')
+    expect(screen.getByText('Transfer taxes').closest('tr')).toHaveTextContent('$20,000')
+    expect(screen.getByText('Net proceeds (Month 25)').closest('tr')).toHaveTextContent('$1,440,000')
+    expect(screen.getByRole('button', { name: 'Remove Sale' })).toBeInTheDocument()
+  })
+})
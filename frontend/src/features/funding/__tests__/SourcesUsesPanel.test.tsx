@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest'
+import { screen } from '@testing-library/react'
+import { renderWithProviders } from '../../../../test/setup/renderWithProviders'
+import { SourcesUsesPanel } from '../SourcesUsesPanel'
+
+const project = {
+  general: { closingDate: '2025-01-01', purchasePriceUsd: 100000 },
+  hardCosts: [{ id: 'gc', costName: 'GC', amountUsd: 50000, paymentMode: 'single', paymentMonth: 1 }],
+  carryingCosts: [],
+  gpContributions: [
+    { id: 'gp-1', partner: 'user-1', amountUsd: 100000, contributionMonth: 0 },
+    { id: 'lp-1', partner: 'LP', amountUsd: 20000, contributionMonth: 1 },
+  ],
+}
+
+const formatOffsetForInput = (offset?: number | null) => String((offset ?? 0) + 1)
+const getCalendarLabelForOffset = (offset: number | null) => `Cal ${offset ?? 0}`
+
+describe('SourcesUsesPanel', () => {
+  it('flags the funding gap and the months equity falls short', () => {
+    renderWithProviders(
+      <SourcesUsesPanel
+        project={project}
+        formatOffsetForInput={formatOffsetForInput}
+        getCalendarLabelForOffset={getCalendarLabelForOffset}
+      />,
+    )
+
+    expect(screen.getByText('Total uses').closest('tr')).toHaveTextContent('$150,000')
+    expect(screen.getByText('Total sources').closest('tr')).toHaveTextContent('$120,000')
+    expect(screen.getByText(/Funding gap of \$30,000/)).toBeInTheDocument()
+    expect(screen.getByText('LP equity').closest('tr')).toHaveTextContent('$20,000')
+
+    const monthTwo = screen.getByText('Month 2').closest('tr')
+    expect(monthTwo).toHaveTextContent('$50,000')
+    expect(monthTwo).toHaveTextContent('$30,000')
+  })
+})
@@ -1,4 +1,5 @@
 import { useState, useEffect, useRef, useCallback, ChangeEvent } from 'react'
+import { DEFAULT_CASHFLOW_MONTHS, MAX_CASHFLOW_MONTHS, MIN_CASHFLOW_MONTHS } from '@ds-proforma/cashflow'
 import type { AddressSuggestion, GeneralFormState } from '../../types'
 
 type SelectedCoords = { lat: number; lon: number } | null
@@ -22,6 +23,20 @@ type GeneralTabProps = {
 }
 
 const AUTOSAVE_DELAY = 1000 // 1 second debounce
+const FISCAL_YEAR_MONTHS = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+]
 
 export function GeneralTab({
   form,
@@ -306,6 +321,32 @@ export function GeneralTab({
               onChange={(e) => handleFieldChange('stabilizedDate', e.target.value)}
             />
           </div>
+          <div className="key-date-card">
+            <span className="key-date-label">Analysis Horizon (months)</span>
+            <input
+              type="number"
+              className="key-date-input"
+              min={MIN_CASHFLOW_MONTHS}
+              max={MAX_CASHFLOW_MONTHS}
+              value={form.horizonMonths}
+              onChange={(e) => handleFieldChange('horizonMonths', e.target.value)}
+              placeholder={String(DEFAULT_CASHFLOW_MONTHS)}
+            />
+          </div>
+          <div className="key-date-card">
+            <span className="key-date-label">Fiscal Year Starts</span>
+            <select
+              className="key-date-input"
+              value={form.fiscalYearStartMonth}
+              onChange={(e) => handleFieldChange('fiscalYearStartMonth', e.target.value)}
+            >
+              {FISCAL_YEAR_MONTHS.map((label, index) => (
+                <option key={label} value={String(index + 1)}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
         </div>
       </section>
 
@@ -16,6 +16,8 @@ const baseForm: GeneralFormState = {
   closingDate: '2025-02-01',
   startLeasingDate: '2025-06-01',
   stabilizedDate: '2025-12-01',
+  horizonMonths: '60',
+  fiscalYearStartMonth: '1',
   latitude: '42.35',
   longitude: '-71.05',
   targetUnits: '40',
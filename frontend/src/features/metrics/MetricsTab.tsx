@@ -1,4 +1,12 @@
 import { useEffect, useMemo, useRef, useState } from 'react'
+import {
+  calculateAnnualOpex,
+  calculateNetOtherIncome,
+  resolvePropertyTaxAssessment,
+  summarizePropertyTaxAssessment,
+} from '@ds-proforma/cashflow'
+import type { ProjectCashflow } from '@ds-proforma/cashflow'
+import { fetchMetricAssumptions, saveMetricAssumptions } from '../../api.js'
 import type {
   ApartmentRevenueRow,
   RetailRevenueRow,
@@ -7,8 +15,14 @@ import type {
   ParkingRevenueRow,
   ProjectDetail,
   PropertyTaxPhase,
+  MetricAssumptions,
+  MetricAssumptionsInput,
+  MetricCarryingOverride,
+  MetricRevenueOverride,
 } from '../../types'
 import type { EntityId } from '../../types'
+import { ReturnMetricsSection } from './ReturnMetricsSection'
+import { SensitivitySection } from './SensitivitySection'
 
 type Scenario = 'wc' | 'default' | 'bc'
 
@@ -23,12 +37,14 @@ type RevenueOverride = {
   monthlyRentBC: string
   occupancy: string
   scenario: Scenario
+  updatedAt?: string | null
 }
 
 type CarryingOverride = {
   wc: string
   bc: string
   scenario: Scenario
+  updatedAt?: string | null
 }
 
 const defaultScenario: Scenario = 'default'
@@ -87,6 +103,7 @@ const formatPercent = (value: number) => `${(value * 100).toFixed(1)}%`
 type MetricsTabProps = {
   projectId: EntityId | null
   project: ProjectDetail | null
+  cashflow: ProjectCashflow
 }
 
 type MetricsPreferences = {
@@ -96,6 +113,7 @@ type MetricsPreferences = {
   buildCostOverride: CarryingOverride
   managementOverride: CarryingOverride
   stabilizedTaxOverride: CarryingOverride
+  operatingExpensesOverride: CarryingOverride
   constructionPeriodMonths: string
   interestRatePct: string
   stabilizedInterestRatePct: string
@@ -107,13 +125,15 @@ type MetricsPreferences = {
   sellingCapRatePct: string
 }
 
-const STORAGE_KEY = 'metrics-preferences-v1'
+// Assumptions used to live in localStorage under this key. They are still read
+// once when the server has nothing saved so existing users keep their numbers.
+const LEGACY_STORAGE_KEY = 'metrics-preferences-v1'
 const isBrowser = typeof window !== 'undefined'
 
-const loadPreferences = (projectId: EntityId | null): MetricsPreferences | null => {
-  if (!isBrowser || !projectId) return null
+const loadLegacyPreferences = (projectId: EntityId): MetricsPreferences | null => {
+  if (!isBrowser) return null
   try {
-    const raw = window.localStorage.getItem(STORAGE_KEY)
+    const raw = window.localStorage.getItem(LEGACY_STORAGE_KEY)
     if (!raw) return null
     const parsed = JSON.parse(raw)
     return parsed?.[projectId] ?? null
@@ -122,18 +142,114 @@ const loadPreferences = (projectId: EntityId | null): MetricsPreferences | null
   }
 }
 
-const savePreferences = (projectId: EntityId, prefs: MetricsPreferences) => {
+const clearLegacyPreferences = (projectId: EntityId) => {
   if (!isBrowser) return
   try {
-    const raw = window.localStorage.getItem(STORAGE_KEY)
-    const existing = raw ? JSON.parse(raw) : {}
-    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...existing, [projectId]: prefs }))
+    const raw = window.localStorage.getItem(LEGACY_STORAGE_KEY)
+    if (!raw) return
+    const existing = JSON.parse(raw)
+    delete existing[projectId]
+    if (Object.keys(existing).length) {
+      window.localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(existing))
+    } else {
+      window.localStorage.removeItem(LEGACY_STORAGE_KEY)
+    }
   } catch {
     // ignore storage errors
   }
 }
 
-export function MetricsTab({ project, projectId }: MetricsTabProps) {
+const toInputString = (value: number | null | undefined, fallback = '') =>
+  value === null || value === undefined ? fallback : String(value)
+
+const toNullableNumber = (value: string) => {
+  if (value.trim() === '') return null
+  const parsed = Number(value)
+  return Number.isFinite(parsed) ? parsed : null
+}
+
+const fromRevenueOverrides = (rows: Record<string, MetricRevenueOverride> | undefined) =>
+  Object.fromEntries(
+    Object.entries(rows ?? {}).map(([rowId, entry]) => [
+      rowId,
+      {
+        monthlyRentWC: toInputString(entry.monthlyRentWC),
+        monthlyRentBC: toInputString(entry.monthlyRentBC),
+        occupancy: toInputString(entry.occupancy),
+        scenario: entry.scenario,
+        updatedAt: entry.updatedAt ?? null,
+      },
+    ]),
+  ) as Record<string, RevenueOverride>
+
+const fromCarryingOverride = (entry: MetricCarryingOverride | undefined): CarryingOverride | undefined =>
+  entry
+    ? { wc: toInputString(entry.wc), bc: toInputString(entry.bc), scenario: entry.scenario, updatedAt: entry.updatedAt ?? null }
+    : undefined
+
+const toRevenueOverrides = (rows: Record<string, RevenueOverride>) =>
+  Object.fromEntries(
+    Object.entries(rows).map(([rowId, entry]) => [
+      rowId,
+      {
+        monthlyRentWC: toNullableNumber(entry.monthlyRentWC),
+        monthlyRentBC: toNullableNumber(entry.monthlyRentBC),
+        occupancy: toNullableNumber(entry.occupancy),
+        scenario: entry.scenario,
+      },
+    ]),
+  )
+
+const toCarryingOverride = (entry: CarryingOverride) => ({
+  wc: toNullableNumber(entry.wc),
+  bc: toNullableNumber(entry.bc),
+  scenario: entry.scenario,
+})
+
+const fromAssumptions = (assumptions: MetricAssumptions): Partial<MetricsPreferences> => ({
+  apartments: fromRevenueOverrides(assumptions.overrides?.apartments),
+  retail: fromRevenueOverrides(assumptions.overrides?.retail),
+  parking: fromRevenueOverrides(assumptions.overrides?.parking),
+  buildCostOverride: fromCarryingOverride(assumptions.overrides?.buildCost),
+  managementOverride: fromCarryingOverride(assumptions.overrides?.management),
+  stabilizedTaxOverride: fromCarryingOverride(assumptions.overrides?.stabilizedTax),
+  operatingExpensesOverride: fromCarryingOverride(assumptions.overrides?.operatingExpenses),
+  constructionPeriodMonths: toInputString(assumptions.constructionPeriodMonths, '24'),
+  interestRatePct: toInputString(assumptions.interestRatePct, '6.25'),
+  stabilizedInterestRatePct: toInputString(assumptions.stabilizedInterestRatePct, '5.25'),
+  stabilizedTermYears: toInputString(assumptions.stabilizedTermYears, '30'),
+  refinanceAmount: toInputString(assumptions.refinanceAmountUsd, '0'),
+  salesCostPct: toInputString(assumptions.salesCostPct, '2'),
+  preferredReturnPct: toInputString(assumptions.preferredReturnPct, '0'),
+  stabilizationPeriodMonths: toInputString(assumptions.stabilizationPeriodMonths, '12'),
+  sellingCapRatePct: toInputString(assumptions.sellingCapRatePct, '6'),
+})
+
+const toAssumptionsPayload = (prefs: MetricsPreferences): MetricAssumptionsInput => ({
+  constructionPeriodMonths: toNullableNumber(prefs.constructionPeriodMonths),
+  interestRatePct: toNullableNumber(prefs.interestRatePct),
+  stabilizedInterestRatePct: toNullableNumber(prefs.stabilizedInterestRatePct),
+  stabilizedTermYears: toNullableNumber(prefs.stabilizedTermYears),
+  refinanceAmountUsd: toNullableNumber(prefs.refinanceAmount),
+  salesCostPct: toNullableNumber(prefs.salesCostPct),
+  preferredReturnPct: toNullableNumber(prefs.preferredReturnPct),
+  stabilizationPeriodMonths: toNullableNumber(prefs.stabilizationPeriodMonths),
+  sellingCapRatePct: toNullableNumber(prefs.sellingCapRatePct),
+  overrides: {
+    apartments: toRevenueOverrides(prefs.apartments),
+    retail: toRevenueOverrides(prefs.retail),
+    parking: toRevenueOverrides(prefs.parking),
+    buildCost: toCarryingOverride(prefs.buildCostOverride),
+    management: toCarryingOverride(prefs.managementOverride),
+    stabilizedTax: toCarryingOverride(prefs.stabilizedTaxOverride),
+    operatingExpenses: toCarryingOverride(prefs.operatingExpensesOverride),
+  },
+})
+
+const formatChangedAt = (value?: string | null) =>
+  value ? `Changed ${new Date(value).toLocaleString()}` : undefined
+
+export function MetricsTab({ project, projectId, cashflow }: MetricsTabProps) {
   const [apartmentOverrides, setApartmentOverrides] = useState<Record<string, RevenueOverride>>({})
   const [retailOverrides, setRetailOverrides] = useState<Record<string, RevenueOverride>>({})
   const [parkingOverrides, setParkingOverrides] = useState<Record<string, RevenueOverride>>({})
@@ -152,6 +268,11 @@ export function MetricsTab({ project, projectId }: MetricsTabProps) {
     bc: '',
     scenario: 'default',
   })
+  const [operatingExpensesOverride, setOperatingExpensesOverride] = useState<CarryingOverride>({
+    wc: '',
+    bc: '',
+    scenario: 'default',
+  })
   const [constructionPeriodMonths, setConstructionPeriodMonths] = useState('24')
   const [interestRatePct, setInterestRatePct] = useState('6.25')
   const [stabilizedInterestRatePct, setStabilizedInterestRatePct] = useState('5.25')
@@ -161,7 +282,9 @@ export function MetricsTab({ project, projectId }: MetricsTabProps) {
   const [preferredReturnPct, setPreferredReturnPct] = useState('0')
   const [stabilizationPeriodMonths, setStabilizationPeriodMonths] = useState('12')
   const [sellingCapRatePct, setSellingCapRatePct] = useState('6')
-  const [saveStatus, setSaveStatus] = useState<'idle' | 'saved'>('idle')
+  const [saveStatus, setSaveStatus] = useState<'idle' | 'saving' | 'saved' | 'error'>('idle')
+  const [saveError, setSaveError] = useState('')
+  const [lastSavedAt, setLastSavedAt] = useState<string | null>(null)
   const hydratingRef = useRef(false)
   const markDirty = () => {
     if (!hydratingRef.current) setSaveStatus('idle')
@@ -176,6 +299,7 @@ useEffect(() => {
     setBuildCostOverride({ wc: '', bc: '', scenario: defaultScenario })
     setManagementOverride({ wc: '', bc: '', scenario: defaultScenario })
     setStabilizedTaxOverride({ wc: '', bc: '', scenario: defaultScenario })
+    setOperatingExpensesOverride({ wc: '', bc: '', scenario: defaultScenario })
     setConstructionPeriodMonths('24')
     setInterestRatePct('6.25')
     setStabilizedInterestRatePct('5.25')
@@ -186,43 +310,67 @@ useEffect(() => {
     setStabilizationPeriodMonths('12')
     setSellingCapRatePct('6')
     setSaveStatus('idle')
+    setSaveError('')
+    setLastSavedAt(null)
     hydratingRef.current = false
     return
   }
 
-  const stored = loadPreferences(projectId)
-  const nextApts: Record<string, RevenueOverride> = {}
-  project.revenue?.forEach((row) => {
-    nextApts[row.id] = stored?.apartments?.[row.id] ?? createDefaultOverride(row)
-  })
-  const nextRetail: Record<string, RevenueOverride> = {}
-  project.retailRevenue?.forEach((row) => {
-    nextRetail[row.id] = stored?.retail?.[row.id] ?? createDefaultOverride(row)
-  })
-  const nextParking: Record<string, RevenueOverride> = {}
-  project.parkingRevenue?.forEach((row) => {
-    nextParking[row.id] = stored?.parking?.[row.id] ?? createDefaultOverride(row)
-  })
-  setApartmentOverrides(nextApts)
-  setRetailOverrides(nextRetail)
-  setParkingOverrides(nextParking)
-  setBuildCostOverride(stored?.buildCostOverride ?? { wc: '', bc: '', scenario: defaultScenario })
-  setManagementOverride(stored?.managementOverride ?? { wc: '', bc: '', scenario: defaultScenario })
-  setStabilizedTaxOverride(stored?.stabilizedTaxOverride ?? { wc: '', bc: '', scenario: defaultScenario })
-  setConstructionPeriodMonths(stored?.constructionPeriodMonths ?? '24')
-  setInterestRatePct(stored?.interestRatePct ?? '6.25')
-  setStabilizedInterestRatePct(stored?.stabilizedInterestRatePct ?? '5.25')
-  setStabilizedTermYears(stored?.stabilizedTermYears ?? '30')
-  setRefinanceAmount(stored?.refinanceAmount ?? '0')
-  setSalesCostPct(stored?.salesCostPct ?? '2')
-  setPreferredReturnPct(stored?.preferredReturnPct ?? '0')
-  setStabilizationPeriodMonths(stored?.stabilizationPeriodMonths ?? '12')
-  setSellingCapRatePct(stored?.sellingCapRatePct ?? '6')
+  let cancelled = false
+  const applyPreferences = (stored: Partial<MetricsPreferences> | null) => {
+    hydratingRef.current = true
+    const nextApts: Record<string, RevenueOverride> = {}
+    project.revenue?.forEach((row) => {
+      nextApts[row.id] = stored?.apartments?.[row.id] ?? createDefaultOverride(row)
+    })
+    const nextRetail: Record<string, RevenueOverride> = {}
+    project.retailRevenue?.forEach((row) => {
+      nextRetail[row.id] = stored?.retail?.[row.id] ?? createDefaultOverride(row)
+    })
+    const nextParking: Record<string, RevenueOverride> = {}
+    project.parkingRevenue?.forEach((row) => {
+      nextParking[row.id] = stored?.parking?.[row.id] ?? createDefaultOverride(row)
+    })
+    setApartmentOverrides(nextApts)
+    setRetailOverrides(nextRetail)
+    setParkingOverrides(nextParking)
+    setBuildCostOverride(stored?.buildCostOverride ?? { wc: '', bc: '', scenario: defaultScenario })
+    setManagementOverride(stored?.managementOverride ?? { wc: '', bc: '', scenario: defaultScenario })
+    setStabilizedTaxOverride(stored?.stabilizedTaxOverride ?? { wc: '', bc: '', scenario: defaultScenario })
+    setOperatingExpensesOverride(stored?.operatingExpensesOverride ?? { wc: '', bc: '', scenario: defaultScenario })
+    setConstructionPeriodMonths(stored?.constructionPeriodMonths ?? '24')
+    setInterestRatePct(stored?.interestRatePct ?? '6.25')
+    setStabilizedInterestRatePct(stored?.stabilizedInterestRatePct ?? '5.25')
+    setStabilizedTermYears(stored?.stabilizedTermYears ?? '30')
+    setRefinanceAmount(stored?.refinanceAmount ?? '0')
+    setSalesCostPct(stored?.salesCostPct ?? '2')
+    setPreferredReturnPct(stored?.preferredReturnPct ?? '0')
+    setStabilizationPeriodMonths(stored?.stabilizationPeriodMonths ?? '12')
+    setSellingCapRatePct(stored?.sellingCapRatePct ?? '6')
+    hydratingRef.current = false
+  }
+
+  applyPreferences(null)
   setSaveStatus('idle')
-  hydratingRef.current = false
+  setSaveError('')
+  setLastSavedAt(null)
+  fetchMetricAssumptions(projectId)
+    .then((assumptions: MetricAssumptions) => {
+      if (cancelled) return
+      applyPreferences(assumptions.updatedAt ? fromAssumptions(assumptions) : loadLegacyPreferences(projectId))
+      setLastSavedAt(assumptions.updatedAt)
+    })
+    .catch((err: unknown) => {
+      if (cancelled) return
+      setSaveStatus('error')
+      setSaveError(err instanceof Error ? err.message : String(err))
+    })
+  return () => {
+    cancelled = true
+  }
 }, [project?.id, projectId])
 
-  const handleSavePreferences = () => {
+  const handleSavePreferences = async () => {
     if (!projectId) return
     const payload: MetricsPreferences = {
       apartments: apartmentOverrides,
@@ -231,6 +379,7 @@ useEffect(() => {
       buildCostOverride,
       managementOverride,
       stabilizedTaxOverride,
+      operatingExpensesOverride,
       constructionPeriodMonths,
       interestRatePct,
       stabilizedInterestRatePct,
@@ -241,8 +390,26 @@ useEffect(() => {
       stabilizationPeriodMonths,
       sellingCapRatePct,
     }
-    savePreferences(projectId, payload)
-    setSaveStatus('saved')
+    setSaveStatus('saving')
+    setSaveError('')
+    try {
+      const saved: MetricAssumptions = await saveMetricAssumptions(projectId, toAssumptionsPayload(payload))
+      clearLegacyPreferences(projectId)
+      hydratingRef.current = true
+      setApartmentOverrides((prev) => ({ ...prev, ...fromRevenueOverrides(saved.overrides?.apartments) }))
+      setRetailOverrides((prev) => ({ ...prev, ...fromRevenueOverrides(saved.overrides?.retail) }))
+      setParkingOverrides((prev) => ({ ...prev, ...fromRevenueOverrides(saved.overrides?.parking) }))
+      setBuildCostOverride((prev) => fromCarryingOverride(saved.overrides?.buildCost) ?? prev)
+      setManagementOverride((prev) => fromCarryingOverride(saved.overrides?.management) ?? prev)
+      setStabilizedTaxOverride((prev) => fromCarryingOverride(saved.overrides?.stabilizedTax) ?? prev)
+      setOperatingExpensesOverride((prev) => fromCarryingOverride(saved.overrides?.operatingExpenses) ?? prev)
+      hydratingRef.current = false
+      setLastSavedAt(saved.updatedAt)
+      setSaveStatus('saved')
+    } catch (err) {
+      setSaveStatus('error')
+      setSaveError(err instanceof Error ? err.message : String(err))
+    }
   }
 
   if (!project) {
@@ -274,18 +441,34 @@ useEffect(() => {
   const stabilizedRate = Math.max(0, toNumber(stabilizedInterestRatePct))
   const stabilizedTermYearsValue = Math.max(1, toNumber(stabilizedTermYears) || 1)
   const stabilizedTermMonths = Math.max(1, Math.trunc(stabilizedTermYearsValue * 12))
-  const refinanceAmountValue = Math.max(0, toNumber(refinanceAmount))
+  // A saved refinance event (Funding tab) replaces the free-typed cash-out.
+  const refinanceEvent = cashflow.capitalEvents?.refinance ?? null
+  const refinanceAmountValue = Math.max(0, refinanceEvent ? refinanceEvent.netCashOut : toNumber(refinanceAmount))
+  // Likewise a saved sale event sets the exit cap rate and the sales costs.
+  const saleEvent = cashflow.capitalEvents?.sale ?? null
+  const sellingCapRateValue = saleEvent ? saleEvent.exitCapRatePct : toNumber(sellingCapRatePct)
+  const salesCostPctValue =
+    saleEvent && saleEvent.salePrice > 0
+      ? ((saleEvent.sellingCosts + saleEvent.transferTaxes) / saleEvent.salePrice) * 100
+      : toNumber(salesCostPct)
 
   const propertyTaxRows = carryingRows.filter((row) => row.carryingType === 'property_tax')
   const managementRows = carryingRows.filter((row) => row.carryingType === 'management')
 
-  const constructionTaxMonthly = propertyTaxRows
-    .filter((row) => getPropertyTaxPhase(row) === 'construction')
-    .reduce((sum, row) => sum + toMonthlyAmount(row), 0)
+  // An RE tax assessment replaces the manual rows: its unabated tax before and after completion.
+  const assessedTax = summarizePropertyTaxAssessment(resolvePropertyTaxAssessment(project))
+
+  const constructionTaxMonthly = assessedTax
+    ? (assessedTax.preCompletion?.annualTax ?? 0) / 12
+    : propertyTaxRows
+        .filter((row) => getPropertyTaxPhase(row) === 'construction')
+        .reduce((sum, row) => sum + toMonthlyAmount(row), 0)
 
-  const stabilizedTaxMonthlyBase = propertyTaxRows
-    .filter((row) => getPropertyTaxPhase(row) === 'stabilized')
-    .reduce((sum, row) => sum + toMonthlyAmount(row), 0)
+  const stabilizedTaxMonthlyBase = assessedTax
+    ? assessedTax.postCompletion.annualTax / 12
+    : propertyTaxRows
+        .filter((row) => getPropertyTaxPhase(row) === 'stabilized')
+        .reduce((sum, row) => sum + toMonthlyAmount(row), 0)
 
   const managementMonthlyBase = managementRows.reduce((sum, row) => sum + toMonthlyAmount(row), 0)
 
@@ -307,7 +490,6 @@ useEffect(() => {
 
   const selectedManagementAnnual = selectScenarioValue(managementOverride, managementAnnualBase)
   const selectedStabilizedTaxAnnual = selectScenarioValue(stabilizedTaxOverride, stabilizedTaxAnnualBase)
-  const selectedExpensesAnnual = selectedManagementAnnual + selectedStabilizedTaxAnnual
 
 const hardSoftBaseTotal = hardCostsTotal + softCostsTotal
 const buildCostPerSqftDefault = buildableSqft > 0 ? hardCostsTotal / buildableSqft : hardCostsTotal
@@ -346,9 +528,26 @@ const selectedHardSoftTotal =
   const apartmentsMonthlyTotal = apartmentSummaries.reduce((sum, summary) => sum + summary.monthly, 0)
   const retailMonthlyTotal = retailSummaries.reduce((sum, summary) => sum + summary.monthly, 0)
   const parkingMonthlyTotal = parkingSummaries.reduce((sum, summary) => sum + summary.monthly, 0)
-  const totalMonthlyRevenue = apartmentsMonthlyTotal + retailMonthlyTotal + parkingMonthlyTotal
+  const otherIncomeMonthlyTotal = (project.otherIncome ?? []).reduce(
+    (sum, row) => sum + calculateNetOtherIncome(row, totalApartmentUnits || toNumber(project.general.targetUnits)),
+    0,
+  )
+  const totalMonthlyRevenue = apartmentsMonthlyTotal + retailMonthlyTotal + parkingMonthlyTotal + otherIncomeMonthlyTotal
   const totalAnnualRevenue = totalMonthlyRevenue * 12
 
+  // % of EGI lines follow the selected revenue scenario.
+  const opexContext = {
+    units: totalApartmentUnits || toNumber(project.general.targetUnits),
+    sqft: buildableSqft,
+    annualEgi: totalAnnualRevenue,
+  }
+  const operatingExpensesAnnualBase = carryingRows
+    .filter((row) => row.carryingType === 'opex')
+    .reduce((sum, row) => sum + calculateAnnualOpex(row, opexContext), 0)
+  const selectedOperatingExpensesAnnual = selectScenarioValue(operatingExpensesOverride, operatingExpensesAnnualBase)
+  const selectedExpensesAnnual =
+    selectedManagementAnnual + selectedStabilizedTaxAnnual + selectedOperatingExpensesAnnual
+
   const loanBase = purchasePrice + selectedHardSoftTotal - gpTotal + constructionRealEstateForLoan
   const interestAccrued = loanBase * (interestRate / 100) * (constructionPeriod / 12)
   const constructionLoanAmount = Math.max(0, loanBase + interestAccrued)
@@ -389,6 +588,20 @@ const selectedHardSoftTotal =
   const beforeRefiAnnualDebtService = beforeRefiMonthlyDebtService * 12
   const availableCashBeforeRefi = noi - beforeRefiAnnualDebtService
 
+  const sensitivityBase = {
+    purchasePriceUsd: purchasePrice,
+    hardCostUsd: selectedHardSoftTotal,
+    equityUsd: gpTotal,
+    constructionTaxMonthlyUsd: constructionTaxMonthly,
+    annualRevenueUsd: totalAnnualRevenue,
+    annualExpensesUsd: selectedExpensesAnnual,
+    constructionMonths: constructionPeriod,
+    stabilizationMonths: Math.max(0, Math.trunc(toNumber(stabilizationPeriodMonths))),
+    interestRatePct: interestRate,
+    exitCapRatePct: sellingCapRateValue,
+    salesCostPct: salesCostPctValue,
+  }
+
   // Helper to get partner display name
   const getPartnerLabel = (partnerId: string | null | undefined) => {
     if (!partnerId) return 'Unknown'
@@ -410,10 +623,19 @@ const selectedHardSoftTotal =
     <div className="metrics-tab">
       <div className="metrics-header">
         <h3>Metrics &amp; Sensitivities</h3>
-        <button type="button" className="primary" onClick={handleSavePreferences} disabled={!projectId}>
-          Save Preferences
+        <button
+          type="button"
+          className="primary"
+          onClick={handleSavePreferences}
+          disabled={!projectId || saveStatus === 'saving'}
+        >
+          {saveStatus === 'saving' ? 'Saving…' : 'Save Preferences'}
         </button>
         {saveStatus === 'saved' && <span className="muted tiny">Saved</span>}
+        {saveStatus !== 'saved' && lastSavedAt && (
+          <span className="muted tiny">Shared with collaborators · last saved {new Date(lastSavedAt).toLocaleString()}</span>
+        )}
+        {saveError && <span className="error">{saveError}</span>}
       </div>
 
       <section>
@@ -445,7 +667,7 @@ const selectedHardSoftTotal =
                 const override = apartmentOverrides[row.id] ?? createDefaultOverride(row)
                 const summary = apartmentSummaries[index]
                 return (
-                  <tr key={row.id}>
+                  <tr key={row.id} title={formatChangedAt(override.updatedAt)}>
                     <td>{row.typeLabel}</td>
                     <td>{row.unitCount}</td>
                     <td>{formatCurrency(summary.rentDefault)}</td>
@@ -548,7 +770,7 @@ const selectedHardSoftTotal =
                 const override = retailOverrides[row.id] ?? createDefaultOverride(row)
                 const summary = retailSummaries[index]
                 return (
-                  <tr key={row.id}>
+                  <tr key={row.id} title={formatChangedAt(override.updatedAt)}>
                     <td>{row.typeLabel}</td>
                     <td>{row.unitCount}</td>
                     <td>{formatCurrency(summary.rentDefault)}</td>
@@ -651,7 +873,7 @@ const selectedHardSoftTotal =
                 const override = parkingOverrides[row.id] ?? createDefaultOverride(row)
                 const summary = parkingSummaries[index]
                 return (
-                  <tr key={row.id}>
+                  <tr key={row.id} title={formatChangedAt(override.updatedAt)}>
                     <td>{row.typeLabel}</td>
                     <td>{row.spaceCount}</td>
                     <td>{formatCurrency(summary.rentDefault)}</td>
@@ -726,6 +948,10 @@ const selectedHardSoftTotal =
                 <td colSpan={7}>Parking Monthly Total</td>
                 <td>{formatCurrency(parkingMonthlyTotal)}</td>
               </tr>
+              <tr>
+                <td colSpan={7}>Other Income Monthly Total</td>
+                <td>{formatCurrency(otherIncomeMonthlyTotal)}</td>
+              </tr>
               <tr>
                 <td colSpan={7}>Overall Monthly Revenue</td>
                 <td>{formatCurrency(totalMonthlyRevenue)}</td>
@@ -758,7 +984,7 @@ const selectedHardSoftTotal =
             <p className="label">Buildable SqFt</p>
             <strong>{buildableSqft ? buildableSqft.toLocaleString() : '—'}</strong>
           </div>
-          <div className="override-card">
+          <div className="override-card" title={formatChangedAt(buildCostOverride.updatedAt)}>
             <p className="label">Build Cost / SqFt</p>
             <div className="scenario-inputs">
               <div>
@@ -825,7 +1051,7 @@ const selectedHardSoftTotal =
               </tr>
             </thead>
             <tbody>
-              <tr>
+              <tr title={formatChangedAt(managementOverride.updatedAt)}>
                 <td>Building Expenses</td>
                 <td>{formatCurrency(managementAnnualBase)}</td>
                 <td>
@@ -869,7 +1095,7 @@ const selectedHardSoftTotal =
                 </td>
                 <td>{formatCurrency(selectedManagementAnnual)}</td>
               </tr>
-              <tr>
+              <tr title={formatChangedAt(stabilizedTaxOverride.updatedAt)}>
                 <td>Stabilized Property Tax</td>
                 <td>{formatCurrency(stabilizedTaxAnnualBase)}</td>
                 <td>
@@ -913,6 +1139,50 @@ const selectedHardSoftTotal =
                 </td>
                 <td>{formatCurrency(selectedStabilizedTaxAnnual)}</td>
               </tr>
+              <tr title={formatChangedAt(operatingExpensesOverride.updatedAt)}>
+                <td>Operating Expenses</td>
+                <td>{formatCurrency(operatingExpensesAnnualBase)}</td>
+                <td>
+                  <input
+                    type="number"
+                    value={operatingExpensesOverride.wc}
+                    onChange={(e) => {
+                      setOperatingExpensesOverride((prev) => ({ ...prev, wc: e.target.value }))
+                      markDirty()
+                    }}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    value={operatingExpensesOverride.bc}
+                    onChange={(e) => {
+                      setOperatingExpensesOverride((prev) => ({ ...prev, bc: e.target.value }))
+                      markDirty()
+                    }}
+                  />
+                </td>
+                <td>
+                  <div className="scenario-options">
+                    {scenarioOptions.map((option) => (
+                      <label key={option.id}>
+                        <input
+                          type="radio"
+                          name="opex-scenario"
+                          value={option.id}
+                          checked={operatingExpensesOverride.scenario === option.id}
+                          onChange={() => {
+                            setOperatingExpensesOverride((prev) => ({ ...prev, scenario: option.id }))
+                            markDirty()
+                          }}
+                        />
+                        {option.label}
+                      </label>
+                    ))}
+                  </div>
+                </td>
+                <td>{formatCurrency(selectedOperatingExpensesAnnual)}</td>
+              </tr>
             </tbody>
           </table>
         </div>
@@ -990,6 +1260,8 @@ const selectedHardSoftTotal =
         </div>
       </section>
 
+      <ReturnMetricsSection project={project} cashflow={cashflow} />
+
       <section>
         <h3>Stabilized Cashflow &amp; Refi</h3>
         <div className="stabilized-grid">
@@ -1030,12 +1302,14 @@ const selectedHardSoftTotal =
                 type="number"
                 min="0"
                 step="10000"
-                value={refinanceAmount}
+                value={refinanceEvent ? String(Math.round(refinanceAmountValue)) : refinanceAmount}
                 onChange={(e) => {
                   setRefinanceAmount(e.target.value)
                   markDirty()
                 }}
+                disabled={Boolean(refinanceEvent)}
               />
+              {refinanceEvent && <span className="muted tiny">From the refinance event on the Funding tab.</span>}
             </label>
             <p className="label">Debt Coverage Ratio</p>
             <strong>{stabilizedDcr ? stabilizedDcr.toFixed(2) : '—'}</strong>
@@ -1077,12 +1351,14 @@ const selectedHardSoftTotal =
               step="0.1"
               min="0"
               max="100"
-              value={salesCostPct}
+              value={saleEvent ? String(Number(salesCostPctValue.toFixed(2))) : salesCostPct}
               onChange={(e) => {
                 setSalesCostPct(e.target.value)
                 markDirty()
               }}
+              disabled={Boolean(saleEvent)}
             />
+            {saleEvent && <span className="muted tiny">Selling costs and transfer taxes from the sale event.</span>}
           </label>
           <p className="muted tiny">Total Project Costs: {formatCurrency(constructionLoanAmount + gpTotal)}</p>
     </div>
@@ -1101,8 +1377,7 @@ const selectedHardSoftTotal =
             <tbody>
               {[7.5, 7, 6.5, 6, 5.5, 5].map((capRateValue) => {
                 const salePrice = noi && capRateValue ? noi / (capRateValue / 100) : 0
-                const salesCostValue = toNumber(salesCostPct)
-                const salesCosts = salePrice * (salesCostValue / 100)
+                const salesCosts = salePrice * (salesCostPctValue / 100)
                 const netProceeds = salePrice - salesCosts
                 const totalProjectCosts = constructionLoanAmount + gpTotal
                 const moneyInHand = netProceeds - totalProjectCosts
@@ -1125,6 +1400,8 @@ const selectedHardSoftTotal =
         <p className="muted tiny">Sale Price = NOI ({formatCurrency(noi)}) ÷ Cap Rate</p>
       </section>
 
+      <SensitivitySection base={sensitivityBase} projectName={project.name} />
+
       <section>
         <h3>GP/LP Returns</h3>
         <div className="gp-lp-controls">
@@ -1161,13 +1438,15 @@ const selectedHardSoftTotal =
               type="number"
               step="0.25"
               min="0"
-              value={sellingCapRatePct}
+              value={saleEvent ? String(sellingCapRateValue) : sellingCapRatePct}
               placeholder="e.g. 6"
               onChange={(e) => {
                 setSellingCapRatePct(e.target.value)
                 markDirty()
               }}
+              disabled={Boolean(saleEvent)}
             />
+            {saleEvent && <span className="muted tiny">From the sale event on the Funding tab.</span>}
           </label>
           <p className="muted tiny">
             Preferred return period: {constructionPeriodMonths} (construction) + {stabilizationPeriodMonths} (stabilization) = {toNumber(constructionPeriodMonths) + toNumber(stabilizationPeriodMonths)} months
@@ -1221,10 +1500,9 @@ const selectedHardSoftTotal =
           }
 
           // Calculate profit after selling based on selling cap rate
-          const sellingCapRate = toNumber(sellingCapRatePct)
+          const sellingCapRate = sellingCapRateValue
           const salePrice = noi && sellingCapRate ? noi / (sellingCapRate / 100) : 0
-          const salesCostValue = toNumber(salesCostPct)
-          const salesCosts = salePrice * (salesCostValue / 100)
+          const salesCosts = salePrice * (salesCostPctValue / 100)
           const netProceeds = salePrice - salesCosts
           
           // Calculate how much capital was already returned from refi
@@ -0,0 +1,91 @@
+import { useMemo } from 'react'
+import { buildProjectReturnMetrics } from '@ds-proforma/cashflow'
+import type { AnnualCashOnCash, ProjectCashflow } from '@ds-proforma/cashflow'
+import { formatPercent, resolvePartnerLabel } from '../returns/returnsHelpers.js'
+import type { ProjectDetail } from '../../types'
+
+type ReturnMetricsSectionProps = {
+  project: ProjectDetail
+  cashflow: ProjectCashflow
+}
+
+const formatMultiple = (value: number | null) => (value === null ? '—' : `${value.toFixed(2)}x`)
+
+const findYear = (years: AnnualCashOnCash[], year: number) => years.find((entry) => entry.year === year)
+
+export function ReturnMetricsSection({ project, cashflow }: ReturnMetricsSectionProps) {
+  const metrics = useMemo(() => buildProjectReturnMetrics(project, { cashflow }), [project, cashflow])
+  const { unlevered, levered, equityMultiple, cashOnCash } = metrics.project
+
+  return (
+    <section>
+      <h3>Return Metrics ({cashflow.months.length}-month cashflow)</h3>
+      <div className="metrics-grid">
+        <div>
+          <p className="label">Unlevered IRR</p>
+          <strong>{formatPercent(unlevered.irrPct)}</strong>
+        </div>
+        <div>
+          <p className="label">Levered IRR</p>
+          <strong>{formatPercent(levered.irrPct)}</strong>
+        </div>
+        <div>
+          <p className="label">Unlevered XIRR</p>
+          <strong>{formatPercent(unlevered.xirrPct)}</strong>
+        </div>
+        <div>
+          <p className="label">Levered XIRR</p>
+          <strong>{formatPercent(levered.xirrPct)}</strong>
+        </div>
+        <div>
+          <p className="label">Equity Multiple</p>
+          <strong>{formatMultiple(equityMultiple)}</strong>
+        </div>
+      </div>
+
+      <div className="metrics-table-wrapper">
+        <table className="metrics-table">
+          <thead>
+            <tr>
+              <th>Investor</th>
+              <th>IRR</th>
+              <th>XIRR</th>
+              <th>Equity Multiple</th>
+              {cashOnCash.map((entry) => (
+                <th key={entry.year}>Y{entry.year} Cash-on-Cash</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td>Project (levered)</td>
+              <td>{formatPercent(levered.irrPct)}</td>
+              <td>{formatPercent(levered.xirrPct)}</td>
+              <td>{formatMultiple(equityMultiple)}</td>
+              {cashOnCash.map((entry) => (
+                <td key={entry.year}>{formatPercent(entry.cashOnCashPct)}</td>
+              ))}
+            </tr>
+            {metrics.investors.map((investor) => (
+              <tr key={investor.id}>
+                <td>{resolvePartnerLabel(project, investor.id)}</td>
+                <td>{formatPercent(investor.irrPct)}</td>
+                <td>{formatPercent(investor.xirrPct)}</td>
+                <td>{formatMultiple(investor.equityMultiple)}</td>
+                {cashOnCash.map((entry) => (
+                  <td key={entry.year}>{formatPercent(findYear(investor.cashOnCash, entry.year)?.cashOnCashPct)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="muted tiny">
+        Unlevered flows are development costs plus NOI; levered flows add loan funding and debt service. Investor flows
+        are GP/LP contributions out and waterfall distributions in (Returns tab settings). IRR is annualized from monthly
+        flows; XIRR dates each flow to the first of its calendar month. Cash-on-cash divides each year&apos;s cash by
+        equity contributed to date. Returns are blank until flows change sign.
+      </p>
+    </section>
+  )
+}
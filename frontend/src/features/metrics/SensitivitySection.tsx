@@ -0,0 +1,179 @@
+import { useMemo, useState } from 'react'
+import { SENSITIVITY_VARIABLES, buildSensitivityGrid, defaultSensitivityAxis } from '@ds-proforma/cashflow'
+import type { SensitivityAxis, SensitivityBase, SensitivityMetric, SensitivityVariable } from '@ds-proforma/cashflow'
+import {
+  downloadCsv,
+  formatSensitivityValue,
+  getSensitivityVariableLabel,
+  sensitivityGridToCsv,
+  sensitivityHeatColor,
+  sensitivityMetricOptions,
+} from './sensitivityHelpers.js'
+
+type SensitivitySectionProps = {
+  base: SensitivityBase
+  projectName?: string
+}
+
+type AxisForm = {
+  variable: SensitivityVariable
+  start: string
+  step: string
+  count: string
+}
+
+const toAxisForm = (axis: SensitivityAxis): AxisForm => ({
+  variable: axis.variable,
+  start: String(axis.start),
+  step: String(axis.step),
+  count: String(axis.count),
+})
+
+const toAxis = (form: AxisForm): SensitivityAxis => ({
+  variable: form.variable,
+  start: Number(form.start) || 0,
+  step: Number(form.step) || 0,
+  count: Number(form.count) || 1,
+})
+
+export function SensitivitySection({ base, projectName }: SensitivitySectionProps) {
+  const [metric, setMetric] = useState<SensitivityMetric>('irr')
+  const [rowAxis, setRowAxis] = useState<AxisForm>(() => toAxisForm(defaultSensitivityAxis('exitCapRatePct', base)))
+  const [columnAxis, setColumnAxis] = useState<AxisForm>(() => toAxisForm(defaultSensitivityAxis('rentGrowthPct', base)))
+
+  const grid = useMemo(
+    () => buildSensitivityGrid(base, { rowAxis: toAxis(rowAxis), columnAxis: toAxis(columnAxis), metric }),
+    [base, rowAxis, columnAxis, metric],
+  )
+
+  const resetAxes = () => {
+    setRowAxis(toAxisForm(defaultSensitivityAxis(rowAxis.variable, base)))
+    setColumnAxis(toAxisForm(defaultSensitivityAxis(columnAxis.variable, base)))
+  }
+
+  const handleExport = () => {
+    const slug = (projectName || 'project').toLowerCase().replace(/[^a-z0-9]+/g, '-')
+    downloadCsv(`sensitivity-${slug}-${metric}.csv`, sensitivityGridToCsv(grid))
+  }
+
+  const renderAxisControls = (
+    label: string,
+    axis: AxisForm,
+    setAxis: (next: AxisForm) => void,
+    otherVariable: SensitivityVariable,
+  ) => (
+    <fieldset className="sensitivity-axis">
+      <legend>{label}</legend>
+      <label>
+        Variable
+        <select
+          aria-label={`${label} variable`}
+          value={axis.variable}
+          onChange={(e) => setAxis(toAxisForm(defaultSensitivityAxis(e.target.value as SensitivityVariable, base)))}
+        >
+          {SENSITIVITY_VARIABLES.filter((option) => option.id !== otherVariable).map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Start
+        <input
+          type="number"
+          step="any"
+          aria-label={`${label} start`}
+          value={axis.start}
+          onChange={(e) => setAxis({ ...axis, start: e.target.value })}
+        />
+      </label>
+      <label>
+        Step
+        <input
+          type="number"
+          step="any"
+          aria-label={`${label} step`}
+          value={axis.step}
+          onChange={(e) => setAxis({ ...axis, step: e.target.value })}
+        />
+      </label>
+      <label>
+        Steps
+        <input
+          type="number"
+          min="1"
+          max="15"
+          aria-label={`${label} steps`}
+          value={axis.count}
+          onChange={(e) => setAxis({ ...axis, count: e.target.value })}
+        />
+      </label>
+    </fieldset>
+  )
+
+  return (
+    <section>
+      <div className="metrics-header">
+        <h3>Sensitivity Grid</h3>
+        <button type="button" className="ghost" onClick={resetAxes}>
+          Reset axes
+        </button>
+        <button type="button" className="ghost" onClick={handleExport}>
+          Export CSV
+        </button>
+      </div>
+      <div className="sensitivity-controls">
+        <label>
+          Cell value
+          <select
+            aria-label="Cell value"
+            value={metric}
+            onChange={(e) => setMetric(e.target.value as SensitivityMetric)}
+          >
+            {sensitivityMetricOptions.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {renderAxisControls('Rows', rowAxis, setRowAxis, columnAxis.variable)}
+        {renderAxisControls('Columns', columnAxis, setColumnAxis, rowAxis.variable)}
+      </div>
+      <div className="metrics-table-wrapper">
+        <table className="metrics-table sensitivity-table">
+          <thead>
+            <tr>
+              <th>
+                {getSensitivityVariableLabel(grid.rowVariable)} \ {getSensitivityVariableLabel(grid.columnVariable)}
+              </th>
+              {grid.columnValues.map((value) => (
+                <th key={value}>{value}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {grid.rowValues.map((rowValue, rowIdx) => (
+              <tr key={rowValue}>
+                <th scope="row">{rowValue}</th>
+                {grid.cells[rowIdx].map((value, colIdx) => (
+                  <td
+                    key={grid.columnValues[colIdx]}
+                    style={{ backgroundColor: sensitivityHeatColor(value, grid.min, grid.max) }}
+                  >
+                    {formatSensitivityValue(value, metric)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="muted tiny">
+        Each cell reruns the figures above with the two axis values swapped in: sale at the end of construction +
+        stabilization on grown revenue, profit = net sale proceeds − total project costs, IRR on equity.
+      </p>
+    </section>
+  )
+}
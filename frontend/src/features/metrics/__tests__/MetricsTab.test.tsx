@@ -0,0 +1,112 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import userEvent from '@testing-library/user-event'
+import { screen, waitFor, within } from '@testing-library/react'
+import { buildProjectCashflow } from '@ds-proforma/cashflow'
+import { renderWithProviders } from '../../../../test/setup/renderWithProviders'
+import { MetricsTab } from '../MetricsTab'
+import type { ProjectDetail } from '../../../types'
+
+type ApiModule = typeof import('../../../api.js')
+
+const mockApi = vi.hoisted(() => ({
+  fetchMetricAssumptions: vi.fn(),
+  saveMetricAssumptions: vi.fn(),
+}))
+
+vi.mock('../../../api.js', async (importOriginal) => {
+  const actual = (await importOriginal()) as ApiModule
+  return {
+    ...actual,
+    fetchMetricAssumptions: mockApi.fetchMetricAssumptions,
+    saveMetricAssumptions: mockApi.saveMetricAssumptions,
+  }
+})
+
+const project = {
+  id: 'proj-1',
+  general: { closingDate: '2025-01-01', targetUnits: 10, targetSqft: 10000 },
+  revenue: [{ id: 'apt-1', typeLabel: '1bd', unitCount: 10, rentBudget: 2000, vacancyPct: 5, startMonth: 0 }],
+  retailRevenue: [],
+  parkingRevenue: [],
+  gpContributions: [],
+  softCosts: [],
+  hardCosts: [],
+  carryingCosts: [],
+  collaborators: [],
+  owner: null,
+  ownerId: null,
+  returns: { preferredReturnPct: null, noiDistributionMode: 'distribution' },
+} as unknown as ProjectDetail
+
+const savedAssumptions = {
+  constructionPeriodMonths: 18,
+  interestRatePct: 7.5,
+  stabilizedInterestRatePct: null,
+  stabilizedTermYears: null,
+  refinanceAmountUsd: null,
+  salesCostPct: null,
+  preferredReturnPct: null,
+  stabilizationPeriodMonths: null,
+  sellingCapRatePct: null,
+  overrides: {
+    apartments: {
+      'apt-1': { monthlyRentWC: 1800, monthlyRentBC: null, occupancy: 90, scenario: 'wc', updatedAt: '2026-10-01T00:00:00.000Z' },
+    },
+    retail: {},
+    parking: {},
+  },
+  updatedAt: '2026-10-01T00:00:00.000Z',
+}
+
+describe('MetricsTab', () => {
+  beforeEach(() => {
+    mockApi.fetchMetricAssumptions.mockReset()
+    mockApi.saveMetricAssumptions.mockReset()
+  })
+
+  it('loads saved assumptions from the server and saves them back', async () => {
+    mockApi.fetchMetricAssumptions.mockResolvedValue(savedAssumptions)
+    mockApi.saveMetricAssumptions.mockImplementation(async (_id: string, payload: object) => ({
+      ...savedAssumptions,
+      ...payload,
+      updatedAt: '2026-10-18T00:00:00.000Z',
+    }))
+    const cashflow = buildProjectCashflow(project, { months: 12 })
+    renderWithProviders(<MetricsTab project={project} projectId="proj-1" cashflow={cashflow} />)
+
+    expect(await screen.findByDisplayValue('7.5')).toBeInTheDocument()
+    expect(screen.getByDisplayValue('1800')).toBeInTheDocument()
+    expect(screen.getByText(/last saved/i)).toBeInTheDocument()
+
+    await userEvent.click(screen.getByRole('button', { name: /Save Preferences/i }))
+
+    await waitFor(() => expect(mockApi.saveMetricAssumptions).toHaveBeenCalledTimes(1))
+    const [projectId, payload] = mockApi.saveMetricAssumptions.mock.calls[0]
+    expect(projectId).toBe('proj-1')
+    expect(payload).toMatchObject({
+      constructionPeriodMonths: 18,
+      interestRatePct: 7.5,
+      salesCostPct: 2,
+      overrides: { apartments: { 'apt-1': { monthlyRentWC: 1800, monthlyRentBC: null, occupancy: 90, scenario: 'wc' } } },
+    })
+    expect(await screen.findByText('Saved')).toBeInTheDocument()
+  })
+
+  it('adds the operating budget to stabilized expenses', async () => {
+    mockApi.fetchMetricAssumptions.mockResolvedValue(savedAssumptions)
+    const withOpex = {
+      ...project,
+      carryingCosts: [
+        { id: 'ins', carryingType: 'opex', opexCategory: 'insurance', opexBasis: 'per_unit', opexRate: 50, intervalUnit: 'monthly' },
+        { id: 'rm', carryingType: 'opex', opexCategory: 'repairs_maintenance', opexBasis: 'pct_egi', opexRate: 5 },
+      ],
+    } as unknown as ProjectDetail
+    const cashflow = buildProjectCashflow(withOpex, { months: 12 })
+    renderWithProviders(<MetricsTab project={withOpex} projectId="proj-1" cashflow={cashflow} />)
+
+    expect(await screen.findByDisplayValue('1800')).toBeInTheDocument()
+    // 10 units × $50 × 12 plus 5% of the WC revenue (10 × $1,800 × 90% × 12).
+    const row = screen.getByText('Operating Expenses').closest('tr') as HTMLElement
+    expect(within(row).getAllByText('$15,720')).toHaveLength(2)
+  })
+})
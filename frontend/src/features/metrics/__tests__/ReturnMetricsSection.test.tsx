@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest'
+import { screen } from '@testing-library/react'
+import { buildProjectCashflow } from '@ds-proforma/cashflow'
+import { renderWithProviders } from '../../../../test/setup/renderWithProviders'
+import { ReturnMetricsSection } from '../ReturnMetricsSection'
+import type { ProjectDetail } from '../../../types'
+
+const project = {
+  general: { closingDate: '2025-01-01' },
+  revenue: [{ id: 'apt', typeLabel: '1bd', unitCount: 1, rentBudget: 1000, vacancyPct: 0, startMonth: 1 }],
+  hardCosts: [{ id: 'gc', costName: 'GC', amountUsd: 12000, paymentMode: 'single', paymentMonth: 0 }],
+  gpContributions: [{ id: 'gp-1', partner: 'user-1', amountUsd: 12000, contributionMonth: 0, holdingPct: 100 }],
+  collaborators: [],
+  owner: { id: 'user-1', email: 'gp@example.com', displayName: 'GP Sponsor', isSuperAdmin: false },
+  ownerId: 'user-1',
+  returns: { preferredReturnPct: 0, noiDistributionMode: 'distribution' },
+} as unknown as ProjectDetail
+
+describe('ReturnMetricsSection', () => {
+  it('shows project and investor return metrics', () => {
+    const cashflow = buildProjectCashflow(project, { months: 24 })
+    renderWithProviders(<ReturnMetricsSection project={project} cashflow={cashflow} />)
+
+    expect(screen.getByText('Unlevered IRR')).toBeInTheDocument()
+    expect(screen.getByText('GP Sponsor')).toBeInTheDocument()
+    expect(screen.getAllByText('1.92x')).toHaveLength(3)
+    expect(screen.getByRole('columnheader', { name: 'Y2 Cash-on-Cash' })).toBeInTheDocument()
+    expect(screen.getAllByText('100%')).toHaveLength(2)
+  })
+})
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest'
+import { fireEvent, screen } from '@testing-library/react'
+import { renderWithProviders } from '../../../../test/setup/renderWithProviders'
+import { SensitivitySection } from '../SensitivitySection'
+import { sensitivityGridToCsv, sensitivityHeatColor } from '../sensitivityHelpers.js'
+
+const base = {
+  purchasePriceUsd: 1_000_000,
+  hardCostUsd: 3_000_000,
+  equityUsd: 1_000_000,
+  constructionTaxMonthlyUsd: 0,
+  annualRevenueUsd: 500_000,
+  annualExpensesUsd: 100_000,
+  constructionMonths: 12,
+  stabilizationMonths: 12,
+  interestRatePct: 0,
+  exitCapRatePct: 5,
+  salesCostPct: 0,
+}
+
+describe('SensitivitySection', () => {
+  it('renders a heat-mapped grid and switches to profit cells', () => {
+    renderWithProviders(<SensitivitySection base={base} projectName="Main St" />)
+
+    const rows = screen.getAllByRole('row')
+    // Header plus five exit cap rates centred on the 5% base.
+    expect(rows).toHaveLength(6)
+    expect(screen.getByRole('rowheader', { name: '5' })).toBeInTheDocument()
+
+    fireEvent.change(screen.getByLabelText('Cell value'), { target: { value: 'profit' } })
+    fireEvent.change(screen.getByLabelText('Columns variable'), { target: { value: 'hardCostOverrunPct' } })
+    const baseRow = screen.getByRole('rowheader', { name: '5' }).closest('tr') as HTMLElement
+    expect(baseRow).toHaveTextContent('$4,000,000')
+    expect(baseRow.querySelector('td')?.getAttribute('style')).toContain('background-color')
+  })
+
+  it('exports the grid as CSV and colours from red to green', () => {
+    const csv = sensitivityGridToCsv({
+      metric: 'profit',
+      rowVariable: 'exitCapRatePct',
+      columnVariable: 'rentGrowthPct',
+      rowValues: [5, 6],
+      columnValues: [0, 2],
+      cells: [
+        [100.456, 200],
+        [null, 50],
+      ],
+      min: 50,
+      max: 200,
+    })
+    expect(csv.split('\n')).toEqual([
+      'Profit: Exit cap rate (%) \\ Rent growth (%/yr),0,2',
+      '5,100.46,200',
+      '6,,50',
+    ])
+    expect(sensitivityHeatColor(50, 50, 200)).toBe('hsl(0, 70%, 85%)')
+    expect(sensitivityHeatColor(200, 50, 200)).toBe('hsl(120, 70%, 85%)')
+  })
+})
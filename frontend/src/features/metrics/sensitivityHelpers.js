@@ -0,0 +1,49 @@
+import { SENSITIVITY_VARIABLES } from '@ds-proforma/cashflow'
+import { formatCurrency } from '../carrying/carryingHelpers.js'
+import { formatPercent } from '../returns/returnsHelpers.js'
+
+export const sensitivityMetricOptions = [
+  { id: 'irr', label: 'Levered IRR' },
+  { id: 'profit', label: 'Profit' },
+]
+
+export const getSensitivityVariableLabel = (variable) =>
+  SENSITIVITY_VARIABLES.find((entry) => entry.id === variable)?.label ?? variable
+
+export const formatSensitivityValue = (value, metric) => {
+  if (value === null || value === undefined) return '—'
+  return metric === 'profit' ? formatCurrency(value) : formatPercent(value)
+}
+
+/**
+ * Red (lowest) → amber → green (highest) background for a heat-map cell.
+ */
+export const sensitivityHeatColor = (value, min, max) => {
+  if (value === null || value === undefined || min === null || max === null) return undefined
+  const ratio = max === min ? 0.5 : (value - min) / (max - min)
+  return `hsl(${Math.round(ratio * 120)}, 70%, 85%)`
+}
+
+const escapeCsv = (value) => {
+  const text = String(value ?? '')
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const sensitivityGridToCsv = (grid) => {
+  const metricLabel = sensitivityMetricOptions.find((option) => option.id === grid.metric)?.label ?? grid.metric
+  const corner = `${metricLabel}: ${getSensitivityVariableLabel(grid.rowVariable)} \\ ${getSensitivityVariableLabel(grid.columnVariable)}`
+  const header = [corner, ...grid.columnValues]
+  const rows = grid.rowValues.map((rowValue, rowIdx) => [
+    rowValue,
+    ...grid.cells[rowIdx].map((value) => (value === null ? '' : Math.round(value * 100) / 100)),
+  ])
+  return [header, ...rows].map((row) => row.map(escapeCsv).join(',')).join('\n')
+}
+
+export const downloadCsv = (filename, content) => {
+  const blob = new Blob([content], { type: 'text/csv;charset=utf-8;' })
+  const link = document.createElement('a')
+  link.href = URL.createObjectURL(blob)
+  link.download = filename
+  link.click()
+}
@@ -0,0 +1,218 @@
+import { FormEvent, useEffect, useMemo, useState } from 'react'
+import { buildDistributionWaterfall } from '@ds-proforma/cashflow'
+import type { ProjectCashflow } from '@ds-proforma/cashflow'
+import { updateProjectGeneral } from '../../api.js'
+import { formatCurrency } from '../carrying/carryingHelpers.js'
+import { formatCurrencyCell } from '../cashflow/cashflowHelpers.js'
+import { formatPercent, noiModeOptions, resolvePartnerLabel } from './returnsHelpers.js'
+import type { EntityId, NoiDistributionMode, ProjectDetail } from '../../types'
+
+type RequestStatus = 'idle' | 'saving' | 'error'
+
+type ReturnsProjectSlice = Pick<ProjectDetail, 'gpContributions' | 'collaborators' | 'owner' | 'ownerId' | 'returns'>
+
+type ReturnsTabProps = {
+  project: ReturnsProjectSlice | null
+  projectId: EntityId | null
+  cashflow: ProjectCashflow
+  onProjectRefresh?: (projectId: EntityId) => Promise<void>
+}
+
+const MONTHLY_ROWS = [
+  { key: 'contributions', label: 'Capital contributed' },
+  { key: 'prefAccrued', label: 'Pref accrued' },
+  { key: 'prefPaid', label: 'Pref paid' },
+  { key: 'capitalReturned', label: 'Capital returned' },
+  { key: 'profit', label: 'Profit share' },
+  { key: 'distributions', label: 'Total distribution' },
+  { key: 'capitalBalance', label: 'Capital balance' },
+  { key: 'prefBalance', label: 'Unpaid pref' },
+] as const
+
+const getErrorMessage = (error: unknown) => (error instanceof Error ? error.message : String(error))
+
+export function ReturnsTab({ project, projectId, cashflow, onProjectRefresh }: ReturnsTabProps) {
+  const [prefInput, setPrefInput] = useState('')
+  const [noiMode, setNoiMode] = useState<NoiDistributionMode>('distribution')
+  const [status, setStatus] = useState<RequestStatus>('idle')
+  const [error, setError] = useState('')
+  const [selectedInvestorId, setSelectedInvestorId] = useState<string | null>(null)
+
+  useEffect(() => {
+    const pct = project?.returns?.preferredReturnPct
+    setPrefInput(pct !== null && pct !== undefined ? String(pct) : '')
+    setNoiMode(project?.returns?.noiDistributionMode ?? 'distribution')
+    setStatus('idle')
+    setError('')
+  }, [project?.returns?.preferredReturnPct, project?.returns?.noiDistributionMode])
+
+  const waterfall = useMemo(
+    () =>
+      buildDistributionWaterfall({
+        contributions: project?.gpContributions ?? [],
+        months: cashflow.months.length,
+        preferredReturnPct: prefInput.trim() === '' ? 0 : Number(prefInput),
+        noiMode,
+        operatingCash: cashflow.operating.cashAfterDebtService,
+        capitalEvents: cashflow.operating.capitalEvents,
+      }),
+    [cashflow, noiMode, prefInput, project?.gpContributions],
+  )
+
+  const activeInvestor =
+    waterfall.investors.find((investor) => investor.id === selectedInvestorId) ?? waterfall.investors[0] ?? null
+
+  const handleSave = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault()
+    if (!projectId) return
+    setStatus('saving')
+    setError('')
+    try {
+      await updateProjectGeneral(projectId, {
+        preferredReturnPct: prefInput.trim() === '' ? null : Number(prefInput),
+        noiDistributionMode: noiMode,
+      })
+      if (onProjectRefresh) await onProjectRefresh(projectId)
+      setStatus('idle')
+    } catch (err) {
+      setStatus('error')
+      setError(getErrorMessage(err))
+    }
+  }
+
+  return (
+    <div className="returns-tab">
+      <div className="cashflow-header">
+        <div>
+          <h3>Investor Returns</h3>
+          <p className="muted tiny">
+            Preferred return accrues on outstanding capital. Positive cash after debt service is distributed each month
+            per the NOI mode below; refinance cash-out and sale proceeds always return pref and capital first.
+          </p>
+        </div>
+        <form className="turnover-inline-form" onSubmit={handleSave}>
+          <div>
+            <label>
+              Preferred return % (annual)
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.25"
+                value={prefInput}
+                onChange={(e) => setPrefInput(e.target.value)}
+                disabled={status === 'saving'}
+                aria-label="Preferred return percent"
+              />
+            </label>
+            <label>
+              NOI handling
+              <select
+                value={noiMode}
+                onChange={(e) => setNoiMode(e.target.value as NoiDistributionMode)}
+                disabled={status === 'saving'}
+                aria-label="NOI distribution mode"
+              >
+                {noiModeOptions.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <button type="submit" className="tiny secondary" disabled={status === 'saving' || !projectId}>
+            {status === 'saving' ? 'Saving…' : 'Save Returns Settings'}
+          </button>
+        </form>
+      </div>
+      {error && <p className="error">{error}</p>}
+
+      <div className="table-scroll">
+        <table>
+          <thead>
+            <tr>
+              <th>Investor</th>
+              <th>Capital</th>
+              <th>Capital %</th>
+              <th>Holding %</th>
+              <th>Pref Accrued</th>
+              <th>Pref Paid</th>
+              <th>Capital Returned</th>
+              <th>Profit Share</th>
+              <th>Total Distributed</th>
+              <th>Total Profit</th>
+            </tr>
+          </thead>
+          <tbody>
+            {waterfall.investors.map((investor) => (
+              <tr
+                key={investor.id}
+                className={investor.id === activeInvestor?.id ? 'selected' : undefined}
+                onClick={() => setSelectedInvestorId(investor.id)}
+              >
+                <td>{resolvePartnerLabel(project, investor.id)}</td>
+                <td>{formatCurrency(investor.totals.contributed)}</td>
+                <td>{formatPercent(investor.capitalSharePct)}</td>
+                <td>{formatPercent(investor.holdingPct)}</td>
+                <td>{formatCurrency(investor.totals.prefAccrued)}</td>
+                <td>{formatCurrency(investor.totals.prefPaid)}</td>
+                <td>{formatCurrency(investor.totals.capitalReturned)}</td>
+                <td>{formatCurrency(investor.totals.profitDistributed)}</td>
+                <td>{formatCurrency(investor.totals.distributed)}</td>
+                <td>{formatCurrency(investor.totals.totalProfit)}</td>
+              </tr>
+            ))}
+            {waterfall.investors.length === 0 && (
+              <tr>
+                <td colSpan={10}>No GP/LP contributions yet. Add them on the Funding tab.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      {waterfall.totals.undistributed > 0.5 && (
+        <p className="muted tiny">
+          {formatCurrency(waterfall.totals.undistributed)} of cash was not distributed because holdings total less than
+          100%.
+        </p>
+      )}
+
+      {activeInvestor && (
+        <>
+          <h4>{resolvePartnerLabel(project, activeInvestor.id)} • Monthly</h4>
+          <div className="table-scroll">
+            <table className="cashflow-grid">
+              <thead>
+                <tr>
+                  <th>Line</th>
+                  {cashflow.months.map((month) => (
+                    <th key={month.index}>
+                      <div className="month-label">
+                        <span>{month.label}</span>
+                        <span className="month-calendar">{month.calendarLabel}</span>
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {MONTHLY_ROWS.map((row) => (
+                  <tr
+                    key={row.key}
+                    className={`cashflow-row ${row.key === 'distributions' ? 'total' : 'revenue'}`}
+                  >
+                    <td>{row.label}</td>
+                    {activeInvestor.monthly[row.key].map((value, idx) => (
+                      <td key={`${row.key}-${idx}`}>{formatCurrencyCell(value)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
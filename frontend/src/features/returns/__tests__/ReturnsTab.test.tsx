@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest'
+import { screen, within } from '@testing-library/react'
+import { buildProjectCashflow } from '@ds-proforma/cashflow'
+import { renderWithProviders } from '../../../../test/setup/renderWithProviders'
+import { ReturnsTab } from '../ReturnsTab'
+
+const baseProject = {
+  gpContributions: [
+    { id: 'gp-1', partner: 'user-1', amountUsd: 100000, contributionMonth: 0, holdingPct: 60 },
+    { id: 'gp-2', partner: 'user-2', amountUsd: 100000, contributionMonth: 0, holdingPct: 40 },
+  ],
+  collaborators: [{ id: 'c-1', userId: 'user-2', email: 'lp@example.com', displayName: 'LP One' }],
+  owner: { id: 'user-1', email: 'gp@example.com', displayName: 'GP Sponsor', isSuperAdmin: false },
+  ownerId: 'user-1',
+  returns: { preferredReturnPct: 8, noiDistributionMode: 'distribution' as const },
+}
+
+describe('ReturnsTab', () => {
+  it('lists each investor with accrued preferred return', () => {
+    const cashflow = buildProjectCashflow({ general: { closingDate: '2025-01-01' } }, { months: 12 })
+    renderWithProviders(<ReturnsTab project={baseProject} projectId="proj-1" cashflow={cashflow} />)
+
+    expect(screen.getByRole('heading', { name: /GP Sponsor • Monthly/i })).toBeInTheDocument()
+    const summary = within(screen.getAllByRole('table')[0])
+    expect(summary.getByText('LP One')).toBeInTheDocument()
+    expect(summary.getAllByText('$8,000')).toHaveLength(2)
+    expect(screen.getByLabelText(/Preferred return percent/i)).toHaveValue(8)
+  })
+
+  it('shows an empty state without contributions', () => {
+    const cashflow = buildProjectCashflow(null, { months: 12 })
+    renderWithProviders(
+      <ReturnsTab project={{ ...baseProject, gpContributions: [] }} projectId="proj-1" cashflow={cashflow} />,
+    )
+
+    expect(screen.getByText(/No GP\/LP contributions yet/i)).toBeInTheDocument()
+  })
+})
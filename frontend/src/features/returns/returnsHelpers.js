@@ -0,0 +1,19 @@
+export const noiModeOptions = [
+  { id: 'distribution', label: 'Distribution (split by holding %)' },
+  { id: 'capital_return', label: 'Capital return (pref, then principal)' },
+]
+
+export const resolvePartnerLabel = (project, partnerId) => {
+  if (!partnerId) return 'GP'
+  const collaborator = project?.collaborators?.find((collab) => collab.userId === partnerId)
+  if (collaborator) return collaborator.displayName || collaborator.email || partnerId
+  if (project?.ownerId === partnerId || project?.owner?.id === partnerId) {
+    return project.owner?.displayName || project.owner?.email || 'Owner'
+  }
+  return partnerId
+}
+
+export const formatPercent = (value) => {
+  if (value === null || value === undefined || !Number.isFinite(Number(value))) return '—'
+  return `${Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })}%`
+}
@@ -0,0 +1,270 @@
+import { ChangeEvent, useState } from 'react'
+import { importRentRoll, previewRentRollImport } from '../../api.js'
+import { formatCurrency } from '../carrying/carryingHelpers.js'
+import type { EntityId } from '../../types'
+
+type ImportStatus = 'idle' | 'loading' | 'saving'
+
+type RentRollMapping = Record<string, number>
+
+type RentRollImportPayload = {
+  unitNumber: string
+  typeLabel?: string | null
+  unitSqft?: number | string | null
+  tenantName?: string | null
+  leaseStart?: string | null
+  leaseEnd?: string | null
+  contractRent?: number | string | null
+  marketRent?: number | string | null
+  status: string
+}
+
+type RentRollPreviewRow = {
+  rowNumber: number
+  cells: string[]
+  payload: RentRollImportPayload
+  action: 'create' | 'update' | 'unchanged' | null
+  changes: string[]
+  error: string | null
+}
+
+type RentRollTypeDiff = {
+  key: string
+  typeLabel: string
+  target: 'apartment' | 'retail' | 'new'
+  currentUnitCount: number | null
+  importedUnitCount: number
+  currentRentBudget: number | null
+  importedMarketRent: number | null
+}
+
+type RentRollPreview = {
+  fields: Array<{ id: string; label: string }>
+  headers: string[]
+  mapping: RentRollMapping
+  rows: RentRollPreviewRow[]
+  types: RentRollTypeDiff[]
+  missingUnits: Array<{ id: EntityId; unitNumber: string }>
+  counts: { create: number; update: number; unchanged: number; error: number }
+}
+
+type RentRollImportModalProps = {
+  projectId: EntityId
+  onClose: () => void
+  onImported: () => Promise<void>
+}
+
+const TARGET_LABELS: Record<RentRollTypeDiff['target'], string> = {
+  apartment: 'Apartment type',
+  retail: 'Retail space',
+  new: 'New apartment type',
+}
+
+const ACTION_LABELS = {
+  create: 'New unit',
+  update: 'Update',
+  unchanged: 'No change',
+}
+
+const getErrorMessage = (error: unknown) => (error instanceof Error ? error.message : String(error))
+
+const formatMoney = (value: number | string | null | undefined) =>
+  typeof value === 'number' ? formatCurrency(value) : value ?? '—'
+
+export function RentRollImportModal({ projectId, onClose, onImported }: RentRollImportModalProps) {
+  const [file, setFile] = useState<File | null>(null)
+  const [preview, setPreview] = useState<RentRollPreview | null>(null)
+  const [status, setStatus] = useState<ImportStatus>('idle')
+  const [error, setError] = useState('')
+
+  const loadPreview = async (nextFile: File, mapping?: RentRollMapping) => {
+    setStatus('loading')
+    setError('')
+    try {
+      const result: RentRollPreview = await previewRentRollImport(projectId, nextFile, mapping)
+      setPreview(result)
+    } catch (err) {
+      setError(getErrorMessage(err))
+    } finally {
+      setStatus('idle')
+    }
+  }
+
+  const handleFileChange = (event: ChangeEvent<HTMLInputElement>) => {
+    const nextFile = event.target.files?.[0] ?? null
+    setFile(nextFile)
+    setPreview(null)
+    if (nextFile) loadPreview(nextFile)
+  }
+
+  const handleMappingChange = (fieldId: string, value: string) => {
+    if (!file || !preview) return
+    const mapping = { ...preview.mapping }
+    if (value === '') {
+      delete mapping[fieldId]
+    } else {
+      mapping[fieldId] = Number(value)
+    }
+    loadPreview(file, mapping)
+  }
+
+  // The import is all-or-nothing, so every row has to pass before it can be applied.
+  const handleImport = async () => {
+    if (!preview || preview.counts.error > 0 || !preview.rows.length) return
+    setStatus('saving')
+    setError('')
+    try {
+      await importRentRoll(projectId, preview.rows.map((row) => row.payload))
+      setStatus('idle')
+      onClose()
+      await onImported()
+    } catch (err) {
+      setStatus('idle')
+      setError(getErrorMessage(err))
+    }
+  }
+
+  const busy = status !== 'idle'
+  const pendingChanges = preview ? preview.counts.create + preview.counts.update : 0
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-panel import-modal">
+        <h3>Import Rent Roll</h3>
+        <p className="muted tiny">
+          Upload the CSV or XLSX rent roll exported from your property-management system. Units are matched by unit
+          number; units missing from the file stay on the roll.
+        </p>
+        <label>
+          Rent roll file
+          <input type="file" accept=".csv,.xlsx" onChange={handleFileChange} disabled={busy} />
+        </label>
+
+        {preview && (
+          <>
+            <div className="import-mapping">
+              {preview.fields.map((field) => (
+                <label key={field.id}>
+                  {field.label}
+                  <select
+                    value={preview.mapping[field.id] ?? ''}
+                    onChange={(e) => handleMappingChange(field.id, e.target.value)}
+                    disabled={busy}
+                  >
+                    <option value="">— Not mapped —</option>
+                    {preview.headers.map((header, index) => (
+                      <option key={`${header}-${index}`} value={index}>
+                        {header || `Column ${index + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            <p className="muted tiny">
+              {preview.counts.create} new, {preview.counts.update} updated, {preview.counts.unchanged} unchanged
+              {preview.counts.error
+                ? `; ${preview.counts.error} row${preview.counts.error === 1 ? '' : 's'} with errors must be fixed before importing`
+                : ''}
+              .
+              {preview.missingUnits.length > 0 &&
+                ` Not in file (kept): ${preview.missingUnits.map((unit) => unit.unitNumber).join(', ')}.`}
+            </p>
+
+            {preview.types.length > 0 && (
+              <div className="table-scroll">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Unit type</th>
+                      <th>Matches</th>
+                      <th>Units (current → file)</th>
+                      <th>Budget rent</th>
+                      <th>Avg market rent</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.types.map((type) => (
+                      <tr key={type.key}>
+                        <td>{type.typeLabel}</td>
+                        <td>{TARGET_LABELS[type.target]}</td>
+                        <td>
+                          {type.currentUnitCount ?? '—'} → {type.importedUnitCount}
+                        </td>
+                        <td>{formatMoney(type.currentRentBudget)}</td>
+                        <td>{formatMoney(type.importedMarketRent)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="table-scroll import-preview">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Unit</th>
+                    <th>Type</th>
+                    <th>Tenant</th>
+                    <th>Contract rent</th>
+                    <th>Market rent</th>
+                    <th>Status</th>
+                    <th>Change</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map((row) => (
+                    <tr key={row.rowNumber} className={row.error ? 'import-row-error' : undefined}>
+                      <td>{row.rowNumber}</td>
+                      <td>{row.payload.unitNumber || '—'}</td>
+                      <td>{row.payload.typeLabel || '—'}</td>
+                      <td>{row.payload.tenantName || '—'}</td>
+                      <td>{formatMoney(row.payload.contractRent)}</td>
+                      <td>{formatMoney(row.payload.marketRent)}</td>
+                      <td>{row.payload.status}</td>
+                      <td>
+                        {row.error ? (
+                          <span className="error">{row.error}</span>
+                        ) : row.action === 'update' ? (
+                          `Update: ${row.changes.join(', ')}`
+                        ) : (
+                          ACTION_LABELS[row.action ?? 'unchanged']
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                  {preview.rows.length === 0 && (
+                    <tr>
+                      <td colSpan={8}>No data rows found.</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        {status === 'loading' && <p className="muted tiny">Reading rent roll…</p>}
+        {error && <p className="error">{error}</p>}
+        <div className="modal-actions">
+          <button type="button" className="ghost" onClick={onClose} disabled={status === 'saving'}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="primary"
+            onClick={handleImport}
+            disabled={busy || !preview || preview.counts.error > 0 || pendingChanges === 0}
+          >
+            {status === 'saving'
+              ? 'Importing…'
+              : `Apply ${pendingChanges} unit change${pendingChanges === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
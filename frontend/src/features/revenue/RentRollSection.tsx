@@ -0,0 +1,413 @@
+import { FormEvent, useEffect, useMemo, useState } from 'react'
+import { summarizeRentRoll } from '@ds-proforma/cashflow'
+import { createRentRollUnit, deleteRentRollUnit, updateRentRollUnit } from '../../api.js'
+import { formatCurrency } from '../carrying/carryingHelpers.js'
+import { RentRollImportModal } from './RentRollImportModal'
+import { RENT_ROLL_STATUSES } from '../../types'
+import type { ApartmentRevenueRow, EntityId, ProjectDetail, RentRollStatus, RentRollUnitRow } from '../../types'
+
+type RequestStatus = 'idle' | 'saving' | 'error'
+
+type RentRollProjectSlice = Pick<ProjectDetail, 'id' | 'revenue' | 'rentRoll'>
+
+type RentRollSectionProps = {
+  project: RentRollProjectSlice | null
+  projectId: EntityId | null
+  onProjectRefresh?: (projectId: EntityId) => Promise<void>
+}
+
+type UnitFormState = {
+  unitNumber: string
+  apartmentTypeId: string
+  unitSqft: string
+  tenantName: string
+  leaseStart: string
+  leaseEnd: string
+  contractRent: string
+  marketRent: string
+  status: RentRollStatus
+}
+
+const STATUS_LABELS: Record<RentRollStatus, string> = {
+  occupied: 'Occupied',
+  notice: 'On notice',
+  vacant: 'Vacant',
+  down: 'Down',
+}
+
+const createDefaultForm = (): UnitFormState => ({
+  unitNumber: '',
+  apartmentTypeId: '',
+  unitSqft: '',
+  tenantName: '',
+  leaseStart: '',
+  leaseEnd: '',
+  contractRent: '',
+  marketRent: '',
+  status: 'occupied',
+})
+
+const toInput = (value: string | number | null | undefined) =>
+  value === null || value === undefined ? '' : String(value)
+
+const toNumberOrNull = (value: string) => (value.trim() === '' ? null : Number(value))
+const toTextOrNull = (value: string) => value.trim() || null
+
+const formatPct = (value: number) => `${value.toFixed(1)}%`
+
+const getErrorMessage = (error: unknown) => (error instanceof Error ? error.message : String(error))
+
+export function RentRollSection({ project, projectId, onProjectRefresh }: RentRollSectionProps) {
+  const [isModalOpen, setIsModalOpen] = useState(false)
+  const [form, setForm] = useState<UnitFormState>(() => createDefaultForm())
+  const [editingId, setEditingId] = useState<EntityId | null>(null)
+  const [status, setStatus] = useState<RequestStatus>('idle')
+  const [error, setError] = useState('')
+  const [pendingDeleteId, setPendingDeleteId] = useState<EntityId | null>(null)
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false)
+
+  const units: RentRollUnitRow[] = useMemo(() => project?.rentRoll ?? [], [project?.rentRoll])
+  const apartmentTypes: ApartmentRevenueRow[] = useMemo(() => project?.revenue ?? [], [project?.revenue])
+  const typeLabels = useMemo(
+    () => new Map(apartmentTypes.map((row) => [String(row.id), row.typeLabel])),
+    [apartmentTypes],
+  )
+  const rollup = useMemo(() => summarizeRentRoll(units, apartmentTypes), [units, apartmentTypes])
+
+  useEffect(() => {
+    setIsModalOpen(false)
+    setIsImportModalOpen(false)
+    setPendingDeleteId(null)
+    setStatus('idle')
+    setError('')
+  }, [projectId])
+
+  const refreshProject = async () => {
+    if (!projectId || !onProjectRefresh) return
+    await onProjectRefresh(projectId)
+  }
+
+  const updateField = (field: keyof UnitFormState) => (e: { target: { value: string } }) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }))
+
+  const openModal = (unit?: RentRollUnitRow) => {
+    setStatus('idle')
+    setError('')
+    if (unit) {
+      setForm({
+        unitNumber: unit.unitNumber,
+        apartmentTypeId: toInput(unit.apartmentTypeId),
+        unitSqft: toInput(unit.unitSqft),
+        tenantName: toInput(unit.tenantName),
+        leaseStart: toInput(unit.leaseStart),
+        leaseEnd: toInput(unit.leaseEnd),
+        contractRent: toInput(unit.contractRent),
+        marketRent: toInput(unit.marketRent),
+        status: unit.status,
+      })
+      setEditingId(unit.id)
+    } else {
+      setForm(createDefaultForm())
+      setEditingId(null)
+    }
+    setIsModalOpen(true)
+  }
+
+  const closeModal = () => {
+    if (status === 'saving') return
+    setIsModalOpen(false)
+    setEditingId(null)
+  }
+
+  const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault()
+    if (!projectId) return
+    if (form.leaseStart && form.leaseEnd && form.leaseEnd < form.leaseStart) {
+      setStatus('error')
+      setError('Lease end must be on or after lease start.')
+      return
+    }
+    setStatus('saving')
+    setError('')
+    try {
+      const payload = {
+        unitNumber: form.unitNumber.trim(),
+        apartmentTypeId: toTextOrNull(form.apartmentTypeId),
+        unitSqft: toNumberOrNull(form.unitSqft),
+        tenantName: toTextOrNull(form.tenantName),
+        leaseStart: toTextOrNull(form.leaseStart),
+        leaseEnd: toTextOrNull(form.leaseEnd),
+        contractRent: toNumberOrNull(form.contractRent),
+        marketRent: toNumberOrNull(form.marketRent),
+        status: form.status,
+      }
+      if (editingId) {
+        await updateRentRollUnit(projectId, editingId, payload)
+      } else {
+        await createRentRollUnit(projectId, payload)
+      }
+      setStatus('idle')
+      setIsModalOpen(false)
+      setEditingId(null)
+      await refreshProject()
+    } catch (err) {
+      setStatus('error')
+      setError(getErrorMessage(err))
+    }
+  }
+
+  const confirmDelete = async () => {
+    if (!projectId || !pendingDeleteId) return
+    setStatus('saving')
+    setError('')
+    try {
+      await deleteRentRollUnit(projectId, pendingDeleteId)
+      setPendingDeleteId(null)
+      setStatus('idle')
+      await refreshProject()
+    } catch (err) {
+      setStatus('error')
+      setError(getErrorMessage(err))
+    }
+  }
+
+  if (!project || !projectId) return null
+
+  return (
+    <>
+      <section className="revenue-section">
+        <div className="section-header">
+          <div>
+            <h4>Rent Roll</h4>
+            <p className="muted tiny">
+              Unit-level leases. Apartment types with units on the roll take their unit count from it, and their actual
+              rent is the average in-place rent of occupied and on-notice units.
+            </p>
+          </div>
+          <div className="row-actions">
+            <button type="button" className="ghost" onClick={() => setIsImportModalOpen(true)}>
+              Import Rent Roll
+            </button>
+            <button type="button" className="primary" onClick={() => openModal()}>
+              + Add Unit
+            </button>
+          </div>
+        </div>
+        {error && !isModalOpen && !pendingDeleteId && <p className="error">{error}</p>}
+
+        {units.length === 0 ? (
+          <p className="muted">No units on the rent roll yet.</p>
+        ) : (
+          <>
+            <div className="table-scroll">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Type</th>
+                    <th>Units</th>
+                    <th>Occupancy</th>
+                    <th>In-place Rent</th>
+                    <th>Market Rent</th>
+                    <th>Loss-to-Lease</th>
+                    <th>Budget Rent</th>
+                    <th>Actual vs Budget</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rollup.types.map((type) => (
+                    <tr key={type.apartmentTypeId}>
+                      <td>{type.typeLabel}</td>
+                      <td>{type.unitCount}</td>
+                      <td>{formatPct(type.occupancyPct)}</td>
+                      <td>{formatCurrency(type.contractRent)}</td>
+                      <td>{formatCurrency(type.marketRent)}</td>
+                      <td>{`${formatCurrency(type.lossToLease)} (${formatPct(type.lossToLeasePct)})`}</td>
+                      <td>{formatCurrency(type.budgetRent)}</td>
+                      <td>{formatCurrency(type.varianceToBudget)}</td>
+                    </tr>
+                  ))}
+                  {rollup.unassigned && (
+                    <tr>
+                      <td>No type</td>
+                      <td>{rollup.unassigned.unitCount}</td>
+                      <td>{formatPct(rollup.unassigned.occupancyPct)}</td>
+                      <td>{formatCurrency(rollup.unassigned.contractRent)}</td>
+                      <td>{formatCurrency(rollup.unassigned.marketRent)}</td>
+                      <td>{formatCurrency(rollup.unassigned.lossToLease)}</td>
+                      <td>—</td>
+                      <td>—</td>
+                    </tr>
+                  )}
+                  <tr className="totals-row">
+                    <td>
+                      <strong>Total</strong>
+                    </td>
+                    <td>{rollup.totals.unitCount}</td>
+                    <td>{formatPct(rollup.totals.occupancyPct)}</td>
+                    <td>{formatCurrency(rollup.totals.contractRent)}</td>
+                    <td>{formatCurrency(rollup.totals.marketRent)}</td>
+                    <td>{`${formatCurrency(rollup.totals.lossToLease)} (${formatPct(rollup.totals.lossToLeasePct)})`}</td>
+                    <td>{formatCurrency(rollup.totals.budgetRent)}</td>
+                    <td>{formatCurrency(rollup.totals.varianceToBudget)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+
+            <div className="table-scroll">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Unit</th>
+                    <th>Type</th>
+                    <th>SqFt</th>
+                    <th>Tenant</th>
+                    <th>Lease</th>
+                    <th>Contract Rent</th>
+                    <th>Market Rent</th>
+                    <th>Status</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {units.map((unit) => (
+                    <tr key={unit.id}>
+                      <td>{unit.unitNumber}</td>
+                      <td>{(unit.apartmentTypeId && typeLabels.get(String(unit.apartmentTypeId))) || '—'}</td>
+                      <td>{unit.unitSqft ?? '—'}</td>
+                      <td>{unit.tenantName || '—'}</td>
+                      <td>{unit.leaseStart || unit.leaseEnd ? `${unit.leaseStart ?? '?'} – ${unit.leaseEnd ?? '?'}` : '—'}</td>
+                      <td>{unit.contractRent !== null && unit.contractRent !== undefined ? formatCurrency(unit.contractRent) : '—'}</td>
+                      <td>{unit.marketRent !== null && unit.marketRent !== undefined ? formatCurrency(unit.marketRent) : '—'}</td>
+                      <td>{STATUS_LABELS[unit.status]}</td>
+                      <td>
+                        <div className="row-actions">
+                          <button
+                            type="button"
+                            className="icon-button"
+                            onClick={() => openModal(unit)}
+                            aria-label={`Edit unit ${unit.unitNumber}`}
+                          >
+                            ✏️
+                          </button>
+                          <button
+                            type="button"
+                            className="icon-delete"
+                            onClick={() => setPendingDeleteId(unit.id)}
+                            aria-label={`Delete unit ${unit.unitNumber}`}
+                          >
+                            🗑
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </section>
+
+      {isImportModalOpen && (
+        <RentRollImportModal
+          projectId={projectId}
+          onClose={() => setIsImportModalOpen(false)}
+          onImported={refreshProject}
+        />
+      )}
+
+      {isModalOpen && (
+        <div className="modal-backdrop">
+          <div className="modal-panel">
+            <h3>{editingId ? 'Edit Unit' : 'Add Unit'}</h3>
+            <form className="modal-form" onSubmit={handleSubmit}>
+              <label>
+                Unit number *
+                <input type="text" value={form.unitNumber} onChange={updateField('unitNumber')} required />
+              </label>
+              <label>
+                Apartment type
+                <select value={form.apartmentTypeId} onChange={updateField('apartmentTypeId')}>
+                  <option value="">No type</option>
+                  {apartmentTypes.map((row) => (
+                    <option key={row.id} value={String(row.id)}>
+                      {row.typeLabel}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Unit SqFt
+                <input type="number" min="0" value={form.unitSqft} onChange={updateField('unitSqft')} />
+              </label>
+              <label>
+                Status
+                <select value={form.status} onChange={updateField('status')}>
+                  {RENT_ROLL_STATUSES.map((value) => (
+                    <option key={value} value={value}>
+                      {STATUS_LABELS[value]}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Tenant
+                <input type="text" value={form.tenantName} onChange={updateField('tenantName')} />
+              </label>
+              <label>
+                Lease start
+                <input type="date" value={form.leaseStart} onChange={updateField('leaseStart')} />
+              </label>
+              <label>
+                Lease end
+                <input type="date" value={form.leaseEnd} onChange={updateField('leaseEnd')} />
+              </label>
+              <label>
+                Contract rent (USD / month)
+                <input type="number" min="0" value={form.contractRent} onChange={updateField('contractRent')} />
+              </label>
+              <label>
+                Market rent (USD / month)
+                <input type="number" min="0" value={form.marketRent} onChange={updateField('marketRent')} />
+              </label>
+
+              {error && <p className="error">{error}</p>}
+
+              <div className="modal-actions">
+                <button type="button" className="ghost" onClick={closeModal} disabled={status === 'saving'}>
+                  Cancel
+                </button>
+                <button type="submit" className="primary" disabled={status === 'saving'}>
+                  {status === 'saving' ? 'Saving…' : editingId ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {pendingDeleteId && (
+        <div className="modal-backdrop">
+          <div className="modal-panel">
+            <h3>Delete unit?</h3>
+            {error && <p className="error">{error}</p>}
+            <div className="modal-actions">
+              <button
+                type="button"
+                className="ghost"
+                onClick={() => setPendingDeleteId(null)}
+                disabled={status === 'saving'}
+              >
+                Cancel
+              </button>
+              <button type="button" className="icon-delete" onClick={confirmDelete} disabled={status === 'saving'}>
+                {status === 'saving' ? 'Deleting…' : 'Delete'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
@@ -1,27 +1,50 @@
 import { FormEvent, useCallback, useEffect, useMemo, useRef, useState } from 'react'
-import { apartmentRevenueInputSchema, retailRevenueInputSchema, parkingRevenueInputSchema, formatZodErrors } from '@ds-proforma/types'
 import {
+  apartmentRevenueInputSchema,
+  retailRevenueInputSchema,
+  parkingRevenueInputSchema,
+  otherIncomeInputSchema,
+  formatZodErrors,
+} from '@ds-proforma/types'
+import {
+  createOtherIncome,
   createParkingRevenue,
   createRevenueItem,
   createRetailRevenue,
+  deleteOtherIncome,
   deleteParkingRevenue,
   deleteRevenueItem,
   deleteRetailRevenue,
+  updateOtherIncome,
   updateParkingRevenue,
   updateProjectGeneral,
   updateRevenueItem,
   updateRetailRevenue,
 } from '../../api.js'
-import { calculateNetParking, calculateNetRevenue } from './revenueHelpers.js'
+import {
+  calculateNetOtherIncome,
+  calculateNetParking,
+  calculateNetRetailRevenue,
+  calculateNetRevenue,
+  countApartmentUnits,
+  summarizeRetailLease,
+} from './revenueHelpers.js'
+import { LEASE_UP_CURVES, OTHER_INCOME_BASES, OTHER_INCOME_TYPES, RETAIL_LEASE_TYPES } from '../../types'
 import type {
   ApartmentRevenueRow,
   RetailRevenueRow,
   EntityId,
+  LeaseUpCurve,
+  LeaseUpInput,
+  OtherIncomeBasis,
+  OtherIncomeRow,
+  OtherIncomeType,
   ParkingRevenueRow,
   ProjectDetail,
+  RetailLeaseType,
 } from '../../types'
 type RequestStatus = 'idle' | 'saving' | 'error'
-type RevenueModalType = 'apartment' | 'retail' | 'parking'
+type RevenueModalType = 'apartment' | 'retail' | 'parking' | 'other'
 
 type OffsetFormatter = (offset?: number | null) => string
 type CalendarLabelFormatter = (offset: number) => string
@@ -30,8 +53,9 @@ type MonthInputConverter = (value: string | number | null | undefined) => number
 
 type RevenueProjectSlice = Pick<
   ProjectDetail,
-  'id' | 'revenue' | 'retailRevenue' | 'parkingRevenue' | 'apartmentTurnover' | 'retailTurnover'
->
+  'id' | 'revenue' | 'retailRevenue' | 'parkingRevenue' | 'otherIncome' | 'apartmentTurnover' | 'retailTurnover'
+> &
+  Partial<Pick<ProjectDetail, 'general'>>
 
 type RevenueSectionProps = {
   project: RevenueProjectSlice | null
@@ -44,7 +68,14 @@ type RevenueSectionProps = {
   defaultStartMonth: number | null
 }
 
-type ApartmentFormState = {
+type LeaseUpFormState = {
+  rentGrowthPct: string
+  leaseUpCurve: LeaseUpCurve
+  leaseUpUnitsPerMonth: string
+  leaseUpAbsorptionPct: string
+}
+
+type ApartmentFormState = LeaseUpFormState & {
   typeLabel: string
   unitSqft: string
   unitCount: string
@@ -53,7 +84,20 @@ type ApartmentFormState = {
   startMonth: string
 }
 
-type ParkingFormState = {
+type RetailLeaseFormState = {
+  leaseType: RetailLeaseType
+  tenantName: string
+  leaseTermMonths: string
+  freeRentMonths: string
+  rentSteps: string
+  camRecoveryUsd: string
+  taxRecoveryUsd: string
+  insuranceRecoveryUsd: string
+  tiAllowancePsf: string
+  leasingCommissionPct: string
+}
+
+type ParkingFormState = LeaseUpFormState & {
   typeLabel: string
   spaceCount: string
   monthlyRentUsd: string
@@ -61,6 +105,15 @@ type ParkingFormState = {
   startMonth: string
 }
 
+type OtherIncomeFormState = {
+  typeLabel: string
+  incomeType: OtherIncomeType
+  amountBasis: OtherIncomeBasis
+  monthlyAmountUsd: string
+  vacancyPct: string
+  startMonth: string
+}
+
 const parseOptionalNumber = (value: string) => {
   if (value.trim() === '') return null
   return Number(value)
@@ -82,6 +135,108 @@ const formatCurrency = (value: number) => {
 
 const getErrorMessage = (error: unknown) => (error instanceof Error ? error.message : String(error))
 
+const LEASE_UP_CURVE_LABELS: Record<LeaseUpCurve, string> = {
+  linear: 'Linear ramp',
+  s_curve: 'S-curve',
+  units_per_month: 'Fixed units per month',
+  custom: 'Custom monthly absorption',
+}
+
+const createDefaultLeaseUpForm = (): LeaseUpFormState => ({
+  rentGrowthPct: '',
+  leaseUpCurve: 'linear',
+  leaseUpUnitsPerMonth: '',
+  leaseUpAbsorptionPct: '',
+})
+
+const toLeaseUpForm = (row: LeaseUpInput): LeaseUpFormState => ({
+  rentGrowthPct: row.rentGrowthPct !== null && row.rentGrowthPct !== undefined ? String(row.rentGrowthPct) : '',
+  leaseUpCurve: row.leaseUpCurve || 'linear',
+  leaseUpUnitsPerMonth:
+    row.leaseUpUnitsPerMonth !== null && row.leaseUpUnitsPerMonth !== undefined ? String(row.leaseUpUnitsPerMonth) : '',
+  leaseUpAbsorptionPct: (row.leaseUpAbsorptionPct || []).join(', '),
+})
+
+// Absorption is typed as a comma-separated list of monthly percentages, e.g. "10, 20, 30".
+const parseAbsorptionList = (value: string) => {
+  const entries = value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+  return entries.length ? entries.map(Number) : null
+}
+
+const buildLeaseUpPayload = (form: LeaseUpFormState) => ({
+  rentGrowthPct: parseOptionalNumber(form.rentGrowthPct),
+  leaseUpCurve: form.leaseUpCurve,
+  leaseUpUnitsPerMonth: form.leaseUpCurve === 'units_per_month' ? parseOptionalNumber(form.leaseUpUnitsPerMonth) : null,
+  leaseUpAbsorptionPct: form.leaseUpCurve === 'custom' ? parseAbsorptionList(form.leaseUpAbsorptionPct) : null,
+})
+
+const RETAIL_LEASE_TYPE_LABELS: Record<RetailLeaseType, string> = {
+  gross: 'Gross',
+  nnn: 'NNN',
+  modified_gross: 'Modified gross',
+}
+
+const createDefaultRetailLeaseForm = (): RetailLeaseFormState => ({
+  leaseType: 'gross',
+  tenantName: '',
+  leaseTermMonths: '',
+  freeRentMonths: '',
+  rentSteps: '',
+  camRecoveryUsd: '',
+  taxRecoveryUsd: '',
+  insuranceRecoveryUsd: '',
+  tiAllowancePsf: '',
+  leasingCommissionPct: '',
+})
+
+const toInputValue = (value: number | string | null | undefined) =>
+  value !== null && value !== undefined ? String(value) : ''
+
+// Steps are typed as "lease month: monthly rent" pairs, e.g. "13: 4400, 25: 4600".
+const formatRentSteps = (steps: RetailRevenueRow['rentSteps']) =>
+  (steps || []).map((step) => `${step.afterMonths + 1}: ${step.monthlyRentUsd}`).join(', ')
+
+const parseRentSteps = (value: string) => {
+  const entries = value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+  if (!entries.length) return null
+  return entries.map((entry) => {
+    const [month, rent] = entry.split(':').map((part) => part.trim())
+    return { afterMonths: Number(month) - 1, monthlyRentUsd: Number(rent) }
+  })
+}
+
+const toRetailLeaseForm = (row: RetailRevenueRow): RetailLeaseFormState => ({
+  leaseType: row.leaseType || 'gross',
+  tenantName: row.tenantName || '',
+  leaseTermMonths: toInputValue(row.leaseTermMonths),
+  freeRentMonths: toInputValue(row.freeRentMonths),
+  rentSteps: formatRentSteps(row.rentSteps),
+  camRecoveryUsd: toInputValue(row.camRecoveryUsd),
+  taxRecoveryUsd: toInputValue(row.taxRecoveryUsd),
+  insuranceRecoveryUsd: toInputValue(row.insuranceRecoveryUsd),
+  tiAllowancePsf: toInputValue(row.tiAllowancePsf),
+  leasingCommissionPct: toInputValue(row.leasingCommissionPct),
+})
+
+const buildRetailLeasePayload = (form: RetailLeaseFormState) => ({
+  leaseType: form.leaseType,
+  tenantName: form.tenantName.trim() || null,
+  leaseTermMonths: parseOptionalNumber(form.leaseTermMonths),
+  freeRentMonths: parseOptionalNumber(form.freeRentMonths),
+  rentSteps: parseRentSteps(form.rentSteps),
+  camRecoveryUsd: parseOptionalNumber(form.camRecoveryUsd),
+  taxRecoveryUsd: parseOptionalNumber(form.taxRecoveryUsd),
+  insuranceRecoveryUsd: parseOptionalNumber(form.insuranceRecoveryUsd),
+  tiAllowancePsf: parseOptionalNumber(form.tiAllowancePsf),
+  leasingCommissionPct: parseOptionalNumber(form.leasingCommissionPct),
+})
+
 const createDefaultRevenueForm = (): ApartmentFormState => ({
   typeLabel: '',
   unitSqft: '',
@@ -89,6 +244,7 @@ const createDefaultRevenueForm = (): ApartmentFormState => ({
   rentBudget: '',
   vacancyPct: '5',
   startMonth: '1',
+  ...createDefaultLeaseUpForm(),
 })
 
 const createDefaultParkingForm = (): ParkingFormState => ({
@@ -97,6 +253,30 @@ const createDefaultParkingForm = (): ParkingFormState => ({
   monthlyRentUsd: '',
   vacancyPct: '5',
   startMonth: '1',
+  ...createDefaultLeaseUpForm(),
+})
+
+const OTHER_INCOME_TYPE_LABELS: Record<OtherIncomeType, string> = {
+  laundry: 'Laundry',
+  storage: 'Storage',
+  pet: 'Pet rent & fees',
+  rubs: 'Utility reimbursements (RUBS)',
+  application_fees: 'Application fees',
+  other: 'Other',
+}
+
+const OTHER_INCOME_BASIS_LABELS: Record<OtherIncomeBasis, string> = {
+  flat: 'Flat per month',
+  per_unit: 'Per apartment unit',
+}
+
+const createDefaultOtherIncomeForm = (): OtherIncomeFormState => ({
+  typeLabel: '',
+  incomeType: 'laundry',
+  amountBasis: 'flat',
+  monthlyAmountUsd: '',
+  vacancyPct: '5',
+  startMonth: '1',
 })
 
 type StartMode = 'leasing' | 'custom'
@@ -127,17 +307,23 @@ export function RevenueSection({
   const [revenueStatus, setRevenueStatus] = useState<RequestStatus>('idle')
   const [revenueForm, setRevenueForm] = useState<ApartmentFormState>(() => createDefaultRevenueForm())
   const [retailForm, setRetailForm] = useState<ApartmentFormState>(() => createDefaultRevenueForm())
+  const [retailLeaseForm, setRetailLeaseForm] = useState<RetailLeaseFormState>(() => createDefaultRetailLeaseForm())
   const [parkingForm, setParkingForm] = useState<ParkingFormState>(() => createDefaultParkingForm())
+  const [otherIncomeForm, setOtherIncomeForm] = useState<OtherIncomeFormState>(() => createDefaultOtherIncomeForm())
   const [editingRevenueId, setEditingRevenueId] = useState<EntityId | null>(null)
   const [editingRetailId, setEditingRetailId] = useState<EntityId | null>(null)
   const [editingParkingId, setEditingParkingId] = useState<EntityId | null>(null)
+  const [editingOtherIncomeId, setEditingOtherIncomeId] = useState<EntityId | null>(null)
   const [pendingRevenueDeleteId, setPendingRevenueDeleteId] = useState<EntityId | null>(null)
   const [pendingRetailDeleteId, setPendingRetailDeleteId] = useState<EntityId | null>(null)
   const [pendingParkingDeleteId, setPendingParkingDeleteId] = useState<EntityId | null>(null)
+  const [pendingOtherIncomeDeleteId, setPendingOtherIncomeDeleteId] = useState<EntityId | null>(null)
   const [retailDeleteStatus, setRetailDeleteStatus] = useState<RequestStatus>('idle')
   const [retailDeleteError, setRetailDeleteError] = useState('')
   const [parkingDeleteStatus, setParkingDeleteStatus] = useState<RequestStatus>('idle')
   const [parkingDeleteError, setParkingDeleteError] = useState('')
+  const [otherIncomeDeleteStatus, setOtherIncomeDeleteStatus] = useState<RequestStatus>('idle')
+  const [otherIncomeDeleteError, setOtherIncomeDeleteError] = useState('')
   const [revenueMenuOpen, setRevenueMenuOpen] = useState(false)
   const revenueMenuRef = useRef<HTMLDivElement | null>(null)
   const [turnoverPctInput, setTurnoverPctInput] = useState('')
@@ -149,10 +335,13 @@ export function RevenueSection({
   const [apartmentStartMode, setApartmentStartMode] = useState<StartMode>(initialStartMode)
   const [retailStartMode, setRetailStartMode] = useState<StartMode>(initialStartMode)
   const [parkingStartMode, setParkingStartMode] = useState<StartMode>(initialStartMode)
+  const [otherIncomeStartMode, setOtherIncomeStartMode] = useState<StartMode>(initialStartMode)
 
   const apartmentRows: ApartmentRevenueRow[] = project?.revenue ?? []
   const retailRows: RetailRevenueRow[] = project?.retailRevenue ?? []
   const parkingRows: ParkingRevenueRow[] = project?.parkingRevenue ?? []
+  const otherIncomeRows: OtherIncomeRow[] = useMemo(() => project?.otherIncome ?? [], [project?.otherIncome])
+  const apartmentUnits = countApartmentUnits(apartmentRows, project?.general?.targetUnits)
   const isEditingApartment = Boolean(editingRevenueId)
   const isUnitModal = revenueModalType === 'apartment' || revenueModalType === 'retail'
   const activeUnitForm = revenueModalType === 'retail' ? retailForm : revenueForm
@@ -162,6 +351,137 @@ export function RevenueSection({
   const unitModalLabel = revenueModalType === 'retail' ? 'Retail' : 'Apartment'
   const isEditingRetail = Boolean(editingRetailId)
   const isEditingParking = Boolean(editingParkingId)
+  const isEditingOtherIncome = Boolean(editingOtherIncomeId)
+
+  const renderLeaseUpFields = (
+    form: LeaseUpFormState,
+    onChange: (field: keyof LeaseUpFormState, value: string) => void,
+    unitNoun: string,
+  ) => (
+    <>
+      <label>
+        Annual rent growth %
+        <input
+          type="number"
+          step="0.1"
+          value={form.rentGrowthPct}
+          onChange={(e) => onChange('rentGrowthPct', e.target.value)}
+          disabled={revenueStatus === 'saving'}
+        />
+      </label>
+      <label>
+        Lease-up curve
+        <select
+          value={form.leaseUpCurve}
+          onChange={(e) => onChange('leaseUpCurve', e.target.value)}
+          disabled={revenueStatus === 'saving'}
+        >
+          {LEASE_UP_CURVES.map((curve) => (
+            <option key={curve} value={curve}>
+              {LEASE_UP_CURVE_LABELS[curve]}
+            </option>
+          ))}
+        </select>
+      </label>
+      {form.leaseUpCurve === 'units_per_month' && (
+        <label>
+          {`${unitNoun} leased per month`}
+          <input
+            type="number"
+            min="0"
+            value={form.leaseUpUnitsPerMonth}
+            onChange={(e) => onChange('leaseUpUnitsPerMonth', e.target.value)}
+            disabled={revenueStatus === 'saving'}
+            required
+          />
+        </label>
+      )}
+      {form.leaseUpCurve === 'custom' && (
+        <label>
+          Monthly absorption % (comma separated)
+          <input
+            type="text"
+            placeholder="10, 20, 30, 40"
+            value={form.leaseUpAbsorptionPct}
+            onChange={(e) => onChange('leaseUpAbsorptionPct', e.target.value)}
+            disabled={revenueStatus === 'saving'}
+            required
+          />
+        </label>
+      )}
+    </>
+  )
+  const updateRetailLeaseField = (field: keyof RetailLeaseFormState) => (e: { target: { value: string } }) =>
+    setRetailLeaseForm((prev) => ({ ...prev, [field]: e.target.value }))
+
+  const renderRetailLeaseFields = () => {
+    const form = retailLeaseForm
+    const recovers = (field: 'cam' | 'taxInsurance') =>
+      form.leaseType === 'nnn' || (field === 'cam' && form.leaseType === 'modified_gross')
+    const lease = summarizeRetailLease(buildRetailPayload())
+    const numberField = (label: string, field: keyof RetailLeaseFormState, step = '1') => (
+      <label>
+        {label}
+        <input
+          type="number"
+          min="0"
+          step={step}
+          value={form[field]}
+          onChange={updateRetailLeaseField(field)}
+          disabled={revenueStatus === 'saving'}
+        />
+      </label>
+    )
+    return (
+      <>
+        <label>
+          Lease type
+          <select
+            value={form.leaseType}
+            onChange={updateRetailLeaseField('leaseType')}
+            disabled={revenueStatus === 'saving'}
+          >
+            {RETAIL_LEASE_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {RETAIL_LEASE_TYPE_LABELS[type]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Tenant
+          <input
+            type="text"
+            value={form.tenantName}
+            onChange={updateRetailLeaseField('tenantName')}
+            disabled={revenueStatus === 'saving'}
+          />
+        </label>
+        {numberField('Lease term (months)', 'leaseTermMonths')}
+        {numberField('Free rent (months)', 'freeRentMonths')}
+        <label>
+          Rent steps (lease month: monthly rent)
+          <input
+            type="text"
+            placeholder="13: 4400, 25: 4600"
+            value={form.rentSteps}
+            onChange={updateRetailLeaseField('rentSteps')}
+            disabled={revenueStatus === 'saving'}
+          />
+        </label>
+        {recovers('cam') && numberField('CAM recovery / month (USD)', 'camRecoveryUsd', '0.01')}
+        {recovers('taxInsurance') && numberField('Tax recovery / month (USD)', 'taxRecoveryUsd', '0.01')}
+        {recovers('taxInsurance') && numberField('Insurance recovery / month (USD)', 'insuranceRecoveryUsd', '0.01')}
+        {numberField('TI allowance ($ / sqft)', 'tiAllowancePsf', '0.01')}
+        {numberField('Leasing commission %', 'leasingCommissionPct', '0.1')}
+        <p className="muted tiny">
+          {`TI ${formatCurrency(lease.tiUsd)} and leasing commission ${formatCurrency(lease.leasingCommissionUsd)} `}
+          are added to lease-up costs at commencement.
+        </p>
+      </>
+    )
+  }
+
   const deriveStartMode = useCallback(
     (value?: number | null): StartMode => {
       if (!hasDefaultStart || clampedDefaultStart === null) return 'custom'
@@ -182,34 +502,43 @@ export function RevenueSection({
 
   const totalMonthlyRevenue = useMemo(() => {
     const apartments = apartmentRows.reduce((sum, row) => sum + calculateNetRevenue(row), 0)
-    const retail = retailRows.reduce((sum, row) => sum + calculateNetRevenue(row), 0)
+    const retail = retailRows.reduce((sum, row) => sum + calculateNetRetailRevenue(row), 0)
     const parking = parkingRows.reduce((sum, row) => sum + calculateNetParking(row), 0)
-    return apartments + retail + parking
-  }, [apartmentRows, retailRows, parkingRows])
+    const other = otherIncomeRows.reduce((sum, row) => sum + calculateNetOtherIncome(row, apartmentUnits), 0)
+    return apartments + retail + parking + other
+  }, [apartmentRows, retailRows, parkingRows, otherIncomeRows, apartmentUnits])
 
   const apartmentMonthlyTotal = useMemo(() => {
     return apartmentRows.reduce((sum, row) => sum + calculateNetRevenue(row), 0)
   }, [apartmentRows])
 
   const retailMonthlyTotal = useMemo(() => {
-    return retailRows.reduce((sum, row) => sum + calculateNetRevenue(row), 0)
+    return retailRows.reduce((sum, row) => sum + calculateNetRetailRevenue(row), 0)
   }, [retailRows])
 
   const parkingMonthlyTotal = useMemo(() => {
     return parkingRows.reduce((sum, row) => sum + calculateNetParking(row), 0)
   }, [parkingRows])
 
+  const otherIncomeMonthlyTotal = useMemo(() => {
+    return otherIncomeRows.reduce((sum, row) => sum + calculateNetOtherIncome(row, apartmentUnits), 0)
+  }, [otherIncomeRows, apartmentUnits])
+
   const resetRevenueForms = useCallback(() => {
     setRevenueForm(createDefaultRevenueForm())
     setRetailForm(createDefaultRevenueForm())
+    setRetailLeaseForm(createDefaultRetailLeaseForm())
     setParkingForm(createDefaultParkingForm())
+    setOtherIncomeForm(createDefaultOtherIncomeForm())
     setEditingRevenueId(null)
     setEditingRetailId(null)
     setEditingParkingId(null)
+    setEditingOtherIncomeId(null)
     setRevenueModalType('apartment')
     setApartmentStartMode(initialStartMode)
     setRetailStartMode(initialStartMode)
     setParkingStartMode(initialStartMode)
+    setOtherIncomeStartMode(initialStartMode)
   }, [initialStartMode])
 
   useEffect(() => {
@@ -233,6 +562,9 @@ export function RevenueSection({
      setRetailDeleteStatus('idle')
     setParkingDeleteError('')
     setParkingDeleteStatus('idle')
+    setPendingOtherIncomeDeleteId(null)
+    setOtherIncomeDeleteError('')
+    setOtherIncomeDeleteStatus('idle')
   }, [projectId, resetRevenueForms])
 
   useEffect(() => {
@@ -240,6 +572,7 @@ export function RevenueSection({
       setApartmentStartMode('custom')
       setRetailStartMode('custom')
       setParkingStartMode('custom')
+      setOtherIncomeStartMode('custom')
     }
   }, [hasDefaultStart])
 
@@ -287,6 +620,7 @@ export function RevenueSection({
       rentBudget: row.rentBudget !== null && row.rentBudget !== undefined ? String(row.rentBudget) : '',
       vacancyPct: row.vacancyPct !== null && row.vacancyPct !== undefined ? String(row.vacancyPct) : '5',
       startMonth: formatOffsetForInput(row.startMonth),
+      ...toLeaseUpForm(row),
     })
     setRevenueModalType('apartment')
     setEditingRevenueId(row.id)
@@ -304,7 +638,9 @@ export function RevenueSection({
       rentBudget: row.rentBudget !== null && row.rentBudget !== undefined ? String(row.rentBudget) : '',
       vacancyPct: row.vacancyPct !== null && row.vacancyPct !== undefined ? String(row.vacancyPct) : '5',
       startMonth: formatOffsetForInput(row.startMonth),
+      ...toLeaseUpForm(row),
     })
+    setRetailLeaseForm(toRetailLeaseForm(row))
     setRevenueModalType('retail')
     setEditingRetailId(row.id)
     setEditingRevenueId(null)
@@ -322,6 +658,7 @@ export function RevenueSection({
         row.monthlyRentUsd !== null && row.monthlyRentUsd !== undefined ? String(row.monthlyRentUsd) : '',
       vacancyPct: row.vacancyPct !== null && row.vacancyPct !== undefined ? String(row.vacancyPct) : '5',
       startMonth: formatOffsetForInput(row.startMonth),
+      ...toLeaseUpForm(row),
     })
     setRevenueModalType('parking')
     setEditingParkingId(row.id)
@@ -330,6 +667,23 @@ export function RevenueSection({
     setIsRevenueModalOpen(true)
   }
 
+  const startEditOtherIncome = (row: OtherIncomeRow) => {
+    setRevenueModalError('')
+    setOtherIncomeForm({
+      typeLabel: row.typeLabel || '',
+      incomeType: row.incomeType || 'other',
+      amountBasis: row.amountBasis || 'flat',
+      monthlyAmountUsd: toInputValue(row.monthlyAmountUsd),
+      vacancyPct: row.vacancyPct !== null && row.vacancyPct !== undefined ? String(row.vacancyPct) : '5',
+      startMonth: formatOffsetForInput(row.startMonth),
+    })
+    setRevenueModalType('other')
+    setEditingOtherIncomeId(row.id)
+    setEditingRevenueId(null)
+    setOtherIncomeStartMode(deriveStartMode(row.startMonth))
+    setIsRevenueModalOpen(true)
+  }
+
   const buildApartmentPayload = () => ({
     typeLabel: revenueForm.typeLabel.trim(),
     unitSqft: parseOptionalNumber(revenueForm.unitSqft),
@@ -337,6 +691,7 @@ export function RevenueSection({
     rentBudget: parseOptionalNumber(revenueForm.rentBudget),
     vacancyPct: parseNumberWithDefault(revenueForm.vacancyPct, 5),
     startMonth: resolveStartMonth(apartmentStartMode, revenueForm.startMonth),
+    ...buildLeaseUpPayload(revenueForm),
   })
 
   const buildRetailPayload = () => ({
@@ -346,6 +701,8 @@ export function RevenueSection({
     rentBudget: parseOptionalNumber(retailForm.rentBudget),
     vacancyPct: parseNumberWithDefault(retailForm.vacancyPct, 5),
     startMonth: resolveStartMonth(retailStartMode, retailForm.startMonth),
+    ...buildLeaseUpPayload(retailForm),
+    ...buildRetailLeasePayload(retailLeaseForm),
   })
 
   const buildParkingPayload = () => ({
@@ -354,6 +711,16 @@ export function RevenueSection({
     monthlyRentUsd: parseOptionalNumber(parkingForm.monthlyRentUsd),
     vacancyPct: parseNumberWithDefault(parkingForm.vacancyPct, 5),
     startMonth: resolveStartMonth(parkingStartMode, parkingForm.startMonth),
+    ...buildLeaseUpPayload(parkingForm),
+  })
+
+  const buildOtherIncomePayload = () => ({
+    typeLabel: otherIncomeForm.typeLabel.trim(),
+    incomeType: otherIncomeForm.incomeType,
+    amountBasis: otherIncomeForm.amountBasis,
+    monthlyAmountUsd: parseOptionalNumber(otherIncomeForm.monthlyAmountUsd),
+    vacancyPct: parseNumberWithDefault(otherIncomeForm.vacancyPct, 5),
+    startMonth: resolveStartMonth(otherIncomeStartMode, otherIncomeForm.startMonth),
   })
 
   const buildTurnoverPayload = () => ({
@@ -413,6 +780,17 @@ export function RevenueSection({
         } else {
           await createRetailRevenue(projectId, validation.data)
         }
+      } else if (revenueModalType === 'other') {
+        const payload = buildOtherIncomePayload()
+        const validation = otherIncomeInputSchema.safeParse(payload)
+        if (!validation.success) {
+          throw new Error(formatZodErrors(validation.error))
+        }
+        if (editingOtherIncomeId) {
+          await updateOtherIncome(projectId, editingOtherIncomeId, validation.data)
+        } else {
+          await createOtherIncome(projectId, validation.data)
+        }
       } else {
         const payload = buildParkingPayload()
         const validation = parkingRevenueInputSchema.safeParse(payload)
@@ -516,6 +894,33 @@ export function RevenueSection({
     setParkingDeleteStatus('idle')
   }
 
+  const handleDeleteOtherIncome = (id: EntityId) => {
+    if (!projectId) return
+    setOtherIncomeDeleteError('')
+    setPendingOtherIncomeDeleteId(id)
+  }
+
+  const confirmDeleteOtherIncome = async () => {
+    if (!projectId || !pendingOtherIncomeDeleteId) return
+    setOtherIncomeDeleteStatus('saving')
+    try {
+      await deleteOtherIncome(projectId, pendingOtherIncomeDeleteId)
+      setPendingOtherIncomeDeleteId(null)
+      setOtherIncomeDeleteStatus('idle')
+      await refreshProject()
+    } catch (err) {
+      setOtherIncomeDeleteStatus('error')
+      setOtherIncomeDeleteError(getErrorMessage(err))
+    }
+  }
+
+  const cancelDeleteOtherIncome = () => {
+    if (otherIncomeDeleteStatus === 'saving') return
+    setPendingOtherIncomeDeleteId(null)
+    setOtherIncomeDeleteError('')
+    setOtherIncomeDeleteStatus('idle')
+  }
+
   if (!project || !projectId) {
     return (
       <div className="revenue-tab">
@@ -544,6 +949,9 @@ export function RevenueSection({
                 <button type="button" onClick={() => openRevenueModal('parking')}>
                   Parking Type
                 </button>
+                <button type="button" onClick={() => openRevenueModal('other')}>
+                  Other Income
+                </button>
               </div>
             )}
           </div>
@@ -710,6 +1118,7 @@ export function RevenueSection({
                   <th>SqFt</th>
                   <th>Units</th>
                   <th>Rent (USD)</th>
+                  <th>Lease</th>
                   <th>Vacancy %</th>
                   <th>Start Month</th>
                   <th>Net Monthly</th>
@@ -718,13 +1127,25 @@ export function RevenueSection({
               </thead>
               <tbody>
                 {retailRows.map((row) => {
-                  const netMonthly = calculateNetRevenue(row)
+                  const netMonthly = calculateNetRetailRevenue(row)
+                  const lease = summarizeRetailLease(row)
                   return (
                     <tr key={row.id}>
-                      <td>{row.typeLabel}</td>
+                      <td>
+                        {row.typeLabel}
+                        {row.tenantName && <div className="muted tiny">{row.tenantName}</div>}
+                      </td>
                       <td>{row.unitSqft || '—'}</td>
                       <td>{row.unitCount || '—'}</td>
                       <td>{row.rentBudget ? `$${row.rentBudget.toLocaleString()}` : '—'}</td>
+                      <td>
+                        {RETAIL_LEASE_TYPE_LABELS[lease.leaseType]}
+                        <div className="muted tiny">
+                          {lease.expirationMonth === null
+                            ? 'No expiration'
+                            : `Expires Month ${formatOffsetForInput(lease.expirationMonth)}`}
+                        </div>
+                      </td>
                       <td>{row.vacancyPct ?? 5}%</td>
                       <td>
                         <div className="month-label">
@@ -752,7 +1173,7 @@ export function RevenueSection({
                 })}
                 {retailRows.length === 0 && (
                   <tr>
-                    <td colSpan={8}>No retail revenue yet.</td>
+                    <td colSpan={9}>No retail revenue yet.</td>
                   </tr>
                 )}
               </tbody>
@@ -831,9 +1252,85 @@ export function RevenueSection({
             </div>
           </section>
 
+          <section className="revenue-section">
+            <div className="section-header">
+              <h4>Other Income</h4>
+              <p className="muted tiny">Laundry, storage, pet fees, RUBS and other ancillary income</p>
+            </div>
+            <div className="revenue-section-summary">
+              <div>
+                <span>Monthly</span>
+                <strong>{formatCurrency(otherIncomeMonthlyTotal)}</strong>
+              </div>
+              <div>
+                <span>Annualized</span>
+                <strong>{formatCurrency(otherIncomeMonthlyTotal * 12)}</strong>
+              </div>
+            </div>
+            <div className="table-scroll">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Type</th>
+                    <th>Category</th>
+                    <th>Amount (USD)</th>
+                    <th>Vacancy %</th>
+                    <th>Start Month</th>
+                    <th>Net Monthly</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {otherIncomeRows.map((row) => {
+                    const netMonthly = calculateNetOtherIncome(row, apartmentUnits)
+                    const basis = row.amountBasis || 'flat'
+                    return (
+                      <tr key={row.id}>
+                        <td>{row.typeLabel}</td>
+                        <td>{OTHER_INCOME_TYPE_LABELS[row.incomeType || 'other']}</td>
+                        <td>
+                          {row.monthlyAmountUsd
+                            ? `$${row.monthlyAmountUsd.toLocaleString()}${basis === 'per_unit' ? ' / unit' : ''}`
+                            : '—'}
+                        </td>
+                        <td>{row.vacancyPct ?? 5}%</td>
+                        <td>
+                          <div className="month-label">
+                            <span>{`Month ${formatOffsetForInput(row.startMonth ?? 0)}`}</span>
+                            <span className="month-calendar">{getCalendarLabelForOffset(row.startMonth ?? 0)}</span>
+                          </div>
+                        </td>
+                        <td>
+                          {netMonthly
+                            ? `$${netMonthly.toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`
+                            : '—'}
+                        </td>
+                        <td>
+                          <div className="row-actions">
+                            <button type="button" className="icon-button" onClick={() => startEditOtherIncome(row)}>
+                              ✏️
+                            </button>
+                            <button type="button" className="icon-delete" onClick={() => handleDeleteOtherIncome(row.id)}>
+                              🗑
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    )
+                  })}
+                  {otherIncomeRows.length === 0 && (
+                    <tr>
+                      <td colSpan={7}>No other income yet.</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
           <div className="revenue-summary">
             <div>
-              <span>Total Monthly (Apartments + Retail + Parking)</span>
+              <span>Total Monthly (Apartments + Retail + Parking + Other)</span>
               <strong>{formatCurrency(totalMonthlyRevenue)}</strong>
             </div>
             <div>
@@ -856,9 +1353,13 @@ export function RevenueSection({
                   ? isEditingRetail
                     ? 'Edit Retail Type'
                     : 'Add Retail Type'
-                  : isEditingParking
-                    ? 'Edit Parking Type'
-                    : 'Add Parking Type'}
+                  : revenueModalType === 'other'
+                    ? isEditingOtherIncome
+                      ? 'Edit Other Income'
+                      : 'Add Other Income'
+                    : isEditingParking
+                      ? 'Edit Parking Type'
+                      : 'Add Parking Type'}
             </h3>
             <form className="modal-form" onSubmit={handleAddRevenue}>
               {isUnitModal && (
@@ -949,6 +1450,12 @@ export function RevenueSection({
                       </>
                     )}
                   </div>
+                  {renderLeaseUpFields(
+                    activeUnitForm,
+                    (field, value) => updateUnitForm((prev) => ({ ...prev, [field]: value })),
+                    'Units',
+                  )}
+                  {revenueModalType === 'retail' && renderRetailLeaseFields()}
                 </>
               )}
 
@@ -1031,6 +1538,118 @@ export function RevenueSection({
                       </>
                     )}
                   </div>
+                  {renderLeaseUpFields(
+                    parkingForm,
+                    (field, value) => setParkingForm((prev) => ({ ...prev, [field]: value })),
+                    'Spaces',
+                  )}
+                </>
+              )}
+
+              {revenueModalType === 'other' && (
+                <>
+                  <label>
+                    Type label
+                    <input
+                      type="text"
+                      value={otherIncomeForm.typeLabel}
+                      onChange={(e) => setOtherIncomeForm((prev) => ({ ...prev, typeLabel: e.target.value }))}
+                      disabled={revenueStatus === 'saving'}
+                      required
+                    />
+                  </label>
+                  <label>
+                    Category
+                    <select
+                      value={otherIncomeForm.incomeType}
+                      onChange={(e) =>
+                        setOtherIncomeForm((prev) => ({ ...prev, incomeType: e.target.value as OtherIncomeType }))
+                      }
+                      disabled={revenueStatus === 'saving'}
+                    >
+                      {OTHER_INCOME_TYPES.map((type) => (
+                        <option key={type} value={type}>
+                          {OTHER_INCOME_TYPE_LABELS[type]}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Amount basis
+                    <select
+                      value={otherIncomeForm.amountBasis}
+                      onChange={(e) =>
+                        setOtherIncomeForm((prev) => ({ ...prev, amountBasis: e.target.value as OtherIncomeBasis }))
+                      }
+                      disabled={revenueStatus === 'saving'}
+                    >
+                      {OTHER_INCOME_BASES.map((basis) => (
+                        <option key={basis} value={basis}>
+                          {OTHER_INCOME_BASIS_LABELS[basis]}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    {otherIncomeForm.amountBasis === 'per_unit'
+                      ? `Monthly amount per unit (USD, ${apartmentUnits} units)`
+                      : 'Monthly amount (USD)'}
+                    <input
+                      type="number"
+                      value={otherIncomeForm.monthlyAmountUsd}
+                      onChange={(e) => setOtherIncomeForm((prev) => ({ ...prev, monthlyAmountUsd: e.target.value }))}
+                      disabled={revenueStatus === 'saving'}
+                    />
+                  </label>
+                  <label>
+                    Vacancy %
+                    <input
+                      type="number"
+                      value={otherIncomeForm.vacancyPct}
+                      onChange={(e) => setOtherIncomeForm((prev) => ({ ...prev, vacancyPct: e.target.value }))}
+                      disabled={revenueStatus === 'saving'}
+                    />
+                  </label>
+                  <div className="start-month-control">
+                    <span className="field-label">Start Month</span>
+                    <div className="start-options">
+                      <label>
+                        <input
+                          type="radio"
+                          name="other-income-start-mode"
+                          value="leasing"
+                          disabled={!hasDefaultStart}
+                          checked={otherIncomeStartMode === 'leasing' && hasDefaultStart}
+                          onChange={() => setOtherIncomeStartMode('leasing')}
+                        />
+                        At leasing start{' '}
+                        {hasDefaultStart ? <span>{defaultStartText}</span> : <em>(set Start Leasing Date in General tab)</em>}
+                      </label>
+                      <label>
+                        <input
+                          type="radio"
+                          name="other-income-start-mode"
+                          value="custom"
+                          checked={!hasDefaultStart || otherIncomeStartMode === 'custom'}
+                          onChange={() => setOtherIncomeStartMode('custom')}
+                        />
+                        Custom
+                      </label>
+                    </div>
+                    {hasDefaultStart && otherIncomeStartMode === 'leasing' ? (
+                      <div className="month-hint">{defaultStartText}</div>
+                    ) : (
+                      <>
+                        <input
+                          type="number"
+                          value={otherIncomeForm.startMonth}
+                          onChange={(e) => setOtherIncomeForm((prev) => ({ ...prev, startMonth: e.target.value }))}
+                          disabled={revenueStatus === 'saving'}
+                        />
+                        <span className="month-hint">{getCalendarLabelForInput(otherIncomeForm.startMonth)}</span>
+                      </>
+                    )}
+                  </div>
                 </>
               )}
 
@@ -1055,9 +1674,13 @@ export function RevenueSection({
                         ? isEditingRetail
                           ? 'Save Changes'
                           : 'Save Retail Type'
-                        : isEditingParking
-                          ? 'Save Changes'
-                          : 'Save Parking Type'}
+                        : revenueModalType === 'other'
+                          ? isEditingOtherIncome
+                            ? 'Save Changes'
+                            : 'Save Other Income'
+                          : isEditingParking
+                            ? 'Save Changes'
+                            : 'Save Parking Type'}
                 </button>
               </div>
             </form>
@@ -1100,6 +1723,34 @@ export function RevenueSection({
         </div>
       )}
 
+      {pendingOtherIncomeDeleteId && (
+        <div className="modal-backdrop">
+          <div className="modal-panel">
+            <h3>Delete other income row?</h3>
+            <p>Are you sure you want to remove this income line?</p>
+            {otherIncomeDeleteError && <p className="error">{otherIncomeDeleteError}</p>}
+            <div className="modal-actions">
+              <button
+                type="button"
+                className="ghost"
+                onClick={cancelDeleteOtherIncome}
+                disabled={otherIncomeDeleteStatus === 'saving'}
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                className="danger"
+                onClick={confirmDeleteOtherIncome}
+                disabled={otherIncomeDeleteStatus === 'saving'}
+              >
+                {otherIncomeDeleteStatus === 'saving' ? 'Deleting…' : 'Delete'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {pendingRetailDeleteId && (
         <div className="modal-backdrop">
           <div className="modal-panel">
@@ -0,0 +1,90 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import userEvent from '@testing-library/user-event'
+import { screen, waitFor } from '@testing-library/react'
+import { renderWithProviders } from '../../../../test/setup/renderWithProviders'
+import { RentRollImportModal } from '../RentRollImportModal'
+
+type ApiModule = typeof import('../../../api.js')
+
+const mockApi = vi.hoisted(() => ({
+  previewRentRollImport: vi.fn(),
+  importRentRoll: vi.fn(),
+}))
+
+vi.mock('../../../api.js', async (importOriginal) => {
+  const actual = (await importOriginal()) as ApiModule
+  return {
+    ...actual,
+    previewRentRollImport: mockApi.previewRentRollImport,
+    importRentRoll: mockApi.importRentRoll,
+  }
+})
+
+const updatedUnit = { unitNumber: '101', typeLabel: '1bd', contractRent: 1400, marketRent: 1550, status: 'occupied' }
+const newUnit = { unitNumber: '201', typeLabel: '2bd', contractRent: null, marketRent: 2100, status: 'vacant' }
+
+const buildPreview = (duplicate: boolean) => ({
+  fields: [
+    { id: 'unitNumber', label: 'Unit' },
+    { id: 'typeLabel', label: 'Unit type' },
+  ],
+  headers: ['Unit', 'Type', 'Rent'],
+  mapping: { unitNumber: 0, typeLabel: 1 },
+  rows: [
+    { rowNumber: 2, cells: [], payload: updatedUnit, action: 'update', changes: ['contractRent'], error: null },
+    { rowNumber: 3, cells: [], payload: newUnit, action: 'create', changes: [], error: null },
+    ...(duplicate
+      ? [
+          {
+            rowNumber: 4,
+            cells: [],
+            payload: updatedUnit,
+            action: null,
+            changes: [],
+            error: 'Duplicate unit 101 (first seen on row 2)',
+          },
+        ]
+      : []),
+  ],
+  types: [
+    { key: '1bd', typeLabel: '1bd', target: 'apartment', currentUnitCount: 10, importedUnitCount: 1, currentRentBudget: 1500, importedMarketRent: 1550 },
+    { key: '2bd', typeLabel: '2bd', target: 'new', currentUnitCount: null, importedUnitCount: 1, currentRentBudget: null, importedMarketRent: 2100 },
+  ],
+  missingUnits: [{ id: 'u999', unitNumber: '999' }],
+  counts: { create: 1, update: 1, unchanged: 0, error: duplicate ? 1 : 0 },
+})
+
+describe('RentRollImportModal', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('blocks duplicates, shows the type diff and applies the whole roll', async () => {
+    mockApi.previewRentRollImport.mockResolvedValueOnce(buildPreview(true)).mockResolvedValueOnce(buildPreview(false))
+    mockApi.importRentRoll.mockResolvedValue({ created: 1, updated: 1 })
+    const onClose = vi.fn()
+    const onImported = vi.fn().mockResolvedValue(undefined)
+    const user = userEvent.setup()
+
+    renderWithProviders(<RentRollImportModal projectId="proj-1" onClose={onClose} onImported={onImported} />)
+
+    const file = new File(['Unit,Type,Rent\n'], 'roll.csv', { type: 'text/csv' })
+    await user.upload(screen.getByLabelText('Rent roll file'), file)
+
+    expect(await screen.findByText('Duplicate unit 101 (first seen on row 2)')).toBeInTheDocument()
+    expect(screen.getByText('New apartment type')).toBeInTheDocument()
+    expect(screen.getByText('Update: contractRent')).toBeInTheDocument()
+    expect(screen.getByText(/Not in file \(kept\): 999/)).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Apply 2 unit changes' })).toBeDisabled()
+
+    await user.selectOptions(screen.getByLabelText('Unit type'), '')
+    await waitFor(() =>
+      expect(mockApi.previewRentRollImport).toHaveBeenLastCalledWith('proj-1', file, { unitNumber: 0 }),
+    )
+
+    await user.click(await screen.findByRole('button', { name: 'Apply 2 unit changes' }))
+    await waitFor(() => expect(mockApi.importRentRoll).toHaveBeenCalledWith('proj-1', [updatedUnit, newUnit]))
+    expect(onClose).toHaveBeenCalled()
+    expect(onImported).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest'
+import { screen, within } from '@testing-library/react'
+import { renderWithProviders } from '../../../../test/setup/renderWithProviders'
+import { RentRollSection } from '../RentRollSection'
+import type { ProjectDetail } from '../../../types'
+
+const project = {
+  id: 'proj-1',
+  revenue: [{ id: 'one-bed', typeLabel: '1bd/1bth', unitCount: 3, rentBudget: 1500, vacancyPct: 5, startMonth: 0 }],
+  rentRoll: [
+    {
+      id: 'u1',
+      apartmentTypeId: 'one-bed',
+      unitNumber: '101',
+      tenantName: 'J. Rivera',
+      leaseStart: '2026-01-01',
+      leaseEnd: '2026-12-31',
+      contractRent: 1400,
+      marketRent: 1550,
+      status: 'occupied',
+      updatedAt: null,
+    },
+    {
+      id: 'u2',
+      apartmentTypeId: 'one-bed',
+      unitNumber: '102',
+      contractRent: null,
+      marketRent: 1550,
+      status: 'vacant',
+      updatedAt: null,
+    },
+  ],
+} as unknown as ProjectDetail
+
+describe('RentRollSection', () => {
+  it('shows the type roll-up and each unit', () => {
+    renderWithProviders(<RentRollSection project={project} projectId="proj-1" />)
+
+    const [rollupTable, unitsTable] = screen.getAllByRole('table')
+    const typeRow = within(within(rollupTable).getByText('1bd/1bth').closest('tr') as HTMLElement)
+    expect(typeRow.getByText('50.0%')).toBeInTheDocument()
+    expect(typeRow.getByText('$1,400')).toBeInTheDocument()
+    expect(typeRow.getByText('$150 (9.7%)')).toBeInTheDocument()
+    expect(typeRow.getByText('$3,000')).toBeInTheDocument()
+    expect(typeRow.getByText('-$1,600')).toBeInTheDocument()
+
+    const unitRow = within(within(unitsTable).getByText('J. Rivera').closest('tr') as HTMLElement)
+    expect(unitRow.getByText('101')).toBeInTheDocument()
+    expect(unitRow.getByText('Occupied')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Edit unit 102' })).toBeInTheDocument()
+  })
+})
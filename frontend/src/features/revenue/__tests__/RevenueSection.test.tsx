@@ -5,8 +5,10 @@ import { renderWithProviders } from '../../../../test/setup/renderWithProviders'
 import { RevenueSection } from '../RevenueSection'
 
 vi.mock('../revenueHelpers.js', () => ({
+  calculateNetOtherIncome: () => 0,
   calculateNetParking: () => 0,
   calculateNetRevenue: () => 0,
+  countApartmentUnits: () => 0,
   gpPartners: [
     { id: 'darmon', label: 'Darmon' },
     { id: 'sherman', label: 'Sherman' },
@@ -18,6 +20,7 @@ const baseProject = {
   revenue: [],
   retailRevenue: [],
   parkingRevenue: [],
+  otherIncome: [],
   gpContributions: [],
   apartmentTurnover: {
     turnoverPct: null,
@@ -62,5 +65,43 @@ describe('RevenueSection', () => {
       expect(screen.getByRole('alert')).toHaveTextContent(/failed to add revenue item/i)
     })
   })
+
+  it('lists other income lines and opens the other income modal', async () => {
+    const user = userEvent.setup()
+    renderWithProviders(
+      <RevenueSection
+        project={{
+          ...baseProject,
+          otherIncome: [
+            {
+              id: 'other-1',
+              typeLabel: 'Pet rent',
+              incomeType: 'pet',
+              amountBasis: 'per_unit',
+              monthlyAmountUsd: 35,
+              vacancyPct: 10,
+              startMonth: 0,
+            },
+          ],
+        }}
+        projectId="proj-1"
+        onProjectRefresh={vi.fn()}
+        formatOffsetForInput={(offset) => String(offset)}
+        getCalendarLabelForOffset={() => ''}
+        getCalendarLabelForInput={() => ''}
+        convertMonthInputToOffset={(value) => Number(value)}
+        defaultStartMonth={0}
+      />,
+    )
+
+    expect(screen.getByText('Pet rent & fees')).toBeInTheDocument()
+    expect(screen.getByText('$35 / unit')).toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: /add/i }))
+    await user.click(screen.getByRole('button', { name: /other income/i }))
+
+    expect(screen.getByRole('heading', { name: /add other income/i })).toBeInTheDocument()
+    expect(screen.getByLabelText(/amount basis/i)).toHaveValue('flat')
+  })
 })
 
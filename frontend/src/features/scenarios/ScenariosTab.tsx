@@ -0,0 +1,311 @@
+import { FormEvent, useEffect, useMemo, useState } from 'react'
+import { compareScenarios } from '@ds-proforma/cashflow'
+import type { ScenarioSummary } from '@ds-proforma/cashflow'
+import { createProjectScenario, deleteProjectScenario, updateProjectScenario } from '../../api.js'
+import { formatCurrency } from '../carrying/carryingHelpers.js'
+import { formatPercent } from '../returns/returnsHelpers.js'
+import {
+  adjustmentsToForm,
+  createEmptyAdjustmentsForm,
+  describeAdjustments,
+  formToAdjustments,
+  scenarioAdjustmentFields,
+  scenarioComparisonRows,
+} from './scenariosHelpers.js'
+import type { EntityId, ProjectDetail, ProjectScenario } from '../../types'
+
+type RequestStatus = 'idle' | 'saving' | 'error'
+
+type ScenariosTabProps = {
+  project: ProjectDetail | null
+  projectId: EntityId | null
+  months: number
+  onProjectRefresh?: (projectId: EntityId) => Promise<void>
+}
+
+type ScenarioFormState = {
+  name: string
+  description: string
+  adjustments: Record<string, string>
+}
+
+const createDefaultForm = (): ScenarioFormState => ({
+  name: '',
+  description: '',
+  adjustments: createEmptyAdjustmentsForm(),
+})
+
+const getErrorMessage = (error: unknown) => (error instanceof Error ? error.message : String(error))
+
+const formatSummaryValue = (value: number | null, format: string) => {
+  if (value === null || value === undefined) return '—'
+  if (format === 'percent') return formatPercent(value)
+  if (format === 'ratio') return `${value.toFixed(2)}x`
+  return formatCurrency(value)
+}
+
+export function ScenariosTab({ project, projectId, months, onProjectRefresh }: ScenariosTabProps) {
+  const [isModalOpen, setIsModalOpen] = useState(false)
+  const [form, setForm] = useState<ScenarioFormState>(() => createDefaultForm())
+  const [editingId, setEditingId] = useState<EntityId | null>(null)
+  const [status, setStatus] = useState<RequestStatus>('idle')
+  const [error, setError] = useState('')
+  const [pendingDeleteId, setPendingDeleteId] = useState<EntityId | null>(null)
+
+  const scenarios: ProjectScenario[] = useMemo(() => project?.scenarios ?? [], [project?.scenarios])
+
+  useEffect(() => {
+    setIsModalOpen(false)
+    setPendingDeleteId(null)
+    setStatus('idle')
+    setError('')
+  }, [projectId])
+
+  const comparison = useMemo(
+    () => (project ? compareScenarios(project, scenarios, { months }) : []),
+    [project, scenarios, months],
+  )
+
+  const refreshProject = async () => {
+    if (!projectId || !onProjectRefresh) return
+    await onProjectRefresh(projectId)
+  }
+
+  const openModal = (scenario?: ProjectScenario) => {
+    setStatus('idle')
+    setError('')
+    if (scenario) {
+      setForm({
+        name: scenario.name,
+        description: scenario.description ?? '',
+        adjustments: adjustmentsToForm(scenario.adjustments),
+      })
+      setEditingId(scenario.id)
+    } else {
+      setForm(createDefaultForm())
+      setEditingId(null)
+    }
+    setIsModalOpen(true)
+  }
+
+  const closeModal = () => {
+    if (status === 'saving') return
+    setIsModalOpen(false)
+    setEditingId(null)
+  }
+
+  const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault()
+    if (!projectId) return
+    setStatus('saving')
+    setError('')
+    try {
+      const payload = {
+        name: form.name.trim(),
+        description: form.description.trim() || null,
+        adjustments: formToAdjustments(form.adjustments),
+      }
+      if (editingId) {
+        await updateProjectScenario(projectId, editingId, payload)
+      } else {
+        await createProjectScenario(projectId, payload)
+      }
+      setStatus('idle')
+      setIsModalOpen(false)
+      setEditingId(null)
+      await refreshProject()
+    } catch (err) {
+      setStatus('error')
+      setError(getErrorMessage(err))
+    }
+  }
+
+  const confirmDelete = async () => {
+    if (!projectId || !pendingDeleteId) return
+    setStatus('saving')
+    setError('')
+    try {
+      await deleteProjectScenario(projectId, pendingDeleteId)
+      setPendingDeleteId(null)
+      setStatus('idle')
+      await refreshProject()
+    } catch (err) {
+      setStatus('error')
+      setError(getErrorMessage(err))
+    }
+  }
+
+  if (!project || !projectId) {
+    return (
+      <div className="scenarios-tab">
+        <p className="muted">Select a project to compare scenarios.</p>
+      </div>
+    )
+  }
+
+  return (
+    <>
+      <div className="scenarios-tab">
+        <div className="cashflow-header">
+          <div>
+            <h3>Scenarios</h3>
+            <p className="muted tiny">
+              Each scenario adjusts the saved revenue, cost and loan rows on the fly; the project itself is never copied
+              or changed. NOI and DSCR use the first twelve months after stabilization.
+            </p>
+          </div>
+          <button type="button" className="primary" onClick={() => openModal()}>
+            + Add Scenario
+          </button>
+        </div>
+        {error && !isModalOpen && <p className="error">{error}</p>}
+
+        <div className="table-scroll">
+          <table>
+            <thead>
+              <tr>
+                <th>Metric</th>
+                {comparison.map((entry) => (
+                  <th key={entry.id}>{entry.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {scenarioComparisonRows.map((row) => (
+                <tr key={row.id}>
+                  <td>{row.label}</td>
+                  {comparison.map((entry) => (
+                    <td key={entry.id}>
+                      {formatSummaryValue(entry.summary[row.id as keyof ScenarioSummary] as number | null, row.format)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {scenarios.length === 0 ? (
+          <p className="muted">No scenarios yet. Add one such as “Lender case” or “Delay 6 months”.</p>
+        ) : (
+          <div className="table-scroll">
+            <table>
+              <thead>
+                <tr>
+                  <th>Scenario</th>
+                  <th>Adjustments</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {scenarios.map((scenario) => (
+                  <tr key={scenario.id}>
+                    <td>
+                      <strong>{scenario.name}</strong>
+                      {scenario.description && <p className="muted tiny">{scenario.description}</p>}
+                    </td>
+                    <td>{describeAdjustments(scenario.adjustments) || 'No adjustments'}</td>
+                    <td>
+                      <button
+                        type="button"
+                        className="icon-button"
+                        onClick={() => openModal(scenario)}
+                        aria-label={`Edit ${scenario.name}`}
+                      >
+                        ✏️
+                      </button>
+                      <button
+                        type="button"
+                        className="icon-delete"
+                        onClick={() => setPendingDeleteId(scenario.id)}
+                        aria-label={`Delete ${scenario.name}`}
+                      >
+                        🗑
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {isModalOpen && (
+        <div className="modal-backdrop">
+          <div className="modal-panel">
+            <h3>{editingId ? 'Edit Scenario' : 'Add Scenario'}</h3>
+            <form className="modal-form" onSubmit={handleSubmit}>
+              <label>
+                Name *
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+                  placeholder="Lender case"
+                  required
+                />
+              </label>
+              <label>
+                Description
+                <input
+                  type="text"
+                  value={form.description}
+                  onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+                />
+              </label>
+              {scenarioAdjustmentFields.map((field) => (
+                <label key={field.id}>
+                  {field.label}
+                  <input
+                    type="number"
+                    step="any"
+                    value={form.adjustments[field.id]}
+                    onChange={(e) =>
+                      setForm((prev) => ({ ...prev, adjustments: { ...prev.adjustments, [field.id]: e.target.value } }))
+                    }
+                  />
+                  <span className="muted tiny">{field.hint}</span>
+                </label>
+              ))}
+
+              {error && <p className="error">{error}</p>}
+
+              <div className="modal-actions">
+                <button type="button" className="ghost" onClick={closeModal} disabled={status === 'saving'}>
+                  Cancel
+                </button>
+                <button type="submit" className="primary" disabled={status === 'saving'}>
+                  {status === 'saving' ? 'Saving…' : editingId ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {pendingDeleteId && (
+        <div className="modal-backdrop">
+          <div className="modal-panel">
+            <h3>Delete Scenario?</h3>
+            <p className="muted tiny">The project data is not affected.</p>
+            {error && <p className="error">{error}</p>}
+            <div className="modal-actions">
+              <button
+                type="button"
+                className="ghost"
+                onClick={() => setPendingDeleteId(null)}
+                disabled={status === 'saving'}
+              >
+                Cancel
+              </button>
+              <button type="button" className="icon-delete" onClick={confirmDelete} disabled={status === 'saving'}>
+                {status === 'saving' ? 'Deleting…' : 'Delete'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest'
+import { screen, within } from '@testing-library/react'
+import { renderWithProviders } from '../../../../test/setup/renderWithProviders'
+import { ScenariosTab } from '../ScenariosTab'
+import type { ProjectDetail } from '../../../types'
+
+const project = {
+  id: 'proj-1',
+  general: { closingDate: '2025-01-01', startLeasingDate: '2025-04-01', stabilizedDate: '2025-07-01', purchasePriceUsd: 50000 },
+  revenue: [{ id: 'apt', typeLabel: '1bd', unitCount: 10, rentBudget: 1000, vacancyPct: 0, startMonth: 0 }],
+  retailRevenue: [],
+  parkingRevenue: [],
+  hardCosts: [{ id: 'gc', costName: 'GC', amountUsd: 120000, paymentMode: 'single', paymentMonth: 0 }],
+  softCosts: [],
+  carryingCosts: [],
+  gpContributions: [],
+  scenarios: [
+    {
+      id: 'sc-1',
+      name: 'Lender case',
+      description: null,
+      adjustments: { rentPct: -10, hardCostPct: 10 },
+      createdAt: '2026-10-18T00:00:00.000Z',
+      updatedAt: '2026-10-18T00:00:00.000Z',
+    },
+  ],
+} as unknown as ProjectDetail
+
+describe('ScenariosTab', () => {
+  it('compares the base case with each saved scenario', () => {
+    renderWithProviders(<ScenariosTab project={project} projectId="proj-1" months={36} />)
+
+    const comparison = within(screen.getAllByRole('table')[0])
+    expect(comparison.getByRole('columnheader', { name: 'Base' })).toBeInTheDocument()
+    expect(comparison.getByRole('columnheader', { name: 'Lender case' })).toBeInTheDocument()
+    const noiRow = within(comparison.getByText('Stabilized NOI (annual)').closest('tr') as HTMLElement)
+    expect(noiRow.getByText('$120,000')).toBeInTheDocument()
+    expect(noiRow.getByText('$108,000')).toBeInTheDocument()
+    const costRow = within(comparison.getByText('Total cost').closest('tr') as HTMLElement)
+    expect(costRow.getByText('$170,000')).toBeInTheDocument()
+    expect(costRow.getByText('$182,000')).toBeInTheDocument()
+    expect(screen.getByText(/Rents Δ %: -10/)).toBeInTheDocument()
+  })
+
+  it('shows an empty state without scenarios', () => {
+    renderWithProviders(<ScenariosTab project={{ ...project, scenarios: [] }} projectId="proj-1" months={36} />)
+
+    expect(screen.getByText(/No scenarios yet/i)).toBeInTheDocument()
+  })
+})
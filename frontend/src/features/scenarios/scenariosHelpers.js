@@ -0,0 +1,42 @@
+export const scenarioAdjustmentFields = [
+  { id: 'hardCostPct', label: 'Hard costs Δ %', hint: 'Relative change, e.g. 10 = +10%' },
+  { id: 'softCostPct', label: 'Soft costs Δ %', hint: 'Relative change' },
+  { id: 'rentPct', label: 'Rents Δ %', hint: 'Apartment, retail and parking rents' },
+  { id: 'vacancyPct', label: 'Vacancy %', hint: 'Replaces every revenue row vacancy' },
+  { id: 'interestRateDeltaPct', label: 'Loan rate Δ (pts)', hint: 'Added to each loan rate' },
+  { id: 'loanAmountPct', label: 'Loan amount Δ %', hint: 'Relative change' },
+  { id: 'loanTermMonths', label: 'Loan term (months)', hint: 'Replaces each loan term' },
+  { id: 'delayMonths', label: 'Delay (months)', hint: 'Pushes hard costs, lease-up and repayment' },
+]
+
+export const scenarioComparisonRows = [
+  { id: 'annualNoi', label: 'Stabilized NOI (annual)', format: 'currency' },
+  { id: 'totalCost', label: 'Total cost', format: 'currency' },
+  { id: 'peakEquity', label: 'Peak equity', format: 'currency' },
+  { id: 'leveredIrrPct', label: 'Levered IRR', format: 'percent' },
+  { id: 'dscr', label: 'DSCR', format: 'ratio' },
+]
+
+export const createEmptyAdjustmentsForm = () =>
+  Object.fromEntries(scenarioAdjustmentFields.map((field) => [field.id, '']))
+
+export const adjustmentsToForm = (adjustments = {}) =>
+  Object.fromEntries(
+    scenarioAdjustmentFields.map((field) => {
+      const value = adjustments?.[field.id]
+      return [field.id, value === null || value === undefined ? '' : String(value)]
+    }),
+  )
+
+export const formToAdjustments = (form) =>
+  Object.fromEntries(
+    scenarioAdjustmentFields
+      .filter((field) => String(form[field.id] ?? '').trim() !== '')
+      .map((field) => [field.id, Number(form[field.id])]),
+  )
+
+export const describeAdjustments = (adjustments = {}) =>
+  scenarioAdjustmentFields
+    .filter((field) => adjustments?.[field.id] !== null && adjustments?.[field.id] !== undefined)
+    .map((field) => `${field.label}: ${adjustments[field.id]}`)
+    .join(' • ')
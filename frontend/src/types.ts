@@ -8,12 +8,19 @@ export type {
   ApartmentRevenue as ApartmentRevenueRow,
   RetailRevenue as RetailRevenueRow,
   ParkingRevenue as ParkingRevenueRow,
+  OtherIncome as OtherIncomeRow,
+  OtherIncomeType,
+  OtherIncomeBasis,
   GpContribution as GpContributionRow,
   SoftCostRow,
   LeaseupCostRow,
   HardCostRow,
+  HardCostChangeOrder,
+  HardCostTracking,
   CarryingCostRow,
   CashflowRow,
+  CashflowEntryInput,
+  CashflowLineItemId,
   AddressSuggestion,
   WeatherReading,
   UserSummary,
@@ -22,8 +29,42 @@ export type {
   MeasurementUnit,
   CarryingType,
   LoanMode,
+  ConstructionDrawCategory,
+  ConstructionLoanTerms,
   IntervalUnit,
   PropertyTaxPhase,
+  OpexCategory,
+  OpexBasis,
+  SoftCostBasis,
+  NoiDistributionMode,
+  ProjectReturnsSettings,
+  ExpenseInflation,
+  AbatementBase,
+  PropertyTaxAssessment,
+  LeaseUpCurve,
+  LeaseUpInput,
+  RentRollStatus,
+  RentRollUnitInput,
+  RentRollUnit as RentRollUnitRow,
+  RetailLeaseType,
+  RetailRentStep,
+  MetricScenario,
+  MetricRevenueOverride,
+  MetricCarryingOverride,
+  MetricOverrides,
+  MetricAssumptions,
+  MetricAssumptionsInput,
+  ScenarioAdjustments,
+  ScenarioInput,
+  ProjectScenario,
+  CapitalEventType,
+  RefinanceTerms,
+  RefinanceEventInput,
+  SaleTerms,
+  SaleEventInput,
+  ProjectRefinanceEvent,
+  ProjectSaleEvent,
+  ProjectCapitalEvent,
   DocumentCategory,
   DocumentInput,
   Document as DocumentRow,
@@ -80,18 +121,35 @@ export type {
   AdminTeamMemberPaymentInput,
   AdminEntityDocument,
   AdminEntityDocumentInput,
+  PackageTemplateId,
+  PdfBranding,
 } from '@ds-proforma/types'
 
 export {
   SOFT_COST_CATEGORY_IDS,
+  SOFT_COST_BASES,
   HARD_COST_CATEGORY_IDS,
   MEASUREMENT_UNITS,
   COST_PAYMENT_MODES,
   CARRYING_TYPES,
   LOAN_MODES,
+  CONSTRUCTION_DRAW_CATEGORIES,
   INTERVAL_UNITS,
   PROPERTY_TAX_PHASES,
+  ABATEMENT_BASES,
+  OPEX_CATEGORIES,
+  OPEX_BASES,
   DOCUMENT_CATEGORIES,
+  NOI_DISTRIBUTION_MODES,
+  METRIC_SCENARIOS,
+  CASHFLOW_LINE_ITEM_IDS,
+  PACKAGE_TEMPLATE_IDS,
+  CAPITAL_EVENT_TYPES,
+  LEASE_UP_CURVES,
+  RENT_ROLL_STATUSES,
+  RETAIL_LEASE_TYPES,
+  OTHER_INCOME_TYPES,
+  OTHER_INCOME_BASES,
   // Business Projects
   BUSINESS_STAGES,
   BUSINESS_STAGE_LABELS,
@@ -123,6 +181,8 @@ export type GeneralFormState = {
   closingDate: string
   startLeasingDate: string
   stabilizedDate: string
+  horizonMonths: string
+  fiscalYearStartMonth: string
   latitude: string
   longitude: string
   targetUnits: string
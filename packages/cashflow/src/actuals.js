@@ -0,0 +1,113 @@
+export const CASHFLOW_LINE_ITEMS = ['revenues', 'soft', 'hard', 'carrying']
+
+const DEFERRABLE_LINE_ITEMS = new Set(['soft', 'hard'])
+
+const hasValue = (value) => value !== null && value !== undefined && value !== ''
+
+const netOf = (inflows, outflows) => (Number(inflows) || 0) - (Number(outflows) || 0)
+
+/**
+ * Splits a signed board amount (inflows positive, costs negative) into the
+ * inflow/outflow pair stored on `cashflow_entries`.
+ */
+export const splitNetAmount = (value) => {
+  if (!hasValue(value)) return { inflows: null, outflows: null }
+  const amount = Number(value) || 0
+  return amount >= 0 ? { inflows: amount, outflows: 0 } : { inflows: 0, outflows: -amount }
+}
+
+const sum = (values) => values.reduce((total, value) => total + (value || 0), 0)
+
+/**
+ * Spreads the budget still to be spent on a cost line over the months after the
+ * last actual, weighted by the remaining budget. Underspend to date is deferred
+ * (not saved); overspend is kept as a real overrun.
+ */
+const reforecastCostLine = (budget, actual, throughMonth) => {
+  const forecast = budget.map((value, idx) => (idx <= throughMonth ? actual[idx] ?? value : value))
+  const remaining = budget.slice(throughMonth + 1)
+  if (!remaining.length) return forecast
+
+  const budgetToDate = sum(budget.slice(0, throughMonth + 1))
+  const actualToDate = sum(forecast.slice(0, throughMonth + 1))
+  // Costs are negative, so an underspend is a higher (less negative) actual.
+  const deferred = Math.min(0, budgetToDate - actualToDate)
+  if (!deferred) return forecast
+
+  const remainingBudget = sum(remaining)
+  if (remainingBudget) {
+    remaining.forEach((value, offset) => {
+      forecast[throughMonth + 1 + offset] = value + (deferred * value) / remainingBudget
+    })
+  } else {
+    forecast[throughMonth + 1] += deferred
+  }
+  return forecast
+}
+
+/**
+ * Budget vs. actual for each top-level cashflow line (`buildCashflowRows` ids).
+ * Actuals are category-level: the line items inside a category have none.
+ *
+ * - Budget is the stored `budgetInflows`/`budgetOutflows` for that month when
+ *   entered, otherwise the modeled value.
+ * - Variance is actual − budget in the board's sign convention, so a positive
+ *   variance is always favourable (more revenue or less cost).
+ * - The re-forecast uses actuals up to the last month with any actual entered
+ *   (`throughMonth`) and budget afterwards; soft and hard costs also carry any
+ *   unspent budget to date into their remaining months.
+ */
+export const buildCashflowActuals = (rows = [], entries = [], months = 0) => {
+  const horizon = months || rows[0]?.values?.length || 0
+  // Actuals are kept per category; entries on any other line item have no row here and do not move `throughMonth`.
+  const inHorizon = entries.filter(
+    (entry) => CASHFLOW_LINE_ITEMS.includes(entry.lineItem) && entry.monthIndex >= 0 && entry.monthIndex < horizon,
+  )
+  const hasActual = (entry) => hasValue(entry.actualInflows) || hasValue(entry.actualOutflows)
+  const actualMonths = inHorizon.filter(hasActual).map((entry) => entry.monthIndex)
+  const throughMonth = actualMonths.length ? Math.max(...actualMonths) : null
+
+  const lines = CASHFLOW_LINE_ITEMS.map((id) => {
+    const row = rows.find((entry) => entry.id === id)
+    const budget = Array.from({ length: horizon }, (_, idx) => row?.values?.[idx] ?? 0)
+    const actual = Array(horizon).fill(null)
+    const notes = Array(horizon).fill(null)
+    inHorizon
+      .filter((entry) => entry.lineItem === id)
+      .forEach((entry) => {
+        if (hasValue(entry.budgetInflows) || hasValue(entry.budgetOutflows)) {
+          budget[entry.monthIndex] = netOf(entry.budgetInflows, entry.budgetOutflows)
+        }
+        if (hasActual(entry)) actual[entry.monthIndex] = netOf(entry.actualInflows, entry.actualOutflows)
+        notes[entry.monthIndex] = entry.notes ?? null
+      })
+
+    const variance = actual.map((value, idx) => (value === null ? null : value - budget[idx]))
+    let forecast = budget.map((value, idx) => actual[idx] ?? value)
+    if (throughMonth !== null && DEFERRABLE_LINE_ITEMS.has(id)) {
+      forecast = reforecastCostLine(budget, actual, throughMonth)
+    }
+
+    return { id, label: row?.label ?? id, budget, actual, variance, forecast, notes }
+  })
+
+  const totalOf = (key) =>
+    Array.from({ length: horizon }, (_, idx) => {
+      const values = lines.map((line) => line[key][idx])
+      if (key === 'actual' || key === 'variance') {
+        return values.every((value) => value === null) ? null : sum(values)
+      }
+      return sum(values)
+    })
+
+  return {
+    throughMonth,
+    lines,
+    total: {
+      budget: totalOf('budget'),
+      actual: totalOf('actual'),
+      variance: totalOf('variance'),
+      forecast: totalOf('forecast'),
+    },
+  }
+}
@@ -0,0 +1,212 @@
+import { DEFAULT_CASHFLOW_MONTHS, hasMagnitude } from './series.js'
+import { applyLoanPayoff, buildLoanValues } from './carrying.js'
+
+export const REFINANCE_LOAN_ID = 'refinance'
+
+const sum = (values) => values.reduce((total, value) => total + (value || 0), 0)
+
+export const findCapitalEvent = (project, eventType) =>
+  (project?.capitalEvents || []).find((event) => event.eventType === eventType) || null
+
+const totalPayoff = (loans, month) => -sum(loans.map((loan) => loan.values.payoff?.[month] || 0))
+
+/**
+ * Month offset of a capital event, or null when it falls outside the horizon.
+ */
+export const resolveCapitalEventMonth = (event, months = DEFAULT_CASHFLOW_MONTHS) => {
+  if (!event) return null
+  const month = Math.trunc(Number(event.eventMonth))
+  return Number.isFinite(month) && month >= 0 && month < months ? month : null
+}
+
+/**
+ * Annualized NOI for the twelve months after `month`. Near the end of the
+ * horizon the months left are annualized; with none left `month` itself is.
+ */
+export const calculateForwardNoi = (noi = [], month = 0) => {
+  const forward = noi.slice(month + 1, month + 13)
+  const window = forward.length ? forward : noi.slice(month, month + 1)
+  return window.length ? (sum(window) * 12) / window.length : 0
+}
+
+const monthlyPaymentFactor = (ratePct, termMonths) => {
+  if (termMonths <= 0) return 0
+  const rate = ratePct / 100 / 12
+  return rate === 0 ? 1 / termMonths : (rate * (1 + rate) ** termMonths) / ((1 + rate) ** termMonths - 1)
+}
+
+/**
+ * Sizes a permanent loan at the lowest of the constraints that are set:
+ *
+ * - LTV: value (NOI / cap rate) × max LTV.
+ * - DSCR: the amortizing loan whose annual debt service is NOI / min DSCR.
+ * - Debt yield: NOI / min debt yield.
+ *
+ * `bindingConstraint` names the constraint that sets the amount; it is null
+ * (and the loan zero) when none are set.
+ */
+export const sizeRefinanceLoan = ({
+  annualNoi = 0,
+  capRatePct,
+  maxLtvPct,
+  minDscr,
+  minDebtYieldPct,
+  interestRatePct,
+  amortizationYears,
+} = {}) => {
+  const noi = Math.max(0, Number(annualNoi) || 0)
+  const capRate = Number(capRatePct) || 0
+  const value = capRate > 0 ? noi / (capRate / 100) : 0
+  const termMonths = Math.max(0, Math.trunc((Number(amortizationYears) || 0) * 12))
+  const factor = monthlyPaymentFactor(Number(interestRatePct) || 0, termMonths)
+
+  const constraints = {
+    ltv: Number(maxLtvPct) > 0 ? (value * Number(maxLtvPct)) / 100 : null,
+    dscr: Number(minDscr) > 0 && factor > 0 ? noi / Number(minDscr) / 12 / factor : null,
+    debtYield: Number(minDebtYieldPct) > 0 ? noi / (Number(minDebtYieldPct) / 100) : null,
+  }
+
+  let loanAmount = 0
+  let bindingConstraint = null
+  Object.entries(constraints).forEach(([key, amount]) => {
+    if (amount === null) return
+    if (bindingConstraint === null || amount < loanAmount) {
+      loanAmount = amount
+      bindingConstraint = key
+    }
+  })
+
+  return {
+    annualNoi: noi,
+    value,
+    constraints,
+    loanAmount,
+    bindingConstraint,
+    termMonths,
+    monthlyPayment: loanAmount * factor,
+  }
+}
+
+/**
+ * The refinance and sale events that take effect. A refinance in or after the
+ * sale month is dropped since the loans are already retired by then.
+ */
+export const resolveCapitalEvents = (project, months = DEFAULT_CASHFLOW_MONTHS) => {
+  const sale = findCapitalEvent(project, 'sale')
+  const refinance = findCapitalEvent(project, 'refinance')
+  const saleMonth = resolveCapitalEventMonth(sale, months)
+  const refinanceMonth = resolveCapitalEventMonth(refinance, months)
+  const refinanceBeforeSale = saleMonth === null || (refinanceMonth !== null && refinanceMonth < saleMonth)
+  return { refinance: refinanceBeforeSale ? refinance : null, sale }
+}
+
+/**
+ * Refinance at the event month. The new loan is sized from forward NOI (see
+ * `sizeRefinanceLoan`), funds that month, pays off the balance of the existing
+ * loans (`payoff` on each schedule, see `applyLoanPayoff`) and the closing
+ * costs (`closingCostPct` of the new loan), then amortizes from the next month
+ * until `payoffMonth` (a later sale).
+ *
+ * `netCashOut` = proceeds − payoff − closing costs. It is negative for a
+ * cash-in refinance.
+ */
+export const buildRefinanceEvent = (event, { noi = [], loans = [], months = noi.length, payoffMonth = null } = {}) => {
+  const month = resolveCapitalEventMonth(event, months)
+  if (month === null) return null
+
+  const terms = event.terms || {}
+  const sizing = sizeRefinanceLoan({ ...terms, annualNoi: calculateForwardNoi(noi, month) })
+  const payoff = totalPayoff(loans, month)
+  const closingCosts = (sizing.loanAmount * (Number(terms.closingCostPct) || 0)) / 100
+
+  return {
+    month,
+    ...sizing,
+    payoff,
+    closingCosts,
+    netCashOut: sizing.loanAmount - payoff - closingCosts,
+    loan: {
+      id: REFINANCE_LOAN_ID,
+      label: 'Refinance Loan',
+      loanMode: 'amortizing',
+      values: applyLoanPayoff(
+        buildLoanValues(
+          {
+            loanMode: 'amortizing',
+            loanAmountUsd: sizing.loanAmount,
+            interestRatePct: terms.interestRatePct,
+            loanTermMonths: sizing.termMonths,
+            fundingMonth: month,
+            repaymentStartMonth: month + 1,
+          },
+          months,
+        ),
+        payoffMonth,
+      ),
+    },
+  }
+}
+
+/**
+ * Sale at the event month. The price is forward NOI (see `calculateForwardNoi`)
+ * at `exitCapRatePct`; selling costs and transfer taxes are percentages of the
+ * price and the loans still outstanding are paid off (`payoff` on each
+ * schedule). The project cashflow ends at the sale month.
+ *
+ * `netProceeds` = price − selling costs − transfer taxes − loan payoff.
+ */
+export const buildSaleEvent = (event, { noi = [], loans = [], months = noi.length } = {}) => {
+  const month = resolveCapitalEventMonth(event, months)
+  if (month === null) return null
+
+  const terms = event.terms || {}
+  const annualNoi = Math.max(0, calculateForwardNoi(noi, month))
+  const exitCapRatePct = Number(terms.exitCapRatePct) || 0
+  const salePrice = exitCapRatePct > 0 ? annualNoi / (exitCapRatePct / 100) : 0
+  const sellingCosts = (salePrice * (Number(terms.sellingCostPct) || 0)) / 100
+  const transferTaxes = (salePrice * (Number(terms.transferTaxPct) || 0)) / 100
+  const payoff = totalPayoff(loans, month)
+
+  return {
+    month,
+    annualNoi,
+    exitCapRatePct,
+    salePrice,
+    sellingCosts,
+    transferTaxes,
+    payoff,
+    netProceeds: salePrice - sellingCosts - transferTaxes - payoff,
+  }
+}
+
+/**
+ * The Capital Events cashflow row. Each event books its gross flows as lines
+ * (kind `capital_event`), so the row total is the net cash the event returns
+ * to the partners.
+ */
+export const buildCapitalEventSeries = ({ refinance = null, sale = null, months = DEFAULT_CASHFLOW_MONTHS } = {}) => {
+  const baseValues = Array(months).fill(0)
+  const lineItems = []
+
+  const addLine = (id, label, month, amount) => {
+    const values = Array(months).fill(0)
+    values[month] = amount
+    if (!hasMagnitude(values)) return
+    baseValues[month] += amount
+    lineItems.push({ id, label, kind: 'capital_event', values })
+  }
+
+  if (refinance) {
+    addLine('refinance-proceeds', 'Refinance • Loan Proceeds', refinance.month, refinance.loanAmount)
+    addLine('refinance-payoff', 'Refinance • Loan Payoff', refinance.month, -refinance.payoff)
+    addLine('refinance-closing-costs', 'Refinance • Closing Costs', refinance.month, -refinance.closingCosts)
+  }
+  if (sale) {
+    addLine('sale-price', 'Sale • Gross Sale Price', sale.month, sale.salePrice)
+    addLine('sale-selling-costs', 'Sale • Selling Costs', sale.month, -sale.sellingCosts)
+    addLine('sale-transfer-taxes', 'Sale • Transfer Taxes', sale.month, -sale.transferTaxes)
+    addLine('sale-payoff', 'Sale • Loan Payoff', sale.month, -sale.payoff)
+  }
+
+  return { label: 'Capital Events', type: 'capital', baseValues, lineItems }
+}
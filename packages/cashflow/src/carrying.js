@@ -0,0 +1,370 @@
+import {
+  DEFAULT_CASHFLOW_MONTHS,
+  applyAnnualGrowth,
+  buildContributionValues,
+  buildCostAllocations,
+  clampCashflowMonth,
+  hasMagnitude,
+  normalizeCashflowMonth,
+} from './series.js'
+
+const INTERVAL_STEPS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12,
+}
+
+const resolveExpenseWindow = (row, months) => ({
+  startMonth: normalizeCashflowMonth(row.startMonth),
+  endMonth:
+    row.endMonth === null || row.endMonth === undefined ? months - 1 : clampCashflowMonth(row.endMonth, months),
+})
+
+const buildIntervalExpenseValues = (row, months) => {
+  const values = Array(months).fill(0)
+  const amount = Number(row.amountUsd) || 0
+  if (!amount) return values
+
+  const { startMonth, endMonth } = resolveExpenseWindow(row, months)
+  if (endMonth < startMonth) return values
+
+  const step = INTERVAL_STEPS[row.intervalUnit] || 1
+  if (step <= 0) return values
+
+  for (let month = startMonth; month < months && month <= endMonth; month += step) {
+    values[month] -= amount
+  }
+  return values
+}
+
+/**
+ * Amount per interval of an operating-expense row: the fixed `amountUsd`, or
+ * `opexRate` times the apartment units or buildable square feet. % of EGI rows
+ * have no fixed amount and return null.
+ */
+export const resolveOpexAmount = (row, { units = 0, sqft = 0 } = {}) => {
+  const rate = Number(row.opexRate) || 0
+  if (row.opexBasis === 'per_unit') return rate * units
+  if (row.opexBasis === 'per_sqft') return rate * sqft
+  if (row.opexBasis === 'pct_egi') return null
+  return Number(row.amountUsd) || 0
+}
+
+/**
+ * Yearly budget of an operating-expense row, with % of EGI rows priced off
+ * `annualEgi`.
+ */
+export const calculateAnnualOpex = (row, { units = 0, sqft = 0, annualEgi = 0 } = {}) => {
+  if (row.opexBasis === 'pct_egi') return ((Number(row.opexRate) || 0) / 100) * annualEgi
+  return resolveOpexAmount(row, { units, sqft }) * (12 / (INTERVAL_STEPS[row.intervalUnit] || 1))
+}
+
+const buildEgiShareValues = (row, months, egi = []) => {
+  const values = Array(months).fill(0)
+  const share = (Number(row.opexRate) || 0) / 100
+  const { startMonth, endMonth } = resolveExpenseWindow(row, months)
+  for (let month = startMonth; month < months && month <= endMonth; month += 1) {
+    values[month] -= share * (egi[month] || 0)
+  }
+  return values
+}
+
+// Opex rows resolve their basis first. A share of EGI already moves with rent,
+// so only the other rows take the `opex` inflation rate.
+const buildRecurringValues = (row, months, { expenseInflation, opexContext }) => {
+  if (row.carryingType !== 'opex') {
+    return applyAnnualGrowth(buildIntervalExpenseValues(row, months), expenseInflation?.[row.carryingType])
+  }
+  if (row.opexBasis === 'pct_egi') return buildEgiShareValues(row, months, opexContext?.egi)
+  const amountUsd = resolveOpexAmount(row, opexContext || {})
+  return applyAnnualGrowth(buildIntervalExpenseValues({ ...row, amountUsd }, months), expenseInflation?.opex)
+}
+
+export const CONSTRUCTION_DRAW_CATEGORIES = ['purchase', 'hard', 'soft']
+export const DEFAULT_CONSTRUCTION_DRAW_CATEGORIES = ['hard', 'soft']
+
+const sumSchedule = (rows, months) => {
+  const totals = Array(months).fill(0)
+  rows.forEach((row) => {
+    buildCostAllocations(row, months).forEach((value, idx) => {
+      totals[idx] += value
+    })
+  })
+  return totals
+}
+
+/**
+ * Monthly spend a construction loan can draw against, by category (positive
+ * amounts). The purchase price is paid at closing.
+ */
+export const buildConstructionCostSchedule = (project, months = DEFAULT_CASHFLOW_MONTHS) => ({
+  purchase: buildContributionValues(Number(project?.general?.purchasePriceUsd) || 0, 0, months),
+  hard: sumSchedule(project?.hardCosts || [], months),
+  soft: sumSchedule(project?.softCosts || [], months),
+})
+
+const resolveDrawCategories = (terms) => {
+  const categories = Array.isArray(terms?.drawCategories)
+    ? terms.drawCategories.filter((category) => CONSTRUCTION_DRAW_CATEGORIES.includes(category))
+    : []
+  return categories.length ? categories : DEFAULT_CONSTRUCTION_DRAW_CATEGORIES
+}
+
+/**
+ * Construction loans fund in draws against the project's cost schedule:
+ *
+ * - The commitment is the loan amount, capped at `ltcPct` of the drawable
+ *   costs. The interest reserve is carved out of it; the rest funds costs.
+ * - Draws start at the funding month and run to maturity (funding month +
+ *   term − 1). Costs before the funding month are reimbursed at the first draw.
+ * - Equity-first loans draw only once cumulative costs exceed the equity
+ *   requirement (costs − cost facility); otherwise every cost is funded
+ *   pro-rata at facility / costs.
+ * - Interest accrues monthly on the opening balance. The reserve pays it first;
+ *   before the first payment month `capitalizeInterest` rolls the rest into the
+ *   balance too. Anything left is paid in cash.
+ * - The full balance is repaid at maturity.
+ *
+ * `funding` holds cost draws only; reserve draws and accrued interest are in
+ * `capitalizedInterest` since they never reach the project's bank account.
+ */
+export const buildConstructionLoanValues = (row, months, costSchedule) => {
+  const terms = row.constructionTerms || {}
+  const amount = Number(row.loanAmountUsd || row.amountUsd) || 0
+  const term = Number(row.loanTermMonths) || 0
+  const rate = (Number(row.interestRatePct) || 0) / 100 / 12
+  const fundingMonth = normalizeCashflowMonth(row.fundingMonth)
+  const firstPaymentMonth = Number(row.repaymentStartMonth ?? fundingMonth) || 0
+  const values = {
+    funding: Array(months).fill(0),
+    interest: Array(months).fill(0),
+    principal: Array(months).fill(0),
+    capitalizedInterest: Array(months).fill(0),
+    balance: Array(months).fill(0),
+    commitment: 0,
+  }
+  if (!amount || term <= 0) return values
+
+  const costs = Array(months).fill(0)
+  resolveDrawCategories(terms).forEach((category) => {
+    ;(costSchedule?.[category] || []).forEach((value, idx) => {
+      if (idx < months) costs[idx] += value || 0
+    })
+  })
+  const totalCosts = costs.reduce((total, value) => total + value, 0)
+
+  const ltcPct = Number(terms.ltcPct)
+  const commitment = ltcPct > 0 ? Math.min(amount, (totalCosts * ltcPct) / 100) : amount
+  let reserveRemaining = Math.min(Math.max(Number(terms.interestReserveUsd) || 0, 0), commitment)
+  const costFacility = commitment - reserveRemaining
+  const equityRequirement = Math.max(0, totalCosts - costFacility)
+  values.commitment = commitment
+
+  const maturityMonth = fundingMonth + term - 1
+  let balance = 0
+  let cumulativeCosts = 0
+  let drawn = 0
+  for (let month = 0; month < months && month <= maturityMonth; month += 1) {
+    cumulativeCosts += costs[month]
+    if (month < fundingMonth) continue
+
+    const interestDue = balance * rate
+    const target = terms.equityFirst
+      ? Math.max(0, cumulativeCosts - equityRequirement)
+      : totalCosts
+        ? (cumulativeCosts * costFacility) / totalCosts
+        : 0
+    const draw = Math.max(0, Math.min(costFacility, target) - drawn)
+    drawn += draw
+    balance += draw
+    values.funding[month] += draw
+
+    const fromReserve = Math.min(interestDue, reserveRemaining)
+    reserveRemaining -= fromReserve
+    let capitalized = fromReserve
+    let cashInterest = interestDue - fromReserve
+    if (cashInterest > 0 && terms.capitalizeInterest && month < firstPaymentMonth) {
+      capitalized += cashInterest
+      cashInterest = 0
+    }
+    balance += capitalized
+    values.capitalizedInterest[month] += capitalized
+    if (cashInterest) values.interest[month] -= cashInterest
+
+    if (month === maturityMonth) {
+      values.principal[month] -= balance
+      balance = 0
+    }
+    values.balance[month] = balance
+  }
+
+  return values
+}
+
+export const buildLoanValues = (row, months, { costSchedule } = {}) => {
+  if (row.loanMode === 'construction') return buildConstructionLoanValues(row, months, costSchedule)
+  const amount = Number(row.loanAmountUsd || row.amountUsd) || 0
+  const term = Number(row.loanTermMonths) || 0
+  const ratePct = Number(row.interestRatePct) || 0
+  const rate = ratePct / 100 / 12
+  const fundingMonth = normalizeCashflowMonth(row.fundingMonth)
+  const repaymentStart = normalizeCashflowMonth(row.repaymentStartMonth ?? fundingMonth)
+  const values = {
+    funding: Array(months).fill(0),
+    interest: Array(months).fill(0),
+    principal: Array(months).fill(0),
+  }
+
+  if (!amount || term <= 0) return values
+  if (fundingMonth < months) {
+    values.funding[fundingMonth] += amount
+  }
+
+  if (row.loanMode === 'interest_only') {
+    const interestPayment = rate ? amount * rate : 0
+    for (let i = 0; i < term; i += 1) {
+      const monthIndex = repaymentStart + i
+      if (monthIndex >= months) break
+      if (interestPayment) values.interest[monthIndex] -= interestPayment
+    }
+    const payoffMonth = repaymentStart + Math.max(term - 1, 0)
+    if (payoffMonth < months) {
+      values.principal[payoffMonth] -= amount
+    }
+    return values
+  }
+
+  const payment =
+    rate === 0
+      ? amount / term
+      : (amount * rate * (1 + rate) ** term) / ((1 + rate) ** term - 1 || 1)
+
+  let remaining = amount
+  for (let i = 0; i < term; i += 1) {
+    const monthIndex = repaymentStart + i
+    if (monthIndex >= months) break
+    const interestPortion = rate ? remaining * rate : 0
+    let principalPortion = payment - interestPortion
+    if (principalPortion > remaining || i === term - 1) {
+      principalPortion = remaining
+    }
+    remaining -= principalPortion
+    if (interestPortion) values.interest[monthIndex] -= interestPortion
+    if (principalPortion) values.principal[monthIndex] -= principalPortion
+    if (remaining <= 0) break
+  }
+
+  return values
+}
+
+/**
+ * Stops a loan at `payoffMonth` (a refinance or sale): flows after that month
+ * are dropped and the balance outstanding at its end is repaid in `payoff`.
+ */
+export const applyLoanPayoff = (values, payoffMonth) => {
+  const months = values.funding.length
+  const payoff = Array(months).fill(0)
+  if (payoffMonth === null || payoffMonth === undefined || payoffMonth < 0 || payoffMonth >= months) {
+    return { ...values, payoff }
+  }
+
+  let outstanding = 0
+  for (let month = 0; month <= payoffMonth; month += 1) {
+    outstanding += values.funding[month] + (values.capitalizedInterest?.[month] || 0) + values.principal[month]
+  }
+  if (outstanding > 0.0001) payoff[payoffMonth] = -outstanding
+
+  const truncate = (series) => series.map((value, idx) => (idx > payoffMonth ? 0 : value))
+  const result = {
+    ...values,
+    funding: truncate(values.funding),
+    interest: truncate(values.interest),
+    principal: truncate(values.principal),
+    payoff,
+  }
+  if (values.capitalizedInterest) result.capitalizedInterest = truncate(values.capitalizedInterest)
+  if (values.balance) result.balance = values.balance.map((value, idx) => (idx >= payoffMonth ? 0 : value))
+  return result
+}
+
+const LOAN_LINES = [
+  { key: 'funding', suffix: 'Funding', kind: 'loan_funding' },
+  { key: 'interest', suffix: 'Interest', kind: 'debt_service' },
+  { key: 'principal', suffix: 'Principal', kind: 'debt_service' },
+]
+
+/**
+ * Adds a loan schedule (`{ id, label, loanMode, values }`) to a carrying series.
+ * With `funding: false` the proceeds stay out of the carrying lines, as
+ * refinance proceeds are booked as a capital event.
+ */
+export const addLoanToCarryingSeries = (series, loan, { funding = true } = {}) => {
+  series.loans.push(loan)
+  LOAN_LINES.forEach((line) => {
+    const values = loan.values[line.key]
+    if ((!funding && line.key === 'funding') || !hasMagnitude(values)) return
+    values.forEach((value, idx) => {
+      series.baseValues[idx] += value
+    })
+    series.lineItems.push({ id: `${loan.id}-${line.key}`, label: `${loan.label} • ${line.suffix}`, kind: line.kind, values })
+  })
+  return series
+}
+
+/**
+ * `costSchedule` (see `buildConstructionCostSchedule`) drives construction-loan
+ * draws and `payoffMonth` retires every loan at a refinance or sale. Each
+ * loan's full schedule is returned in `loans` for the funding and debt-service
+ * views. Other rows grow by their category's annual `expenseInflation` %.
+ * `opexContext` (`{ units, sqft, egi }`, `egi` being monthly effective gross
+ * income) prices per-unit, per-sqft and % of EGI operating expenses.
+ */
+export const buildCarryingSeries = (
+  rows = [],
+  months = DEFAULT_CASHFLOW_MONTHS,
+  { costSchedule, payoffMonth = null, expenseInflation = null, opexContext = null, propertyTaxLines = null } = {},
+) => {
+  const series = {
+    label: 'Carrying Costs',
+    type: 'expense',
+    baseValues: Array(months).fill(0),
+    lineItems: [],
+    loans: [],
+  }
+
+  // Assessed property tax lines replace the manual property tax rows.
+  ;(propertyTaxLines || []).forEach((line) => {
+    if (!hasMagnitude(line.values)) return
+    line.values.forEach((value, idx) => {
+      series.baseValues[idx] += value
+    })
+    series.lineItems.push({ id: line.id, label: line.label, kind: 'operating', values: line.values })
+  })
+
+  rows.forEach((row, index) => {
+    if (propertyTaxLines && row.carryingType === 'property_tax') return
+    if (row.carryingType === 'loan') {
+      addLoanToCarryingSeries(series, {
+        id: row.id || `loan-${index}`,
+        label: row.costName || 'Loan',
+        loanMode: row.loanMode || null,
+        values: applyLoanPayoff(buildLoanValues(row, months, { costSchedule }), payoffMonth),
+      })
+      return
+    }
+
+    const recurringValues = buildRecurringValues(row, months, { expenseInflation, opexContext })
+    if (!hasMagnitude(recurringValues)) return
+    recurringValues.forEach((value, idx) => {
+      series.baseValues[idx] += value
+    })
+    series.lineItems.push({
+      id: row.id || `carrying-${index}`,
+      label: row.costName || 'Carrying Cost',
+      kind: 'operating',
+      values: recurringValues,
+    })
+  })
+
+  return series
+}
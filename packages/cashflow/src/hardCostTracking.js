@@ -0,0 +1,56 @@
+const amountOf = (value) => Number(value) || 0
+
+const emptyTotals = () => ({
+  budget: 0,
+  committed: 0,
+  changeOrders: 0,
+  revisedCommitment: 0,
+  invoiced: 0,
+  paid: 0,
+  retainage: 0,
+})
+
+const addLine = (totals, row) => {
+  const changeOrders = (row.changeOrders || []).reduce((sum, order) => sum + amountOf(order.amountUsd), 0)
+  const committed = amountOf(row.committedUsd)
+  totals.budget += amountOf(row.amountUsd)
+  totals.committed += committed
+  totals.changeOrders += changeOrders
+  totals.revisedCommitment += committed + changeOrders
+  totals.invoiced += amountOf(row.invoicedUsd)
+  totals.paid += amountOf(row.paidUsd)
+  totals.retainage += amountOf(row.retainageUsd)
+  return totals
+}
+
+// Complete is invoiced over the revised commitment, or over the budget while nothing is under contract.
+const withProgress = (totals) => {
+  const base = totals.revisedCommitment > 0 ? totals.revisedCommitment : totals.budget
+  return {
+    ...totals,
+    balanceToFinish: totals.revisedCommitment - totals.invoiced,
+    variance: totals.revisedCommitment - totals.budget,
+    percentComplete: base > 0 ? (totals.invoiced / base) * 100 : null,
+  }
+}
+
+/**
+ * Construction progress for the hard-cost lines, per hard-cost category
+ * (`costGroup`) in the order the categories first appear, plus a total.
+ *
+ * The revised commitment is the contract commitment plus the approved change
+ * orders; `variance` is how far it runs over (+) or under (−) the budget.
+ */
+export const summarizeHardCostTracking = (hardCosts) => {
+  const rows = hardCosts || []
+  const buckets = new Map()
+  rows.forEach((row) => {
+    const category = row.costGroup || 'other_hard'
+    if (!buckets.has(category)) buckets.set(category, emptyTotals())
+    addLine(buckets.get(category), row)
+  })
+  return {
+    categories: [...buckets].map(([category, totals]) => ({ category, ...withProgress(totals) })),
+    total: withProgress(rows.reduce(addLine, emptyTotals())),
+  }
+}
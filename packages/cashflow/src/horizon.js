@@ -0,0 +1,87 @@
+import { DEFAULT_CASHFLOW_MONTHS, normalizeCashflowMonth } from './series.js'
+
+export const MIN_CASHFLOW_MONTHS = 12
+export const MAX_CASHFLOW_MONTHS = 360
+
+/**
+ * Analysis horizon of a project in months: `general.horizonMonths` kept within
+ * 12–360, or the 60-month default when it is not set.
+ */
+export const resolveCashflowHorizon = (general) => {
+  const months = Math.trunc(Number(general?.horizonMonths))
+  if (!Number.isFinite(months) || months <= 0) return DEFAULT_CASHFLOW_MONTHS
+  return Math.max(MIN_CASHFLOW_MONTHS, Math.min(MAX_CASHFLOW_MONTHS, months))
+}
+
+const costPaymentMonths = (row) => {
+  const paymentMode = row.paymentMode || 'single'
+  if (paymentMode === 'range') {
+    return [row.startMonth ?? row.paymentMonth ?? 0, row.endMonth ?? row.startMonth ?? 0]
+  }
+  if (paymentMode === 'multi' && Array.isArray(row.monthList) && row.monthList.length) return row.monthList
+  return [row.paymentMonth ?? 0]
+}
+
+const revenueSections = [
+  ['revenue', 'Apartment'],
+  ['retailRevenue', 'Retail'],
+  ['parkingRevenue', 'Parking'],
+  ['otherIncome', 'Other Income'],
+]
+
+/**
+ * Schedules that fall after the last month of the horizon. The cashflow drops
+ * those flows instead of moving them into its last month, so each row is
+ * reported once with the latest month it reaches:
+ *
+ * - soft / hard costs paid after the horizon (a range is cut off part-way);
+ * - revenue lines, carrying costs and loans that start after it;
+ * - equity contributions and capital events dated after it.
+ *
+ * Leases, loans and recurring costs that are still running at the end of the
+ * horizon are not warnings; they simply continue past the analysis.
+ */
+export const collectHorizonWarnings = (project, months = DEFAULT_CASHFLOW_MONTHS) => {
+  const warnings = []
+  const check = (section, row, fallbackLabel, values, verb) => {
+    const latest = Math.max(...values.map(normalizeCashflowMonth))
+    if (latest < months) return
+    const label = row.costName || row.typeLabel || fallbackLabel
+    warnings.push({
+      section,
+      id: row.id ?? null,
+      label,
+      month: latest,
+      message: `${label} ${verb} in month ${latest + 1}, after the ${months}-month horizon.`,
+    })
+  }
+
+  ;[
+    ['soft', project?.softCosts, 'Soft cost'],
+    ['hard', project?.hardCosts, 'Hard cost'],
+  ].forEach(([section, rows, fallbackLabel]) => {
+    ;(rows || []).forEach((row) => {
+      if (Number(row.amountUsd)) check(section, row, fallbackLabel, costPaymentMonths(row), 'is paid')
+    })
+  })
+  revenueSections.forEach(([key, fallbackLabel]) => {
+    ;(project?.[key] || []).forEach((row) => check('revenue', row, fallbackLabel, [row.startMonth], 'starts'))
+  })
+  ;(project?.carryingCosts || []).forEach((row) => {
+    if (row.carryingType === 'loan') {
+      check('carrying', row, 'Loan', [row.fundingMonth], 'funds')
+    } else {
+      check('carrying', row, 'Carrying cost', [row.startMonth], 'starts')
+    }
+  })
+  ;(project?.gpContributions || []).forEach((row) => {
+    const contribution = { id: row.id, costName: row.partner ? `${row.partner} contribution` : null }
+    check('contribution', contribution, 'Contribution', [row.contributionMonth], 'is paid')
+  })
+  ;(project?.capitalEvents || []).forEach((event) => {
+    if (event.eventMonth === null || event.eventMonth === undefined) return
+    const label = event.eventType === 'sale' ? 'Sale' : 'Refinance'
+    check('capital', { id: event.id }, label, [event.eventMonth], 'closes')
+  })
+  return warnings
+}
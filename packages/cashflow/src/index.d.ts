@@ -0,0 +1,966 @@
+type Nullable<T> = T | null
+type RowId = string | number
+
+export const DEFAULT_CASHFLOW_MONTHS: number
+export const MIN_CASHFLOW_MONTHS: number
+export const MAX_CASHFLOW_MONTHS: number
+
+export interface CashflowMonth {
+  index: number
+  label: string
+  calendarLabel: string
+  year: number
+  /** Calendar month, 1–12. */
+  month: number
+}
+
+export type CashflowLineKind = 'rent' | 'equity' | 'operating' | 'debt_service' | 'loan_funding' | 'capital_event'
+
+export interface CashflowLineItem {
+  id: string
+  label: string
+  kind?: CashflowLineKind
+  values: number[]
+}
+
+export interface CashflowSeries {
+  label: string
+  type: 'revenue' | 'expense' | 'capital'
+  baseValues: number[]
+  lineItems: CashflowLineItem[]
+  loans?: LoanSchedule[]
+}
+
+export interface CashflowGridRow {
+  id: string
+  label: string
+  type: 'revenue' | 'expense' | 'capital' | 'total'
+  values: number[]
+  subRows: CashflowLineItem[]
+}
+
+export interface ScheduledCostInput {
+  id?: RowId
+  costName?: Nullable<string>
+  amountUsd?: Nullable<number>
+  paymentMode?: Nullable<string>
+  paymentMonth?: Nullable<number>
+  startMonth?: Nullable<number>
+  endMonth?: Nullable<number>
+  monthList?: Nullable<number[]>
+  monthPercentages?: Nullable<number[]>
+}
+
+export type SoftCostBasis = 'fixed' | 'pct_hard' | 'pct_total'
+
+export interface SoftCostInput extends ScheduledCostInput {
+  costBasis?: Nullable<SoftCostBasis>
+  /** % of the base for `pct_hard` / `pct_total` rows. */
+  costPct?: Nullable<number>
+}
+
+export interface HardCostTrackingInput extends ScheduledCostInput {
+  /** Hard-cost category (`HARD_COST_CATEGORY_IDS`). */
+  costGroup?: Nullable<string>
+  committedUsd?: Nullable<number>
+  invoicedUsd?: Nullable<number>
+  paidUsd?: Nullable<number>
+  retainageUsd?: Nullable<number>
+  changeOrders?: Nullable<Array<{ amountUsd?: Nullable<number> }>>
+}
+
+export interface HardCostTrackingTotals {
+  budget: number
+  committed: number
+  changeOrders: number
+  /** Commitment plus approved change orders. */
+  revisedCommitment: number
+  invoiced: number
+  paid: number
+  retainage: number
+  balanceToFinish: number
+  /** Revised commitment over (+) or under (−) the budget. */
+  variance: number
+  /** Invoiced over the revised commitment (the budget while uncommitted); null without either. */
+  percentComplete: number | null
+}
+
+export interface HardCostTrackingSummary {
+  categories: Array<HardCostTrackingTotals & { category: string }>
+  total: HardCostTrackingTotals
+}
+
+export interface CarryingInput {
+  id?: RowId
+  carryingType?: Nullable<string>
+  costName?: Nullable<string>
+  amountUsd?: Nullable<number>
+  loanMode?: Nullable<string>
+  loanAmountUsd?: Nullable<number>
+  loanTermMonths?: Nullable<number>
+  interestRatePct?: Nullable<number>
+  fundingMonth?: Nullable<number>
+  repaymentStartMonth?: Nullable<number>
+  constructionTerms?: Nullable<ConstructionLoanTermsInput>
+  intervalUnit?: Nullable<string>
+  startMonth?: Nullable<number>
+  endMonth?: Nullable<number>
+  opexBasis?: Nullable<string>
+  opexRate?: Nullable<number>
+}
+
+/** Drivers for per-unit, per-sqft and % of EGI operating expenses. */
+export interface OpexContext {
+  units?: number
+  sqft?: number
+  /** Monthly effective gross income. */
+  egi?: number[]
+}
+
+export type ConstructionDrawCategory = 'purchase' | 'hard' | 'soft'
+
+export interface ConstructionLoanTermsInput {
+  ltcPct?: Nullable<number>
+  interestReserveUsd?: Nullable<number>
+  equityFirst?: Nullable<boolean>
+  capitalizeInterest?: Nullable<boolean>
+  drawCategories?: Nullable<ConstructionDrawCategory[]>
+}
+
+export type ConstructionCostSchedule = Record<ConstructionDrawCategory, number[]>
+
+export interface LoanValues {
+  funding: number[]
+  interest: number[]
+  principal: number[]
+  /** Construction loans only: interest paid from the reserve or accrued into the balance. */
+  capitalizedInterest?: number[]
+  /** Construction loans only: closing balance per month. */
+  balance?: number[]
+  /** Construction loans only: loan amount after the LTC cap. */
+  commitment?: number
+  /** Balance repaid at a refinance or sale (negative), see `applyLoanPayoff`. */
+  payoff?: number[]
+}
+
+export interface LoanSchedule {
+  id: string
+  label: string
+  loanMode: string | null
+  values: LoanValues
+}
+
+export type CapitalEventType = 'refinance' | 'sale'
+
+export interface RefinanceTermsInput {
+  capRatePct?: Nullable<number>
+  maxLtvPct?: Nullable<number>
+  minDscr?: Nullable<number>
+  minDebtYieldPct?: Nullable<number>
+  interestRatePct?: Nullable<number>
+  amortizationYears?: Nullable<number>
+  closingCostPct?: Nullable<number>
+}
+
+export interface SaleTermsInput {
+  exitCapRatePct?: Nullable<number>
+  sellingCostPct?: Nullable<number>
+  transferTaxPct?: Nullable<number>
+}
+
+export interface CapitalEventInput {
+  id?: RowId
+  eventType: CapitalEventType
+  eventMonth: number
+  terms?: Nullable<RefinanceTermsInput & SaleTermsInput>
+}
+
+export type RefinanceConstraint = 'ltv' | 'dscr' | 'debtYield'
+
+export interface RefinanceSizing {
+  annualNoi: number
+  value: number
+  constraints: Record<RefinanceConstraint, number | null>
+  loanAmount: number
+  bindingConstraint: RefinanceConstraint | null
+  termMonths: number
+  monthlyPayment: number
+}
+
+export interface RefinanceEvent extends RefinanceSizing {
+  month: number
+  payoff: number
+  closingCosts: number
+  netCashOut: number
+  loan: LoanSchedule
+}
+
+export interface SaleEvent {
+  month: number
+  annualNoi: number
+  exitCapRatePct: number
+  salePrice: number
+  sellingCosts: number
+  transferTaxes: number
+  payoff: number
+  netProceeds: number
+}
+
+export type LeaseUpCurve = 'linear' | 's_curve' | 'units_per_month' | 'custom'
+
+export interface LeaseUpFieldsInput {
+  rentGrowthPct?: Nullable<number>
+  leaseUpCurve?: Nullable<LeaseUpCurve>
+  leaseUpUnitsPerMonth?: Nullable<number>
+  leaseUpAbsorptionPct?: Nullable<number[]>
+}
+
+export interface LeaseUpOptions {
+  curve?: LeaseUpCurve
+  unitsPerMonth?: Nullable<number>
+  unitCount?: Nullable<number>
+  absorptionPct?: Nullable<number[]>
+}
+
+export type ExpenseInflationInput = Partial<Record<string, Nullable<number>>>
+
+export type AbatementBase = 'improvements' | 'total'
+
+export interface PropertyTaxAssessmentInput {
+  landValueUsd?: Nullable<number>
+  improvementValueUsd?: Nullable<number>
+  assessmentRatioPct?: Nullable<number>
+  millageRate?: Nullable<number>
+  reassessOnPurchase?: Nullable<boolean>
+  completionMonth?: Nullable<number>
+  completedImprovementValueUsd?: Nullable<number>
+  abatement?: Nullable<{
+    startMonth?: Nullable<number>
+    schedulePct?: Nullable<number[]>
+    appliesTo?: Nullable<AbatementBase>
+  }>
+}
+
+export interface ResolvedPropertyTaxAssessment {
+  land: number
+  improvements: { preCompletion: number; postCompletion: number }
+  completionMonth: number | null
+  assessmentRatioPct: number
+  millageRate: number
+  abatement: { startMonth: number; schedulePct: number[]; appliesTo: AbatementBase } | null
+}
+
+export interface AssessedPropertyTaxLine {
+  id: 'property-tax-construction' | 'property-tax-stabilized'
+  label: string
+  propertyTaxPhase: 'construction' | 'stabilized'
+  values: number[]
+}
+
+export interface PropertyTaxPhaseSummary {
+  improvements: number
+  marketValue: number
+  assessedValue: number
+  /** Unabated annual tax. */
+  annualTax: number
+}
+
+export interface PropertyTaxAssessmentSummary {
+  preCompletion: PropertyTaxPhaseSummary | null
+  postCompletion: PropertyTaxPhaseSummary
+  abatementYears: { year: number; abatementPct: number; annualTax: number }[]
+}
+
+export interface UnitRevenueInput extends LeaseUpFieldsInput {
+  id?: RowId
+  typeLabel?: Nullable<string>
+  unitCount?: Nullable<number>
+  rentBudget?: Nullable<number>
+  vacancyPct?: Nullable<number>
+  startMonth?: Nullable<number>
+}
+
+export type RetailLeaseType = 'gross' | 'nnn' | 'modified_gross'
+
+export interface RetailRevenueInput extends UnitRevenueInput {
+  unitSqft?: Nullable<number>
+  leaseType?: Nullable<RetailLeaseType>
+  tenantName?: Nullable<string>
+  leaseTermMonths?: Nullable<number>
+  freeRentMonths?: Nullable<number>
+  rentSteps?: Nullable<Array<{ afterMonths: number; monthlyRentUsd: number }>>
+  camRecoveryUsd?: Nullable<number>
+  taxRecoveryUsd?: Nullable<number>
+  insuranceRecoveryUsd?: Nullable<number>
+  tiAllowancePsf?: Nullable<number>
+  leasingCommissionPct?: Nullable<number>
+}
+
+export interface RetailLeaseSummary {
+  leaseType: RetailLeaseType
+  commencementMonth: number
+  expirationMonth: number | null
+  monthlyRecoveriesUsd: number
+  leaseRentUsd: number | null
+  tiUsd: number
+  leasingCommissionUsd: number
+}
+
+export interface RetailLeaseCostRow extends ScheduledCostInput {
+  id: string
+  category: 'leaseup'
+  costGroup: 'tenant_improvements' | 'leasing_agent'
+  costName: string
+  amountUsd: number
+  paymentMode: 'single'
+  paymentMonth: number
+  retailSpaceId: RowId | null
+  derived: true
+}
+
+export interface ParkingRevenueInput extends LeaseUpFieldsInput {
+  id?: RowId
+  typeLabel?: Nullable<string>
+  spaceCount?: Nullable<number>
+  monthlyRentUsd?: Nullable<number>
+  vacancyPct?: Nullable<number>
+  startMonth?: Nullable<number>
+}
+
+export interface OtherIncomeInput {
+  id?: RowId
+  typeLabel?: Nullable<string>
+  amountBasis?: Nullable<string>
+  monthlyAmountUsd?: Nullable<number>
+  vacancyPct?: Nullable<number>
+  startMonth?: Nullable<number>
+}
+
+export interface ContributionInput {
+  id?: RowId
+  partner?: Nullable<string>
+  amountUsd?: Nullable<number>
+  contributionMonth?: Nullable<number>
+  holdingPct?: Nullable<number>
+}
+
+export interface TurnoverInput {
+  turnoverPct?: Nullable<number>
+  turnoverCostUsd?: Nullable<number>
+}
+
+export interface TurnoverRow {
+  id: string
+  label: string
+  monthlyAmount: number
+  startMonth: number | null
+}
+
+export type RentRollStatus = 'occupied' | 'notice' | 'vacant' | 'down'
+
+export interface RentRollUnitInput {
+  id?: RowId
+  apartmentTypeId?: Nullable<RowId>
+  unitNumber?: Nullable<string>
+  status?: Nullable<RentRollStatus>
+  contractRent?: Nullable<number>
+  marketRent?: Nullable<number>
+}
+
+export interface ProjectCashflowInput {
+  general?: {
+    closingDate?: Nullable<string>
+    startLeasingDate?: Nullable<string>
+    stabilizedDate?: Nullable<string>
+    targetUnits?: Nullable<number>
+    targetSqft?: Nullable<number>
+    purchasePriceUsd?: Nullable<number>
+    horizonMonths?: Nullable<number>
+  } | null
+  revenue?: UnitRevenueInput[]
+  retailRevenue?: RetailRevenueInput[]
+  parkingRevenue?: ParkingRevenueInput[]
+  otherIncome?: OtherIncomeInput[]
+  gpContributions?: ContributionInput[]
+  softCosts?: SoftCostInput[]
+  hardCosts?: ScheduledCostInput[]
+  leaseupCosts?: ScheduledCostInput[]
+  carryingCosts?: CarryingInput[]
+  capitalEvents?: CapitalEventInput[]
+  expenseInflation?: Nullable<ExpenseInflationInput>
+  propertyTaxAssessment?: Nullable<PropertyTaxAssessmentInput>
+  apartmentTurnover?: Nullable<TurnoverInput>
+  retailTurnover?: Nullable<TurnoverInput>
+  returns?: {
+    preferredReturnPct?: Nullable<number>
+    noiDistributionMode?: Nullable<string>
+  } | null
+}
+
+export interface LeasingOffsets {
+  leasingStartOffset: number | null
+  stabilizedOffset: number | null
+}
+
+export interface OperatingCashflow {
+  rentalRevenue: number[]
+  operatingExpenses: number[]
+  noi: number[]
+  debtService: number[]
+  cashAfterDebtService: number[]
+  loanFunding: number[]
+  equityContributions: number[]
+  /** Net cash from capital events (refinance cash-out, sale proceeds). */
+  capitalEvents: number[]
+  /** Sale price less selling costs and transfer taxes, before loan payoff. */
+  reversion: number[]
+  /** Purchase price paid at closing (month 0), as an outflow. */
+  acquisition: number[]
+}
+
+export type CashflowPeriod = 'month' | 'quarter' | 'year'
+
+/** A roll-up column of the cashflow grid; `indices` are the months it sums. */
+export interface CashflowPeriodColumn {
+  id: string
+  label: string
+  calendarLabel: string
+  indices: number[]
+}
+
+export interface CashflowSubtotalRow {
+  id: 'rental_revenue' | 'operating_expenses' | 'noi' | 'debt_service' | 'cash_after_debt_service'
+  label: string
+  values: number[]
+}
+
+export type HorizonWarningSection = 'soft' | 'hard' | 'revenue' | 'carrying' | 'contribution' | 'capital'
+
+/** A schedule that falls after the analysis horizon; its flows are dropped. */
+export interface HorizonWarning {
+  section: HorizonWarningSection
+  id: RowId | null
+  label: string
+  /** Latest month offset the row reaches. */
+  month: number
+  message: string
+}
+
+export interface ProjectCashflow extends LeasingOffsets {
+  months: CashflowMonth[]
+  rows: CashflowGridRow[]
+  totals: number[]
+  balance: number[]
+  operating: OperatingCashflow
+  loans: LoanSchedule[]
+  capitalEvents: { refinance: RefinanceEvent | null; sale: SaleEvent | null }
+  turnoverRows: TurnoverRow[]
+  warnings: HorizonWarning[]
+  subtotals: CashflowSubtotalRow[]
+}
+
+export type NoiDistributionMode = 'capital_return' | 'distribution'
+
+export interface InvestorReturns {
+  id: string
+  holdingPct: number
+  capitalSharePct: number
+  monthly: {
+    contributions: number[]
+    prefAccrued: number[]
+    prefPaid: number[]
+    capitalReturned: number[]
+    profit: number[]
+    distributions: number[]
+    capitalBalance: number[]
+    prefBalance: number[]
+  }
+  totals: {
+    contributed: number
+    prefAccrued: number
+    prefPaid: number
+    capitalReturned: number
+    profitDistributed: number
+    distributed: number
+    totalProfit: number
+  }
+}
+
+export interface DistributionWaterfall {
+  preferredReturnPct: number
+  noiMode: NoiDistributionMode
+  investors: InvestorReturns[]
+  undistributed: number[]
+  totals: {
+    contributed: number
+    distributed: number
+    undistributed: number
+  }
+}
+
+export interface ProjectWaterfall extends DistributionWaterfall {
+  months: CashflowMonth[]
+}
+
+export interface DatedFlow {
+  date: Date | string
+  amount: number
+}
+
+export interface AnnualCashOnCash {
+  year: number
+  startMonth: number
+  endMonth: number
+  cashFlow: number
+  equity: number
+  cashOnCashPct: number | null
+}
+
+export interface IrrSummary {
+  irrPct: number | null
+  xirrPct: number | null
+}
+
+export interface InvestorReturnMetrics extends IrrSummary {
+  id: string
+  equityMultiple: number | null
+  cashOnCash: AnnualCashOnCash[]
+}
+
+export interface ScenarioAdjustments {
+  hardCostPct?: Nullable<number>
+  softCostPct?: Nullable<number>
+  rentPct?: Nullable<number>
+  vacancyPct?: Nullable<number>
+  interestRateDeltaPct?: Nullable<number>
+  loanAmountPct?: Nullable<number>
+  loanTermMonths?: Nullable<number>
+  delayMonths?: Nullable<number>
+}
+
+export interface ScenarioSummary {
+  annualNoi: number
+  totalCost: number
+  peakEquity: number
+  leveredIrrPct: number | null
+  dscr: number | null
+  stabilizedWindow: { startMonth: number; endMonth: number }
+}
+
+export type SourcesUsesStatus = 'balanced' | 'gap' | 'surplus'
+
+export interface SourcesUsesLine {
+  id: string
+  label: string
+  kind?: 'loan' | 'gp_equity' | 'lp_equity'
+  amount: number
+  values: number[]
+}
+
+export interface SourcesUsesMonth {
+  index: number
+  uses: number
+  loanDraws: number
+  equityContributed: number
+  equityRequired: number
+  cumulativeEquityRequired: number
+  cumulativeEquityContributed: number
+  equityShortfall: number
+}
+
+export interface SourcesAndUses {
+  window: { startMonth: number; endMonth: number }
+  uses: SourcesUsesLine[]
+  sources: SourcesUsesLine[]
+  totalUses: number
+  totalSources: number
+  difference: number
+  status: SourcesUsesStatus
+  monthly: SourcesUsesMonth[]
+}
+
+export interface RentRollSummary {
+  unitCount: number
+  occupiedUnits: number
+  occupancyPct: number
+  contractRent: number
+  marketRent: number
+  lossToLease: number
+  lossToLeasePct: number
+  averageContractRent: number | null
+}
+
+export interface RentRollTypeSummary extends RentRollSummary {
+  apartmentTypeId: RowId
+  typeLabel: string | null
+  rentBudget: number | null
+  budgetRent: number
+  varianceToBudget: number
+}
+
+export interface RentRollRollup {
+  types: RentRollTypeSummary[]
+  unassigned: RentRollSummary | null
+  totals: RentRollSummary & { budgetRent: number; varianceToBudget: number }
+}
+
+export interface ScenarioComparison {
+  id: string | number
+  name: string
+  summary: ScenarioSummary
+}
+
+export interface ProjectReturnMetrics {
+  project: {
+    unlevered: IrrSummary
+    levered: IrrSummary
+    equityMultiple: number | null
+    cashOnCash: AnnualCashOnCash[]
+  }
+  investors: InvestorReturnMetrics[]
+}
+
+export type SensitivityMetric = 'irr' | 'profit'
+export type SensitivityVariable =
+  | 'exitCapRatePct'
+  | 'rentGrowthPct'
+  | 'hardCostOverrunPct'
+  | 'constructionMonths'
+  | 'interestRatePct'
+  | 'salesCostPct'
+
+export interface SensitivityBase {
+  purchasePriceUsd: number
+  hardCostUsd: number
+  equityUsd: number
+  constructionTaxMonthlyUsd: number
+  annualRevenueUsd: number
+  annualExpensesUsd: number
+  constructionMonths: number
+  stabilizationMonths: number
+  interestRatePct: number
+  exitCapRatePct: number
+  salesCostPct: number
+  rentGrowthPct?: number
+  hardCostOverrunPct?: number
+}
+
+export interface SensitivityAxis {
+  variable: SensitivityVariable
+  start: number
+  step: number
+  count: number
+}
+
+export interface SensitivityCaseResult {
+  exitNoi: number
+  salePrice: number
+  netProceeds: number
+  totalProjectCost: number
+  profit: number
+  irrPct: number | null
+}
+
+export interface SensitivityGrid {
+  metric: SensitivityMetric
+  rowVariable: SensitivityVariable
+  columnVariable: SensitivityVariable
+  rowValues: number[]
+  columnValues: number[]
+  cells: Array<Array<number | null>>
+  min: number | null
+  max: number | null
+}
+
+export type CashflowLineItemId = 'revenues' | 'soft' | 'hard' | 'carrying'
+
+export interface CashflowEntryInput {
+  monthIndex: number
+  lineItem: string
+  budgetInflows?: Nullable<number>
+  budgetOutflows?: Nullable<number>
+  actualInflows?: Nullable<number>
+  actualOutflows?: Nullable<number>
+  notes?: Nullable<string>
+}
+
+export interface CashflowActualsLine {
+  id: CashflowLineItemId
+  label: string
+  budget: number[]
+  actual: Array<number | null>
+  variance: Array<number | null>
+  forecast: number[]
+  notes: Array<string | null>
+}
+
+export interface CashflowActuals {
+  throughMonth: number | null
+  lines: CashflowActualsLine[]
+  total: {
+    budget: number[]
+    actual: Array<number | null>
+    variance: Array<number | null>
+    forecast: number[]
+  }
+}
+
+export function normalizeCashflowMonth(value: unknown): number
+export function clampCashflowMonth(value: unknown, maxMonths: number): number
+export function resolveCashflowHorizon(general: { horizonMonths?: Nullable<number | string> } | null | undefined): number
+export const CASHFLOW_PERIODS: readonly CashflowPeriod[]
+export function buildCashflowPeriods(
+  months?: CashflowMonth[],
+  options?: { period?: CashflowPeriod; fiscalYearStartMonth?: Nullable<number> },
+): CashflowPeriodColumn[]
+export function buildCashflowSubtotals(operating: OperatingCashflow): CashflowSubtotalRow[]
+export function collectHorizonWarnings(project: ProjectCashflowInput | null | undefined, months?: number): HorizonWarning[]
+export const ABATEMENT_BASES: readonly AbatementBase[]
+export function resolvePropertyTaxAssessment(
+  project: ProjectCashflowInput | null | undefined,
+): ResolvedPropertyTaxAssessment | null
+export function resolveAbatementPct(abatement: ResolvedPropertyTaxAssessment['abatement'], month: number): number
+export function calculateAssessedAnnualTax(resolved: ResolvedPropertyTaxAssessment | null, month?: number): number
+export function buildAssessedPropertyTaxLines(
+  resolved: ResolvedPropertyTaxAssessment | null,
+  months?: number,
+  options?: { inflationPct?: Nullable<number> },
+): AssessedPropertyTaxLine[]
+export function summarizePropertyTaxAssessment(
+  resolved: ResolvedPropertyTaxAssessment | null,
+): PropertyTaxAssessmentSummary | null
+export const SOFT_COST_BASES: readonly SoftCostBasis[]
+export function isPercentageCost(row: SoftCostInput | null | undefined): boolean
+export function resolvePercentageSoftCosts<T extends SoftCostInput>(
+  project: { general?: ProjectCashflowInput['general']; hardCosts?: ScheduledCostInput[]; softCosts?: T[] } | null | undefined,
+): T[]
+export function summarizeHardCostTracking(hardCosts: HardCostTrackingInput[] | null | undefined): HardCostTrackingSummary
+export function hasMagnitude(values: number[]): boolean
+export function buildRecurringLineValues(netAmount: number, startMonth: Nullable<number> | undefined, months?: number): number[]
+export const LEASE_UP_CURVES: readonly LeaseUpCurve[]
+export function applyAnnualGrowth(values: number[], annualPct: Nullable<number> | undefined): number[]
+export function buildLeaseUpValues(
+  leaseUp: LeaseUpOptions | undefined,
+  rowStartMonth: Nullable<number> | undefined,
+  leasingStart: Nullable<number> | undefined,
+  stabilized: Nullable<number> | undefined,
+  months?: number,
+): number[]
+export function buildRampedRevenueValues(
+  netAmount: number,
+  rowStartMonth: Nullable<number> | undefined,
+  leasingStart: Nullable<number> | undefined,
+  stabilized: Nullable<number> | undefined,
+  months?: number,
+  options?: { rentGrowthPct?: Nullable<number>; leaseUp?: LeaseUpOptions },
+): number[]
+export function buildContributionValues(amount: Nullable<number> | undefined, monthIndex: Nullable<number> | undefined, months?: number): number[]
+export function buildCostAllocations(row: ScheduledCostInput | null | undefined, months?: number): number[]
+export function buildExpenseSeries(rows: ScheduledCostInput[] | undefined, headerLabel: string, months?: number): CashflowSeries
+export function truncateSeriesAfter<T extends CashflowSeries>(series: T, lastMonth: number | null | undefined): T
+export function buildCashflowRows(input: {
+  months: unknown[]
+  revenueSeries: CashflowSeries
+  softCostSeries: CashflowSeries
+  hardCostSeries: CashflowSeries
+  carryingCostSeries: CashflowSeries
+  capitalEventSeries?: CashflowSeries | null
+}): CashflowGridRow[]
+
+export const CONSTRUCTION_DRAW_CATEGORIES: ConstructionDrawCategory[]
+export const DEFAULT_CONSTRUCTION_DRAW_CATEGORIES: ConstructionDrawCategory[]
+export function buildConstructionCostSchedule(
+  project: ProjectCashflowInput | null | undefined,
+  months?: number,
+): ConstructionCostSchedule
+export function buildConstructionLoanValues(
+  row: CarryingInput,
+  months: number,
+  costSchedule?: Partial<ConstructionCostSchedule>,
+): LoanValues
+export function buildLoanValues(
+  row: CarryingInput,
+  months: number,
+  options?: { costSchedule?: Partial<ConstructionCostSchedule> },
+): LoanValues
+export function applyLoanPayoff(values: LoanValues, payoffMonth: number | null | undefined): LoanValues
+export function addLoanToCarryingSeries(
+  series: CashflowSeries,
+  loan: LoanSchedule,
+  options?: { funding?: boolean },
+): CashflowSeries
+export function buildCarryingSeries(
+  rows?: CarryingInput[],
+  months?: number,
+  options?: {
+    costSchedule?: Partial<ConstructionCostSchedule>
+    payoffMonth?: number | null
+    expenseInflation?: Nullable<ExpenseInflationInput>
+    opexContext?: Nullable<OpexContext>
+    propertyTaxLines?: Nullable<AssessedPropertyTaxLine[]>
+  },
+): CashflowSeries
+export function resolveOpexAmount(row: CarryingInput, context?: Pick<OpexContext, 'units' | 'sqft'>): number | null
+export function calculateAnnualOpex(
+  row: CarryingInput,
+  context?: Pick<OpexContext, 'units' | 'sqft'> & { annualEgi?: number },
+): number
+
+export const REFINANCE_LOAN_ID: 'refinance'
+export function findCapitalEvent(
+  project: ProjectCashflowInput | null | undefined,
+  eventType: CapitalEventType,
+): CapitalEventInput | null
+export function resolveCapitalEvents(
+  project: ProjectCashflowInput | null | undefined,
+  months?: number,
+): { refinance: CapitalEventInput | null; sale: CapitalEventInput | null }
+export function resolveCapitalEventMonth(event: CapitalEventInput | null | undefined, months?: number): number | null
+export function calculateForwardNoi(noi?: number[], month?: number): number
+export function sizeRefinanceLoan(input?: RefinanceTermsInput & { annualNoi?: number }): RefinanceSizing
+export function buildRefinanceEvent(
+  event: CapitalEventInput | null | undefined,
+  options?: { noi?: number[]; loans?: LoanSchedule[]; months?: number; payoffMonth?: number | null },
+): RefinanceEvent | null
+export function buildSaleEvent(
+  event: CapitalEventInput | null | undefined,
+  options?: { noi?: number[]; loans?: LoanSchedule[]; months?: number },
+): SaleEvent | null
+export function buildCapitalEventSeries(input?: {
+  refinance?: RefinanceEvent | null
+  sale?: SaleEvent | null
+  months?: number
+}): CashflowSeries
+
+export const gpPartners: Array<{ id: string; label: string }>
+export function calculateNetRevenue(row?: UnitRevenueInput): number
+export function calculateNetRetailRevenue(row?: RetailRevenueInput): number
+export function calculateNetParking(row?: ParkingRevenueInput): number
+export function calculateNetOtherIncome(row?: OtherIncomeInput, apartmentUnits?: number): number
+
+export const RETAIL_LEASE_TYPES: RetailLeaseType[]
+export function calculateMonthlyRecoveries(row?: RetailRevenueInput): number
+export function resolveRetailBaseRent(row?: RetailRevenueInput, leaseMonth?: number): number
+export function buildRetailLeaseValues(
+  row?: RetailRevenueInput,
+  months?: number,
+): { rent: number[]; recoveries: number[] }
+export function summarizeRetailLease(row?: RetailRevenueInput): RetailLeaseSummary
+export function buildRetailLeaseCostRows(rows?: RetailRevenueInput[] | null): RetailLeaseCostRow[]
+
+export const RENT_ROLL_STATUSES: RentRollStatus[]
+export function isPayingUnit(unit: RentRollUnitInput | null | undefined): boolean
+export function summarizeRentRoll(
+  units?: RentRollUnitInput[] | null,
+  revenueRows?: UnitRevenueInput[] | null,
+): RentRollRollup
+export function applyRentRollToRevenue<T extends UnitRevenueInput>(
+  revenueRows?: T[] | null,
+  units?: RentRollUnitInput[] | null,
+): Array<T & { rentActual?: number | null }>
+
+export function resolveCashflowBaseDate(closingDate: Nullable<string> | undefined): Date
+export function formatCalendarMonth(date: Date): string
+export function getMonthOffset(baseDate: Date, value: Nullable<string> | undefined): number | null
+export function buildCashflowMonths(baseDate: Date, months?: number): CashflowMonth[]
+export function resolveLeasingOffsets(
+  baseDate: Date,
+  dates?: { startLeasingDate?: Nullable<string>; stabilizedDate?: Nullable<string> },
+): LeasingOffsets
+export function countApartmentUnits(rows?: UnitRevenueInput[], targetUnits?: Nullable<number>): number
+export function countRetailUnits(rows?: UnitRevenueInput[]): number
+export function buildTurnoverRows(project: ProjectCashflowInput | null | undefined, startMonth?: number | null): TurnoverRow[]
+export function appendTurnoverCarryingRows<T extends CarryingInput>(carryingRows?: T[], turnoverRows?: TurnoverRow[]): Array<T | CarryingInput>
+export function buildRevenueSeries(input: {
+  apartments?: UnitRevenueInput[]
+  retail?: RetailRevenueInput[]
+  parking?: ParkingRevenueInput[]
+  otherIncome?: OtherIncomeInput[]
+  apartmentUnits?: number
+  contributions?: ContributionInput[]
+  leasingStartOffset?: number | null
+  stabilizedOffset?: number | null
+  months?: number
+}): CashflowSeries
+export function buildProjectCashflow(
+  project: ProjectCashflowInput | null | undefined,
+  options?: { months?: number; overrides?: { startLeasingDate?: Nullable<string>; stabilizedDate?: Nullable<string> } },
+): ProjectCashflow
+export function summarizeOperatingCashflow(input: {
+  revenueSeries: CashflowSeries
+  carryingCostSeries: CashflowSeries
+  capitalEventSeries?: CashflowSeries | null
+  sale?: SaleEvent | null
+  purchasePriceUsd?: Nullable<number>
+  months?: number
+}): OperatingCashflow
+
+export const DEFAULT_NOI_DISTRIBUTION_MODE: NoiDistributionMode
+export function buildInvestors(
+  contributions?: ContributionInput[],
+  months?: number,
+): Array<{ id: string; holdingPct: number; contributions: number[] }>
+export function buildDistributionWaterfall(input: {
+  contributions?: ContributionInput[]
+  months?: number
+  preferredReturnPct?: number | null
+  noiMode?: string | null
+  operatingCash?: number[]
+  capitalEvents?: number[]
+}): DistributionWaterfall
+export function buildProjectWaterfall(
+  project: ProjectCashflowInput | null | undefined,
+  options?: { months?: number; cashflow?: ProjectCashflow; capitalEvents?: number[] },
+): ProjectWaterfall
+
+export function calculateIrr(flows?: number[]): number | null
+export function annualizeMonthlyRate(rate: number | null | undefined): number | null
+export function calculateXirr(flows?: DatedFlow[]): number | null
+export function calculateEquityMultiple(contributed: number, distributed: number): number | null
+export function calculateAnnualCashOnCash(cashValues?: number[], contributionValues?: number[]): AnnualCashOnCash[]
+export function buildProjectReturnMetrics(
+  project: ProjectCashflowInput | null | undefined,
+  options?: { months?: number; cashflow?: ProjectCashflow; waterfall?: DistributionWaterfall },
+): ProjectReturnMetrics
+export function buildProjectFlows(cashflow: ProjectCashflow): { unleveredFlows: number[]; leveredFlows: number[] }
+
+export const BASE_SCENARIO_ID: 'base'
+export function applyScenario<T extends ProjectCashflowInput | null | undefined>(project: T, adjustments?: ScenarioAdjustments | null): T
+export function summarizeScenario(project: ProjectCashflowInput | null | undefined, options?: { months?: number }): ScenarioSummary
+export function compareScenarios(
+  project: ProjectCashflowInput | null | undefined,
+  scenarios?: Array<{ id: string | number; name: string; adjustments?: ScenarioAdjustments | null }>,
+  options?: { months?: number },
+): ScenarioComparison[]
+
+export const SOURCES_USES_TOLERANCE_USD: number
+export const LP_PARTNER_ID: 'LP'
+export function buildSourcesAndUses(
+  project: ProjectCashflowInput | null | undefined,
+  options?: { months?: number; cashflow?: ProjectCashflow },
+): SourcesAndUses
+
+export const SENSITIVITY_METRICS: SensitivityMetric[]
+export const SENSITIVITY_VARIABLES: Array<{ id: SensitivityVariable; label: string; step: number }>
+export const MAX_SENSITIVITY_STEPS: number
+export function buildSensitivityAxisValues(axis: SensitivityAxis): number[]
+export function defaultSensitivityAxis(variable: SensitivityVariable, base?: Partial<SensitivityBase>): SensitivityAxis
+export function evaluateSensitivityCase(
+  base: Partial<SensitivityBase>,
+  overrides?: Partial<Record<SensitivityVariable, number>>,
+): SensitivityCaseResult
+export function buildSensitivityGrid(
+  base: Partial<SensitivityBase>,
+  options: { rowAxis: SensitivityAxis; columnAxis: SensitivityAxis; metric?: SensitivityMetric },
+): SensitivityGrid
+
+export const CASHFLOW_LINE_ITEMS: CashflowLineItemId[]
+export function splitNetAmount(value: Nullable<number | string> | undefined): {
+  inflows: number | null
+  outflows: number | null
+}
+export function buildCashflowActuals(
+  rows?: Array<{ id: string; label?: string; values: number[] }>,
+  entries?: CashflowEntryInput[],
+  months?: number,
+): CashflowActuals
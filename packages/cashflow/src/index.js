@@ -0,0 +1,18 @@
+export * from './series.js'
+export * from './carrying.js'
+export * from './capitalEvents.js'
+export * from './revenue.js'
+export * from './project.js'
+export * from './waterfall.js'
+export * from './metrics.js'
+export * from './scenarios.js'
+export * from './sensitivity.js'
+export * from './actuals.js'
+export * from './sourcesUses.js'
+export * from './rentRoll.js'
+export * from './retailLeases.js'
+export * from './horizon.js'
+export * from './periods.js'
+export * from './propertyTax.js'
+export * from './percentageCosts.js'
+export * from './hardCostTracking.js'
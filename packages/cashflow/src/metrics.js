@@ -0,0 +1,175 @@
+import { buildProjectCashflow, resolveCashflowBaseDate } from './project.js'
+import { buildProjectWaterfall } from './waterfall.js'
+
+const MAX_ITERATIONS = 200
+const TOLERANCE = 1e-7
+const DAYS_PER_YEAR = 365
+
+const hasSignChange = (values) => values.some((value) => value > 0) && values.some((value) => value < 0)
+
+/**
+ * Finds the root of a decreasing NPV curve. Newton's method from a small guess
+ * first, then bisection when Newton leaves the valid range or stalls.
+ */
+const solveRate = (npv, derivative) => {
+  let rate = 0.01
+  for (let i = 0; i < MAX_ITERATIONS; i += 1) {
+    const value = npv(rate)
+    const slope = derivative(rate)
+    if (!Number.isFinite(value) || !Number.isFinite(slope) || slope === 0) break
+    const next = rate - value / slope
+    if (!Number.isFinite(next) || next <= -1) break
+    if (Math.abs(next - rate) < TOLERANCE) return next
+    rate = next
+  }
+
+  let low = -0.9999
+  let high = 10
+  let lowValue = npv(low)
+  if (!Number.isFinite(lowValue) || lowValue * npv(high) > 0) return null
+  for (let i = 0; i < MAX_ITERATIONS; i += 1) {
+    const mid = (low + high) / 2
+    const midValue = npv(mid)
+    if (Math.abs(midValue) < TOLERANCE || high - low < TOLERANCE) return mid
+    if (lowValue * midValue < 0) {
+      high = mid
+    } else {
+      low = mid
+      lowValue = midValue
+    }
+  }
+  return (low + high) / 2
+}
+
+/**
+ * Periodic IRR for evenly spaced flows (one entry per period). Returns null when
+ * the flows never change sign.
+ */
+export const calculateIrr = (flows = []) => {
+  const values = flows.map((value) => Number(value) || 0)
+  if (!hasSignChange(values)) return null
+  const npv = (rate) => values.reduce((sum, value, idx) => sum + value / (1 + rate) ** idx, 0)
+  const derivative = (rate) => values.reduce((sum, value, idx) => sum - (idx * value) / (1 + rate) ** (idx + 1), 0)
+  return solveRate(npv, derivative)
+}
+
+export const annualizeMonthlyRate = (rate) => (rate === null || rate === undefined ? null : (1 + rate) ** 12 - 1)
+
+/**
+ * XIRR over `{ date, amount }` flows using an actual/365 day count, matching the
+ * spreadsheet function.
+ */
+export const calculateXirr = (flows = []) => {
+  const entries = flows
+    .map((flow) => ({ time: new Date(flow.date).getTime(), amount: Number(flow.amount) || 0 }))
+    .filter((flow) => Number.isFinite(flow.time) && flow.amount !== 0)
+  if (!hasSignChange(entries.map((flow) => flow.amount))) return null
+  const start = Math.min(...entries.map((flow) => flow.time))
+  const years = entries.map((flow) => (flow.time - start) / (DAYS_PER_YEAR * 24 * 60 * 60 * 1000))
+  const npv = (rate) => entries.reduce((sum, flow, idx) => sum + flow.amount / (1 + rate) ** years[idx], 0)
+  const derivative = (rate) =>
+    entries.reduce((sum, flow, idx) => sum - (years[idx] * flow.amount) / (1 + rate) ** (years[idx] + 1), 0)
+  return solveRate(npv, derivative)
+}
+
+export const calculateEquityMultiple = (contributed, distributed) =>
+  contributed > 0 ? distributed / contributed : null
+
+/**
+ * Cash-on-cash per 12-month project year: cash for the year over the equity
+ * contributed to date at the end of that year.
+ */
+export const calculateAnnualCashOnCash = (cashValues = [], contributionValues = []) => {
+  const years = []
+  let contributedToDate = 0
+  for (let start = 0; start < cashValues.length; start += 12) {
+    const end = Math.min(start + 12, cashValues.length)
+    let cash = 0
+    for (let idx = start; idx < end; idx += 1) {
+      cash += cashValues[idx] || 0
+      contributedToDate += contributionValues[idx] || 0
+    }
+    years.push({
+      year: start / 12 + 1,
+      startMonth: start,
+      endMonth: end - 1,
+      cashFlow: cash,
+      equity: contributedToDate,
+      cashOnCashPct: contributedToDate > 0 ? (cash / contributedToDate) * 100 : null,
+    })
+  }
+  return years
+}
+
+const buildDatedFlows = (baseDate, values) =>
+  values.map((amount, index) => ({
+    date: new Date(baseDate.getFullYear(), baseDate.getMonth() + index, 1),
+    amount,
+  }))
+
+const toPct = (rate) => (rate === null ? null : rate * 100)
+
+const summarizeFlows = (flows, baseDate) => ({
+  irrPct: toPct(annualizeMonthlyRate(calculateIrr(flows))),
+  xirrPct: toPct(calculateXirr(buildDatedFlows(baseDate, flows))),
+})
+
+/**
+ * Unlevered flows are the acquisition, development costs, NOI and the sale
+ * reversion (no loan or equity flows); levered flows swap the reversion for
+ * loan funding, debt service and capital events, whose sale lines net the loan
+ * payoff.
+ */
+export const buildProjectFlows = (cashflow) => {
+  const { operating } = cashflow
+  const rowValues = (id) => cashflow.rows.find((row) => row.id === id)?.values ?? []
+  const softValues = rowValues('soft')
+  const hardValues = rowValues('hard')
+  const developmentFlows = operating.noi.map(
+    (value, idx) =>
+      value + (operating.acquisition?.[idx] || 0) + (softValues[idx] || 0) + (hardValues[idx] || 0),
+  )
+  const unleveredFlows = developmentFlows.map((value, idx) => value + (operating.reversion?.[idx] || 0))
+  const leveredFlows = developmentFlows.map(
+    (value, idx) =>
+      value + operating.loanFunding[idx] + operating.debtService[idx] + (operating.capitalEvents?.[idx] || 0),
+  )
+  return { unleveredFlows, leveredFlows }
+}
+
+/**
+ * Project and investor return metrics over the cashflow horizon.
+ *
+ * - Project flows: see `buildProjectFlows`.
+ * - Investor flows: contributions out, waterfall distributions in.
+ *
+ * IRR is solved on monthly flows and annualized; XIRR uses the first day of
+ * each calendar month from the closing date.
+ */
+export const buildProjectReturnMetrics = (project, { months, cashflow, waterfall } = {}) => {
+  const projectCashflow = cashflow || buildProjectCashflow(project, { months })
+  const projectWaterfall = waterfall || buildProjectWaterfall(project, { cashflow: projectCashflow })
+  const baseDate = resolveCashflowBaseDate(project?.general?.closingDate)
+  const { operating } = projectCashflow
+  const { unleveredFlows, leveredFlows } = buildProjectFlows(projectCashflow)
+
+  const investors = projectWaterfall.investors.map((investor) => {
+    const flows = investor.monthly.distributions.map((value, idx) => value - investor.monthly.contributions[idx])
+    return {
+      id: investor.id,
+      ...summarizeFlows(flows, baseDate),
+      equityMultiple: calculateEquityMultiple(investor.totals.contributed, investor.totals.distributed),
+      cashOnCash: calculateAnnualCashOnCash(investor.monthly.distributions, investor.monthly.contributions),
+    }
+  })
+
+  return {
+    project: {
+      unlevered: summarizeFlows(unleveredFlows, baseDate),
+      levered: summarizeFlows(leveredFlows, baseDate),
+      equityMultiple: calculateEquityMultiple(projectWaterfall.totals.contributed, projectWaterfall.totals.distributed),
+      cashOnCash: calculateAnnualCashOnCash(operating.cashAfterDebtService, operating.equityContributions),
+    },
+    investors,
+  }
+}
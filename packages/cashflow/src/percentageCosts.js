@@ -0,0 +1,63 @@
+import { buildContributionValues, buildCostAllocations } from './series.js'
+import { MAX_CASHFLOW_MONTHS } from './horizon.js'
+
+export const SOFT_COST_BASES = ['fixed', 'pct_hard', 'pct_total']
+
+export const isPercentageCost = (row) => row?.costBasis === 'pct_hard' || row?.costBasis === 'pct_total'
+
+const sumAllocations = (rows, totals = Array(MAX_CASHFLOW_MONTHS).fill(0)) => {
+  rows.forEach((row) => {
+    buildCostAllocations(row, MAX_CASHFLOW_MONTHS).forEach((value, idx) => {
+      totals[idx] += value
+    })
+  })
+  return totals
+}
+
+// `costPct` of the base, paid in the base's months in the same proportions.
+const applyPercentage = (row, base) => {
+  const baseTotal = base.reduce((sum, value) => sum + value, 0)
+  const monthList = []
+  const monthPercentages = []
+  base.forEach((value, month) => {
+    if (!value || !baseTotal) return
+    monthList.push(month)
+    monthPercentages.push((value / baseTotal) * 100)
+  })
+  return {
+    ...row,
+    amountUsd: ((Number(row.costPct) || 0) / 100) * baseTotal,
+    paymentMode: 'multi',
+    paymentMonth: null,
+    startMonth: null,
+    endMonth: null,
+    monthList,
+    monthPercentages,
+  }
+}
+
+/**
+ * Soft costs with the percentage lines priced off their base:
+ *
+ * - `pct_hard` – % of the hard costs (contingency, A&E);
+ * - `pct_total` – % of the total cost: purchase price, hard costs and the
+ *   other soft costs, including the `pct_hard` lines (developer fee).
+ *
+ * A percentage line follows the schedule of its base, so it recalculates
+ * whenever the base costs or their months change. Fixed rows are returned as
+ * they are; the stored amount and schedule of a percentage row are ignored.
+ */
+export const resolvePercentageSoftCosts = (project) => {
+  const softCosts = project?.softCosts || []
+  if (!softCosts.some(isPercentageCost)) return softCosts
+
+  const hardBase = sumAllocations(project?.hardCosts || [])
+  const withHardShares = softCosts.map((row) => (row.costBasis === 'pct_hard' ? applyPercentage(row, hardBase) : row))
+  const totalBase = sumAllocations(
+    withHardShares.filter((row) => row.costBasis !== 'pct_total'),
+    buildContributionValues(Number(project?.general?.purchasePriceUsd) || 0, 0, MAX_CASHFLOW_MONTHS).map(
+      (value, idx) => value + hardBase[idx],
+    ),
+  )
+  return withHardShares.map((row) => (row.costBasis === 'pct_total' ? applyPercentage(row, totalBase) : row))
+}
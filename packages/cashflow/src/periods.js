@@ -0,0 +1,84 @@
+export const CASHFLOW_PERIODS = ['month', 'quarter', 'year']
+
+const PERIOD_MONTHS = { month: 1, quarter: 3, year: 12 }
+
+const normalizeFiscalYearStart = (value) => {
+  const month = Math.trunc(Number(value))
+  return month >= 1 && month <= 12 ? month : null
+}
+
+/**
+ * Fiscal year and quarter of a calendar month (1–12). A fiscal year is named
+ * after the calendar year it ends in, so FY2027 starting in July runs from
+ * July 2026 to June 2027; starting in January it is the calendar year.
+ */
+const resolveFiscalPeriod = ({ year, month }, fiscalYearStartMonth) => {
+  const monthsIntoYear = (month - fiscalYearStartMonth + 12) % 12
+  return {
+    fiscalYear: fiscalYearStartMonth > 1 && month >= fiscalYearStartMonth ? year + 1 : year,
+    quarter: Math.floor(monthsIntoYear / 3) + 1,
+  }
+}
+
+/**
+ * Groups the cashflow months into roll-up columns (`indices` are the months
+ * each column sums):
+ *
+ * - Without `fiscalYearStartMonth` quarters and years are counted from the
+ *   closing month (Year 1 = months 1–12).
+ * - With it they follow the fiscal year starting in that calendar month
+ *   (1 = January = calendar years). The first and last columns may be partial.
+ */
+export const buildCashflowPeriods = (months = [], { period = 'year', fiscalYearStartMonth = null } = {}) => {
+  if (period === 'month') {
+    return months.map((month) => ({
+      id: `m-${month.index}`,
+      label: month.label,
+      calendarLabel: month.calendarLabel,
+      indices: [month.index],
+    }))
+  }
+
+  const fiscalStart = normalizeFiscalYearStart(fiscalYearStartMonth)
+  const span = PERIOD_MONTHS[period] || PERIOD_MONTHS.year
+  const columns = []
+  months.forEach((month, position) => {
+    let key
+    let label
+    if (fiscalStart === null) {
+      const year = Math.floor(position / 12) + 1
+      const quarter = Math.floor((position % 12) / 3) + 1
+      key = span === 12 ? `y-${year}` : `q-${year}-${quarter}`
+      label = span === 12 ? `Year ${year}` : `Y${year} Q${quarter}`
+    } else {
+      const { fiscalYear, quarter } = resolveFiscalPeriod(month, fiscalStart)
+      const yearLabel = fiscalStart === 1 ? String(fiscalYear) : `FY${fiscalYear}`
+      key = span === 12 ? `fy-${fiscalYear}` : `fq-${fiscalYear}-${quarter}`
+      label = span === 12 ? yearLabel : `${yearLabel} Q${quarter}`
+    }
+    const last = columns[columns.length - 1]
+    if (last?.id === key) {
+      last.indices.push(month.index)
+      last.lastLabel = month.calendarLabel
+      return
+    }
+    columns.push({ id: key, label, firstLabel: month.calendarLabel, lastLabel: month.calendarLabel, indices: [month.index] })
+  })
+  return columns.map(({ firstLabel, lastLabel, ...column }) => ({
+    ...column,
+    calendarLabel: firstLabel === lastLabel ? firstLabel : `${firstLabel} – ${lastLabel}`,
+  }))
+}
+
+/**
+ * Lender-facing subtotal rows from the operating view of a project cashflow:
+ * rental revenue (EGI), operating expenses, NOI, debt service and cash after
+ * debt service. Revenue and each cost family are the cashflow's own rows.
+ */
+export const buildCashflowSubtotals = (operating) => [
+  { id: 'rental_revenue', label: 'Rental Revenue (EGI)', values: operating.rentalRevenue },
+  { id: 'operating_expenses', label: 'Operating Expenses', values: operating.operatingExpenses },
+  { id: 'noi', label: 'NOI', values: operating.noi },
+  { id: 'debt_service', label: 'Debt Service', values: operating.debtService },
+  { id: 'cash_after_debt_service', label: 'Cash After Debt Service', values: operating.cashAfterDebtService },
+]
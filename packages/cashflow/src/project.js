@@ -0,0 +1,399 @@
+import {
+  DEFAULT_CASHFLOW_MONTHS,
+  buildCashflowRows,
+  buildContributionValues,
+  buildExpenseSeries,
+  buildLeaseUpValues,
+  buildRampedRevenueValues,
+  truncateSeriesAfter,
+} from './series.js'
+import { addLoanToCarryingSeries, buildCarryingSeries, buildConstructionCostSchedule } from './carrying.js'
+import {
+  buildCapitalEventSeries,
+  buildRefinanceEvent,
+  buildSaleEvent,
+  resolveCapitalEventMonth,
+  resolveCapitalEvents,
+} from './capitalEvents.js'
+import { calculateNetOtherIncome, calculateNetParking, calculateNetRevenue, gpPartners } from './revenue.js'
+import { buildRetailLeaseValues } from './retailLeases.js'
+import { collectHorizonWarnings, resolveCashflowHorizon } from './horizon.js'
+import { buildCashflowSubtotals } from './periods.js'
+import { buildAssessedPropertyTaxLines, resolvePropertyTaxAssessment } from './propertyTax.js'
+import { resolvePercentageSoftCosts } from './percentageCosts.js'
+
+const DEFAULT_STABILIZATION_MONTHS = 12
+
+/**
+ * Month 1 of the cashflow is the calendar month of the closing date (or the
+ * current month when no closing date is set).
+ */
+export const resolveCashflowBaseDate = (closingDate) => {
+  const parsed = closingDate ? new Date(closingDate) : new Date()
+  if (Number.isNaN(parsed.getTime())) return new Date()
+  return new Date(parsed.getFullYear(), parsed.getMonth(), 1)
+}
+
+export const formatCalendarMonth = (date) => date.toLocaleString('default', { month: 'short', year: 'numeric' })
+
+export const getMonthOffset = (baseDate, value) => {
+  if (!value) return null
+  const target = new Date(value)
+  if (Number.isNaN(target.getTime())) return null
+  return (target.getFullYear() - baseDate.getFullYear()) * 12 + (target.getMonth() - baseDate.getMonth())
+}
+
+export const buildCashflowMonths = (baseDate, months = DEFAULT_CASHFLOW_MONTHS) =>
+  Array.from({ length: months }, (_, index) => {
+    const date = new Date(baseDate.getFullYear(), baseDate.getMonth() + index, 1)
+    return {
+      index,
+      label: `M${index + 1}`,
+      calendarLabel: formatCalendarMonth(date),
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+    }
+  })
+
+/**
+ * Leasing ramps from the start-leasing month to the stabilized month. A missing
+ * stabilized date defaults to twelve months after leasing starts and it never
+ * precedes the leasing start.
+ */
+export const resolveLeasingOffsets = (baseDate, { startLeasingDate, stabilizedDate } = {}) => {
+  const leasingDiff = getMonthOffset(baseDate, startLeasingDate)
+  const stabilizedDiff = getMonthOffset(baseDate, stabilizedDate)
+  const leasingStartOffset = leasingDiff === null ? null : Math.max(0, leasingDiff)
+  const stabilizedRaw = stabilizedDiff === null ? null : Math.max(0, stabilizedDiff)
+
+  let stabilizedOffset = stabilizedRaw
+  if (stabilizedRaw === null) {
+    stabilizedOffset = leasingStartOffset !== null ? leasingStartOffset + DEFAULT_STABILIZATION_MONTHS : null
+  } else if (leasingStartOffset !== null && stabilizedRaw < leasingStartOffset) {
+    stabilizedOffset = leasingStartOffset
+  }
+
+  return { leasingStartOffset, stabilizedOffset }
+}
+
+export const countApartmentUnits = (rows = [], targetUnits = null) => {
+  const explicitUnits = rows.reduce((sum, row) => sum + (row.unitCount || 0), 0)
+  if (explicitUnits > 0) return explicitUnits
+  return targetUnits ?? 0
+}
+
+export const countRetailUnits = (rows = []) =>
+  rows.reduce((sum, row) => {
+    const units = row.unitCount
+    if (units && units > 0) return sum + units
+    return sum + 1
+  }, 0)
+
+const calculateTurnoverMonthlyCost = (turnover, units) => {
+  const turnoverPct = turnover?.turnoverPct ?? 0
+  const turnoverCost = turnover?.turnoverCostUsd ?? 0
+  if (!turnoverPct || !turnoverCost || !units) return 0
+  return ((turnoverPct / 100) * units * turnoverCost) / 12
+}
+
+/**
+ * Turnover assumptions become monthly management lines starting at lease-up.
+ */
+export const buildTurnoverRows = (project, startMonth = null) => {
+  const apartmentMonthly = calculateTurnoverMonthlyCost(
+    project?.apartmentTurnover,
+    countApartmentUnits(project?.revenue || [], project?.general?.targetUnits),
+  )
+  const retailMonthly = calculateTurnoverMonthlyCost(project?.retailTurnover, countRetailUnits(project?.retailRevenue || []))
+
+  const rows = []
+  if (apartmentMonthly) {
+    rows.push({
+      id: 'turnover-apartments',
+      label: 'Apartment Turnover (auto)',
+      monthlyAmount: apartmentMonthly,
+      startMonth,
+    })
+  }
+  if (retailMonthly) {
+    rows.push({
+      id: 'turnover-retail',
+      label: 'Retail Turnover (auto)',
+      monthlyAmount: retailMonthly,
+      startMonth,
+    })
+  }
+  return rows
+}
+
+export const appendTurnoverCarryingRows = (carryingRows = [], turnoverRows = []) => {
+  if (!turnoverRows.length) return carryingRows
+  const autoRows = turnoverRows.map((row) => ({
+    id: row.id,
+    carryingType: 'management',
+    costName: row.label,
+    amountUsd: row.monthlyAmount,
+    intervalUnit: 'monthly',
+    startMonth: row.startMonth ?? 0,
+    endMonth: null,
+  }))
+  return [...carryingRows, ...autoRows]
+}
+
+export const buildRevenueSeries = ({
+  apartments = [],
+  retail = [],
+  parking = [],
+  otherIncome = [],
+  apartmentUnits = 0,
+  contributions = [],
+  leasingStartOffset = null,
+  stabilizedOffset = null,
+  months = DEFAULT_CASHFLOW_MONTHS,
+}) => {
+  const buildLeaseUp = (row, unitCount) => ({
+    curve: row.leaseUpCurve || 'linear',
+    unitsPerMonth: row.leaseUpUnitsPerMonth,
+    unitCount,
+    absorptionPct: row.leaseUpAbsorptionPct,
+  })
+  const buildRowValues = (netAmount, row, unitCount) =>
+    buildRampedRevenueValues(netAmount, row.startMonth ?? 0, leasingStartOffset, stabilizedOffset, months, {
+      rentGrowthPct: row.rentGrowthPct,
+      leaseUp: buildLeaseUp(row, unitCount),
+    })
+
+  const apartmentLineItems = apartments.map((row, index) => ({
+    id: row.id || `apt-${index}`,
+    label: `Apartment • ${row.typeLabel || 'Unit type'}`,
+    kind: 'rent',
+    values: buildRowValues(calculateNetRevenue(row), row, row.unitCount),
+  }))
+
+  // Retail rows follow their lease: rent steps, free rent, recoveries and
+  // expiration, scaled by the lease-up share and vacancy.
+  const retailLineItems = retail.flatMap((row, index) => {
+    const id = row.id || `retail-${index}`
+    const label = `Retail • ${row.typeLabel || 'Retail'}`
+    const occupancy = 1 - (row.vacancyPct === undefined || row.vacancyPct === null ? 5 : row.vacancyPct) / 100
+    const leased = buildLeaseUpValues(
+      buildLeaseUp(row, row.unitCount),
+      row.startMonth ?? 0,
+      leasingStartOffset,
+      stabilizedOffset,
+      months,
+    )
+    const { rent, recoveries } = buildRetailLeaseValues(row, months)
+    const toNet = (values) => values.map((value, idx) => value * leased[idx] * occupancy)
+    const items = [{ id, label, kind: 'rent', values: toNet(rent) }]
+    if (recoveries.some(Boolean)) {
+      items.push({ id: `${id}-recoveries`, label: `${label} recoveries`, kind: 'rent', values: toNet(recoveries) })
+    }
+    return items
+  })
+
+  const parkingLineItems = parking.map((row, index) => ({
+    id: row.id || `park-${index}`,
+    label: `Parking • ${row.typeLabel || 'Parking'}`,
+    kind: 'rent',
+    values: buildRowValues(calculateNetParking(row), row, row.spaceCount),
+  }))
+
+  const otherIncomeLineItems = otherIncome.map((row, index) => ({
+    id: row.id || `other-${index}`,
+    label: `Other Income • ${row.typeLabel || 'Other'}`,
+    kind: 'rent',
+    values: buildRowValues(
+      calculateNetOtherIncome(row, apartmentUnits),
+      row,
+      row.amountBasis === 'per_unit' ? apartmentUnits : 1,
+    ),
+  }))
+
+  const gpLineItems = contributions.map((row, index) => {
+    const partnerLabel = gpPartners.find((p) => p.id === row.partner)?.label || row.partner || 'GP'
+    return {
+      id: row.id || `gp-${index}`,
+      label: `GP • ${partnerLabel}`,
+      kind: 'equity',
+      values: buildContributionValues(row.amountUsd || 0, row.contributionMonth ?? 0, months),
+    }
+  })
+
+  const lineItems = [
+    ...apartmentLineItems,
+    ...retailLineItems,
+    ...parkingLineItems,
+    ...otherIncomeLineItems,
+    ...gpLineItems,
+  ]
+  const baseValues = Array(months).fill(0)
+  lineItems.forEach((item) => {
+    item.values.forEach((value, idx) => {
+      baseValues[idx] += value
+    })
+  })
+
+  return { label: 'Revenues', type: 'revenue', baseValues, lineItems }
+}
+
+const sumLineItems = (lineItems, months, predicate) => {
+  const totals = Array(months).fill(0)
+  lineItems.filter(predicate).forEach((item) => {
+    item.values.forEach((value, idx) => {
+      if (idx < months) totals[idx] += value || 0
+    })
+  })
+  return totals
+}
+
+/**
+ * Splits the revenue and carrying series into the operating view used by the
+ * returns engines: NOI excludes equity contributions and loan flows, and cash
+ * after debt service subtracts interest and principal from NOI. Capital events
+ * (refinance, sale) are kept apart in `capitalEvents`; `reversion` is the sale
+ * price net of selling costs and transfer taxes, before any loan payoff, and
+ * `acquisition` is the purchase price paid at closing (month 0).
+ */
+export const summarizeOperatingCashflow = ({
+  revenueSeries,
+  carryingCostSeries,
+  capitalEventSeries = null,
+  sale = null,
+  purchasePriceUsd = 0,
+  months = DEFAULT_CASHFLOW_MONTHS,
+}) => {
+  const rentalRevenue = sumLineItems(revenueSeries.lineItems, months, (item) => item.kind === 'rent')
+  const equityContributions = sumLineItems(revenueSeries.lineItems, months, (item) => item.kind === 'equity')
+  const operatingExpenses = sumLineItems(carryingCostSeries.lineItems, months, (item) => item.kind === 'operating')
+  const debtService = sumLineItems(carryingCostSeries.lineItems, months, (item) => item.kind === 'debt_service')
+  const loanFunding = sumLineItems(carryingCostSeries.lineItems, months, (item) => item.kind === 'loan_funding')
+  const noi = rentalRevenue.map((value, idx) => value + operatingExpenses[idx])
+  const cashAfterDebtService = noi.map((value, idx) => value + debtService[idx])
+  const capitalEvents = sumLineItems(capitalEventSeries?.lineItems || [], months, (item) => item.kind === 'capital_event')
+  const reversion = Array(months).fill(0)
+  if (sale) reversion[sale.month] = sale.salePrice - sale.sellingCosts - sale.transferTaxes
+  const acquisition = buildContributionValues(-(Number(purchasePriceUsd) || 0), 0, months)
+
+  return {
+    rentalRevenue,
+    operatingExpenses,
+    noi,
+    debtService,
+    cashAfterDebtService,
+    loanFunding,
+    equityContributions,
+    capitalEvents,
+    reversion,
+    acquisition,
+  }
+}
+
+/**
+ * Builds the full project cashflow from a project detail payload (the shape
+ * returned by GET /api/projects/:id). `overrides` lets callers substitute
+ * unsaved general-form values for the leasing dates.
+ *
+ * A refinance event retires the existing loans at its month, is sized from the
+ * NOI of this cashflow and adds the new loan's debt service to Carrying Costs.
+ * A sale event prices the project off the same NOI, retires the loans still
+ * outstanding and ends every series at its month.
+ *
+ * `months` defaults to the project's analysis horizon (`resolveCashflowHorizon`).
+ * Flows scheduled after it are dropped and listed in `warnings`.
+ */
+export const buildProjectCashflow = (projectInput, { months: requestedMonths, overrides = {} } = {}) => {
+  // Percentage soft costs are repriced off the (possibly scenario-adjusted) base costs.
+  const project = projectInput && { ...projectInput, softCosts: resolvePercentageSoftCosts(projectInput) }
+  const general = project?.general || {}
+  const months = requestedMonths ?? resolveCashflowHorizon(general)
+  const baseDate = resolveCashflowBaseDate(general.closingDate)
+  const { leasingStartOffset, stabilizedOffset } = resolveLeasingOffsets(baseDate, {
+    startLeasingDate: overrides.startLeasingDate || general.startLeasingDate || null,
+    stabilizedDate: overrides.stabilizedDate || general.stabilizedDate || null,
+  })
+
+  const monthMeta = buildCashflowMonths(baseDate, months)
+  const turnoverRows = buildTurnoverRows(project, leasingStartOffset ?? null)
+
+  const revenueSeries = buildRevenueSeries({
+    apartments: project?.revenue || [],
+    retail: project?.retailRevenue || [],
+    parking: project?.parkingRevenue || [],
+    otherIncome: project?.otherIncome || [],
+    apartmentUnits: countApartmentUnits(project?.revenue || [], general.targetUnits),
+    contributions: project?.gpContributions || [],
+    leasingStartOffset,
+    stabilizedOffset,
+    months,
+  })
+  const softCostSeries = buildExpenseSeries(project?.softCosts || [], 'Soft Costs', months)
+  const hardCostSeries = buildExpenseSeries(project?.hardCosts || [], 'Hard Costs', months)
+  const events = resolveCapitalEvents(project, months)
+  const saleMonth = resolveCapitalEventMonth(events.sale, months)
+  const propertyTaxAssessment = resolvePropertyTaxAssessment(project)
+  const carryingCostSeries = buildCarryingSeries(
+    appendTurnoverCarryingRows(project?.carryingCosts || [], turnoverRows),
+    months,
+    {
+      costSchedule: buildConstructionCostSchedule(project, months),
+      expenseInflation: project?.expenseInflation,
+      propertyTaxLines: propertyTaxAssessment
+        ? buildAssessedPropertyTaxLines(propertyTaxAssessment, months, {
+            inflationPct: project?.expenseInflation?.property_tax,
+          })
+        : null,
+      payoffMonth: resolveCapitalEventMonth(events.refinance, months) ?? saleMonth,
+      opexContext: {
+        units: countApartmentUnits(project?.revenue || [], general.targetUnits),
+        sqft: Number(general.targetSqft) || 0,
+        egi: sumLineItems(revenueSeries.lineItems, months, (item) => item.kind === 'rent'),
+      },
+    },
+  )
+
+  // NOI doesn't depend on the loans, so the refinance can be sized before its
+  // own debt service is added. The sale is priced off NOI past its month, so
+  // the series are only cut afterwards.
+  const { noi } = summarizeOperatingCashflow({ revenueSeries, carryingCostSeries, months })
+  const refinance = buildRefinanceEvent(events.refinance, {
+    noi,
+    loans: carryingCostSeries.loans,
+    months,
+    payoffMonth: saleMonth,
+  })
+  if (refinance) addLoanToCarryingSeries(carryingCostSeries, refinance.loan, { funding: false })
+  const sale = buildSaleEvent(events.sale, { noi, loans: carryingCostSeries.loans, months })
+  const capitalEventSeries = buildCapitalEventSeries({ refinance, sale, months })
+
+  const series = {
+    revenueSeries: truncateSeriesAfter(revenueSeries, saleMonth),
+    softCostSeries: truncateSeriesAfter(softCostSeries, saleMonth),
+    hardCostSeries: truncateSeriesAfter(hardCostSeries, saleMonth),
+    carryingCostSeries: truncateSeriesAfter(carryingCostSeries, saleMonth),
+  }
+  const rows = buildCashflowRows({ months: monthMeta, ...series, capitalEventSeries })
+  const operating = summarizeOperatingCashflow({
+    revenueSeries: series.revenueSeries,
+    carryingCostSeries: series.carryingCostSeries,
+    capitalEventSeries,
+    sale,
+    purchasePriceUsd: general.purchasePriceUsd,
+    months,
+  })
+
+  return {
+    months: monthMeta,
+    rows,
+    totals: rows.find((row) => row.id === 'total')?.values ?? [],
+    balance: rows.find((row) => row.id === 'balance')?.values ?? [],
+    operating,
+    subtotals: buildCashflowSubtotals(operating),
+    loans: carryingCostSeries.loans,
+    capitalEvents: { refinance, sale },
+    leasingStartOffset,
+    stabilizedOffset,
+    turnoverRows,
+    warnings: collectHorizonWarnings(project, months),
+  }
+}
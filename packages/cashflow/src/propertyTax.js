@@ -0,0 +1,137 @@
+import { DEFAULT_CASHFLOW_MONTHS, applyAnnualGrowth, normalizeCashflowMonth } from './series.js'
+
+export const ABATEMENT_BASES = ['improvements', 'total']
+
+const toNumber = (value) => {
+  const parsed = Number(value)
+  return Number.isFinite(parsed) ? parsed : 0
+}
+
+const optionalMonth = (value) => (value === null || value === undefined || value === '' ? null : normalizeCashflowMonth(value))
+
+/**
+ * Assessed values behind a property tax assessment:
+ *
+ * - Land is `landValueUsd`. Improvements are `improvementValueUsd`, or the
+ *   purchase price less land when `reassessOnPurchase` is set.
+ * - From `completionMonth` the improvements are reassessed at
+ *   `completedImprovementValueUsd`, or the earlier improvements plus the hard
+ *   costs when it is not set.
+ *
+ * Returns null when the project has no assessment.
+ */
+export const resolvePropertyTaxAssessment = (project) => {
+  const assessment = project?.propertyTaxAssessment
+  if (!assessment) return null
+  const land = toNumber(assessment.landValueUsd)
+  const purchasePrice = toNumber(project?.general?.purchasePriceUsd)
+  const preCompletion =
+    assessment.reassessOnPurchase && purchasePrice > 0
+      ? Math.max(0, purchasePrice - land)
+      : toNumber(assessment.improvementValueUsd)
+  const completionMonth = optionalMonth(assessment.completionMonth)
+  const hardCosts = (project?.hardCosts || []).reduce((sum, row) => sum + toNumber(row.amountUsd), 0)
+  const postCompletion =
+    completionMonth === null
+      ? preCompletion
+      : assessment.completedImprovementValueUsd === null || assessment.completedImprovementValueUsd === undefined
+        ? preCompletion + hardCosts
+        : toNumber(assessment.completedImprovementValueUsd)
+  const abatement = assessment.abatement || null
+  return {
+    land,
+    improvements: { preCompletion, postCompletion },
+    completionMonth,
+    assessmentRatioPct: assessment.assessmentRatioPct ?? 100,
+    millageRate: toNumber(assessment.millageRate),
+    abatement: abatement
+      ? {
+          startMonth: optionalMonth(abatement.startMonth) ?? completionMonth ?? 0,
+          schedulePct: (abatement.schedulePct || []).map(toNumber),
+          appliesTo: ABATEMENT_BASES.includes(abatement.appliesTo) ? abatement.appliesTo : 'improvements',
+        }
+      : null,
+  }
+}
+
+/**
+ * Abatement % in effect at `month`: `schedulePct[i]` applies in the i-th year
+ * from the abatement start, and nothing before or after the schedule.
+ */
+export const resolveAbatementPct = (abatement, month) => {
+  if (!abatement || month < abatement.startMonth) return 0
+  return abatement.schedulePct[Math.floor((month - abatement.startMonth) / 12)] ?? 0
+}
+
+/**
+ * Annual tax at `month` of a resolved assessment: (land + improvements, less
+ * the abated share) × assessment ratio × millage / 1,000.
+ */
+export const calculateAssessedAnnualTax = (resolved, month = 0) => {
+  if (!resolved) return 0
+  const improvements =
+    resolved.completionMonth !== null && month >= resolved.completionMonth
+      ? resolved.improvements.postCompletion
+      : resolved.improvements.preCompletion
+  const abatedBase = resolved.abatement?.appliesTo === 'total' ? resolved.land + improvements : improvements
+  const abated = (abatedBase * resolveAbatementPct(resolved.abatement, month)) / 100
+  const assessedValue = ((resolved.land + improvements - abated) * resolved.assessmentRatioPct) / 100
+  return (assessedValue * resolved.millageRate) / 1000
+}
+
+/**
+ * Monthly property tax lines generated from a resolved assessment (negative,
+ * as carrying costs): a construction line before `completionMonth` and a
+ * stabilized line from it (just the stabilized line without a completion
+ * month). The tax accrues monthly and grows by `inflationPct` a year.
+ */
+export const buildAssessedPropertyTaxLines = (resolved, months = DEFAULT_CASHFLOW_MONTHS, { inflationPct = null } = {}) => {
+  if (!resolved) return []
+  const monthly = applyAnnualGrowth(
+    Array.from({ length: months }, (_, month) => -calculateAssessedAnnualTax(resolved, month) / 12),
+    inflationPct,
+  )
+  const completion = resolved.completionMonth ?? 0
+  const phaseValues = (inPhase) => monthly.map((value, month) => (inPhase(month) ? value : 0))
+  return [
+    {
+      id: 'property-tax-construction',
+      label: 'Construction RE Tax (assessed)',
+      propertyTaxPhase: 'construction',
+      values: phaseValues((month) => month < completion),
+    },
+    {
+      id: 'property-tax-stabilized',
+      label: 'Stabilized RE Tax (assessed)',
+      propertyTaxPhase: 'stabilized',
+      values: phaseValues((month) => month >= completion),
+    },
+  ]
+}
+
+/**
+ * Before/after-completion figures and the tax for each abatement year, for the
+ * Carrying tab preview (no inflation).
+ */
+export const summarizePropertyTaxAssessment = (resolved) => {
+  if (!resolved) return null
+  const completion = resolved.completionMonth ?? 0
+  const phase = (improvements, month) => ({
+    improvements,
+    marketValue: resolved.land + improvements,
+    assessedValue: ((resolved.land + improvements) * resolved.assessmentRatioPct) / 100,
+    annualTax: calculateAssessedAnnualTax({ ...resolved, abatement: null }, month),
+  })
+  const abatementYears = resolved.abatement
+    ? resolved.abatement.schedulePct.map((abatementPct, year) => ({
+        year: year + 1,
+        abatementPct,
+        annualTax: calculateAssessedAnnualTax(resolved, resolved.abatement.startMonth + year * 12),
+      }))
+    : []
+  return {
+    preCompletion: resolved.completionMonth === null ? null : phase(resolved.improvements.preCompletion, 0),
+    postCompletion: phase(resolved.improvements.postCompletion, completion),
+    abatementYears,
+  }
+}
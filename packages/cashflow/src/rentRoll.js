@@ -0,0 +1,91 @@
+export const RENT_ROLL_STATUSES = ['occupied', 'notice', 'vacant', 'down']
+
+// Units on notice are still occupied and paying until they turn over.
+const PAYING_STATUSES = new Set(['occupied', 'notice'])
+
+export const isPayingUnit = (unit) => PAYING_STATUSES.has(unit?.status)
+
+const sum = (values) => values.reduce((total, value) => total + (Number(value) || 0), 0)
+
+const summarizeUnits = (units) => {
+  const paying = units.filter(isPayingUnit)
+  const contractRent = sum(paying.map((unit) => unit.contractRent))
+  const marketRent = sum(units.map((unit) => unit.marketRent))
+  // Only leased units with a market rent can be under (or over) market.
+  const lossToLease = sum(
+    paying
+      .filter((unit) => unit.marketRent !== null && unit.marketRent !== undefined)
+      .map((unit) => (Number(unit.marketRent) || 0) - (Number(unit.contractRent) || 0)),
+  )
+  const payingMarketRent = sum(paying.map((unit) => unit.marketRent))
+  return {
+    unitCount: units.length,
+    occupiedUnits: paying.length,
+    occupancyPct: units.length ? (paying.length / units.length) * 100 : 0,
+    contractRent,
+    marketRent,
+    lossToLease,
+    lossToLeasePct: payingMarketRent ? (lossToLease / payingMarketRent) * 100 : 0,
+    averageContractRent: paying.length ? contractRent / paying.length : null,
+  }
+}
+
+const groupByType = (units) =>
+  units.reduce((groups, unit) => {
+    const key = unit.apartmentTypeId ?? null
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(unit)
+    return groups
+  }, new Map())
+
+/**
+ * Rolls unit-level rent roll rows up to their apartment types.
+ *
+ * Contract rent counts occupied and on-notice units; market rent covers every
+ * unit. Loss-to-lease is market minus contract rent on the leased units.
+ * `budgetRent` is the type's budget rent across the units on the roll, so
+ * `varianceToBudget` is in-place rent against budget (negative = below).
+ * Units without an apartment type are summarized under `unassigned`.
+ */
+export const summarizeRentRoll = (units = [], revenueRows = []) => {
+  const groups = groupByType(units || [])
+  const types = (revenueRows || [])
+    .filter((row) => groups.has(row.id))
+    .map((row) => {
+      const summary = summarizeUnits(groups.get(row.id))
+      const budgetRent = (Number(row.rentBudget) || 0) * summary.unitCount
+      return {
+        apartmentTypeId: row.id,
+        typeLabel: row.typeLabel ?? null,
+        ...summary,
+        rentBudget: row.rentBudget ?? null,
+        budgetRent,
+        varianceToBudget: summary.contractRent - budgetRent,
+      }
+    })
+  const knownTypeIds = new Set(types.map((type) => type.apartmentTypeId))
+  const unassignedUnits = (units || []).filter((unit) => !knownTypeIds.has(unit.apartmentTypeId ?? null))
+  const totals = summarizeUnits(units || [])
+  const budgetRent = sum(types.map((type) => type.budgetRent))
+
+  return {
+    types,
+    unassigned: unassignedUnits.length ? summarizeUnits(unassignedUnits) : null,
+    totals: { ...totals, budgetRent, varianceToBudget: sum(types.map((type) => type.contractRent)) - budgetRent },
+  }
+}
+
+/**
+ * Apartment types with units on the rent roll take their unit count from the
+ * roll and their `rentActual` from the average in-place contract rent.
+ * Types without units are returned unchanged.
+ */
+export const applyRentRollToRevenue = (revenueRows = [], units = []) => {
+  const groups = groupByType(units || [])
+  return (revenueRows || []).map((row) => {
+    const typeUnits = groups.get(row.id)
+    if (!typeUnits?.length) return row
+    const { unitCount, averageContractRent } = summarizeUnits(typeUnits)
+    return { ...row, unitCount, rentActual: averageContractRent }
+  })
+}
@@ -0,0 +1,115 @@
+import { DEFAULT_CASHFLOW_MONTHS, applyAnnualGrowth, normalizeCashflowMonth } from './series.js'
+
+export const RETAIL_LEASE_TYPES = ['gross', 'nnn', 'modified_gross']
+
+// Expenses billed back to the tenant under each lease type. A gross lease
+// folds them into rent; modified gross passes through CAM only.
+const RECOVERED_EXPENSES = {
+  gross: [],
+  modified_gross: ['camRecoveryUsd'],
+  nnn: ['camRecoveryUsd', 'taxRecoveryUsd', 'insuranceRecoveryUsd'],
+}
+
+/**
+ * Monthly CAM, tax and insurance recoveries for one unit of a retail row.
+ */
+export const calculateMonthlyRecoveries = (row = {}) =>
+  (RECOVERED_EXPENSES[row.leaseType] || []).reduce((sum, field) => sum + (Number(row[field]) || 0), 0)
+
+const sortedSteps = (row) =>
+  (Array.isArray(row?.rentSteps) ? row.rentSteps : [])
+    .filter((step) => Number.isFinite(Number(step?.afterMonths)))
+    .sort((a, b) => a.afterMonths - b.afterMonths)
+
+/**
+ * Monthly base rent per unit in a given month of the lease (0 = commencement):
+ * the latest rent step that has started, otherwise the budget rent.
+ */
+export const resolveRetailBaseRent = (row = {}, leaseMonth = 0) =>
+  sortedSteps(row).reduce(
+    (rent, step) => (leaseMonth >= step.afterMonths ? Number(step.monthlyRentUsd) || 0 : rent),
+    Number(row.rentBudget) || 0,
+  )
+
+/**
+ * Gross monthly base rent and recoveries for a retail row, before vacancy and
+ * lease-up. The lease commences at the row's start month, pays no base rent
+ * during free-rent months and stops earning after `leaseTermMonths` (no term =
+ * no expiration). Rent growth only applies to leases without rent steps.
+ */
+export const buildRetailLeaseValues = (row = {}, months = DEFAULT_CASHFLOW_MONTHS) => {
+  const rent = Array(months).fill(0)
+  const recoveries = Array(months).fill(0)
+  const units = row.unitCount || 0
+  if (!units) return { rent, recoveries }
+
+  const start = normalizeCashflowMonth(row.startMonth)
+  const term = Number(row.leaseTermMonths) || null
+  const freeRentMonths = Number(row.freeRentMonths) || 0
+  const monthlyRecoveries = calculateMonthlyRecoveries(row) * units
+  for (let idx = start; idx < months; idx += 1) {
+    const leaseMonth = idx - start
+    if (term && leaseMonth >= term) break
+    rent[idx] = leaseMonth < freeRentMonths ? 0 : resolveRetailBaseRent(row, leaseMonth) * units
+    recoveries[idx] = monthlyRecoveries
+  }
+  return {
+    rent: sortedSteps(row).length ? rent : applyAnnualGrowth(rent, row.rentGrowthPct),
+    recoveries,
+  }
+}
+
+/**
+ * Lease economics for a retail row. `leaseRentUsd` is the base rent over the
+ * full term net of free rent (null without a term); the leasing commission is
+ * a percentage of it. The TI allowance is per square foot of every unit.
+ * Both are paid at lease commencement.
+ */
+export const summarizeRetailLease = (row = {}) => {
+  const units = row.unitCount || 0
+  const start = Number(row.startMonth) || 0
+  const term = Number(row.leaseTermMonths) || null
+  const freeRentMonths = Number(row.freeRentMonths) || 0
+  let leaseRentUsd = null
+  if (term) {
+    leaseRentUsd = 0
+    for (let leaseMonth = freeRentMonths; leaseMonth < term; leaseMonth += 1) {
+      leaseRentUsd += resolveRetailBaseRent(row, leaseMonth) * units
+    }
+  }
+  return {
+    leaseType: row.leaseType || 'gross',
+    commencementMonth: start,
+    expirationMonth: term ? start + term - 1 : null,
+    monthlyRecoveriesUsd: calculateMonthlyRecoveries(row) * units,
+    leaseRentUsd,
+    tiUsd: (Number(row.tiAllowancePsf) || 0) * (Number(row.unitSqft) || 0) * units,
+    leasingCommissionUsd: leaseRentUsd === null ? 0 : ((Number(row.leasingCommissionPct) || 0) / 100) * leaseRentUsd,
+  }
+}
+
+/**
+ * TI and leasing commissions as lease-up cost rows (`derived: true`), one per
+ * retail row and cost, paid in the lease's commencement month.
+ */
+export const buildRetailLeaseCostRows = (rows = []) =>
+  (rows || []).flatMap((row, index) => {
+    const { commencementMonth, tiUsd, leasingCommissionUsd } = summarizeRetailLease(row)
+    const rowId = row.id || `retail-${index}`
+    const label = row.tenantName || row.typeLabel || 'Retail'
+    const buildCostRow = (kind, costGroup, costLabel, amountUsd) => ({
+      id: `${rowId}-${kind}`,
+      category: 'leaseup',
+      costGroup,
+      costName: `${costLabel} • ${label}`,
+      amountUsd,
+      paymentMode: 'single',
+      paymentMonth: commencementMonth,
+      retailSpaceId: row.id ?? null,
+      derived: true,
+    })
+    return [
+      tiUsd > 0 ? buildCostRow('ti', 'tenant_improvements', 'TI allowance', tiUsd) : null,
+      leasingCommissionUsd > 0 ? buildCostRow('lc', 'leasing_agent', 'Leasing commission', leasingCommissionUsd) : null,
+    ].filter(Boolean)
+  })
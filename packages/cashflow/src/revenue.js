@@ -0,0 +1,42 @@
+import { calculateMonthlyRecoveries } from './retailLeases.js'
+
+export const gpPartners = [
+  { id: 'darmon', label: 'Darmon' },
+  { id: 'sherman', label: 'Sherman' },
+]
+
+export const calculateNetRevenue = (row = {}) => {
+  const rent = row.rentBudget || 0
+  const units = row.unitCount || 0
+  const vacancy = row.vacancyPct === undefined || row.vacancyPct === null ? 5 : row.vacancyPct
+  return rent * units * (1 - vacancy / 100)
+}
+
+/**
+ * Stabilized monthly retail income: budget rent plus recoveries, net of vacancy.
+ */
+export const calculateNetRetailRevenue = (row = {}) => {
+  const rent = (row.rentBudget || 0) + calculateMonthlyRecoveries(row)
+  const units = row.unitCount || 0
+  const vacancy = row.vacancyPct === undefined || row.vacancyPct === null ? 5 : row.vacancyPct
+  return rent * units * (1 - vacancy / 100)
+}
+
+export const calculateNetParking = (row = {}) => {
+  const rent = row.monthlyRentUsd || 0
+  const spaces = row.spaceCount || 0
+  const vacancy = row.vacancyPct === undefined || row.vacancyPct === null ? 5 : row.vacancyPct
+  return rent * spaces * (1 - vacancy / 100)
+}
+
+/**
+ * Monthly other income net of vacancy. `per_unit` amounts are charged on each
+ * apartment unit; flat amounts are the whole line.
+ */
+export const calculateNetOtherIncome = (row = {}, apartmentUnits = 0) => {
+  const amount = row.monthlyAmountUsd || 0
+  const count = row.amountBasis === 'per_unit' ? apartmentUnits || 0 : 1
+  const vacancy = row.vacancyPct === undefined || row.vacancyPct === null ? 5 : row.vacancyPct
+  return amount * count * (1 - vacancy / 100)
+}
+
@@ -0,0 +1,195 @@
+import { buildProjectCashflow } from './project.js'
+import { buildProjectFlows, calculateIrr, annualizeMonthlyRate } from './metrics.js'
+
+export const BASE_SCENARIO_ID = 'base'
+
+const STABILIZED_WINDOW_MONTHS = 12
+
+const scale = (value, pct) => {
+  if (value === null || value === undefined || !pct) return value
+  return Number(value) * (1 + pct / 100)
+}
+
+const shift = (value, months) => {
+  if (value === null || value === undefined || !months) return value
+  return Number(value) + months
+}
+
+const shiftDate = (value, months) => {
+  if (!value || !months) return value
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return value
+  date.setUTCMonth(date.getUTCMonth() + months)
+  return date.toISOString().slice(0, 10)
+}
+
+const shiftCostSchedule = (row, months) => ({
+  ...row,
+  paymentMonth: shift(row.paymentMonth, months),
+  startMonth: shift(row.startMonth, months),
+  endMonth: shift(row.endMonth, months),
+  monthList: Array.isArray(row.monthList) ? row.monthList.map((month) => month + months) : row.monthList,
+})
+
+const adjustCosts = (rows = [], pct, delayMonths) =>
+  rows.map((row) => {
+    const scheduled = delayMonths ? shiftCostSchedule(row, delayMonths) : row
+    return { ...scheduled, amountUsd: scale(row.amountUsd, pct) }
+  })
+
+const adjustUnitRevenue = (rows = [], { rentPct, vacancyPct, delayMonths }) =>
+  rows.map((row) => ({
+    ...row,
+    rentBudget: scale(row.rentBudget, rentPct),
+    vacancyPct: vacancyPct ?? row.vacancyPct,
+    startMonth: shift(row.startMonth ?? 0, delayMonths),
+  }))
+
+// Retail rent steps move with the budget rent.
+const adjustRetailRevenue = (rows = [], options) =>
+  adjustUnitRevenue(rows, options).map((row) =>
+    Array.isArray(row.rentSteps)
+      ? {
+          ...row,
+          rentSteps: row.rentSteps.map((step) => ({
+            ...step,
+            monthlyRentUsd: scale(step.monthlyRentUsd, options.rentPct),
+          })),
+        }
+      : row,
+  )
+
+const adjustParkingRevenue = (rows = [], { rentPct, vacancyPct, delayMonths }) =>
+  rows.map((row) => ({
+    ...row,
+    monthlyRentUsd: scale(row.monthlyRentUsd, rentPct),
+    vacancyPct: vacancyPct ?? row.vacancyPct,
+    startMonth: shift(row.startMonth ?? 0, delayMonths),
+  }))
+
+const adjustOtherIncome = (rows = [], { vacancyPct, delayMonths }) =>
+  rows.map((row) => ({
+    ...row,
+    vacancyPct: vacancyPct ?? row.vacancyPct,
+    startMonth: shift(row.startMonth ?? 0, delayMonths),
+  }))
+
+const adjustCarrying = (rows = [], { interestRateDeltaPct, loanAmountPct, loanTermMonths, delayMonths }) =>
+  rows.map((row) => {
+    if (row.carryingType === 'loan') {
+      return {
+        ...row,
+        loanAmountUsd: scale(row.loanAmountUsd, loanAmountPct),
+        amountUsd: scale(row.amountUsd, loanAmountPct),
+        interestRatePct: interestRateDeltaPct
+          ? Math.max(0, (Number(row.interestRatePct) || 0) + interestRateDeltaPct)
+          : row.interestRatePct,
+        loanTermMonths: loanTermMonths ?? row.loanTermMonths,
+        repaymentStartMonth: shift(row.repaymentStartMonth, delayMonths),
+      }
+    }
+    return { ...row, startMonth: shift(row.startMonth, delayMonths), endMonth: shift(row.endMonth, delayMonths) }
+  })
+
+const adjustCapitalEvents = (rows = [], { delayMonths }) =>
+  rows.map((row) => ({ ...row, eventMonth: shift(row.eventMonth, delayMonths) }))
+
+/**
+ * Returns a copy of the project detail payload with a scenario's adjustments
+ * applied. Percentages are relative changes (+10 = 10% higher); `vacancyPct` and
+ * `loanTermMonths` replace the row values. `delayMonths` pushes hard costs, lease
+ * up, loan repayment, recurring carrying costs and the refinance and sale
+ * events later, so the events stay on the same footing against the delayed NOI.
+ * Soft costs, loan funding and equity are committed at closing and stay on
+ * their original months.
+ */
+export const applyScenario = (project, adjustments) => {
+  if (!project) return project
+  const settings = adjustments || {}
+  const delayMonths = Math.max(0, Math.trunc(Number(settings.delayMonths) || 0))
+  const options = {
+    rentPct: Number(settings.rentPct) || 0,
+    vacancyPct: settings.vacancyPct ?? null,
+    interestRateDeltaPct: Number(settings.interestRateDeltaPct) || 0,
+    loanAmountPct: Number(settings.loanAmountPct) || 0,
+    loanTermMonths: settings.loanTermMonths ?? null,
+    delayMonths,
+  }
+  const general = project.general || {}
+
+  return {
+    ...project,
+    general: {
+      ...general,
+      startLeasingDate: shiftDate(general.startLeasingDate, delayMonths),
+      stabilizedDate: shiftDate(general.stabilizedDate, delayMonths),
+    },
+    revenue: adjustUnitRevenue(project.revenue, options),
+    retailRevenue: adjustRetailRevenue(project.retailRevenue, options),
+    parkingRevenue: adjustParkingRevenue(project.parkingRevenue, options),
+    otherIncome: adjustOtherIncome(project.otherIncome, options),
+    softCosts: adjustCosts(project.softCosts, Number(settings.softCostPct) || 0, 0),
+    hardCosts: adjustCosts(project.hardCosts, Number(settings.hardCostPct) || 0, delayMonths),
+    carryingCosts: adjustCarrying(project.carryingCosts, options),
+    capitalEvents: adjustCapitalEvents(project.capitalEvents, options),
+  }
+}
+
+const sum = (values) => values.reduce((total, value) => total + (value || 0), 0)
+
+const resolveStabilizedWindow = (stabilizedOffset, months) => {
+  const latestStart = Math.max(0, months - STABILIZED_WINDOW_MONTHS)
+  const start = stabilizedOffset === null || stabilizedOffset === undefined ? latestStart : Math.min(stabilizedOffset, latestStart)
+  return { start, end: Math.min(months, start + STABILIZED_WINDOW_MONTHS) }
+}
+
+/**
+ * Headline figures for one scenario:
+ *
+ * - NOI and DSCR use the first twelve months after stabilization (the last
+ *   twelve months of the horizon when stabilization is unknown or too late).
+ * - Total cost is the purchase price plus soft and hard costs.
+ * - Peak equity is the deepest cumulative shortfall of the levered flows.
+ * - IRR is the annualized levered IRR.
+ */
+export const summarizeScenario = (project, { months } = {}) => {
+  const cashflow = buildProjectCashflow(project, { months })
+  const horizon = cashflow.months.length
+  const { start, end } = resolveStabilizedWindow(cashflow.stabilizedOffset, horizon)
+  const annualNoi = sum(cashflow.operating.noi.slice(start, end))
+  const annualDebtService = -sum(cashflow.operating.debtService.slice(start, end))
+
+  const rowTotal = (id) => -sum(cashflow.rows.find((row) => row.id === id)?.values ?? [])
+  const totalCost = (Number(project?.general?.purchasePriceUsd) || 0) + rowTotal('soft') + rowTotal('hard')
+
+  const { leveredFlows } = buildProjectFlows(cashflow)
+  let running = 0
+  let peakEquity = 0
+  leveredFlows.forEach((value) => {
+    running += value
+    peakEquity = Math.max(peakEquity, -running)
+  })
+
+  const irr = annualizeMonthlyRate(calculateIrr(leveredFlows))
+
+  return {
+    annualNoi,
+    totalCost,
+    peakEquity,
+    leveredIrrPct: irr === null ? null : irr * 100,
+    dscr: annualDebtService > 0 ? annualNoi / annualDebtService : null,
+    stabilizedWindow: { startMonth: start, endMonth: end - 1 },
+  }
+}
+
+/**
+ * Summaries for the base project followed by each saved scenario, in order.
+ */
+export const compareScenarios = (project, scenarios = [], { months } = {}) => [
+  { id: BASE_SCENARIO_ID, name: 'Base', summary: summarizeScenario(project, { months }) },
+  ...scenarios.map((scenario) => ({
+    id: scenario.id,
+    name: scenario.name,
+    summary: summarizeScenario(applyScenario(project, scenario.adjustments), { months }),
+  })),
+]
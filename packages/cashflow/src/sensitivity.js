@@ -0,0 +1,141 @@
+import { annualizeMonthlyRate, calculateIrr } from './metrics.js'
+
+export const SENSITIVITY_METRICS = ['irr', 'profit']
+
+export const SENSITIVITY_VARIABLES = [
+  { id: 'exitCapRatePct', label: 'Exit cap rate (%)', step: 0.25 },
+  { id: 'rentGrowthPct', label: 'Rent growth (%/yr)', step: 1 },
+  { id: 'hardCostOverrunPct', label: 'Hard-cost overrun (%)', step: 5 },
+  { id: 'constructionMonths', label: 'Construction (months)', step: 3 },
+  { id: 'interestRatePct', label: 'Interest rate (%)', step: 0.5 },
+  { id: 'salesCostPct', label: 'Sales costs (%)', step: 0.5 },
+]
+
+export const MAX_SENSITIVITY_STEPS = 15
+
+const INTEGER_VARIABLES = new Set(['constructionMonths'])
+const SIGNED_VARIABLES = new Set(['rentGrowthPct', 'hardCostOverrunPct'])
+
+const toNumber = (value) => {
+  const parsed = Number(value)
+  return Number.isFinite(parsed) ? parsed : 0
+}
+
+const roundStep = (value) => Math.round(value * 1e6) / 1e6
+
+/**
+ * Evenly spaced axis values. Month counts are rounded, values other than rent
+ * growth and cost overrun are clamped at zero, and duplicates are dropped.
+ */
+export const buildSensitivityAxisValues = ({ variable, start, step, count }) => {
+  const steps = Math.min(MAX_SENSITIVITY_STEPS, Math.max(1, Math.trunc(toNumber(count))))
+  const values = []
+  for (let idx = 0; idx < steps; idx += 1) {
+    let value = roundStep(toNumber(start) + idx * toNumber(step))
+    if (INTEGER_VARIABLES.has(variable)) value = Math.round(value)
+    if (!SIGNED_VARIABLES.has(variable)) value = Math.max(0, value)
+    if (!values.includes(value)) values.push(value)
+  }
+  return values
+}
+
+/**
+ * Default axis centred on the base value: two steps either side.
+ */
+export const defaultSensitivityAxis = (variable, base = {}) => {
+  const definition = SENSITIVITY_VARIABLES.find((entry) => entry.id === variable) ?? SENSITIVITY_VARIABLES[0]
+  const center = toNumber(base[definition.id])
+  const start = center - 2 * definition.step
+  return {
+    variable: definition.id,
+    start: roundStep(SIGNED_VARIABLES.has(definition.id) ? start : Math.max(0, start)),
+    step: definition.step,
+    count: 5,
+  }
+}
+
+/**
+ * Runs the Metrics tab's development model for one set of inputs:
+ *
+ * - The construction loan covers land, hard costs (plus any overrun) and
+ *   construction-period property tax, less equity, plus simple interest over the
+ *   construction months.
+ * - Revenue grows by `rentGrowthPct` a year until the sale at the end of the
+ *   construction and stabilization periods; expenses stay flat.
+ * - Profit is net sale proceeds less total project cost (loan + equity), the
+ *   same "money in hand" the Exit Strategy table shows.
+ * - IRR is the annualized monthly IRR on equity: contributed at month 0, NOI
+ *   less loan interest during stabilization, and sale proceeds after the loan
+ *   payoff at exit.
+ */
+export const evaluateSensitivityCase = (base = {}, overrides = {}) => {
+  const inputs = { ...base, ...overrides }
+  const constructionMonths = Math.max(0, Math.trunc(toNumber(inputs.constructionMonths)))
+  const stabilizationMonths = Math.max(0, Math.trunc(toNumber(inputs.stabilizationMonths)))
+  const holdMonths = constructionMonths + stabilizationMonths
+  const equity = toNumber(inputs.equityUsd)
+  const interestRate = toNumber(inputs.interestRatePct) / 100
+
+  const hardCost = toNumber(inputs.hardCostUsd) * (1 + toNumber(inputs.hardCostOverrunPct) / 100)
+  const loanBase =
+    toNumber(inputs.purchasePriceUsd) + hardCost - equity + toNumber(inputs.constructionTaxMonthlyUsd) * constructionMonths
+  const loanAmount = Math.max(0, loanBase + loanBase * interestRate * (constructionMonths / 12))
+  const totalProjectCost = loanAmount + equity
+
+  const growth = 1 + toNumber(inputs.rentGrowthPct) / 100
+  const revenueAt = (month) => toNumber(inputs.annualRevenueUsd) * growth ** (month / 12)
+  const expenses = toNumber(inputs.annualExpensesUsd)
+  const exitNoi = revenueAt(holdMonths) - expenses
+
+  const exitCapRate = toNumber(inputs.exitCapRatePct) / 100
+  const salePrice = exitNoi > 0 && exitCapRate > 0 ? exitNoi / exitCapRate : 0
+  const netProceeds = salePrice * (1 - toNumber(inputs.salesCostPct) / 100)
+  const profit = netProceeds - totalProjectCost
+
+  const flows = Array(holdMonths + 1).fill(0)
+  flows[0] -= equity
+  const monthlyInterest = (loanAmount * interestRate) / 12
+  for (let month = constructionMonths + 1; month <= holdMonths; month += 1) {
+    flows[month] += (revenueAt(month) - expenses) / 12 - monthlyInterest
+  }
+  flows[holdMonths] += netProceeds - loanAmount
+  const irr = holdMonths > 0 ? annualizeMonthlyRate(calculateIrr(flows)) : null
+
+  return {
+    exitNoi,
+    salePrice,
+    netProceeds,
+    totalProjectCost,
+    profit,
+    irrPct: irr === null ? null : irr * 100,
+  }
+}
+
+/**
+ * Two-axis data table: one cell per row/column value pair, each holding the
+ * selected metric (`irr` → levered IRR %, `profit` → money in hand).
+ */
+export const buildSensitivityGrid = (base, { rowAxis, columnAxis, metric = 'irr' }) => {
+  const rowValues = buildSensitivityAxisValues(rowAxis)
+  const columnValues = buildSensitivityAxisValues(columnAxis)
+  const cells = rowValues.map((rowValue) =>
+    columnValues.map((columnValue) => {
+      const result = evaluateSensitivityCase(base, {
+        [rowAxis.variable]: rowValue,
+        [columnAxis.variable]: columnValue,
+      })
+      return metric === 'profit' ? result.profit : result.irrPct
+    }),
+  )
+  const values = cells.flat().filter((value) => value !== null)
+  return {
+    metric,
+    rowVariable: rowAxis.variable,
+    columnVariable: columnAxis.variable,
+    rowValues,
+    columnValues,
+    cells,
+    min: values.length ? Math.min(...values) : null,
+    max: values.length ? Math.max(...values) : null,
+  }
+}
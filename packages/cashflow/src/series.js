@@ -0,0 +1,268 @@
+export const DEFAULT_CASHFLOW_MONTHS = 60
+
+/**
+ * Whole, non-negative month offset of `value` (0 when unset). It is not bounded
+ * by the horizon: flows at or past `months` fall outside the cashflow and are
+ * dropped rather than moved into its last month.
+ */
+export const normalizeCashflowMonth = (value) => {
+  if (value === null || value === undefined) return 0
+  const parsed = Number(value)
+  if (!Number.isFinite(parsed)) return 0
+  return Math.max(0, Math.trunc(parsed))
+}
+
+export const clampCashflowMonth = (value, maxMonths) => Math.min(maxMonths - 1, normalizeCashflowMonth(value))
+
+export const hasMagnitude = (values) => values.some((value) => Math.abs(value) > 0.0001)
+
+export const buildRecurringLineValues = (netAmount, startMonth, months = DEFAULT_CASHFLOW_MONTHS) => {
+  const startIndex = normalizeCashflowMonth(startMonth)
+  const values = Array(months).fill(0)
+  for (let idx = startIndex; idx < months; idx += 1) {
+    values[idx] = netAmount
+  }
+  return values
+}
+
+export const LEASE_UP_CURVES = ['linear', 's_curve', 'units_per_month', 'custom']
+
+const smoothStep = (progress) => progress * progress * (3 - 2 * progress)
+
+/**
+ * Compounds `annualPct` once every 12 months from month 1 (rent growth,
+ * expense inflation).
+ */
+export const applyAnnualGrowth = (values, annualPct) => {
+  const rate = (Number(annualPct) || 0) / 100
+  if (!rate) return values
+  return values.map((value, idx) => value * (1 + rate) ** Math.floor(idx / 12))
+}
+
+/**
+ * Share of a revenue row that is leased each month (0–1).
+ *
+ * - `linear` / `s_curve` ramp from the leasing start to the stabilized month
+ *   (an S-curve is slow at both ends). Without both dates the row is fully
+ *   leased from its start month.
+ * - `units_per_month` leases `unitsPerMonth` of `unitCount` a month and
+ *   `custom` adds `absorptionPct[i]` % of the units in the i-th month; both
+ *   start at the leasing start (or the row's start month when later) and need
+ *   no stabilized date. A custom list that stops short of 100% holds there.
+ */
+export const buildLeaseUpValues = (
+  { curve = 'linear', unitsPerMonth = null, unitCount = null, absorptionPct = null } = {},
+  rowStartMonth = 0,
+  leasingStart,
+  stabilized,
+  months = DEFAULT_CASHFLOW_MONTHS,
+) => {
+  const hasLeasingStart = leasingStart !== null && leasingStart !== undefined
+  const units = Number(unitCount) || 0
+  const monthlyUnits = Number(unitsPerMonth) || 0
+
+  const monthlyShares =
+    curve === 'units_per_month' && monthlyUnits > 0 && units > 0
+      ? () => monthlyUnits / units
+      : curve === 'custom' && Array.isArray(absorptionPct) && absorptionPct.length
+        ? (step) => (Number(absorptionPct[step]) || 0) / 100
+        : null
+  if (monthlyShares) {
+    const values = Array(months).fill(0)
+    const start = normalizeCashflowMonth(Math.max(rowStartMonth ?? 0, hasLeasingStart ? leasingStart : 0))
+    let leased = 0
+    for (let idx = start; idx < months; idx += 1) {
+      leased += monthlyShares(idx - start)
+      values[idx] = Math.min(1, leased)
+    }
+    return values
+  }
+
+  if (!hasLeasingStart || stabilized === null || stabilized === undefined || stabilized <= leasingStart) {
+    return buildRecurringLineValues(1, rowStartMonth, months)
+  }
+  const rampStart = normalizeCashflowMonth(Math.max(rowStartMonth ?? 0, leasingStart))
+  const rampEnd = Math.max(normalizeCashflowMonth(stabilized), rampStart)
+  if (rampEnd <= rampStart) {
+    return buildRecurringLineValues(1, rampStart, months)
+  }
+  const values = Array(months).fill(0)
+  const duration = rampEnd - rampStart
+  for (let idx = rampStart; idx < months; idx += 1) {
+    const progress = idx <= rampEnd ? Math.max(0, Math.min(1, (idx - rampStart) / duration)) : 1
+    values[idx] = curve === 's_curve' ? smoothStep(progress) : progress
+  }
+  return values
+}
+
+/**
+ * Net monthly rent spread over the lease-up (see `buildLeaseUpValues`) and
+ * grown by `rentGrowthPct` a year.
+ */
+export const buildRampedRevenueValues = (
+  netAmount,
+  rowStartMonth = 0,
+  leasingStart,
+  stabilized,
+  months = DEFAULT_CASHFLOW_MONTHS,
+  { rentGrowthPct = null, leaseUp = {} } = {},
+) => {
+  if (!netAmount) return buildRecurringLineValues(0, rowStartMonth, months)
+  const leased = buildLeaseUpValues(leaseUp, rowStartMonth, leasingStart, stabilized, months)
+  return applyAnnualGrowth(leased.map((share) => netAmount * share), rentGrowthPct)
+}
+
+export const buildContributionValues = (amount, monthIndex, months = DEFAULT_CASHFLOW_MONTHS) => {
+  const values = Array(months).fill(0)
+  const index = normalizeCashflowMonth(monthIndex)
+  if (index < months) values[index] = amount || 0
+  return values
+}
+
+/**
+ * Monthly spend of a cost row by payment mode (single month, even spread over
+ * a range, or a list of months with optional percentages). Payments after the
+ * horizon are left out; see `collectHorizonWarnings`.
+ */
+export const buildCostAllocations = (row, months = DEFAULT_CASHFLOW_MONTHS) => {
+  const allocations = Array(months).fill(0)
+  const amount = Number(row?.amountUsd) || 0
+  if (!amount) return allocations
+
+  const addShare = (month, share) => {
+    const idx = normalizeCashflowMonth(month)
+    if (idx >= months || !Number.isFinite(share)) return
+    allocations[idx] += share
+  }
+
+  const paymentMode = row.paymentMode || 'single'
+
+  if (paymentMode === 'range') {
+    let start = normalizeCashflowMonth(row.startMonth ?? row.paymentMonth ?? 0)
+    let end = normalizeCashflowMonth(row.endMonth ?? row.startMonth ?? start)
+    if (end < start) [start, end] = [end, start]
+    const span = end - start + 1
+    const share = span > 0 ? amount / span : amount
+    for (let month = start; month <= end; month += 1) {
+      addShare(month, share)
+    }
+    return allocations
+  }
+
+  if (paymentMode === 'multi') {
+    let monthsList = Array.isArray(row.monthList) ? row.monthList : []
+    if (!monthsList.length && row.paymentMonth !== undefined) monthsList = [row.paymentMonth]
+    const normalizedMonths = monthsList.map(normalizeCashflowMonth)
+    if (!normalizedMonths.length) {
+      addShare(0, amount)
+      return allocations
+    }
+    let pctArray = Array.isArray(row.monthPercentages) ? row.monthPercentages.map(Number) : []
+    const hasValidPercents =
+      pctArray.length === normalizedMonths.length && pctArray.every((value) => Number.isFinite(value))
+    if (hasValidPercents) {
+      normalizedMonths.forEach((month, index) => addShare(month, (amount * pctArray[index]) / 100))
+    } else {
+      const evenShare = amount / normalizedMonths.length
+      normalizedMonths.forEach((month) => addShare(month, evenShare))
+    }
+    return allocations
+  }
+
+  addShare(row.paymentMonth ?? 0, amount)
+  return allocations
+}
+
+export const buildExpenseSeries = (rows = [], headerLabel, months = DEFAULT_CASHFLOW_MONTHS) => {
+  const totals = Array(months).fill(0)
+  const lineItems = rows.map((row, index) => {
+    const allocations = buildCostAllocations(row, months)
+    allocations.forEach((value, idx) => {
+      totals[idx] += value
+    })
+    return {
+      id: row.id || `${headerLabel}-${index}`,
+      label: row.costName || `${headerLabel} ${index + 1}`,
+      values: allocations.map((value) => value * -1),
+    }
+  })
+  return {
+    label: headerLabel,
+    type: 'expense',
+    baseValues: totals.map((value) => value * -1),
+    lineItems,
+  }
+}
+
+/**
+ * Drops the flows after `lastMonth` (a sale) from a series and its lines.
+ */
+export const truncateSeriesAfter = (series, lastMonth) => {
+  if (lastMonth === null || lastMonth === undefined) return series
+  const truncate = (values) => values.map((value, idx) => (idx > lastMonth ? 0 : value))
+  return {
+    ...series,
+    baseValues: truncate(series.baseValues),
+    lineItems: series.lineItems.map((item) => ({ ...item, values: truncate(item.values) })),
+  }
+}
+
+export const buildCashflowRows = ({
+  months,
+  revenueSeries,
+  softCostSeries,
+  hardCostSeries,
+  carryingCostSeries,
+  capitalEventSeries = null,
+}) => {
+  const buildRow = (id, series) => ({
+    id,
+    label: series.label,
+    type: series.type,
+    values: series.baseValues,
+    subRows: series.lineItems,
+  })
+
+  const totalRowValues = months.map((_, index) => {
+    return (
+      (revenueSeries.baseValues[index] || 0) +
+      (softCostSeries.baseValues[index] || 0) +
+      (hardCostSeries.baseValues[index] || 0) +
+      (carryingCostSeries.baseValues[index] || 0) +
+      (capitalEventSeries?.baseValues[index] || 0)
+    )
+  })
+
+  const rows = [
+    buildRow('revenues', revenueSeries),
+    buildRow('soft', softCostSeries),
+    buildRow('hard', hardCostSeries),
+    buildRow('carrying', carryingCostSeries),
+  ]
+  if (capitalEventSeries?.lineItems.length) rows.push(buildRow('capital', capitalEventSeries))
+
+  rows.push({
+    id: 'total',
+    label: 'Total',
+    type: 'total',
+    values: totalRowValues,
+    subRows: [],
+  })
+
+  const balanceValues = []
+  let runningBalance = 0
+  totalRowValues.forEach((value, idx) => {
+    runningBalance += value || 0
+    balanceValues[idx] = runningBalance
+  })
+
+  rows.push({
+    id: 'balance',
+    label: 'Balance',
+    type: 'total',
+    values: balanceValues,
+    subRows: [],
+  })
+
+  return rows
+}
@@ -0,0 +1,158 @@
+import { buildContributionValues, buildCostAllocations } from './series.js'
+import { buildProjectCashflow } from './project.js'
+import { REFINANCE_LOAN_ID } from './capitalEvents.js'
+import { resolvePercentageSoftCosts } from './percentageCosts.js'
+
+// Differences under a dollar are rounding, not a funding gap.
+export const SOURCES_USES_TOLERANCE_USD = 1
+
+export const LP_PARTNER_ID = 'LP'
+
+const sum = (values) => values.reduce((total, value) => total + (value || 0), 0)
+
+const addInto = (target, values) => {
+  values.forEach((value, idx) => {
+    if (idx < target.length) target[idx] += value || 0
+  })
+  return target
+}
+
+const sumScheduledCosts = (rows, months) =>
+  rows.reduce((totals, row) => addInto(totals, buildCostAllocations(row, months)), Array(months).fill(0))
+
+/**
+ * The statement covers closing through the stabilized month: uses after
+ * stabilization are paid from operations. Without a stabilized month it spans
+ * the whole horizon.
+ */
+const resolveCapitalizationWindow = (stabilizedOffset, months) => ({
+  startMonth: 0,
+  endMonth: stabilizedOffset === null || stabilizedOffset === undefined ? months - 1 : Math.min(stabilizedOffset, months - 1),
+})
+
+const buildLine = (id, label, values, windowEnd, extra = {}) => {
+  const windowed = values.slice(0, windowEnd + 1)
+  return { id, label, ...extra, amount: sum(windowed), values: windowed }
+}
+
+const classifyDifference = (difference) => {
+  if (Math.abs(difference) < SOURCES_USES_TOLERANCE_USD) return 'balanced'
+  return difference < 0 ? 'gap' : 'surplus'
+}
+
+/**
+ * Sources & Uses for the capitalization window, from a project detail payload.
+ *
+ * - Uses: purchase price (closing month), hard, soft and lease-up costs on
+ *   their payment schedules, operating carrying costs and loan interest
+ *   (cash and capitalized). Principal repayments are not uses.
+ * - Sources: each loan's funding plus capitalized interest, GP equity and LP
+ *   equity (contributions whose partner is `LP`).
+ * - `monthly` tracks when equity is needed: uses not covered by cumulative loan
+ *   draws, never released once required, against the equity actually
+ *   contributed. A positive `equityShortfall` means equity arrives late.
+ */
+export const buildSourcesAndUses = (project, { months, cashflow } = {}) => {
+  const projectCashflow = cashflow || buildProjectCashflow(project, { months })
+  const horizon = projectCashflow.months.length
+  const window = resolveCapitalizationWindow(projectCashflow.stabilizedOffset, horizon)
+  const loans = projectCashflow.loans || []
+
+  const carryingLines = projectCashflow.rows.find((row) => row.id === 'carrying')?.subRows ?? []
+  const operatingCarrying = carryingLines
+    .filter((item) => item.kind === 'operating')
+    .reduce((totals, item) => addInto(totals, item.values.map((value) => -value)), Array(horizon).fill(0))
+  const interest = loans.reduce(
+    (totals, loan) =>
+      addInto(
+        addInto(totals, loan.values.interest.map((value) => -value)),
+        loan.values.capitalizedInterest || [],
+      ),
+    Array(horizon).fill(0),
+  )
+
+  const uses = [
+    buildLine(
+      'purchase',
+      'Purchase price',
+      buildContributionValues(Number(project?.general?.purchasePriceUsd) || 0, 0, horizon),
+      window.endMonth,
+    ),
+    buildLine('hard', 'Hard costs', sumScheduledCosts(project?.hardCosts || [], horizon), window.endMonth),
+    buildLine('soft', 'Soft costs', sumScheduledCosts(resolvePercentageSoftCosts(project), horizon), window.endMonth),
+    buildLine('leaseup', 'Lease-up costs', sumScheduledCosts(project?.leaseupCosts || [], horizon), window.endMonth),
+    buildLine('carrying', 'Carrying costs', operatingCarrying, window.endMonth),
+    buildLine('financing', 'Financing costs (interest)', interest, window.endMonth),
+  ]
+
+  const contributions = project?.gpContributions || []
+  const equityValues = (predicate) =>
+    contributions
+      .filter(predicate)
+      .reduce(
+        (totals, row) => addInto(totals, buildContributionValues(Number(row.amountUsd) || 0, row.contributionMonth ?? 0, horizon)),
+        Array(horizon).fill(0),
+      )
+
+  const sources = [
+    // Refinance proceeds are a capital event: they repay loans, not uses.
+    ...loans
+      .filter((loan) => loan.id !== REFINANCE_LOAN_ID)
+      .map((loan) =>
+        buildLine(
+          `loan-${loan.id}`,
+          loan.label,
+          addInto([...loan.values.funding], loan.values.capitalizedInterest || []),
+          window.endMonth,
+          { kind: 'loan' },
+        ),
+      ),
+    buildLine('gp-equity', 'GP equity', equityValues((row) => row.partner !== LP_PARTNER_ID), window.endMonth, {
+      kind: 'gp_equity',
+    }),
+    buildLine('lp-equity', 'LP equity', equityValues((row) => row.partner === LP_PARTNER_ID), window.endMonth, {
+      kind: 'lp_equity',
+    }),
+  ]
+
+  let cumulativeUses = 0
+  let cumulativeLoans = 0
+  let cumulativeEquity = 0
+  let equityRequired = 0
+  const monthly = Array.from({ length: window.endMonth + 1 }, (_, index) => {
+    const monthUses = sum(uses.map((line) => line.values[index]))
+    const loanDraws = sum(sources.filter((line) => line.kind === 'loan').map((line) => line.values[index]))
+    const equityContributed = sum(sources.filter((line) => line.kind !== 'loan').map((line) => line.values[index]))
+    cumulativeUses += monthUses
+    cumulativeLoans += loanDraws
+    cumulativeEquity += equityContributed
+    const required = Math.max(equityRequired, cumulativeUses - cumulativeLoans)
+    const newEquityRequired = required - equityRequired
+    equityRequired = required
+    return {
+      index,
+      uses: monthUses,
+      loanDraws,
+      equityContributed,
+      equityRequired: newEquityRequired,
+      cumulativeEquityRequired: equityRequired,
+      cumulativeEquityContributed: cumulativeEquity,
+      equityShortfall: Math.max(0, equityRequired - cumulativeEquity),
+    }
+  })
+
+  const totalUses = sum(uses.map((line) => line.amount))
+  const totalSources = sum(sources.map((line) => line.amount))
+  const difference = totalSources - totalUses
+
+  return {
+    window,
+    uses,
+    sources,
+    totalUses,
+    totalSources,
+    difference,
+    status: classifyDifference(difference),
+    monthly,
+  }
+}
@@ -0,0 +1,215 @@
+import { DEFAULT_CASHFLOW_MONTHS, normalizeCashflowMonth } from './series.js'
+import { buildProjectCashflow } from './project.js'
+
+export const DEFAULT_NOI_DISTRIBUTION_MODE = 'distribution'
+
+const EPSILON = 0.005
+
+const zeros = (months) => Array(months).fill(0)
+
+const sum = (values) => values.reduce((total, value) => total + (value || 0), 0)
+
+/**
+ * Groups gp_contributions rows by partner. Each partner's holding % is the sum of
+ * the holding % on their rows, matching how the Funding tab totals holdings.
+ */
+export const buildInvestors = (contributions = [], months = DEFAULT_CASHFLOW_MONTHS) => {
+  const byPartner = new Map()
+  contributions.forEach((row, index) => {
+    const id = row.partner || `investor-${index}`
+    if (!byPartner.has(id)) {
+      byPartner.set(id, { id, holdingPct: 0, contributions: zeros(months) })
+    }
+    const investor = byPartner.get(id)
+    investor.holdingPct += Number(row.holdingPct) || 0
+    const month = normalizeCashflowMonth(row.contributionMonth)
+    if (month < months) investor.contributions[month] += Number(row.amountUsd) || 0
+  })
+  return [...byPartner.values()]
+}
+
+const allocateProRata = (amount, weights) => {
+  const total = sum(weights)
+  if (total <= 0) return weights.map(() => 0)
+  return weights.map((weight) => (amount * weight) / total)
+}
+
+/**
+ * Splits `amount` by holding %. Holdings below 100% leave the remainder
+ * undistributed; when no holdings are set the split falls back to capital share.
+ */
+const distributeByHolding = (amount, states, monthIndex) => {
+  const totalHolding = sum(states.map((state) => state.holdingPct))
+  const shares =
+    totalHolding > 0
+      ? states.map((state) => (amount * state.holdingPct) / Math.max(100, totalHolding))
+      : allocateProRata(amount, states.map((state) => state.contributed))
+  shares.forEach((share, idx) => {
+    states[idx].profit[monthIndex] += share
+  })
+  return amount - sum(shares)
+}
+
+/**
+ * Pays `amount` through the capital-return waterfall: accrued preferred return,
+ * then outstanding capital (both pro-rata), then profit by holding %. Mutates the
+ * investor state and returns what could not be distributed.
+ */
+const runCapitalReturn = (amount, states, monthIndex) => {
+  let remaining = amount
+
+  const prefOwed = states.map((state) => state.prefBalance)
+  const prefTotal = sum(prefOwed)
+  if (remaining > 0 && prefTotal > EPSILON) {
+    const paid = Math.min(remaining, prefTotal)
+    allocateProRata(paid, prefOwed).forEach((share, idx) => {
+      states[idx].prefBalance -= share
+      states[idx].prefPaid[monthIndex] += share
+    })
+    remaining -= paid
+  }
+
+  const capitalOwed = states.map((state) => state.capitalBalance)
+  const capitalTotal = sum(capitalOwed)
+  if (remaining > 0 && capitalTotal > EPSILON) {
+    const paid = Math.min(remaining, capitalTotal)
+    allocateProRata(paid, capitalOwed).forEach((share, idx) => {
+      states[idx].capitalBalance -= share
+      states[idx].capitalReturned[monthIndex] += share
+    })
+    remaining -= paid
+  }
+
+  return remaining > 0 ? distributeByHolding(remaining, states, monthIndex) : 0
+}
+
+/**
+ * Monthly LP/GP waterfall (docs/features/money-returns.md).
+ *
+ * - Preferred return accrues monthly at `preferredReturnPct / 12` on each
+ *   investor's outstanding capital, starting the month capital goes in.
+ * - `capitalEvents` (refinance / sale proceeds) always run the capital-return
+ *   waterfall.
+ * - Positive `operatingCash` (cash after debt service) runs the capital-return
+ *   waterfall in `capital_return` mode, or is split by holding % in
+ *   `distribution` mode while preferred return keeps accruing.
+ */
+export const buildDistributionWaterfall = ({
+  contributions = [],
+  months = DEFAULT_CASHFLOW_MONTHS,
+  preferredReturnPct = 0,
+  noiMode = DEFAULT_NOI_DISTRIBUTION_MODE,
+  operatingCash = [],
+  capitalEvents = [],
+}) => {
+  const mode = noiMode === 'capital_return' ? 'capital_return' : DEFAULT_NOI_DISTRIBUTION_MODE
+  const monthlyRate = (Number(preferredReturnPct) || 0) / 100 / 12
+  const investors = buildInvestors(contributions, months)
+  const totalCapital = sum(investors.map((investor) => sum(investor.contributions)))
+
+  const states = investors.map((investor) => ({
+    ...investor,
+    contributed: sum(investor.contributions),
+    capitalBalance: 0,
+    prefBalance: 0,
+    prefAccrued: zeros(months),
+    prefPaid: zeros(months),
+    capitalReturned: zeros(months),
+    profit: zeros(months),
+    capitalBalances: zeros(months),
+    prefBalances: zeros(months),
+  }))
+  const undistributed = zeros(months)
+
+  for (let monthIndex = 0; monthIndex < months; monthIndex += 1) {
+    states.forEach((state) => {
+      state.capitalBalance += state.contributions[monthIndex]
+      const accrual = state.capitalBalance > EPSILON ? state.capitalBalance * monthlyRate : 0
+      state.prefAccrued[monthIndex] = accrual
+      state.prefBalance += accrual
+    })
+
+    const eventCash = Math.max(0, Number(capitalEvents[monthIndex]) || 0)
+    if (eventCash > 0) {
+      undistributed[monthIndex] += runCapitalReturn(eventCash, states, monthIndex)
+    }
+
+    const operating = Math.max(0, Number(operatingCash[monthIndex]) || 0)
+    if (operating > 0) {
+      undistributed[monthIndex] +=
+        mode === 'capital_return'
+          ? runCapitalReturn(operating, states, monthIndex)
+          : distributeByHolding(operating, states, monthIndex)
+    }
+
+    states.forEach((state) => {
+      if (state.capitalBalance < EPSILON) state.capitalBalance = 0
+      state.capitalBalances[monthIndex] = state.capitalBalance
+      state.prefBalances[monthIndex] = state.prefBalance
+    })
+  }
+
+  const investorResults = states.map((state) => {
+    const distributions = state.prefPaid.map(
+      (value, idx) => value + state.capitalReturned[idx] + state.profit[idx],
+    )
+    const totalDistributed = sum(distributions)
+    return {
+      id: state.id,
+      holdingPct: state.holdingPct,
+      capitalSharePct: totalCapital > 0 ? (state.contributed / totalCapital) * 100 : 0,
+      monthly: {
+        contributions: state.contributions,
+        prefAccrued: state.prefAccrued,
+        prefPaid: state.prefPaid,
+        capitalReturned: state.capitalReturned,
+        profit: state.profit,
+        distributions,
+        capitalBalance: state.capitalBalances,
+        prefBalance: state.prefBalances,
+      },
+      totals: {
+        contributed: state.contributed,
+        prefAccrued: sum(state.prefAccrued),
+        prefPaid: sum(state.prefPaid),
+        capitalReturned: sum(state.capitalReturned),
+        profitDistributed: sum(state.profit),
+        distributed: totalDistributed,
+        totalProfit: totalDistributed - state.contributed,
+      },
+    }
+  })
+
+  return {
+    preferredReturnPct: Number(preferredReturnPct) || 0,
+    noiMode: mode,
+    investors: investorResults,
+    undistributed,
+    totals: {
+      contributed: totalCapital,
+      distributed: sum(investorResults.map((investor) => investor.totals.distributed)),
+      undistributed: sum(undistributed),
+    },
+  }
+}
+
+/**
+ * Runs the waterfall for a project detail payload using its returns settings and
+ * the cash after debt service from the project cashflow. `capitalEvents`
+ * defaults to the cashflow's capital events (refinance net cash-out).
+ */
+export const buildProjectWaterfall = (project, { months, cashflow, capitalEvents } = {}) => {
+  const projectCashflow = cashflow || buildProjectCashflow(project, { months })
+  const settings = project?.returns || {}
+  return {
+    months: projectCashflow.months,
+    ...buildDistributionWaterfall({
+      contributions: project?.gpContributions || [],
+      months: projectCashflow.months.length,
+      preferredReturnPct: settings.preferredReturnPct ?? 0,
+      noiMode: settings.noiDistributionMode ?? DEFAULT_NOI_DISTRIBUTION_MODE,
+      operatingCash: projectCashflow.operating.cashAfterDebtService,
+      capitalEvents: capitalEvents ?? projectCashflow.operating.capitalEvents ?? [],
+    }),
+  }
+}
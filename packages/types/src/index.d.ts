@@ -47,6 +47,10 @@ export interface ProjectGeneral {
   description: string | null
   startLeasingDate: string | null
   stabilizedDate: string | null
+  /** Cashflow analysis horizon in months (12–360, default 60). */
+  horizonMonths: number
+  /** Calendar month the fiscal year starts in (1 = January). */
+  fiscalYearStartMonth: number
   buildingImageUrl: string | null
 }
 
@@ -55,6 +59,37 @@ export interface ApartmentTurnoverSettings {
   turnoverCostUsd: number | null
 }
 
+export type ExpenseInflation = Partial<Record<Exclude<CarryingType, 'loan'>, number | null>>
+
+export type AbatementBase = 'improvements' | 'total'
+
+export interface PropertyTaxAbatement {
+  /** Month offset the schedule starts in; defaults to the completion month. */
+  startMonth?: number | null
+  /** % of the abated value taken off in each year of the schedule. */
+  schedulePct: number[]
+  appliesTo: AbatementBase
+}
+
+export interface PropertyTaxAssessment {
+  landValueUsd: number
+  improvementValueUsd: number
+  assessmentRatioPct: number
+  /** Mills: tax per $1,000 of assessed value. */
+  millageRate: number
+  /** Reassess the improvements at the purchase price less land. */
+  reassessOnPurchase: boolean
+  completionMonth?: number | null
+  /** Improvements after completion; defaults to the earlier value plus hard costs. */
+  completedImprovementValueUsd?: number | null
+  abatement?: PropertyTaxAbatement | null
+}
+
+export interface ProjectReturnsSettings {
+  preferredReturnPct: number | null
+  noiDistributionMode: NoiDistributionMode
+}
+
 export interface AddressSuggestion {
   id: string
   label: string
@@ -70,9 +105,16 @@ export type ProjectDetail = ProjectSummary & {
   general: ProjectGeneral
   apartmentTurnover: ApartmentTurnoverSettings
   retailTurnover: ApartmentTurnoverSettings
+  returns: ProjectReturnsSettings
+  expenseInflation: ExpenseInflation
+  propertyTaxAssessment: PropertyTaxAssessment | null
+  scenarios: ProjectScenario[]
+  capitalEvents: ProjectCapitalEvent[]
   revenue: ApartmentRevenue[]
   retailRevenue: RetailRevenue[]
   parkingRevenue: ParkingRevenue[]
+  otherIncome: OtherIncome[]
+  rentRoll: RentRollUnit[]
   gpContributions: GpContribution[]
   softCosts: SoftCostRow[]
   leaseupCosts: LeaseupCostRow[]
@@ -91,8 +133,11 @@ export const SOFT_COST_CATEGORY_IDS: readonly [
   'permits',
   'consulting',
   'marketing',
+  'contingency',
+  'developer_fee',
   'other',
 ]
+export const SOFT_COST_BASES: readonly ['fixed', 'pct_hard', 'pct_total']
 
 export const HARD_COST_CATEGORY_IDS: readonly [
   'structure',
@@ -123,21 +168,63 @@ export const HARD_COST_CATEGORY_IDS: readonly [
 
 export const MEASUREMENT_UNITS: readonly ['none', 'sqft', 'linear_feet', 'apartment', 'building']
 export const COST_PAYMENT_MODES: readonly ['single', 'range', 'multi']
-export const CARRYING_TYPES: readonly ['loan', 'property_tax', 'management']
-export const LOAN_MODES: readonly ['interest_only', 'amortizing']
+export const CARRYING_TYPES: readonly ['loan', 'property_tax', 'management', 'opex']
+export const LOAN_MODES: readonly ['interest_only', 'amortizing', 'construction']
+export const CONSTRUCTION_DRAW_CATEGORIES: readonly ['purchase', 'hard', 'soft']
 export const INTERVAL_UNITS: readonly ['monthly', 'quarterly', 'yearly']
 export const PROPERTY_TAX_PHASES: readonly ['construction', 'stabilized']
+export const ABATEMENT_BASES: readonly ['improvements', 'total']
+export const OPEX_CATEGORIES: readonly [
+  'insurance',
+  'utilities',
+  'repairs_maintenance',
+  'payroll',
+  'reserves',
+  'hoa',
+  'other',
+]
+export const OPEX_BASES: readonly ['fixed', 'per_unit', 'per_sqft', 'pct_egi']
 export const DOCUMENT_CATEGORIES: readonly ['contracts', 'permits', 'plans', 'financials', 'legal', 'other']
+export const NOI_DISTRIBUTION_MODES: readonly ['capital_return', 'distribution']
+export const METRIC_SCENARIOS: readonly ['wc', 'default', 'bc']
+export const CASHFLOW_LINE_ITEM_IDS: readonly ['revenues', 'soft', 'hard', 'carrying']
+export const PACKAGE_TEMPLATE_IDS: readonly ['investor', 'lender']
+export const CAPITAL_EVENT_TYPES: readonly ['refinance', 'sale']
+export const LEASE_UP_CURVES: readonly ['linear', 's_curve', 'units_per_month', 'custom']
+export const RENT_ROLL_STATUSES: readonly ['occupied', 'notice', 'vacant', 'down']
+export const RETAIL_LEASE_TYPES: readonly ['gross', 'nnn', 'modified_gross']
+export const OTHER_INCOME_TYPES: readonly ['laundry', 'storage', 'pet', 'rubs', 'application_fees', 'other']
+export const OTHER_INCOME_BASES: readonly ['flat', 'per_unit']
 
 export type CostPaymentMode = typeof COST_PAYMENT_MODES[number]
 export type DocumentCategory = typeof DOCUMENT_CATEGORIES[number]
 export type MeasurementUnit = typeof MEASUREMENT_UNITS[number]
 export type CarryingType = typeof CARRYING_TYPES[number]
 export type LoanMode = typeof LOAN_MODES[number]
+export type ConstructionDrawCategory = typeof CONSTRUCTION_DRAW_CATEGORIES[number]
 export type IntervalUnit = typeof INTERVAL_UNITS[number]
 export type PropertyTaxPhase = typeof PROPERTY_TAX_PHASES[number]
+export type OpexCategory = typeof OPEX_CATEGORIES[number]
+export type OpexBasis = typeof OPEX_BASES[number]
+export type SoftCostBasis = typeof SOFT_COST_BASES[number]
+export type NoiDistributionMode = typeof NOI_DISTRIBUTION_MODES[number]
+export type MetricScenario = typeof METRIC_SCENARIOS[number]
+export type CashflowLineItemId = typeof CASHFLOW_LINE_ITEM_IDS[number]
+export type CapitalEventType = typeof CAPITAL_EVENT_TYPES[number]
+export type LeaseUpCurve = typeof LEASE_UP_CURVES[number]
+export type RentRollStatus = typeof RENT_ROLL_STATUSES[number]
+export type RetailLeaseType = typeof RETAIL_LEASE_TYPES[number]
+export type OtherIncomeType = typeof OTHER_INCOME_TYPES[number]
+export type OtherIncomeBasis = typeof OTHER_INCOME_BASES[number]
+
+export interface LeaseUpInput {
+  rentGrowthPct?: number | null
+  leaseUpCurve?: LeaseUpCurve
+  leaseUpUnitsPerMonth?: number | null
+  leaseUpAbsorptionPct?: number[] | null
+}
 
-export interface ApartmentRevenueInput {
+export interface ApartmentRevenueInput extends LeaseUpInput {
   typeLabel: string
   unitSqft?: number | null
   unitCount: number
@@ -150,20 +237,35 @@ export interface ApartmentRevenue extends ApartmentRevenueInput {
   id: EntityId
 }
 
-export interface RetailRevenueInput {
+export interface RetailRentStep {
+  afterMonths: number
+  monthlyRentUsd: number
+}
+
+export interface RetailRevenueInput extends LeaseUpInput {
   typeLabel: string
   unitSqft?: number | null
   unitCount: number
   rentBudget: number | null
   vacancyPct?: number
   startMonth?: number
+  leaseType?: RetailLeaseType
+  tenantName?: string | null
+  leaseTermMonths?: number | null
+  freeRentMonths?: number | null
+  rentSteps?: RetailRentStep[] | null
+  camRecoveryUsd?: number | null
+  taxRecoveryUsd?: number | null
+  insuranceRecoveryUsd?: number | null
+  tiAllowancePsf?: number | null
+  leasingCommissionPct?: number | null
 }
 
 export interface RetailRevenue extends RetailRevenueInput {
   id: EntityId
 }
 
-export interface ParkingRevenueInput {
+export interface ParkingRevenueInput extends LeaseUpInput {
   typeLabel: string
   spaceCount: number
   monthlyRentUsd: number
@@ -175,6 +277,38 @@ export interface ParkingRevenue extends ParkingRevenueInput {
   id: EntityId
 }
 
+export interface OtherIncomeInput {
+  typeLabel: string
+  incomeType?: OtherIncomeType
+  amountBasis?: OtherIncomeBasis
+  /** Flat monthly amount, or per apartment unit for `per_unit`. */
+  monthlyAmountUsd: number
+  vacancyPct?: number
+  startMonth?: number
+}
+
+export interface OtherIncome extends OtherIncomeInput {
+  id: EntityId
+}
+
+export interface RentRollUnitInput {
+  unitNumber: string
+  apartmentTypeId?: EntityId | null
+  unitSqft?: number | null
+  tenantName?: string | null
+  leaseStart?: string | null
+  leaseEnd?: string | null
+  contractRent?: number | null
+  marketRent?: number | null
+  status?: RentRollStatus
+}
+
+export interface RentRollUnit extends RentRollUnitInput {
+  id: EntityId
+  status: RentRollStatus
+  updatedAt: string | null
+}
+
 export interface GpContributionInput {
   partner: string
   amountUsd: number
@@ -186,6 +320,115 @@ export interface GpContribution extends GpContributionInput {
   id: EntityId
 }
 
+export interface MetricRevenueOverride {
+  monthlyRentWC: number | null
+  monthlyRentBC: number | null
+  occupancy: number | null
+  scenario: MetricScenario
+  updatedAt?: string | null
+}
+
+export interface MetricCarryingOverride {
+  wc: number | null
+  bc: number | null
+  scenario: MetricScenario
+  updatedAt?: string | null
+}
+
+export interface MetricOverrides {
+  apartments: Record<string, MetricRevenueOverride>
+  retail: Record<string, MetricRevenueOverride>
+  parking: Record<string, MetricRevenueOverride>
+  buildCost?: MetricCarryingOverride
+  management?: MetricCarryingOverride
+  stabilizedTax?: MetricCarryingOverride
+  operatingExpenses?: MetricCarryingOverride
+}
+
+export interface MetricAssumptionsInput {
+  constructionPeriodMonths?: number | null
+  interestRatePct?: number | null
+  stabilizedInterestRatePct?: number | null
+  stabilizedTermYears?: number | null
+  refinanceAmountUsd?: number | null
+  salesCostPct?: number | null
+  preferredReturnPct?: number | null
+  stabilizationPeriodMonths?: number | null
+  sellingCapRatePct?: number | null
+  overrides?: Partial<MetricOverrides>
+}
+
+export interface MetricAssumptions extends Required<Omit<MetricAssumptionsInput, 'overrides'>> {
+  overrides: MetricOverrides
+  updatedAt: string | null
+}
+
+export interface ScenarioAdjustments {
+  hardCostPct?: number | null
+  softCostPct?: number | null
+  rentPct?: number | null
+  vacancyPct?: number | null
+  interestRateDeltaPct?: number | null
+  loanAmountPct?: number | null
+  loanTermMonths?: number | null
+  delayMonths?: number | null
+}
+
+export interface ScenarioInput {
+  name: string
+  description?: string | null
+  adjustments?: ScenarioAdjustments
+}
+
+export interface ProjectScenario {
+  id: EntityId
+  name: string
+  description: string | null
+  adjustments: ScenarioAdjustments
+  createdAt: string
+  updatedAt: string
+}
+
+export interface RefinanceTerms {
+  capRatePct: number
+  maxLtvPct?: number | null
+  minDscr?: number | null
+  minDebtYieldPct?: number | null
+  interestRatePct: number
+  amortizationYears: number
+  closingCostPct?: number | null
+}
+
+export interface RefinanceEventInput {
+  eventMonth: number
+  terms: RefinanceTerms
+}
+
+export interface SaleTerms {
+  exitCapRatePct: number
+  sellingCostPct?: number | null
+  transferTaxPct?: number | null
+}
+
+export interface SaleEventInput {
+  eventMonth: number
+  terms: SaleTerms
+}
+
+export interface ProjectRefinanceEvent extends RefinanceEventInput {
+  id: EntityId
+  eventType: 'refinance'
+  updatedAt: string | null
+}
+
+export interface ProjectSaleEvent extends SaleEventInput {
+  id: EntityId
+  eventType: 'sale'
+  updatedAt: string | null
+}
+
+export type ProjectCapitalEvent = ProjectRefinanceEvent | ProjectSaleEvent
+
 export interface SoftCostInput {
   softCategory: typeof SOFT_COST_CATEGORY_IDS[number]
   costName: string
@@ -208,16 +451,51 @@ export interface HardCostInput extends SoftCostInput {
 export interface SoftCostRow extends SoftCostInput {
   id: EntityId
   costGroup?: string | null
+  /** `pct_hard` / `pct_total` rows are priced at `costPct` of their base and follow its schedule. */
+  costBasis?: SoftCostBasis
+  costPct?: number | null
 }
 
 export interface LeaseupCostRow extends SoftCostInput {
   id: EntityId
   costGroup?: string | null
+  /** TI and leasing commissions generated from a retail lease; edited on the lease, not here. */
+  derived?: boolean
+  retailSpaceId?: EntityId | null
+}
+
+export interface HardCostTracking {
+  committedUsd?: number | null
+  invoicedUsd?: number | null
+  paidUsd?: number | null
+  retainageUsd?: number | null
+}
+
+export interface HardCostChangeOrderInput {
+  /** Negative for deductive change orders. */
+  amountUsd: number
+  reason: string
+  approvedDate: string
+}
+
+export interface HardCostChangeOrder extends HardCostChangeOrderInput {
+  id: EntityId
+  costItemId: EntityId
 }
 
-export interface HardCostRow extends HardCostInput {
+export interface HardCostRow extends HardCostInput, HardCostTracking {
   id: EntityId
   costGroup?: string | null
+  changeOrders?: HardCostChangeOrder[]
+}
+
+/** Draw terms for `loanMode: 'construction'` loans (see `buildConstructionLoanValues`). */
+export interface ConstructionLoanTerms {
+  ltcPct?: number | null
+  interestReserveUsd?: number | null
+  equityFirst?: boolean
+  capitalizeInterest?: boolean
+  drawCategories?: ConstructionDrawCategory[]
 }
 
 export interface LoanCarryingInput {
@@ -229,16 +507,22 @@ export interface LoanCarryingInput {
   loanTermMonths: number
   fundingMonth: number
   repaymentStartMonth: number
+  constructionTerms?: ConstructionLoanTerms | null
 }
 
 export interface RecurringCarryingInput {
-  carryingType: 'property_tax' | 'management'
+  carryingType: 'property_tax' | 'management' | 'opex'
   costName?: string
-  amountUsd: number
+  /** Required unless an opex row budgets a rate (any basis but `fixed`). */
+  amountUsd?: number | null
   intervalUnit: IntervalUnit
   startMonth: number
   endMonth?: number | null
   propertyTaxPhase?: PropertyTaxPhase
+  opexCategory?: OpexCategory
+  opexBasis?: OpexBasis
+  /** $ per unit or per sqft each interval, or % of EGI. */
+  opexRate?: number | null
 }
 
 export type CarryingCostInput = LoanCarryingInput | RecurringCarryingInput
@@ -258,17 +542,33 @@ export interface CarryingCostRow {
   loanTermMonths?: number | null
   fundingMonth?: number | null
   repaymentStartMonth?: number | null
+  constructionTerms?: ConstructionLoanTerms | null
   propertyTaxPhase?: PropertyTaxPhase | null
+  opexCategory?: OpexCategory | null
+  opexBasis?: OpexBasis | null
+  opexRate?: number | null
 }
 
 export interface CashflowRow {
   id: EntityId
   monthIndex: number
+  lineItem: CashflowLineItemId
   budgetInflows: number | null
   budgetOutflows: number | null
   actualInflows: number | null
   actualOutflows: number | null
   notes: string | null
+  updatedAt: string | null
+}
+
+export interface CashflowEntryInput {
+  monthIndex: number
+  lineItem: CashflowLineItemId
+  budgetInflows?: number | null
+  budgetOutflows?: number | null
+  actualInflows?: number | null
+  actualOutflows?: number | null
+  notes?: string | null
 }
 
 export interface WeatherReading {
@@ -487,6 +787,8 @@ export interface ProjectCounts {
 }
 
 export declare const projectCreateSchema: z.ZodType<{ name: string }>
+export declare const expenseInflationSchema: z.ZodType<ExpenseInflation>
+export declare const propertyTaxAssessmentSchema: z.ZodType<PropertyTaxAssessment>
 export declare const projectUpdateSchema: z.ZodTypeAny
 export declare const apartmentRevenueInputSchema: z.ZodType<ApartmentRevenueInput>
 export declare const apartmentRevenueUpdateSchema: z.ZodType<Partial<ApartmentRevenueInput>>
@@ -494,16 +796,36 @@ export declare const retailRevenueInputSchema: z.ZodType<RetailRevenueInput>
 export declare const retailRevenueUpdateSchema: z.ZodType<Partial<RetailRevenueInput>>
 export declare const parkingRevenueInputSchema: z.ZodType<ParkingRevenueInput>
 export declare const parkingRevenueUpdateSchema: z.ZodType<Partial<ParkingRevenueInput>>
+export declare const otherIncomeInputSchema: z.ZodType<OtherIncomeInput>
+export declare const otherIncomeUpdateSchema: z.ZodType<Partial<OtherIncomeInput>>
+export declare const rentRollUnitInputSchema: z.ZodType<RentRollUnitInput>
+export declare const rentRollUnitUpdateSchema: z.ZodType<Partial<RentRollUnitInput>>
+export declare const hardCostTrackingSchema: z.ZodType<HardCostTracking>
+export declare const hardCostChangeOrderInputSchema: z.ZodType<HardCostChangeOrderInput>
+export declare const hardCostChangeOrderUpdateSchema: z.ZodType<Partial<HardCostChangeOrderInput>>
 export declare const gpContributionInputSchema: z.ZodType<GpContributionInput>
 export declare const gpContributionUpdateSchema: z.ZodType<Partial<GpContributionInput>>
+export declare const metricAssumptionsUpdateSchema: z.ZodType<MetricAssumptionsInput>
+export declare const scenarioInputSchema: z.ZodType<ScenarioInput>
+export declare const scenarioUpdateSchema: z.ZodType<Partial<ScenarioInput>>
+export declare const refinanceTermsSchema: z.ZodType<RefinanceTerms>
+export declare const refinanceEventInputSchema: z.ZodType<RefinanceEventInput>
+export declare const saleTermsSchema: z.ZodType<SaleTerms>
+export declare const saleEventInputSchema: z.ZodType<SaleEventInput>
+export declare const cashflowEntryInputSchema: z.ZodType<CashflowEntryInput>
+export declare const cashflowEntryUpdateSchema: z.ZodType<
+  Partial<Omit<CashflowEntryInput, 'monthIndex' | 'lineItem'>>
+>
 export declare const softCostInputSchema: z.ZodType<SoftCostInput>
 export declare const softCostUpdateSchema: z.ZodType<Partial<SoftCostInput>>
 export declare const hardCostInputSchema: z.ZodType<HardCostInput>
 export declare const hardCostUpdateSchema: z.ZodType<Partial<HardCostInput>>
+export declare const constructionLoanTermsSchema: z.ZodType<ConstructionLoanTerms>
 export declare const loanCarryingInputSchema: z.ZodType<LoanCarryingInput>
 export declare const recurringCarryingInputSchema: z.ZodType<RecurringCarryingInput>
 export declare const documentInputSchema: z.ZodType<DocumentInput>
 export declare const documentUpdateSchema: z.ZodType<Partial<DocumentInput>>
+export declare const pdfBrandingSchema: z.ZodType<PdfBranding>
 export declare const formatZodErrors: (error: z.ZodError) => string
 
 // ============================================
@@ -611,6 +933,18 @@ export declare const ENGAGEMENT_STATUS: readonly EngagementStatus[]
 export declare const ENTITY_DOCUMENT_TYPES: readonly EntityDocumentType[]
 
 // Admin Entity
+export type PackageTemplateId = 'investor' | 'lender'
+
+export interface PdfBranding {
+  template?: PackageTemplateId
+  companyName?: string | null
+  primaryColor?: string
+  accentColor?: string
+  logoDataUrl?: string | null
+  footerText?: string | null
+  disclaimer?: string | null
+}
+
 export interface AdminEntity {
   id: EntityId
   name: string
@@ -628,6 +962,7 @@ export interface AdminEntity {
   legalStructure?: LegalStructure | null
   taxStatus?: TaxStatus | null
   linkedProjectId?: EntityId | null
+  pdfBranding?: PdfBranding | null
   createdAt: string
   updatedAt: string
 }
@@ -652,6 +987,7 @@ export interface AdminEntityInput {
   legalStructure?: LegalStructure | null
   taxStatus?: TaxStatus | null
   linkedProjectId?: string | null
+  pdfBranding?: PdfBranding | null
 }
 
 // Entity Ownership
@@ -11,8 +11,19 @@ const positiveInt = baseNumber.int().nonnegative()
 const optionalPositiveInt = positiveInt.optional()
 const money = baseNumber.min(0)
 const percentage = baseNumber.min(0).max(100)
+const growthRate = baseNumber.gt(-100).max(100)
 const costPaymentModes = ['single', 'range', 'multi']
-const softCostCategories = ['architect', 'legal', 'permits', 'consulting', 'marketing', 'other']
+const softCostCategories = [
+  'architect',
+  'legal',
+  'permits',
+  'consulting',
+  'marketing',
+  'contingency',
+  'developer_fee',
+  'other',
+]
+const softCostBases = ['fixed', 'pct_hard', 'pct_total']
 const hardCostCategories = [
   'structure',
   'framing',
@@ -40,21 +51,50 @@ const hardCostCategories = [
   'other_hard',
 ]
 const measurementUnits = ['none', 'sqft', 'linear_feet', 'apartment', 'building']
-const carryingTypes = ['loan', 'property_tax', 'management']
-const loanModes = ['interest_only', 'amortizing']
+const carryingTypes = ['loan', 'property_tax', 'management', 'opex']
+const loanModes = ['interest_only', 'amortizing', 'construction']
+const constructionDrawCategories = ['purchase', 'hard', 'soft']
 const intervalUnits = ['monthly', 'quarterly', 'yearly']
 const propertyTaxPhases = ['construction', 'stabilized']
+const abatementBases = ['improvements', 'total']
+const opexCategories = ['insurance', 'utilities', 'repairs_maintenance', 'payroll', 'reserves', 'hoa', 'other']
+const opexBases = ['fixed', 'per_unit', 'per_sqft', 'pct_egi']
 const documentCategories = ['contracts', 'permits', 'plans', 'financials', 'legal', 'other']
+const noiDistributionModes = ['capital_return', 'distribution']
+const metricScenarios = ['wc', 'default', 'bc']
+const cashflowLineItems = ['revenues', 'soft', 'hard', 'carrying']
+const packageTemplates = ['investor', 'lender']
+const capitalEventTypes = ['refinance', 'sale']
+const leaseUpCurves = ['linear', 's_curve', 'units_per_month', 'custom']
+const rentRollStatuses = ['occupied', 'notice', 'vacant', 'down']
+const retailLeaseTypes = ['gross', 'nnn', 'modified_gross']
+const otherIncomeTypes = ['laundry', 'storage', 'pet', 'rubs', 'application_fees', 'other']
+const otherIncomeBases = ['flat', 'per_unit']
 
 export const SOFT_COST_CATEGORY_IDS = [...softCostCategories]
+export const SOFT_COST_BASES = [...softCostBases]
 export const HARD_COST_CATEGORY_IDS = [...hardCostCategories]
 export const MEASUREMENT_UNITS = [...measurementUnits]
 export const COST_PAYMENT_MODES = [...costPaymentModes]
 export const CARRYING_TYPES = [...carryingTypes]
 export const LOAN_MODES = [...loanModes]
+export const CONSTRUCTION_DRAW_CATEGORIES = [...constructionDrawCategories]
 export const INTERVAL_UNITS = [...intervalUnits]
 export const PROPERTY_TAX_PHASES = [...propertyTaxPhases]
+export const ABATEMENT_BASES = [...abatementBases]
+export const OPEX_CATEGORIES = [...opexCategories]
+export const OPEX_BASES = [...opexBases]
 export const DOCUMENT_CATEGORIES = [...documentCategories]
+export const NOI_DISTRIBUTION_MODES = [...noiDistributionModes]
+export const METRIC_SCENARIOS = [...metricScenarios]
+export const CASHFLOW_LINE_ITEM_IDS = [...cashflowLineItems]
+export const PACKAGE_TEMPLATE_IDS = [...packageTemplates]
+export const CAPITAL_EVENT_TYPES = [...capitalEventTypes]
+export const LEASE_UP_CURVES = [...leaseUpCurves]
+export const RENT_ROLL_STATUSES = [...rentRollStatuses]
+export const RETAIL_LEASE_TYPES = [...retailLeaseTypes]
+export const OTHER_INCOME_TYPES = [...otherIncomeTypes]
+export const OTHER_INCOME_BASES = [...otherIncomeBases]
 
 // Business project constants
 const businessStages = ['exploring', 'product_market_fit', 'unit_economics', 'sustainable_growth']
@@ -263,11 +303,20 @@ const applyCostScheduleConstraints = (schema) =>
 
 const costScheduleBaseSchema = z.object(costScheduleBaseFields)
 
+// Percentage rows (`pct_hard`, `pct_total`) are priced off their base and follow its schedule.
 const softCostBaseSchema = costScheduleBaseSchema.extend({
   softCategory: z.enum(softCostCategories),
+  costBasis: z.enum(softCostBases).optional(),
+  costPct: percentage.nullable().optional(),
 })
 
-export const softCostInputSchema = applyCostScheduleConstraints(softCostBaseSchema)
+export const softCostInputSchema = applyCostScheduleConstraints(
+  softCostBaseSchema.superRefine((data, ctx) => {
+    if ((data.costBasis ?? 'fixed') !== 'fixed' && (data.costPct === null || data.costPct === undefined)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['costPct'], message: 'costPct is required' })
+    }
+  }),
+)
 export const softCostUpdateSchema = softCostBaseSchema.partial()
 
 const hardCostBaseSchema = costScheduleBaseSchema.extend({
@@ -293,6 +342,14 @@ export const hardCostInputSchema = applyCostScheduleConstraints(
 
 export const hardCostUpdateSchema = hardCostBaseSchema.partial()
 
+export const constructionLoanTermsSchema = z.object({
+  ltcPct: baseNumber.min(0).max(100).nullable().optional(),
+  interestReserveUsd: baseNumber.min(0).nullable().optional(),
+  equityFirst: z.boolean().optional(),
+  capitalizeInterest: z.boolean().optional(),
+  drawCategories: z.array(z.enum(constructionDrawCategories)).min(1).optional(),
+})
+
 export const loanCarryingInputSchema = z
   .object({
     carryingType: z.literal('loan'),
@@ -303,6 +360,7 @@ export const loanCarryingInputSchema = z
     loanTermMonths: positiveInt.min(1),
     fundingMonth: positiveInt,
     repaymentStartMonth: positiveInt,
+    constructionTerms: constructionLoanTermsSchema.nullable().optional(),
   })
   .superRefine((data, ctx) => {
     if (data.repaymentStartMonth < data.fundingMonth) {
@@ -318,13 +376,37 @@ export const recurringCarryingInputSchema = z
   .object({
     carryingType: z.enum(carryingTypes.filter((type) => type !== 'loan')),
     costName: optionalString.or(z.literal('')).optional(),
-    amountUsd: money,
+    amountUsd: money.nullable().optional(),
     intervalUnit: z.enum(intervalUnits),
     startMonth: positiveInt,
     endMonth: optionalPositiveInt.nullable(),
     propertyTaxPhase: z.enum(propertyTaxPhases).optional(),
+    opexCategory: z.enum(opexCategories).optional(),
+    opexBasis: z.enum(opexBases).optional(),
+    opexRate: baseNumber.min(0).nullable().optional(),
   })
   .superRefine((data, ctx) => {
+    const isOpex = data.carryingType === 'opex'
+    if (isOpex && !data.opexCategory) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['opexCategory'], message: 'opexCategory is required' })
+    } else if (!isOpex && (data.opexCategory || data.opexBasis)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['opexBasis'],
+        message: 'opexCategory and opexBasis can only be set for opex rows',
+      })
+    }
+    // Fixed rows budget an amount; per-unit, per-sqft and % of EGI rows a rate.
+    const usesRate = isOpex && (data.opexBasis ?? 'fixed') !== 'fixed'
+    if (usesRate && (data.opexRate === null || data.opexRate === undefined)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['opexRate'], message: 'opexRate is required' })
+    }
+    if (data.opexBasis === 'pct_egi' && data.opexRate > 100) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['opexRate'], message: 'opexRate cannot exceed 100% of EGI' })
+    }
+    if (!usesRate && (data.amountUsd === null || data.amountUsd === undefined)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['amountUsd'], message: 'amountUsd is required' })
+    }
     if (data.carryingType === 'property_tax') {
       if (!data.propertyTaxPhase) {
         ctx.addIssue({
@@ -353,6 +435,38 @@ export const projectCreateSchema = z.object({
   name: nonEmptyString,
 })
 
+// Annual inflation % per carrying-cost category (loans don't inflate).
+export const expenseInflationSchema = z
+  .object({
+    property_tax: growthRate.nullable().optional(),
+    management: growthRate.nullable().optional(),
+    opex: growthRate.nullable().optional(),
+  })
+  .strict()
+
+// Assessed value × assessment ratio × millage drives the generated property tax
+// lines; the abatement schedule is a % off per year, e.g. [100, 90, …, 10].
+export const propertyTaxAssessmentSchema = z
+  .object({
+    landValueUsd: money,
+    improvementValueUsd: money,
+    assessmentRatioPct: percentage.default(100),
+    millageRate: baseNumber.min(0).max(1000),
+    reassessOnPurchase: z.boolean().default(false),
+    completionMonth: positiveInt.nullable().optional(),
+    completedImprovementValueUsd: money.nullable().optional(),
+    abatement: z
+      .object({
+        startMonth: positiveInt.nullable().optional(),
+        schedulePct: z.array(percentage).min(1).max(30),
+        appliesTo: z.enum(abatementBases).default('improvements'),
+      })
+      .strict()
+      .nullable()
+      .optional(),
+  })
+  .strict()
+
 export const projectUpdateSchema = z
   .object({
     name: nonEmptyString.optional(),
@@ -366,6 +480,10 @@ export const projectUpdateSchema = z
     closingDate: nullableString,
     startLeasingDate: nullableString,
     stabilizedDate: nullableString,
+    // Cashflow analysis horizon; MIN/MAX_CASHFLOW_MONTHS in @ds-proforma/cashflow.
+    horizonMonths: positiveInt.min(12).max(360).optional(),
+    // Calendar month the fiscal year starts in (1 = January) for the Cashflow roll-ups.
+    fiscalYearStartMonth: positiveInt.min(1).max(12).optional(),
     latitude: nullableNumber,
     longitude: nullableNumber,
     targetUnits: optionalPositiveInt.nullable(),
@@ -376,34 +494,162 @@ export const projectUpdateSchema = z
     retailTurnoverPct: percentage.optional().nullable(),
     retailTurnoverCostUsd: nullableNumber,
     buildingImageUrl: optionalNullableString,
+    preferredReturnPct: percentage.optional().nullable(),
+    noiDistributionMode: z.enum(noiDistributionModes).optional(),
+    expenseInflation: expenseInflationSchema.nullable().optional(),
+    propertyTaxAssessment: propertyTaxAssessmentSchema.nullable().optional(),
   })
   .strict()
 
-const unitRevenueInputSchema = z.object({
+// Rent growth and lease-up fields shared by apartment, retail and parking rows.
+const leaseUpFields = {
+  rentGrowthPct: growthRate.nullable().optional(),
+  leaseUpCurve: z.enum(leaseUpCurves).optional(),
+  leaseUpUnitsPerMonth: baseNumber.positive().nullable().optional(),
+  leaseUpAbsorptionPct: z.array(percentage).max(360).nullable().optional(),
+}
+
+const checkLeaseUp = (data, ctx) => {
+  if (data.leaseUpCurve === 'units_per_month' && !data.leaseUpUnitsPerMonth) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['leaseUpUnitsPerMonth'],
+      message: 'Units per month is required for the units-per-month curve',
+    })
+  }
+  if (data.leaseUpCurve === 'custom' && !data.leaseUpAbsorptionPct?.length) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['leaseUpAbsorptionPct'],
+      message: 'Monthly absorption is required for the custom curve',
+    })
+  }
+}
+
+const unitRevenueObjectSchema = z.object({
   typeLabel: nonEmptyString,
   unitSqft: positiveInt.nullable().optional(),
   unitCount: positiveInt,
   rentBudget: nullableNumber,
   vacancyPct: percentage.optional().default(5),
   startMonth: positiveInt.default(0),
+  ...leaseUpFields,
 })
 
-const unitRevenueUpdateSchema = unitRevenueInputSchema.partial()
+const unitRevenueInputSchema = unitRevenueObjectSchema.superRefine(checkLeaseUp)
+const unitRevenueUpdateSchema = unitRevenueObjectSchema.partial().superRefine(checkLeaseUp)
 
 export const apartmentRevenueInputSchema = unitRevenueInputSchema
 export const apartmentRevenueUpdateSchema = unitRevenueUpdateSchema
-export const retailRevenueInputSchema = unitRevenueInputSchema
-export const retailRevenueUpdateSchema = unitRevenueUpdateSchema
+// Commercial lease terms. Recoveries are monthly per unit; steps replace the
+// base rent `afterMonths` into the lease.
+const retailLeaseFields = {
+  leaseType: z.enum(retailLeaseTypes).optional(),
+  tenantName: nullableString,
+  leaseTermMonths: baseNumber.int().positive().nullable().optional(),
+  freeRentMonths: positiveInt.nullable().optional(),
+  rentSteps: z
+    .array(z.object({ afterMonths: baseNumber.int().positive(), monthlyRentUsd: money }))
+    .max(60)
+    .nullable()
+    .optional(),
+  camRecoveryUsd: money.nullable().optional(),
+  taxRecoveryUsd: money.nullable().optional(),
+  insuranceRecoveryUsd: money.nullable().optional(),
+  tiAllowancePsf: money.nullable().optional(),
+  leasingCommissionPct: percentage.nullable().optional(),
+}
+
+const checkRetailLease = (data, ctx) => {
+  checkLeaseUp(data, ctx)
+  if (data.leasingCommissionPct && !data.leaseTermMonths) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['leaseTermMonths'],
+      message: 'Lease term is required to size the leasing commission',
+    })
+  }
+  if (data.leaseTermMonths && data.freeRentMonths && data.freeRentMonths >= data.leaseTermMonths) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['freeRentMonths'],
+      message: 'Free rent must be shorter than the lease term',
+    })
+  }
+  const stepMonths = (data.rentSteps || []).map((step) => step.afterMonths)
+  if (new Set(stepMonths).size !== stepMonths.length) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['rentSteps'],
+      message: 'Each rent step needs a different month',
+    })
+  }
+}
 
-export const parkingRevenueInputSchema = z.object({
+const retailRevenueObjectSchema = unitRevenueObjectSchema.extend(retailLeaseFields)
+
+export const retailRevenueInputSchema = retailRevenueObjectSchema.superRefine(checkRetailLease)
+export const retailRevenueUpdateSchema = retailRevenueObjectSchema.partial().superRefine(checkRetailLease)
+
+const parkingRevenueObjectSchema = z.object({
   typeLabel: nonEmptyString,
   spaceCount: positiveInt,
   monthlyRentUsd: money,
   vacancyPct: percentage.optional().default(5),
   startMonth: positiveInt.default(0),
+  ...leaseUpFields,
 })
 
-export const parkingRevenueUpdateSchema = parkingRevenueInputSchema.partial()
+export const parkingRevenueInputSchema = parkingRevenueObjectSchema.superRefine(checkLeaseUp)
+
+export const parkingRevenueUpdateSchema = parkingRevenueObjectSchema.partial().superRefine(checkLeaseUp)
+
+// Laundry, storage, pet rent, RUBS and similar income. Per-unit amounts are
+// multiplied by the project's apartment units.
+const otherIncomeObjectSchema = z.object({
+  typeLabel: nonEmptyString,
+  incomeType: z.enum(otherIncomeTypes).optional().default('other'),
+  amountBasis: z.enum(otherIncomeBases).optional().default('flat'),
+  monthlyAmountUsd: money,
+  vacancyPct: percentage.optional().default(5),
+  startMonth: positiveInt.default(0),
+})
+
+export const otherIncomeInputSchema = otherIncomeObjectSchema
+
+export const otherIncomeUpdateSchema = otherIncomeObjectSchema.partial()
+
+export const rentRollUnitInputSchema = z.object({
+  unitNumber: nonEmptyString,
+  apartmentTypeId: nullableString,
+  unitSqft: positiveInt.nullable().optional(),
+  tenantName: nullableString,
+  leaseStart: nullableString,
+  leaseEnd: nullableString,
+  contractRent: money.nullable().optional(),
+  marketRent: money.nullable().optional(),
+  status: z.enum(rentRollStatuses).default('vacant'),
+})
+
+export const rentRollUnitUpdateSchema = rentRollUnitInputSchema.partial()
+
+export const hardCostTrackingSchema = z
+  .object({
+    committedUsd: money.nullable().optional(),
+    invoicedUsd: money.nullable().optional(),
+    paidUsd: money.nullable().optional(),
+    retainageUsd: money.nullable().optional(),
+  })
+  .strict()
+
+// Deductive change orders carry a negative amount.
+export const hardCostChangeOrderInputSchema = z.object({
+  amountUsd: baseNumber,
+  reason: nonEmptyString,
+  approvedDate: z.string().date('Approved date must be YYYY-MM-DD'),
+})
+
+export const hardCostChangeOrderUpdateSchema = hardCostChangeOrderInputSchema.partial()
 
 export const gpContributionInputSchema = z.object({
   partner: nonEmptyString,
@@ -414,6 +660,111 @@ export const gpContributionInputSchema = z.object({
 
 export const gpContributionUpdateSchema = gpContributionInputSchema.partial()
 
+const metricScenario = z.enum(metricScenarios)
+
+const metricRevenueOverrideSchema = z.object({
+  monthlyRentWC: nullableNumber,
+  monthlyRentBC: nullableNumber,
+  occupancy: percentage.nullable().optional(),
+  scenario: metricScenario.default('default'),
+})
+
+const metricCarryingOverrideSchema = z.object({
+  wc: nullableNumber,
+  bc: nullableNumber,
+  scenario: metricScenario.default('default'),
+})
+
+export const metricAssumptionsUpdateSchema = z.object({
+  constructionPeriodMonths: positiveInt.nullable().optional(),
+  interestRatePct: percentage.nullable().optional(),
+  stabilizedInterestRatePct: percentage.nullable().optional(),
+  stabilizedTermYears: positiveInt.nullable().optional(),
+  refinanceAmountUsd: money.nullable().optional(),
+  salesCostPct: percentage.nullable().optional(),
+  preferredReturnPct: percentage.nullable().optional(),
+  stabilizationPeriodMonths: positiveInt.nullable().optional(),
+  sellingCapRatePct: percentage.nullable().optional(),
+  overrides: z
+    .object({
+      apartments: z.record(z.string(), metricRevenueOverrideSchema).optional(),
+      retail: z.record(z.string(), metricRevenueOverrideSchema).optional(),
+      parking: z.record(z.string(), metricRevenueOverrideSchema).optional(),
+      buildCost: metricCarryingOverrideSchema.optional(),
+      management: metricCarryingOverrideSchema.optional(),
+      stabilizedTax: metricCarryingOverrideSchema.optional(),
+      operatingExpenses: metricCarryingOverrideSchema.optional(),
+    })
+    .optional(),
+})
+
+const scenarioAdjustmentsSchema = z.object({
+  hardCostPct: baseNumber.min(-100).nullable().optional(),
+  softCostPct: baseNumber.min(-100).nullable().optional(),
+  rentPct: baseNumber.min(-100).nullable().optional(),
+  vacancyPct: percentage.nullable().optional(),
+  interestRateDeltaPct: nullableNumber,
+  loanAmountPct: baseNumber.min(-100).nullable().optional(),
+  loanTermMonths: positiveInt.nullable().optional(),
+  delayMonths: positiveInt.nullable().optional(),
+})
+
+export const scenarioInputSchema = z.object({
+  name: nonEmptyString,
+  description: nullableString,
+  adjustments: scenarioAdjustmentsSchema.default({}),
+})
+
+export const scenarioUpdateSchema = scenarioInputSchema.partial()
+
+export const refinanceTermsSchema = z
+  .object({
+    capRatePct: baseNumber.positive().max(100),
+    maxLtvPct: percentage.nullable().optional(),
+    minDscr: baseNumber.positive().nullable().optional(),
+    minDebtYieldPct: percentage.nullable().optional(),
+    interestRatePct: percentage,
+    amortizationYears: positiveInt.min(1),
+    closingCostPct: percentage.nullable().optional(),
+  })
+  .superRefine((data, ctx) => {
+    if (!data.maxLtvPct && !data.minDscr && !data.minDebtYieldPct) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['maxLtvPct'],
+        message: 'Set at least one of maxLtvPct, minDscr or minDebtYieldPct',
+      })
+    }
+  })
+
+export const refinanceEventInputSchema = z.object({
+  eventMonth: positiveInt,
+  terms: refinanceTermsSchema,
+})
+
+export const saleTermsSchema = z.object({
+  exitCapRatePct: baseNumber.positive().max(100),
+  sellingCostPct: percentage.nullable().optional(),
+  transferTaxPct: percentage.nullable().optional(),
+})
+
+export const saleEventInputSchema = z.object({
+  eventMonth: positiveInt,
+  terms: saleTermsSchema,
+})
+
+export const cashflowEntryInputSchema = z.object({
+  monthIndex: positiveInt,
+  lineItem: z.enum(cashflowLineItems),
+  budgetInflows: nullableNumber,
+  budgetOutflows: nullableNumber,
+  actualInflows: nullableNumber,
+  actualOutflows: nullableNumber,
+  notes: nullableString,
+})
+
+export const cashflowEntryUpdateSchema = cashflowEntryInputSchema.omit({ monthIndex: true, lineItem: true }).partial()
+
 const httpsUrl = z.string().url().refine((url) => url.startsWith('https://'), {
   message: 'URL must use HTTPS',
 })
@@ -427,6 +778,24 @@ export const documentInputSchema = z.object({
 
 export const documentUpdateSchema = documentInputSchema.partial()
 
+const hexColor = z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Use a #RRGGBB color')
+
+// Logos are stored inline so the PDF renderer never needs network access.
+const imageDataUrl = z
+  .string()
+  .regex(/^data:image\/(png|jpe?g);base64,/, 'Logo must be a PNG or JPEG data URL')
+  .max(1_500_000, 'Logo must be under 1 MB')
+
+export const pdfBrandingSchema = z.object({
+  template: z.enum(packageTemplates).optional(),
+  companyName: optionalNullableString,
+  primaryColor: hexColor.optional(),
+  accentColor: hexColor.optional(),
+  logoDataUrl: imageDataUrl.nullable().optional(),
+  footerText: optionalNullableString,
+  disclaimer: optionalNullableString,
+})
+
 export const formatZodErrors = (error) =>
   error.issues
     .map((issue) => {